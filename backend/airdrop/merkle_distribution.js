@@ -0,0 +1,210 @@
+const { ethers } = require('ethers');
+const { LEAF_ENCODING, MerkleTree, buildBalanceTree } = require('../utils/merkle-tree');
+
+/**
+ * Turns an airdrop snapshot into a claimable Merkle distribution.
+ *
+ * Amounts come from airdrop.snapshot_balances.airdrop_amount for eligible
+ * users. takeSnapshot() stores them in wei; snapshots from the enhanced airdrop
+ * service hold whole tokens, so build them with amountUnit 'token'.
+ */
+class AirdropMerkleDistribution {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build and store the tree for a snapshot
+   */
+  async build(snapshotId, { amountUnit = 'wei', force = false } = {}) {
+    const balances = await this.loadSnapshotBalances(snapshotId, amountUnit);
+    if (balances.length === 0) {
+      throw new Error(`Snapshot ${snapshotId} has no eligible balances`);
+    }
+
+    const tree = buildBalanceTree(balances);
+
+    const distributionId = await this.db.transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM airdrop.merkle_distributions WHERE snapshot_id = $1',
+        [snapshotId]
+      );
+      if (existing.rows.length > 0) {
+        if (!force) {
+          throw new Error(`Snapshot ${snapshotId} already has distribution ${existing.rows[0].id}`);
+        }
+        await client.query('DELETE FROM airdrop.merkle_distributions WHERE id = $1', [existing.rows[0].id]);
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO airdrop.merkle_distributions (
+          snapshot_id, merkle_root, token_total, claim_count, amount_unit, leaf_encoding
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `, [snapshotId, tree.root, tree.total.toString(), tree.claims.length, amountUnit, LEAF_ENCODING]);
+      const id = inserted.rows[0].id;
+
+      for (const claim of tree.claims) {
+        await client.query(`
+          INSERT INTO airdrop.merkle_claims (
+            distribution_id, claim_index, user_address, amount, leaf_hash, proof
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+        `, [id, claim.index, claim.account.toLowerCase(), claim.amount.toString(), claim.leaf, JSON.stringify(claim.proof)]);
+      }
+
+      return id;
+    });
+
+    console.log(`🌳 Built distribution ${distributionId} for snapshot ${snapshotId}: ${tree.claims.length} claims, ${ethers.formatEther(tree.total)} BITR, root ${tree.root}`);
+    return { distributionId, root: tree.root, total: tree.total, claimCount: tree.claims.length };
+  }
+
+  /**
+   * @returns {Promise<Array<{account: string, amount: bigint}>>} amounts in wei
+   */
+  async loadSnapshotBalances(snapshotId, amountUnit) {
+    const result = await this.db.query(`
+      SELECT user_address, airdrop_amount::text AS amount
+      FROM airdrop.snapshot_balances
+      WHERE snapshot_id = $1 AND is_eligible = TRUE AND airdrop_amount > 0
+    `, [snapshotId]);
+
+    return result.rows.map(row => ({
+      account: row.user_address,
+      amount: this.toWei(row.amount, amountUnit, row.user_address)
+    }));
+  }
+
+  toWei(amount, amountUnit, userAddress) {
+    if (amountUnit === 'token') {
+      return ethers.parseUnits(amount, 18);
+    }
+    const [whole, fraction = ''] = amount.split('.');
+    if (/[1-9]/.test(fraction)) {
+      throw new Error(`Amount ${amount} for ${userAddress} is not a whole number of wei (build with amountUnit 'token'?)`);
+    }
+    return BigInt(whole);
+  }
+
+  /**
+   * Distribution metadata, the latest one when no id is given
+   */
+  async getDistribution(distributionId = null) {
+    const result = await this.db.query(`
+      SELECT d.*, s.snapshot_name, s.snapshot_block
+      FROM airdrop.merkle_distributions d
+      JOIN airdrop.snapshots s ON s.id = d.snapshot_id
+      WHERE ($1::bigint IS NULL OR d.id = $1)
+      ORDER BY d.id DESC
+      LIMIT 1
+    `, [distributionId]);
+
+    return result.rows[0] || null;
+  }
+
+  async getClaim(distributionId, userAddress) {
+    const result = await this.db.query(`
+      SELECT claim_index, user_address, amount::text AS amount, proof
+      FROM airdrop.merkle_claims
+      WHERE distribution_id = $1 AND user_address = $2
+    `, [distributionId, userAddress.toLowerCase()]);
+
+    return result.rows[0] || null;
+  }
+
+  async getClaims(distributionId) {
+    const result = await this.db.query(`
+      SELECT claim_index, user_address, amount::text AS amount, leaf_hash, proof
+      FROM airdrop.merkle_claims
+      WHERE distribution_id = $1
+      ORDER BY claim_index
+    `, [distributionId]);
+
+    return result.rows;
+  }
+
+  /**
+   * JSON in the Uniswap parse-balance-map format (hex amounts, checksummed
+   * addresses), or CSV with one claim per row
+   */
+  async export(distributionId, format = 'json') {
+    const distribution = await this.getDistribution(distributionId);
+    if (!distribution) {
+      throw new Error(`Distribution ${distributionId} not found`);
+    }
+    const claims = await this.getClaims(distribution.id);
+
+    if (format === 'csv') {
+      const lines = ['index,address,amount,proof'];
+      for (const claim of claims) {
+        lines.push([
+          claim.claim_index,
+          ethers.getAddress(claim.user_address),
+          claim.amount,
+          claim.proof.join(';')
+        ].join(','));
+      }
+      return lines.join('\n') + '\n';
+    }
+
+    const output = {
+      merkleRoot: distribution.merkle_root,
+      tokenTotal: ethers.toBeHex(BigInt(distribution.token_total)),
+      claims: {}
+    };
+    for (const claim of claims) {
+      output.claims[ethers.getAddress(claim.user_address)] = {
+        index: claim.claim_index,
+        amount: ethers.toBeHex(BigInt(claim.amount)),
+        proof: claim.proof
+      };
+    }
+    return JSON.stringify(output, null, 2) + '\n';
+  }
+
+  /**
+   * Recompute the root from the snapshot and check every stored claim against it
+   */
+  async verify(distributionId) {
+    const distribution = await this.getDistribution(distributionId);
+    if (!distribution) {
+      throw new Error(`Distribution ${distributionId} not found`);
+    }
+
+    const balances = await this.loadSnapshotBalances(distribution.snapshot_id, distribution.amount_unit);
+    const tree = buildBalanceTree(balances);
+    const expected = new Map(tree.claims.map(claim => [claim.account.toLowerCase(), claim]));
+
+    const problems = [];
+    if (tree.root !== distribution.merkle_root) {
+      problems.push(`Root mismatch: stored ${distribution.merkle_root}, recomputed ${tree.root}`);
+    }
+    if (tree.total.toString() !== String(distribution.token_total)) {
+      problems.push(`Total mismatch: stored ${distribution.token_total}, recomputed ${tree.total}`);
+    }
+
+    const claims = await this.getClaims(distribution.id);
+    if (claims.length !== tree.claims.length) {
+      problems.push(`Claim count mismatch: stored ${claims.length}, recomputed ${tree.claims.length}`);
+    }
+    for (const claim of claims) {
+      const recomputed = expected.get(claim.user_address);
+      if (!recomputed || recomputed.index !== claim.claim_index || recomputed.amount.toString() !== claim.amount) {
+        problems.push(`Claim ${claim.claim_index} (${claim.user_address}) does not match the snapshot`);
+      } else if (!MerkleTree.verify(claim.proof, distribution.merkle_root, claim.leaf_hash) || claim.leaf_hash !== recomputed.leaf) {
+        problems.push(`Claim ${claim.claim_index} (${claim.user_address}) has an invalid proof`);
+      }
+    }
+
+    return {
+      distributionId: distribution.id,
+      snapshotId: distribution.snapshot_id,
+      root: distribution.merkle_root,
+      recomputedRoot: tree.root,
+      valid: problems.length === 0,
+      problems
+    };
+  }
+}
+
+module.exports = AirdropMerkleDistribution;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { ethers } = require('ethers');
 const config = require('../config');
 const db = require('../db/db');
+const AirdropMerkleDistribution = require('../airdrop/merkle_distribution');
 
 // Airdrop requirements constants (from docs)
 const AIRDROP_REQUIREMENTS = {
@@ -504,6 +505,92 @@ router.get('/leaderboard', async (req, res) => {
   }
 });
 
+/**
+ * GET /airdrop/proof/:address
+ * Claim index, amount and Merkle proof for a wallet, from the latest
+ * distribution or the one given as ?distributionId=
+ */
+router.get('/proof/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid wallet address format'
+      });
+    }
+
+    const merkle = new AirdropMerkleDistribution(db);
+    const distribution = await merkle.getDistribution(parseInt(req.query.distributionId) || null);
+    if (!distribution) {
+      return res.status(404).json({
+        error: 'No airdrop distribution found'
+      });
+    }
+
+    const claim = await merkle.getClaim(distribution.id, address);
+
+    res.json({
+      distributionId: parseInt(distribution.id),
+      snapshotName: distribution.snapshot_name,
+      merkleRoot: distribution.merkle_root,
+      distributorAddress: distribution.distributor_address,
+      eligible: Boolean(claim),
+      claim: claim ? {
+        index: claim.claim_index,
+        account: ethers.getAddress(claim.user_address),
+        amount: claim.amount,
+        formattedAmount: ethers.formatEther(claim.amount) + ' BITR',
+        proof: claim.proof
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Error getting airdrop proof:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get airdrop proof'
+    });
+  }
+});
+
+/**
+ * GET /airdrop/distributions/:id/export?format=json|csv
+ * Full distribution for auditing; the JSON matches the Uniswap MerkleDistributor
+ * parse-balance-map output
+ */
+router.get('/distributions/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const distributionId = parseInt(req.params.id);
+    if (!Number.isInteger(distributionId)) {
+      return res.status(400).json({
+        error: 'Invalid distribution id'
+      });
+    }
+
+    const merkle = new AirdropMerkleDistribution(db);
+    const distribution = await merkle.getDistribution(distributionId);
+    if (!distribution) {
+      return res.status(404).json({
+        error: 'Distribution not found'
+      });
+    }
+
+    const output = await merkle.export(distribution.id, format);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="airdrop-distribution-${distribution.id}.${format}"`);
+    res.send(output);
+
+  } catch (error) {
+    console.error('Error exporting airdrop distribution:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export airdrop distribution'
+    });
+  }
+});
+
 /**
  * Helper function to get next steps for ineligible users
  */
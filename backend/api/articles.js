@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const { cacheKeys, rateLimitMiddleware } = require('../config/redis');
+const { requireAuth, optionalAuth } = require('../middleware/siwe-auth');
+const { adminAuth } = require('../utils/admin-auth');
+const articleService = require('../services/article-service');
+const { ArticleError, LINK_TYPES } = require('../services/article-service');
+
+/**
+ * Long-form articles (services/article-service.js), mounted at /api/articles.
+ * Writing needs a live ReputationSystem score of 300+; moderation routes use
+ * the admin key.
+ */
+
+function sendError(res, error, action) {
+  if (error instanceof ArticleError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+function parseArticleId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Valid article ID is required' });
+    return null;
+  }
+  return req.params.id;
+}
+
+function pagination(req) {
+  return {
+    limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+}
+
+// GET /api/articles?sort=recent|popular&linkType=&refId=&limit=&offset=
+// Published articles, optionally about one fixture, pool or Oddyssey cycle
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { sort = 'recent', linkType = null, refId = null } = req.query;
+    if (linkType && (!LINK_TYPES.includes(linkType) || !refId)) {
+      return res.status(400).json({ success: false, error: `linkType must be one of: ${LINK_TYPES.join(', ')}, with refId` });
+    }
+
+    const { limit, offset } = pagination(req);
+    const articles = await articleService.listArticles({
+      linkType,
+      refId,
+      sort,
+      viewer: req.user?.address || null,
+      limit,
+      offset
+    });
+    res.json({ success: true, data: articles, pagination: { limit, offset, hasMore: articles.length === limit } });
+  } catch (error) {
+    sendError(res, error, 'fetching articles');
+  }
+});
+
+// POST /api/articles
+// Body: { title, summary?, body (markdown), links?: [{ type, id }] } - starts a draft
+router.post('/',
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitArticle(req.user.address), 10, 3600), // 10 drafts per hour
+  async (req, res) => {
+  try {
+    const article = await articleService.createDraft(req.user.address, req.body);
+    res.status(201).json({ success: true, data: article });
+  } catch (error) {
+    sendError(res, error, 'creating article');
+  }
+});
+
+// GET /api/articles/me/drafts
+// Drafts, and published articles held or hidden by moderation
+router.get('/me/drafts', requireAuth, async (req, res) => {
+  try {
+    const { limit, offset } = pagination(req);
+    const articles = await articleService.listDrafts(req.user.address, { limit, offset });
+    res.json({ success: true, data: articles, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching drafts');
+  }
+});
+
+// GET /api/articles/authors/:address
+// An author's feed with the record of their pool calls
+router.get('/authors/:address', optionalAuth, async (req, res) => {
+  const { address } = req.params;
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return res.status(400).json({ success: false, error: 'Valid address is required' });
+  }
+
+  try {
+    const { limit, offset } = pagination(req);
+    const feed = await articleService.getAuthorFeed(address, { viewer: req.user?.address || null, limit, offset });
+    res.json({ success: true, data: feed, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching author feed');
+  }
+});
+
+// GET /api/articles/moderation/queue
+// Held, hidden and newly reported articles
+router.get('/moderation/queue', ...adminAuth(), async (req, res) => {
+  try {
+    const { limit, offset } = pagination(req);
+    const articles = await articleService.getModerationQueue({ limit, offset });
+    res.json({ success: true, data: articles, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching moderation queue');
+  }
+});
+
+// GET /api/articles/:id
+router.get('/:id', optionalAuth, async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const article = await articleService.getArticle(id, req.user?.address || null);
+    res.json({ success: true, data: article });
+  } catch (error) {
+    sendError(res, error, 'fetching article');
+  }
+});
+
+// PUT /api/articles/:id
+// Body: any of { title, summary, body, links } - links only while a draft
+router.put('/:id', requireAuth, async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const article = await articleService.updateArticle(id, req.user.address, req.body);
+    res.json({ success: true, data: article });
+  } catch (error) {
+    sendError(res, error, 'updating article');
+  }
+});
+
+// POST /api/articles/:id/publish
+// Body: { calls?: { [poolId]: 'yes' | 'no' } } - calls on linked pools that are still open
+router.post('/:id/publish', requireAuth, async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const article = await articleService.publish(id, req.user.address, { calls: req.body.calls || {} });
+    res.json({ success: true, data: article });
+  } catch (error) {
+    sendError(res, error, 'publishing article');
+  }
+});
+
+// DELETE /api/articles/:id
+router.delete('/:id', requireAuth, async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const result = await articleService.deleteArticle(id, req.user.address);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'deleting article');
+  }
+});
+
+// POST /api/articles/:id/reactions
+// Body: { reactionType } - stored in core.social_reactions
+router.post('/:id/reactions',
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitReaction(req.user.address), 30, 60),
+  async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const reactions = await articleService.react(id, req.user.address, req.body.reactionType);
+    res.json({ success: true, data: reactions });
+  } catch (error) {
+    sendError(res, error, 'reacting to article');
+  }
+});
+
+// DELETE /api/articles/:id/reactions
+router.delete('/:id/reactions', requireAuth, async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const reactions = await articleService.removeReaction(id, req.user.address);
+    res.json({ success: true, data: reactions });
+  } catch (error) {
+    sendError(res, error, 'removing reaction');
+  }
+});
+
+// POST /api/articles/:id/report
+// Body: { reason? }
+router.post('/:id/report',
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitReport(req.user.address), 10, 3600),
+  async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const result = await articleService.report(id, req.user.address, req.body.reason || null);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'reporting article');
+  }
+});
+
+// POST /api/articles/:id/moderation
+// Body: { action: 'approve' | 'hide', moderator, reason? }
+router.post('/:id/moderation', ...adminAuth(), async (req, res) => {
+  const id = parseArticleId(req, res);
+  if (id === null) return;
+
+  try {
+    const { action, moderator, reason = null } = req.body;
+    const article = await articleService.moderate(id, { action, moderator, reason });
+    res.json({ success: true, data: article });
+  } catch (error) {
+    sendError(res, error, 'moderating article');
+  }
+});
+
+module.exports = router;
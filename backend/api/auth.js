@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../utils/validation');
+const siweAuthService = require('../services/siwe-auth-service');
+const { AuthError } = require('../services/siwe-auth-service');
+const { SESSION_COOKIE, requireAuth } = require('../middleware/siwe-auth');
+const { rateLimitMiddleware } = require('../config/redis');
+
+/**
+ * Wallet Auth API (Sign-In-With-Ethereum, EIP-4361)
+ *
+ * 1. GET  /api/auth/nonce   -> { nonce }
+ * 2. Client builds an EIP-4361 message with the nonce and signs it
+ * 3. POST /api/auth/login   { message, signature } -> { token, address, expiresAt }
+ * 4. Send `Authorization: Bearer <token>` (or the session cookie) on user actions
+ * 5. POST /api/auth/logout
+ */
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/'
+});
+
+/**
+ * GET /api/auth/nonce
+ * Issue a single-use nonce for a sign-in message
+ */
+router.get('/nonce',
+  rateLimitMiddleware((req) => `rate_limit:auth_nonce:${req.ip}`, 30, 60),
+  asyncHandler(async (req, res) => {
+    const { nonce, expiresAt } = await siweAuthService.createNonce();
+
+    res.json({
+      success: true,
+      data: {
+        nonce,
+        expiresAt,
+        chainId: siweAuthService.config.chainId
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/auth/login
+ * Verify a signed EIP-4361 message and open a session
+ */
+router.post('/login',
+  rateLimitMiddleware((req) => `rate_limit:auth_login:${req.ip}`, 10, 60),
+  asyncHandler(async (req, res) => {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({ success: false, error: 'Message and signature are required' });
+    }
+
+    try {
+      const session = await siweAuthService.login(message, signature, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.cookie(SESSION_COOKIE, session.token, {
+        ...cookieOptions(),
+        expires: new Date(session.expiresAt)
+      });
+
+      res.json({ success: true, data: session });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(401).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', requireAuth, asyncHandler(async (req, res) => {
+  await siweAuthService.revokeSession(req.user.sessionId);
+  res.clearCookie(SESSION_COOKIE, cookieOptions());
+
+  res.json({ success: true, message: 'Signed out' });
+}));
+
+/**
+ * GET /api/auth/session
+ * Return the wallet bound to the current session
+ */
+router.get('/session', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      address: req.user.address
+    }
+  });
+});
+
+module.exports = router;
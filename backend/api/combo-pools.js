@@ -0,0 +1,492 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const { asyncHandler } = require('../utils/validation');
+const optimizedCaching = require('../middleware/optimized-caching');
+
+/**
+ * Combo Pools API
+ *
+ * Read-only endpoints over the tables maintained by
+ * services/event-driven-combo-pool-sync.js and services/combo-pool-settlement-service.js:
+ * - Combo pool listing and detail
+ * - Per-condition (leg) status
+ * - User positions and claimable payouts
+ */
+
+const COMBO_POOL_COLUMNS = `
+  cp.combo_pool_id,
+  cp.creator_address,
+  cp.creator_stake,
+  cp.total_creator_side_stake,
+  cp.max_bettor_stake,
+  cp.total_bettor_stake,
+  cp.total_odds,
+  cp.settled,
+  cp.creator_side_won,
+  cp.is_refunded,
+  cp.refund_reason,
+  cp.uses_bitr,
+  cp.event_start_time,
+  cp.event_end_time,
+  cp.betting_end_time,
+  cp.result_timestamp,
+  cp.category,
+  cp.max_bet_per_user,
+  cp.condition_count,
+  cp.successful_conditions,
+  cp.tx_hash,
+  cp.block_number,
+  cp.created_at,
+  cp.settled_at,
+  (SELECT COUNT(*) FROM oracle.combo_pool_conditions c WHERE c.combo_pool_id = cp.combo_pool_id AND c.resolved = true) as resolved_conditions,
+  (SELECT COUNT(DISTINCT LOWER(b.bettor_address)) FROM oracle.combo_pool_bets b WHERE b.combo_pool_id = cp.combo_pool_id) as bettor_count,
+  (SELECT COUNT(DISTINCT LOWER(l.lp_address)) FROM oracle.combo_pool_lps l WHERE l.combo_pool_id = cp.combo_pool_id) as lp_count
+`;
+
+/**
+ * Derive the display status of a combo pool
+ */
+function getComboPoolStatus(pool) {
+  const now = Math.floor(Date.now() / 1000);
+  if (pool.is_refunded) return 'refunded';
+  if (pool.settled) return 'settled';
+  if (now < Number(pool.betting_end_time)) return 'active';
+  if (Number(pool.resolved_conditions) > 0) return 'resolving';
+  return 'closed';
+}
+
+/**
+ * Format a combo pool row for API responses
+ */
+function formatComboPool(pool) {
+  const currency = pool.uses_bitr ? 'BITR' : 'STT';
+  const totalCreatorSideStake = pool.total_creator_side_stake?.toString() || '0';
+  const maxBettorStake = pool.max_bettor_stake?.toString() || '0';
+  const totalBettorStake = pool.total_bettor_stake?.toString() || '0';
+  const fillPercentage = BigInt(maxBettorStake) > 0n
+    ? Number((BigInt(totalBettorStake) * 10000n) / BigInt(maxBettorStake)) / 100
+    : 0;
+
+  return {
+    comboPoolId: Number(pool.combo_pool_id),
+    creator: pool.creator_address,
+    status: getComboPoolStatus(pool),
+    currency,
+    usesBitr: pool.uses_bitr,
+    odds: Number(pool.total_odds) / 100,
+    creatorStake: ethers.formatEther(pool.creator_stake?.toString() || '0'),
+    totalCreatorSideStake: ethers.formatEther(totalCreatorSideStake),
+    maxBettorStake: ethers.formatEther(maxBettorStake),
+    totalBettorStake: ethers.formatEther(totalBettorStake),
+    maxBetPerUser: ethers.formatEther(pool.max_bet_per_user?.toString() || '0'),
+    fillPercentage,
+    category: pool.category,
+    eventStartTime: Number(pool.event_start_time),
+    eventEndTime: Number(pool.event_end_time),
+    bettingEndTime: Number(pool.betting_end_time),
+    conditionCount: Number(pool.condition_count || 0),
+    resolvedConditions: Number(pool.resolved_conditions || 0),
+    successfulConditions: pool.successful_conditions !== null ? Number(pool.successful_conditions) : null,
+    bettorCount: Number(pool.bettor_count || 0),
+    lpCount: Number(pool.lp_count || 0),
+    isSettled: pool.settled,
+    isRefunded: pool.is_refunded,
+    refundReason: pool.refund_reason,
+    creatorSideWon: pool.creator_side_won,
+    resultTimestamp: pool.result_timestamp ? Number(pool.result_timestamp) : null,
+    txHash: pool.tx_hash,
+    blockNumber: pool.block_number ? Number(pool.block_number) : null,
+    createdAt: pool.created_at,
+    settledAt: pool.settled_at
+  };
+}
+
+const LIVE_FIXTURE_STATUSES = ['1H', 'HT', '2H', 'ET', 'PEN', 'LIVE', 'INPLAY_1ST_HALF', 'INPLAY_2ND_HALF', 'INPLAY_ET', 'INPLAY_PENALTIES'];
+
+/**
+ * Derive the live status of a single leg:
+ * won/lost once resolved on-chain, otherwise resolving → awaiting_resolution → live → pending
+ */
+function getConditionStatus(condition) {
+  if (condition.resolved) {
+    return condition.is_successful ? 'won' : 'lost';
+  }
+  if (condition.resolution_status === 'submitted') {
+    return 'resolving';
+  }
+  if (condition.resolution_status === 'needs_review') {
+    return 'needs_review';
+  }
+  if (condition.finished_at) {
+    return 'awaiting_resolution';
+  }
+  if (LIVE_FIXTURE_STATUSES.includes(condition.fixture_status)) {
+    return 'live';
+  }
+  return 'pending';
+}
+
+/**
+ * Format a condition row for API responses
+ */
+function formatCondition(condition) {
+  return {
+    conditionIndex: Number(condition.condition_index),
+    marketId: condition.market_id,
+    marketIdRaw: condition.market_id_raw,
+    expectedOutcome: condition.expected_outcome,
+    actualOutcome: condition.actual_outcome,
+    description: condition.description,
+    odds: condition.odds ? Number(condition.odds) / 100 : null,
+    resolved: condition.resolved,
+    isSuccessful: condition.is_successful,
+    status: getConditionStatus(condition),
+    resolvedAt: condition.resolved_at,
+    resolutionTxHash: condition.resolution_tx_hash || condition.resolution_tx_hash_pending,
+    fixture: condition.fixture_id ? {
+      fixtureId: condition.fixture_id,
+      homeTeam: condition.home_team,
+      awayTeam: condition.away_team,
+      matchDate: condition.match_date,
+      status: condition.fixture_status,
+      homeScore: condition.home_score,
+      awayScore: condition.away_score
+    } : null,
+    resolution: condition.resolution_status ? {
+      status: condition.resolution_status,
+      proposedOutcome: condition.proposed_outcome,
+      txHash: condition.resolution_tx_hash_pending,
+      attempts: condition.resolution_attempts,
+      error: condition.resolution_error
+    } : null
+  };
+}
+
+async function getConditions(comboPoolId) {
+  const result = await db.query(`
+    SELECT
+      c.*,
+      f.id as fixture_id,
+      f.home_team,
+      f.away_team,
+      f.match_date,
+      f.status as fixture_status,
+      fr.home_score,
+      fr.away_score,
+      fr.finished_at,
+      r.status as resolution_status,
+      r.actual_outcome as proposed_outcome,
+      r.tx_hash as resolution_tx_hash_pending,
+      r.attempts as resolution_attempts,
+      r.last_error as resolution_error
+    FROM oracle.combo_pool_conditions c
+    LEFT JOIN oracle.fixtures f ON f.id::text = c.market_id
+    LEFT JOIN oracle.fixture_results fr ON fr.fixture_id::text = f.id::text
+    LEFT JOIN oracle.combo_condition_resolutions r
+      ON r.combo_pool_id = c.combo_pool_id AND r.condition_index = c.condition_index
+    WHERE c.combo_pool_id = $1
+    ORDER BY c.condition_index ASC
+  `, [comboPoolId]);
+  return result.rows.map(formatCondition);
+}
+
+/**
+ * GET /api/combo-pools
+ * List combo pools with optional status / creator / category filters
+ */
+router.get('/', optimizedCaching.cacheMiddleware(15000), asyncHandler(async (req, res) => {
+  const {
+    status = 'all',
+    creator,
+    category,
+    limit = 20,
+    offset = 0
+  } = req.query;
+
+  const conditions = [];
+  const params = [];
+
+  if (status === 'active') {
+    conditions.push('cp.settled = false AND cp.betting_end_time > EXTRACT(EPOCH FROM NOW())');
+  } else if (status === 'closed') {
+    conditions.push('cp.settled = false AND cp.betting_end_time <= EXTRACT(EPOCH FROM NOW())');
+  } else if (status === 'settled') {
+    conditions.push('cp.settled = true AND COALESCE(cp.is_refunded, false) = false');
+  } else if (status === 'refunded') {
+    conditions.push('cp.is_refunded = true');
+  }
+
+  if (creator) {
+    if (!ethers.isAddress(creator)) {
+      return res.status(400).json({ success: false, error: 'Invalid creator address' });
+    }
+    params.push(creator.toLowerCase());
+    conditions.push(`LOWER(cp.creator_address) = $${params.length}`);
+  }
+
+  if (category) {
+    params.push(category);
+    conditions.push(`cp.category = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const safeLimit = Math.min(parseInt(limit) || 20, 100);
+  const safeOffset = Math.max(parseInt(offset) || 0, 0);
+
+  const [poolsResult, countResult] = await Promise.all([
+    db.query(`
+      SELECT ${COMBO_POOL_COLUMNS}
+      FROM oracle.combo_pools cp
+      ${whereClause}
+      ORDER BY cp.combo_pool_id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, safeLimit, safeOffset]),
+    db.query(`SELECT COUNT(*) as total FROM oracle.combo_pools cp ${whereClause}`, params)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      comboPools: poolsResult.rows.map(formatComboPool),
+      pagination: {
+        total: parseInt(countResult.rows[0].total),
+        limit: safeLimit,
+        offset: safeOffset,
+        hasMore: safeOffset + poolsResult.rows.length < parseInt(countResult.rows[0].total)
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/combo-pools/users/:address/positions
+ * All combo pools a user has bet on or provided liquidity to
+ */
+router.get('/users/:address/positions', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid user address' });
+  }
+
+  const userAddress = address.toLowerCase();
+  const result = await db.query(`
+    WITH positions AS (
+      SELECT combo_pool_id, SUM(amount) as bettor_stake, 0::numeric as lp_stake
+      FROM oracle.combo_pool_bets
+      WHERE LOWER(bettor_address) = $1
+      GROUP BY combo_pool_id
+      UNION ALL
+      SELECT combo_pool_id, 0::numeric as bettor_stake, SUM(stake) as lp_stake
+      FROM oracle.combo_pool_lps
+      WHERE LOWER(lp_address) = $1
+      GROUP BY combo_pool_id
+    )
+    SELECT
+      ${COMBO_POOL_COLUMNS},
+      SUM(pos.bettor_stake) as user_bettor_stake,
+      SUM(pos.lp_stake) as user_lp_stake,
+      cl.amount as claimed_amount,
+      cl.tx_hash as claim_tx_hash,
+      cl.claimed_at
+    FROM positions pos
+    JOIN oracle.combo_pools cp ON cp.combo_pool_id = pos.combo_pool_id
+    LEFT JOIN oracle.combo_pool_claims cl ON cl.combo_pool_id = cp.combo_pool_id AND LOWER(cl.user_address) = $1
+    GROUP BY cp.combo_pool_id, cl.amount, cl.tx_hash, cl.claimed_at
+    ORDER BY cp.combo_pool_id DESC
+  `, [userAddress]);
+
+  const positions = result.rows.map(row => {
+    const pool = formatComboPool(row);
+    const bettorStake = row.user_bettor_stake?.toString() || '0';
+    const lpStake = row.user_lp_stake?.toString() || '0';
+    let outcome = 'pending';
+    if (row.is_refunded) {
+      outcome = 'refunded';
+    } else if (row.settled) {
+      const wonAsLp = row.creator_side_won && BigInt(lpStake) > 0n;
+      const wonAsBettor = !row.creator_side_won && BigInt(bettorStake) > 0n;
+      outcome = wonAsLp || wonAsBettor ? 'won' : 'lost';
+    }
+
+    return {
+      ...pool,
+      position: {
+        bettorStake: ethers.formatEther(bettorStake),
+        lpStake: ethers.formatEther(lpStake),
+        outcome,
+        claimed: row.claimed_amount !== null,
+        claimedAmount: row.claimed_amount !== null ? ethers.formatEther(row.claimed_amount.toString()) : null,
+        claimTxHash: row.claim_tx_hash,
+        claimedAt: row.claimed_at
+      }
+    };
+  });
+
+  res.json({
+    success: true,
+    data: {
+      userAddress,
+      positions,
+      summary: {
+        total: positions.length,
+        active: positions.filter(p => p.position.outcome === 'pending').length,
+        won: positions.filter(p => p.position.outcome === 'won').length,
+        lost: positions.filter(p => p.position.outcome === 'lost').length,
+        refunded: positions.filter(p => p.position.outcome === 'refunded').length
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/combo-pools/users/:address/claimable
+ * Settled combo pools where the user is on the winning side and has not claimed yet.
+ * Payouts mirror BitredictComboPools.claimCombo; bettor payouts are shown before the
+ * reputation-adjusted platform fee, which is only known to the contract.
+ */
+router.get('/users/:address/claimable', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid user address' });
+  }
+
+  const userAddress = address.toLowerCase();
+  const result = await db.query(`
+    SELECT
+      cp.combo_pool_id,
+      cp.creator_side_won,
+      cp.uses_bitr,
+      cp.total_odds,
+      cp.total_creator_side_stake,
+      cp.total_bettor_stake,
+      cp.settled_at,
+      COALESCE((SELECT SUM(amount) FROM oracle.combo_pool_bets b
+                WHERE b.combo_pool_id = cp.combo_pool_id AND LOWER(b.bettor_address) = $1), 0) as bettor_stake,
+      COALESCE((SELECT SUM(stake) FROM oracle.combo_pool_lps l
+                WHERE l.combo_pool_id = cp.combo_pool_id AND LOWER(l.lp_address) = $1), 0) as lp_stake
+    FROM oracle.combo_pools cp
+    WHERE cp.settled = true
+      AND COALESCE(cp.is_refunded, false) = false
+      AND NOT EXISTS (
+        SELECT 1 FROM oracle.combo_pool_claims cl
+        WHERE cl.combo_pool_id = cp.combo_pool_id AND LOWER(cl.user_address) = $1
+      )
+    ORDER BY cp.settled_at DESC NULLS LAST
+  `, [userAddress]);
+
+  const claimable = [];
+  for (const row of result.rows) {
+    const bettorStake = BigInt(row.bettor_stake.toString().split('.')[0]);
+    const lpStake = BigInt(row.lp_stake.toString().split('.')[0]);
+    const totalCreatorSideStake = BigInt(row.total_creator_side_stake.toString());
+    const totalBettorStake = BigInt(row.total_bettor_stake.toString());
+
+    let payout = 0n;
+    let side = null;
+    let stake = 0n;
+
+    if (row.creator_side_won && lpStake > 0n && totalCreatorSideStake > 0n) {
+      const sharePercentage = (lpStake * 10000n) / totalCreatorSideStake;
+      payout = lpStake + (totalBettorStake * sharePercentage) / 10000n;
+      side = 'liquidity';
+      stake = lpStake;
+    } else if (!row.creator_side_won && bettorStake > 0n) {
+      payout = (bettorStake * BigInt(row.total_odds)) / 100n;
+      side = 'bettor';
+      stake = bettorStake;
+    }
+
+    if (payout > 0n) {
+      claimable.push({
+        comboPoolId: Number(row.combo_pool_id),
+        side,
+        currency: row.uses_bitr ? 'BITR' : 'STT',
+        stake: ethers.formatEther(stake),
+        estimatedPayout: ethers.formatEther(payout),
+        isEstimate: side === 'bettor',
+        settledAt: row.settled_at
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      userAddress,
+      claimable,
+      totals: {
+        STT: ethers.formatEther(claimable.filter(c => c.currency === 'STT').reduce((sum, c) => sum + ethers.parseEther(c.estimatedPayout), 0n)),
+        BITR: ethers.formatEther(claimable.filter(c => c.currency === 'BITR').reduce((sum, c) => sum + ethers.parseEther(c.estimatedPayout), 0n))
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/combo-pools/:comboPoolId
+ * Combo pool detail with conditions
+ */
+router.get('/:comboPoolId', optimizedCaching.cacheMiddleware(10000), asyncHandler(async (req, res) => {
+  const { comboPoolId } = req.params;
+
+  if (!/^\d+$/.test(comboPoolId)) {
+    return res.status(400).json({ success: false, error: 'Valid combo pool ID is required' });
+  }
+
+  const result = await db.query(`
+    SELECT ${COMBO_POOL_COLUMNS}
+    FROM oracle.combo_pools cp
+    WHERE cp.combo_pool_id = $1
+  `, [comboPoolId]);
+
+  if (result.rows.length === 0) {
+    return res.status(404).json({ success: false, error: 'Combo pool not found' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...formatComboPool(result.rows[0]),
+      conditions: await getConditions(comboPoolId)
+    }
+  });
+}));
+
+/**
+ * GET /api/combo-pools/:comboPoolId/conditions
+ * Per-condition (leg) status, including live fixture scores and pending resolutions
+ */
+router.get('/:comboPoolId/conditions', optimizedCaching.cacheMiddleware(10000), asyncHandler(async (req, res) => {
+  const { comboPoolId } = req.params;
+
+  if (!/^\d+$/.test(comboPoolId)) {
+    return res.status(400).json({ success: false, error: 'Valid combo pool ID is required' });
+  }
+
+  const conditions = await getConditions(comboPoolId);
+  if (conditions.length === 0) {
+    return res.status(404).json({ success: false, error: 'Combo pool not found' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      comboPoolId: Number(comboPoolId),
+      conditions,
+      summary: {
+        total: conditions.length,
+        resolved: conditions.filter(c => c.resolved).length,
+        won: conditions.filter(c => c.status === 'won').length,
+        lost: conditions.filter(c => c.status === 'lost').length,
+        live: conditions.filter(c => c.status === 'live').length,
+        pending: conditions.filter(c => !c.resolved).length
+      }
+    }
+  });
+}));
+
+module.exports = router;
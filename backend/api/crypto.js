@@ -1,6 +1,8 @@
 const express = require('express');
 const CoinpaprikaService = require('../services/coinpaprika');
+const cryptoPriceHoldService = require('../services/crypto-price-hold-service');
 const db = require('../db/db');
+const { adminAuth } = require('../utils/admin-auth');
 
 const router = express.Router();
 const coinpaprikaService = new CoinpaprikaService();
@@ -320,6 +322,100 @@ router.post('/markets', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/crypto/price-holds
+ * Markets whose price sources disagreed at the deadline (admin)
+ * Query: status = pending (default) | confirmed | all
+ */
+router.get('/price-holds', ...adminAuth(), async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+    const holds = await cryptoPriceHoldService.listHolds(status);
+
+    res.json({
+      success: true,
+      data: holds
+    });
+  } catch (error) {
+    console.error('Error fetching crypto price holds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price holds'
+    });
+  }
+});
+
+/**
+ * POST /api/crypto/price-holds/:marketId/confirm
+ * Release a held market with a confirmed price (admin, personal key: recorded as confirmed_by)
+ * Body: { price?, note? } - price defaults to the median of the sources
+ */
+router.post('/price-holds/:marketId/confirm', ...adminAuth({ requireIdentity: true }), async (req, res) => {
+  try {
+    const confirmedBy = req.admin.name;
+    const { price, note = null } = req.body;
+
+    if (price !== undefined && price !== null && !(parseFloat(price) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Price must be greater than 0'
+      });
+    }
+
+    const hold = await cryptoPriceHoldService.confirmHold(req.params.marketId, {
+      price: price !== undefined && price !== null ? parseFloat(price) : null,
+      confirmedBy,
+      note
+    });
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending hold for this market (or no price to confirm)'
+      });
+    }
+
+    console.log(`✅ Crypto price hold confirmed for ${req.params.marketId}: $${hold.confirmed_price} by ${confirmedBy}`);
+    res.json({
+      success: true,
+      data: hold
+    });
+  } catch (error) {
+    console.error('Error confirming crypto price hold:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm price hold'
+    });
+  }
+});
+
+/**
+ * DELETE /api/crypto/price-holds/:marketId
+ * Discard a pending hold; the market is priced again on the next resolution run (admin)
+ */
+router.delete('/price-holds/:marketId', ...adminAuth(), async (req, res) => {
+  try {
+    const discarded = await cryptoPriceHoldService.discardHold(req.params.marketId);
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pending hold for this market'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hold discarded, market will be priced again'
+    });
+  } catch (error) {
+    console.error('Error discarding crypto price hold:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard price hold'
+    });
+  }
+});
+
 /**
  * GET /api/crypto/health
  * Health check for crypto service
@@ -25,6 +25,12 @@ router.get('/sportmonks-markets', async (req, res) => {
     
     // Initialize SportMonks service
     const sportmonksService = new SportMonksService();
+    if (!sportmonksService.axios) {
+      return res.json({
+        success: false,
+        error: 'SportMonks is not among the configured sports providers'
+      });
+    }
     
     // Fetch odds directly from SportMonks API
     const response = await sportmonksService.axios.get(`/fixtures/${fixture.id}`, {
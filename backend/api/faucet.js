@@ -3,6 +3,7 @@ const router = express.Router();
 const { ethers } = require('ethers');
 const config = require('../config');
 const db = require('../db/db');
+const { requireAuth, optionalAuth } = require('../middleware/siwe-auth');
 
 // Enhanced BITR Faucet ABI with Oddyssey integration
 const FAUCET_ABI = [
@@ -15,34 +16,21 @@ const FAUCET_ABI = [
   "event FaucetClaimed(address indexed user, uint256 amount, uint256 timestamp)"
 ];
 
-// User session tracking for authentication and terms acceptance
-const userSessions = new Map(); // Temporary in-memory storage
-
 /**
  * Validate user authentication and terms acceptance
+ * Authentication comes from the SIWE session (req.user), terms from the database
  */
-function validateUserSession(address, sessionData) {
-  if (!sessionData) {
-    return { valid: false, reason: "No active session" };
-  }
-
-  // Check if session is expired (24 hours)
-  const sessionAge = Date.now() - sessionData.createdAt;
-  if (sessionAge > 24 * 60 * 60 * 1000) {
-    userSessions.delete(address.toLowerCase());
-    return { valid: false, reason: "Session expired" };
+function validateUserSession(address, user, termsCheck) {
+  // Check if wallet is authenticated
+  if (!user || user.address !== address.toLowerCase()) {
+    return { valid: false, reason: "Wallet not authenticated" };
   }
 
   // Check if user accepted terms
-  if (!sessionData.termsAccepted) {
+  if (!termsCheck.accepted) {
     return { valid: false, reason: "Terms not accepted" };
   }
 
-  // Check if wallet is authenticated
-  if (!sessionData.walletAuthenticated) {
-    return { valid: false, reason: "Wallet not authenticated" };
-  }
-
   return { valid: true };
 }
 
@@ -143,86 +131,25 @@ async function checkSTTActivity(address) {
 
 /**
  * POST /faucet/authenticate
- * Authenticate user wallet connection
+ * Confirm the wallet session (sign in through /api/auth/login first)
  */
-router.post('/authenticate', async (req, res) => {
-  try {
-    const { address, signature, message } = req.body;
-    
-    // Validate address format
-    if (!ethers.isAddress(address)) {
-      return res.status(400).json({
-        error: 'Invalid wallet address format'
-      });
-    }
-
-    // Verify signature
-    if (!signature || !message) {
-      return res.status(400).json({
-        error: 'Signature and message are required'
-      });
-    }
-
-    try {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
-      if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
-        return res.status(400).json({
-          error: 'Invalid signature'
-        });
-      }
-    } catch (error) {
-      return res.status(400).json({
-        error: 'Failed to verify signature'
-      });
-    }
-
-    // Create or update user session
-    const sessionData = userSessions.get(address.toLowerCase()) || {};
-    sessionData.walletAuthenticated = true;
-    sessionData.createdAt = sessionData.createdAt || Date.now();
-    sessionData.lastAuthenticated = Date.now();
-    userSessions.set(address.toLowerCase(), sessionData);
-
-    res.json({
-      success: true,
-      message: 'Wallet authenticated successfully',
-      address: address,
-      sessionValid: true
-    });
-
-  } catch (error) {
-    console.error('Error authenticating wallet:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to authenticate wallet'
-    });
-  }
+router.post('/authenticate', requireAuth, async (req, res) => {
+  res.json({
+    success: true,
+    message: 'Wallet authenticated successfully',
+    address: req.user.address,
+    sessionValid: true
+  });
 });
 
 /**
  * POST /faucet/accept-terms
  * Record user's acceptance of terms and conditions (PERSISTENT STORAGE)
  */
-router.post('/accept-terms', async (req, res) => {
+router.post('/accept-terms', requireAuth, async (req, res) => {
   try {
-    const { address, termsVersion, signature, ipAddress, userAgent } = req.body;
-    
-    // Validate address format
-    if (!ethers.isAddress(address)) {
-      return res.status(400).json({
-        error: 'Invalid wallet address format'
-      });
-    }
-
-    // Get existing session
-    const sessionData = userSessions.get(address.toLowerCase()) || {};
-    
-    // Check if wallet is authenticated
-    if (!sessionData.walletAuthenticated) {
-      return res.status(400).json({
-        error: 'Wallet must be authenticated first'
-      });
-    }
+    const { termsVersion, signature, ipAddress, userAgent } = req.body;
+    const { address } = req.user;
 
     // ✅ PERSISTENT STORAGE: Store terms acceptance in database
     const termsVersionToStore = termsVersion || '1.0';
@@ -246,13 +173,6 @@ router.post('/accept-terms', async (req, res) => {
       signature || null
     ]);
 
-    // Update session data
-    sessionData.termsAccepted = true;
-    sessionData.termsVersion = termsVersionToStore;
-    sessionData.termsAcceptedAt = Date.now();
-    sessionData.createdAt = sessionData.createdAt || Date.now();
-    userSessions.set(address.toLowerCase(), sessionData);
-
     res.json({
       success: true,
       message: 'Terms accepted successfully and stored persistently',
@@ -274,7 +194,7 @@ router.post('/accept-terms', async (req, res) => {
  * GET /faucet/eligibility/:address
  * Check if user is eligible to claim BITR from faucet (Enhanced with Oddyssey validation)
  */
-router.get('/eligibility/:address', async (req, res) => {
+router.get('/eligibility/:address', optionalAuth, async (req, res) => {
   try {
     const { address } = req.params;
     
@@ -296,8 +216,8 @@ router.get('/eligibility/:address', async (req, res) => {
     const [onChainEligible, onChainReason, oddysseySlips] = await faucetContract.checkEligibility(address);
     
     // Check backend validations
-    const sessionData = userSessions.get(address.toLowerCase());
-    const sessionValidation = validateUserSession(address, sessionData);
+    const termsCheck = await checkTermsAcceptanceInDatabase(address);
+    const sessionValidation = validateUserSession(address, req.user, termsCheck);
     
     // Check STT activity from database (legacy requirement)
     const activityData = await checkSTTActivity(address);
@@ -337,14 +257,13 @@ router.get('/eligibility/:address', async (req, res) => {
         lastActivity: activityData.lastActivity,
         totalSTTActions: activityData.totalSTTActions
       },
-      session: sessionData ? {
-        authenticated: sessionData.walletAuthenticated || false,
-        termsAccepted: sessionData.termsAccepted || false,
-        createdAt: sessionData.createdAt,
-        termsVersion: sessionData.termsVersion
-      } : null,
+      session: {
+        authenticated: req.user?.address === address.toLowerCase(),
+        termsAccepted: termsCheck.accepted,
+        termsAcceptedAt: termsCheck.acceptedAt || null
+      },
       // ✅ PERSISTENT TERMS CHECK: Also check database
-      persistentTermsCheck: await checkTermsAcceptanceInDatabase(address),
+      persistentTermsCheck: termsCheck,
       requirements: {
         oddysseySlips: "Must have at least 2 Oddyssey slips",
         authentication: "Must authenticate wallet connection",
@@ -366,27 +285,9 @@ router.get('/eligibility/:address', async (req, res) => {
  * POST /faucet/claim
  * Validate eligibility and return claim instructions
  */
-router.post('/claim', async (req, res) => {
+router.post('/claim', requireAuth, async (req, res) => {
   try {
-    const { address, signature } = req.body;
-    
-    if (!ethers.isAddress(address)) {
-      return res.status(400).json({
-        error: 'Invalid wallet address format'
-      });
-    }
-    
-    // Verify signature (optional - for additional security)
-    if (signature) {
-      const message = `Claim BITR faucet: ${address}`;
-      const recoveredAddress = ethers.verifyMessage(message, signature);
-      
-      if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
-        return res.status(400).json({
-          error: 'Invalid signature'
-        });
-      }
-    }
+    const { address } = req.user;
     
     const provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
     const faucetContract = new ethers.Contract(
@@ -399,8 +300,8 @@ router.post('/claim', async (req, res) => {
     const [onChainEligible, onChainReason, oddysseySlips] = await faucetContract.checkEligibility(address);
     
     // Check backend validations
-    const sessionData = userSessions.get(address.toLowerCase());
-    const sessionValidation = validateUserSession(address, sessionData);
+    const termsCheck = await checkTermsAcceptanceInDatabase(address);
+    const sessionValidation = validateUserSession(address, req.user, termsCheck);
     
     // Check STT activity from database
     const activityData = await checkSTTActivity(address);
@@ -438,8 +339,8 @@ router.post('/claim', async (req, res) => {
       instructions: 'Call claimBitr() function on the faucet contract',
       validation: {
         oddysseySlips: parseInt(oddysseySlips.toString()),
-        authenticated: sessionData.walletAuthenticated,
-        termsAccepted: sessionData.termsAccepted,
+        authenticated: true,
+        termsAccepted: termsCheck.accepted,
         sttActivity: activityData.hasActivity
       },
       activity: activityData
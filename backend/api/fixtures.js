@@ -92,7 +92,7 @@ router.get('/upcoming', async (req, res) => {
           MAX(CASE WHEN label = 'Draw' THEN value END) as draw_odds,
           MAX(CASE WHEN label = 'Away' THEN value END) as away_odds,
           MAX(updated_at) as updated_at
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '1'
         GROUP BY fixture_id
       ) ft ON f.id::VARCHAR = ft.fixture_id::VARCHAR
@@ -101,7 +101,7 @@ router.get('/upcoming', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
           MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '80' AND total = '2.5'
         GROUP BY fixture_id
       ) ou25 ON f.id::VARCHAR = ou25.fixture_id::VARCHAR
@@ -110,7 +110,7 @@ router.get('/upcoming', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
           MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE (market_id = '80' AND total = '1.5') OR (market_id = '82')
         GROUP BY fixture_id
       ) ou15 ON f.id::VARCHAR = ou15.fixture_id::VARCHAR
@@ -119,7 +119,7 @@ router.get('/upcoming', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
           MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE (market_id = '80' AND total = '3.5') OR (market_id = '81')
         GROUP BY fixture_id
       ) ou35 ON f.id::VARCHAR = ou35.fixture_id::VARCHAR
@@ -128,7 +128,7 @@ router.get('/upcoming', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Yes' THEN value END) as yes_odds,
           MAX(CASE WHEN label = 'No' THEN value END) as no_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '14'
         GROUP BY fixture_id
       ) bt ON f.id::VARCHAR = bt.fixture_id::VARCHAR
@@ -138,7 +138,7 @@ router.get('/upcoming', async (req, res) => {
           MAX(CASE WHEN label = 'Home' THEN value END) as home_odds,
           MAX(CASE WHEN label = 'Draw' THEN value END) as draw_odds,
           MAX(CASE WHEN label = 'Away' THEN value END) as away_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '31'
         GROUP BY fixture_id
       ) ht1x2 ON f.id::VARCHAR = ht1x2.fixture_id::VARCHAR
@@ -147,7 +147,7 @@ router.get('/upcoming', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Over' THEN value END) as ht_over_05_odds,
           MAX(CASE WHEN label = 'Under' THEN value END) as ht_under_05_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '32' AND market_description LIKE '%0.5%'
         GROUP BY fixture_id
       ) ht05 ON f.id::VARCHAR = ht05.fixture_id::VARCHAR
@@ -156,7 +156,7 @@ router.get('/upcoming', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Over' THEN value END) as ht_over_15_odds,
           MAX(CASE WHEN label = 'Under' THEN value END) as ht_under_15_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '32' AND market_description LIKE '%1.5%'
         GROUP BY fixture_id
       ) ht15 ON f.id::VARCHAR = ht15.fixture_id::VARCHAR
@@ -410,7 +410,7 @@ router.get('/between/:startDate/:endDate', async (req, res) => {
         o.value as odds_data,
         o.updated_at as odds_updated_at
       FROM oracle.fixtures f
-      LEFT JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id::VARCHAR
+      LEFT JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id::VARCHAR
       WHERE f.match_date >= $1::date 
         AND f.match_date < $2::date + INTERVAL '1 day'
     `;
@@ -607,7 +607,7 @@ router.get('/date-range', async (req, res) => {
           MAX(CASE WHEN label = 'Draw' THEN value END) as draw_odds,
           MAX(CASE WHEN label = 'Away' THEN value END) as away_odds,
           MAX(updated_at) as updated_at
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '1'
         GROUP BY fixture_id
       ) ft ON f.id::VARCHAR = ft.fixture_id::VARCHAR
@@ -616,7 +616,7 @@ router.get('/date-range', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
           MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '80' AND total = '2.5'
         GROUP BY fixture_id
       ) ou ON f.id::VARCHAR = ou.fixture_id::VARCHAR
@@ -625,7 +625,7 @@ router.get('/date-range', async (req, res) => {
           fixture_id,
           MAX(CASE WHEN label = 'Yes' THEN value END) as yes_odds,
           MAX(CASE WHEN label = 'No' THEN value END) as no_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '14'
         GROUP BY fixture_id
       ) bt ON f.id::VARCHAR = bt.fixture_id::VARCHAR
@@ -636,7 +636,7 @@ router.get('/date-range', async (req, res) => {
           MAX(CASE WHEN label = 'Under' AND total = '0.5' THEN value END) as ht_under_05_odds,
           MAX(CASE WHEN label = 'Over' AND total = '1.5' THEN value END) as ht_over_15_odds,
           MAX(CASE WHEN label = 'Under' AND total = '1.5' THEN value END) as ht_under_15_odds
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE market_id = '28'
         GROUP BY fixture_id
       ) ht ON f.id::VARCHAR = ht.fixture_id::VARCHAR
@@ -755,7 +755,7 @@ router.get('/today', async (req, res) => {
         f.league_image_path,
         o.value as odds_data
       FROM oracle.fixtures f
-      LEFT JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id::VARCHAR
+      LEFT JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id::VARCHAR
       WHERE DATE(f.match_date) = $1
       ORDER BY f.match_date ASC
     `, [today]);
@@ -932,7 +932,7 @@ router.get('/:fixtureId', async (req, res) => {
         r.result_btts,
         r.finished_at
       FROM oracle.fixtures f
-      LEFT JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id::VARCHAR
+      LEFT JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id::VARCHAR
       LEFT JOIN oracle.fixture_results r ON f.id::VARCHAR = r.fixture_id::VARCHAR
       WHERE f.id = $1
     `, [fixtureId]);
@@ -1,6 +1,9 @@
 const express = require('express');
 const GuidedMarketService = require('../services/guided-market-service');
 const { ethers } = require('ethers');
+const marketSpec = require('../utils/market-spec');
+const { adminAuth } = require('../utils/admin-auth');
+const { optionalAuth } = require('../middleware/siwe-auth');
 
 const router = express.Router();
 const guidedMarketService = new GuidedMarketService();
@@ -140,7 +143,9 @@ router.post('/cryptocurrency', async (req, res) => {
       useBitr = false,
       description = '',
       isPrivate = false,
-      maxBetPerUser = 0
+      maxBetPerUser = 0,
+      resolutionMode = 'close',
+      twapWindowSeconds = null
     } = req.body;
 
     // Validate required fields
@@ -175,6 +180,22 @@ router.post('/cryptocurrency', async (req, res) => {
       });
     }
 
+    // Validate resolution mode (price at deadline, or TWAP over a window ending at it)
+    if (!['close', 'twap'].includes(resolutionMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resolution mode must be either "close" or "twap"'
+      });
+    }
+
+    if (resolutionMode === 'twap' && twapWindowSeconds !== null &&
+        (!Number.isInteger(twapWindowSeconds) || twapWindowSeconds < 60 || twapWindowSeconds > 86400)) {
+      return res.status(400).json({
+        success: false,
+        error: 'TWAP window must be between 60 and 86400 seconds'
+      });
+    }
+
     // Validate timeframe using shared parser to keep logic consistent with service
     try {
       guidedMarketService.parseTimeframe(timeframe);
@@ -234,7 +255,9 @@ router.post('/cryptocurrency', async (req, res) => {
       useBitr,
       description,
       isPrivate,
-      maxBetPerUser
+      maxBetPerUser,
+      resolutionMode,
+      twapWindowSeconds
     });
 
     res.json({
@@ -255,11 +278,11 @@ router.post('/cryptocurrency', async (req, res) => {
  * GET /api/guided-markets/pools
  * Get all pools with pagination
  */
-router.get('/pools', async (req, res) => {
+router.get('/pools', optionalAuth, async (req, res) => {
   try {
     const { limit = 50, offset = 0 } = req.query;
 
-    const pools = await guidedMarketService.getPools(parseInt(limit), parseInt(offset));
+    const pools = await guidedMarketService.getPools(parseInt(limit), parseInt(offset), req.user ? req.user.address : null);
 
     res.json({
       success: true,
@@ -504,7 +527,7 @@ router.post('/pools/:poolId/claim', async (req, res) => {
  * GET /api/guided-markets/pools/category/:category
  * Get pools by category
  */
-router.get('/pools/category/:category', async (req, res) => {
+router.get('/pools/category/:category', optionalAuth, async (req, res) => {
   try {
     const { category } = req.params;
     const { limit = 20, offset = 0 } = req.query;
@@ -516,7 +539,7 @@ router.get('/pools/category/:category', async (req, res) => {
       });
     }
 
-    const pools = await guidedMarketService.getPoolsByCategory(category, parseInt(limit), parseInt(offset));
+    const pools = await guidedMarketService.getPoolsByCategory(category, parseInt(limit), parseInt(offset), req.user ? req.user.address : null);
 
     res.json({
       success: true,
@@ -786,6 +809,22 @@ router.post('/football/prepare', async (req, res) => {
       });
     }
 
+    // Settlement and titles work from this spec, so refuse anything it can't express
+    const spec = marketSpec.parse({ market: outcome, predictedOutcome, selection: finalSelection, homeTeam, awayTeam, category: 'football' });
+    const specErrors = spec
+      ? marketSpec.validate(spec)
+      : [`Could not interpret "${predictedOutcome || finalSelection}" for market "${outcome}"`];
+    const selectionValue = String(selection || '').toLowerCase();
+    if (spec && selection && (marketSpec.FAMILIES[spec.family].selections || []).includes(selectionValue) && selectionValue !== spec.selection) {
+      specErrors.push(`Selection "${selection}" contradicts predicted outcome "${predictedOutcome}"`);
+    }
+    if (specErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid market: ${specErrors.join('; ')}`
+      });
+    }
+
     // Validate odds format (should be in contract format: 101 = 1.01x)
     if (odds < 101 || odds > 10000) {
       return res.status(400).json({
@@ -851,74 +890,9 @@ router.post('/football/prepare', async (req, res) => {
       stakeAmountWei + creationFeeBITR : // creatorStake + 50 BITR fee
       stakeAmountWei + creationFeeSTT;   // creatorStake + 1 STT fee
 
-    // Map outcome to MarketType enum
     // MarketType enum: 0=MONEYLINE, 1=OVER_UNDER, 2=SPREAD, 3=PROPOSITION, 4=CORRECT_SCORE, 5=CUSTOM
-    const mapOutcomeToMarketType = (outcomeStr, predictedOutcomeStr, selectionStr) => {
-      const outcome = (outcomeStr || '').toLowerCase().trim();
-      const predictedOutcome = (predictedOutcomeStr || '').toLowerCase();
-      const selection = (selectionStr || '').toLowerCase();
-      
-      // ✅ BTTS (Both Teams To Score) - Check multiple fields for robustness
-      // Explicit check for exact match first (most reliable)
-      if (outcome === 'both teams to score' || outcome === 'btts') {
-        console.log(`✅ BTTS detected from exact outcome match: "${outcomeStr}"`);
-        return 3; // PROPOSITION
-      }
-      
-      // Check outcome field for partial matches
-      if (outcome.includes('both teams') || outcome.includes('btts')) {
-        console.log(`✅ BTTS detected from outcome field: "${outcomeStr}"`);
-        return 3; // PROPOSITION
-      }
-      
-      // Also check if predictedOutcome is "Yes"/"No" AND outcome is BTTS-related
-      // This handles cases where outcome might be empty or incorrectly formatted
-      if ((predictedOutcome === 'yes' || predictedOutcome === 'no' || 
-           selection === 'yes' || selection === 'no') &&
-          (outcome.includes('both') || outcome.includes('btts') || 
-           outcome.includes('score') || outcome === '')) {
-        // Additional check: if we have "Yes"/"No" and no clear moneyline indicators, it's likely BTTS
-        if (!outcome.includes('home') && !outcome.includes('away') && 
-            !outcome.includes('draw') && !outcome.includes('win')) {
-          console.log(`✅ BTTS detected from predictedOutcome/selection: "${predictedOutcome}" / "${selection}"`);
-          return 3; // PROPOSITION
-        }
-      }
-      
-      // Over/Under markets
-      if (outcome.includes('over/under') || outcome.includes('over under') || 
-          outcome.includes('total goals') || outcome.includes('total points')) {
-        return 1; // OVER_UNDER
-      }
-      
-      // Half Time Result
-      if (outcome.includes('half time') || outcome.includes('halftime') || 
-          (outcome.includes('ht') && outcome.includes('result'))) {
-        return 0; // MONEYLINE (treated as a 1X2 market)
-      }
-      
-      // Full Time Result / 1X2
-      if (outcome.includes('full time') || outcome.includes('result') ||
-          outcome === '1x2' || outcome.includes('match result')) {
-        return 0; // MONEYLINE
-      }
-      
-      // Correct Score
-      if (outcome.includes('correct score') || /\d+-\d+/.test(outcome)) {
-        return 4; // CORRECT_SCORE
-      }
-      
-      // Spread markets
-      if (outcome.includes('spread') || outcome.includes('handicap')) {
-        return 2; // SPREAD
-      }
-      
-      // Default to MONEYLINE for unhandled cases
-      return 0;
-    };
-    
-    const marketType = mapOutcomeToMarketType(outcome, predictedOutcome, finalSelection);
-    console.log(`📊 Mapped outcome "${outcome}" (predictedOutcome: "${predictedOutcome}", selection: "${finalSelection}") to MarketType: ${marketType}`);
+    const marketType = marketSpec.contractMarketType(spec);
+    console.log(`📊 Market spec ${marketSpec.serialize(spec)} for "${outcome}" / "${predictedOutcome}" -> MarketType: ${marketType}`);
 
     // Hash predicted outcome
     const predictedOutcomeHash = ethers.keccak256(ethers.toUtf8Bytes(predictedOutcome));
@@ -940,7 +914,8 @@ router.post('/football/prepare', async (req, res) => {
         useBitr: useBitr,
         description: description,
         userPosition: predictedOutcome, // The exact user choice like "Over 2.5 goals"
-        matchDate: new Date(eventStartTime * 1000).toISOString()
+        matchDate: new Date(eventStartTime * 1000).toISOString(),
+        marketSpec: spec
       });
       console.log('✅ Fixture mapping stored during prepare phase');
     } catch (mappingError) {
@@ -983,6 +958,7 @@ router.post('/football/prepare', async (req, res) => {
         outcome, // The market type like "Over/Under 2.5"
         predictedOutcome, // The exact user choice like "Over 2.5 goals"
         selection: finalSelection.toUpperCase(), // The binary choice (OVER/UNDER, YES/NO, etc.)
+        marketSpec: marketSpec.serialize(spec),
         odds: odds / 100,
         creatorStake,
         useBitr,
@@ -1104,6 +1080,7 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
       WHERE f.id = $1
     `;
     
+    // Consensus across bookmakers, not any single feed
     const oddsQuery = `
       SELECT 
         fo.market_id,
@@ -1111,15 +1088,23 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
         fo.label,
         fo.value,
         fo.total,
-        fo.bookmaker_name
-      FROM oracle.fixture_odds fo
+        fo.method,
+        fo.bookmaker_count
+      FROM oracle.fixture_odds_consensus fo
       WHERE fo.fixture_id = $1
       ORDER BY fo.market_id, fo.sort_order
     `;
 
-    const [fixtureResult, oddsResult] = await Promise.all([
+    const completenessQuery = `
+      SELECT score, bookmaker_count, markets, oddyssey_ready
+      FROM oracle.fixture_odds_completeness
+      WHERE fixture_id = $1
+    `;
+
+    const [fixtureResult, oddsResult, completenessResult] = await Promise.all([
       db.query(fixtureQuery, [fixtureId]),
-      db.query(oddsQuery, [fixtureId])
+      db.query(oddsQuery, [fixtureId]),
+      db.query(completenessQuery, [fixtureId])
     ]);
 
     if (fixtureResult.rows.length === 0) {
@@ -1139,7 +1124,7 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
         marketOdds[odd.market_id] = {
           marketId: odd.market_id,
           description: odd.market_description,
-          bookmaker: odd.bookmaker_name,
+          bookmaker: `Consensus (${odd.method})`,
           options: []
         };
       }
@@ -1147,7 +1132,8 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
       marketOdds[odd.market_id].options.push({
         label: odd.label,
         value: parseFloat(odd.value),
-        total: odd.total
+        total: odd.total,
+        bookmakerCount: odd.bookmaker_count
       });
     });
 
@@ -1247,7 +1233,12 @@ router.get('/football/markets/:fixtureId', async (req, res) => {
       },
       markets: availableMarkets, // Return all markets, frontend can decide what to show
       marketsWithOdds: marketsWithOdds.length,
-      totalMarkets: availableMarkets.length
+      totalMarkets: availableMarkets.length,
+      oddsCompleteness: completenessResult.rows[0] ? {
+        score: parseFloat(completenessResult.rows[0].score),
+        bookmakerCount: completenessResult.rows[0].bookmaker_count,
+        markets: completenessResult.rows[0].markets
+      } : null
     });
 
   } catch (error) {
@@ -1394,6 +1385,82 @@ router.get('/recent-bets', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/guided-markets/market-specs/review
+ * Pools whose outcome strings could not be parsed into a market spec (admin)
+ */
+router.get('/market-specs/review', ...adminAuth(), async (req, res) => {
+  try {
+    const db = require('../db/db');
+    const result = await db.query(`
+      SELECT p.pool_id, p.category, p.home_team, p.away_team, p.predicted_outcome, p.market_id,
+             p.is_settled, fm.market_type AS mapped_market, fm.predicted_outcome AS mapped_outcome,
+             fm.binary_selection AS mapped_selection
+      FROM oracle.pools p
+      LEFT JOIN oracle.fixture_mappings fm ON fm.market_id_hash = p.market_id
+      WHERE p.market_spec_status = 'needs_review'
+      ORDER BY p.pool_id
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Error fetching market specs to review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch market specs to review'
+    });
+  }
+});
+
+/**
+ * PUT /api/guided-markets/market-specs/:poolId
+ * Set a pool's market spec by hand (admin)
+ * Body: { key } - serialized spec, e.g. "OU:FT:2.5:over" or "1X2:1H::home"
+ */
+router.put('/market-specs/:poolId', ...adminAuth(), async (req, res) => {
+  try {
+    let spec;
+    try {
+      spec = marketSpec.deserialize(req.body.key);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const db = require('../db/db');
+    const result = await db.query(`
+      UPDATE oracle.pools
+      SET market_spec = $2, market_spec_key = $3, market_spec_status = 'confirmed', updated_at = NOW()
+      WHERE pool_id = $1
+      RETURNING pool_id, market_spec, market_spec_key, market_spec_status
+    `, [req.params.poolId, JSON.stringify(spec), marketSpec.serialize(spec)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found'
+      });
+    }
+
+    console.log(`✅ Market spec for pool ${req.params.poolId} confirmed as ${marketSpec.serialize(spec)}`);
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error confirming market spec:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to confirm market spec'
+    });
+  }
+});
+
 /**
  * Helper function to calculate time ago
  */
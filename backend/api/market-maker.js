@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { adminAuth } = require('../utils/admin-auth');
+const config = require('../config');
+const MarketMakerAgent = require('../services/market-maker-agent');
+
+/**
+ * Admin view of the market maker agent (services/market-maker-agent.js),
+ * mounted at /api/admin/market-maker
+ */
+
+const STATUSES = ['pending', 'open', 'settled', 'failed'];
+
+const agent = new MarketMakerAgent();
+
+// GET /api/admin/market-maker
+// P&L per token, league and market, with the limits the agent runs under
+router.get('/', ...adminAuth(), async (req, res) => {
+  try {
+    const { privateKey, ...settings } = config.marketMaker;
+    const pnl = await agent.getPnl();
+    res.json({ success: true, data: { settings, ...pnl } });
+  } catch (error) {
+    console.error('❌ Error fetching market maker P&L:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/market-maker/positions?status=&league=&limit=&offset=
+router.get('/positions', ...adminAuth(), async (req, res) => {
+  try {
+    const { status = null, league = null } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const positions = await agent.getPositions({ status, league, limit, offset });
+
+    res.json({ success: true, data: positions, pagination: { limit, offset } });
+  } catch (error) {
+    console.error('❌ Error fetching market maker positions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
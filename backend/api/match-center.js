@@ -41,23 +41,25 @@ router.get('/live', optimizedCaching.cacheMiddleware(30), asyncHandler(async (re
         f.result_info,
         -- Live match data
         CASE 
-          WHEN f.status IN ('LIVE', 'HT', '2H', 'ET', 'PEN') THEN true
+          WHEN f.status IN ('LIVE', 'HT', '2H', 'ET', 'PEN', 'BREAK') OR f.status LIKE 'INPLAY%' THEN true
           ELSE false
         END as is_live,
-        -- Score information
-        f.result_info->>'home_score' as home_score,
-        f.result_info->>'away_score' as away_score,
-        f.result_info->>'ht_score' as ht_score,
+        live.minute,
+        -- Score information (live poller state while in play, final result afterwards)
+        COALESCE(f.result_info->>'home_score', live.home_score::text) as home_score,
+        COALESCE(f.result_info->>'away_score', live.away_score::text) as away_score,
+        COALESCE(f.result_info->>'ht_score', live.ht_home_score || '-' || live.ht_away_score) as ht_score,
         f.result_info->>'ft_score' as ft_score,
         -- Pool count for this match
         (SELECT COUNT(*) FROM oracle.pools WHERE fixture_id = f.id::text) as pool_count
       FROM oracle.fixtures f
-      WHERE f.status IN ('LIVE', 'HT', '2H', 'ET', 'PEN', 'FT', 'NS', 'CANC', 'POSTP')
+      LEFT JOIN oracle.live_match_state live ON live.fixture_id = f.id
+      WHERE (f.status IN ('LIVE', 'HT', '2H', 'ET', 'PEN', 'BREAK', 'FT', 'NS', 'CANC', 'POSTP') OR f.status LIKE 'INPLAY%')
         AND f.match_date >= NOW() - INTERVAL '2 days'
         AND f.match_date <= NOW() + INTERVAL '7 days'
       ORDER BY 
         CASE 
-          WHEN f.status IN ('LIVE', 'HT', '2H', 'ET', 'PEN') THEN 0
+          WHEN f.status IN ('LIVE', 'HT', '2H', 'ET', 'PEN', 'BREAK') OR f.status LIKE 'INPLAY%' THEN 0
           WHEN f.status = 'FT' THEN 1
           WHEN f.status = 'NS' THEN 2
           ELSE 3
@@ -78,7 +80,8 @@ router.get('/live', optimizedCaching.cacheMiddleware(30), asyncHandler(async (re
         status: {
           current: match.status,
           isLive: isLive,
-          isFinished: isFinished
+          isFinished: isFinished,
+          minute: match.minute
         },
         match: {
           date: match.match_date,
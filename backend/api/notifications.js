@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const notificationService = require('../services/notification-service');
+const { requireAuth } = require('../middleware/siwe-auth');
+const notificationDeliveryService = require('../services/notification-delivery-service');
+const { ChannelError, CHANNEL_NAMES } = require('../services/notification-delivery-service');
+
+// Keys of PUT /preferences handled by the delivery service
+const DELIVERY_PREFERENCE_KEYS = ['quietHours', 'timezone', 'digest', 'digestHour'];
 
 /**
  * GET /api/notifications
@@ -74,21 +80,187 @@ router.get('/unread-count', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/notifications/preferences
+ * Get notification preferences for the signed-in wallet
+ */
+router.get('/preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = {
+      ...await notificationService.getPreferences(req.user.address),
+      ...await notificationDeliveryService.getDeliveryPreferences(req.user.address)
+    };
+
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error('❌ Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification preferences',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Update notification preferences, e.g.
+ * { "claimReminders": false, "quietHours": { "start": 22, "end": 7 }, "timezone": "Europe/Berlin",
+ *   "digest": "daily", "digestHour": 9 }
+ * quietHours and digest only delay channel deliveries (webhook, email, telegram)
+ */
+router.put('/preferences', requireAuth, async (req, res) => {
+  try {
+    const updates = req.body || {};
+    let delivery;
+    if (DELIVERY_PREFERENCE_KEYS.some(key => updates[key] !== undefined)) {
+      delivery = await notificationDeliveryService.updateDeliveryPreferences(req.user.address, updates);
+    } else {
+      delivery = await notificationDeliveryService.getDeliveryPreferences(req.user.address);
+    }
+    const preferences = {
+      ...await notificationService.updatePreferences(req.user.address, updates),
+      ...delivery
+    };
+
+    res.json({ success: true, preferences });
+  } catch (error) {
+    if (error instanceof ChannelError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/notifications/channels
+ * Delivery channels of the signed-in wallet and the channels this server can send to
+ */
+router.get('/channels', requireAuth, async (req, res) => {
+  try {
+    const channels = await notificationDeliveryService.getChannels(req.user.address);
+
+    res.json({
+      success: true,
+      channels,
+      available: notificationDeliveryService.getAvailableChannels()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching notification channels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification channels',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/channels/:channel
+ * Set up or change a channel (webhook, email, telegram), e.g.
+ * { "target": "me@example.com", "notificationTypes": ["bet_won", "claim_reminder"], "enabled": true }
+ * A new or changed target gets a verification code; nothing else is sent until it is confirmed.
+ * For webhooks the signing secret is returned once, when the channel is created.
+ */
+router.put('/channels/:channel', requireAuth, async (req, res) => {
+  try {
+    const { channel } = req.params;
+    const { target, notificationTypes = null, enabled = true } = req.body || {};
+
+    if (!CHANNEL_NAMES.includes(channel)) {
+      return res.status(400).json({ success: false, error: `Unknown channel: ${channel}` });
+    }
+    if (!target) {
+      return res.status(400).json({ success: false, error: 'target is required' });
+    }
+
+    const knownTypes = Object.values(notificationService.NOTIFICATION_TYPES);
+    if (notificationTypes !== null &&
+      (!Array.isArray(notificationTypes) || notificationTypes.some(type => !knownTypes.includes(type)))) {
+      return res.status(400).json({
+        success: false,
+        error: `notificationTypes must be null or a list of: ${knownTypes.join(', ')}`
+      });
+    }
+
+    const result = await notificationDeliveryService.saveChannel(req.user.address, channel, {
+      target,
+      notificationTypes,
+      enabled: enabled !== false
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ChannelError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error saving notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save notification channel',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/channels/:channel/verify
+ * Confirm a channel with the code it received, e.g. { "code": "123456" }
+ */
+router.post('/channels/:channel/verify', requireAuth, async (req, res) => {
+  try {
+    const channel = await notificationDeliveryService.verifyChannel(
+      req.user.address,
+      req.params.channel,
+      (req.body || {}).code
+    );
+
+    res.json({ success: true, channel });
+  } catch (error) {
+    if (error instanceof ChannelError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error verifying notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify notification channel',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/notifications/channels/:channel
+ * Remove a channel (queued deliveries for it are dropped)
+ */
+router.delete('/channels/:channel', requireAuth, async (req, res) => {
+  try {
+    const success = await notificationDeliveryService.deleteChannel(req.user.address, req.params.channel);
+
+    res.json({ success });
+  } catch (error) {
+    console.error('❌ Error deleting notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete notification channel',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/notifications/:id/read
  * Mark notification as read
  */
-router.post('/:id/read', async (req, res) => {
+router.post('/:id/read', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { address } = req.body;
-    
-    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Valid wallet address required' 
-      });
-    }
+    const { address } = req.user;
 
     const success = await notificationService.markAsRead(parseInt(id), address);
 
@@ -107,16 +279,9 @@ router.post('/:id/read', async (req, res) => {
  * POST /api/notifications/read-all
  * Mark all notifications as read
  */
-router.post('/read-all', async (req, res) => {
+router.post('/read-all', requireAuth, async (req, res) => {
   try {
-    const { address } = req.body;
-    
-    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Valid wallet address required' 
-      });
-    }
+    const { address } = req.user;
 
     const success = await notificationService.markAllAsRead(address);
 
@@ -135,17 +300,10 @@ router.post('/read-all', async (req, res) => {
  * DELETE /api/notifications/:id
  * Delete notification
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { address } = req.body;
-    
-    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Valid wallet address required' 
-      });
-    }
+    const { address } = req.user;
 
     const success = await notificationService.deleteNotification(parseInt(id), address);
 
@@ -164,16 +322,9 @@ router.delete('/:id', async (req, res) => {
  * DELETE /api/notifications
  * Delete all notifications
  */
-router.delete('/', async (req, res) => {
+router.delete('/', requireAuth, async (req, res) => {
   try {
-    const { address } = req.body;
-    
-    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Valid wallet address required' 
-      });
-    }
+    const { address } = req.user;
 
     const success = await notificationService.deleteAllNotifications(address);
 
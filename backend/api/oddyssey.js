@@ -1102,12 +1102,12 @@ router.get('/user-slips/:address', async (req, res) => {
             FROM oracle.fixtures f
             LEFT JOIN oracle.fixture_results fr ON f.id = fr.fixture_id::text
             -- Get 1X2 odds
-            LEFT JOIN oracle.fixture_odds fo_home ON f.id = fo_home.fixture_id::text AND fo_home.market_id = '1' AND fo_home.label = 'Home'
-            LEFT JOIN oracle.fixture_odds fo_draw ON f.id = fo_draw.fixture_id::text AND fo_draw.market_id = '1' AND fo_draw.label = 'Draw'
-            LEFT JOIN oracle.fixture_odds fo_away ON f.id = fo_away.fixture_id::text AND fo_away.market_id = '1' AND fo_away.label = 'Away'
+            LEFT JOIN oracle.fixture_odds_consensus fo_home ON f.id = fo_home.fixture_id::text AND fo_home.market_id = '1' AND fo_home.label = 'Home'
+            LEFT JOIN oracle.fixture_odds_consensus fo_draw ON f.id = fo_draw.fixture_id::text AND fo_draw.market_id = '1' AND fo_draw.label = 'Draw'
+            LEFT JOIN oracle.fixture_odds_consensus fo_away ON f.id = fo_away.fixture_id::text AND fo_away.market_id = '1' AND fo_away.label = 'Away'
             -- Get Over/Under 2.5 odds
-            LEFT JOIN oracle.fixture_odds fo_over ON f.id = fo_over.fixture_id::text AND fo_over.market_id = '80' AND fo_over.label = 'Over'
-            LEFT JOIN oracle.fixture_odds fo_under ON f.id = fo_under.fixture_id::text AND fo_under.market_id = '80' AND fo_under.label = 'Under'
+            LEFT JOIN oracle.fixture_odds_consensus fo_over ON f.id = fo_over.fixture_id::text AND fo_over.market_id = '80' AND fo_over.label = 'Over' AND fo_over.total = 2.5
+            LEFT JOIN oracle.fixture_odds_consensus fo_under ON f.id = fo_under.fixture_id::text AND fo_under.market_id = '80' AND fo_under.label = 'Under' AND fo_under.total = 2.5
             WHERE f.id = $1::text
           `, [matchId]);
 
@@ -1806,11 +1806,11 @@ router.get('/contract-matches', asyncHandler(async (req, res) => {
         f.league_name,
         f.match_date,
         f.status,
-        (SELECT value FROM oracle.fixture_odds WHERE fixture_id = f.id::VARCHAR AND market_id = '1' AND label = 'Home' LIMIT 1) as home_odds,
-        (SELECT value FROM oracle.fixture_odds WHERE fixture_id = f.id::VARCHAR AND market_id = '1' AND label = 'Draw' LIMIT 1) as draw_odds,
-        (SELECT value FROM oracle.fixture_odds WHERE fixture_id = f.id::VARCHAR AND market_id = '1' AND label = 'Away' LIMIT 1) as away_odds,
-        (SELECT value FROM oracle.fixture_odds WHERE fixture_id = f.id::VARCHAR AND market_id = '80' AND label = 'Over' AND total = '2.500000' LIMIT 1) as over_odds,
-        (SELECT value FROM oracle.fixture_odds WHERE fixture_id = f.id::VARCHAR AND market_id = '80' AND label = 'Under' AND total = '2.500000' LIMIT 1) as under_odds
+        (SELECT value FROM oracle.fixture_odds_consensus WHERE fixture_id = f.id::VARCHAR AND market_id = '1' AND label = 'Home' LIMIT 1) as home_odds,
+        (SELECT value FROM oracle.fixture_odds_consensus WHERE fixture_id = f.id::VARCHAR AND market_id = '1' AND label = 'Draw' LIMIT 1) as draw_odds,
+        (SELECT value FROM oracle.fixture_odds_consensus WHERE fixture_id = f.id::VARCHAR AND market_id = '1' AND label = 'Away' LIMIT 1) as away_odds,
+        (SELECT value FROM oracle.fixture_odds_consensus WHERE fixture_id = f.id::VARCHAR AND market_id = '80' AND label = 'Over' AND total = '2.500000' LIMIT 1) as over_odds,
+        (SELECT value FROM oracle.fixture_odds_consensus WHERE fixture_id = f.id::VARCHAR AND market_id = '80' AND label = 'Under' AND total = '2.500000' LIMIT 1) as under_odds
       FROM oracle.fixtures f
       WHERE f.id = ANY($1)
       ORDER BY f.match_date ASC
@@ -0,0 +1,395 @@
+const express = require('express');
+const router = express.Router();
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const { asyncHandler } = require('../utils/validation');
+const optimizedCaching = require('../middleware/optimized-caching');
+
+/**
+ * Optimistic Markets API
+ *
+ * Read-only endpoints over the tables maintained by services/optimistic-oracle-indexer.js:
+ * - Markets and proposals
+ * - Open challenge / voting windows
+ * - Dispute votes and bond status
+ * - Per-user activity and claimable bonds
+ */
+
+// Mirrors OptimisticOracle.sol constants
+const CHALLENGE_WINDOW = 24 * 60 * 60;
+
+/**
+ * Work out who receives the bonds of a resolved market (mirrors OptimisticOracle.claimBonds)
+ * Returns [{ address, amount }] in wei
+ */
+function calculateBondPayouts(market, votes) {
+  const proposalBond = BigInt(market.proposal_bond || 0);
+  const disputeBond = BigInt(market.dispute_bond || 0);
+
+  if (market.state !== 'resolved' || !market.proposer_address) {
+    return [];
+  }
+
+  if (!market.disputer_address) {
+    return [{ address: market.proposer_address, amount: proposalBond }];
+  }
+
+  const totalBonds = proposalBond + disputeBond;
+  if (market.proposed_outcome_raw === market.final_outcome_raw) {
+    return [{ address: market.proposer_address, amount: totalBonds }];
+  }
+
+  const winningVotes = votes.filter(vote => vote.outcome_raw === market.final_outcome_raw);
+  const winningPower = winningVotes.reduce((sum, vote) => sum + BigInt(vote.voting_power), 0n);
+  if (winningPower === 0n) {
+    return [{ address: market.disputer_address, amount: totalBonds }];
+  }
+
+  let distributed = 0n;
+  return winningVotes.map((vote, index) => {
+    const amount = index === winningVotes.length - 1
+      ? totalBonds - distributed
+      : (totalBonds * BigInt(vote.voting_power)) / winningPower;
+    distributed += amount;
+    return { address: vote.voter_address, amount };
+  });
+}
+
+/**
+ * Derive the current phase of a market from its state and windows
+ */
+function getMarketPhase(market) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (market.state === 'pending') {
+    return now >= Number(market.event_end_time) ? 'awaiting_proposal' : 'open';
+  }
+  if (market.state === 'proposed') {
+    return now <= Number(market.proposal_time) + CHALLENGE_WINDOW ? 'challenge_window' : 'resolvable';
+  }
+  if (market.state === 'disputed') {
+    return now <= Number(market.dispute_end_time) ? 'voting' : 'resolvable';
+  }
+  return market.state;
+}
+
+/**
+ * Format a market row for API responses
+ */
+function formatMarket(market) {
+  const phase = getMarketPhase(market);
+
+  return {
+    marketIdHash: market.market_id_hash,
+    marketId: market.market_id,
+    poolId: market.pool_id !== null ? Number(market.pool_id) : null,
+    question: market.question,
+    category: market.category,
+    eventEndTime: Number(market.event_end_time),
+    state: market.state,
+    phase,
+    proposal: market.proposer_address ? {
+      proposer: market.proposer_address,
+      outcome: market.proposed_outcome,
+      outcomeRaw: market.proposed_outcome_raw,
+      bond: ethers.formatEther(market.proposal_bond?.toString() || '0'),
+      proposedAt: market.proposal_time ? Number(market.proposal_time) : null,
+      challengeWindowEndsAt: market.proposal_time ? Number(market.proposal_time) + CHALLENGE_WINDOW : null,
+      txHash: market.proposal_tx_hash
+    } : null,
+    dispute: market.disputer_address ? {
+      disputer: market.disputer_address,
+      bond: ethers.formatEther(market.dispute_bond?.toString() || '0'),
+      disputedAt: market.dispute_time ? Number(market.dispute_time) : null,
+      votingEndsAt: market.dispute_end_time ? Number(market.dispute_end_time) : null,
+      txHash: market.dispute_tx_hash
+    } : null,
+    resolution: market.state === 'resolved' ? {
+      finalOutcome: market.final_outcome,
+      finalOutcomeRaw: market.final_outcome_raw,
+      winner: market.winner_address,
+      resolvedAt: market.resolved_at,
+      txHash: market.resolution_tx_hash
+    } : null,
+    bondsClaimed: market.bonds_claimed,
+    createdAt: market.created_at,
+    updatedAt: market.updated_at
+  };
+}
+
+function formatVote(vote) {
+  return {
+    voter: vote.voter_address,
+    outcome: vote.outcome,
+    outcomeRaw: vote.outcome_raw,
+    votingPower: vote.voting_power.toString(),
+    txHash: vote.tx_hash,
+    votedAt: vote.voted_at
+  };
+}
+
+/**
+ * Look up a market by keccak hash or by its string market id
+ */
+async function findMarket(identifier) {
+  const column = /^0x[0-9a-fA-F]{64}$/.test(identifier) ? 'market_id_hash' : 'market_id';
+  const result = await db.query(
+    `SELECT * FROM oracle.optimistic_markets WHERE ${column} = $1`,
+    [column === 'market_id_hash' ? identifier.toLowerCase() : identifier]
+  );
+  return result.rows[0] || null;
+}
+
+async function getVotes(marketHash) {
+  const result = await db.query(`
+    SELECT * FROM oracle.optimistic_votes
+    WHERE market_id_hash = $1
+    ORDER BY voted_at ASC
+  `, [marketHash]);
+  return result.rows;
+}
+
+/**
+ * GET /api/optimistic-markets
+ * List markets with optional state / category / proposer / pool filters
+ */
+router.get('/', optimizedCaching.cacheMiddleware(15000), asyncHandler(async (req, res) => {
+  const { state, category, proposer, poolId, limit = 20, offset = 0 } = req.query;
+
+  const conditions = [];
+  const params = [];
+
+  if (state) {
+    params.push(state);
+    conditions.push(`state = $${params.length}`);
+  }
+  if (category) {
+    params.push(category);
+    conditions.push(`category = $${params.length}`);
+  }
+  if (proposer) {
+    if (!ethers.isAddress(proposer)) {
+      return res.status(400).json({ success: false, error: 'Invalid proposer address' });
+    }
+    params.push(proposer.toLowerCase());
+    conditions.push(`LOWER(proposer_address) = $${params.length}`);
+  }
+  if (poolId !== undefined) {
+    params.push(parseInt(poolId));
+    conditions.push(`pool_id = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const safeLimit = Math.min(parseInt(limit) || 20, 100);
+  const safeOffset = Math.max(parseInt(offset) || 0, 0);
+
+  const [marketsResult, countResult] = await Promise.all([
+    db.query(`
+      SELECT * FROM oracle.optimistic_markets
+      ${whereClause}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, safeLimit, safeOffset]),
+    db.query(`SELECT COUNT(*) as total FROM oracle.optimistic_markets ${whereClause}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].total);
+  res.json({
+    success: true,
+    data: {
+      markets: marketsResult.rows.map(formatMarket),
+      pagination: {
+        total,
+        limit: safeLimit,
+        offset: safeOffset,
+        hasMore: safeOffset + marketsResult.rows.length < total
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/optimistic-markets/windows/open
+ * Proposals that can still be challenged, disputes still accepting votes,
+ * ended markets awaiting a proposal and markets ready to be resolved
+ */
+router.get('/windows/open', optimizedCaching.cacheMiddleware(15000), asyncHandler(async (req, res) => {
+  const result = await db.query(`
+    SELECT * FROM oracle.optimistic_markets
+    WHERE state IN ('pending', 'proposed', 'disputed')
+    ORDER BY COALESCE(dispute_end_time, proposal_time, event_end_time) ASC
+  `);
+
+  const markets = result.rows.map(formatMarket);
+  res.json({
+    success: true,
+    data: {
+      awaitingProposal: markets.filter(m => m.phase === 'awaiting_proposal'),
+      challengeWindow: markets.filter(m => m.phase === 'challenge_window'),
+      voting: markets.filter(m => m.phase === 'voting'),
+      resolvable: markets.filter(m => m.phase === 'resolvable')
+    }
+  });
+}));
+
+/**
+ * GET /api/optimistic-markets/users/:address/activity
+ * Proposals, disputes and votes made by a user
+ */
+router.get('/users/:address/activity', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid user address' });
+  }
+
+  const userAddress = address.toLowerCase();
+  const [proposals, disputes, votes] = await Promise.all([
+    db.query('SELECT * FROM oracle.optimistic_markets WHERE LOWER(proposer_address) = $1 ORDER BY proposal_time DESC', [userAddress]),
+    db.query('SELECT * FROM oracle.optimistic_markets WHERE LOWER(disputer_address) = $1 ORDER BY dispute_time DESC', [userAddress]),
+    db.query(`
+      SELECT v.*, m.market_id, m.question, m.state, m.final_outcome_raw
+      FROM oracle.optimistic_votes v
+      JOIN oracle.optimistic_markets m ON m.market_id_hash = v.market_id_hash
+      WHERE LOWER(v.voter_address) = $1
+      ORDER BY v.voted_at DESC
+    `, [userAddress])
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      userAddress,
+      proposals: proposals.rows.map(formatMarket),
+      disputes: disputes.rows.map(formatMarket),
+      votes: votes.rows.map(vote => ({
+        ...formatVote(vote),
+        marketIdHash: vote.market_id_hash,
+        marketId: vote.market_id,
+        question: vote.question,
+        marketState: vote.state,
+        correct: vote.state === 'resolved' ? vote.outcome_raw === vote.final_outcome_raw : null
+      }))
+    }
+  });
+}));
+
+/**
+ * GET /api/optimistic-markets/users/:address/claimable-bonds
+ * Resolved markets whose bonds have not been claimed and would pay this user
+ */
+router.get('/users/:address/claimable-bonds', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ success: false, error: 'Invalid user address' });
+  }
+
+  const userAddress = address.toLowerCase();
+  const marketsResult = await db.query(`
+    SELECT DISTINCT m.*
+    FROM oracle.optimistic_markets m
+    LEFT JOIN oracle.optimistic_votes v ON v.market_id_hash = m.market_id_hash
+    WHERE m.state = 'resolved'
+      AND m.bonds_claimed = false
+      AND (
+        LOWER(m.proposer_address) = $1
+        OR LOWER(m.disputer_address) = $1
+        OR LOWER(v.voter_address) = $1
+      )
+  `, [userAddress]);
+
+  const claimable = [];
+  for (const market of marketsResult.rows) {
+    const votes = market.disputer_address ? await getVotes(market.market_id_hash) : [];
+    const payout = calculateBondPayouts(market, votes).find(p => p.address === userAddress);
+    if (payout && payout.amount > 0n) {
+      claimable.push({
+        marketIdHash: market.market_id_hash,
+        marketId: market.market_id,
+        question: market.question,
+        amount: ethers.formatEther(payout.amount),
+        role: payout.address === market.proposer_address ? 'proposer'
+          : payout.address === market.disputer_address ? 'disputer' : 'voter'
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      userAddress,
+      claimable,
+      totalBITR: ethers.formatEther(claimable.reduce((sum, c) => sum + ethers.parseEther(c.amount), 0n))
+    }
+  });
+}));
+
+/**
+ * GET /api/optimistic-markets/:marketId
+ * Market detail (by keccak hash or string market id) with votes and bond status
+ */
+router.get('/:marketId', optimizedCaching.cacheMiddleware(10000), asyncHandler(async (req, res) => {
+  const market = await findMarket(req.params.marketId);
+  if (!market) {
+    return res.status(404).json({ success: false, error: 'Optimistic market not found' });
+  }
+
+  const votes = await getVotes(market.market_id_hash);
+  const claims = await db.query(`
+    SELECT claimer_address, amount, tx_hash, claimed_at
+    FROM oracle.optimistic_bond_claims
+    WHERE market_id_hash = $1
+    ORDER BY claimed_at ASC
+  `, [market.market_id_hash]);
+
+  const tallies = {};
+  for (const vote of votes) {
+    const key = vote.outcome || vote.outcome_raw;
+    tallies[key] = (tallies[key] || 0n) + BigInt(vote.voting_power);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...formatMarket(market),
+      votes: votes.map(formatVote),
+      voteTallies: Object.entries(tallies).map(([outcome, power]) => ({ outcome, votingPower: power.toString() })),
+      bonds: {
+        claimed: market.bonds_claimed,
+        expectedPayouts: calculateBondPayouts(market, votes).map(p => ({
+          address: p.address,
+          amount: ethers.formatEther(p.amount)
+        })),
+        claims: claims.rows.map(claim => ({
+          claimer: claim.claimer_address,
+          amount: ethers.formatEther(claim.amount.toString()),
+          txHash: claim.tx_hash,
+          claimedAt: claim.claimed_at
+        }))
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/optimistic-markets/:marketId/votes
+ * Dispute votes for a market
+ */
+router.get('/:marketId/votes', asyncHandler(async (req, res) => {
+  const market = await findMarket(req.params.marketId);
+  if (!market) {
+    return res.status(404).json({ success: false, error: 'Optimistic market not found' });
+  }
+
+  const votes = await getVotes(market.market_id_hash);
+  res.json({
+    success: true,
+    data: {
+      marketIdHash: market.market_id_hash,
+      phase: getMarketPhase(market),
+      votes: votes.map(formatVote),
+      totalVotingPower: votes.reduce((sum, vote) => sum + BigInt(vote.voting_power), 0n).toString()
+    }
+  });
+}));
+
+module.exports = router;
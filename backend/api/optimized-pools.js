@@ -5,15 +5,18 @@ const { ethers } = require('ethers');
 const optimizedCaching = require('../middleware/optimized-caching');
 const sharedQueryService = require('../services/shared-query-service');
 const { enrichPoolsWithArbitrationInfo, enrichPoolWithArbitrationInfo } = require('../utils/arbitration-helper');
+const marketSpec = require('../utils/market-spec');
+const poolRanking = require('../utils/pool-ranking');
+const { optionalAuth } = require('../middleware/siwe-auth');
 
 /**
  * GET /api/optimized-pools/pools
  * Get all pools with comprehensive data for EnhancedPoolCard
  * ✅ CRITICAL: Verifies settlement status against contract for settled pools to ensure DB sync
  */
-router.get('/pools', optimizedCaching.cacheMiddleware(120), async (req, res) => {
+router.get('/pools', optionalAuth, optimizedCaching.cacheMiddleware(120), async (req, res) => {
   try {
-    const { category, status, sortBy = 'newest', limit = 50, offset = 0 } = req.query;
+    const { category, status, sortBy = 'ranked', limit = 50, offset = 0 } = req.query;
     
     // ✅ CRITICAL: Verify settlement status against contract for settled pools
     // This ensures DB is always in sync with on-chain state
@@ -41,9 +44,10 @@ router.get('/pools', optimizedCaching.cacheMiddleware(120), async (req, res) =>
     };
     
     // Build dynamic query
-    let whereClause = 'WHERE p.status != \'deleted\'';
-    let queryParams = [];
-    let paramCount = 0;
+    // Private pools are only listed for their creator and whitelisted users
+    let whereClause = `WHERE p.status != 'deleted' AND ${poolRanking.visibleToSql('p', '$1')}`;
+    let queryParams = [req.user ? req.user.address : null];
+    let paramCount = 1;
     
     if (category && category !== 'all') {
       paramCount++;
@@ -62,9 +66,11 @@ router.get('/pools', optimizedCaching.cacheMiddleware(120), async (req, res) =>
       }
     }
     
-    // Sort options
+    // Sort options ('ranked': active boost tier, then recency and fill - see utils/pool-ranking.js)
     let orderBy = 'ORDER BY p.pool_id DESC';
-    if (sortBy === 'oldest') {
+    if (sortBy === 'ranked') {
+      orderBy = poolRanking.orderBySql('p');
+    } else if (sortBy === 'oldest') {
       orderBy = 'ORDER BY p.pool_id ASC';
     } else if (sortBy === 'volume') {
       orderBy = 'ORDER BY p.total_bettor_stake DESC';
@@ -85,6 +91,7 @@ router.get('/pools', optimizedCaching.cacheMiddleware(120), async (req, res) =>
         p.total_bettor_stake,
         p.max_bettor_stake,
         p.predicted_outcome,
+        p.market_spec,
         p.event_start_time,
         p.event_end_time,
         p.betting_end_time,
@@ -282,6 +289,11 @@ router.get('/pools', optimizedCaching.cacheMiddleware(120), async (req, res) =>
         
         // Generate intelligent title using frontend-compatible logic
         const generateTitle = () => {
+          // Football pools with a market spec get their title from it
+          if (pool.market_spec && pool.market_spec.family !== 'PRICE' && pool.home_team && pool.away_team) {
+            return marketSpec.title(pool.market_spec, { homeTeam: pool.home_team, awayTeam: pool.away_team });
+          }
+
           // Always generate a new title based on the data, ignore existing database title
           // Use the same title generation logic as frontend
           // Prefer detailed_predicted_outcome from football_prediction_markets if available
@@ -660,10 +672,7 @@ router.get('/pools', optimizedCaching.cacheMiddleware(120), async (req, res) =>
           isSettled: Boolean(verifiedIsSettled), // ✅ FIX: Ensure boolean type
           creatorSideWon: Boolean(verifiedCreatorSideWon), // ✅ FIX: Ensure boolean type (source of truth)
           currency,
-          boostTier: pool.boost_tier === 0 || pool.boost_tier === '0' || pool.boost_tier === 'NONE' || !pool.boost_tier ? 'NONE' : 
-                    pool.boost_tier === 1 || pool.boost_tier === '1' || pool.boost_tier === 'BRONZE' ? 'BRONZE' : 
-                    pool.boost_tier === 2 || pool.boost_tier === '2' || pool.boost_tier === 'SILVER' ? 'SILVER' : 
-                    pool.boost_tier === 3 || pool.boost_tier === '3' || pool.boost_tier === 'GOLD' ? 'GOLD' : 'NONE',
+          boostTier: Number(pool.boost_expiry) > now ? poolRanking.tierName(pool.boost_tier) : 'NONE',
           trending: parseFloat(pool.fill_percentage) > 50,
           socialStats: (() => {
             // Get social stats from pool.social_stats JSONB column or calculate dynamically
@@ -1067,6 +1076,11 @@ router.get('/pools/:id', optimizedCaching.cacheMiddleware(60), async (req, res)
     
     // Generate intelligent title using frontend-compatible logic
     const generateTitle = () => {
+      // Football pools with a market spec get their title from it
+      if (pool.market_spec && pool.market_spec.family !== 'PRICE' && pool.home_team && pool.away_team) {
+        return marketSpec.title(pool.market_spec, { homeTeam: pool.home_team, awayTeam: pool.away_team });
+      }
+
       // Always generate a new title based on the data, ignore existing database title
       // Use the same title generation logic as frontend
       // Prefer detailed_predicted_outcome from football_prediction_markets if available
@@ -1892,7 +1906,7 @@ router.get('/analytics', optimizedCaching.cacheMiddleware(300), async (req, res)
         COALESCE(SUM(CASE WHEN p.use_bitr = false THEN (p.total_bettor_stake + p.creator_stake) ELSE 0 END), 0) as stt_volume,
         COUNT(DISTINCT p.creator_address) as unique_creators,
         COALESCE(COUNT(DISTINCT b.bettor_address), 0) as unique_bettors,
-        COUNT(CASE WHEN p.boost_tier != 'NONE' AND p.boost_tier IS NOT NULL THEN 1 END) as boosted_pools
+        COUNT(CASE WHEN ${poolRanking.activeTierSql('p')} > 0 THEN 1 END) as boosted_pools
       FROM oracle.pools p
       LEFT JOIN oracle.bets b ON p.pool_id::bigint = b.pool_id::bigint
       WHERE p.status != 'deleted' OR p.status IS NULL
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { adminAuth } = require('../utils/admin-auth');
+const outcomeCorrectionService = require('../services/outcome-correction-service');
+const { OutcomeCorrectionError, CORRECTION_STATUSES } = require('../services/outcome-correction-service');
+
+/**
+ * Review of guided oracle outcome corrections (services/outcome-correction-service.js),
+ * mounted at /api/admin/oracle-corrections. A correction is prepared by one admin,
+ * approved by another and then executed; every step is audited. Review steps
+ * need a personal admin key (ADMIN_KEYS), whose name is recorded as the actor.
+ */
+
+function sendError(res, error, action) {
+  if (error instanceof OutcomeCorrectionError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+function parseId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Valid correction ID is required' });
+    return null;
+  }
+  return req.params.id;
+}
+
+// GET /api/admin/oracle-corrections?status=&marketId=&limit=&offset=
+router.get('/', ...adminAuth(), async (req, res) => {
+  try {
+    const { status = null, marketId = null } = req.query;
+    if (status && !CORRECTION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${CORRECTION_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const corrections = await outcomeCorrectionService.listCorrections({ status, marketId, limit, offset });
+
+    res.json({ success: true, data: corrections, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching outcome corrections');
+  }
+});
+
+// GET /api/admin/oracle-corrections/:id
+// The case with its pools and audit trail
+router.get('/:id', ...adminAuth(), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const correction = await outcomeCorrectionService.getCorrection(id);
+    res.json({ success: true, data: correction });
+  } catch (error) {
+    sendError(res, error, 'fetching outcome correction');
+  }
+});
+
+// POST /api/admin/oracle-corrections/:id/prepare
+// Body: { outcome?, note? } - outcome defaults to the one re-derived from fixture results
+router.post('/:id/prepare', ...adminAuth({ requireIdentity: true }), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const preparedBy = req.admin.name;
+    const { outcome = null, note = null } = req.body;
+    const correction = await outcomeCorrectionService.prepare(id, { preparedBy, outcome, note });
+    console.log(`📝 Outcome correction ${id} prepared by ${preparedBy}: "${correction.corrected_outcome}"`);
+    res.json({ success: true, data: correction });
+  } catch (error) {
+    sendError(res, error, 'preparing outcome correction');
+  }
+});
+
+// POST /api/admin/oracle-corrections/:id/approve
+// Body: { note? } - must be a different admin from the one who prepared it
+router.post('/:id/approve', ...adminAuth({ requireIdentity: true }), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const approvedBy = req.admin.name;
+    const { note = null } = req.body;
+    const correction = await outcomeCorrectionService.approve(id, { approvedBy, note });
+    console.log(`✅ Outcome correction ${id} approved by ${approvedBy}`);
+    res.json({ success: true, data: correction });
+  } catch (error) {
+    sendError(res, error, 'approving outcome correction');
+  }
+});
+
+// POST /api/admin/oracle-corrections/:id/execute
+// Sends GuidedOracle.correctOutcome from the owner wallet and waits for it
+router.post('/:id/execute', ...adminAuth({ requireIdentity: true }), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const executedBy = req.admin.name;
+    const correction = await outcomeCorrectionService.execute(id, { executedBy });
+    res.json({ success: true, data: correction });
+  } catch (error) {
+    if (error.name === 'TxError') {
+      const status = error.code === 'TIMEOUT' ? 202 : 502;
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        txHash: error.row?.tx_hash || null
+      });
+    }
+    sendError(res, error, 'executing outcome correction');
+  }
+});
+
+// POST /api/admin/oracle-corrections/:id/reject
+// Body: { reason? }
+router.post('/:id/reject', ...adminAuth({ requireIdentity: true }), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const rejectedBy = req.admin.name;
+    const { reason = null } = req.body;
+    const correction = await outcomeCorrectionService.reject(id, { rejectedBy, reason });
+    console.log(`🚫 Outcome correction ${id} rejected by ${rejectedBy}`);
+    res.json({ success: true, data: correction });
+  } catch (error) {
+    sendError(res, error, 'rejecting outcome correction');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/siwe-auth');
+const poolWhitelistService = require('../services/pool-whitelist-service');
+const { WhitelistError } = require('../services/pool-whitelist-service');
+
+/**
+ * Private pool whitelists and invite links, mounted under /api/pools.
+ * Whitelist changes are signed by the creator's wallet; these routes only
+ * prepare the BitredictPoolCore calls.
+ */
+
+function sendError(res, error, action) {
+  if (error instanceof WhitelistError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+function parsePoolId(req, res) {
+  const poolId = req.params.poolId;
+  if (!/^\d+$/.test(poolId)) {
+    res.status(400).json({ success: false, error: 'Valid pool ID is required' });
+    return null;
+  }
+  return poolId;
+}
+
+// GET /api/pools/invites/:token
+// What an invite link points to (pool, expiry, uses left)
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const preview = await poolWhitelistService.getInvitePreview(req.params.token);
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    sendError(res, error, 'reading invite');
+  }
+});
+
+// POST /api/pools/invites/:token/redeem
+// Ask to join a private pool; the creator whitelists pending users on-chain
+router.post('/invites/:token/redeem', requireAuth, async (req, res) => {
+  try {
+    const result = await poolWhitelistService.redeemInvite(req.params.token, req.user.address);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'redeeming invite');
+  }
+});
+
+// GET /api/pools/:poolId/whitelist/me
+// Whitelist status of the signed-in wallet
+router.get('/:poolId/whitelist/me', requireAuth, async (req, res) => {
+  const poolId = parsePoolId(req, res);
+  if (poolId === null) return;
+
+  try {
+    const whitelisted = await poolWhitelistService.isWhitelisted(poolId, req.user.address);
+    const { pending } = whitelisted ? { pending: [] } : await poolWhitelistService.getWhitelist(poolId);
+
+    res.json({
+      success: true,
+      data: {
+        poolId: Number(poolId),
+        address: req.user.address,
+        whitelisted,
+        pendingApproval: pending.some(entry => entry.address === req.user.address)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'checking whitelist status');
+  }
+});
+
+// GET /api/pools/:poolId/whitelist?includeRemoved=true
+// Creator only: whitelisted users and invite redemptions awaiting approval
+router.get('/:poolId/whitelist', requireAuth, async (req, res) => {
+  const poolId = parsePoolId(req, res);
+  if (poolId === null) return;
+
+  try {
+    await poolWhitelistService.getCreatorPool(poolId, req.user.address);
+    const whitelist = await poolWhitelistService.getWhitelist(poolId, {
+      includeRemoved: req.query.includeRemoved === 'true'
+    });
+
+    res.json({ success: true, data: { poolId: Number(poolId), ...whitelist } });
+  } catch (error) {
+    sendError(res, error, 'fetching whitelist');
+  }
+});
+
+// POST /api/pools/:poolId/whitelist/prepare
+// Creator only. Body: { action: 'add' | 'remove', addresses: [...], includePending?: boolean }
+// Returns one addToWhitelist/removeFromWhitelist transaction per address
+router.post('/:poolId/whitelist/prepare', requireAuth, async (req, res) => {
+  const poolId = parsePoolId(req, res);
+  if (poolId === null) return;
+
+  try {
+    const { action, includePending = false } = req.body;
+    const pool = await poolWhitelistService.getCreatorPool(poolId, req.user.address);
+
+    let addresses = Array.isArray(req.body.addresses) ? req.body.addresses : [];
+    if (action === 'add' && includePending) {
+      const { pending } = await poolWhitelistService.getWhitelist(poolId);
+      addresses = [...addresses, ...pending.map(entry => entry.address)];
+    }
+
+    const prepared = await poolWhitelistService.prepareWhitelistUpdate(pool, action, addresses);
+    res.json({ success: true, data: { poolId: Number(poolId), ...prepared } });
+  } catch (error) {
+    sendError(res, error, 'preparing whitelist update');
+  }
+});
+
+// GET /api/pools/:poolId/invites
+// Creator only: invite links for the pool
+router.get('/:poolId/invites', requireAuth, async (req, res) => {
+  const poolId = parsePoolId(req, res);
+  if (poolId === null) return;
+
+  try {
+    await poolWhitelistService.getCreatorPool(poolId, req.user.address);
+    const invites = await poolWhitelistService.listInvites(poolId);
+    res.json({ success: true, data: { poolId: Number(poolId), invites } });
+  } catch (error) {
+    sendError(res, error, 'listing invites');
+  }
+});
+
+// POST /api/pools/:poolId/invites
+// Creator only. Body: { ttlHours?, maxUses?, label? }
+router.post('/:poolId/invites', requireAuth, async (req, res) => {
+  const poolId = parsePoolId(req, res);
+  if (poolId === null) return;
+
+  try {
+    const { ttlHours, maxUses = null, label = null } = req.body;
+    const pool = await poolWhitelistService.getCreatorPool(poolId, req.user.address);
+    const result = await poolWhitelistService.createInvite(pool, {
+      ttlHours,
+      maxUses,
+      label: label ? String(label).slice(0, 100) : null
+    });
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'creating invite');
+  }
+});
+
+// DELETE /api/pools/:poolId/invites/:inviteId
+// Creator only: revoke an invite link
+router.delete('/:poolId/invites/:inviteId', requireAuth, async (req, res) => {
+  const poolId = parsePoolId(req, res);
+  if (poolId === null) return;
+
+  if (!/^\d+$/.test(req.params.inviteId)) {
+    return res.status(400).json({ success: false, error: 'Valid invite ID is required' });
+  }
+
+  try {
+    await poolWhitelistService.getCreatorPool(poolId, req.user.address);
+    const invite = await poolWhitelistService.revokeInvite(poolId, req.params.inviteId);
+    res.json({ success: true, data: invite });
+  } catch (error) {
+    sendError(res, error, 'revoking invite');
+  }
+});
+
+module.exports = router;
@@ -151,6 +151,20 @@ class BitredictAPI {
       await this.poolSyncService.start();
       console.log('✅ Event-driven pool sync started');
       
+      // Start event-driven combo pool sync
+      const EventDrivenComboPoolSync = require('../services/event-driven-combo-pool-sync');
+      this.comboPoolSyncService = new EventDrivenComboPoolSync();
+      await this.comboPoolSyncService.start();
+      console.log('✅ Event-driven combo pool sync started');
+      
+      // Start live match poller
+      if (config.livePoller.enabled) {
+        const LiveMatchPoller = require('../services/live-match-poller');
+        this.liveMatchPoller = new LiveMatchPoller();
+        await this.liveMatchPoller.start();
+        console.log('✅ Live match poller started');
+      }
+      
       console.log('🎯 All event-driven services started successfully');
       
     } catch (error) {
@@ -339,6 +353,15 @@ class BitredictAPI {
     this.app.post('/api/admin/test-oddyssey-resolution', ...adminAuth(), this.testOddysseyResolution.bind(this));
     this.app.post('/api/admin/update-fixture-status', ...adminAuth(), this.updateFixtureStatus.bind(this));
 
+    // Shared transaction queue inspection (admin auth applied per route)
+    this.app.use('/api/admin/tx-queue', require('./tx-queue'));
+
+    // Market maker agent P&L and positions (admin auth applied per route)
+    this.app.use('/api/admin/market-maker', require('./market-maker'));
+
+    // Guided oracle outcome correction review (admin auth applied per route)
+    this.app.use('/api/admin/oracle-corrections', require('./outcome-corrections'));
+
     // Reputation routes
     this.app.use('/api/reputation', reputationRoutes);
     
@@ -353,6 +376,9 @@ class BitredictAPI {
     // Crypto routes (Coinpaprika integration)
     this.app.use('/api/crypto', require('./crypto'));
     
+    // Private pool whitelists and invites (before ./pools so /invites/:token is not read as a pool id)
+    this.app.use('/api/pools', require('./pool-whitelist'));
+
     // Pools routes (new optimized endpoints)
     this.app.use('/api/pools', require('./pools'));
     this.app.use('/api/pool-bets', require('./pool-bets'));
@@ -360,6 +386,9 @@ class BitredictAPI {
     // Airdrop routes (NEW)
     this.app.use('/api/airdrop', require('./airdrop'));
     
+    // Wallet sign-in (SIWE sessions used by user-mutating routes)
+    this.app.use('/api/auth', require('./auth'));
+
     // Faucet routes (NEW)
     this.app.use('/api/faucet', require('./faucet'));
 
@@ -385,6 +414,12 @@ class BitredictAPI {
 
     // Guided markets routes
     this.app.use('/api/guided-markets', require('./guided-markets'));
+
+    // Combo pool routes (multi-condition pools)
+    this.app.use('/api/combo-pools', require('./combo-pools'));
+
+    // Optimistic oracle routes (proposals, disputes, votes, bonds)
+    this.app.use('/api/optimistic-markets', require('./optimistic-markets'));
     
     // Optimized pool endpoints for fast frontend loading
     this.app.use('/api/optimized-pools', optimizedPoolsRouter);
@@ -419,6 +454,12 @@ class BitredictAPI {
     // Reputation routes (NEW)
     this.app.use('/api/reputation', require('./reputation'));
 
+    // Tipster marketplace routes
+    this.app.use('/api/tipsters', require('./tipsters'));
+
+    // Article routes
+    this.app.use('/api/articles', require('./articles'));
+
     // Notifications routes (NEW)
     this.app.use('/api/notifications', require('./notifications'));
 
@@ -3,6 +3,7 @@ const router = express.Router();
 const db = require('../db/db');
 const { asyncHandler } = require('../utils/validation');
 const optimizedCaching = require('../middleware/optimized-caching');
+const outcomeCorrectionService = require('../services/outcome-correction-service');
 
 /**
  * Settlement Results API
@@ -11,6 +12,7 @@ const optimizedCaching = require('../middleware/optimized-caching');
  * - Match results and outcomes
  * - Oracle settlement transactions
  * - Settlement transparency data
+ * - Oracle outcome corrections affecting a pool (until it is settled with the corrected outcome)
  */
 
 /**
@@ -54,12 +56,21 @@ router.get('/', optimizedCaching.cacheMiddleware(30000), asyncHandler(async (req
         (SELECT SUM(amount::numeric) FROM oracle.bets WHERE pool_id = p.pool_id::text) as total_bet_amount,
         -- LP data
         (SELECT COUNT(*) FROM oracle.pool_liquidity_providers WHERE pool_id = p.pool_id::text) as lp_count,
-        (SELECT SUM(amount_provided::numeric) FROM oracle.pool_liquidity_providers WHERE pool_id = p.pool_id::text) as total_lp_stake
+        (SELECT SUM(amount_provided::numeric) FROM oracle.pool_liquidity_providers WHERE pool_id = p.pool_id::text) as total_lp_stake,
+        -- Crypto price proof
+        crp.resolved_price,
+        crp.price_source,
+        crp.price_timestamp,
+        crp.resolution_mode
       FROM oracle.pools p
+      LEFT JOIN oracle.crypto_resolution_proofs crp ON crp.market_id = p.market_id
       WHERE p.oracle_type = 0  -- Only GUIDED oracle pools
       ORDER BY p.pool_id DESC
     `);
     
+    // Pools whose oracle outcome is under review or was corrected after they were settled
+    const corrections = await outcomeCorrectionService.getPoolMarks(result.rows.map(pool => pool.pool_id));
+    
     const settlements = result.rows.map(pool => {
       const isBitr = pool.use_bitr === true;
       const currency = isBitr ? 'BITR' : 'STT';
@@ -122,6 +133,7 @@ router.get('/', optimizedCaching.cacheMiddleware(30000), asyncHandler(async (req
         settledAt: pool.settled_at,
         creatorSideWon: pool.creator_side_won,
         result: pool.result,
+        correction: corrections.get(String(pool.pool_id)) || null,
         // Settlement timing
         bettingEndTime: pool.betting_end_time,
         timeSinceBettingEnd: pool.betting_end_time ? 
@@ -161,6 +173,12 @@ router.get('/', optimizedCaching.cacheMiddleware(30000), asyncHandler(async (req
           result: matchResult
         },
         settlement: settlementData,
+        resolutionProof: pool.price_source ? {
+          price: parseFloat(pool.resolved_price),
+          source: pool.price_source,
+          priceTimestamp: pool.price_timestamp,
+          mode: pool.resolution_mode
+        } : null,
         pool: {
           category: pool.category,
           league: pool.league,
@@ -179,7 +197,8 @@ router.get('/', optimizedCaching.cacheMiddleware(30000), asyncHandler(async (req
         totalSettlements: settlements.length,
         settledCount: settlements.filter(s => s.settlement.isSettled).length,
         pendingCount: settlements.filter(s => s.settlement.settlementStatus === 'pending_settlement').length,
-        activeCount: settlements.filter(s => s.settlement.settlementStatus === 'active').length
+        activeCount: settlements.filter(s => s.settlement.settlementStatus === 'active').length,
+        underCorrectionCount: settlements.filter(s => s.settlement.correction).length
       }
     });
     
@@ -292,6 +311,8 @@ router.get('/:poolId', optimizedCaching.cacheMiddleware(30000), asyncHandler(asy
                        (normalizedResult === zeroResult || 
                         normalizedResult === zeroResult.toLowerCase());
     
+    const corrections = await outcomeCorrectionService.getPoolMarks([pool.pool_id]);
+    
     // Settlement transparency data
     const settlementData = {
       isSettled: pool.is_settled,
@@ -301,6 +322,7 @@ router.get('/:poolId', optimizedCaching.cacheMiddleware(30000), asyncHandler(asy
       settledAt: pool.settled_at,
       creatorSideWon: pool.creator_side_won,
       result: pool.result,
+      correction: corrections.get(String(pool.pool_id)) || null,
       // Settlement timing
       bettingEndTime: pool.betting_end_time,
       timeSinceBettingEnd: pool.betting_end_time ? 
@@ -331,6 +353,54 @@ router.get('/:poolId', optimizedCaching.cacheMiddleware(30000), asyncHandler(asy
       ORDER BY created_at DESC
     `, [poolId]);
     
+    // Price proof for crypto pools (price, source and timestamp at the deadline)
+    const proofResult = await db.query(`
+      SELECT 
+        coinpaprika_id,
+        symbol,
+        target_price,
+        direction,
+        resolution_mode,
+        deadline,
+        resolved_price,
+        price_source,
+        price_timestamp,
+        window_start,
+        sample_count,
+        tolerance_seconds,
+        outcome,
+        submission_tx_hash,
+        source_prices,
+        deviation_percent,
+        confirmed_by,
+        resolved_at
+      FROM oracle.crypto_resolution_proofs
+      WHERE pool_id = $1::bigint OR market_id = $2
+      LIMIT 1
+    `, [poolId, pool.market_id]);
+    
+    const proof = proofResult.rows[0];
+    const resolutionProof = proof ? {
+      coinId: proof.coinpaprika_id,
+      symbol: proof.symbol,
+      targetPrice: parseFloat(proof.target_price),
+      direction: proof.direction,
+      mode: proof.resolution_mode,
+      deadline: proof.deadline,
+      price: parseFloat(proof.resolved_price),
+      source: proof.price_source,
+      priceTimestamp: proof.price_timestamp,
+      windowStart: proof.window_start,
+      sampleCount: proof.sample_count,
+      toleranceSeconds: proof.tolerance_seconds,
+      outcome: proof.outcome,
+      submissionTxHash: proof.submission_tx_hash,
+      sources: proof.source_prices || [],
+      deviationPercent: proof.deviation_percent !== null ? parseFloat(proof.deviation_percent) : null,
+      confirmedBy: proof.confirmed_by,
+      resolvedAt: proof.resolved_at
+    } : null;
+    
     const settlement = {
       poolId: pool.pool_id,
       fixtureId: pool.fixture_id || pool.market_id,
@@ -347,6 +417,7 @@ router.get('/:poolId', optimizedCaching.cacheMiddleware(30000), asyncHandler(asy
       creatorWon: pool.creator_side_won,
       settlementTxHash: pool.settlement_tx_hash, // Settlement transaction hash as proof
       settlementTimestamp: pool.settled_at,
+      resolutionProof,
       transparencyData: {
         totalBets: parseInt(pool.bet_count || 0),
         totalVolume: parseFloat(pool.total_bet_amount || 0) / 1e18,
@@ -3,6 +3,8 @@ const router = express.Router();
 const db = require('../db/db');
 const badgeManager = require('../utils/badgeManager');
 const { cache, cacheKeys, cacheMiddleware, rateLimitMiddleware } = require('../config/redis');
+const { requireAuth, optionalAuth } = require('../middleware/siwe-auth');
+const { adminAuth } = require('../utils/admin-auth');
 
 // =================================================================
 //  POOL COMMENTS & DISCUSSIONS
@@ -75,18 +77,16 @@ router.get('/pools/:poolId/comments',
 
 // Post a comment on a pool
 router.post('/pools/:poolId/comments', 
-  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.body.userAddress), 5, 60), // 5 comments per minute
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.user.address), 5, 60), // 5 comments per minute
   async (req, res) => {
   try {
     const { poolId } = req.params;
-    const { userAddress, content, sentiment = 'neutral', parentCommentId = null } = req.body;
+    const { content, sentiment = 'neutral', parentCommentId = null } = req.body;
+    const userAddress = req.user.address;
     
-    if (!userAddress || !content) {
-      return res.status(400).json({ success: false, error: 'User address and content are required' });
-    }
-
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
+    if (!content) {
+      return res.status(400).json({ success: false, error: 'Content is required' });
     }
 
     // ✅ FIX: Use comment_text column (not content) and don't insert sentiment (column doesn't exist)
@@ -148,19 +148,12 @@ router.post('/pools/:poolId/comments',
 
 // Like or unlike a comment
 router.post('/pools/:poolId/comments/:commentId/like', 
-  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.body.userAddress), 10, 60), // 10 likes per minute
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.user.address), 10, 60), // 10 likes per minute
   async (req, res) => {
   try {
     const { poolId, commentId } = req.params;
-    const { userAddress } = req.body;
-    
-    if (!userAddress) {
-      return res.status(400).json({ success: false, error: 'User address is required' });
-    }
-
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
-    }
+    const userAddress = req.user.address;
 
     // Check if comment exists
     const commentCheck = await db.query(`
@@ -228,10 +221,11 @@ router.post('/pools/:poolId/comments/:commentId/like',
 });
 
 // Track pool view
-router.post('/pools/:poolId/view', async (req, res) => {
+router.post('/pools/:poolId/view', optionalAuth, async (req, res) => {
   try {
     const { poolId } = req.params;
-    const { userAddress } = req.body;
+    // Anonymous views are counted per IP; only a signed-in wallet is recorded as the viewer
+    const userAddress = req.user?.address || null;
     const ipAddress = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0] || 'unknown';
     const userAgent = req.headers['user-agent'] || 'unknown';
 
@@ -269,19 +263,12 @@ router.post('/pools/:poolId/view', async (req, res) => {
 
 // Like or unlike a pool
 router.post('/pools/:poolId/like', 
-  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.body.userAddress), 10, 60), // 10 likes per minute
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.user.address), 10, 60), // 10 likes per minute
   async (req, res) => {
   try {
     const { poolId } = req.params;
-    const { userAddress } = req.body;
-    
-    if (!userAddress) {
-      return res.status(400).json({ success: false, error: 'User address is required' });
-    }
-
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
-    }
+    const userAddress = req.user.address;
 
     // Check if user already liked this pool
     const existingLike = await db.query(`
@@ -383,17 +370,14 @@ router.get('/pools/:poolId/stats', async (req, res) => {
 
 // Follow a user
 router.post('/users/:address/follow', 
-  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.body.userAddress), 20, 60), // 20 follows per minute
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.user.address), 20, 60), // 20 follows per minute
   async (req, res) => {
   try {
     const { address: targetAddress } = req.params;
-    const { userAddress } = req.body;
-    
-    if (!userAddress) {
-      return res.status(400).json({ success: false, error: 'User address is required' });
-    }
+    const userAddress = req.user.address;
 
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/) || !targetAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+    if (!targetAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
       return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
     }
 
@@ -438,17 +422,14 @@ router.post('/users/:address/follow',
 
 // Unfollow a user
 router.post('/users/:address/unfollow', 
-  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.body.userAddress), 20, 60),
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitComment(req.user.address), 20, 60),
   async (req, res) => {
   try {
     const { address: targetAddress } = req.params;
-    const { userAddress } = req.body;
-    
-    if (!userAddress) {
-      return res.status(400).json({ success: false, error: 'User address is required' });
-    }
+    const userAddress = req.user.address;
 
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/) || !targetAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+    if (!targetAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
       return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
     }
 
@@ -737,17 +718,15 @@ router.get('/discussions',
 
 // Create a new discussion
 router.post('/discussions', 
-  rateLimitMiddleware((req) => cacheKeys.rateLimitDiscussion(req.body.userAddress), 3, 300), // 3 discussions per 5 minutes
+  requireAuth,
+  rateLimitMiddleware((req) => cacheKeys.rateLimitDiscussion(req.user.address), 3, 300), // 3 discussions per 5 minutes
   async (req, res) => {
   try {
-    const { userAddress, title, content, category = 'general', tags = [] } = req.body;
+    const { title, content, category = 'general', tags = [] } = req.body;
+    const userAddress = req.user.address;
     
-    if (!userAddress || !title || !content) {
-      return res.status(400).json({ error: 'User address, title, and content are required' });
-    }
-
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ error: 'Invalid wallet address format' });
+    if (!title || !content) {
+      return res.status(400).json({ error: 'Title and content are required' });
     }
 
     const result = await db.query(`
@@ -810,18 +789,15 @@ router.get('/discussions/:discussionId/replies', async (req, res) => {
 // =================================================================
 
 // Add or update a reaction
-router.post('/reactions', async (req, res) => {
+router.post('/reactions', requireAuth, async (req, res) => {
   try {
-    const { userAddress, targetType, targetId, reactionType } = req.body;
+    const { targetType, targetId, reactionType } = req.body;
+    const userAddress = req.user.address;
     
-    if (!userAddress || !targetType || !targetId || !reactionType) {
+    if (!targetType || !targetId || !reactionType) {
       return res.status(400).json({ success: false, error: 'All fields are required' });
     }
 
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
-    }
-
     // Upsert reaction
     const result = await db.query(`
       INSERT INTO core.social_reactions 
@@ -917,7 +893,7 @@ router.get('/users/:address/badges', async (req, res) => {
 });
 
 // Manually check badges for a user (admin endpoint)
-router.post('/users/:address/check-badges', async (req, res) => {
+router.post('/users/:address/check-badges', ...adminAuth(), async (req, res) => {
   try {
     const { address } = req.params;
     
@@ -1082,11 +1058,11 @@ router.get('/pools/:poolId/reflections', async (req, res) => {
 });
 
 // Submit a post-match reflection
-router.post('/pools/:poolId/reflections', async (req, res) => {
+router.post('/pools/:poolId/reflections', requireAuth, async (req, res) => {
   try {
     const { poolId } = req.params;
+    const userAddress = req.user.address;
     const { 
-      userAddress, 
       confidence, 
       wouldBetAgain, 
       lessonsLearned, 
@@ -1094,14 +1070,10 @@ router.post('/pools/:poolId/reflections', async (req, res) => {
       isPublic = false 
     } = req.body;
     
-    if (!userAddress || confidence === undefined || wouldBetAgain === undefined) {
+    if (confidence === undefined || wouldBetAgain === undefined) {
       return res.status(400).json({ error: 'Required fields missing' });
     }
 
-    if (!userAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
-      return res.status(400).json({ error: 'Invalid wallet address format' });
-    }
-
     const result = await db.query(`
       INSERT INTO core.pool_reflections 
       (pool_id, user_address, confidence, would_bet_again, lessons_learned, requests_ai_analysis, is_public)
@@ -1260,8 +1232,8 @@ router.get('/pools/:poolId/bitr-rewards', async (req, res) => {
   }
 });
 
-// Award BITR for participating in high-challenge pools
-router.post('/pools/:poolId/award-bitr', async (req, res) => {
+// Award BITR for participating in high-challenge pools (admin endpoint)
+router.post('/pools/:poolId/award-bitr', ...adminAuth(), async (req, res) => {
   try {
     const { poolId } = req.params;
     const { userAddress, rewardType, amount } = req.body;
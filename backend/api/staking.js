@@ -15,6 +15,12 @@ const STAKING_ABI = [
   "function calculateRewards(address user, uint256 stakeIndex) external view returns (uint256 bitrRewards, uint256 sttRewards)"
 ];
 
+const TIER_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'];
+const DURATION_BONUSES = [0, 200, 400]; // Basis points, BitredictStaking.durationBonuses
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const timeframeDays = (timeframe) => (timeframe === '7d' ? 7 : timeframe === '30d' ? 30 : 90);
+
 /**
  * GET /api/staking/statistics
  * Get overall staking statistics
@@ -707,4 +713,354 @@ router.get('/analytics', async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * GET /api/staking/user/:address/rewards
+ * APY reward and revenue share claims, newest first (from the staking event indexer)
+ */
+router.get('/user/:address/rewards', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid wallet address format'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const userAddress = address.toLowerCase();
+
+    const [historyResult, totalsResult] = await Promise.all([
+      db.query(`
+        SELECT reward_type, bitr_amount, stt_amount, tx_hash, block_number, claimed_at
+        FROM oracle.staking_rewards
+        WHERE user_address = $1
+        ORDER BY block_number DESC, log_index DESC
+        LIMIT $2 OFFSET $3
+      `, [userAddress, limit, offset]),
+      db.query(`
+        SELECT
+          COUNT(*) AS claim_count,
+          COALESCE(SUM(bitr_amount) FILTER (WHERE reward_type = 'apy'), 0)::text AS apy_bitr,
+          COALESCE(SUM(bitr_amount) FILTER (WHERE reward_type = 'revenue'), 0)::text AS revenue_bitr,
+          COALESCE(SUM(stt_amount) FILTER (WHERE reward_type = 'revenue'), 0)::text AS revenue_stt,
+          MAX(claimed_at) AS last_claimed_at
+        FROM oracle.staking_rewards
+        WHERE user_address = $1
+      `, [userAddress])
+    ]);
+
+    const totals = totalsResult.rows[0];
+
+    res.json({
+      address: userAddress,
+      rewards: historyResult.rows.map(row => ({
+        type: row.reward_type,
+        bitrAmount: String(row.bitr_amount),
+        sttAmount: String(row.stt_amount),
+        txHash: row.tx_hash,
+        blockNumber: parseInt(row.block_number),
+        claimedAt: row.claimed_at
+      })),
+      totals: {
+        apyRewardsBITR: totals.apy_bitr,
+        revenueBITR: totals.revenue_bitr,
+        revenueSTT: totals.revenue_stt,
+        formatted: {
+          apyRewardsBITR: ethers.formatEther(totals.apy_bitr) + ' BITR',
+          revenueBITR: ethers.formatEther(totals.revenue_bitr) + ' BITR',
+          revenueSTT: ethers.formatEther(totals.revenue_stt) + ' STT'
+        }
+      },
+      lastClaimedAt: totals.last_claimed_at,
+      pagination: {
+        limit,
+        offset,
+        total: parseInt(totals.claim_count)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting staking reward history:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get staking reward history'
+    });
+  }
+});
+
+/**
+ * GET /api/staking/apy
+ * Realized APY per tier over the timeframe vs the advertised base APY.
+ * Reward APY is the contract rate (base + duration bonus) weighted by stake
+ * time; revenue APY is the tier's share of distributed BITR revenue over its
+ * average stake. STT revenue is reported as STT per staked BITR per year.
+ */
+router.get('/apy', async (req, res) => {
+  try {
+    const timeframe = req.query.timeframe || '90d';
+    const days = timeframeDays(timeframe);
+    const windowSeconds = days * 24 * 60 * 60;
+
+    let tiers = [];
+    try {
+      const provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
+      const stakingContract = new ethers.Contract(
+        config.blockchain.contractAddresses.stakingContract,
+        STAKING_ABI,
+        provider
+      );
+      const tiersResult = await stakingContract.getTiers();
+      tiers = Array.isArray(tiersResult) ? tiersResult : [];
+    } catch (contractError) {
+      console.warn('⚠️ Contract call failed for tiers:', contractError.message);
+    }
+
+    // Stake-seconds inside the window, per tier and duration option
+    const [exposureResult, revenueResult, paidResult] = await Promise.all([
+      db.query(`
+        SELECT tier_id, duration_option,
+          SUM(amount * EXTRACT(EPOCH FROM (
+            LEAST(COALESCE(unstaked_at, NOW()), NOW()) - GREATEST(staked_at, NOW() - make_interval(days => $1))
+          )))::text AS stake_seconds
+        FROM oracle.staking_positions
+        WHERE staked_at < NOW()
+          AND COALESCE(unstaked_at, NOW()) > NOW() - make_interval(days => $1)
+        GROUP BY tier_id, duration_option
+      `, [days]),
+      db.query(`
+        SELECT tier_id,
+          COALESCE(SUM(bitr_amount), 0)::text AS bitr,
+          COALESCE(SUM(stt_amount), 0)::text AS stt,
+          COUNT(*) AS distributions
+        FROM oracle.staking_revenue_distributions
+        WHERE distributed_at >= NOW() - make_interval(days => $1)
+        GROUP BY tier_id
+      `, [days]),
+      db.query(`
+        SELECT COALESCE(SUM(bitr_amount), 0)::text AS bitr
+        FROM oracle.staking_rewards
+        WHERE reward_type = 'apy' AND claimed_at >= NOW() - make_interval(days => $1)
+      `, [days])
+    ]);
+
+    const exposure = {};
+    for (const row of exposureResult.rows) {
+      const tierId = parseInt(row.tier_id);
+      const stakeSeconds = Number(row.stake_seconds) / 1e18;
+      exposure[tierId] = exposure[tierId] || { stakeSeconds: 0, bonusSeconds: 0 };
+      exposure[tierId].stakeSeconds += stakeSeconds;
+      exposure[tierId].bonusSeconds += stakeSeconds * (DURATION_BONUSES[row.duration_option] || 0);
+    }
+    const revenue = {};
+    for (const row of revenueResult.rows) {
+      revenue[parseInt(row.tier_id)] = row;
+    }
+
+    const tierCount = Math.max(tiers.length, ...Object.keys(exposure).map(id => parseInt(id) + 1), 0);
+    const formattedTiers = [];
+    let totalStakeSeconds = 0;
+
+    for (let tierId = 0; tierId < tierCount; tierId++) {
+      const baseAPY = tiers[tierId] ? Number(tiers[tierId].baseAPY) : null;
+      const tierExposure = exposure[tierId] || { stakeSeconds: 0, bonusSeconds: 0 };
+      const tierRevenue = revenue[tierId] || { bitr: '0', stt: '0', distributions: 0 };
+      const averageStaked = tierExposure.stakeSeconds / windowSeconds;
+      totalStakeSeconds += tierExposure.stakeSeconds;
+
+      let rewardAPY = null;
+      let revenueAPY = null;
+      let sttPerBitrYear = null;
+      if (averageStaked > 0) {
+        const averageBonus = tierExposure.bonusSeconds / tierExposure.stakeSeconds;
+        rewardAPY = baseAPY !== null ? (baseAPY + averageBonus) / 100 : null;
+        const annualize = SECONDS_PER_YEAR / windowSeconds;
+        revenueAPY = (Number(tierRevenue.bitr) / 1e18 / averageStaked) * annualize * 100;
+        sttPerBitrYear = (Number(tierRevenue.stt) / 1e18 / averageStaked) * annualize;
+      }
+
+      formattedTiers.push({
+        id: tierId,
+        name: TIER_NAMES[tierId] || `Tier ${tierId}`,
+        advertisedAPY: baseAPY !== null ? baseAPY / 100 : null,
+        realizedAPY: rewardAPY !== null ? rewardAPY + revenueAPY : null,
+        rewardAPY,
+        revenueAPY,
+        sttPerBitrYear,
+        averageStaked: averageStaked.toFixed(4),
+        revenue: {
+          bitr: tierRevenue.bitr,
+          stt: tierRevenue.stt,
+          distributions: parseInt(tierRevenue.distributions)
+        }
+      });
+    }
+
+    // What was actually paid out as APY rewards, over the whole staked base
+    const averageStakedTotal = totalStakeSeconds / windowSeconds;
+    const paidAPY = averageStakedTotal > 0
+      ? (Number(paidResult.rows[0].bitr) / 1e18 / averageStakedTotal) * (SECONDS_PER_YEAR / windowSeconds) * 100
+      : null;
+
+    res.json({
+      timeframe,
+      tiers: formattedTiers,
+      paidAPY,
+      averageStaked: averageStakedTotal.toFixed(4)
+    });
+
+  } catch (error) {
+    console.error('Error getting realized APY:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get realized APY'
+    });
+  }
+});
+
+/**
+ * GET /api/staking/revenue
+ * Protocol revenue sent to stakers per day and source (pool_fees, combo_fees, boosts, manual)
+ */
+router.get('/revenue', async (req, res) => {
+  try {
+    const timeframe = req.query.timeframe || '30d';
+    const days = timeframeDays(timeframe);
+
+    const [dailyResult, pendingResult] = await Promise.all([
+      db.query(`
+        SELECT DATE(added_at) AS date, source,
+          SUM(bitr_amount)::text AS bitr, SUM(stt_amount)::text AS stt, COUNT(*) AS deposits
+        FROM oracle.staking_revenue
+        WHERE added_at >= NOW() - make_interval(days => $1)
+        GROUP BY DATE(added_at), source
+        ORDER BY date DESC, source
+      `, [days]),
+      db.query(`
+        SELECT COALESCE(SUM(bitr_amount), 0)::text AS bitr, COALESCE(SUM(stt_amount), 0)::text AS stt
+        FROM oracle.staking_revenue
+        WHERE distributed_block IS NULL
+      `)
+    ]);
+
+    const bySource = {};
+    for (const row of dailyResult.rows) {
+      const totals = bySource[row.source] || { bitr: 0n, stt: 0n, deposits: 0 };
+      totals.bitr += BigInt(row.bitr);
+      totals.stt += BigInt(row.stt);
+      totals.deposits += parseInt(row.deposits);
+      bySource[row.source] = totals;
+    }
+
+    res.json({
+      timeframe,
+      daily: dailyResult.rows.map(row => ({
+        date: row.date,
+        source: row.source,
+        bitrAmount: row.bitr,
+        sttAmount: row.stt,
+        deposits: parseInt(row.deposits)
+      })),
+      bySource: Object.entries(bySource).map(([source, totals]) => ({
+        source,
+        bitrAmount: totals.bitr.toString(),
+        sttAmount: totals.stt.toString(),
+        deposits: totals.deposits
+      })),
+      // Added but not distributed yet (next distributeRevenue call)
+      pending: {
+        bitrAmount: pendingResult.rows[0].bitr,
+        sttAmount: pendingResult.rows[0].stt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting staking revenue:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get staking revenue'
+    });
+  }
+});
+
+/**
+ * GET /api/staking/unlocks?days=30&address=0x...
+ * Unlock calendar of open stakes: when each stake's lock duration ends, grouped by day.
+ * Stakes already unlocked but not unstaked are summarised separately.
+ */
+router.get('/unlocks', async (req, res) => {
+  try {
+    const { address } = req.query;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+    if (address && !ethers.isAddress(address)) {
+      return res.status(400).json({
+        error: 'Invalid wallet address format'
+      });
+    }
+
+    const userAddress = address ? address.toLowerCase() : null;
+
+    const [upcomingResult, unlockedResult] = await Promise.all([
+      db.query(`
+        SELECT user_address, amount, tier_id, duration_option, staked_at, unlock_at, tx_hash
+        FROM oracle.staking_positions
+        WHERE unstaked_at IS NULL
+          AND unlock_at > NOW() AND unlock_at <= NOW() + make_interval(days => $1)
+          AND ($2::text IS NULL OR user_address = $2)
+        ORDER BY unlock_at
+      `, [days, userAddress]),
+      db.query(`
+        SELECT COUNT(*) AS stakes, COALESCE(SUM(amount), 0)::text AS amount
+        FROM oracle.staking_positions
+        WHERE unstaked_at IS NULL AND unlock_at <= NOW()
+          AND ($1::text IS NULL OR user_address = $1)
+      `, [userAddress])
+    ]);
+
+    const calendar = new Map();
+    for (const row of upcomingResult.rows) {
+      const date = new Date(row.unlock_at).toISOString().slice(0, 10);
+      if (!calendar.has(date)) {
+        calendar.set(date, { date, totalAmount: 0n, stakes: [] });
+      }
+      const day = calendar.get(date);
+      day.totalAmount += BigInt(row.amount);
+      day.stakes.push({
+        userAddress: row.user_address,
+        amount: String(row.amount),
+        tierId: parseInt(row.tier_id),
+        tierName: TIER_NAMES[row.tier_id] || `Tier ${row.tier_id}`,
+        durationOption: parseInt(row.duration_option),
+        stakedAt: row.staked_at,
+        unlockAt: row.unlock_at,
+        txHash: row.tx_hash
+      });
+    }
+
+    res.json({
+      days,
+      address: userAddress,
+      calendar: Array.from(calendar.values()).map(day => ({
+        date: day.date,
+        totalAmount: day.totalAmount.toString(),
+        count: day.stakes.length,
+        stakes: day.stakes
+      })),
+      unlocked: {
+        count: parseInt(unlockedResult.rows[0].stakes),
+        totalAmount: unlockedResult.rows[0].amount
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting unlock calendar:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get unlock calendar'
+    });
+  }
+});
+
+module.exports = router;
@@ -292,8 +292,9 @@ router.post('/accept', (req, res) => {
   // Redirect to faucet API for consistency
   res.json({
     success: true,
-    message: 'Use /faucet/accept-terms endpoint to record acceptance',
-    redirect: '/faucet/accept-terms'
+    message: 'Sign in via /api/auth/login, then use /faucet/accept-terms endpoint to record acceptance',
+    redirect: '/faucet/accept-terms',
+    requiresAuth: true
   });
 });
 
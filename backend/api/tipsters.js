@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, optionalAuth } = require('../middleware/siwe-auth');
+const tipsterService = require('../services/tipster-service');
+const { TipsterError } = require('../services/tipster-service');
+
+/**
+ * Tipster marketplace (services/tipster-service.js), mounted at /api/tipsters.
+ * Publishing needs a live ReputationSystem score of 300+; picks are unlocked
+ * by paying the tipster directly and submitting the transaction hash.
+ */
+
+const PICK_STATUSES = ['open', 'won', 'lost', 'void'];
+
+function sendError(res, error, action) {
+  if (error instanceof TipsterError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`❌ Error ${action}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+function parsePickId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Valid pick ID is required' });
+    return null;
+  }
+  return req.params.id;
+}
+
+function pagination(req) {
+  return {
+    limit: Math.min(parseInt(req.query.limit) || 50, 100),
+    offset: parseInt(req.query.offset) || 0
+  };
+}
+
+// GET /api/tipsters?limit=&offset=
+// Ranked tipsters with their track records
+router.get('/', async (req, res) => {
+  try {
+    const { limit, offset } = pagination(req);
+    const tipsters = await tipsterService.getLeaderboard({ limit, offset });
+    res.json({ success: true, data: tipsters, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching tipsters');
+  }
+});
+
+// GET /api/tipsters/me/eligibility
+// Live reputation of the signed-in wallet and what it may do
+router.get('/me/eligibility', requireAuth, async (req, res) => {
+  try {
+    const eligibility = await tipsterService.getEligibility(req.user.address);
+    res.json({ success: true, data: eligibility });
+  } catch (error) {
+    sendError(res, error, 'checking tipster eligibility');
+  }
+});
+
+// GET /api/tipsters/me/purchases
+router.get('/me/purchases', requireAuth, async (req, res) => {
+  try {
+    const { limit, offset } = pagination(req);
+    const purchases = await tipsterService.listPurchases(req.user.address, { limit, offset });
+    res.json({ success: true, data: purchases, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching purchases');
+  }
+});
+
+// GET /api/tipsters/picks?tipster=&status=&poolId=&fixtureId=&limit=&offset=
+router.get('/picks', optionalAuth, async (req, res) => {
+  try {
+    const { tipster = null, status = null, poolId = null, fixtureId = null } = req.query;
+    if (status && !PICK_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${PICK_STATUSES.join(', ')}` });
+    }
+    if (poolId && !/^\d+$/.test(poolId)) {
+      return res.status(400).json({ success: false, error: 'Valid pool ID is required' });
+    }
+
+    const { limit, offset } = pagination(req);
+    const picks = await tipsterService.listPicks({
+      tipster,
+      status,
+      poolId,
+      fixtureId,
+      viewer: req.user?.address || null,
+      limit,
+      offset
+    });
+    res.json({ success: true, data: picks, pagination: { limit, offset } });
+  } catch (error) {
+    sendError(res, error, 'fetching picks');
+  }
+});
+
+// POST /api/tipsters/picks
+// Body: { poolId, side } or { fixtureId, market }, plus { title, content, currency?, price? }
+router.post('/picks', requireAuth, async (req, res) => {
+  try {
+    const pick = await tipsterService.publishPick(req.user.address, req.body);
+    res.status(201).json({ success: true, data: pick });
+  } catch (error) {
+    sendError(res, error, 'publishing pick');
+  }
+});
+
+// GET /api/tipsters/picks/:id
+// Content is included for the tipster and buyers
+router.get('/picks/:id', optionalAuth, async (req, res) => {
+  const id = parsePickId(req, res);
+  if (id === null) return;
+
+  try {
+    const pick = await tipsterService.getPick(id, req.user?.address || null);
+    res.json({ success: true, data: pick });
+  } catch (error) {
+    sendError(res, error, 'fetching pick');
+  }
+});
+
+// POST /api/tipsters/picks/:id/purchase
+// Body: { txHash } - a transfer of the price from the signed-in wallet to the tipster
+router.post('/picks/:id/purchase', requireAuth, async (req, res) => {
+  const id = parsePickId(req, res);
+  if (id === null) return;
+
+  try {
+    const result = await tipsterService.purchasePick(id, req.user.address, req.body.txHash);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'purchasing pick');
+  }
+});
+
+// GET /api/tipsters/:address
+// Track record and recent picks of one tipster
+router.get('/:address', optionalAuth, async (req, res) => {
+  const { address } = req.params;
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return res.status(400).json({ success: false, error: 'Valid address is required' });
+  }
+
+  try {
+    const [record, picks] = await Promise.all([
+      tipsterService.getTrackRecord(address),
+      tipsterService.listPicks({ tipster: address, viewer: req.user?.address || null, limit: 20 })
+    ]);
+    res.json({ success: true, data: { ...record, recentPicks: picks } });
+  } catch (error) {
+    sendError(res, error, 'fetching tipster');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { adminAuth } = require('../utils/admin-auth');
+const txManager = require('../services/tx-manager');
+const { TX_LANES } = require('../services/tx-manager');
+
+/**
+ * Admin view of the shared transaction queue (services/tx-manager.js),
+ * mounted at /api/admin/tx-queue
+ */
+
+const STATUSES = ['queued', 'sent', 'confirmed', 'reverted', 'failed', 'dropped', 'nonce_consumed'];
+
+function parseId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Valid transaction ID is required' });
+    return null;
+  }
+  return req.params.id;
+}
+
+// GET /api/admin/tx-queue?status=&lane=&signer=&key=&limit=&offset=
+// Queue entries (newest first) with counts per status and lane and each signer's nonce ledger
+router.get('/', ...adminAuth(), async (req, res) => {
+  try {
+    const { status = null, lane = null, signer = null, key = null } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (lane && !(lane in TX_LANES)) {
+      return res.status(400).json({ success: false, error: `lane must be one of: ${Object.keys(TX_LANES).join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const [transactions, summary] = await Promise.all([
+      txManager.listTransactions({ status, lane, signer, key, limit, offset }),
+      txManager.getQueueSummary()
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...summary, transactions },
+      pagination: { limit, offset }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching tx queue:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/tx-queue/:id
+router.get('/:id', ...adminAuth(), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const { raw_tx: rawTx, ...transaction } = await txManager.getTransaction(id);
+    res.json({ success: true, data: { ...transaction, hasSignedTx: Boolean(rawTx) } });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error fetching tx queue entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/tx-queue/:id/retry
+// Queue a reverted, failed or dropped transaction again with the same call data
+router.post('/:id/retry', ...adminAuth(), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const transaction = await txManager.getTransaction(id);
+    if (!['reverted', 'failed', 'dropped'].includes(transaction.status)) {
+      return res.status(409).json({ success: false, error: `Transaction is ${transaction.status}, only reverted, failed or dropped ones can be retried` });
+    }
+
+    const requeued = await txManager.requeue(id, transaction.status);
+    if (!requeued) {
+      return res.status(409).json({ success: false, error: 'Transaction changed state, reload and try again' });
+    }
+
+    const { raw_tx: rawTx, ...data } = requeued;
+    res.json({ success: true, data });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    console.error('❌ Error retrying tx queue entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/tx-queue/:id/cancel
+// Take a transaction out of the queue before it is signed
+router.post('/:id/cancel', ...adminAuth(), async (req, res) => {
+  const id = parseId(req, res);
+  if (id === null) return;
+
+  try {
+    const cancelled = await txManager.cancelQueued(id, req.body?.reason ? `Cancelled by admin: ${String(req.body.reason).slice(0, 200)}` : undefined);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, error: 'Only queued transactions can be cancelled' });
+    }
+
+    const { raw_tx: rawTx, ...data } = cancelled;
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error cancelling tx queue entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -411,4 +411,302 @@ router.get('/:address/portfolio', async (req, res) => {
   }
 });
 
+// Get creator fee earnings - FROM oracle.creator_fee_ledger (services/creator-fee-indexer.js)
+// A claim pays out every accrual before it, so accruals after the last claim are pending
+router.get('/:address/creator-earnings', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    // Validate address format
+    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
+    }
+
+    const lowerAddress = address.toLowerCase();
+    const toToken = (wei) => (parseFloat(wei) || 0) / 1e18;
+
+    const ledgerWithStatus = `
+      WITH last_claim AS (
+        SELECT block_number, log_index FROM oracle.creator_fee_ledger
+        WHERE creator_address = $1 AND event_type = 'claimed'
+        ORDER BY block_number DESC, log_index DESC
+        LIMIT 1
+      )
+      SELECT l.*,
+             (lc.block_number IS NULL OR (l.block_number, l.log_index) > (lc.block_number, lc.log_index)) AS is_pending
+      FROM oracle.creator_fee_ledger l
+      LEFT JOIN last_claim lc ON true
+      WHERE l.creator_address = $1 AND l.event_type = 'accrued'
+    `;
+
+    const [poolsResult, claimsResult, dailyResult] = await Promise.all([
+      db.query(`
+        SELECT
+          a.pool_id,
+          p.title,
+          p.home_team,
+          p.away_team,
+          p.use_bitr,
+          COUNT(*) AS accrual_count,
+          SUM(a.stt_amount) AS stt_earned,
+          SUM(a.bitr_amount) AS bitr_earned,
+          SUM(CASE WHEN a.is_pending THEN a.stt_amount ELSE 0 END) AS stt_pending,
+          SUM(CASE WHEN a.is_pending THEN a.bitr_amount ELSE 0 END) AS bitr_pending,
+          MAX(a.block_timestamp) AS last_accrued_at
+        FROM (${ledgerWithStatus}) a
+        LEFT JOIN oracle.pools p ON p.pool_id = a.pool_id
+        GROUP BY a.pool_id, p.title, p.home_team, p.away_team, p.use_bitr
+        ORDER BY MAX(a.block_timestamp) DESC
+      `, [lowerAddress]),
+      db.query(`
+        SELECT
+          COUNT(*) AS claim_count,
+          COALESCE(SUM(stt_amount), 0) AS stt_claimed,
+          COALESCE(SUM(bitr_amount), 0) AS bitr_claimed,
+          MAX(block_timestamp) AS last_claimed_at
+        FROM oracle.creator_fee_ledger
+        WHERE creator_address = $1 AND event_type = 'claimed'
+      `, [lowerAddress]),
+      db.query(`
+        SELECT
+          DATE_TRUNC('day', block_timestamp)::date AS day,
+          SUM(CASE WHEN event_type = 'accrued' THEN stt_amount ELSE 0 END) AS stt_accrued,
+          SUM(CASE WHEN event_type = 'accrued' THEN bitr_amount ELSE 0 END) AS bitr_accrued,
+          SUM(CASE WHEN event_type = 'claimed' THEN stt_amount ELSE 0 END) AS stt_claimed,
+          SUM(CASE WHEN event_type = 'claimed' THEN bitr_amount ELSE 0 END) AS bitr_claimed
+        FROM oracle.creator_fee_ledger
+        WHERE creator_address = $1 AND block_timestamp >= NOW() - make_interval(days => $2)
+        GROUP BY 1
+        ORDER BY 1
+      `, [lowerAddress, days])
+    ]);
+
+    const pools = poolsResult.rows.map(pool => ({
+      poolId: pool.pool_id,
+      title: pool.title || (pool.home_team && pool.away_team ? `${pool.home_team} vs ${pool.away_team}` : `Pool #${pool.pool_id}`),
+      currency: pool.use_bitr ? 'BITR' : 'STT',
+      accrualCount: parseInt(pool.accrual_count),
+      earned: { stt: toToken(pool.stt_earned), bitr: toToken(pool.bitr_earned) },
+      pending: { stt: toToken(pool.stt_pending), bitr: toToken(pool.bitr_pending) },
+      lastAccruedAt: pool.last_accrued_at
+    }));
+
+    const sum = (key, token) => pools.reduce((total, pool) => total + pool[key][token], 0);
+    const claims = claimsResult.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        address: lowerAddress,
+        totals: {
+          earned: { stt: sum('earned', 'stt'), bitr: sum('earned', 'bitr') },
+          pending: { stt: sum('pending', 'stt'), bitr: sum('pending', 'bitr') },
+          claimed: { stt: toToken(claims.stt_claimed), bitr: toToken(claims.bitr_claimed) }
+        },
+        claimCount: parseInt(claims.claim_count),
+        lastClaimedAt: claims.last_claimed_at,
+        pools,
+        daily: dailyResult.rows.map(row => ({
+          date: row.day,
+          accrued: { stt: toToken(row.stt_accrued), bitr: toToken(row.bitr_accrued) },
+          claimed: { stt: toToken(row.stt_claimed), bitr: toToken(row.bitr_claimed) }
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching creator earnings:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch creator earnings' });
+  }
+});
+
+// Get boost ROI - FROM oracle.pool_boost_events (services/boost-lifecycle-indexer.js)
+// Compares bet volume while each boost ran with an equally long window just before it
+router.get('/:address/boost-roi', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    // Validate address format
+    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
+    }
+
+    const lowerAddress = address.toLowerCase();
+    const toToken = (wei) => (parseFloat(wei) || 0) / 1e18;
+
+    const result = await db.query(`
+      WITH boosts AS (
+        SELECT e.*,
+               LEAD(e.block_number) OVER w AS next_block,
+               LEAD(e.log_index) OVER w AS next_log
+        FROM oracle.pool_boost_events e
+        JOIN oracle.pools p ON p.pool_id = e.pool_id
+        WHERE e.event_type = 'boosted' AND LOWER(p.creator_address) = $1
+        WINDOW w AS (PARTITION BY e.pool_id ORDER BY e.block_number, e.log_index)
+      ),
+      -- Extensions belong to the boost before them; upgrades start a new boost
+      boost_windows AS (
+        SELECT b.id, b.pool_id, b.tier,
+               b.block_timestamp AS boost_start,
+               LEAST(NOW(), to_timestamp(GREATEST(b.expiry, COALESCE(MAX(x.expiry), 0)))) AS boost_end,
+               b.fee + COALESCE(SUM(x.fee), 0) AS total_fee,
+               COUNT(x.id) AS extensions
+        FROM boosts b
+        LEFT JOIN oracle.pool_boost_events x
+          ON x.pool_id = b.pool_id AND x.event_type = 'extended'
+          AND (x.block_number, x.log_index) > (b.block_number, b.log_index)
+          AND (b.next_block IS NULL OR (x.block_number, x.log_index) < (b.next_block, b.next_log))
+        GROUP BY b.id, b.pool_id, b.tier, b.block_timestamp, b.expiry, b.fee
+      ),
+      framed AS (
+        SELECT w.*, p.title, p.home_team, p.away_team, p.use_bitr,
+               GREATEST(p.created_at, w.boost_start - (w.boost_end - w.boost_start)) AS before_start
+        FROM boost_windows w
+        JOIN oracle.pools p ON p.pool_id = w.pool_id
+      )
+      SELECT f.*, v.*
+      FROM framed f
+      LEFT JOIN LATERAL (
+        SELECT
+          COALESCE(SUM(CASE WHEN bt.created_at < f.boost_start THEN bt.amount::numeric END), 0) AS volume_before,
+          COUNT(DISTINCT CASE WHEN bt.created_at < f.boost_start THEN bt.bettor_address END) AS bettors_before,
+          COALESCE(SUM(CASE WHEN bt.created_at >= f.boost_start THEN bt.amount::numeric END), 0) AS volume_during,
+          COUNT(DISTINCT CASE WHEN bt.created_at >= f.boost_start THEN bt.bettor_address END) AS bettors_during
+        FROM oracle.bets bt
+        WHERE bt.pool_id::bigint = f.pool_id
+          AND bt.created_at >= f.before_start AND bt.created_at < f.boost_end
+      ) v ON true
+      ORDER BY f.boost_start DESC
+      LIMIT $2
+    `, [lowerAddress, limit]);
+
+    const hoursBetween = (from, to) => Math.max(0, (new Date(to) - new Date(from)) / 3600000);
+
+    const boosts = result.rows.map(row => {
+      const hoursBefore = hoursBetween(row.before_start, row.boost_start);
+      const hoursDuring = hoursBetween(row.boost_start, row.boost_end);
+      const volumeBefore = toToken(row.volume_before);
+      const volumeDuring = toToken(row.volume_during);
+      const rateBefore = hoursBefore > 0 ? volumeBefore / hoursBefore : 0;
+      const rateDuring = hoursDuring > 0 ? volumeDuring / hoursDuring : 0;
+
+      return {
+        poolId: row.pool_id,
+        title: row.title || (row.home_team && row.away_team ? `${row.home_team} vs ${row.away_team}` : `Pool #${row.pool_id}`),
+        currency: row.use_bitr ? 'BITR' : 'STT',
+        tier: row.tier,
+        startedAt: row.boost_start,
+        endedAt: row.boost_end,
+        extensions: parseInt(row.extensions),
+        feePaid: toToken(row.total_fee), // Boost fees are always STT
+        before: { hours: hoursBefore, volume: volumeBefore, bettors: parseInt(row.bettors_before) },
+        during: { hours: hoursDuring, volume: volumeDuring, bettors: parseInt(row.bettors_during) },
+        // Volume per hour while boosted vs before; null when there is no window before (boosted at creation)
+        volumeUplift: rateBefore > 0 ? (rateDuring - rateBefore) / rateBefore : null,
+        additionalVolume: hoursBefore > 0 ? volumeDuring - rateBefore * hoursDuring : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        address: lowerAddress,
+        totals: {
+          boosts: boosts.length,
+          feePaid: boosts.reduce((total, boost) => total + boost.feePaid, 0)
+        },
+        boosts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching boost ROI:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch boost ROI' });
+  }
+});
+
+// Get claim history - FROM oracle.claims_ledger (services/claims-indexer.js)
+router.get('/:address/claims', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { source } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Validate address format
+    if (!address || !address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      return res.status(400).json({ success: false, error: 'Invalid wallet address format' });
+    }
+
+    if (source && !['pool', 'combo_pool', 'oddyssey'].includes(source)) {
+      return res.status(400).json({ success: false, error: 'source must be pool, combo_pool or oddyssey' });
+    }
+
+    const lowerAddress = address.toLowerCase();
+    const params = [lowerAddress, source || null];
+
+    // Pool and combo claims pay out in the pool's token, Oddyssey prizes in STT
+    const claimsWithCurrency = `
+      SELECT l.*,
+             CASE
+               WHEN l.source = 'pool' THEN p.title
+               WHEN l.source = 'oddyssey' THEN 'Oddyssey Cycle ' || l.cycle_id
+             END AS title,
+             CASE WHEN COALESCE(p.use_bitr, cp.uses_bitr, false) THEN 'BITR' ELSE 'STT' END AS currency
+      FROM oracle.claims_ledger l
+      LEFT JOIN oracle.pools p ON l.source = 'pool' AND p.pool_id = l.source_id
+      LEFT JOIN oracle.combo_pools cp ON l.source = 'combo_pool' AND cp.combo_pool_id = l.source_id
+      WHERE l.user_address = $1 AND ($2::text IS NULL OR l.source = $2)
+    `;
+
+    const [claimsResult, totalsResult] = await Promise.all([
+      db.query(`
+        SELECT * FROM (${claimsWithCurrency}) c
+        ORDER BY c.claimed_at DESC, c.id DESC
+        LIMIT $3 OFFSET $4
+      `, [...params, limit, offset]),
+      db.query(`
+        SELECT c.source, c.currency, COUNT(*) AS claim_count, SUM(c.amount) AS total_amount
+        FROM (${claimsWithCurrency}) c
+        GROUP BY c.source, c.currency
+        ORDER BY c.source, c.currency
+      `, params)
+    ]);
+
+    const totals = totalsResult.rows.map(row => ({
+      source: row.source,
+      currency: row.currency,
+      claims: parseInt(row.claim_count),
+      amount: (parseFloat(row.total_amount) || 0) / 1e18
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        address: lowerAddress,
+        claims: claimsResult.rows.map(claim => ({
+          source: claim.source,
+          id: claim.source_id,
+          cycleId: claim.cycle_id,
+          title: claim.title || (claim.source === 'combo_pool' ? `Combo Pool #${claim.source_id}` : `Pool #${claim.source_id}`),
+          amount: (parseFloat(claim.amount) || 0) / 1e18,
+          currency: claim.currency,
+          txHash: claim.tx_hash,
+          blockNumber: claim.block_number,
+          claimedAt: claim.claimed_at
+        })),
+        totals,
+        pagination: {
+          limit,
+          offset,
+          total: totals.reduce((sum, entry) => sum + entry.claims, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching claim history:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch claim history' });
+  }
+});
+
 module.exports = router;
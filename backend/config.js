@@ -101,6 +101,11 @@ module.exports = {
     }
   },
 
+  // Sign-In-With-Ethereum sessions (services/siwe-auth-service.js)
+  auth: {
+    sessionSecret: process.env.SESSION_SECRET // HMAC key for session tokens, required in production
+  },
+
   // Oracle configuration
   oracle: {
     port: process.env.ORACLE_PORT || 3001,
@@ -134,6 +139,191 @@ module.exports = {
     ]
   },
 
+  // Sports data providers (services/sports-providers), in failover order
+  sportsProviders: {
+    default: (process.env.SPORTS_PROVIDERS || 'sportmonks').split(',').map(name => name.trim()),
+    // Per-league chains as JSON, e.g. {"8": ["sportmonks", "file"]}; leagues with several providers get their results cross-checked
+    leagues: JSON.parse(process.env.SPORTS_PROVIDERS_BY_LEAGUE || '{}')
+  },
+
+  // Consensus across bookmakers (services/odds-consensus.js)
+  oddsConsensus: {
+    method: process.env.ODDS_CONSENSUS_METHOD || 'median', // 'median', 'best' or 'fair' (margin removed)
+    minBookmakers: parseInt(process.env.ODDS_MIN_BOOKMAKERS || '2'), // Prices needed for a selection to count as complete
+    outlierPercent: parseFloat(process.env.ODDS_OUTLIER_PERCENT || '25') // Prices further than this from the median are ignored
+  },
+
+  // Live match poller (services/live-match-poller.js)
+  livePoller: {
+    enabled: process.env.LIVE_POLLER_ENABLED !== 'false',
+    tickMs: parseInt(process.env.LIVE_POLLER_TICK_MS || '5000'), // How often due fixtures are checked
+    refreshMs: parseInt(process.env.LIVE_POLLER_REFRESH_MS || '60000'), // How often the tracked fixture list is reloaded
+    liveIntervalMs: parseInt(process.env.LIVE_POLLER_LIVE_INTERVAL_MS || '20000'), // In play
+    nearKickoffIntervalMs: parseInt(process.env.LIVE_POLLER_NEAR_KICKOFF_INTERVAL_MS || '60000'), // Within nearKickoffMinutes of kick-off, and at half-time
+    preMatchIntervalMs: parseInt(process.env.LIVE_POLLER_PRE_MATCH_INTERVAL_MS || '300000'),
+    nearKickoffMinutes: parseInt(process.env.LIVE_POLLER_NEAR_KICKOFF_MINUTES || '15'),
+    lookaheadMinutes: parseInt(process.env.LIVE_POLLER_LOOKAHEAD_MINUTES || '60'), // Start tracking this long before kick-off
+    maxMatchMinutes: parseInt(process.env.LIVE_POLLER_MAX_MATCH_MINUTES || '180'), // Give up on fixtures that never report full time
+    maxPollsPerTick: parseInt(process.env.LIVE_POLLER_MAX_POLLS_PER_TICK || '5')
+  },
+
+  // WebSocket fan-out (services/websocket-service.js); with REDIS_URL set, broadcasts from any process reach every API instance
+  websocket: {
+    fanoutChannel: process.env.WS_FANOUT_CHANNEL || 'ws:broadcast',
+    replaySize: parseInt(process.env.WS_REPLAY_SIZE || '50'), // Messages kept per channel for reconnecting clients
+    replayTtlSeconds: parseInt(process.env.WS_REPLAY_TTL_SECONDS || '600'), // Idle channels drop their replay buffer after this
+    sequenceTtlSeconds: parseInt(process.env.WS_SEQUENCE_TTL_SECONDS || '86400'),
+    maxSubscriptions: parseInt(process.env.WS_MAX_SUBSCRIPTIONS || '50') // Per connection
+  },
+
+  // Creator fee ledger (services/creator-fee-indexer.js)
+  creatorFees: {
+    pollIntervalMs: parseInt(process.env.CREATOR_FEE_POLL_INTERVAL_MS || '60000'),
+    initialLookbackBlocks: parseInt(process.env.CREATOR_FEE_INITIAL_LOOKBACK_BLOCKS || '100000'), // First run without a checkpoint
+    // Creators are notified once when pending fees cross a threshold, again after their next claim
+    notifyThresholdStt: process.env.CREATOR_FEE_NOTIFY_THRESHOLD_STT || '10',
+    notifyThresholdBitr: process.env.CREATOR_FEE_NOTIFY_THRESHOLD_BITR || '1000'
+  },
+
+  // Claims ledger (services/claims-indexer.js) and unclaimed-win reminders (services/claim-reminder-service.js)
+  claims: {
+    pollIntervalMs: parseInt(process.env.CLAIMS_POLL_INTERVAL_MS || '60000'),
+    initialLookbackBlocks: parseInt(process.env.CLAIMS_INITIAL_LOOKBACK_BLOCKS || '100000'), // First run without a checkpoint
+    reminderAfterDays: parseInt(process.env.CLAIM_REMINDER_AFTER_DAYS || '3'), // Days after settlement before the first reminder
+    reminderRepeatDays: parseInt(process.env.CLAIM_REMINDER_REPEAT_DAYS || '7'),
+    maxReminders: parseInt(process.env.CLAIM_REMINDER_MAX || '3'), // Per win
+    reminderMaxAgeDays: parseInt(process.env.CLAIM_REMINDER_MAX_AGE_DAYS || '60') // Older wins are never reminded
+  },
+
+  // Staking event indexing (reward history, realized APY, revenue and unlocks)
+  staking: {
+    pollIntervalMs: parseInt(process.env.STAKING_INDEXER_POLL_INTERVAL_MS || '60000'),
+    initialLookbackBlocks: parseInt(process.env.STAKING_INDEXER_INITIAL_LOOKBACK_BLOCKS || '100000') // First run without a checkpoint
+  },
+
+  // Boost lifecycle indexing, expiry sweeps and boost-aware pool ranking
+  boosts: {
+    pollIntervalMs: parseInt(process.env.BOOST_INDEXER_POLL_INTERVAL_MS || '60000'),
+    initialLookbackBlocks: parseInt(process.env.BOOST_INDEXER_INITIAL_LOOKBACK_BLOCKS || '100000'), // First run without a checkpoint
+    cleanupOnChain: process.env.BOOST_CLEANUP_ON_CHAIN === 'true', // Call cleanupExpiredBoosts() to free tier slots
+    cleanupBatchSize: parseInt(process.env.BOOST_CLEANUP_BATCH_SIZE || '50'),
+    ranking: {
+      recencyHalfLifeHours: parseFloat(process.env.POOL_RANKING_RECENCY_HALF_LIFE_HOURS || '24'),
+      recencyWeight: parseFloat(process.env.POOL_RANKING_RECENCY_WEIGHT || '1'),
+      fillWeight: parseFloat(process.env.POOL_RANKING_FILL_WEIGHT || '1')
+    }
+  },
+
+  // Private pool whitelist indexing and invite links
+  privatePools: {
+    pollIntervalMs: parseInt(process.env.WHITELIST_INDEXER_POLL_INTERVAL_MS || '60000'),
+    initialLookbackBlocks: parseInt(process.env.WHITELIST_INDEXER_INITIAL_LOOKBACK_BLOCKS || '100000'), // First run without a checkpoint
+    reconcileIntervalMs: parseInt(process.env.WHITELIST_RECONCILE_INTERVAL_MS || '600000'), // Re-read poolWhitelist to catch removals
+    reconcileBatchSize: parseInt(process.env.WHITELIST_RECONCILE_BATCH_SIZE || '200'),
+    inviteSecret: process.env.POOL_INVITE_SECRET || process.env.SESSION_SECRET, // HMAC key for invite tokens
+    inviteTtlHours: parseInt(process.env.POOL_INVITE_TTL_HOURS || '72'),
+    maxInviteTtlHours: parseInt(process.env.POOL_INVITE_MAX_TTL_HOURS || '720')
+  },
+
+  // Tipster marketplace: priced picks unlocked by a transfer to the tipster
+  tipsters: {
+    // Picks are sold at the default price; 400+ reputation may set its own within the range
+    prices: {
+      STT: {
+        default: process.env.TIPSTER_DEFAULT_PRICE_STT || '1',
+        min: process.env.TIPSTER_MIN_PRICE_STT || '0.1',
+        max: process.env.TIPSTER_MAX_PRICE_STT || '100'
+      },
+      BITR: {
+        default: process.env.TIPSTER_DEFAULT_PRICE_BITR || '100',
+        min: process.env.TIPSTER_MIN_PRICE_BITR || '10',
+        max: process.env.TIPSTER_MAX_PRICE_BITR || '10000'
+      }
+    },
+    maxOpenPicks: parseInt(process.env.TIPSTER_MAX_OPEN_PICKS || '20'), // Unsettled picks per tipster
+    minConfirmations: parseInt(process.env.TIPSTER_PAYMENT_CONFIRMATIONS || '1'),
+    minSettledForRanking: parseInt(process.env.TIPSTER_MIN_SETTLED_FOR_RANKING || '5') // Settled picks before a tipster is ranked
+  },
+
+  // Long-form articles by users with canShareArticles (300+ reputation)
+  articles: {
+    maxLinks: parseInt(process.env.ARTICLE_MAX_LINKS || '10'), // Fixtures, pools and Oddyssey cycles per article
+    maxExternalLinks: parseInt(process.env.ARTICLE_MAX_EXTERNAL_LINKS || '10'), // More web links hold the article for review
+    reportsToHide: parseInt(process.env.ARTICLE_REPORTS_TO_HIDE || '5') // Distinct reports that hide an article until reviewed
+  },
+
+  // Notification delivery channels and the outbox worker
+  notifications: {
+    channels: (process.env.NOTIFICATION_CHANNELS || 'webhook,email,telegram').split(',').map(name => name.trim()),
+    webhook: {
+      timeoutMs: parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || '10000'),
+      allowHttp: process.env.NOTIFICATION_WEBHOOK_ALLOW_HTTP === 'true' // Plain http targets, for local testing
+    },
+    email: {
+      host: process.env.SMTP_HOST, // Email is off without it; a local sink such as MailHog works for testing
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true', // TLS from the start (port 465); otherwise STARTTLS when offered
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'Bitredict <notifications@bitredict.io>'
+    },
+    telegram: {
+      botToken: process.env.TELEGRAM_BOT_TOKEN, // Telegram is off without it
+      apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org'
+    },
+    outbox: {
+      pollIntervalMs: parseInt(process.env.NOTIFICATION_OUTBOX_POLL_INTERVAL_MS || '15000'),
+      batchSize: parseInt(process.env.NOTIFICATION_OUTBOX_BATCH_SIZE || '100'),
+      maxAttempts: parseInt(process.env.NOTIFICATION_OUTBOX_MAX_ATTEMPTS || '8'),
+      retryBaseMs: parseInt(process.env.NOTIFICATION_OUTBOX_RETRY_BASE_MS || '60000'), // Doubles per attempt
+      retryMaxMs: parseInt(process.env.NOTIFICATION_OUTBOX_RETRY_MAX_MS || String(6 * 60 * 60 * 1000)),
+      sendingTimeoutMs: 10 * 60 * 1000 // Rows left in 'sending' by a crashed worker are retried after this
+    },
+    verificationTtlMinutes: parseInt(process.env.NOTIFICATION_VERIFICATION_TTL_MINUTES || '30')
+  },
+
+  // Shared transaction queue, nonce ledger and fee bumping (services/tx-manager.js)
+  txManager: {
+    pollIntervalMs: parseInt(process.env.TX_MANAGER_POLL_INTERVAL_MS || '5000'),
+    maxInFlight: parseInt(process.env.TX_MANAGER_MAX_IN_FLIGHT || '4'), // Per signer; later lanes wait behind this
+    gasLimitBufferPercent: parseInt(process.env.TX_MANAGER_GAS_BUFFER_PERCENT || '20'),
+    bumpAfterMs: parseInt(process.env.TX_MANAGER_BUMP_AFTER_MS || '60000'), // Unmined this long -> replace with higher fees
+    bumpPercent: parseInt(process.env.TX_MANAGER_BUMP_PERCENT || '15'), // Nodes require at least 10%
+    maxBumps: parseInt(process.env.TX_MANAGER_MAX_BUMPS || '5'),
+    maxGasPriceGwei: process.env.TX_MANAGER_MAX_GAS_PRICE_GWEI || '200', // Bumps stop at this cap
+    legacyGasPrice: process.env.TX_MANAGER_LEGACY_GAS !== 'false', // gasPrice instead of EIP-1559 fees
+    maxAttempts: parseInt(process.env.TX_MANAGER_MAX_ATTEMPTS || '5'), // Broadcast failures before a row fails
+    retryBaseMs: parseInt(process.env.TX_MANAGER_RETRY_BASE_MS || '10000'), // Doubles per attempt
+    waitTimeoutMs: parseInt(process.env.TX_MANAGER_WAIT_TIMEOUT_MS || String(5 * 60 * 1000)) // Callers stop waiting; the row stays queued
+  },
+
+  // Market maker agent: seeds guided football pools priced from consensus fair odds
+  marketMaker: {
+    enabled: process.env.MM_AGENT_ENABLED === 'true',
+    dryRun: process.env.MM_DRY_RUN === 'true', // Log the pools it would create without sending anything
+    privateKey: process.env.MM_PRIVATE_KEY || process.env.PRIVATE_KEY,
+    // core: PoolCore.createPool (+ BoostSystem.boostPool) from the agent wallet.
+    // factory: BitredictPoolFactory.createPoolWithBoost - the factory becomes the pool creator,
+    // so winnings and refunds go to the factory, not the agent.
+    createVia: process.env.MM_CREATE_VIA || 'core',
+    useBitr: process.env.MM_USE_BITR === 'true',
+    bankroll: process.env.MM_BANKROLL || '100', // Tokens in open pools (stake + creation fee)
+    stakePerPool: process.env.MM_STAKE_PER_POOL || '10', // Min 5 STT or 1000 BITR
+    maxPerLeague: process.env.MM_MAX_PER_LEAGUE || '30',
+    maxPerMarket: process.env.MM_MAX_PER_MARKET || '50', // Per market key, e.g. OU:FT:2.5
+    maxPoolsPerRun: parseInt(process.env.MM_MAX_POOLS_PER_RUN || '5'),
+    markets: (process.env.MM_MARKETS || '1X2:FT,OU:FT:2.5').split(',').map(market => market.trim()).filter(Boolean), // In order of preference
+    marginPercent: parseFloat(process.env.MM_MARGIN_PERCENT || '5'), // Offered odds = fair odds * (1 - margin)
+    minOdds: parseFloat(process.env.MM_MIN_ODDS || '1.3'), // Fair odds band of the outcome offered
+    maxOdds: parseFloat(process.env.MM_MAX_ODDS || '5'),
+    minCompleteness: parseFloat(process.env.MM_MIN_ODDS_COMPLETENESS || '0.6'), // oracle.fixture_odds_completeness score
+    minBookmakers: parseInt(process.env.MM_MIN_BOOKMAKERS || '3'),
+    lookaheadDays: parseInt(process.env.MM_LOOKAHEAD_DAYS || '2'),
+    minLeadMinutes: parseInt(process.env.MM_MIN_LEAD_MINUTES || '60'), // Skip fixtures starting sooner
+    boostTier: (process.env.MM_BOOST_TIER || 'NONE').toUpperCase(), // NONE, BRONZE, SILVER, GOLD
+    claimWinnings: process.env.MM_CLAIM_WINNINGS !== 'false'
+  },
+
   // Coinpaprika API configuration
   coinpaprika: {
     baseUrl: process.env.COINPAPRIKA_BASE_URL || 'https://api.coinpaprika.com/v1',
@@ -155,6 +345,27 @@ module.exports = {
     ]
   },
 
+  // Crypto pool resolution (price at the pool deadline)
+  cryptoResolution: {
+    defaultMode: process.env.CRYPTO_RESOLUTION_MODE || 'close', // 'close' or 'twap'
+    toleranceSeconds: parseInt(process.env.CRYPTO_RESOLUTION_TOLERANCE_SECONDS || '300'), // Max distance between deadline and price point
+    twapWindowSeconds: parseInt(process.env.CRYPTO_TWAP_WINDOW_SECONDS || '900'), // Window ending at the deadline
+    historicalInterval: process.env.CRYPTO_HISTORICAL_INTERVAL || '5m',
+    // Cross-checked sources (services/price-providers)
+    providers: (process.env.CRYPTO_PRICE_PROVIDERS || 'coinpaprika,coingecko,binance').split(',').map(name => name.trim()),
+    minSources: parseInt(process.env.CRYPTO_PRICE_MIN_SOURCES || '2'), // Quorum of sources that must return a price
+    maxDeviationPercent: parseFloat(process.env.CRYPTO_PRICE_MAX_DEVIATION_PERCENT || '1'), // Max distance from the median before settlement is held
+    quorumGraceSeconds: parseInt(process.env.CRYPTO_PRICE_QUORUM_GRACE_SECONDS || '3600') // Keep retrying missing sources this long, then hold
+  },
+
+  // Guided oracle outcome reconciliation and admin corrections
+  outcomeCorrections: {
+    lookbackDays: parseInt(process.env.OUTCOME_RECONCILE_LOOKBACK_DAYS || '14'), // Re-check fixtures whose results changed this recently
+    maxMarketsPerRun: parseInt(process.env.OUTCOME_RECONCILE_MAX_MARKETS || '200'),
+    ownerPrivateKey: process.env.ORACLE_OWNER_PRIVATE_KEY || process.env.PRIVATE_KEY, // GuidedOracle owner, signs correctOutcome
+    requireDistinctApprover: process.env.OUTCOME_CORRECTION_DISTINCT_APPROVER !== 'false' // Approver must differ from the admin who prepared
+  },
+
   // Indexer configuration
   indexer: {
     startBlock: process.env.START_BLOCK || '164312555', // Start from recent block instead of 0
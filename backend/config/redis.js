@@ -225,6 +225,8 @@ const cacheKeys = {
   rateLimitComment: (address) => `rate_limit:comment:${address.toLowerCase()}`,
   rateLimitReaction: (address) => `rate_limit:reaction:${address.toLowerCase()}`,
   rateLimitDiscussion: (address) => `rate_limit:discussion:${address.toLowerCase()}`,
+  rateLimitArticle: (address) => `rate_limit:article:${address.toLowerCase()}`,
+  rateLimitReport: (address) => `rate_limit:report:${address.toLowerCase()}`,
   
   // Activity tracking
   dailyActiveUsers: (date) => `dau:${date}`,
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Auth Session Cleanup Process
+ *
+ * Removes expired SIWE login nonces and long-expired sessions, then exits
+ * (scheduled by the master cron).
+ */
+
+require('dotenv').config();
+
+const siweAuthService = require('../services/siwe-auth-service');
+
+async function runAuthSessionCleanup() {
+  try {
+    console.log('🚀 Starting Auth Session Cleanup...');
+
+    const { nonces, sessions } = await siweAuthService.cleanupExpired();
+
+    console.log(`✅ Auth Session Cleanup completed - Nonces: ${nonces}, Sessions: ${sessions}`);
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Auth Session Cleanup failed:', error);
+    process.exit(1);
+  }
+}
+
+runAuthSessionCleanup();
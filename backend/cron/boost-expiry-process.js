@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Boost Expiry Process
+ *
+ * Wrapper process for the boost expiry sweep.
+ * Runs one sweep and exits (scheduled by the master cron).
+ */
+
+require('dotenv').config();
+
+const BoostExpirySweeper = require('../services/boost-expiry-sweeper');
+
+async function runBoostExpirySweep() {
+  try {
+    console.log('🚀 Starting Boost Expiry Process...');
+
+    const sweeper = new BoostExpirySweeper();
+    await sweeper.run();
+
+    console.log('✅ Boost Expiry Process completed successfully');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Boost Expiry Process failed:', error);
+    process.exit(1);
+  }
+}
+
+runBoostExpirySweep();
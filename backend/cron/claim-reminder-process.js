@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Claim Reminder Process
+ *
+ * Wrapper process for the unclaimed-winnings reminders.
+ * Runs one reminder pass and exits (scheduled by the master cron).
+ */
+
+require('dotenv').config();
+
+const ClaimReminderService = require('../services/claim-reminder-service');
+
+async function runClaimReminders() {
+  try {
+    console.log('🚀 Starting Claim Reminder Process...');
+
+    const service = new ClaimReminderService();
+    await service.run();
+
+    console.log('✅ Claim Reminder Process completed successfully');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Claim Reminder Process failed:', error);
+    process.exit(1);
+  }
+}
+
+runClaimReminders();
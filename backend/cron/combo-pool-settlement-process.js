@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Combo Pool Settlement Service Process
+ * Wrapper to start the Combo Pool Settlement Service (per-condition combo resolution) as a background process
+ */
+
+require('dotenv').config();
+const ComboPoolSettlementService = require('../services/combo-pool-settlement-service');
+
+async function startComboPoolSettlementService() {
+  console.log('🚀 Starting Combo Pool Settlement Service Process...');
+  
+  const service = new ComboPoolSettlementService();
+  
+  try {
+    await service.start();
+    console.log('✅ Combo Pool Settlement Service started successfully');
+    
+    // Keep the process running
+    process.on('SIGTERM', async () => {
+      console.log('📡 Received SIGTERM, shutting down Combo Pool Settlement Service...');
+      await service.stop();
+      process.exit(0);
+    });
+    
+    process.on('SIGINT', async () => {
+      console.log('📡 Received SIGINT, shutting down Combo Pool Settlement Service...');
+      await service.stop();
+      process.exit(0);
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to start Combo Pool Settlement Service:', error);
+    process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error('💥 Uncaught Exception in Combo Pool Settlement Service:', error);
+  process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('💥 Unhandled Rejection in Combo Pool Settlement Service:', reason);
+  process.exit(1);
+});
+
+startComboPoolSettlementService();
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Market Maker Process
+ *
+ * Wrapper process for the market maker agent.
+ * Runs one pass and exits (scheduled by the master cron).
+ *
+ *   --dry-run  log the pools it would create without sending anything
+ *   --pnl      print the P&L report and exit
+ */
+
+require('dotenv').config();
+
+const MarketMakerAgent = require('../services/market-maker-agent');
+
+async function runMarketMaker() {
+  try {
+    const agent = new MarketMakerAgent();
+
+    if (process.argv.includes('--pnl')) {
+      const pnl = await agent.getPnl();
+      console.log(JSON.stringify(pnl, null, 2));
+      process.exit(0);
+    }
+
+    console.log('🚀 Starting Market Maker Process...');
+
+    await agent.run(process.argv.includes('--dry-run') ? { dryRun: true } : {});
+
+    console.log('✅ Market Maker Process completed successfully');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Market Maker Process failed:', error);
+    process.exit(1);
+  }
+}
+
+runMarketMaker();
@@ -152,6 +152,14 @@ class MasterConsolidatedCron {
         critical: false
       },
 
+      auth_session_cleanup: {
+        schedule: '45 2 * * *', // 02:45 UTC - After oracle cleanup
+        script: path.join(__dirname, 'auth-session-cleanup-process.js'),
+        description: 'SIWE Nonce & Session Cleanup (Daily)',
+        timeout: 5,
+        critical: false
+      },
+
       // REMOVED: football_market_cleanup - handled internally by football_oracle_bot continuous process
       // Previously duplicated functionality with internal cron jobs in football-scheduler.js
 
@@ -275,6 +283,135 @@ class MasterConsolidatedCron {
         continuous: true
       },
 
+      optimistic_oracle_indexer: {
+        schedule: null, // Continuous - Event-driven
+        script: path.join(__dirname, '../services/optimistic-oracle-indexer.js'),
+        description: 'Optimistic Oracle Indexer (Proposals, Disputes, Votes, Bonds)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      creator_fee_indexer: {
+        schedule: null, // Continuous - polls confirmed blocks
+        script: path.join(__dirname, '../services/creator-fee-indexer.js'),
+        description: 'Creator Fee Indexer (Accrued/Claimed Creator Fees)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      claims_indexer: {
+        schedule: null, // Continuous - polls confirmed blocks
+        script: path.join(__dirname, '../services/claims-indexer.js'),
+        description: 'Claims Indexer (Pool, Combo Pool and Oddyssey Claims)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      staking_event_indexer: {
+        schedule: null, // Continuous - polls confirmed blocks
+        script: path.join(__dirname, '../services/staking-event-indexer.js'),
+        description: 'Staking Event Indexer (Stakes, Rewards, Revenue Distributions)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      boost_lifecycle_indexer: {
+        schedule: null, // Continuous - polls confirmed blocks
+        script: path.join(__dirname, '../services/boost-lifecycle-indexer.js'),
+        description: 'Boost Lifecycle Indexer (Boosts, Extensions, Upgrades, Expiries)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      pool_whitelist_indexer: {
+        schedule: null, // Continuous - polls confirmed blocks
+        script: path.join(__dirname, '../services/pool-whitelist-indexer.js'),
+        description: 'Pool Whitelist Indexer (Private Pool Whitelists)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      notification_delivery: {
+        schedule: null, // Continuous - drains the notification outbox
+        script: path.join(__dirname, '../services/notification-delivery-service.js'),
+        description: 'Notification Delivery (Webhook, Email, Telegram Outbox)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
+      tx_dispatcher: {
+        schedule: null, // Continuous - signs, bumps and confirms queued transactions
+        script: path.join(__dirname, '../services/tx-manager.js'),
+        description: 'Transaction Dispatcher (Nonce Ledger, Priority Lanes, Gas Bumping)',
+        timeout: null,
+        critical: true,
+        continuous: true
+      },
+
+      claim_reminders: {
+        schedule: '0 10 * * *', // Daily at 10:00 UTC
+        script: path.join(__dirname, 'claim-reminder-process.js'),
+        description: 'Unclaimed Winnings Reminders',
+        timeout: 10,
+        critical: false
+      },
+
+      boost_expiry_sweep: {
+        schedule: '*/10 * * * *', // Every 10 minutes
+        script: path.join(__dirname, 'boost-expiry-process.js'),
+        description: 'Boost Expiry Sweep (Clear Expired Boosts)',
+        timeout: 5,
+        critical: false
+      },
+
+      outcome_reconciliation: {
+        schedule: '*/20 * * * *', // Every 20 minutes
+        script: path.join(__dirname, 'outcome-reconciliation-process.js'),
+        description: 'Guided Oracle Outcome Reconciliation (Flag Mismatches For Review)',
+        timeout: 10,
+        critical: false
+      },
+
+      tipster_settlement: {
+        schedule: '*/15 * * * *', // Every 15 minutes
+        script: path.join(__dirname, 'tipster-settlement-process.js'),
+        description: 'Tipster Pick Settlement (Track Records)',
+        timeout: 5,
+        critical: false
+      },
+
+      market_maker: {
+        schedule: '*/30 * * * *', // Every 30 minutes (no-op unless MM_AGENT_ENABLED=true)
+        script: path.join(__dirname, 'market-maker-process.js'),
+        description: 'Market Maker Agent (Seed Pools From Fair Odds)',
+        timeout: 20,
+        critical: false
+      },
+
+      optimistic_proposer: {
+        schedule: '*/15 * * * *', // Every 15 minutes (no-op unless OPTIMISTIC_PROPOSER_ENABLED=true)
+        script: path.join(__dirname, 'optimistic-proposer-process.js'),
+        description: 'Optimistic Proposer Bot (Known Outcomes)',
+        timeout: 10,
+        critical: false
+      },
+
+      combo_pool_settlement: {
+        schedule: null, // Continuous
+        script: path.join(__dirname, 'combo-pool-settlement-process.js'),
+        description: 'Combo Pool Settlement (Per-Condition Resolution)',
+        timeout: null,
+        critical: false,
+        continuous: true
+      },
+
       slip_sync_event_driven: {
         schedule: null, // Continuous - Event-driven
         script: path.join(__dirname, '../services/event-driven-slip-sync.js'),
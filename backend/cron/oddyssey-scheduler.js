@@ -531,16 +531,9 @@ class OddysseyScheduler {
           }
 
           try {
-            // Fetch current state from SportMonks
-            const response = await this.sportMonks.axios.get(`/fixtures/${fixture.id}`, {
-              params: {
-                'api_token': this.sportMonks.apiToken,
-                'include': 'state'
-              }
-            });
-
-            const fixtureData = response.data.data;
-            const currentState = fixtureData.state?.state?.toUpperCase() || 'UNKNOWN';
+            // Fetch current state from the league's sports data provider
+            const fixtureData = await this.sportMonks.getFixture(fixture.id, 'state');
+            const currentState = fixtureData?.state?.state?.toUpperCase() || 'UNKNOWN';
             
             console.log(`   📍 ${fixture.home_team} vs ${fixture.away_team}: ${fixture.status} → ${currentState}`);
 
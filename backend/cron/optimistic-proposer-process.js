@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+/**
+ * Optimistic Proposer Process
+ *
+ * Wrapper process for the optional optimistic proposer bot.
+ * Runs one proposal pass and exits (scheduled by the master cron).
+ */
+
+require('dotenv').config();
+
+const OptimisticProposerBot = require('../services/optimistic-proposer-bot');
+
+async function runOptimisticProposer() {
+  try {
+    console.log('🚀 Starting Optimistic Proposer Process...');
+
+    const bot = new OptimisticProposerBot();
+    await bot.run();
+
+    console.log('✅ Optimistic Proposer Process completed successfully');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Optimistic Proposer Process failed:', error);
+    process.exit(1);
+  }
+}
+
+runOptimisticProposer();
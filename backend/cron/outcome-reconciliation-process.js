@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Outcome Reconciliation Process
+ *
+ * Wrapper process for the guided oracle outcome reconciliation.
+ * Runs one pass and exits (scheduled by the master cron).
+ */
+
+require('dotenv').config();
+
+const outcomeCorrectionService = require('../services/outcome-correction-service');
+
+async function runOutcomeReconciliation() {
+  try {
+    console.log('🚀 Starting Outcome Reconciliation Process...');
+
+    await outcomeCorrectionService.reconcile();
+
+    console.log('✅ Outcome Reconciliation Process completed successfully');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Outcome Reconciliation Process failed:', error);
+    process.exit(1);
+  }
+}
+
+runOutcomeReconciliation();
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Tipster Settlement Process
+ *
+ * Wrapper process for settling tipster picks from pool settlements and fixture results.
+ * Runs one pass and exits (scheduled by the master cron).
+ */
+
+require('dotenv').config();
+
+const tipsterService = require('../services/tipster-service');
+
+async function runTipsterSettlement() {
+  try {
+    console.log('🚀 Starting Tipster Settlement Process...');
+
+    await tipsterService.settlePicks();
+
+    console.log('✅ Tipster Settlement Process completed successfully');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Tipster Settlement Process failed:', error);
+    process.exit(1);
+  }
+}
+
+runTipsterSettlement();
@@ -0,0 +1,39 @@
+-- Migration: Airdrop Merkle Distributions
+-- Claimable distributions built from airdrop.snapshot_balances by
+-- airdrop/merkle_distribution.js (root and per-user proofs)
+-- Production: neon.tech database
+
+-- =====================================================
+-- DISTRIBUTIONS (one per snapshot)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS airdrop.merkle_distributions (
+    id BIGSERIAL PRIMARY KEY,
+    snapshot_id BIGINT NOT NULL UNIQUE REFERENCES airdrop.snapshots(id) ON DELETE CASCADE,
+    merkle_root VARCHAR(66) NOT NULL,
+    token_total NUMERIC(78, 0) NOT NULL, -- Wei
+    claim_count INTEGER NOT NULL,
+    amount_unit VARCHAR(10) NOT NULL CHECK (amount_unit IN ('wei', 'token')), -- Unit of snapshot_balances.airdrop_amount when built
+    leaf_encoding TEXT NOT NULL,
+    distributor_address VARCHAR(42), -- Set once a distributor contract is deployed with this root
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- CLAIMS (index, account, amount, proof)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS airdrop.merkle_claims (
+    id BIGSERIAL PRIMARY KEY,
+    distribution_id BIGINT NOT NULL REFERENCES airdrop.merkle_distributions(id) ON DELETE CASCADE,
+    claim_index INTEGER NOT NULL,
+    user_address VARCHAR(42) NOT NULL, -- Lowercase
+    amount NUMERIC(78, 0) NOT NULL, -- Wei
+    leaf_hash VARCHAR(66) NOT NULL,
+    proof JSONB NOT NULL, -- Array of 32-byte hex hashes
+    UNIQUE (distribution_id, claim_index),
+    UNIQUE (distribution_id, user_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_merkle_claims_user ON airdrop.merkle_claims(user_address);
+
+COMMENT ON TABLE airdrop.merkle_distributions IS 'Merkle roots for airdrop snapshots, in the MerkleDistributor leaf format';
+COMMENT ON TABLE airdrop.merkle_claims IS 'Per-user claim index, amount and proof for a Merkle distribution';
@@ -0,0 +1,67 @@
+-- Migration: Articles
+-- Long-form analysis by users with canShareArticles, linked to fixtures, pools
+-- and Oddyssey cycles, with reports for moderation (services/article-service.js)
+-- Production: neon.tech database
+
+-- =====================================================
+-- ARTICLES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.articles (
+    id BIGSERIAL PRIMARY KEY,
+    author_address VARCHAR(42) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    summary VARCHAR(500),
+    body_markdown TEXT NOT NULL,
+    body_html TEXT NOT NULL, -- Rendered and sanitized on save
+    status VARCHAR(10) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+    moderation_status VARCHAR(10) NOT NULL DEFAULT 'approved' CHECK (moderation_status IN ('approved', 'pending', 'hidden')),
+    moderation_reason TEXT,
+    moderated_by VARCHAR(100),
+    moderated_at TIMESTAMP WITH TIME ZONE,
+    report_count INTEGER NOT NULL DEFAULT 0,
+    reputation_at_publish INTEGER, -- ReputationSystem score when published
+    is_deleted BOOLEAN DEFAULT false,
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_articles_author ON core.articles(author_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_articles_feed ON core.articles(published_at DESC)
+    WHERE status = 'published' AND moderation_status = 'approved' AND is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_articles_moderation ON core.articles(moderation_status) WHERE moderation_status <> 'approved';
+
+COMMENT ON TABLE core.articles IS 'Long-form analysis articles (ReputationSystem score 300+); reactions live in core.social_reactions with target_type article';
+COMMENT ON COLUMN core.articles.moderation_status IS 'pending = held by a moderation hook, hidden = by a moderator or reports; neither is listed';
+
+-- =====================================================
+-- LINKS (fixtures, pools, Oddyssey cycles)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.article_links (
+    id BIGSERIAL PRIMARY KEY,
+    article_id BIGINT NOT NULL REFERENCES core.articles(id) ON DELETE CASCADE,
+    link_type VARCHAR(20) NOT NULL CHECK (link_type IN ('fixture', 'pool', 'oddyssey_cycle')),
+    ref_id VARCHAR(50) NOT NULL,
+    call VARCHAR(3) CHECK (call IN ('yes', 'no')), -- Pool links: the author's call, fixed at publish
+    call_source VARCHAR(10) CHECK (call_source IN ('stated', 'position')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (article_id, link_type, ref_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_article_links_ref ON core.article_links(link_type, ref_id);
+
+COMMENT ON COLUMN core.article_links.call IS 'yes = the pool''s predicted outcome happens; stated by the author or taken from their position in the pool';
+
+-- =====================================================
+-- REPORTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.article_reports (
+    id BIGSERIAL PRIMARY KEY,
+    article_id BIGINT NOT NULL REFERENCES core.articles(id) ON DELETE CASCADE,
+    reporter_address VARCHAR(42) NOT NULL,
+    reason VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (article_id, reporter_address)
+);
+
+COMMENT ON TABLE core.article_reports IS 'User reports; enough of them hide an article until a moderator reviews it';
@@ -0,0 +1,43 @@
+-- Migration: Boost Lifecycle
+-- Every BitredictBoostSystem event (PoolBoosted, BoostUpgraded, BoostExpired,
+-- BoostRevenueClaimed) written by services/boost-lifecycle-indexer.js, plus the
+-- current boost columns on oracle.pools used by utils/pool-ranking.js
+-- Production: neon.tech database
+
+-- =====================================================
+-- CURRENT BOOST PER POOL
+-- =====================================================
+ALTER TABLE oracle.pools
+    ADD COLUMN IF NOT EXISTS boost_tier VARCHAR(10), -- NONE, BRONZE, SILVER, GOLD
+    ADD COLUMN IF NOT EXISTS boost_expiry BIGINT, -- Unix seconds
+    ADD COLUMN IF NOT EXISTS boost_fee NUMERIC(78, 0),
+    ADD COLUMN IF NOT EXISTS booster_address VARCHAR(42),
+    ADD COLUMN IF NOT EXISTS boost_started_at BIGINT; -- Unix seconds of the boost (not extension) that set the tier
+
+CREATE INDEX IF NOT EXISTS idx_pools_boost_expiry ON oracle.pools(boost_expiry) WHERE boost_expiry IS NOT NULL;
+
+-- =====================================================
+-- BOOST EVENTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.pool_boost_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('boosted', 'extended', 'upgraded', 'expired', 'revenue_claimed')),
+    pool_id BIGINT, -- NULL for revenue_claimed
+    tier VARCHAR(10), -- Tier after the event
+    from_tier VARCHAR(10), -- upgraded only
+    expiry BIGINT, -- Unix seconds, boosted/extended only
+    fee NUMERIC(78, 0) NOT NULL DEFAULT 0, -- STT paid (or claimed, for revenue_claimed)
+    actor_address VARCHAR(42), -- Booster, or the revenue collector
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_boost_events_pool ON oracle.pool_boost_events(pool_id, block_number);
+CREATE INDEX IF NOT EXISTS idx_pool_boost_events_actor ON oracle.pool_boost_events(actor_address);
+
+COMMENT ON TABLE oracle.pool_boost_events IS 'Boost lifecycle from BitredictBoostSystem events';
+COMMENT ON COLUMN oracle.pools.boost_started_at IS 'Start of the current boost; extensions keep it, new boosts reset it';
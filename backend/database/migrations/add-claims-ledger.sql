@@ -0,0 +1,57 @@
+-- Migration: Claims Ledger
+-- One ledger for payouts claimed from pool core (RewardClaimed), combo pools (ComboRewardClaimed)
+-- and Oddyssey (PrizeClaimed), written by services/claims-indexer.js, plus the state used by
+-- services/claim-reminder-service.js to remind winners who haven't claimed
+-- Production: neon.tech database
+
+-- =====================================================
+-- CLAIMS LEDGER
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.claims_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('pool', 'combo_pool', 'oddyssey')),
+    source_id BIGINT NOT NULL, -- pool_id, combo_pool_id or slip_id
+    cycle_id BIGINT, -- Oddyssey only
+    user_address VARCHAR(42) NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_claims_ledger_user ON oracle.claims_ledger(user_address, claimed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_claims_ledger_source ON oracle.claims_ledger(source, source_id, user_address);
+CREATE INDEX IF NOT EXISTS idx_claims_ledger_block ON oracle.claims_ledger(block_number);
+
+COMMENT ON TABLE oracle.claims_ledger IS 'Every claimed payout across pool core, combo pools and Oddyssey (claims and refunds)';
+COMMENT ON COLUMN oracle.claims_ledger.claimed_at IS 'Block timestamp of the claim';
+
+-- =====================================================
+-- CLAIM REMINDERS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.claim_reminders (
+    user_address VARCHAR(42) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    source_id BIGINT NOT NULL,
+    reminder_count INTEGER NOT NULL DEFAULT 1,
+    first_reminded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_reminded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_address, source, source_id)
+);
+
+COMMENT ON TABLE oracle.claim_reminders IS 'Unclaimed wins a user has already been reminded about';
+
+-- =====================================================
+-- NOTIFICATION PREFERENCES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.notification_preferences (
+    user_address VARCHAR(42) PRIMARY KEY,
+    claim_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE core.notification_preferences IS 'Per-user opt-outs; users without a row get every notification';
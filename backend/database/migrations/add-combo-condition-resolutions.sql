@@ -0,0 +1,34 @@
+-- Migration: Combo Condition Resolutions
+-- Tracks resolveComboCondition submissions made by services/combo-pool-settlement-service.js
+-- so each combo pool leg is submitted on-chain exactly once
+-- Production: neon.tech database
+
+-- =====================================================
+-- COMBO CONDITION RESOLUTIONS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.combo_condition_resolutions (
+    id BIGSERIAL PRIMARY KEY,
+    combo_pool_id BIGINT NOT NULL REFERENCES oracle.combo_pools(combo_pool_id) ON DELETE CASCADE,
+    condition_index INTEGER NOT NULL,
+    market_id TEXT,
+    market_type VARCHAR(20), -- 'football' or 'crypto'
+    prediction TEXT, -- Expected outcome the leg was resolved against
+    actual_outcome TEXT, -- Outcome submitted on-chain (human readable)
+    actual_outcome_raw VARCHAR(66), -- bytes32 submitted to resolveComboCondition
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'submitted', 'confirmed', 'failed', 'needs_review'
+    tx_hash VARCHAR(66),
+    block_number BIGINT,
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(combo_pool_id, condition_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_combo_condition_resolutions_status ON oracle.combo_condition_resolutions(status);
+CREATE INDEX IF NOT EXISTS idx_combo_condition_resolutions_tx_hash ON oracle.combo_condition_resolutions(tx_hash);
+
+COMMENT ON TABLE oracle.combo_condition_resolutions IS 'Per-leg combo pool resolutions submitted via GuidedOracle.executeCall(resolveComboCondition)';
+COMMENT ON COLUMN oracle.combo_condition_resolutions.status IS 'pending → submitted → confirmed; failed after max attempts; needs_review when the outcome cannot be determined safely';
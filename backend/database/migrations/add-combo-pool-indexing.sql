@@ -0,0 +1,155 @@
+-- Migration: Combo Pool Indexing
+-- Extends oracle.combo_pools / oracle.combo_pool_conditions / oracle.combo_pool_bets /
+-- oracle.combo_pool_lps and adds the claim table, populated by services/event-driven-combo-pool-sync.js
+-- Production: neon.tech database
+
+-- =====================================================
+-- COMBO POOLS (extend existing table)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.combo_pools (
+    combo_pool_id BIGINT PRIMARY KEY,
+    creator_address TEXT NOT NULL,
+    creator_stake NUMERIC(78, 0) NOT NULL,
+    total_creator_side_stake NUMERIC(78, 0) NOT NULL,
+    max_bettor_stake NUMERIC(78, 0) NOT NULL,
+    total_bettor_stake NUMERIC(78, 0) DEFAULT 0,
+    total_odds INTEGER NOT NULL,
+    settled BOOLEAN DEFAULT FALSE,
+    creator_side_won BOOLEAN,
+    uses_bitr BOOLEAN NOT NULL,
+    event_start_time BIGINT NOT NULL,
+    event_end_time BIGINT NOT NULL,
+    betting_end_time BIGINT NOT NULL,
+    result_timestamp BIGINT,
+    category TEXT,
+    max_bet_per_user NUMERIC(78, 0),
+    tx_hash TEXT,
+    block_number BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    settled_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Wei amounts overflow BIGINT, store them as NUMERIC(78,0) like pool_liquidity_providers
+ALTER TABLE oracle.combo_pools ALTER COLUMN creator_stake TYPE NUMERIC(78, 0) USING creator_stake::NUMERIC(78, 0);
+ALTER TABLE oracle.combo_pools ALTER COLUMN total_creator_side_stake TYPE NUMERIC(78, 0) USING total_creator_side_stake::NUMERIC(78, 0);
+ALTER TABLE oracle.combo_pools ALTER COLUMN max_bettor_stake TYPE NUMERIC(78, 0) USING max_bettor_stake::NUMERIC(78, 0);
+ALTER TABLE oracle.combo_pools ALTER COLUMN total_bettor_stake TYPE NUMERIC(78, 0) USING total_bettor_stake::NUMERIC(78, 0);
+ALTER TABLE oracle.combo_pools ALTER COLUMN max_bet_per_user TYPE NUMERIC(78, 0) USING max_bet_per_user::NUMERIC(78, 0);
+
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS category_hash VARCHAR(66);
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS condition_count INTEGER DEFAULT 0;
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS successful_conditions INTEGER;
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS is_refunded BOOLEAN DEFAULT FALSE;
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS refund_reason TEXT;
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE oracle.combo_pools ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_combo_pools_creator ON oracle.combo_pools(creator_address);
+CREATE INDEX IF NOT EXISTS idx_combo_pools_settled ON oracle.combo_pools(settled);
+CREATE INDEX IF NOT EXISTS idx_combo_pools_event_start ON oracle.combo_pools(event_start_time);
+CREATE INDEX IF NOT EXISTS idx_combo_pools_betting_end ON oracle.combo_pools(betting_end_time);
+
+-- =====================================================
+-- COMBO POOL CONDITIONS (extend existing table)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.combo_pool_conditions (
+    id SERIAL PRIMARY KEY,
+    combo_pool_id BIGINT NOT NULL REFERENCES oracle.combo_pools(combo_pool_id),
+    market_id TEXT NOT NULL,
+    expected_outcome TEXT NOT NULL,
+    resolved BOOLEAN DEFAULT FALSE,
+    actual_outcome TEXT,
+    condition_index INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS market_id_raw VARCHAR(66);
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS expected_outcome_raw VARCHAR(66);
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS actual_outcome_raw VARCHAR(66);
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS odds INTEGER;
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS is_successful BOOLEAN;
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE oracle.combo_pool_conditions ADD COLUMN IF NOT EXISTS resolution_tx_hash VARCHAR(66);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_combo_pool_conditions_unique ON oracle.combo_pool_conditions(combo_pool_id, condition_index);
+CREATE INDEX IF NOT EXISTS idx_combo_pool_conditions_market_id ON oracle.combo_pool_conditions(market_id);
+CREATE INDEX IF NOT EXISTS idx_combo_pool_conditions_unresolved ON oracle.combo_pool_conditions(combo_pool_id) WHERE resolved = FALSE;
+
+-- =====================================================
+-- COMBO POOL BETS (ComboBetPlaced, extend existing table)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.combo_pool_bets (
+    id SERIAL PRIMARY KEY,
+    combo_pool_id BIGINT NOT NULL REFERENCES oracle.combo_pools(combo_pool_id),
+    bettor_address TEXT NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    block_number BIGINT,
+    transaction_hash TEXT
+);
+
+ALTER TABLE oracle.combo_pool_bets ALTER COLUMN amount TYPE NUMERIC(78, 0) USING amount::NUMERIC(78, 0);
+
+ALTER TABLE oracle.combo_pool_bets ADD COLUMN IF NOT EXISTS tx_hash VARCHAR(66);
+ALTER TABLE oracle.combo_pool_bets ADD COLUMN IF NOT EXISTS log_index INTEGER DEFAULT 0;
+
+-- Rows written before tx_hash existed: take transaction_hash, number bets sharing a transaction
+UPDATE oracle.combo_pool_bets b
+SET tx_hash = numbered.transaction_hash, log_index = numbered.position
+FROM (
+    SELECT id, transaction_hash, (ROW_NUMBER() OVER (PARTITION BY transaction_hash ORDER BY id) - 1)::INTEGER AS position
+    FROM oracle.combo_pool_bets
+    WHERE tx_hash IS NULL AND transaction_hash IS NOT NULL
+) numbered
+WHERE b.id = numbered.id;
+
+-- Conflict target of handleComboBetPlaced
+CREATE UNIQUE INDEX IF NOT EXISTS idx_combo_pool_bets_event ON oracle.combo_pool_bets(tx_hash, log_index);
+CREATE INDEX IF NOT EXISTS idx_combo_pool_bets_pool ON oracle.combo_pool_bets(combo_pool_id);
+CREATE INDEX IF NOT EXISTS idx_combo_pool_bets_bettor_lower ON oracle.combo_pool_bets(LOWER(bettor_address));
+
+-- =====================================================
+-- COMBO POOL LPS (creator stake + ComboLiquidityAdded, extend existing table)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.combo_pool_lps (
+    id SERIAL PRIMARY KEY,
+    combo_pool_id BIGINT NOT NULL REFERENCES oracle.combo_pools(combo_pool_id),
+    lp_address TEXT NOT NULL,
+    stake NUMERIC(78, 0) NOT NULL,
+    claimed BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE oracle.combo_pool_lps ALTER COLUMN stake TYPE NUMERIC(78, 0) USING stake::NUMERIC(78, 0);
+
+ALTER TABLE oracle.combo_pool_lps ADD COLUMN IF NOT EXISTS is_creator BOOLEAN DEFAULT FALSE;
+ALTER TABLE oracle.combo_pool_lps ADD COLUMN IF NOT EXISTS tx_hash VARCHAR(66);
+ALTER TABLE oracle.combo_pool_lps ADD COLUMN IF NOT EXISTS log_index INTEGER DEFAULT 0;
+ALTER TABLE oracle.combo_pool_lps ADD COLUMN IF NOT EXISTS block_number BIGINT;
+
+-- One row per stake event (the creator stake is log_index -1); claims are in oracle.combo_pool_claims
+CREATE UNIQUE INDEX IF NOT EXISTS idx_combo_pool_lps_event ON oracle.combo_pool_lps(tx_hash, log_index);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_combo_pool_lps_creator ON oracle.combo_pool_lps(combo_pool_id) WHERE is_creator = TRUE;
+CREATE INDEX IF NOT EXISTS idx_combo_pool_lps_pool_id ON oracle.combo_pool_lps(combo_pool_id);
+CREATE INDEX IF NOT EXISTS idx_combo_pool_lps_address_lower ON oracle.combo_pool_lps(LOWER(lp_address));
+
+-- =====================================================
+-- COMBO POOL CLAIMS (ComboRewardClaimed)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.combo_pool_claims (
+    id BIGSERIAL PRIMARY KEY,
+    combo_pool_id BIGINT NOT NULL REFERENCES oracle.combo_pools(combo_pool_id) ON DELETE CASCADE,
+    user_address VARCHAR(42) NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,
+    tx_hash VARCHAR(66),
+    block_number BIGINT,
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(combo_pool_id, user_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_combo_pool_claims_user ON oracle.combo_pool_claims(LOWER(user_address));
+
+COMMENT ON TABLE oracle.combo_pool_bets IS 'Bettor-side stakes on combo pools (ComboBetPlaced events)';
+COMMENT ON TABLE oracle.combo_pool_lps IS 'Creator-side stakes on combo pools: creator stake at creation plus ComboLiquidityAdded events';
+COMMENT ON TABLE oracle.combo_pool_claims IS 'Combo pool payouts (ComboRewardClaimed events)';
@@ -0,0 +1,29 @@
+-- Migration: Creator Fee Ledger
+-- Rows written by services/creator-fee-indexer.js from BitredictPoolCore
+-- CreatorFeeAccrued (per pool) and CreatorFeeClaimed (per creator, covers everything pending)
+-- Production: neon.tech database
+
+-- =====================================================
+-- CREATOR FEE LEDGER
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.creator_fee_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(10) NOT NULL CHECK (event_type IN ('accrued', 'claimed')),
+    creator_address VARCHAR(42) NOT NULL,
+    pool_id BIGINT, -- NULL for claims
+    stt_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    bitr_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_timestamp TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_fee_ledger_creator ON oracle.creator_fee_ledger(creator_address, block_number, log_index);
+CREATE INDEX IF NOT EXISTS idx_creator_fee_ledger_pool ON oracle.creator_fee_ledger(pool_id) WHERE pool_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_creator_fee_ledger_block ON oracle.creator_fee_ledger(block_number);
+
+COMMENT ON TABLE oracle.creator_fee_ledger IS 'Creator fee accruals and claims; accruals after a creator''s last claim are still pending';
+COMMENT ON COLUMN oracle.creator_fee_ledger.creator_address IS 'Lowercase creator wallet';
@@ -0,0 +1,52 @@
+-- Migration: Crypto Deadline Resolution
+-- Structured targets for guided crypto pools and the price proof used to resolve them
+-- (services/crypto-deadline-pricing.js, services/crypto-oracle-bot.js)
+-- Production: neon.tech database
+
+-- =====================================================
+-- POOL TARGETS (written at pool creation, keyed by market id
+-- because the pool id is only known once the tx is indexed)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.crypto_pool_targets (
+    market_id VARCHAR(255) PRIMARY KEY, -- Same value as oracle.pools.market_id
+    symbol VARCHAR(20) NOT NULL,
+    coinpaprika_id TEXT, -- Looked up by symbol at resolution when missing
+    target_price NUMERIC(20, 8) NOT NULL,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('above', 'below')),
+    resolution_mode VARCHAR(10) NOT NULL DEFAULT 'close' CHECK (resolution_mode IN ('close', 'twap')),
+    twap_window_seconds INTEGER, -- NULL = configured default
+    tolerance_seconds INTEGER, -- NULL = configured default
+    event_end_time BIGINT NOT NULL, -- Deadline (unix seconds)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- RESOLUTION PROOFS (one per resolved market)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.crypto_resolution_proofs (
+    market_id VARCHAR(255) PRIMARY KEY,
+    pool_id BIGINT, -- NULL for oracle.crypto_prediction_markets
+    coinpaprika_id TEXT NOT NULL,
+    symbol VARCHAR(20),
+    target_price NUMERIC(20, 8) NOT NULL,
+    direction VARCHAR(10) NOT NULL,
+    resolution_mode VARCHAR(10) NOT NULL,
+    deadline TIMESTAMP WITH TIME ZONE NOT NULL,
+    resolved_price NUMERIC(20, 8) NOT NULL,
+    price_source VARCHAR(50) NOT NULL, -- 'coinpaprika_historical' or 'price_snapshots'
+    price_timestamp TIMESTAMP WITH TIME ZONE NOT NULL, -- Close: time of the price point; TWAP: end of window
+    window_start TIMESTAMP WITH TIME ZONE, -- TWAP only
+    sample_count INTEGER NOT NULL DEFAULT 1,
+    tolerance_seconds INTEGER NOT NULL,
+    outcome TEXT NOT NULL,
+    submission_tx_hash VARCHAR(66),
+    resolved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_resolution_proofs_pool ON oracle.crypto_resolution_proofs(pool_id);
+
+-- Deadline lookups on snapshots use the Coinpaprika update time
+CREATE INDEX IF NOT EXISTS idx_crypto_price_snapshots_coin_updated ON oracle.crypto_price_snapshots(coinpaprika_id, last_updated);
+
+COMMENT ON TABLE oracle.crypto_pool_targets IS 'Coin, target and direction of guided crypto pools, stored at creation';
+COMMENT ON TABLE oracle.crypto_resolution_proofs IS 'Price used to resolve each crypto market: source, timestamp and value at the deadline';
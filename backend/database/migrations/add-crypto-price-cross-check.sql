@@ -0,0 +1,38 @@
+-- Migration: Crypto Price Cross-Check
+-- Per-source prices on resolution proofs, and settlement holds when sources disagree
+-- (services/crypto-deadline-pricing.js, services/crypto-price-hold-service.js)
+-- Production: neon.tech database
+
+-- =====================================================
+-- PER-SOURCE PRICES ON PROOFS
+-- =====================================================
+ALTER TABLE oracle.crypto_resolution_proofs
+    ADD COLUMN IF NOT EXISTS source_prices JSONB, -- [{provider, price, priceTimestamp, sampleCount} | {provider, error}]
+    ADD COLUMN IF NOT EXISTS deviation_percent NUMERIC(10, 4), -- Largest distance of a source from the median
+    ADD COLUMN IF NOT EXISTS confirmed_by VARCHAR(100); -- Set when an admin confirmed a held price
+
+-- =====================================================
+-- SETTLEMENT HOLDS (one per market, until an admin confirms)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.crypto_price_holds (
+    market_id VARCHAR(255) PRIMARY KEY,
+    pool_id BIGINT, -- NULL for oracle.crypto_prediction_markets
+    symbol VARCHAR(20) NOT NULL,
+    coinpaprika_id TEXT,
+    deadline TIMESTAMP WITH TIME ZONE NOT NULL,
+    resolution_mode VARCHAR(10) NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('disagreement', 'no_quorum')),
+    median_price NUMERIC(20, 8),
+    deviation_percent NUMERIC(10, 4),
+    source_prices JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed')),
+    confirmed_price NUMERIC(20, 8),
+    confirmed_by VARCHAR(100),
+    confirmation_note TEXT,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crypto_price_holds_status ON oracle.crypto_price_holds(status);
+
+COMMENT ON TABLE oracle.crypto_price_holds IS 'Crypto markets whose price sources disagreed; settlement waits for admin confirmation';
@@ -0,0 +1,54 @@
+-- Migration: Indexer Block Checkpoints
+-- Shared resume points and block hashes for reorg detection, used by utils/indexer-checkpoint.js
+-- (unified-realtime-indexer.js, event-driven pool/bet/slip sync)
+-- Production: neon.tech database
+
+-- =====================================================
+-- CHECKPOINTS (one row per indexer + contract)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.indexer_checkpoints (
+    indexer_name VARCHAR(100) NOT NULL,
+    contract_address VARCHAR(42) NOT NULL, -- '*' for indexers that cover several contracts
+    last_block BIGINT NOT NULL, -- Last block fully processed (already past the confirmation depth)
+    last_block_hash VARCHAR(66),
+    reorg_count INTEGER DEFAULT 0,
+    last_reorg_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (indexer_name, contract_address)
+);
+
+-- =====================================================
+-- RECENT BLOCK HASHES (finding the fork point after a reorg)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.indexer_block_hashes (
+    indexer_name VARCHAR(100) NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (indexer_name, contract_address, block_number)
+);
+
+-- =====================================================
+-- PROCESSED EVENTS (dedupe for handlers that are not idempotent,
+-- e.g. LiquidityAdded which increments a stake)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.indexer_processed_events (
+    indexer_name VARCHAR(100) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    event_name VARCHAR(100),
+    block_number BIGINT NOT NULL,
+    payload JSONB, -- What an incrementing handler applied, so a reorg can undo it
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (indexer_name, tx_hash, log_index)
+);
+
+ALTER TABLE system.indexer_processed_events ADD COLUMN IF NOT EXISTS payload JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_indexer_processed_events_block ON system.indexer_processed_events(indexer_name, block_number);
+
+COMMENT ON TABLE system.indexer_checkpoints IS 'Last confirmed block processed per indexer and contract';
+COMMENT ON TABLE system.indexer_block_hashes IS 'Hashes of recently checkpointed blocks, pruned to a fixed window';
+COMMENT ON TABLE system.indexer_processed_events IS 'Events already applied by live listeners or replays, so each is applied once';
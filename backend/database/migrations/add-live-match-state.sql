@@ -0,0 +1,25 @@
+-- Migration: Live Match State
+-- Last score/status seen by the live match poller (services/live-match-poller.js),
+-- diffed on every poll to decide what to push on fixture:{id} channels
+-- Production: neon.tech database
+
+-- =====================================================
+-- LIVE MATCH STATE (one row per tracked fixture)
+-- Kept apart from fixtures.result_info, which only holds final results
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.live_match_state (
+    fixture_id VARCHAR(50) PRIMARY KEY REFERENCES oracle.fixtures(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL,
+    minute INTEGER,
+    home_score INTEGER,
+    away_score INTEGER,
+    ht_home_score INTEGER,
+    ht_away_score INTEGER,
+    event_count INTEGER NOT NULL DEFAULT 0,
+    last_polled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE -- Set at full time; the poller stops tracking the fixture
+);
+
+CREATE INDEX IF NOT EXISTS idx_live_match_state_unfinished ON oracle.live_match_state(fixture_id) WHERE finished_at IS NULL;
+
+COMMENT ON TABLE oracle.live_match_state IS 'In-play score and status per fixture, maintained by the live match poller';
@@ -0,0 +1,50 @@
+-- Migration: Market Maker Agent
+-- Pools seeded by services/market-maker-agent.js, with the fair odds they were priced
+-- from, the stake and fees committed, and the result once the pool settles
+-- Production: neon.tech database
+
+-- =====================================================
+-- POSITIONS (one pool per fixture)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.market_maker_positions (
+    id BIGSERIAL PRIMARY KEY,
+    fixture_id VARCHAR(50) NOT NULL UNIQUE, -- Pools on a fixture share its market id and fixture mapping
+    league VARCHAR(255) NOT NULL,
+    home_team VARCHAR(255),
+    away_team VARCHAR(255),
+    event_start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    market_key VARCHAR(32) NOT NULL, -- Market without the selection, e.g. 1X2:FT, OU:FT:2.5
+    market_spec_key VARCHAR(64) NOT NULL, -- Full spec, e.g. OU:FT:2.5:over
+    predicted_outcome TEXT NOT NULL, -- Outcome text hashed into the pool
+    market_id_hash VARCHAR(66) NOT NULL,
+    fair_odds NUMERIC(10, 4) NOT NULL, -- Margin-removed consensus price of the predicted outcome
+    odds INTEGER NOT NULL, -- Offered, contract format (150 = 1.50x)
+    bookmaker_count INTEGER,
+    use_bitr BOOLEAN NOT NULL,
+    creator_stake NUMERIC(78, 0) NOT NULL,
+    creation_fee NUMERIC(78, 0) NOT NULL, -- In the pool token
+    boost_tier VARCHAR(10) NOT NULL DEFAULT 'NONE',
+    boost_fee NUMERIC(78, 0) NOT NULL DEFAULT 0, -- Always STT
+    create_via VARCHAR(10) NOT NULL CHECK (create_via IN ('core', 'factory')),
+    signer_address VARCHAR(42) NOT NULL, -- Agent wallet
+    creator_address VARCHAR(42), -- On-chain pool creator (the factory for factory-created pools)
+    tx_key VARCHAR(200) NOT NULL, -- system.tx_queue idempotency key of the creation
+    tx_hash VARCHAR(66),
+    pool_id BIGINT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'open', 'settled', 'failed')),
+    outcome VARCHAR(10) CHECK (outcome IN ('won', 'lost', 'refunded')), -- From the agent's (creator) side
+    return_amount NUMERIC(78, 0), -- What the settled pool pays the agent, in the pool token
+    pnl NUMERIC(78, 0), -- return_amount - creator_stake - creation_fee (boost fees are reported separately)
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    settled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_maker_positions_status ON oracle.market_maker_positions(status, use_bitr);
+CREATE INDEX IF NOT EXISTS idx_market_maker_positions_pool ON oracle.market_maker_positions(pool_id);
+CREATE INDEX IF NOT EXISTS idx_market_maker_positions_league ON oracle.market_maker_positions(league, market_key);
+
+COMMENT ON TABLE oracle.market_maker_positions IS 'Pools created by the market maker agent and their P&L';
+COMMENT ON COLUMN oracle.market_maker_positions.status IS 'pending: creation queued; open: pool created; settled: result known; failed: creation did not confirm';
@@ -0,0 +1,26 @@
+-- Migration: Market Specs
+-- Canonical market spec (utils/market-spec.js) stored with each pool and with the
+-- fixture mapping written when a football pool is prepared
+-- Production: neon.tech database
+
+-- =====================================================
+-- SPEC PER POOL
+-- =====================================================
+ALTER TABLE oracle.pools
+    ADD COLUMN IF NOT EXISTS market_spec JSONB, -- {version, family, period|asset, line, selection}
+    ADD COLUMN IF NOT EXISTS market_spec_key VARCHAR(64), -- Serialized spec, e.g. OU:FT:2.5:over
+    ADD COLUMN IF NOT EXISTS market_spec_status VARCHAR(20)
+        CHECK (market_spec_status IN ('parsed', 'needs_review', 'confirmed'));
+        -- parsed: derived from the pool's strings; needs_review: strings could not be parsed;
+        -- confirmed: set by an admin, never overwritten by sync or backfill
+
+CREATE INDEX IF NOT EXISTS idx_pools_market_spec_review ON oracle.pools(pool_id) WHERE market_spec_status = 'needs_review';
+CREATE INDEX IF NOT EXISTS idx_pools_market_spec_key ON oracle.pools(market_spec_key);
+
+-- =====================================================
+-- SPEC CHOSEN AT CREATION
+-- =====================================================
+ALTER TABLE oracle.fixture_mappings
+    ADD COLUMN IF NOT EXISTS market_spec JSONB;
+
+COMMENT ON COLUMN oracle.pools.market_spec IS 'Typed market the pool bets on; drives titles and settlement (utils/market-spec.js)';
@@ -0,0 +1,60 @@
+-- Migration: Notification Delivery Channels
+-- Outbound channels (webhook, email, telegram) per user, delivery preferences
+-- (quiet hours, digests) and the retrying outbox drained by
+-- services/notification-delivery-service.js
+-- Production: neon.tech database
+
+-- =====================================================
+-- CHANNELS (one per user and channel type)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.notification_channels (
+    id BIGSERIAL PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL, -- Lowercase
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('webhook', 'email', 'telegram')),
+    target TEXT NOT NULL, -- Webhook URL, email address or Telegram chat id
+    secret VARCHAR(64), -- Webhook signing secret
+    notification_types TEXT[], -- NULL delivers every type
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    verified_at TIMESTAMP WITH TIME ZONE, -- Nothing but the verification code is sent before this
+    verification_code_hash VARCHAR(64),
+    verification_expires_at TIMESTAMP WITH TIME ZONE,
+    verification_attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_address, channel)
+);
+
+-- =====================================================
+-- DELIVERY PREFERENCES
+-- =====================================================
+ALTER TABLE core.notification_preferences
+    ADD COLUMN IF NOT EXISTS quiet_hours_start SMALLINT CHECK (quiet_hours_start BETWEEN 0 AND 23), -- Local hour, NULL when off
+    ADD COLUMN IF NOT EXISTS quiet_hours_end SMALLINT CHECK (quiet_hours_end BETWEEN 0 AND 23),
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA name
+    ADD COLUMN IF NOT EXISTS digest_mode VARCHAR(10) NOT NULL DEFAULT 'off' CHECK (digest_mode IN ('off', 'hourly', 'daily')),
+    ADD COLUMN IF NOT EXISTS digest_hour SMALLINT NOT NULL DEFAULT 9 CHECK (digest_hour BETWEEN 0 AND 23); -- Local hour of the daily digest
+
+-- =====================================================
+-- OUTBOX
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.notification_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    channel_id BIGINT NOT NULL REFERENCES core.notification_channels(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL DEFAULT 'notification' CHECK (kind IN ('notification', 'verification')),
+    notification_id INTEGER, -- core.notifications.id (rows there are cleaned up, so no foreign key)
+    payload JSONB NOT NULL, -- Type, title, message and data at the time of the notification
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Pushed back by quiet hours, digests and retries
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON core.notification_outbox(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_sending ON core.notification_outbox(locked_at) WHERE status = 'sending';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_channel ON core.notification_outbox(channel_id, created_at DESC);
+
+COMMENT ON TABLE core.notification_channels IS 'Outbound notification channels a user has set up and verified';
+COMMENT ON TABLE core.notification_outbox IS 'Pending and past channel deliveries; failed sends are retried with backoff';
@@ -0,0 +1,48 @@
+-- Migration: Odds Consensus
+-- Per-bookmaker odds stay in oracle.fixture_odds; one consensus price per selection
+-- and a completeness score per fixture (services/odds-consensus.js)
+-- Production: neon.tech database
+
+-- =====================================================
+-- CONSENSUS PRICE PER SELECTION
+-- Same key columns as oracle.fixture_odds, so odds readers can switch tables
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.fixture_odds_consensus (
+    id VARCHAR(80) PRIMARY KEY, -- fixture_market_label[_total]
+    fixture_id VARCHAR(50) NOT NULL REFERENCES oracle.fixtures(id) ON DELETE CASCADE,
+    market_id VARCHAR(50) NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    total NUMERIC(10, 6), -- For Over/Under markets
+    market_description VARCHAR(255),
+    sort_order INTEGER,
+    value NUMERIC(10, 6) NOT NULL, -- Consensus price for the configured method
+    method VARCHAR(10) NOT NULL CHECK (method IN ('median', 'best', 'fair')),
+    median_value NUMERIC(10, 6),
+    best_value NUMERIC(10, 6),
+    fair_value NUMERIC(10, 6), -- Margin removed; NULL for non-exhaustive markets
+    min_value NUMERIC(10, 6),
+    max_value NUMERIC(10, 6),
+    bookmaker_count INTEGER NOT NULL,
+    outlier_count INTEGER NOT NULL DEFAULT 0, -- Prices ignored for being too far from the median
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fixture_odds_consensus_fixture ON oracle.fixture_odds_consensus(fixture_id);
+CREATE INDEX IF NOT EXISTS idx_fixture_odds_consensus_market ON oracle.fixture_odds_consensus(market_id, label);
+
+-- =====================================================
+-- MARKET COMPLETENESS PER FIXTURE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.fixture_odds_completeness (
+    fixture_id VARCHAR(50) PRIMARY KEY REFERENCES oracle.fixtures(id) ON DELETE CASCADE,
+    score NUMERIC(5, 4) NOT NULL, -- 0-1, weighted share of selections priced by enough bookmakers
+    bookmaker_count INTEGER NOT NULL,
+    markets JSONB NOT NULL, -- { "1": { coverage, bookmakers }, "80_2.5": {...}, ... }
+    oddyssey_ready BOOLEAN NOT NULL DEFAULT FALSE, -- 1X2 and O/U 2.5 complete
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fixture_odds_completeness_score ON oracle.fixture_odds_completeness(score DESC);
+
+COMMENT ON TABLE oracle.fixture_odds_consensus IS 'Consensus price per selection across bookmakers, outliers removed';
+COMMENT ON TABLE oracle.fixture_odds_completeness IS 'How completely each fixture is priced, for Oddyssey selection and guided markets';
@@ -0,0 +1,92 @@
+-- Migration: Optimistic Oracle Indexing
+-- Tables populated by services/optimistic-oracle-indexer.js from OptimisticOracle events
+-- (MarketCreated, OutcomeProposed, OutcomeDisputed, VoteCast, MarketResolved, BondClaimed)
+-- Production: neon.tech database
+
+-- =====================================================
+-- OPTIMISTIC MARKETS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.optimistic_markets (
+    market_id_hash VARCHAR(66) PRIMARY KEY, -- keccak256(marketId) as emitted by the contract
+    market_id TEXT, -- Original string market id (from oracle.pools), needed for contract calls
+    pool_id BIGINT,
+    question TEXT,
+    category TEXT,
+    event_end_time BIGINT,
+    state VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'proposed', 'disputed', 'resolved', 'expired'
+
+    -- Proposal
+    proposer_address VARCHAR(42),
+    proposed_outcome TEXT,
+    proposed_outcome_raw VARCHAR(66),
+    proposal_bond NUMERIC(78, 0),
+    proposal_time BIGINT,
+    proposal_tx_hash VARCHAR(66),
+
+    -- Dispute
+    disputer_address VARCHAR(42),
+    dispute_bond NUMERIC(78, 0),
+    dispute_time BIGINT,
+    dispute_end_time BIGINT,
+    dispute_tx_hash VARCHAR(66),
+
+    -- Resolution
+    final_outcome TEXT,
+    final_outcome_raw VARCHAR(66),
+    winner_address VARCHAR(42),
+    reward NUMERIC(78, 0),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    resolution_tx_hash VARCHAR(66),
+    bonds_claimed BOOLEAN DEFAULT FALSE,
+
+    tx_hash VARCHAR(66),
+    block_number BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimistic_markets_market_id ON oracle.optimistic_markets(market_id);
+CREATE INDEX IF NOT EXISTS idx_optimistic_markets_pool_id ON oracle.optimistic_markets(pool_id);
+CREATE INDEX IF NOT EXISTS idx_optimistic_markets_state ON oracle.optimistic_markets(state);
+CREATE INDEX IF NOT EXISTS idx_optimistic_markets_proposer ON oracle.optimistic_markets(LOWER(proposer_address));
+CREATE INDEX IF NOT EXISTS idx_optimistic_markets_disputer ON oracle.optimistic_markets(LOWER(disputer_address));
+
+-- =====================================================
+-- DISPUTE VOTES (VoteCast)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.optimistic_votes (
+    id BIGSERIAL PRIMARY KEY,
+    market_id_hash VARCHAR(66) NOT NULL REFERENCES oracle.optimistic_markets(market_id_hash) ON DELETE CASCADE,
+    voter_address VARCHAR(42) NOT NULL,
+    outcome TEXT,
+    outcome_raw VARCHAR(66) NOT NULL,
+    voting_power NUMERIC(78, 0) NOT NULL,
+    tx_hash VARCHAR(66),
+    block_number BIGINT,
+    voted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(market_id_hash, voter_address) -- Contract allows a single vote per voter
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimistic_votes_voter ON oracle.optimistic_votes(LOWER(voter_address));
+
+-- =====================================================
+-- BOND CLAIMS (BondClaimed)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.optimistic_bond_claims (
+    id BIGSERIAL PRIMARY KEY,
+    market_id_hash VARCHAR(66) NOT NULL REFERENCES oracle.optimistic_markets(market_id_hash) ON DELETE CASCADE,
+    claimer_address VARCHAR(42) NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL DEFAULT 0,
+    block_number BIGINT,
+    claimed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimistic_bond_claims_market ON oracle.optimistic_bond_claims(market_id_hash);
+CREATE INDEX IF NOT EXISTS idx_optimistic_bond_claims_claimer ON oracle.optimistic_bond_claims(LOWER(claimer_address));
+
+COMMENT ON TABLE oracle.optimistic_markets IS 'OptimisticOracle markets with proposal, dispute and resolution state';
+COMMENT ON TABLE oracle.optimistic_votes IS 'Dispute votes (VoteCast events)';
+COMMENT ON TABLE oracle.optimistic_bond_claims IS 'Bond payouts (BondClaimed events)';
@@ -0,0 +1,79 @@
+-- Migration: Guided Oracle Outcome Corrections
+-- Outcomes on GuidedOracle that no longer match oracle.fixture_results, the admin review
+-- that corrects them (GuidedOracle.correctOutcome) and an audit trail of every decision
+-- (services/outcome-correction-service.js)
+-- Production: neon.tech database
+
+-- =====================================================
+-- CORRECTIONS (at most one open case per market)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.outcome_corrections (
+    id BIGSERIAL PRIMARY KEY,
+    market_id VARCHAR(255) NOT NULL, -- GuidedOracle market id (the fixture id for football pools)
+    fixture_id VARCHAR(50),
+    submitted_outcome TEXT NOT NULL, -- Outcome on the oracle when the mismatch was found
+    expected_outcome TEXT, -- Re-derived from fixture_results; NULL when the pools on the market disagree
+    expected_by_pool JSONB NOT NULL DEFAULT '{}', -- { poolId: outcome } as derived per pool
+    scores JSONB, -- fixture_results scores the expected outcome was derived from
+    status VARCHAR(20) NOT NULL DEFAULT 'flagged' CHECK (status IN ('flagged', 'prepared', 'approved', 'executed', 'rejected', 'resolved')),
+    corrected_outcome TEXT, -- Outcome the prepared correction writes
+    prepared_tx JSONB, -- { contractAddress, functionName, parameters, data }
+    prepared_by VARCHAR(100),
+    prepared_at TIMESTAMP WITH TIME ZONE,
+    approved_by VARCHAR(100),
+    approved_at TIMESTAMP WITH TIME ZONE,
+    executed_by VARCHAR(100),
+    executed_at TIMESTAMP WITH TIME ZONE,
+    tx_key VARCHAR(200), -- system.tx_queue idempotency key of the correctOutcome call
+    tx_hash VARCHAR(66),
+    closed_by VARCHAR(100), -- Admin who rejected, or 'reconciliation' when the mismatch went away
+    close_reason TEXT,
+    last_checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outcome_corrections_open_market
+    ON oracle.outcome_corrections(market_id)
+    WHERE status IN ('flagged', 'prepared', 'approved');
+CREATE INDEX IF NOT EXISTS idx_outcome_corrections_status ON oracle.outcome_corrections(status, created_at DESC);
+
+COMMENT ON TABLE oracle.outcome_corrections IS 'Guided oracle outcomes that disagree with the latest fixture results, and their review';
+COMMENT ON COLUMN oracle.outcome_corrections.status IS 'flagged: mismatch found; prepared: correction proposed; approved: signed off by a second admin; executed: correctOutcome confirmed; rejected: dismissed by an admin; resolved: mismatch went away before execution';
+
+-- =====================================================
+-- AFFECTED POOLS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.outcome_correction_pools (
+    correction_id BIGINT NOT NULL REFERENCES oracle.outcome_corrections(id) ON DELETE CASCADE,
+    pool_id BIGINT NOT NULL,
+    settled_before BOOLEAN NOT NULL DEFAULT FALSE, -- Settled on-chain with the submitted outcome before the mismatch was found
+    previous_settlement_tx_hash VARCHAR(66),
+    status VARCHAR(20) NOT NULL DEFAULT 'awaiting' CHECK (status IN ('awaiting', 'resettled', 'locked')),
+    settlement_tx_hash VARCHAR(66), -- Settlement with the corrected outcome
+    resettled_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (correction_id, pool_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_outcome_correction_pools_pool ON oracle.outcome_correction_pools(pool_id, status);
+
+COMMENT ON TABLE oracle.outcome_correction_pools IS 'Pools on a corrected market and whether they were settled with the corrected outcome';
+COMMENT ON COLUMN oracle.outcome_correction_pools.status IS 'awaiting: not yet settled with the corrected outcome; resettled: settled after the correction; locked: settled on-chain before it (PoolCore cannot settle a pool twice)';
+
+-- =====================================================
+-- AUDIT TRAIL
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.outcome_correction_audit (
+    id BIGSERIAL PRIMARY KEY,
+    correction_id BIGINT NOT NULL REFERENCES oracle.outcome_corrections(id) ON DELETE CASCADE,
+    action VARCHAR(30) NOT NULL, -- flagged, updated, invalidated, prepared, approved, rejected, executed, execute_failed, resettled, locked, resolved
+    actor VARCHAR(100) NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20),
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outcome_correction_audit_correction ON oracle.outcome_correction_audit(correction_id, created_at);
+
+COMMENT ON TABLE oracle.outcome_correction_audit IS 'Every reconciliation finding and admin decision on an outcome correction';
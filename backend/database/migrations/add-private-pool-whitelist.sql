@@ -0,0 +1,66 @@
+-- Migration: Private Pool Whitelist and Invites
+-- Whitelist state for private pools (UserWhitelisted events plus on-chain
+-- reconciliation by services/pool-whitelist-indexer.js) and the signed invite
+-- links served by services/pool-whitelist-service.js
+-- Production: neon.tech database
+
+-- =====================================================
+-- WHITELIST (one row per pool and user)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.pool_whitelist (
+    id SERIAL PRIMARY KEY,
+    pool_id BIGINT NOT NULL,
+    user_address TEXT NOT NULL,
+    whitelisted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(pool_id, user_address)
+);
+
+-- removeFromWhitelist() emits no event, so removals are found by reading
+-- poolWhitelist(poolId, user) on-chain and recorded in removed_at
+ALTER TABLE oracle.pool_whitelist
+    ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS tx_hash VARCHAR(66), -- UserWhitelisted that last added the user
+    ADD COLUMN IF NOT EXISTS log_index INTEGER,
+    ADD COLUMN IF NOT EXISTS block_number BIGINT,
+    ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS checked_at TIMESTAMP WITH TIME ZONE; -- Last on-chain reconciliation
+
+CREATE INDEX IF NOT EXISTS idx_pool_whitelist_pool_id ON oracle.pool_whitelist(pool_id);
+CREATE INDEX IF NOT EXISTS idx_pool_whitelist_user ON oracle.pool_whitelist(user_address);
+CREATE INDEX IF NOT EXISTS idx_pool_whitelist_block ON oracle.pool_whitelist(block_number);
+
+-- =====================================================
+-- INVITE LINKS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.pool_invites (
+    id BIGSERIAL PRIMARY KEY,
+    pool_id BIGINT NOT NULL,
+    creator_address VARCHAR(42) NOT NULL, -- Lowercase
+    label VARCHAR(100),
+    max_uses INTEGER, -- NULL for unlimited
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_invites_pool ON oracle.pool_invites(pool_id);
+
+-- =====================================================
+-- INVITE REDEMPTIONS (awaiting the creator's addToWhitelist)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.pool_invite_redemptions (
+    id BIGSERIAL PRIMARY KEY,
+    invite_id BIGINT NOT NULL REFERENCES oracle.pool_invites(id) ON DELETE CASCADE,
+    pool_id BIGINT NOT NULL,
+    user_address VARCHAR(42) NOT NULL, -- Lowercase
+    redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    whitelisted_at TIMESTAMP WITH TIME ZONE, -- Set once the user is on the on-chain whitelist
+    UNIQUE (pool_id, user_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pool_invite_redemptions_pending ON oracle.pool_invite_redemptions(pool_id) WHERE whitelisted_at IS NULL;
+
+COMMENT ON TABLE oracle.pool_whitelist IS 'Whitelisted users for private pools, mirrored from BitredictPoolCore.poolWhitelist';
+COMMENT ON TABLE oracle.pool_invites IS 'Signed, expiring invite links to private pools';
+COMMENT ON TABLE oracle.pool_invite_redemptions IS 'Users who redeemed an invite; the pool creator whitelists them on-chain';
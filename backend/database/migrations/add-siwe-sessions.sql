@@ -0,0 +1,41 @@
+-- Migration: Sign-In-With-Ethereum (EIP-4361) Sessions
+-- Nonces and sessions used by services/siwe-auth-service.js and api/auth.js
+-- Production: neon.tech database
+
+-- =====================================================
+-- LOGIN NONCES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.auth_nonces (
+    nonce VARCHAR(64) PRIMARY KEY,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE, -- Set when consumed by a login; nonces are single-use
+    used_by VARCHAR(42)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON system.auth_nonces(expires_at);
+
+-- =====================================================
+-- SESSIONS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.auth_sessions (
+    session_id VARCHAR(64) PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL,
+    chain_id INTEGER,
+    domain TEXT,
+    nonce VARCHAR(64) REFERENCES system.auth_nonces(nonce),
+    siwe_message TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON system.auth_sessions(LOWER(user_address));
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON system.auth_sessions(expires_at);
+
+COMMENT ON TABLE system.auth_nonces IS 'Single-use nonces issued for EIP-4361 sign-in messages';
+COMMENT ON TABLE system.auth_sessions IS 'Wallet sessions created from verified EIP-4361 signatures';
@@ -0,0 +1,94 @@
+-- Migration: Staking Event Indexing
+-- Tables populated by services/staking-event-indexer.js from BitredictStaking events
+-- (Staked, Unstaked, Claimed, RevenueAdded, RevenueDistributed, RevenueClaimed)
+-- Production: neon.tech database
+
+-- =====================================================
+-- STAKE POSITIONS (Staked / Unstaked)
+-- =====================================================
+-- The contract swaps and pops stakes on unstake, so positions are keyed by the
+-- Staked log rather than the on-chain index. Unstaked only carries the amount;
+-- it closes the oldest unlocked open position of that user with that amount.
+CREATE TABLE IF NOT EXISTS oracle.staking_positions (
+    id BIGSERIAL PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL,
+    tier_id SMALLINT NOT NULL,
+    duration_option SMALLINT NOT NULL,
+    staked_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    unlock_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    unstaked_at TIMESTAMP WITH TIME ZONE,
+    unstake_tx_hash VARCHAR(66),
+    unstake_block_number BIGINT,
+    unstake_log_index INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staking_positions_user ON oracle.staking_positions(user_address);
+CREATE INDEX IF NOT EXISTS idx_staking_positions_open ON oracle.staking_positions(unlock_at) WHERE unstaked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_staking_positions_tier ON oracle.staking_positions(tier_id, staked_at);
+
+-- =====================================================
+-- REWARD LEDGER (Claimed / RevenueClaimed)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.staking_rewards (
+    id BIGSERIAL PRIMARY KEY,
+    user_address VARCHAR(42) NOT NULL,
+    reward_type VARCHAR(10) NOT NULL CHECK (reward_type IN ('apy', 'revenue')),
+    bitr_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    stt_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    claimed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staking_rewards_user ON oracle.staking_rewards(user_address, claimed_at DESC);
+
+-- =====================================================
+-- PROTOCOL REVENUE (RevenueAdded / RevenueDistributed)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS oracle.staking_revenue (
+    id BIGSERIAL PRIMARY KEY,
+    source VARCHAR(20) NOT NULL, -- 'pool_fees', 'combo_fees', 'boosts', 'manual', 'other' (from the calling contract)
+    bitr_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    stt_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    added_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    distributed_block BIGINT, -- Block of the RevenueDistributed event that paid it out
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staking_revenue_added ON oracle.staking_revenue(added_at);
+CREATE INDEX IF NOT EXISTS idx_staking_revenue_undistributed ON oracle.staking_revenue(block_number) WHERE distributed_block IS NULL;
+
+-- One row per tier that received revenue, reconstructed with the contract's split
+CREATE TABLE IF NOT EXISTS oracle.staking_revenue_distributions (
+    id BIGSERIAL PRIMARY KEY,
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number BIGINT NOT NULL,
+    distributed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    tier_id SMALLINT NOT NULL,
+    tier_staked NUMERIC(78, 0) NOT NULL,
+    bitr_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    stt_amount NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tx_hash, log_index, tier_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staking_revenue_distributions_tier ON oracle.staking_revenue_distributions(tier_id, distributed_at);
+
+COMMENT ON TABLE oracle.staking_positions IS 'Stakes from Staked events; closed by the matching Unstaked event';
+COMMENT ON TABLE oracle.staking_rewards IS 'APY rewards (Claimed) and revenue share (RevenueClaimed) paid to stakers';
+COMMENT ON TABLE oracle.staking_revenue IS 'Protocol revenue sent to the staking contract (RevenueAdded)';
+COMMENT ON TABLE oracle.staking_revenue_distributions IS 'Per-tier revenue shares of each RevenueDistributed event';
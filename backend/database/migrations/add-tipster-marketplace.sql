@@ -0,0 +1,63 @@
+-- Migration: Tipster Marketplace
+-- Priced picks published by high-reputation users, purchases verified against
+-- on-chain STT/BITR transfers, and the settled outcome of every pick
+-- (services/tipster-service.js)
+-- Production: neon.tech database
+
+-- =====================================================
+-- PICKS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.tipster_picks (
+    id BIGSERIAL PRIMARY KEY,
+    tipster_address VARCHAR(42) NOT NULL,
+    pool_id BIGINT, -- Pool picks: which side of the pool wins
+    fixture_id VARCHAR(50), -- Fixture picks (and pool picks on a football fixture)
+    pick_type VARCHAR(10) NOT NULL CHECK (pick_type IN ('pool', 'fixture')),
+    side VARCHAR(3) CHECK (side IN ('yes', 'no')), -- Pool picks: yes = the predicted outcome happens (bettors win)
+    market_spec_key VARCHAR(64), -- Fixture picks: the selection, e.g. OU:FT:2.5:over
+    title VARCHAR(200) NOT NULL, -- Public teaser
+    content TEXT NOT NULL, -- Analysis, shown to buyers and the tipster only
+    odds NUMERIC(10, 4), -- Decimal odds of the pick when published (pool odds or consensus odds)
+    currency VARCHAR(4) NOT NULL CHECK (currency IN ('STT', 'BITR')),
+    price NUMERIC(78, 0) NOT NULL, -- Wei
+    reputation_at_publish INTEGER NOT NULL, -- ReputationSystem score when published
+    locks_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Betting end / kick-off; no sales after, selection public after
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'won', 'lost', 'void')),
+    result_selection VARCHAR(64), -- What happened (spec selection, or yes/no for pool picks)
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (
+        (pick_type = 'pool' AND pool_id IS NOT NULL AND side IS NOT NULL)
+        OR (pick_type = 'fixture' AND fixture_id IS NOT NULL AND market_spec_key IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_tipster_picks_tipster ON core.tipster_picks(tipster_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tipster_picks_open ON core.tipster_picks(status, locks_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_tipster_picks_pool ON core.tipster_picks(pool_id);
+CREATE INDEX IF NOT EXISTS idx_tipster_picks_fixture ON core.tipster_picks(fixture_id);
+
+COMMENT ON TABLE core.tipster_picks IS 'Priced picks sold by tipsters (ReputationSystem score 300+)';
+COMMENT ON COLUMN core.tipster_picks.status IS 'open until the pool or fixture settles; void for refunded pools';
+
+-- =====================================================
+-- PURCHASES (one per buyer and pick, one per transfer)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS core.tipster_purchases (
+    id BIGSERIAL PRIMARY KEY,
+    pick_id BIGINT NOT NULL REFERENCES core.tipster_picks(id) ON DELETE CASCADE,
+    buyer_address VARCHAR(42) NOT NULL,
+    tipster_address VARCHAR(42) NOT NULL,
+    currency VARCHAR(4) NOT NULL,
+    amount NUMERIC(78, 0) NOT NULL, -- Wei actually transferred
+    tx_hash VARCHAR(66) NOT NULL UNIQUE,
+    block_number BIGINT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (pick_id, buyer_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tipster_purchases_buyer ON core.tipster_purchases(buyer_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tipster_purchases_tipster ON core.tipster_purchases(tipster_address);
+
+COMMENT ON TABLE core.tipster_purchases IS 'Pick unlocks, each backed by a verified transfer from the buyer to the tipster';
@@ -0,0 +1,65 @@
+-- Migration: Transaction Manager
+-- Shared transaction queue and per-signer nonce ledger used by services/tx-manager.js,
+-- so the oracle bots, settlement and maintenance workers never race each other for nonces
+-- Production: neon.tech database
+
+-- =====================================================
+-- NONCE LEDGER (one row per signing wallet)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.tx_signers (
+    signer_address VARCHAR(42) PRIMARY KEY, -- Lowercase
+    chain_id BIGINT NOT NULL,
+    next_nonce BIGINT NOT NULL, -- Next nonce the manager will hand out
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- QUEUE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS system.tx_queue (
+    id BIGSERIAL PRIMARY KEY,
+    idempotency_key VARCHAR(200) NOT NULL UNIQUE, -- e.g. 'settlePool:42'; a key is only ever broadcast once at a time
+    signer_address VARCHAR(42) NOT NULL,
+    lane VARCHAR(20) NOT NULL, -- settlement, oracle, maintenance, analytics
+    priority INTEGER NOT NULL, -- From the lane; lower is sent first
+    to_address VARCHAR(42) NOT NULL,
+    data TEXT NOT NULL DEFAULT '0x',
+    value NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    gas_limit NUMERIC(78, 0), -- Estimated at send time when NULL
+    min_gas_price NUMERIC(78, 0), -- Floor requested by the caller
+    description TEXT, -- Contract method, for the admin view
+    requested_by VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- See tx_queue_status_check below
+    nonce BIGINT,
+    tx_hash VARCHAR(66), -- Latest signed hash (replacements included)
+    tx_hashes TEXT[] NOT NULL DEFAULT '{}', -- Every hash broadcast for this nonce
+    raw_tx TEXT, -- Latest signed transaction, rebroadcast when a node forgets it
+    gas_price NUMERIC(78, 0),
+    max_fee_per_gas NUMERIC(78, 0),
+    max_priority_fee_per_gas NUMERIC(78, 0),
+    attempts INTEGER NOT NULL DEFAULT 0, -- Failed estimates and broadcasts; the row fails at TX_MANAGER_MAX_ATTEMPTS
+    bumps INTEGER NOT NULL DEFAULT 0, -- Fee replacements for the current nonce
+    not_before TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- Retry backoff
+    last_error TEXT,
+    block_number BIGINT,
+    gas_used NUMERIC(78, 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE, -- Last signing (first send or replacement), drives fee bumping
+    confirmed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Declared separately so databases created before 'nonce_consumed' pick it up on a re-run.
+-- nonce_consumed: the nonce was mined by a transaction with none of this row's hashes;
+-- final and never retried automatically, someone has to reconcile it by hand
+ALTER TABLE system.tx_queue DROP CONSTRAINT IF EXISTS tx_queue_status_check;
+ALTER TABLE system.tx_queue ADD CONSTRAINT tx_queue_status_check
+    CHECK (status IN ('queued', 'sent', 'confirmed', 'reverted', 'failed', 'dropped', 'nonce_consumed'));
+
+CREATE INDEX IF NOT EXISTS idx_tx_queue_next ON system.tx_queue(signer_address, priority, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_tx_queue_in_flight ON system.tx_queue(signer_address, nonce) WHERE status = 'sent';
+CREATE INDEX IF NOT EXISTS idx_tx_queue_status ON system.tx_queue(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tx_queue_hash ON system.tx_queue(tx_hash);
+
+COMMENT ON TABLE system.tx_signers IS 'Nonce ledger per signing wallet, advanced under an advisory lock';
+COMMENT ON TABLE system.tx_queue IS 'Outgoing contract transactions by lane and priority, with replacement history';
@@ -43,7 +43,8 @@ class OptimizedCaching {
    */
   cacheMiddleware(ttl = 120) { // 2 minutes default TTL
     return async (req, res, next) => {
-      if (!this.isConnected || !this.client) {
+      // Signed-in viewers can get a different response (private pools), and the key is per URL
+      if (!this.isConnected || !this.client || req.user) {
         return next();
       }
 
@@ -0,0 +1,102 @@
+/**
+ * SIWE SESSION MIDDLEWARE
+ *
+ * Binds req.user.address from a session token issued by /api/auth/login.
+ * Routes that act on behalf of a wallet must use req.user.address instead of
+ * any address sent in the request body.
+ *
+ * The token is read from `Authorization: Bearer <token>` or the `bitredict_session` cookie.
+ */
+
+const siweAuthService = require('../services/siwe-auth-service');
+
+const SESSION_COOKIE = 'bitredict_session';
+
+function getSessionToken(req) {
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const cookies = req.headers.cookie;
+  if (cookies) {
+    for (const part of cookies.split(';')) {
+      const [name, ...value] = part.trim().split('=');
+      if (name === SESSION_COOKIE) {
+        return decodeURIComponent(value.join('='));
+      }
+    }
+  }
+
+  return null;
+}
+
+async function attachSession(req) {
+  const token = getSessionToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const session = await siweAuthService.getSession(token);
+  if (session) {
+    req.user = { address: session.address, sessionId: session.sessionId };
+  }
+  return session;
+}
+
+/**
+ * Reject the request unless it carries a valid session
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const session = await attachSession(req);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Sign in with your wallet via /api/auth/login'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Session lookup failed:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify session' });
+  }
+}
+
+/**
+ * Attach the session when present, but let anonymous requests through
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    await attachSession(req);
+  } catch (error) {
+    console.warn('⚠️ Optional session lookup failed:', error.message);
+  }
+  next();
+}
+
+/**
+ * Only allow the signed-in wallet to act on the address in the given route param
+ * Use after requireAuth
+ */
+function requireSelf(param = 'address') {
+  return (req, res, next) => {
+    const address = req.params[param] || req.query[param];
+    if (!address || address.toLowerCase() !== req.user.address) {
+      return res.status(403).json({
+        success: false,
+        error: 'Session does not match the requested address'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  getSessionToken,
+  requireAuth,
+  optionalAuth,
+  requireSelf
+};
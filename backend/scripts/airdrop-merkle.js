@@ -0,0 +1,72 @@
+/*
+  Airdrop Merkle distributions (airdrop/merkle_distribution.js).
+
+  Usage:
+    node scripts/airdrop-merkle.js build <snapshotId> [--tokens] [--force]
+      --tokens  snapshot amounts are whole tokens (enhanced airdrop service), not wei
+      --force   replace an existing distribution for the snapshot
+    node scripts/airdrop-merkle.js export <distributionId> [--csv] [--out <file>]
+    node scripts/airdrop-merkle.js verify [distributionId]
+      recomputes the root from the snapshot and checks every stored proof;
+      exits 1 if anything does not match
+*/
+
+const fs = require('fs');
+const db = require('../db/db');
+const AirdropMerkleDistribution = require('../airdrop/merkle_distribution');
+
+async function main(args) {
+  const [command, id] = args;
+  const merkle = new AirdropMerkleDistribution(db);
+
+  if (command === 'build') {
+    if (!id) {
+      throw new Error('Snapshot id required');
+    }
+    await merkle.build(parseInt(id), {
+      amountUnit: args.includes('--tokens') ? 'token' : 'wei',
+      force: args.includes('--force')
+    });
+    return 0;
+  }
+
+  if (command === 'export') {
+    if (!id) {
+      throw new Error('Distribution id required');
+    }
+    const output = await merkle.export(parseInt(id), args.includes('--csv') ? 'csv' : 'json');
+    const outIndex = args.indexOf('--out');
+    if (outIndex !== -1 && args[outIndex + 1]) {
+      fs.writeFileSync(args[outIndex + 1], output);
+      console.log(`📄 Wrote ${args[outIndex + 1]}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return 0;
+  }
+
+  if (command === 'verify') {
+    const result = await merkle.verify(id ? parseInt(id) : null);
+    console.log(`🔍 Distribution ${result.distributionId} (snapshot ${result.snapshotId})`);
+    console.log(`   stored root:     ${result.root}`);
+    console.log(`   recomputed root: ${result.recomputedRoot}`);
+    for (const problem of result.problems) {
+      console.log(`   ❌ ${problem}`);
+    }
+    console.log(result.valid ? '✅ Distribution matches the snapshot' : `❌ ${result.problems.length} problems found`);
+    return result.valid ? 0 : 1;
+  }
+
+  throw new Error(`Unknown command "${command || ''}" (build, export, verify)`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error('❌ Airdrop Merkle command failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
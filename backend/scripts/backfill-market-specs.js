@@ -0,0 +1,82 @@
+/*
+  Backfill market specs (utils/market-spec.js) for pools synced before specs were stored.
+  Each pool is parsed from its fixture mapping (market, outcome and selection chosen at
+  creation) or its predicted outcome; pools that can't be parsed are flagged
+  `needs_review` and listed at the end. Admin-confirmed specs are never touched.
+
+  Usage: node scripts/backfill-market-specs.js [--all] [--dry-run]
+    --all      re-parse pools that already have a parsed spec
+    --dry-run  print what would change without writing
+*/
+
+const db = require('../db/db');
+const marketSpec = require('../utils/market-spec');
+
+async function backfillMarketSpecs({ all = false, dryRun = false } = {}) {
+  const pools = await db.query(`
+    SELECT p.pool_id, p.category, p.home_team, p.away_team, p.predicted_outcome,
+           fm.market_type, fm.predicted_outcome AS mapped_outcome, fm.binary_selection, fm.market_spec AS mapped_spec
+    FROM oracle.pools p
+    LEFT JOIN oracle.fixture_mappings fm ON fm.market_id_hash = p.market_id
+    WHERE p.market_spec_status IS DISTINCT FROM 'confirmed'
+      AND ($1 OR p.market_spec IS NULL)
+    ORDER BY p.pool_id
+  `, [all]);
+
+  console.log(`🔍 ${pools.rows.length} pools to parse${dryRun ? ' (dry run)' : ''}`);
+
+  const flagged = [];
+  let parsed = 0;
+
+  for (const pool of pools.rows) {
+    const mapping = pool.mapped_outcome || pool.market_type
+      ? { market_type: pool.market_type, predicted_outcome: pool.mapped_outcome, binary_selection: pool.binary_selection }
+      : null;
+    const spec = pool.mapped_spec && marketSpec.validate(pool.mapped_spec).length === 0
+      ? pool.mapped_spec
+      : marketSpec.fromPool(pool, mapping);
+
+    if (spec) {
+      parsed++;
+      console.log(`  ✅ Pool ${pool.pool_id}: "${pool.predicted_outcome}" -> ${marketSpec.serialize(spec)}`);
+    } else {
+      flagged.push(pool);
+    }
+
+    if (!dryRun) {
+      await db.query(`
+        UPDATE oracle.pools
+        SET market_spec = $2, market_spec_key = $3, market_spec_status = $4
+        WHERE pool_id = $1 AND market_spec_status IS DISTINCT FROM 'confirmed'
+      `, [
+        pool.pool_id,
+        spec ? JSON.stringify(spec) : null,
+        spec ? marketSpec.serialize(spec) : null,
+        spec ? 'parsed' : 'needs_review'
+      ]);
+    }
+  }
+
+  console.log(`\n📊 Parsed ${parsed}, flagged ${flagged.length} for review`);
+  for (const pool of flagged) {
+    console.log(`  ⚠️ Pool ${pool.pool_id} (${pool.category}): "${pool.predicted_outcome}"` +
+      (pool.mapped_outcome ? ` / mapping "${pool.market_type}" "${pool.mapped_outcome}" ${pool.binary_selection || ''}` : ''));
+  }
+  if (flagged.length > 0) {
+    console.log('\nSet these with PUT /api/guided-markets/market-specs/:poolId { "key": "OU:FT:2.5:over" }');
+  }
+
+  return { parsed, flagged: flagged.length };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  backfillMarketSpecs({ all: args.includes('--all'), dryRun: args.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Market spec backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillMarketSpecs };
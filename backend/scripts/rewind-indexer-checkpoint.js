@@ -0,0 +1,63 @@
+// Move an indexer checkpoint back so the indexer replays events from a given block
+// Usage: node scripts/rewind-indexer-checkpoint.js <indexer-name> <contract-address|*> <block>
+//        npm run indexer:rewind -- event-driven-bet-sync 0xabc... 1234567
+// Without arguments, lists the current checkpoints.
+//
+// Replays are idempotent: rows already in the database are skipped, and events
+// recorded in system.indexer_processed_events are not applied twice.
+
+require('dotenv').config();
+const db = require('../db/db');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+
+async function listCheckpoints() {
+  const result = await db.query(`
+    SELECT indexer_name, contract_address, last_block, reorg_count, last_reorg_at, updated_at
+    FROM system.indexer_checkpoints
+    ORDER BY indexer_name, contract_address
+  `);
+
+  console.log('📋 Indexer checkpoints:');
+  for (const row of result.rows) {
+    console.log(`   ${row.indexer_name} @ ${row.contract_address}: block ${row.last_block} (reorgs: ${row.reorg_count}, updated ${row.updated_at.toISOString()})`);
+  }
+}
+
+async function rewindCheckpoint(indexerName, contractAddress, blockArg) {
+  const blockNumber = parseInt(blockArg);
+  if (!indexerName || !contractAddress || isNaN(blockNumber) || blockNumber < 0) {
+    console.error('❌ Usage: node scripts/rewind-indexer-checkpoint.js <indexer-name> <contract-address|*> <block>');
+    process.exit(1);
+  }
+
+  const checkpoint = new IndexerCheckpoint({ indexerName, contractAddress });
+  const lastBlock = await checkpoint.load();
+  if (lastBlock === null) {
+    console.error(`❌ No checkpoint for ${indexerName} @ ${contractAddress}`);
+    process.exit(1);
+  }
+  if (blockNumber >= lastBlock) {
+    console.error(`❌ Checkpoint is already at block ${lastBlock}`);
+    process.exit(1);
+  }
+
+  await checkpoint.rewind(blockNumber);
+  console.log(`✅ ${indexerName} @ ${contractAddress}: rewound from block ${lastBlock} to ${blockNumber}`);
+  console.log('   Events after this block are replayed on the next run');
+}
+
+async function main() {
+  try {
+    if (process.argv.length <= 2) {
+      await listCheckpoints();
+    } else {
+      await rewindCheckpoint(...process.argv.slice(2, 5));
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Rewind failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
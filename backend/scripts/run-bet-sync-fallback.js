@@ -3,8 +3,8 @@
 /**
  * Run Bet Sync Fallback
  * 
- * This script runs the fallback sync mechanism to catch missed bets
- * that the event-driven bet sync service might have missed.
+ * Replays BetPlaced/LiquidityAdded events from the bet sync checkpoint and
+ * runs the fallback sync, catching anything the live listeners missed.
  */
 
 const EventDrivenBetSync = require('../services/event-driven-bet-sync');
@@ -13,21 +13,13 @@ async function runBetSyncFallback() {
   console.log('🔄 Running Bet Sync Fallback...\n');
   
   try {
-    // Initialize the service
     const betSyncService = new EventDrivenBetSync();
-    
-    // Initialize Web3 service separately to avoid wallet requirement
-    const Web3Service = require('../services/web3-service');
-    const web3Service = new Web3Service();
-    await web3Service.initialize();
-    
-    // Set the contract manually
-    betSyncService.contract = await web3Service.getPoolCoreContractForEvents();
-    betSyncService.web3Service = web3Service;
+    await betSyncService.initialize();
     
     console.log('✅ Bet sync service initialized');
     
-    // Run fallback sync
+    // Replay events since the last checkpoint, then re-check active pools
+    await betSyncService.syncMissedBetEvents();
     await betSyncService.fallbackSync();
     
     console.log('✅ Bet sync fallback completed');
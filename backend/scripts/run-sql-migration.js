@@ -0,0 +1,47 @@
+// Script to run a SQL migration from database/migrations
+// Usage: node scripts/run-sql-migration.js <migration-file.sql>
+//        npm run db:migrate -- add-combo-pool-indexing.sql
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../database/migrations');
+
+async function runMigration(fileName) {
+  if (!fileName) {
+    const available = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql'));
+    console.error('❌ Usage: node scripts/run-sql-migration.js <migration-file.sql>');
+    console.error(`📋 Available migrations:\n   ${available.join('\n   ')}`);
+    process.exit(1);
+  }
+
+  const migrationPath = path.join(MIGRATIONS_DIR, path.basename(fileName));
+  if (!fs.existsSync(migrationPath)) {
+    console.error(`❌ Migration not found: ${migrationPath}`);
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  try {
+    console.log('🔗 Connecting to Neon.tech database...');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log(`📝 Running migration: ${path.basename(migrationPath)}`);
+    await pool.query(migrationSQL);
+    console.log('✅ Migration completed successfully!');
+
+    await pool.end();
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    await pool.end();
+    process.exit(1);
+  }
+}
+
+runMigration(process.argv[2]);
@@ -0,0 +1,774 @@
+const db = require('../db/db');
+const config = require('../config');
+const reputationManager = require('../utils/reputationManager');
+
+const LINK_TYPES = ['fixture', 'pool', 'oddyssey_cycle'];
+const REACTION_TYPES = ['like', 'dislike', 'love', 'laugh'];
+const ZERO_RESULT = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_SUMMARY_LENGTH = 500;
+const MAX_BODY_LENGTH = 50000;
+const WORDS_PER_MINUTE = 200;
+
+// Relative links must stay on site: browsers resolve `//host` and `/\host` to another origin
+const SAFE_LINK = /^(https?:\/\/|mailto:|\/(?![\/\\])|#)/i;
+const SAFE_IMAGE = /^https:\/\//i;
+// Browsers drop tabs and newlines from URLs, so `/<tab>/host` would pass SAFE_LINK and still leave the site
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+// Public listing: published, not held or hidden by moderation
+const LISTED = `a.status = 'published' AND a.moderation_status = 'approved' AND a.is_deleted = false`;
+
+/**
+ * Article Service
+ *
+ * Long-form analysis by users whose ReputationSystem score grants
+ * canShareArticles (300+, read live at create and publish). Articles start
+ * as drafts and may link fixtures, pools and Oddyssey cycles. A pool link
+ * published while the pool is open records the author's call, either
+ * stated or taken from their position in the pool, and once the pool
+ * settles the article shows whether the call was right.
+ *
+ * Markdown is rendered on save with raw HTML escaped and only http(s),
+ * mailto and relative links (https images) kept. Reactions reuse
+ * core.social_reactions with target_type 'article'.
+ *
+ * Moderation hooks (addModerationHook) review an article whenever its
+ * published text changes and may hold it for review or reject it. Readers
+ * report articles, and enough reports hide one until a moderator decides.
+ */
+class ArticleService {
+  constructor() {
+    this.serviceName = 'ArticleService';
+    this.config = config.articles;
+    this.markdown = null;
+    this.moderationHooks = [];
+
+    this.addModerationHook(article => this.checkExternalLinks(article));
+  }
+
+  // ==========================================================================
+  // AUTHORING
+  // ==========================================================================
+
+  /**
+   * Live reputation check; throws unless the address may share articles
+   */
+  async requireAuthor(address) {
+    let privileges;
+    try {
+      privileges = await reputationManager.getLiveReputationPrivileges(address);
+    } catch (error) {
+      throw new ArticleError(`Could not read reputation from ReputationSystem: ${error.message}`, 503);
+    }
+    if (!privileges.canShareArticles) {
+      throw new ArticleError(`Sharing articles needs a reputation of 300 or more (yours is ${privileges.reputation})`, 403);
+    }
+    return privileges;
+  }
+
+  async createDraft(author, { title, summary = null, body, links = [] }) {
+    await this.requireAuthor(author);
+    const fields = await this.prepareFields({ title, summary, body });
+    const resolvedLinks = await this.resolveLinks(links);
+
+    const articleId = await db.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO core.articles (author_address, title, summary, body_markdown, body_html)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [author.toLowerCase(), fields.title, fields.summary, fields.bodyMarkdown, fields.bodyHtml]);
+
+      await this.replaceLinks(client, result.rows[0].id, resolvedLinks);
+      return result.rows[0].id;
+    });
+
+    console.log(`📝 ${this.serviceName}: ${author.toLowerCase()} started draft ${articleId}`);
+    return this.getArticle(articleId, author);
+  }
+
+  /**
+   * Drafts can change anything; published articles only their text, which
+   * goes back through the moderation hooks
+   */
+  async updateArticle(articleId, author, { title, summary, body, links }) {
+    const article = await this.getOwnArticle(articleId, author);
+    const published = article.status === 'published';
+    if (published && links !== undefined) {
+      throw new ArticleError('Links cannot change once an article is published', 409);
+    }
+
+    const fields = await this.prepareFields({
+      title: title !== undefined ? title : article.title,
+      summary: summary !== undefined ? summary : article.summary,
+      body: body !== undefined ? body : article.body_markdown
+    });
+    const resolvedLinks = links !== undefined ? await this.resolveLinks(links) : null;
+    const moderation = published ? await this.runModerationHooks({ ...fields, id: article.id, author: article.author_address }) : null;
+    if (moderation && moderation.decision === 'reject') {
+      throw new ArticleError(`Article rejected: ${moderation.reason}`, 422);
+    }
+
+    await db.transaction(async (client) => {
+      await client.query(`
+        UPDATE core.articles
+        SET title = $2, summary = $3, body_markdown = $4, body_html = $5, updated_at = NOW(),
+          moderation_status = CASE WHEN $6::boolean AND moderation_status = 'approved' THEN 'pending' ELSE moderation_status END,
+          moderation_reason = CASE WHEN $6::boolean AND moderation_status = 'approved' THEN $7 ELSE moderation_reason END
+        WHERE id = $1
+      `, [article.id, fields.title, fields.summary, fields.bodyMarkdown, fields.bodyHtml,
+        moderation ? moderation.decision === 'review' : false, moderation ? moderation.reason : null]);
+
+      if (resolvedLinks) {
+        await this.replaceLinks(client, article.id, resolvedLinks);
+      }
+    });
+
+    return this.getArticle(article.id, author);
+  }
+
+  /**
+   * Publish a draft. Calls on pools are fixed now, while betting is open.
+   *
+   * @param {Object} calls - { [poolId]: 'yes' | 'no' } stated calls; other open pools take the author's position
+   */
+  async publish(articleId, author, { calls = {} } = {}) {
+    const article = await this.getOwnArticle(articleId, author);
+    if (article.status === 'published') {
+      throw new ArticleError('Article is already published', 409);
+    }
+    if (!calls || typeof calls !== 'object' || Array.isArray(calls)) {
+      throw new ArticleError('calls must map pool IDs to "yes" or "no"');
+    }
+
+    const privileges = await this.requireAuthor(author);
+    const moderation = await this.runModerationHooks({
+      id: article.id,
+      author: article.author_address,
+      title: article.title,
+      summary: article.summary,
+      bodyMarkdown: article.body_markdown,
+      bodyHtml: article.body_html
+    });
+    if (moderation.decision === 'reject') {
+      throw new ArticleError(`Article rejected: ${moderation.reason}`, 422);
+    }
+
+    const poolLinks = await db.query(`
+      SELECT al.id, al.ref_id, p.creator_address, p.is_settled, p.betting_end_time
+      FROM core.article_links al
+      JOIN oracle.pools p ON p.pool_id::text = al.ref_id
+      WHERE al.article_id = $1 AND al.link_type = 'pool'
+    `, [article.id]);
+
+    const now = Date.now() / 1000;
+    const recordedCalls = [];
+    for (const link of poolLinks.rows) {
+      const open = !link.is_settled && Number(link.betting_end_time) > now;
+      const stated = calls[link.ref_id];
+      if (stated !== undefined && !['yes', 'no'].includes(stated)) {
+        throw new ArticleError(`Call on pool ${link.ref_id} must be "yes" or "no"`);
+      }
+      if (stated && !open) {
+        throw new ArticleError(`Betting on pool ${link.ref_id} has closed; a call can only be made while it is open`, 409);
+      }
+      if (!open) {
+        continue;
+      }
+
+      const call = stated || await this.getPositionCall(link.ref_id, link.creator_address, author);
+      if (call) {
+        recordedCalls.push({ id: link.id, call, source: stated ? 'stated' : 'position' });
+      }
+    }
+
+    await db.transaction(async (client) => {
+      for (const call of recordedCalls) {
+        await client.query('UPDATE core.article_links SET call = $2, call_source = $3 WHERE id = $1', [call.id, call.call, call.source]);
+      }
+      await client.query(`
+        UPDATE core.articles
+        SET status = 'published', published_at = NOW(), updated_at = NOW(), reputation_at_publish = $2,
+          moderation_status = $3, moderation_reason = $4
+        WHERE id = $1
+      `, [article.id, privileges.reputation, moderation.decision === 'review' ? 'pending' : 'approved', moderation.reason]);
+    });
+
+    console.log(`📰 ${this.serviceName}: Article ${article.id} published by ${article.author_address}${moderation.decision === 'review' ? ` (held for review: ${moderation.reason})` : ''}`);
+    return this.getArticle(article.id, author);
+  }
+
+  async deleteArticle(articleId, author) {
+    const article = await this.getOwnArticle(articleId, author);
+    await db.query('UPDATE core.articles SET is_deleted = true, updated_at = NOW() WHERE id = $1', [article.id]);
+    return { id: Number(article.id), deleted: true };
+  }
+
+  /**
+   * The side the author holds in the pool: creators back "no", bettors "yes".
+   * Null when they hold none, or both.
+   */
+  async getPositionCall(poolId, creatorAddress, author) {
+    const sides = new Set();
+    if (creatorAddress && creatorAddress.toLowerCase() === author.toLowerCase()) {
+      sides.add('no');
+    }
+    const bets = await db.query(`
+      SELECT DISTINCT is_for_outcome
+      FROM oracle.bets
+      WHERE pool_id::text = $1 AND LOWER(bettor_address) = $2
+    `, [poolId, author.toLowerCase()]);
+    bets.rows.forEach(row => sides.add(row.is_for_outcome ? 'yes' : 'no'));
+
+    return sides.size === 1 ? [...sides][0] : null;
+  }
+
+  async prepareFields({ title, summary, body }) {
+    title = typeof title === 'string' ? title.trim() : '';
+    summary = typeof summary === 'string' && summary.trim() ? summary.trim() : null;
+    body = typeof body === 'string' ? body.trim() : '';
+
+    if (title.length < 3 || title.length > MAX_TITLE_LENGTH) {
+      throw new ArticleError(`title must be 3-${MAX_TITLE_LENGTH} characters`);
+    }
+    if (summary && summary.length > MAX_SUMMARY_LENGTH) {
+      throw new ArticleError(`summary must be at most ${MAX_SUMMARY_LENGTH} characters`);
+    }
+    if (body.length === 0 || body.length > MAX_BODY_LENGTH) {
+      throw new ArticleError(`body must be 1-${MAX_BODY_LENGTH} characters`);
+    }
+
+    return { title, summary, bodyMarkdown: body, bodyHtml: await this.renderMarkdown(body) };
+  }
+
+  /**
+   * @param {Array<{type: string, id: string|number}>} links
+   */
+  async resolveLinks(links) {
+    if (!Array.isArray(links)) {
+      throw new ArticleError('links must be an array of { type, id }');
+    }
+    if (links.length > this.config.maxLinks) {
+      throw new ArticleError(`At most ${this.config.maxLinks} links per article`);
+    }
+
+    const resolved = new Map();
+    for (const link of links) {
+      const type = link && link.type;
+      const id = link && link.id !== undefined && link.id !== null ? String(link.id) : '';
+      if (!LINK_TYPES.includes(type)) {
+        throw new ArticleError(`link type must be one of: ${LINK_TYPES.join(', ')}`);
+      }
+      if (!/^[\w-]{1,50}$/.test(id)) {
+        throw new ArticleError(`Invalid ${type} ID`);
+      }
+
+      const lookup = {
+        fixture: 'SELECT 1 FROM oracle.fixtures WHERE id = $1',
+        pool: 'SELECT 1 FROM oracle.pools WHERE pool_id::text = $1 AND COALESCE(is_private, false) = false',
+        oddyssey_cycle: 'SELECT 1 FROM oracle.oddyssey_cycles WHERE cycle_id::text = $1'
+      }[type];
+      const exists = await db.query(lookup, [id]);
+      if (exists.rows.length === 0) {
+        throw new ArticleError(`${type} ${id} not found`, 404);
+      }
+      resolved.set(`${type}:${id}`, { type, id });
+    }
+    return [...resolved.values()];
+  }
+
+  async replaceLinks(client, articleId, links) {
+    await client.query('DELETE FROM core.article_links WHERE article_id = $1', [articleId]);
+    for (const link of links) {
+      await client.query(
+        'INSERT INTO core.article_links (article_id, link_type, ref_id) VALUES ($1, $2, $3)',
+        [articleId, link.type, link.id]
+      );
+    }
+  }
+
+  // ==========================================================================
+  // MARKDOWN
+  // ==========================================================================
+
+  /**
+   * Render markdown to HTML that is safe to inject: raw HTML is escaped and
+   * links and images keep only safe URLs
+   */
+  async renderMarkdown(markdown) {
+    if (!this.markdown) {
+      // marked is ESM-only
+      const { Marked } = await import('marked');
+      this.markdown = new Marked({
+        gfm: true,
+        renderer: {
+          html({ text }) {
+            return escapeHtml(text);
+          },
+          link({ href, title, tokens }) {
+            const text = this.parser.parseInline(tokens);
+            if (!isSafeUrl(href, SAFE_LINK)) {
+              return text;
+            }
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<a href="${escapeHtml(href)}"${titleAttr} rel="nofollow noopener noreferrer" target="_blank">${text}</a>`;
+          },
+          image({ href, title, text }) {
+            if (!isSafeUrl(href, SAFE_IMAGE)) {
+              return escapeHtml(text);
+            }
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            return `<img src="${escapeHtml(href)}" alt="${escapeHtml(text)}"${titleAttr} loading="lazy">`;
+          }
+        }
+      });
+    }
+    return this.markdown.parse(markdown, { async: false });
+  }
+
+  // ==========================================================================
+  // MODERATION
+  // ==========================================================================
+
+  /**
+   * Register a check run when an article is published or its published text
+   * changes. A hook receives { id, author, title, summary, bodyMarkdown, bodyHtml }
+   * and returns { decision: 'allow' | 'review' | 'reject', reason } (or nothing to allow).
+   */
+  addModerationHook(hook) {
+    this.moderationHooks.push(hook);
+  }
+
+  /**
+   * The strictest decision of all hooks; a failing hook holds the article for review
+   */
+  async runModerationHooks(article) {
+    const rank = { allow: 0, review: 1, reject: 2 };
+    let outcome = { decision: 'allow', reason: null };
+
+    for (const hook of this.moderationHooks) {
+      let result;
+      try {
+        result = await hook(article);
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Moderation hook failed:`, error.message);
+        result = { decision: 'review', reason: `Moderation check failed: ${error.message}` };
+      }
+      if (result && rank[result.decision] > rank[outcome.decision]) {
+        outcome = { decision: result.decision, reason: result.reason || null };
+      }
+    }
+    return outcome;
+  }
+
+  checkExternalLinks(article) {
+    const count = (article.bodyHtml.match(/<a href="https?:/g) || []).length;
+    if (count > this.config.maxExternalLinks) {
+      return { decision: 'review', reason: `${count} external links` };
+    }
+    return { decision: 'allow' };
+  }
+
+  /**
+   * Report an article; enough distinct reports hide it until reviewed
+   */
+  async report(articleId, reporter, reason = null) {
+    const article = await this.getArticleRow(articleId);
+    if (article.status !== 'published' || article.is_deleted) {
+      throw new ArticleError(`Article ${articleId} not found`, 404);
+    }
+    if (article.author_address === reporter.toLowerCase()) {
+      throw new ArticleError('You cannot report your own article');
+    }
+
+    const inserted = await db.query(`
+      INSERT INTO core.article_reports (article_id, reporter_address, reason)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (article_id, reporter_address) DO NOTHING
+      RETURNING id
+    `, [article.id, reporter.toLowerCase(), reason ? String(reason).slice(0, 500) : null]);
+    if (inserted.rows.length === 0) {
+      return { reported: true, alreadyReported: true };
+    }
+
+    const updated = await db.query(`
+      UPDATE core.articles
+      SET report_count = report_count + 1,
+        moderation_status = CASE WHEN report_count + 1 >= $2 AND moderation_status = 'approved' AND moderated_by IS NULL THEN 'hidden' ELSE moderation_status END,
+        moderation_reason = CASE WHEN report_count + 1 >= $2 AND moderation_status = 'approved' AND moderated_by IS NULL THEN 'Hidden after reports' ELSE moderation_reason END
+      WHERE id = $1
+      RETURNING report_count, moderation_status
+    `, [article.id, this.config.reportsToHide]);
+
+    if (updated.rows[0].moderation_status === 'hidden' && article.moderation_status !== 'hidden') {
+      console.log(`🚩 ${this.serviceName}: Article ${article.id} hidden after ${updated.rows[0].report_count} reports`);
+    }
+    return { reported: true, alreadyReported: false };
+  }
+
+  /**
+   * Moderator decision: approve (list it) or hide. Approving an article
+   * that reports hid keeps further reports from hiding it again.
+   */
+  async moderate(articleId, { action, moderator, reason = null }) {
+    if (!['approve', 'hide'].includes(action)) {
+      throw new ArticleError('action must be "approve" or "hide"');
+    }
+    if (!moderator) {
+      throw new ArticleError('moderator is required');
+    }
+    if (action === 'hide' && !reason) {
+      throw new ArticleError('reason is required to hide an article');
+    }
+
+    const article = await this.getArticleRow(articleId);
+    if (article.status !== 'published') {
+      throw new ArticleError('Only published articles are moderated', 409);
+    }
+
+    await db.query(`
+      UPDATE core.articles
+      SET moderation_status = $2, moderation_reason = $3, moderated_by = $4, moderated_at = NOW()
+      WHERE id = $1
+    `, [article.id, action === 'approve' ? 'approved' : 'hidden', reason, moderator]);
+
+    console.log(`🛡️ ${this.serviceName}: Article ${article.id} ${action === 'approve' ? 'approved' : 'hidden'} by ${moderator}`);
+    return this.getArticle(article.id, null, { moderator: true });
+  }
+
+  /**
+   * Articles held by a hook, hidden, or reported since the last decision
+   */
+  async getModerationQueue({ limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT a.*,
+        (SELECT json_agg(json_build_object('reporter', r.reporter_address, 'reason', r.reason, 'createdAt', r.created_at) ORDER BY r.created_at DESC)
+         FROM core.article_reports r WHERE r.article_id = a.id) AS reports
+      FROM core.articles a
+      WHERE a.status = 'published' AND a.is_deleted = false
+        AND (a.moderation_status <> 'approved' OR EXISTS (
+          SELECT 1 FROM core.article_reports r
+          WHERE r.article_id = a.id AND (a.moderated_at IS NULL OR r.created_at > a.moderated_at)
+        ))
+      ORDER BY a.report_count DESC, a.updated_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const articles = await this.decorate(result.rows, null, { moderator: true });
+    return articles.map((article, index) => ({ ...article, reports: result.rows[index].reports || [] }));
+  }
+
+  // ==========================================================================
+  // REACTIONS
+  // ==========================================================================
+
+  async react(articleId, user, reactionType) {
+    if (!REACTION_TYPES.includes(reactionType)) {
+      throw new ArticleError(`reactionType must be one of: ${REACTION_TYPES.join(', ')}`);
+    }
+    const article = await this.getArticleRow(articleId);
+    if (!this.isListed(article)) {
+      throw new ArticleError(`Article ${articleId} not found`, 404);
+    }
+
+    await db.query(`
+      INSERT INTO core.social_reactions (user_address, target_type, target_id, reaction_type)
+      VALUES ($1, 'article', $2, $3)
+      ON CONFLICT (user_address, target_type, target_id)
+      DO UPDATE SET reaction_type = $3, created_at = NOW()
+    `, [user.toLowerCase(), article.id, reactionType]);
+
+    const reactions = await this.getReactions([article.id], user);
+    return reactions.get(String(article.id));
+  }
+
+  async removeReaction(articleId, user) {
+    await db.query(
+      "DELETE FROM core.social_reactions WHERE user_address = $1 AND target_type = 'article' AND target_id = $2",
+      [user.toLowerCase(), articleId]
+    );
+    const reactions = await this.getReactions([articleId], user);
+    return reactions.get(String(articleId));
+  }
+
+  /**
+   * @returns {Promise<Map<string, {counts: Object, mine: string|null}>>}
+   */
+  async getReactions(articleIds, viewer = null) {
+    const reactions = new Map(articleIds.map(id => [String(id), { counts: {}, mine: null }]));
+    if (articleIds.length === 0) {
+      return reactions;
+    }
+
+    const result = await db.query(`
+      SELECT target_id, reaction_type, COUNT(*)::int AS count,
+        BOOL_OR(user_address = $2) AS mine
+      FROM core.social_reactions
+      WHERE target_type = 'article' AND target_id = ANY($1::bigint[])
+      GROUP BY target_id, reaction_type
+    `, [articleIds, viewer ? viewer.toLowerCase() : null]);
+
+    for (const row of result.rows) {
+      const entry = reactions.get(String(row.target_id));
+      entry.counts[row.reaction_type] = row.count;
+      if (row.mine) {
+        entry.mine = row.reaction_type;
+      }
+    }
+    return reactions;
+  }
+
+  // ==========================================================================
+  // READS
+  // ==========================================================================
+
+  async getArticleRow(articleId) {
+    const result = await db.query('SELECT * FROM core.articles a WHERE a.id = $1', [articleId]);
+    if (result.rows.length === 0) {
+      throw new ArticleError(`Article ${articleId} not found`, 404);
+    }
+    return result.rows[0];
+  }
+
+  async getOwnArticle(articleId, author) {
+    const article = await this.getArticleRow(articleId);
+    if (article.is_deleted || article.author_address !== author.toLowerCase()) {
+      throw new ArticleError(`Article ${articleId} not found`, 404);
+    }
+    return article;
+  }
+
+  isListed(article) {
+    return article.status === 'published' && article.moderation_status === 'approved' && !article.is_deleted;
+  }
+
+  /**
+   * Drafts and held or hidden articles are only shown to their author
+   */
+  async getArticle(articleId, viewer = null, { moderator = false } = {}) {
+    const article = await this.getArticleRow(articleId);
+    const isAuthor = Boolean(viewer) && viewer.toLowerCase() === article.author_address;
+    if (article.is_deleted || (!this.isListed(article) && !isAuthor && !moderator)) {
+      throw new ArticleError(`Article ${articleId} not found`, 404);
+    }
+
+    const [decorated] = await this.decorate([article], viewer, { moderator });
+    return decorated;
+  }
+
+  /**
+   * Published articles, optionally about one fixture, pool or cycle
+   */
+  async listArticles({ author = null, linkType = null, refId = null, sort = 'recent', viewer = null, limit = 20, offset = 0 } = {}) {
+    const orderBy = sort === 'popular'
+      ? `(SELECT COUNT(*) FROM core.social_reactions sr WHERE sr.target_type = 'article' AND sr.target_id = a.id AND sr.reaction_type <> 'dislike') DESC, a.published_at DESC`
+      : 'a.published_at DESC';
+
+    const result = await db.query(`
+      SELECT a.*
+      FROM core.articles a
+      WHERE ${LISTED}
+        AND ($1::text IS NULL OR a.author_address = $1)
+        AND ($2::text IS NULL OR EXISTS (
+          SELECT 1 FROM core.article_links al
+          WHERE al.article_id = a.id AND al.link_type = $2 AND al.ref_id = $3
+        ))
+      ORDER BY ${orderBy}
+      LIMIT $4 OFFSET $5
+    `, [author ? author.toLowerCase() : null, linkType, refId !== null ? String(refId) : null, limit, offset]);
+
+    return this.decorate(result.rows, viewer, { includeBody: false });
+  }
+
+  async listDrafts(author, { limit = 20, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT a.*
+      FROM core.articles a
+      WHERE a.author_address = $1 AND a.is_deleted = false
+        AND (a.status = 'draft' OR a.moderation_status <> 'approved')
+      ORDER BY a.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, [author.toLowerCase(), limit, offset]);
+
+    return this.decorate(result.rows, author, { includeBody: false });
+  }
+
+  /**
+   * An author's published articles with the record of their pool calls
+   */
+  async getAuthorFeed(address, { viewer = null, limit = 20, offset = 0 } = {}) {
+    const author = address.toLowerCase();
+    const [articles, record] = await Promise.all([
+      this.listArticles({ author, viewer, limit, offset }),
+      db.query(`
+        SELECT al.call, p.is_settled, p.status AS pool_status, p.result, p.creator_side_won
+        FROM core.article_links al
+        JOIN core.articles a ON a.id = al.article_id
+        JOIN oracle.pools p ON p.pool_id::text = al.ref_id
+        WHERE a.author_address = $1 AND ${LISTED}
+          AND al.link_type = 'pool' AND al.call IS NOT NULL
+      `, [author])
+    ]);
+
+    const calls = { total: record.rows.length, correct: 0, incorrect: 0, pending: 0, void: 0 };
+    record.rows.forEach(row => { calls[callResult(row).status] += 1; });
+    const decided = calls.correct + calls.incorrect;
+
+    return {
+      author,
+      calls: { ...calls, accuracy: decided > 0 ? calls.correct / decided : null },
+      articles
+    };
+  }
+
+  /**
+   * Attach links (with the author's call and its result), reactions and reading time
+   */
+  async decorate(rows, viewer = null, { includeBody = true, moderator = false } = {}) {
+    if (rows.length === 0) {
+      return [];
+    }
+    const ids = rows.map(row => row.id);
+
+    const [links, reactions] = await Promise.all([
+      db.query(`
+        SELECT al.*,
+          p.title AS pool_title, p.predicted_outcome, p.is_settled, p.status AS pool_status, p.result, p.creator_side_won,
+          COALESCE(f.home_team, p.home_team) AS home_team,
+          COALESCE(f.away_team, p.away_team) AS away_team,
+          f.league_name, f.match_date, f.status AS fixture_status,
+          fr.home_score, fr.away_score,
+          c.cycle_start_time, c.cycle_end_time, c.is_resolved AS cycle_resolved
+        FROM core.article_links al
+        LEFT JOIN oracle.pools p ON al.link_type = 'pool' AND p.pool_id::text = al.ref_id
+        LEFT JOIN oracle.fixtures f ON al.link_type = 'fixture' AND f.id = al.ref_id
+        LEFT JOIN oracle.fixture_results fr ON al.link_type = 'fixture' AND fr.fixture_id::VARCHAR = al.ref_id
+        LEFT JOIN oracle.oddyssey_cycles c ON al.link_type = 'oddyssey_cycle' AND c.cycle_id::text = al.ref_id
+        WHERE al.article_id = ANY($1::bigint[])
+        ORDER BY al.id
+      `, [ids]),
+      this.getReactions(ids, viewer)
+    ]);
+
+    const linksByArticle = new Map();
+    for (const link of links.rows) {
+      const key = String(link.article_id);
+      if (!linksByArticle.has(key)) {
+        linksByArticle.set(key, []);
+      }
+      linksByArticle.get(key).push(presentLink(link));
+    }
+
+    return rows.map(row => {
+      const isAuthor = Boolean(viewer) && viewer.toLowerCase() === row.author_address;
+      const article = {
+        id: Number(row.id),
+        author: row.author_address,
+        title: row.title,
+        summary: row.summary,
+        status: row.status,
+        readingMinutes: Math.max(1, Math.round(row.body_markdown.split(/\s+/).length / WORDS_PER_MINUTE)),
+        links: linksByArticle.get(String(row.id)) || [],
+        reactions: reactions.get(String(row.id)),
+        reputationAtPublish: row.reputation_at_publish,
+        publishedAt: row.published_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      };
+      if (includeBody) {
+        article.bodyHtml = row.body_html;
+      }
+      if (isAuthor) {
+        article.bodyMarkdown = row.body_markdown;
+      }
+      if (isAuthor || moderator) {
+        article.moderation = {
+          status: row.moderation_status,
+          reason: row.moderation_reason,
+          reportCount: row.report_count
+        };
+      }
+      return article;
+    });
+  }
+}
+
+/**
+ * Whether a pool call came true: the predicted outcome happened when the creator side lost
+ */
+function callResult(link) {
+  if (!link.call) {
+    return { call: null, status: null };
+  }
+  if (!link.is_settled) {
+    return { call: link.call, status: 'pending' };
+  }
+  if (link.pool_status === 'refunded' || (link.result || '').toLowerCase() === ZERO_RESULT || link.creator_side_won === null) {
+    return { call: link.call, status: 'void' };
+  }
+  const happened = link.creator_side_won === false;
+  return { call: link.call, status: (link.call === 'yes') === happened ? 'correct' : 'incorrect' };
+}
+
+function presentLink(link) {
+  const base = { type: link.link_type, id: link.ref_id };
+
+  if (link.link_type === 'pool') {
+    const result = callResult(link);
+    return {
+      ...base,
+      title: link.pool_title,
+      predictedOutcome: link.predicted_outcome,
+      homeTeam: link.home_team,
+      awayTeam: link.away_team,
+      settled: Boolean(link.is_settled),
+      call: result.call,
+      callSource: link.call_source,
+      callResult: result.status
+    };
+  }
+  if (link.link_type === 'fixture') {
+    return {
+      ...base,
+      homeTeam: link.home_team,
+      awayTeam: link.away_team,
+      league: link.league_name,
+      matchDate: link.match_date,
+      status: link.fixture_status,
+      score: link.home_score !== null && link.home_score !== undefined ? `${link.home_score}-${link.away_score}` : null
+    };
+  }
+  return {
+    ...base,
+    startTime: link.cycle_start_time,
+    endTime: link.cycle_end_time,
+    resolved: Boolean(link.cycle_resolved)
+  };
+}
+
+function isSafeUrl(href, pattern) {
+  return typeof href === 'string' && !CONTROL_CHARS.test(href) && pattern.test(href);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class ArticleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ArticleError';
+    this.status = status;
+  }
+}
+
+module.exports = new ArticleService();
+module.exports.ArticleError = ArticleError;
+module.exports.LINK_TYPES = LINK_TYPES;
+module.exports.REACTION_TYPES = REACTION_TYPES;
@@ -6,11 +6,32 @@
 const db = require('../db/db');
 const { ethers } = require('ethers');
 const config = require('../config');
+const txManager = require('./tx-manager');
+
+const POOL_CORE_ABI = [
+  'function refundPool(uint256 poolId) external'
+];
 
 class AutoRefundService {
   constructor() {
     this.isRunning = false;
     this.checkInterval = 60000; // Check every minute
+    this.poolCoreContract = null;
+  }
+
+  /**
+   * PoolCore on the oracle wallet; refunds are sent through the tx manager
+   */
+  getPoolCoreContract() {
+    if (!this.poolCoreContract) {
+      const privateKey = process.env.ORACLE_PRIVATE_KEY || config.blockchain.privateKey;
+      if (!privateKey) {
+        throw new Error('No wallet configured for refunds (ORACLE_PRIVATE_KEY or PRIVATE_KEY)');
+      }
+      const wallet = new ethers.Wallet(privateKey, txManager.getProvider());
+      this.poolCoreContract = new ethers.Contract(config.blockchain.contractAddresses.poolCore, POOL_CORE_ABI, wallet);
+    }
+    return this.poolCoreContract;
   }
 
   async initialize() {
@@ -90,17 +111,29 @@ class AutoRefundService {
       console.log(`   Stake: ${ethers.formatEther(pool.creator_stake)} BITR`);
       console.log(`   Arbitration ended: ${hoursOverdue} hours ago`);
       
+      // One key per pool, so a restarted or concurrent worker waits on the same transaction
+      const receipt = await txManager.sendContractCall(this.getPoolCoreContract(), 'refundPool', [pool.pool_id], {
+        key: `refundPool:${pool.pool_id}`,
+        lane: 'settlement',
+        requestedBy: 'auto-refund-service'
+      });
+      console.log(`📝 refundPool for pool ${pool.pool_id} mined in block ${receipt.blockNumber} (${receipt.hash})`);
+      
       // Record refund in database
       await db.query(`
         INSERT INTO oracle.pool_refunds (
           pool_id,
           reason,
-          refunded_at
-        ) VALUES ($1, $2, NOW())
+          refunded_at,
+          block_number,
+          transaction_hash
+        ) VALUES ($1, $2, NOW(), $3, $4)
         ON CONFLICT (pool_id) DO NOTHING
       `, [
         pool.pool_id,
-        'Automatic refund - no bets, arbitration expired'
+        'Automatic refund - no bets, arbitration expired',
+        receipt.blockNumber,
+        receipt.hash
       ]);
       
       // Update pool status to refunded
@@ -112,34 +145,12 @@ class AutoRefundService {
       
       console.log(`✅ Pool ${pool.pool_id} marked as refunded`);
       
-      // TODO: Call smart contract refundPool function
-      // await this.callRefundOnContract(pool.pool_id, pool.creator_address);
-      
     } catch (error) {
+      // The pool stays unrefunded and is picked up again on the next check
       console.error(`❌ Error processing refund for pool ${pool.pool_id}:`, error.message);
     }
   }
 
-  /**
-   * Call contract refund function (when implemented)
-   */
-  async callRefundOnContract(poolId, creatorAddress) {
-    try {
-      console.log(`📝 Calling refundPool on contract for pool ${poolId}...`);
-      
-      // Initialize Web3Service for contract interaction
-      const Web3Service = require('./web3-service');
-      const web3Service = new Web3Service();
-      
-      // TODO: Implement contract refund call
-      // const tx = await web3Service.refundPool(poolId);
-      
-      console.log(`✅ Refund transaction submitted for pool ${poolId}`);
-    } catch (error) {
-      console.error(`❌ Contract refund failed for pool ${poolId}:`, error.message);
-    }
-  }
-
   stop() {
     this.isRunning = false;
     console.log('🛑 AutoRefundService: Stopped');
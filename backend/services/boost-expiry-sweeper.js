@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const txManager = require('./tx-manager');
+
+const BOOST_CLEANUP_ABI = [
+  'function cleanupExpiredBoosts(uint256[] calldata poolIds) external'
+];
+
+/**
+ * Boost Expiry Sweeper
+ *
+ * The contract only treats a boost as gone after cleanupExpiredBoosts(), and
+ * until then the tier slot it held stays taken. Each run:
+ * - sets boost_tier to NONE on pools whose boost has run out, so pool lists
+ *   stop showing a stale tier
+ * - when `cleanupOnChain` is enabled, calls cleanupExpiredBoosts() for those
+ *   pools in batches; the resulting BoostExpired events reach the database
+ *   through the boost lifecycle indexer, which clears boost_expiry
+ */
+class BoostExpirySweeper {
+  constructor() {
+    this.serviceName = 'BoostExpirySweeper';
+    this.config = config.boosts;
+    this.web3Service = null;
+  }
+
+  /**
+   * Run a single sweep
+   */
+  async run() {
+    console.log(`🧹 ${this.serviceName}: Sweeping expired boosts...`);
+
+    const cleared = await db.query(`
+      UPDATE oracle.pools SET boost_tier = 'NONE', updated_at = NOW()
+      WHERE boost_expiry IS NOT NULL AND boost_expiry <= EXTRACT(EPOCH FROM NOW())
+        AND COALESCE(boost_tier, 'NONE') != 'NONE'
+      RETURNING pool_id
+    `);
+
+    let cleanedOnChain = 0;
+    if (this.config.cleanupOnChain) {
+      cleanedOnChain = await this.cleanupOnChain();
+    }
+
+    console.log(`✅ ${this.serviceName}: Cleared ${cleared.rowCount} expired boosts, cleaned up ${cleanedOnChain} on-chain`);
+    return { cleared: cleared.rowCount, cleanedOnChain };
+  }
+
+  async cleanupOnChain() {
+    const expired = await db.query(`
+      SELECT pool_id FROM oracle.pools
+      WHERE boost_expiry IS NOT NULL AND boost_expiry <= EXTRACT(EPOCH FROM NOW())
+      ORDER BY boost_expiry
+    `);
+    if (expired.rows.length === 0) {
+      return 0;
+    }
+
+    if (!this.web3Service) {
+      this.web3Service = new Web3Service();
+      await this.web3Service.initialize();
+    }
+    if (!this.web3Service.wallet) {
+      console.warn(`⚠️ ${this.serviceName}: No wallet configured, skipping on-chain cleanup`);
+      return 0;
+    }
+
+    const contract = new ethers.Contract(
+      config.blockchain.contractAddresses.boostSystem,
+      BOOST_CLEANUP_ABI,
+      this.web3Service.wallet
+    );
+
+    const poolIds = expired.rows.map(row => row.pool_id.toString());
+    let cleaned = 0;
+    for (let i = 0; i < poolIds.length; i += this.config.cleanupBatchSize) {
+      const batch = poolIds.slice(i, i + this.config.cleanupBatchSize);
+      try {
+        const receipt = await txManager.sendContractCall(contract, 'cleanupExpiredBoosts', [batch], {
+          key: `cleanupExpiredBoosts:${ethers.id(batch.join(','))}`,
+          lane: 'maintenance',
+          requestedBy: 'boost-expiry-sweeper'
+        });
+        console.log(`📤 ${this.serviceName}: cleanupExpiredBoosts for ${batch.length} pools: ${receipt.hash}`);
+        cleaned += batch.length;
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Cleanup batch failed:`, error.message);
+      }
+    }
+
+    return cleaned;
+  }
+}
+
+module.exports = BoostExpirySweeper;
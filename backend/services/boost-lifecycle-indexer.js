@@ -0,0 +1,348 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+const { tierName } = require('../utils/pool-ranking');
+
+const BOOST_EVENTS_ABI = [
+  'event PoolBoosted(uint256 indexed poolId, uint8 tier, uint256 expiry, uint256 fee, address indexed booster)',
+  'event BoostExpired(uint256 indexed poolId, uint8 tier)',
+  'event BoostUpgraded(uint256 indexed poolId, uint8 fromTier, uint8 toTier, uint256 additionalFee)',
+  'event BoostRevenueClaimed(address indexed collector, uint256 amount)'
+];
+
+/**
+ * Boost Lifecycle Indexer
+ *
+ * Writes BitredictBoostSystem events into oracle.pool_boost_events and keeps
+ * the boost columns on oracle.pools current. PoolBoosted is emitted both for
+ * new boosts and for extendBoost(); it counts as an extension when the pool
+ * already has an unexpired boost of the same tier.
+ *
+ * BoostExpired only fires when someone calls cleanupExpiredBoosts(), so
+ * services/boost-expiry-sweeper.js clears expired boosts in the database in
+ * the meantime.
+ */
+class BoostLifecycleIndexer {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.contract = null;
+    this.checkpoint = null;
+    this.serviceName = 'BoostLifecycleIndexer';
+    this.config = config.boosts;
+    this.pollTimer = null;
+    this.isSyncing = false;
+    this.blockTimestamps = new Map();
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      const address = config.blockchain.contractAddresses.boostSystem;
+      if (!address) {
+        throw new Error('BoostSystem contract address not configured');
+      }
+      this.contract = new ethers.Contract(address, BOOST_EVENTS_ABI, this.web3Service.provider);
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'boost-lifecycle-indexer',
+        contractAddress: address,
+        provider: this.web3Service.provider
+      });
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the indexer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    await this.initialize();
+
+    this.isRunning = true;
+    await this.sync();
+
+    this.pollTimer = setInterval(() => this.sync(), this.config.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Indexing boost events every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  /**
+   * Stop the indexer
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+
+  /**
+   * Index confirmed blocks after the checkpoint
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+    this.isSyncing = true;
+
+    try {
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.contract, {
+        PoolBoosted: (event) => this.handlePoolBoosted(event),
+        BoostUpgraded: (event) => this.handleBoostUpgraded(event),
+        BoostExpired: (event) => this.handleBoostExpired(event),
+        BoostRevenueClaimed: (event) => this.handleRevenueClaimed(event)
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.rollback(forkBlock)
+      });
+
+      if (result.replayed > 0) {
+        console.log(`🚀 ${this.serviceName}: Indexed ${result.replayed} boost events from blocks ${result.fromBlock}-${result.toBlock}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Sync failed:`, error.message);
+      // Don't throw - the next run resumes from the checkpoint
+    } finally {
+      this.isSyncing = false;
+      // Block timestamps are only needed within one run
+      this.blockTimestamps.clear();
+    }
+  }
+
+  async handlePoolBoosted(event) {
+    const { poolId, tier, expiry, fee, booster } = event.args;
+    const log = event.log || event;
+    const blockTimestamp = await this.getBlockTimestamp(Number(log.blockNumber));
+    const tierValue = tierName(tier);
+
+    // Decided from the event history rather than oracle.pools, which the
+    // expiry sweep may already have cleared
+    const previous = await db.query(`
+      SELECT event_type, tier, expiry FROM oracle.pool_boost_events
+      WHERE pool_id = $1 AND event_type IN ('boosted', 'extended', 'expired')
+        AND (block_number, log_index) < ($2, $3)
+      ORDER BY block_number DESC, log_index DESC
+      LIMIT 1
+    `, [poolId.toString(), Number(log.blockNumber), log.index ?? log.logIndex ?? 0]);
+    const last = previous.rows[0];
+    const isExtension = Boolean(last) && last.event_type !== 'expired' &&
+      last.tier === tierValue && Number(last.expiry) > blockTimestamp;
+
+    const inserted = await this.insertEvent({
+      eventType: isExtension ? 'extended' : 'boosted',
+      poolId: poolId.toString(),
+      tier: tierValue,
+      expiry: Number(expiry),
+      fee,
+      actor: booster
+    }, event);
+    if (!inserted) {
+      return;
+    }
+
+    if (isExtension) {
+      await db.query(`
+        UPDATE oracle.pools SET
+          boost_expiry = $2,
+          boost_fee = COALESCE(boost_fee, 0) + $3,
+          updated_at = NOW()
+        WHERE pool_id = $1
+      `, [poolId.toString(), Number(expiry), fee.toString()]);
+    } else {
+      await db.query(`
+        UPDATE oracle.pools SET
+          boost_tier = $2,
+          boost_expiry = $3,
+          boost_fee = $4,
+          booster_address = $5,
+          boost_started_at = $6,
+          updated_at = NOW()
+        WHERE pool_id = $1
+      `, [poolId.toString(), tierValue, Number(expiry), fee.toString(), booster.toLowerCase(), blockTimestamp]);
+    }
+  }
+
+  /**
+   * The PoolBoosted that follows in the same transaction applies the new tier
+   */
+  async handleBoostUpgraded(event) {
+    const { poolId, fromTier, toTier, additionalFee } = event.args;
+    await this.insertEvent({
+      eventType: 'upgraded',
+      poolId: poolId.toString(),
+      tier: tierName(toTier),
+      fromTier: tierName(fromTier),
+      fee: additionalFee
+    }, event);
+  }
+
+  async handleBoostExpired(event) {
+    const { poolId, tier } = event.args;
+    const inserted = await this.insertEvent({
+      eventType: 'expired',
+      poolId: poolId.toString(),
+      tier: tierName(tier)
+    }, event);
+    if (!inserted) {
+      return;
+    }
+
+    await db.query(`
+      UPDATE oracle.pools SET boost_tier = 'NONE', boost_expiry = NULL, updated_at = NOW()
+      WHERE pool_id = $1
+    `, [poolId.toString()]);
+  }
+
+  async handleRevenueClaimed(event) {
+    const { collector, amount } = event.args;
+    await this.insertEvent({ eventType: 'revenue_claimed', fee: amount, actor: collector }, event);
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the event was already indexed
+   */
+  async insertEvent({ eventType, poolId = null, tier = null, fromTier = null, expiry = null, fee = 0n, actor = null }, event) {
+    const log = event.log || event;
+    const blockNumber = Number(log.blockNumber);
+
+    const result = await db.query(`
+      INSERT INTO oracle.pool_boost_events (
+        event_type, pool_id, tier, from_tier, expiry, fee, actor_address,
+        tx_hash, log_index, block_number, block_timestamp
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, to_timestamp($11))
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+      RETURNING id
+    `, [
+      eventType,
+      poolId,
+      tier,
+      fromTier,
+      expiry,
+      fee.toString(),
+      actor ? actor.toLowerCase() : null,
+      log.transactionHash,
+      log.index ?? log.logIndex ?? 0,
+      blockNumber,
+      await this.getBlockTimestamp(blockNumber)
+    ]);
+
+    return result.rows.length > 0;
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (!this.blockTimestamps.has(blockNumber)) {
+      const block = await this.web3Service.provider.getBlock(blockNumber);
+      this.blockTimestamps.set(blockNumber, block ? block.timestamp : Math.floor(Date.now() / 1000));
+    }
+    return this.blockTimestamps.get(blockNumber);
+  }
+
+  /**
+   * Drop events from orphaned blocks and rebuild the boost columns of the
+   * affected pools from the events that remain
+   */
+  async rollback(forkBlock) {
+    const removed = await db.query(
+      'DELETE FROM oracle.pool_boost_events WHERE block_number > $1 RETURNING pool_id',
+      [forkBlock]
+    );
+    const poolIds = [...new Set(removed.rows.filter(row => row.pool_id !== null).map(row => row.pool_id))];
+
+    for (const poolId of poolIds) {
+      await this.rebuildPoolBoost(poolId);
+    }
+    console.log(`↩️ ${this.serviceName}: Removed ${removed.rowCount} boost events after block ${forkBlock}, rebuilt ${poolIds.length} pools`);
+  }
+
+  async rebuildPoolBoost(poolId) {
+    const result = await db.query(`
+      SELECT event_type, tier, expiry, fee, actor_address, block_timestamp
+      FROM oracle.pool_boost_events
+      WHERE pool_id = $1 AND event_type IN ('boosted', 'extended', 'expired')
+      ORDER BY block_number, log_index
+    `, [poolId]);
+
+    let state = { tier: 'NONE', expiry: null, fee: null, booster: null, startedAt: null };
+    for (const row of result.rows) {
+      if (row.event_type === 'boosted') {
+        state = {
+          tier: row.tier,
+          expiry: Number(row.expiry),
+          fee: BigInt(row.fee),
+          booster: row.actor_address,
+          startedAt: Math.floor(new Date(row.block_timestamp).getTime() / 1000)
+        };
+      } else if (row.event_type === 'extended') {
+        state.expiry = Number(row.expiry);
+        state.fee = (state.fee || 0n) + BigInt(row.fee);
+      } else {
+        state = { ...state, tier: 'NONE', expiry: null };
+      }
+    }
+
+    await db.query(`
+      UPDATE oracle.pools SET
+        boost_tier = $2, boost_expiry = $3, boost_fee = $4, booster_address = $5, boost_started_at = $6,
+        updated_at = NOW()
+      WHERE pool_id = $1
+    `, [poolId, state.tier, state.expiry, state.fee !== null ? state.fee.toString() : null, state.booster, state.startedAt]);
+  }
+
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isRunning: this.isRunning,
+      lastBlock: this.checkpoint ? this.checkpoint.lastBlock : null
+    };
+  }
+}
+
+module.exports = BoostLifecycleIndexer;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new BoostLifecycleIndexer();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Boost Lifecycle Indexer running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Boost Lifecycle Indexer failed to start:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,157 @@
+const db = require('../db/db');
+const config = require('../config');
+const notificationService = require('./notification-service');
+
+/**
+ * Claim Reminder Service
+ *
+ * Finds wins still unclaimed `reminderAfterDays` after settlement and sends
+ * each winner one notification listing them. A win is reminded at most
+ * `maxReminders` times, `reminderRepeatDays` apart; users who turned off
+ * `claimReminders` in their notification preferences are skipped.
+ *
+ * A win counts as claimed when it is in oracle.claims_ledger or in the
+ * per-product claim tables that predate the ledger.
+ */
+class ClaimReminderService {
+  constructor() {
+    this.serviceName = 'ClaimReminderService';
+    this.config = config.claims;
+  }
+
+  /**
+   * Run a single reminder pass
+   */
+  async run() {
+    console.log(`⏰ ${this.serviceName}: Looking for unclaimed wins...`);
+
+    const wins = await this.findUnclaimedWins();
+    const byUser = new Map();
+    for (const win of wins) {
+      if (!byUser.has(win.user_address)) {
+        byUser.set(win.user_address, []);
+      }
+      byUser.get(win.user_address).push(win);
+    }
+
+    let reminded = 0;
+    for (const [userAddress, userWins] of byUser) {
+      try {
+        await notificationService.notifyUnclaimedWinnings(userAddress, {
+          count: userWins.length,
+          wins: userWins.map(win => ({
+            source: win.source,
+            id: win.source_id,
+            cycleId: win.cycle_id,
+            title: win.title,
+            settledAt: win.settled_at
+          }))
+        });
+        await this.recordReminders(userAddress, userWins);
+        reminded++;
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Failed to remind ${userAddress}:`, error.message);
+      }
+    }
+
+    console.log(`✅ ${this.serviceName}: Reminded ${reminded} users about ${wins.length} unclaimed wins`);
+    return { users: reminded, wins: wins.length };
+  }
+
+  /**
+   * Unclaimed wins due a reminder
+   */
+  async findUnclaimedWins() {
+    const result = await db.query(`
+      WITH wins AS (
+        -- Bets for the outcome win when the creator side loses (same rule as /api/users/:address)
+        SELECT 'pool' AS source, p.pool_id AS source_id, NULL::bigint AS cycle_id,
+               LOWER(b.bettor_address) AS user_address, p.title, p.settled_at
+        FROM oracle.pools p
+        JOIN oracle.bets b ON b.pool_id::bigint = p.pool_id
+        WHERE p.status = 'settled' AND b.is_for_outcome = (p.creator_side_won = false)
+
+        UNION
+
+        -- The creator and LPs win when it wins
+        SELECT 'pool', p.pool_id, NULL, LOWER(p.creator_address), p.title, p.settled_at
+        FROM oracle.pools p
+        WHERE p.status = 'settled' AND p.creator_side_won = true
+
+        UNION
+
+        SELECT 'pool', p.pool_id, NULL, LOWER(lp.lp_address), p.title, p.settled_at
+        FROM oracle.pools p
+        JOIN oracle.pool_liquidity_providers lp ON lp.pool_id = p.pool_id
+        WHERE p.status = 'settled' AND p.creator_side_won = true
+
+        UNION
+
+        SELECT 'combo_pool', cp.combo_pool_id, NULL, LOWER(cb.bettor_address), NULL, cp.settled_at
+        FROM oracle.combo_pools cp
+        JOIN oracle.combo_pool_bets cb ON cb.combo_pool_id = cp.combo_pool_id
+        WHERE cp.settled = true AND COALESCE(cp.is_refunded, false) = false AND cp.creator_side_won = false
+
+        UNION
+
+        SELECT 'combo_pool', cp.combo_pool_id, NULL, LOWER(cl.lp_address), NULL, cp.settled_at
+        FROM oracle.combo_pools cp
+        JOIN oracle.combo_pool_lps cl ON cl.combo_pool_id = cp.combo_pool_id
+        WHERE cp.settled = true AND COALESCE(cp.is_refunded, false) = false AND cp.creator_side_won = true
+
+        UNION
+
+        -- Oddyssey prizes, same rule as /api/claim-oddyssey
+        SELECT 'oddyssey', s.slip_id, s.cycle_id, LOWER(s.player_address), NULL, c.resolved_at
+        FROM oracle.oddyssey_slips s
+        JOIN oracle.oddyssey_cycles c ON c.cycle_id = s.cycle_id
+        WHERE c.is_resolved = true AND s.is_evaluated = true AND s.correct_count >= 7
+          AND s.leaderboard_rank BETWEEN 1 AND 5
+          AND COALESCE(s.prize_claimed, false) = false
+      )
+      SELECT w.*
+      FROM wins w
+      LEFT JOIN core.notification_preferences np ON np.user_address = w.user_address
+      LEFT JOIN oracle.claim_reminders r
+        ON r.user_address = w.user_address AND r.source = w.source AND r.source_id = w.source_id
+      WHERE w.settled_at < NOW() - make_interval(days => $1)
+        AND w.settled_at > NOW() - make_interval(days => $2)
+        AND COALESCE(np.claim_reminders, true)
+        AND (r.user_address IS NULL OR (r.reminder_count < $3 AND r.last_reminded_at < NOW() - make_interval(days => $4)))
+        AND NOT EXISTS (
+          SELECT 1 FROM oracle.claims_ledger l
+          WHERE l.source = w.source AND l.source_id = w.source_id AND l.user_address = w.user_address
+        )
+        AND NOT (w.source = 'pool' AND EXISTS (
+          SELECT 1 FROM oracle.prize_claims pc
+          WHERE pc.pool_id = w.source_id AND LOWER(pc.user_address) = w.user_address AND pc.claimed = true
+        ))
+        AND NOT (w.source = 'combo_pool' AND EXISTS (
+          SELECT 1 FROM oracle.combo_pool_claims cc
+          WHERE cc.combo_pool_id = w.source_id AND LOWER(cc.user_address) = w.user_address
+        ))
+      ORDER BY w.user_address, w.settled_at
+    `, [
+      this.config.reminderAfterDays,
+      this.config.reminderMaxAgeDays,
+      this.config.maxReminders,
+      this.config.reminderRepeatDays
+    ]);
+
+    return result.rows;
+  }
+
+  async recordReminders(userAddress, wins) {
+    for (const win of wins) {
+      await db.query(`
+        INSERT INTO oracle.claim_reminders (user_address, source, source_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (user_address, source, source_id) DO UPDATE SET
+          reminder_count = oracle.claim_reminders.reminder_count + 1,
+          last_reminded_at = NOW()
+      `, [userAddress, win.source, win.source_id]);
+    }
+  }
+}
+
+module.exports = ClaimReminderService;
@@ -0,0 +1,228 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+
+/**
+ * Claim events per contract, mapped onto ledger rows
+ */
+const SOURCES = [
+  {
+    source: 'pool',
+    addressKey: 'poolCore',
+    abi: ['event RewardClaimed(uint256 indexed poolId, address indexed user, uint256 amount)'],
+    eventName: 'RewardClaimed',
+    toRow: (args) => ({ sourceId: args.poolId, cycleId: null, user: args.user, amount: args.amount })
+  },
+  {
+    source: 'combo_pool',
+    addressKey: 'comboPools',
+    abi: ['event ComboRewardClaimed(uint256 indexed comboPoolId, address indexed user, uint256 amount)'],
+    eventName: 'ComboRewardClaimed',
+    toRow: (args) => ({ sourceId: args.comboPoolId, cycleId: null, user: args.user, amount: args.amount })
+  },
+  {
+    source: 'oddyssey',
+    addressKey: 'oddyssey',
+    abi: ['event PrizeClaimed(uint256 indexed cycleId, address indexed player, uint256 indexed slipId, uint256 rank, uint256 amount)'],
+    eventName: 'PrizeClaimed',
+    toRow: (args) => ({ sourceId: args.slipId, cycleId: args.cycleId, user: args.player, amount: args.amount })
+  }
+];
+
+/**
+ * Claims Indexer
+ *
+ * Writes every claimed payout (pool core, combo pools, Oddyssey) into
+ * oracle.claims_ledger, so claim history doesn't depend on the per-product
+ * claim tables. Like the creator fee indexer, each contract is read from its
+ * own checkpoint on a timer and only confirmed blocks reach the ledger.
+ */
+class ClaimsIndexer {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.serviceName = 'ClaimsIndexer';
+    this.config = config.claims;
+    this.sources = []; // { source, eventName, toRow, contract, checkpoint }
+    this.pollTimer = null;
+    this.blockTimestamps = new Map();
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      const provider = this.web3Service.provider;
+      this.sources = [];
+      for (const definition of SOURCES) {
+        const address = config.blockchain.contractAddresses[definition.addressKey];
+        if (!address) {
+          console.log(`⚠️ ${this.serviceName}: ${definition.addressKey} address not configured, skipping ${definition.eventName}`);
+          continue;
+        }
+
+        this.sources.push({
+          ...definition,
+          contract: new ethers.Contract(address, definition.abi, provider),
+          checkpoint: new IndexerCheckpoint({ indexerName: 'claims-indexer', contractAddress: address, provider })
+        });
+      }
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully (${this.sources.map(s => s.source).join(', ')})`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the indexer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    await this.initialize();
+
+    this.isRunning = true;
+    await this.sync();
+
+    this.pollTimer = setInterval(() => this.sync(), this.config.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Indexing claims every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  /**
+   * Stop the indexer
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+
+  /**
+   * Index confirmed blocks after each contract's checkpoint
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+    this.isSyncing = true;
+
+    try {
+      for (const source of this.sources) {
+        try {
+          const safeBlock = await source.checkpoint.getSafeBlock();
+          const result = await source.checkpoint.replayEvents(source.contract, {
+            [source.eventName]: (event) => this.recordClaim(source, event)
+          }, {
+            initialBlock: safeBlock - this.config.initialLookbackBlocks,
+            onReorg: (forkBlock) => this.rollback(source.source, forkBlock)
+          });
+
+          if (result.replayed > 0) {
+            console.log(`🧾 ${this.serviceName}: Indexed ${result.replayed} ${source.source} claims from blocks ${result.fromBlock}-${result.toBlock}`);
+          }
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: ${source.source} sync failed:`, error.message);
+          // Don't throw - the next run resumes from the checkpoint
+        }
+      }
+    } finally {
+      this.isSyncing = false;
+      this.blockTimestamps.clear();
+    }
+  }
+
+  async recordClaim(source, event) {
+    const { sourceId, cycleId, user, amount } = source.toRow(event.args);
+    const blockNumber = Number(event.blockNumber);
+
+    await db.query(`
+      INSERT INTO oracle.claims_ledger (
+        source, source_id, cycle_id, user_address, amount, tx_hash, log_index, block_number, claimed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, to_timestamp($9))
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [
+      source.source,
+      sourceId.toString(),
+      cycleId !== null ? cycleId.toString() : null,
+      user.toLowerCase(),
+      amount.toString(),
+      event.transactionHash,
+      event.index ?? event.logIndex ?? 0,
+      blockNumber,
+      await this.getBlockTimestamp(blockNumber)
+    ]);
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (!this.blockTimestamps.has(blockNumber)) {
+      const block = await this.web3Service.provider.getBlock(blockNumber);
+      this.blockTimestamps.set(blockNumber, block ? block.timestamp : Math.floor(Date.now() / 1000));
+    }
+    return this.blockTimestamps.get(blockNumber);
+  }
+
+  /**
+   * Drop one source's ledger rows from orphaned blocks
+   */
+  async rollback(source, forkBlock) {
+    const result = await db.query(
+      'DELETE FROM oracle.claims_ledger WHERE source = $1 AND block_number > $2',
+      [source, forkBlock]
+    );
+    console.log(`↩️ ${this.serviceName}: Removed ${result.rowCount} ${source} claims after block ${forkBlock}`);
+  }
+
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isRunning: this.isRunning,
+      sources: this.sources.map(source => ({ source: source.source, lastBlock: source.checkpoint.lastBlock }))
+    };
+  }
+}
+
+module.exports = ClaimsIndexer;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new ClaimsIndexer();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Claims Indexer running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Claims Indexer failed to start:', error);
+      process.exit(1);
+    });
+}
@@ -286,12 +286,13 @@ class CoinpaprikaService {
   /**
    * Get historical price data for a coin
    */
-  async getCoinHistoricalData(coinId, start, end, limit = 1000) {
+  async getCoinHistoricalData(coinId, start, end, limit = 1000, interval = null) {
     try {
       const params = {};
       if (start) params.start = start;
       if (end) params.end = end;
       if (limit) params.limit = limit;
+      if (interval) params.interval = interval;
 
       const data = await this.makeRequest(`/tickers/${coinId}/historical`, params);
       
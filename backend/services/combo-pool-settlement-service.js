@@ -0,0 +1,505 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const txManager = require('./tx-manager');
+const { TxError } = require('./tx-manager');
+const marketSpec = require('../utils/market-spec');
+const UnifiedPoolSettlementSystem = require('./unified-pool-settlement-system');
+
+/**
+ * Combo Pool Settlement Service
+ *
+ * Resolves combo pool conditions (legs) one by one as their fixtures finish or
+ * their crypto deadlines pass. Football legs are settled from their market spec
+ * (utils/market-spec.js) like single pools; crypto legs use the price checks of
+ * UnifiedPoolSettlementSystem.
+ *
+ * BitredictComboPools.resolveComboCondition is onlyOracle (GuidedOracle), so each
+ * leg is submitted through GuidedOracle.executeCall. Every submission is recorded in
+ * oracle.combo_condition_resolutions before the transaction is sent, which keeps a
+ * leg from being submitted twice across restarts.
+ */
+class ComboPoolSettlementService {
+  constructor() {
+    this.serviceName = 'ComboPoolSettlementService';
+    this.web3Service = new Web3Service();
+    this.settlementSystem = new UnifiedPoolSettlementSystem();
+    this.comboPoolsAddress = config.blockchain.contractAddresses.comboPools;
+    this.comboPoolsInterface = new ethers.Interface([
+      'function resolveComboCondition(uint256 comboPoolId, uint256 conditionIndex, bytes32 actualOutcome) external'
+    ]);
+    this.comboPoolsContract = null;
+    this.isRunning = false;
+    this.pollInterval = null;
+
+    this.config = {
+      pollIntervalMs: 5 * 60 * 1000, // 5 minutes, same cadence as pool settlement
+      resultGraceMinutes: 15, // Wait after full time before trusting results
+      maxAttempts: 3,
+      pendingTxTimeoutMs: 10 * 60 * 1000, // Re-check submissions without a receipt after 10 minutes
+      gasLimit: 500000
+    };
+  }
+
+  /**
+   * Start the settlement service
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    console.log(`🚀 ${this.serviceName}: Starting...`);
+
+    if (!this.comboPoolsAddress) {
+      throw new Error('ComboPools contract address not configured');
+    }
+
+    if (!this.web3Service.isInitialized) {
+      await this.web3Service.initialize();
+    }
+    this.comboPoolsContract = await this.web3Service.getComboPoolsContractForEvents();
+    this.isRunning = true;
+
+    await this.processAllComboPools();
+
+    this.pollInterval = setInterval(async () => {
+      if (this.isRunning) {
+        console.log(`🔄 ${this.serviceName}: Polling for resolvable combo conditions...`);
+        await this.processAllComboPools();
+      }
+    }, this.config.pollIntervalMs);
+
+    console.log(`✅ ${this.serviceName}: Started (polling every ${this.config.pollIntervalMs / 60000} minutes)`);
+  }
+
+  /**
+   * Stop the settlement service
+   */
+  async stop() {
+    console.log(`🛑 ${this.serviceName}: Stopping...`);
+    this.isRunning = false;
+
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+
+    console.log(`✅ ${this.serviceName}: Stopped`);
+  }
+
+  /**
+   * Main entry point - resolve every condition that has a result available
+   */
+  async processAllComboPools() {
+    try {
+      await this.reconcileSubmittedResolutions();
+
+      const conditions = await this.getUnresolvedConditions();
+      console.log(`📊 ${this.serviceName}: ${conditions.length} unresolved combo conditions`);
+
+      const byPool = new Map();
+      for (const condition of conditions) {
+        if (!byPool.has(condition.combo_pool_id)) {
+          byPool.set(condition.combo_pool_id, []);
+        }
+        byPool.get(condition.combo_pool_id).push(condition);
+      }
+
+      for (const [comboPoolId, poolConditions] of byPool) {
+        try {
+          await this.processComboPool(comboPoolId, poolConditions);
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: Failed to process combo pool ${comboPoolId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Processing error:`, error);
+    }
+  }
+
+  /**
+   * Get unresolved conditions of open combo pools with their fixture results (if any)
+   */
+  async getUnresolvedConditions() {
+    const result = await db.query(`
+      SELECT
+        c.combo_pool_id,
+        c.condition_index,
+        c.market_id,
+        c.expected_outcome,
+        c.expected_outcome_raw,
+        c.description,
+        cp.event_end_time,
+        (SELECT COUNT(*) FROM oracle.combo_pool_conditions o
+          WHERE o.combo_pool_id = c.combo_pool_id AND o.resolved = false) as unresolved_count,
+        r.status as resolution_status,
+        r.attempts as resolution_attempts,
+        f.id as fixture_id,
+        f.status as fixture_status,
+        f.home_team,
+        f.away_team,
+        fr.home_score,
+        fr.away_score,
+        fr.ht_home_score,
+        fr.ht_away_score,
+        fr.finished_at
+      FROM oracle.combo_pool_conditions c
+      JOIN oracle.combo_pools cp ON cp.combo_pool_id = c.combo_pool_id
+      LEFT JOIN oracle.combo_condition_resolutions r
+        ON r.combo_pool_id = c.combo_pool_id AND r.condition_index = c.condition_index
+      LEFT JOIN oracle.fixtures f ON f.id::text = c.market_id
+      LEFT JOIN oracle.fixture_results fr ON fr.fixture_id::text = f.id::text
+      WHERE c.resolved = false
+        AND cp.settled = false
+        AND COALESCE(cp.is_refunded, false) = false
+        AND (r.status IS NULL OR r.status IN ('pending', 'failed'))
+        AND COALESCE(r.attempts, 0) < $1
+      ORDER BY c.combo_pool_id, c.condition_index
+    `, [this.config.maxAttempts]);
+
+    return result.rows;
+  }
+
+  /**
+   * Resolve the resolvable legs of a single combo pool
+   */
+  async processComboPool(comboPoolId, conditions) {
+    const now = Math.floor(Date.now() / 1000);
+    let unresolvedCount = Number(conditions[0].unresolved_count);
+
+    for (const condition of conditions) {
+      const outcome = await this.determineConditionOutcome(condition);
+      if (!outcome) {
+        continue;
+      }
+
+      // The contract only settles when the last leg is resolved after eventEndTime,
+      // so the final leg waits for the combo's event end to avoid a stuck pool
+      if (unresolvedCount === 1 && now < Number(condition.event_end_time)) {
+        console.log(`⏳ Combo ${comboPoolId} leg ${condition.condition_index}: final leg held until event end ${new Date(Number(condition.event_end_time) * 1000).toISOString()}`);
+        continue;
+      }
+
+      const submitted = await this.submitConditionResolution(condition, outcome);
+      if (submitted) {
+        unresolvedCount--;
+      }
+    }
+  }
+
+  /**
+   * Determine the outcome of a single leg.
+   * Returns { marketType, prediction, actualOutcome, outcomeBytes32 } or null when not resolvable yet.
+   */
+  async determineConditionOutcome(condition) {
+    const label = `Combo ${condition.combo_pool_id} leg ${condition.condition_index}`;
+    const prediction = this.getConditionPrediction(condition);
+
+    if (!prediction) {
+      await this.markNeedsReview(condition, 'Cannot recover the expected outcome text for this condition');
+      return null;
+    }
+
+    let marketType;
+    let actualOutcome;
+
+    if (condition.fixture_id) {
+      marketType = 'football';
+      if (!this.hasFinalResult(condition)) {
+        return null;
+      }
+
+      const spec = marketSpec.parse({
+        predictedOutcome: prediction,
+        homeTeam: condition.home_team,
+        awayTeam: condition.away_team,
+        category: 'football'
+      });
+      if (!spec || spec.family === 'PRICE' || marketSpec.validate(spec).length > 0) {
+        await this.markNeedsReview(condition, `Cannot derive a market spec from prediction "${prediction}"`, { marketType, prediction });
+        return null;
+      }
+
+      const settlement = marketSpec.settle(spec, {
+        homeScore: condition.home_score,
+        awayScore: condition.away_score,
+        htHomeScore: condition.ht_home_score,
+        htAwayScore: condition.ht_away_score
+      });
+      if (!settlement) {
+        await this.markNeedsReview(condition, `Missing ${spec.period} scores for ${marketSpec.serialize(spec)}`, { marketType, prediction });
+        return null;
+      }
+      actualOutcome = marketSpec.contractOutcome(spec, settlement, prediction);
+    } else {
+      marketType = 'crypto';
+      actualOutcome = await this.settlementSystem.determineCryptoOutcome({
+        pool_id: `${condition.combo_pool_id}:${condition.condition_index}`,
+        market_id: condition.market_id,
+        predicted_outcome: prediction,
+        home_team: null,
+        event_end_time: this.getCryptoDeadline(condition)
+      });
+      if (!actualOutcome) {
+        return null;
+      }
+    }
+
+    const outcomeBytes32 = this.encodeOutcome(actualOutcome, prediction, condition.expected_outcome_raw);
+    if (!outcomeBytes32) {
+      await this.markNeedsReview(condition, `Outcome "${actualOutcome}" cannot be encoded as bytes32`, { marketType, prediction });
+      return null;
+    }
+
+    console.log(`🎯 ${label}: "${prediction}" -> "${actualOutcome}"`);
+    return { marketType, prediction, actualOutcome, outcomeBytes32 };
+  }
+
+  /**
+   * Recover the prediction text of a leg. Expected outcomes are stored either as
+   * bytes32 strings (decoded by the sync) or as keccak256 hashes, in which case the
+   * prediction is recovered from the description and verified against the hash.
+   */
+  getConditionPrediction(condition) {
+    const expected = condition.expected_outcome;
+    if (expected && !expected.startsWith('0x')) {
+      return expected;
+    }
+
+    const raw = condition.expected_outcome_raw;
+    const description = condition.description || '';
+    const candidates = [
+      description,
+      ...description.split(/\s[-:|]\s|:\s*/).map(part => part.trim())
+    ].filter(Boolean);
+
+    return candidates.find(candidate => ethers.keccak256(ethers.toUtf8Bytes(candidate)) === raw) || null;
+  }
+
+  /**
+   * Encode the outcome the same way the expected outcome was encoded at creation
+   */
+  encodeOutcome(actualOutcome, prediction, expectedRaw) {
+    if (expectedRaw && expectedRaw === ethers.keccak256(ethers.toUtf8Bytes(prediction))) {
+      return ethers.keccak256(ethers.toUtf8Bytes(actualOutcome));
+    }
+
+    const outcomeBytes = ethers.toUtf8Bytes(actualOutcome);
+    if (outcomeBytes.length > 32) {
+      return null;
+    }
+    // Right-padded like predictedOutcome on single pools
+    return ethers.zeroPadBytes(outcomeBytes, 32);
+  }
+
+  /**
+   * Same finality rules as UnifiedPoolSettlementSystem.getUnsettledPools
+   */
+  hasFinalResult(condition) {
+    if (condition.home_score === null || condition.home_score === undefined ||
+        condition.away_score === null || condition.away_score === undefined ||
+        !condition.finished_at) {
+      return false;
+    }
+    const graceMs = this.config.resultGraceMinutes * 60 * 1000;
+    return new Date(condition.finished_at).getTime() <= Date.now() - graceMs;
+  }
+
+  /**
+   * Crypto legs carry their own deadline in market ids like "SOL_195_above_1762103615"
+   */
+  getCryptoDeadline(condition) {
+    const match = (condition.market_id || '').match(/_(\d{10})$/);
+    return match ? Number(match[1]) : Number(condition.event_end_time);
+  }
+
+  /**
+   * Submit a leg on-chain once, recording the attempt before the transaction is sent
+   */
+  async submitConditionResolution(condition, outcome) {
+    const comboPoolId = Number(condition.combo_pool_id);
+    const conditionIndex = Number(condition.condition_index);
+    const label = `Combo ${comboPoolId} leg ${conditionIndex}`;
+
+    // Never submit a leg the contract already considers resolved
+    const onChainPool = await this.comboPoolsContract.getComboPool(comboPoolId);
+    if (onChainPool.conditions[conditionIndex].resolved) {
+      console.log(`✅ ${label}: already resolved on-chain`);
+      await this.recordResolution(condition, outcome, { status: 'confirmed' });
+      return true;
+    }
+
+    await this.recordResolution(condition, outcome, { status: 'pending', incrementAttempts: true });
+
+    try {
+      const callData = this.comboPoolsInterface.encodeFunctionData('resolveComboCondition', [
+        comboPoolId,
+        conditionIndex,
+        outcome.outcomeBytes32
+      ]);
+
+      // The transaction manager's key also keeps a retried leg from being
+      // broadcast again while the first transaction is still in flight
+      const receipt = await txManager.sendContractCall(
+        this.settlementSystem.guidedOracleContract,
+        'executeCall',
+        [this.comboPoolsAddress, callData],
+        {
+          key: `resolveComboCondition:${comboPoolId}:${conditionIndex}`,
+          lane: 'settlement',
+          gasLimit: this.config.gasLimit,
+          description: 'executeCall(resolveComboCondition)',
+          requestedBy: 'combo-pool-settlement'
+        }
+      );
+
+      await this.recordResolution(condition, outcome, {
+        status: 'confirmed',
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      });
+      console.log(`✅ ${label}: resolved in block ${receipt.blockNumber} (${receipt.hash})`);
+      return true;
+    } catch (error) {
+      if (error instanceof TxError && error.code === 'TIMEOUT' && error.row.tx_hash) {
+        // Still in flight; reconcileSubmittedResolutions() picks it up
+        console.warn(`⏳ ${label}: resolution transaction ${error.row.tx_hash} not mined yet`);
+        await this.recordResolution(condition, outcome, { status: 'submitted', txHash: error.row.tx_hash });
+        return false;
+      }
+      console.error(`❌ ${label}: resolution failed:`, error.message);
+      await this.recordResolution(condition, outcome, { status: 'failed', error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Follow up on submissions whose receipt was not recorded (e.g. process restart)
+   */
+  async reconcileSubmittedResolutions() {
+    const result = await db.query(`
+      SELECT combo_pool_id, condition_index, tx_hash, submitted_at
+      FROM oracle.combo_condition_resolutions
+      WHERE status = 'submitted' AND tx_hash IS NOT NULL
+    `);
+
+    for (const row of result.rows) {
+      try {
+        const receipt = await this.web3Service.provider.getTransactionReceipt(row.tx_hash);
+        if (receipt) {
+          await db.query(`
+            UPDATE oracle.combo_condition_resolutions SET
+              status = $3,
+              block_number = $4,
+              last_error = $5,
+              confirmed_at = CASE WHEN $3 = 'confirmed' THEN NOW() ELSE confirmed_at END,
+              updated_at = NOW()
+            WHERE combo_pool_id = $1 AND condition_index = $2
+          `, [
+            row.combo_pool_id,
+            row.condition_index,
+            receipt.status === 1 ? 'confirmed' : 'failed',
+            receipt.blockNumber,
+            receipt.status === 1 ? null : `Transaction ${row.tx_hash} reverted`
+          ]);
+          continue;
+        }
+
+        // No receipt: only retry once the contract confirms the leg is still open
+        const pendingFor = Date.now() - new Date(row.submitted_at).getTime();
+        if (pendingFor > this.config.pendingTxTimeoutMs) {
+          const onChainPool = await this.comboPoolsContract.getComboPool(Number(row.combo_pool_id));
+          const resolved = onChainPool.conditions[Number(row.condition_index)].resolved;
+          await db.query(`
+            UPDATE oracle.combo_condition_resolutions SET
+              status = $3,
+              last_error = $4,
+              updated_at = NOW()
+            WHERE combo_pool_id = $1 AND condition_index = $2
+          `, [
+            row.combo_pool_id,
+            row.condition_index,
+            resolved ? 'confirmed' : 'failed',
+            resolved ? null : `Transaction ${row.tx_hash} not mined after ${Math.round(pendingFor / 60000)} minutes`
+          ]);
+        }
+      } catch (error) {
+        console.warn(`⚠️ ${this.serviceName}: Could not reconcile ${row.tx_hash}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Upsert the resolution record for a leg
+   */
+  async recordResolution(condition, outcome, { status, txHash = null, blockNumber = null, error = null, incrementAttempts = false }) {
+    await db.query(`
+      INSERT INTO oracle.combo_condition_resolutions (
+        combo_pool_id, condition_index, market_id, market_type, prediction,
+        actual_outcome, actual_outcome_raw, status, tx_hash, block_number,
+        attempts, last_error, submitted_at, confirmed_at
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+        CASE WHEN $8 = 'submitted' THEN NOW() END,
+        CASE WHEN $8 = 'confirmed' THEN NOW() END
+      )
+      ON CONFLICT (combo_pool_id, condition_index) DO UPDATE SET
+        market_type = EXCLUDED.market_type,
+        prediction = EXCLUDED.prediction,
+        actual_outcome = EXCLUDED.actual_outcome,
+        actual_outcome_raw = EXCLUDED.actual_outcome_raw,
+        status = EXCLUDED.status,
+        tx_hash = COALESCE(EXCLUDED.tx_hash, oracle.combo_condition_resolutions.tx_hash),
+        block_number = COALESCE(EXCLUDED.block_number, oracle.combo_condition_resolutions.block_number),
+        attempts = oracle.combo_condition_resolutions.attempts + EXCLUDED.attempts,
+        last_error = EXCLUDED.last_error,
+        submitted_at = COALESCE(EXCLUDED.submitted_at, oracle.combo_condition_resolutions.submitted_at),
+        confirmed_at = COALESCE(EXCLUDED.confirmed_at, oracle.combo_condition_resolutions.confirmed_at),
+        updated_at = NOW()
+    `, [
+      Number(condition.combo_pool_id),
+      Number(condition.condition_index),
+      condition.market_id,
+      outcome.marketType,
+      outcome.prediction,
+      outcome.actualOutcome,
+      outcome.outcomeBytes32,
+      status,
+      txHash,
+      blockNumber,
+      incrementAttempts ? 1 : 0,
+      error
+    ]);
+  }
+
+  /**
+   * Flag a leg that cannot be resolved automatically
+   */
+  async markNeedsReview(condition, reason, { marketType = null, prediction = null } = {}) {
+    if (condition.resolution_status === 'needs_review') {
+      return;
+    }
+    console.warn(`⚠️ Combo ${condition.combo_pool_id} leg ${condition.condition_index}: ${reason} - needs review`);
+    await db.query(`
+      INSERT INTO oracle.combo_condition_resolutions (
+        combo_pool_id, condition_index, market_id, market_type, prediction, status, last_error
+      ) VALUES ($1, $2, $3, $4, $5, 'needs_review', $6)
+      ON CONFLICT (combo_pool_id, condition_index) DO UPDATE SET
+        status = 'needs_review',
+        last_error = EXCLUDED.last_error,
+        updated_at = NOW()
+    `, [
+      Number(condition.combo_pool_id),
+      Number(condition.condition_index),
+      condition.market_id,
+      marketType,
+      prediction,
+      reason
+    ]);
+  }
+}
+
+module.exports = ComboPoolSettlementService;
@@ -0,0 +1,267 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const notificationService = require('./notification-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+
+const CREATOR_FEE_ABI = [
+  'event CreatorFeeAccrued(uint256 indexed poolId, address indexed creator, uint256 sttAmount, uint256 bitrAmount)',
+  'event CreatorFeeClaimed(address indexed creator, uint256 sttAmount, uint256 bitrAmount)'
+];
+
+/**
+ * Creator Fee Indexer
+ *
+ * Writes BitredictPoolCore creator fee events into oracle.creator_fee_ledger.
+ * A claim pays out everything pending, so accruals after a creator's last
+ * claim are what they can still claim.
+ *
+ * Events are read from the checkpoint on a timer rather than through live
+ * listeners, so only confirmed blocks reach the ledger and a reorg can be
+ * rolled back cleanly.
+ */
+class CreatorFeeIndexer {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.contract = null;
+    this.checkpoint = null;
+    this.serviceName = 'CreatorFeeIndexer';
+    this.config = config.creatorFees;
+    this.thresholds = {
+      STT: ethers.parseEther(String(this.config.notifyThresholdStt)),
+      BITR: ethers.parseEther(String(this.config.notifyThresholdBitr))
+    };
+    this.pollTimer = null;
+    this.isSyncing = false;
+    this.blockTimestamps = new Map();
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      const address = config.blockchain.contractAddresses.poolCore;
+      if (!address) {
+        throw new Error('PoolCore contract address not configured');
+      }
+      this.contract = new ethers.Contract(address, CREATOR_FEE_ABI, this.web3Service.provider);
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'creator-fee-indexer',
+        contractAddress: address,
+        provider: this.web3Service.provider
+      });
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the indexer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    await this.initialize();
+
+    this.isRunning = true;
+    await this.sync();
+
+    this.pollTimer = setInterval(() => this.sync(), this.config.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Indexing creator fees every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  /**
+   * Stop the indexer
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+
+  /**
+   * Index confirmed blocks after the checkpoint
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+    this.isSyncing = true;
+
+    try {
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.contract, {
+        CreatorFeeAccrued: (event) => this.handleFeeAccrued(event),
+        CreatorFeeClaimed: (event) => this.handleFeeClaimed(event)
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.rollback(forkBlock)
+      });
+
+      if (result.replayed > 0) {
+        console.log(`💸 ${this.serviceName}: Indexed ${result.replayed} fee events from blocks ${result.fromBlock}-${result.toBlock}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Sync failed:`, error.message);
+      // Don't throw - the next run resumes from the checkpoint
+    } finally {
+      this.isSyncing = false;
+      // Block timestamps are only needed within one run
+      this.blockTimestamps.clear();
+    }
+  }
+
+  /**
+   * Handle CreatorFeeAccrued, notifying the creator if their pending fees just crossed a threshold
+   */
+  async handleFeeAccrued(event) {
+    const { poolId, creator, sttAmount, bitrAmount } = event.args;
+    const inserted = await this.insertLedgerRow('accrued', creator, poolId.toString(), sttAmount, bitrAmount, event);
+    if (!inserted) {
+      return;
+    }
+
+    const pending = await this.getPending(creator.toLowerCase());
+    for (const [token, amount] of [['STT', sttAmount], ['BITR', bitrAmount]]) {
+      const threshold = this.thresholds[token];
+      if (amount > 0n && pending[token] >= threshold && pending[token] - amount < threshold) {
+        await this.notifyThreshold(creator, token, pending[token], poolId.toString());
+      }
+    }
+  }
+
+  /**
+   * Handle CreatorFeeClaimed
+   */
+  async handleFeeClaimed(event) {
+    const { creator, sttAmount, bitrAmount } = event.args;
+    await this.insertLedgerRow('claimed', creator, null, sttAmount, bitrAmount, event);
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the event was already in the ledger
+   */
+  async insertLedgerRow(eventType, creator, poolId, sttAmount, bitrAmount, event) {
+    const log = event.log || event;
+    const blockNumber = Number(log.blockNumber);
+
+    const result = await db.query(`
+      INSERT INTO oracle.creator_fee_ledger (
+        event_type, creator_address, pool_id, stt_amount, bitr_amount,
+        tx_hash, log_index, block_number, block_timestamp
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, to_timestamp($9))
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+      RETURNING id
+    `, [
+      eventType,
+      creator.toLowerCase(),
+      poolId,
+      sttAmount.toString(),
+      bitrAmount.toString(),
+      log.transactionHash,
+      log.index ?? log.logIndex ?? 0,
+      blockNumber,
+      await this.getBlockTimestamp(blockNumber)
+    ]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Accruals after the creator's last claim, in wei
+   */
+  async getPending(creatorAddress) {
+    const result = await db.query(`
+      SELECT COALESCE(SUM(a.stt_amount), 0)::text AS stt, COALESCE(SUM(a.bitr_amount), 0)::text AS bitr
+      FROM oracle.creator_fee_ledger a
+      WHERE a.creator_address = $1 AND a.event_type = 'accrued'
+        AND NOT EXISTS (
+          SELECT 1 FROM oracle.creator_fee_ledger c
+          WHERE c.creator_address = a.creator_address AND c.event_type = 'claimed'
+            AND (c.block_number, c.log_index) > (a.block_number, a.log_index)
+        )
+    `, [creatorAddress]);
+
+    return { STT: BigInt(result.rows[0].stt), BITR: BigInt(result.rows[0].bitr) };
+  }
+
+  async notifyThreshold(creator, token, pendingWei, poolId) {
+    try {
+      const amount = parseFloat(ethers.formatEther(pendingWei)).toFixed(2);
+      await notificationService.notifyCreatorFeesAccrued(creator, { amount, token, poolId });
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Could not notify ${creator}:`, error.message);
+    }
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (!this.blockTimestamps.has(blockNumber)) {
+      const block = await this.web3Service.provider.getBlock(blockNumber);
+      this.blockTimestamps.set(blockNumber, block ? block.timestamp : Math.floor(Date.now() / 1000));
+    }
+    return this.blockTimestamps.get(blockNumber);
+  }
+
+  /**
+   * Drop ledger rows from orphaned blocks; the checkpoint replays them if they reappear
+   */
+  async rollback(forkBlock) {
+    const result = await db.query('DELETE FROM oracle.creator_fee_ledger WHERE block_number > $1', [forkBlock]);
+    console.log(`↩️ ${this.serviceName}: Removed ${result.rowCount} ledger rows after block ${forkBlock}`);
+  }
+
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isRunning: this.isRunning,
+      lastBlock: this.checkpoint ? this.checkpoint.lastBlock : null
+    };
+  }
+}
+
+module.exports = CreatorFeeIndexer;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new CreatorFeeIndexer();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Creator Fee Indexer running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Creator Fee Indexer failed to start:', error);
+      process.exit(1);
+    });
+}
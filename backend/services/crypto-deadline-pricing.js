@@ -0,0 +1,196 @@
+const config = require('../config');
+const { createPriceProviders } = require('./price-providers');
+
+/**
+ * Crypto Deadline Pricing
+ *
+ * Finds the price of a coin at a market deadline, rather than the price when
+ * the resolver happens to run. Two modes:
+ * - close: the last price point at or before the deadline (or the first one
+ *   after it) within the tolerance
+ * - twap:  time-weighted average over the window ending at the deadline
+ *
+ * Every configured provider (services/price-providers) is priced the same way
+ * and the results are cross-checked: at least `minSources` must answer, and
+ * the median is only accepted when every source is within
+ * `maxDeviationPercent` of it. Otherwise the result is flagged and the caller
+ * holds settlement.
+ */
+class CryptoDeadlinePricing {
+  constructor({ providers = null } = {}) {
+    this.providers = providers || createPriceProviders();
+    this.config = config.cryptoResolution;
+  }
+
+  /**
+   * Merge per-market settings with the configured defaults
+   */
+  resolveOptions({ mode, toleranceSeconds, twapWindowSeconds } = {}) {
+    const resolved = {
+      mode: mode || this.config.defaultMode,
+      toleranceSeconds: toleranceSeconds || this.config.toleranceSeconds,
+      twapWindowSeconds: twapWindowSeconds || this.config.twapWindowSeconds
+    };
+
+    if (!['close', 'twap'].includes(resolved.mode)) {
+      throw new Error(`Invalid resolution mode: ${resolved.mode}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Price points after the deadline can still arrive until the tolerance has passed
+   */
+  isReady(deadline, options = {}) {
+    const { toleranceSeconds } = this.resolveOptions(options);
+    return Date.now() >= deadline.getTime() + toleranceSeconds * 1000;
+  }
+
+  /**
+   * Cross-checked price of an asset at `deadline`
+   * @param {{symbol: string, coinId?: string}} asset
+   * @returns {Promise<Object|null>} null when the deadline is too recent to resolve yet. Otherwise
+   *   { status: 'agreed'|'disagreement'|'no_quorum', price, source, sources, deviationPercent,
+   *     priceTimestamp, windowStart, sampleCount, mode, toleranceSeconds }
+   */
+  async getDeadlinePrice(asset, deadline, options = {}) {
+    const resolved = this.resolveOptions(options);
+    if (!this.isReady(deadline, resolved)) {
+      return null;
+    }
+
+    const toleranceMs = resolved.toleranceSeconds * 1000;
+    const windowStart = resolved.mode === 'twap'
+      ? new Date(deadline.getTime() - resolved.twapWindowSeconds * 1000)
+      : null;
+    const from = new Date((windowStart || deadline).getTime() - toleranceMs);
+    const to = resolved.mode === 'twap' ? deadline : new Date(deadline.getTime() + toleranceMs);
+
+    const sources = await Promise.all(this.providers.map(async (provider) => {
+      try {
+        const points = await provider.getPricePoints(asset, from, to);
+        const result = resolved.mode === 'twap'
+          ? this.computeTwap(points, windowStart, deadline, toleranceMs)
+          : this.pickClose(points, deadline, toleranceMs);
+
+        if (!result) {
+          return { provider: provider.name, error: `No price within ${resolved.toleranceSeconds}s of the deadline` };
+        }
+        return { provider: provider.name, ...result };
+      } catch (error) {
+        console.warn(`⚠️ Deadline price: ${provider.name} unavailable for ${asset.symbol}:`, error.message);
+        return { provider: provider.name, error: error.message };
+      }
+    }));
+
+    return {
+      ...this.crossCheck(sources),
+      sources,
+      mode: resolved.mode,
+      toleranceSeconds: resolved.toleranceSeconds,
+      priceTimestamp: resolved.mode === 'twap' ? deadline : this.medianTimestamp(sources),
+      windowStart
+    };
+  }
+
+  /**
+   * Median of the priced sources, with the largest deviation from it
+   */
+  crossCheck(sources) {
+    const priced = sources.filter(source => source.price !== undefined);
+    if (priced.length === 0) {
+      return { status: 'no_quorum', price: null, source: null, deviationPercent: null, sampleCount: 0 };
+    }
+
+    const price = this.median(priced.map(source => source.price));
+    const deviationPercent = Math.max(...priced.map(source => Math.abs(source.price - price) / price * 100));
+
+    let status = 'agreed';
+    if (priced.length < this.config.minSources) {
+      status = 'no_quorum';
+    } else if (deviationPercent > this.config.maxDeviationPercent) {
+      status = 'disagreement';
+    }
+
+    return {
+      status,
+      price,
+      source: `median(${priced.map(source => source.provider).join(',')})`,
+      deviationPercent,
+      sampleCount: priced.reduce((total, source) => total + source.sampleCount, 0)
+    };
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  medianTimestamp(sources) {
+    const times = sources.filter(source => source.priceTimestamp).map(source => source.priceTimestamp.getTime());
+    return times.length > 0 ? new Date(this.median(times)) : null;
+  }
+
+  /**
+   * Last point at or before the deadline, else the first point after it, within the tolerance
+   */
+  pickClose(points, deadline, toleranceMs) {
+    const deadlineMs = deadline.getTime();
+    const sorted = [...points].sort((a, b) => a.time - b.time);
+
+    const before = sorted.filter(point => point.time.getTime() <= deadlineMs).pop();
+    if (before && deadlineMs - before.time.getTime() <= toleranceMs) {
+      return { price: before.price, priceTimestamp: before.time, sampleCount: 1 };
+    }
+
+    const after = sorted.find(point => point.time.getTime() > deadlineMs);
+    if (after && after.time.getTime() - deadlineMs <= toleranceMs) {
+      return { price: after.price, priceTimestamp: after.time, sampleCount: 1 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Time-weighted average over [windowStart, deadline]
+   * Each point's price holds until the next point. The last point before the
+   * window (within the tolerance) sets the opening price.
+   */
+  computeTwap(points, windowStart, deadline, toleranceMs) {
+    const startMs = windowStart.getTime();
+    const endMs = deadline.getTime();
+    const sorted = [...points]
+      .filter(point => point.time.getTime() <= endMs)
+      .sort((a, b) => a.time - b.time);
+
+    const opening = sorted.filter(point => point.time.getTime() <= startMs).pop();
+    const inWindow = sorted.filter(point => point.time.getTime() > startMs);
+    const used = opening ? [opening, ...inWindow] : inWindow;
+
+    // The price at the deadline must be known, not carried over from a stale point
+    if (used.length === 0 || endMs - used[used.length - 1].time.getTime() > toleranceMs) {
+      return null;
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (let i = 0; i < used.length; i++) {
+      const segmentStart = Math.max(used[i].time.getTime(), startMs);
+      const segmentEnd = i + 1 < used.length ? used[i + 1].time.getTime() : endMs;
+      const weight = Math.max(0, segmentEnd - segmentStart);
+      weightedSum += used[i].price * weight;
+      totalWeight += weight;
+    }
+
+    const price = totalWeight > 0 ? weightedSum / totalWeight : used[used.length - 1].price;
+
+    return {
+      price,
+      priceTimestamp: deadline,
+      sampleCount: used.length
+    };
+  }
+}
+
+module.exports = CryptoDeadlinePricing;
@@ -1,11 +1,15 @@
 const { ethers } = require('ethers');
 const CoinpaprikaService = require('./coinpaprika');
+const CryptoDeadlinePricing = require('./crypto-deadline-pricing');
+const cryptoPriceHoldService = require('./crypto-price-hold-service');
 const db = require('../db/db');
 const config = require('../config');
+const txManager = require('./tx-manager');
 
 class CryptoOracleBot {
   constructor() {
     this.coinpaprikaService = new CoinpaprikaService();
+    this.deadlinePricing = new CryptoDeadlinePricing();
     this.isRunning = false;
     this.updateInterval = 5 * 60 * 1000; // 5 minutes
     this.resolutionInterval = 2 * 60 * 1000; // 2 minutes
@@ -244,10 +248,18 @@ class CryptoOracleBot {
           p.home_team,
           p.away_team,
           p.oracle_type,
-          p.status
+          p.status,
+          t.symbol AS target_symbol,
+          t.coinpaprika_id AS target_coin_id,
+          t.target_price,
+          t.direction AS target_direction,
+          t.resolution_mode,
+          t.twap_window_seconds,
+          t.tolerance_seconds
         FROM oracle.pools p
+        LEFT JOIN oracle.crypto_pool_targets t ON t.market_id = p.market_id
         WHERE p.oracle_type = 0  -- GUIDED oracle
-          AND p.category = 'crypto'
+          AND p.category IN ('crypto', 'cryptocurrency')
           AND TO_TIMESTAMP(p.event_end_time) <= NOW()
           AND p.status = 'active'
           -- Check if outcome already submitted to contract
@@ -280,74 +292,49 @@ class CryptoOracleBot {
   }
 
   /**
-   * Resolve a main crypto pool
+   * Resolve a main crypto pool against the price at its deadline
    */
   async resolveMainCryptoPool(pool) {
     console.log(`🎯 Resolving main crypto pool: ${pool.pool_id} (${pool.title})`);
 
     try {
-      // ✅ FIX: Parse prediction and fetch real price
-      let symbol, targetPrice, isAbove;
-      
-      // Try to extract from predicted_outcome like "SOL above $195"
-      const outcomeMatch = pool.predicted_outcome.match(/(\w+)\s+(above|below)\s+\$?(\d+(?:\.\d+)?)/i);
-      if (outcomeMatch) {
-        const [, sym, direction, price] = outcomeMatch;
-        symbol = sym.toUpperCase();
-        targetPrice = parseFloat(price);
-        isAbove = direction.toLowerCase() === 'above';
-      } else if (pool.home_team) {
-        // Fallback: use home_team as symbol
-        symbol = pool.home_team.toUpperCase();
-        const priceMatch = pool.predicted_outcome.match(/\$?(\d+(?:\.\d+)?)/);
-        if (priceMatch) {
-          targetPrice = parseFloat(priceMatch[1]);
-          isAbove = pool.predicted_outcome.toLowerCase().includes('above');
-        }
-      }
-      
-      if (!symbol || !targetPrice) {
-        console.log(`  ⚠️ Cannot parse crypto prediction: ${pool.predicted_outcome}`);
-        throw new Error(`Cannot parse crypto prediction: ${pool.predicted_outcome}`);
-      }
-      
-      // Fetch real price from Coinpaprika
-      const coinId = await this.coinpaprikaService.findCoinIdBySymbol(symbol);
+      const target = this.getPoolTarget(pool);
+
+      const coinId = target.coinId || await this.coinpaprikaService.findCoinIdBySymbol(target.symbol);
       if (!coinId) {
-        throw new Error(`Cannot find coin ID for symbol: ${symbol}`);
-      }
-      
-      console.log(`  🔍 Fetching ${symbol} price (${coinId}) from Coinpaprika...`);
-      
-      const tickerResponse = await this.coinpaprikaService.getCoinTicker(coinId);
-      if (!tickerResponse.success || !tickerResponse.data) {
-        throw new Error(`Failed to fetch ${symbol} price from Coinpaprika`);
+        throw new Error(`Cannot find coin ID for symbol: ${target.symbol}`);
       }
-      
-      const currentPrice = parseFloat(tickerResponse.data.price_usd);
-      console.log(`  📊 ${symbol} Current Price: $${currentPrice}, Target: $${targetPrice}, Direction: ${isAbove ? 'above' : 'below'}`);
-      
-      // Determine outcome matching the prediction format
-      let outcome;
-      if (isAbove) {
-        if (currentPrice >= targetPrice) {
-          outcome = `${symbol} above $${targetPrice}`;
-        } else {
-          outcome = `${symbol} below $${targetPrice}`;
-        }
-      } else {
-        if (currentPrice <= targetPrice) {
-          outcome = `${symbol} below $${targetPrice}`;
-        } else {
-          outcome = `${symbol} above $${targetPrice}`;
+
+      const deadline = new Date(Number(pool.event_end_time) * 1000);
+      const pricing = await this.getSettlementPrice({
+        marketId: pool.market_id,
+        poolId: pool.pool_id,
+        asset: { symbol: target.symbol, coinId },
+        deadline,
+        options: {
+          mode: target.mode,
+          toleranceSeconds: target.toleranceSeconds,
+          twapWindowSeconds: target.twapWindowSeconds
         }
+      });
+
+      if (!pricing) {
+        return;
       }
-      
-      console.log(`  ✅ Crypto pool outcome: ${outcome} (Current: $${currentPrice})`);
+
+      const { symbol, targetPrice, isAbove } = target;
+      console.log(`  📊 ${symbol} ${pricing.mode} price at ${deadline.toISOString()}: $${pricing.price} (${pricing.source}), Target: $${targetPrice}, Direction: ${isAbove ? 'above' : 'below'}`);
+
+      // Outcome is phrased like the prediction ("SOL above $195")
+      const priceIsAbove = isAbove ? pricing.price >= targetPrice : pricing.price > targetPrice;
+      const outcome = `${symbol} ${priceIsAbove ? 'above' : 'below'} $${targetPrice}`;
+
+      console.log(`  ✅ Crypto pool outcome: ${outcome}`);
 
       // Submit to guided oracle contract
       const marketIdBytes32 = ethers.id(pool.market_id);
       const resultData = ethers.toUtf8Bytes(outcome);
+      let submissionTxHash = null;
 
       console.log(`📡 Submitting crypto pool to guided oracle: ${marketIdBytes32} -> ${outcome}`);
 
@@ -357,26 +344,37 @@ class CryptoOracleBot {
       if (isSet) {
         console.log(`⚠️ Outcome already set for crypto pool ${pool.pool_id}`);
       } else {
-        // Estimate gas and submit
-        const gasEstimate = await this.guidedOracleContract.submitOutcome.estimateGas(
-          marketIdBytes32,
-          resultData
-        );
-
-        const tx = await this.guidedOracleContract.submitOutcome(
-          marketIdBytes32,
-          resultData,
+        // Queued through the shared transaction manager; the key keeps a
+        // retried resolution from submitting the outcome twice
+        const receipt = await txManager.sendContractCall(
+          this.guidedOracleContract,
+          'submitOutcome',
+          [marketIdBytes32, resultData],
           {
-            gasLimit: gasEstimate * 110n / 100n, // Add 10% buffer
-            gasPrice: ethers.parseUnits('20', 'gwei')
+            key: `submitOutcome:${marketIdBytes32}`,
+            lane: 'oracle',
+            gasPrice: ethers.parseUnits('20', 'gwei'),
+            requestedBy: 'crypto-oracle-bot'
           }
         );
 
-        console.log(`📤 Crypto pool transaction submitted: ${tx.hash}`);
-        const receipt = await tx.wait();
-        console.log(`✅ Crypto pool transaction confirmed in block ${receipt.blockNumber}`);
+        submissionTxHash = receipt.hash;
+        console.log(`✅ Crypto pool transaction confirmed in block ${receipt.blockNumber}: ${receipt.hash}`);
       }
 
+      await this.saveResolutionProof({
+        marketId: pool.market_id,
+        poolId: pool.pool_id,
+        coinId,
+        symbol,
+        targetPrice,
+        direction: isAbove ? 'above' : 'below',
+        deadline,
+        pricing,
+        outcome,
+        submissionTxHash
+      });
+
       // Record the submission
       await db.query(`
         INSERT INTO public.oracle_submissions (
@@ -395,6 +393,129 @@ class CryptoOracleBot {
     }
   }
 
+  /**
+   * Cross-checked price to settle a market with, or null if settlement must wait
+   * (deadline too recent, sources missing, or held for admin confirmation)
+   */
+  async getSettlementPrice({ marketId, poolId = null, asset, deadline, options = {} }) {
+    const hold = await cryptoPriceHoldService.getHold(marketId);
+    if (hold) {
+      if (hold.status === 'confirmed') {
+        console.log(`  ✅ ${asset.symbol}: using admin-confirmed price $${hold.confirmed_price} (${hold.confirmed_by})`);
+        return cryptoPriceHoldService.pricingFromHold(hold);
+      }
+      console.log(`  ⏸️ ${marketId}: settlement held (${hold.reason}), waiting for admin confirmation`);
+      return null;
+    }
+
+    const pricing = await this.deadlinePricing.getDeadlinePrice(asset, deadline, options);
+    if (!pricing) {
+      console.log(`  ⏳ ${asset.symbol}: waiting for price data around ${deadline.toISOString()}`);
+      return null;
+    }
+
+    if (pricing.status === 'agreed') {
+      return pricing;
+    }
+
+    // Missing sources may recover; only hold once the grace period is over
+    const graceEndsAt = deadline.getTime() + this.deadlinePricing.config.quorumGraceSeconds * 1000;
+    if (pricing.status === 'no_quorum' && Date.now() < graceEndsAt) {
+      console.log(`  ⏳ ${asset.symbol}: only ${pricing.sources.filter(source => source.price !== undefined).length} price sources answered, retrying`);
+      return null;
+    }
+
+    console.warn(`  ⚠️ ${asset.symbol}: price ${pricing.status} at ${deadline.toISOString()}, holding settlement`);
+    await cryptoPriceHoldService.createHold({
+      marketId,
+      poolId,
+      symbol: asset.symbol,
+      coinId: asset.coinId,
+      deadline,
+      pricing
+    });
+    return null;
+  }
+
+  /**
+   * Coin, target and direction of a pool
+   * Uses the structured target stored at creation; pools created before that
+   * fall back to parsing predicted_outcome (e.g. "SOL above $195")
+   */
+  getPoolTarget(pool) {
+    if (pool.target_price !== null && pool.target_price !== undefined) {
+      return {
+        symbol: pool.target_symbol.toUpperCase(),
+        coinId: pool.target_coin_id,
+        targetPrice: parseFloat(pool.target_price),
+        isAbove: pool.target_direction === 'above',
+        mode: pool.resolution_mode,
+        toleranceSeconds: pool.tolerance_seconds,
+        twapWindowSeconds: pool.twap_window_seconds
+      };
+    }
+
+    const outcomeMatch = (pool.predicted_outcome || '').match(/(\w+)\s+(above|below)\s+\$?(\d+(?:\.\d+)?)/i);
+    if (outcomeMatch) {
+      const [, symbol, direction, price] = outcomeMatch;
+      return {
+        symbol: symbol.toUpperCase(),
+        coinId: null,
+        targetPrice: parseFloat(price),
+        isAbove: direction.toLowerCase() === 'above'
+      };
+    }
+
+    console.log(`  ⚠️ Cannot parse crypto prediction: ${pool.predicted_outcome}`);
+    throw new Error(`No stored target and cannot parse crypto prediction: ${pool.predicted_outcome}`);
+  }
+
+  /**
+   * Persist the price used to resolve a market (exposed via /api/settlement-results)
+   */
+  async saveResolutionProof({ marketId, poolId = null, coinId, symbol, targetPrice, direction, deadline, pricing, outcome, submissionTxHash = null }) {
+    await db.query(`
+      INSERT INTO oracle.crypto_resolution_proofs (
+        market_id, pool_id, coinpaprika_id, symbol, target_price, direction,
+        resolution_mode, deadline, resolved_price, price_source, price_timestamp,
+        window_start, sample_count, tolerance_seconds, outcome, submission_tx_hash,
+        source_prices, deviation_percent, confirmed_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      ON CONFLICT (market_id) DO UPDATE SET
+        resolved_price = EXCLUDED.resolved_price,
+        price_source = EXCLUDED.price_source,
+        price_timestamp = EXCLUDED.price_timestamp,
+        window_start = EXCLUDED.window_start,
+        sample_count = EXCLUDED.sample_count,
+        outcome = EXCLUDED.outcome,
+        source_prices = EXCLUDED.source_prices,
+        deviation_percent = EXCLUDED.deviation_percent,
+        confirmed_by = EXCLUDED.confirmed_by,
+        submission_tx_hash = COALESCE(EXCLUDED.submission_tx_hash, oracle.crypto_resolution_proofs.submission_tx_hash),
+        resolved_at = NOW()
+    `, [
+      marketId,
+      poolId,
+      coinId,
+      symbol,
+      targetPrice,
+      direction,
+      pricing.mode,
+      deadline,
+      pricing.price,
+      pricing.source,
+      pricing.priceTimestamp,
+      pricing.windowStart,
+      pricing.sampleCount,
+      pricing.toleranceSeconds,
+      outcome,
+      submissionTxHash,
+      JSON.stringify(pricing.sources),
+      pricing.deviationPercent,
+      pricing.confirmedBy || null
+    ]);
+  }
+
   /**
    * Check for markets that need resolution
    */
@@ -416,16 +537,9 @@ class CryptoOracleBot {
           cpm.start_price,
           cpm.end_time,
           cc.symbol,
-          cc.name,
-          cps.price_usd as current_price
+          cc.name
         FROM oracle.crypto_prediction_markets cpm
         JOIN oracle.crypto_coins cc ON cpm.coinpaprika_id = cc.coinpaprika_id
-        LEFT JOIN LATERAL (
-          SELECT price_usd FROM oracle.crypto_price_snapshots 
-          WHERE coinpaprika_id = cpm.coinpaprika_id 
-          ORDER BY created_at DESC 
-          LIMIT 1
-        ) cps ON true
         WHERE cpm.resolved = false 
           AND cpm.end_time <= NOW()
         ORDER BY cpm.end_time ASC
@@ -474,21 +588,31 @@ class CryptoOracleBot {
     const startTime = Date.now();
     console.log(`🎯 Resolving market: ${market.market_id} (${market.symbol} ${market.direction} $${market.target_price})`);
 
-    if (!market.current_price) {
-      throw new Error('No current price data available');
+    const deadline = new Date(market.end_time);
+    const pricing = await this.getSettlementPrice({
+      marketId: market.market_id,
+      asset: { symbol: market.symbol, coinId: market.coinpaprika_id },
+      deadline
+    });
+    if (!pricing) {
+      return;
     }
 
+    // Logged as current_price in crypto_resolution_logs
+    market.current_price = pricing.price;
+    const targetPrice = parseFloat(market.target_price);
+
     // Determine outcome
     let result;
     if (market.direction === 'above') {
-      result = market.current_price >= market.target_price ? 'YES' : 'NO';
+      result = pricing.price >= targetPrice ? 'YES' : 'NO';
     } else if (market.direction === 'below') {
-      result = market.current_price <= market.target_price ? 'YES' : 'NO';
+      result = pricing.price <= targetPrice ? 'YES' : 'NO';
     } else {
       throw new Error(`Invalid direction: ${market.direction}`);
     }
 
-    console.log(`💡 Market outcome: ${result} (current: $${market.current_price}, target: $${market.target_price})`);
+    console.log(`💡 Market outcome: ${result} (${pricing.mode} price at deadline: $${pricing.price} from ${pricing.source}, target: $${market.target_price})`);
 
     try {
       // Update database first
@@ -505,6 +629,7 @@ class CryptoOracleBot {
       // Submit to guided oracle contract
       const marketIdBytes32 = ethers.id(market.market_id);
       const resultData = ethers.toUtf8Bytes(result);
+      let submissionTxHash = null;
 
       console.log(`📡 Submitting to guided oracle: ${marketIdBytes32} -> ${result}`);
 
@@ -514,26 +639,36 @@ class CryptoOracleBot {
       if (isSet) {
         console.log(`⚠️ Outcome already set for market ${market.market_id}`);
       } else {
-        // Estimate gas and submit
-        const gasEstimate = await this.guidedOracleContract.submitOutcome.estimateGas(
-          marketIdBytes32,
-          resultData
-        );
-
-        const tx = await this.guidedOracleContract.submitOutcome(
-          marketIdBytes32,
-          resultData,
+        // Queued through the shared transaction manager; the key keeps a
+        // retried resolution from submitting the outcome twice
+        const receipt = await txManager.sendContractCall(
+          this.guidedOracleContract,
+          'submitOutcome',
+          [marketIdBytes32, resultData],
           {
-            gasLimit: gasEstimate * 110n / 100n, // Add 10% buffer
-            gasPrice: ethers.parseUnits('20', 'gwei')
+            key: `submitOutcome:${marketIdBytes32}`,
+            lane: 'oracle',
+            gasPrice: ethers.parseUnits('20', 'gwei'),
+            requestedBy: 'crypto-oracle-bot'
           }
         );
 
-        console.log(`📤 Transaction submitted: ${tx.hash}`);
-        const receipt = await tx.wait();
-        console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+        submissionTxHash = receipt.hash;
+        console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}: ${receipt.hash}`);
       }
 
+      await this.saveResolutionProof({
+        marketId: market.market_id,
+        coinId: market.coinpaprika_id,
+        symbol: market.symbol,
+        targetPrice,
+        direction: market.direction,
+        deadline,
+        pricing,
+        outcome: result,
+        submissionTxHash
+      });
+
       const endTime = Date.now();
 
       // Log successful resolution
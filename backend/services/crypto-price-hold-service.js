@@ -0,0 +1,124 @@
+const db = require('../db/db');
+const MonitoringAlertingSystem = require('./monitoring-alerting-system');
+
+/**
+ * Crypto Price Hold Service
+ *
+ * When price sources disagree at a market deadline (or too few of them answer),
+ * the crypto oracle bot opens a hold instead of settling. The hold raises an
+ * alert through the monitoring system and stays pending until an admin either
+ * confirms a price (settlement then proceeds with it) or discards the hold
+ * (the market is priced again on the next run).
+ */
+class CryptoPriceHoldService {
+  constructor() {
+    this.serviceName = 'CryptoPriceHoldService';
+    this.monitoring = new MonitoringAlertingSystem();
+  }
+
+  async getHold(marketId) {
+    const result = await db.query('SELECT * FROM oracle.crypto_price_holds WHERE market_id = $1', [marketId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Hold settlement of a market and alert; no-op if it is already held
+   */
+  async createHold({ marketId, poolId = null, symbol, coinId = null, deadline, pricing }) {
+    const result = await db.query(`
+      INSERT INTO oracle.crypto_price_holds (
+        market_id, pool_id, symbol, coinpaprika_id, deadline, resolution_mode,
+        reason, median_price, deviation_percent, source_prices
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (market_id) DO NOTHING
+      RETURNING market_id
+    `, [
+      marketId,
+      poolId,
+      symbol,
+      coinId,
+      deadline,
+      pricing.mode,
+      pricing.status,
+      pricing.price,
+      pricing.deviationPercent,
+      JSON.stringify(pricing.sources)
+    ]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const summary = pricing.sources
+      .map(source => source.price !== undefined ? `${source.provider}=$${source.price}` : `${source.provider}=error`)
+      .join(', ');
+    const message = pricing.status === 'disagreement'
+      ? `${symbol} price sources disagree by ${pricing.deviationPercent.toFixed(2)}% at ${deadline.toISOString()} (${summary})`
+      : `Not enough ${symbol} price sources at ${deadline.toISOString()} (${summary})`;
+
+    await this.monitoring.triggerAlert('crypto_price_hold', pricing.status === 'disagreement' ? 'critical' : 'warning',
+      `${message} - settlement of ${poolId !== null ? `pool ${poolId}` : `market ${marketId}`} is held until an admin confirms`,
+      { marketId, poolId, symbol, reason: pricing.status, sources: pricing.sources });
+  }
+
+  async listHolds(status = 'pending') {
+    const result = await db.query(`
+      SELECT * FROM oracle.crypto_price_holds
+      WHERE $1::text IS NULL OR status = $1
+      ORDER BY created_at DESC
+    `, [status]);
+    return result.rows;
+  }
+
+  /**
+   * Confirm the price to settle with (defaults to the median recorded on the hold)
+   */
+  async confirmHold(marketId, { price = null, confirmedBy, note = null }) {
+    const result = await db.query(`
+      UPDATE oracle.crypto_price_holds
+      SET status = 'confirmed',
+          confirmed_price = COALESCE($2, median_price),
+          confirmed_by = $3,
+          confirmation_note = $4,
+          confirmed_at = NOW()
+      WHERE market_id = $1 AND status = 'pending'
+        AND COALESCE($2, median_price) IS NOT NULL
+      RETURNING *
+    `, [marketId, price, confirmedBy, note]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Drop a pending hold so the market is priced again on the next run
+   */
+  async discardHold(marketId) {
+    const result = await db.query(`
+      DELETE FROM oracle.crypto_price_holds
+      WHERE market_id = $1 AND status = 'pending'
+      RETURNING market_id
+    `, [marketId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Pricing result for a confirmed hold, in the shape returned by CryptoDeadlinePricing
+   */
+  pricingFromHold(hold) {
+    return {
+      status: 'agreed',
+      price: parseFloat(hold.confirmed_price),
+      source: 'admin_confirmed',
+      sources: hold.source_prices,
+      deviationPercent: hold.deviation_percent !== null ? parseFloat(hold.deviation_percent) : null,
+      mode: hold.resolution_mode,
+      priceTimestamp: hold.deadline,
+      windowStart: null,
+      sampleCount: 0,
+      toleranceSeconds: 0,
+      confirmedBy: hold.confirmed_by
+    };
+  }
+}
+
+module.exports = new CryptoPriceHoldService();
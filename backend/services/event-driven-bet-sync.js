@@ -4,6 +4,7 @@ const { safeStringify } = require('../utils/bigint-serializer');
 const somniaDataStreams = require('./somnia-data-streams-service');
 const notificationService = require('./notification-service');
 const wsService = require('./websocket-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
 
 /**
  * Event-Driven Bet Sync Service
@@ -32,8 +33,11 @@ class EventDrivenBetSync {
       maxRetries: 3,
       retryDelayMs: 5000,
       batchSize: 50,
-      fallbackSyncInterval: 30 * 60 * 1000 // 30 minutes
+      fallbackSyncInterval: 30 * 60 * 1000, // 30 minutes
+      initialLookbackBlocks: 1000 // First run without a checkpoint
     };
+
+    this.checkpoint = null;
   }
 
   /**
@@ -51,6 +55,12 @@ class EventDrivenBetSync {
       if (!this.contract) {
         throw new Error('PoolCore contract not available');
       }
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'event-driven-bet-sync',
+        contractAddress: await this.contract.getAddress(),
+        provider: this.web3Service.provider
+      });
       
       console.log(`✅ ${this.serviceName}: Initialized successfully`);
     } catch (error) {
@@ -79,6 +89,9 @@ class EventDrivenBetSync {
       
       // Check for pools with LP stakes but no LP records
       await this.checkMissingLPProviders();
+
+      // Replay events emitted while the service was down
+      await this.syncMissedBetEvents();
       
       // Setup event listeners
       await this.setupEventListeners();
@@ -133,7 +146,7 @@ class EventDrivenBetSync {
       
       if (missingCount > 0) {
         console.log(`⚠️ ${missingCount} pools have LP stakes but missing LP provider records`);
-        console.log(`   Use sync-missed-liquidity-event.js script to manually sync missed events`);
+        console.log(`   Rewind the checkpoint (scripts/rewind-indexer-checkpoint.js) to replay missed LiquidityAdded events`);
       } else {
         console.log(`✅ All pools with LP stakes have LP provider records`);
       }
@@ -654,14 +667,28 @@ class EventDrivenBetSync {
       
       console.log(`   ✅ Amount validated: ${amountBigInt.toString()} wei (${(Number(amountBigInt) / 1e18).toFixed(2)} BITR)`);
       
+      // LP stakes are incremented, so the live listener and checkpoint replay must not both apply the event
+      const applied = { poolId: poolId.toString(), provider: provider.toLowerCase(), amount: amountBigInt.toString() };
+      if (this.checkpoint && !(await this.checkpoint.claimEvent(event, 'LiquidityAdded', applied))) {
+        console.log(`⏭️ ${this.serviceName}: LiquidityAdded already applied for tx ${event?.log?.transactionHash || event?.transactionHash}`);
+        return;
+      }
+      
       // Save LP provider to database (pass BigInt for proper conversion)
-      await this.saveLPProviderToDatabase({
-        poolId: poolId.toString(),
-        providerAddress: provider,
-        amount: amountBigInt, // Pass as BigInt for proper conversion
-        transactionHash: event?.log?.transactionHash || event?.transactionHash || null,
-        blockNumber: event?.log?.blockNumber ? event.log.blockNumber.toString() : (event?.blockNumber ? event.blockNumber.toString() : '0')
-      });
+      try {
+        await this.saveLPProviderToDatabase({
+          poolId: poolId.toString(),
+          providerAddress: provider,
+          amount: amountBigInt, // Pass as BigInt for proper conversion
+          transactionHash: event?.log?.transactionHash || event?.transactionHash || null,
+          blockNumber: event?.log?.blockNumber ? event.log.blockNumber.toString() : (event?.blockNumber ? event.blockNumber.toString() : '0')
+        });
+      } catch (saveError) {
+        if (this.checkpoint) {
+          await this.checkpoint.releaseEvent(event);
+        }
+        throw saveError;
+      }
       
       // ✅ FIX: LP events should NOT be stored in oracle.bets table
       // LP events are stored in oracle.pool_liquidity_providers table only
@@ -1113,76 +1140,81 @@ class EventDrivenBetSync {
   }
 
   /**
-   * ✅ NEW: Sync missed BetPlaced events by querying blockchain
-   * This catches events that the listener might have missed
+   * Replay BetPlaced / LiquidityAdded events from the last checkpoint
+   * Catches events emitted while the service was down or missed by the listener
    */
   async syncMissedBetEvents() {
     try {
-      console.log(`🔍 ${this.serviceName}: Checking for missed BetPlaced events...`);
-      
-      if (!this.contract || !this.web3Service.provider) {
-        console.warn(`⚠️ ${this.serviceName}: Cannot sync missed events - contract or provider not available`);
+      if (!this.contract || !this.checkpoint) {
+        console.warn(`⚠️ ${this.serviceName}: Cannot sync missed events - contract or checkpoint not available`);
         return;
       }
-      
-      // Get current block number
-      const currentBlock = await this.web3Service.provider.getBlockNumber();
-      const lookbackBlocks = 1000; // Check last 1000 blocks (about 3-4 hours)
-      const fromBlock = Math.max(0, currentBlock - lookbackBlocks);
-      
-      console.log(`   Checking blocks ${fromBlock} to ${currentBlock} for BetPlaced events...`);
-      
-      // Query BetPlaced events from blockchain
-      const filter = this.contract.filters.BetPlaced();
-      const events = await this.contract.queryFilter(filter, fromBlock, currentBlock);
-      
-      console.log(`   Found ${events.length} BetPlaced events in blockchain`);
-      
-      let missedCount = 0;
-      for (const event of events) {
-        const txHash = event.transactionHash;
-        
-        // Check if this bet is already in database
-        const existingBet = await db.query(
-          'SELECT id FROM oracle.bets WHERE transaction_hash = $1',
-          [txHash]
-        );
-        
-        if (existingBet.rows.length === 0) {
-          // This bet is missing from database!
-          console.log(`⚠️ ${this.serviceName}: Found MISSED bet event!`);
-          console.log(`   Transaction: ${txHash}`);
-          console.log(`   Pool ID: ${event.args.poolId}`);
-          console.log(`   Bettor: ${event.args.bettor}`);
-          console.log(`   Amount: ${event.args.amount}`);
-          console.log(`   Block: ${event.blockNumber}`);
-          
-          // Process the missed event
-          try {
-            await this.handleBetPlaced(
-              event.args.poolId,
-              event.args.bettor,
-              event.args.amount,
-              event.args.isForOutcome,
-              event
-            );
-            missedCount++;
-            console.log(`✅ ${this.serviceName}: Successfully synced missed bet from transaction ${txHash}`);
-          } catch (syncError) {
-            console.error(`❌ ${this.serviceName}: Failed to sync missed bet ${txHash}:`, syncError);
+
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.contract, {
+        BetPlaced: async (event) => {
+          const existingBet = await db.query(
+            'SELECT id FROM oracle.bets WHERE transaction_hash = $1',
+            [event.transactionHash]
+          );
+          if (existingBet.rows.length > 0) {
+            return;
           }
+
+          console.log(`⚠️ ${this.serviceName}: Found missed bet event in tx ${event.transactionHash} (block ${event.blockNumber})`);
+          await this.handleBetPlaced(event.args.poolId, event.args.bettor, event.args.amount, event.args.isForOutcome, event);
+        },
+        LiquidityAdded: async (event) => {
+          await this.handleLiquidityAdded(event.args.poolId, event.args.provider, event.args.amount, event);
         }
-      }
-      
-      if (missedCount > 0) {
-        console.log(`✅ ${this.serviceName}: Synced ${missedCount} missed bet event(s)`);
-      } else {
-        console.log(`✅ ${this.serviceName}: No missed bet events found`);
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.rollbackToBlock(forkBlock)
+      });
+
+      if (result.fromBlock !== undefined) {
+        console.log(`✅ ${this.serviceName}: Replayed blocks ${result.fromBlock}-${result.toBlock} (${result.replayed} events)`);
       }
       
     } catch (error) {
       console.error(`❌ ${this.serviceName}: Error syncing missed bet events:`, error);
-      // Don't throw - this is a background check
+      // Don't throw - this is a background check; the next run resumes from the checkpoint
+    }
+  }
+
+  /**
+   * Remove bets and LP stakes recorded from blocks that were reorganized away
+   * Both are re-applied by the replay if they are still on chain
+   */
+  async rollbackToBlock(forkBlock) {
+    const result = await db.query(
+      'DELETE FROM oracle.bets WHERE block_number > $1',
+      [forkBlock]
+    );
+    console.warn(`🔀 ${this.serviceName}: Removed ${result.rowCount} bets after block ${forkBlock}; they are re-added if still on chain`);
+
+    // LP stakes are aggregated per provider, so subtract each LiquidityAdded applied after the fork
+    const lpEvents = await this.checkpoint.getProcessedEvents('LiquidityAdded', forkBlock);
+    let unwound = 0;
+    for (const { payload, tx_hash: txHash } of lpEvents) {
+      if (!payload) {
+        console.warn(`⚠️ ${this.serviceName}: LiquidityAdded in tx ${txHash} has no recorded amount; reconcile pool LP stakes against the contract`);
+        continue;
+      }
+      await db.query(`
+        UPDATE oracle.pool_liquidity_providers
+        SET stake = stake - $3
+        WHERE pool_id = $1 AND lp_address = $2
+      `, [payload.poolId, payload.provider, payload.amount]);
+      await db.query(`
+        DELETE FROM oracle.pool_liquidity_providers
+        WHERE pool_id = $1 AND lp_address = $2 AND stake <= 0
+      `, [payload.poolId, payload.provider]);
+      await this.updatePoolLPStake(payload.poolId, -BigInt(payload.amount));
+      unwound++;
+    }
+    if (lpEvents.length > 0) {
+      console.warn(`🔀 ${this.serviceName}: Unwound ${unwound} LP stakes after block ${forkBlock}; they are re-added if still on chain`);
     }
   }
 
@@ -1251,7 +1283,7 @@ class EventDrivenBetSync {
         console.log(`⚠️ ${this.serviceName}: Pool ${poolId} may have missed LP events (missing: ${missingBITR} BITR)`);
         console.log(`   Contract LP stake: ${(expectedLPStake / BigInt(10**18)).toString()} BITR`);
         console.log(`   Database LP stake: ${(dbLPStake / BigInt(10**18)).toString()} BITR`);
-        console.log(`   Note: Use sync-missed-liquidity-event.js to manually sync if needed`);
+        console.log(`   Note: Rewind the checkpoint (scripts/rewind-indexer-checkpoint.js) to replay if needed`);
       }
       
     } catch (error) {
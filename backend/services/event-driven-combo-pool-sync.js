@@ -0,0 +1,723 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const Web3Service = require('./web3-service');
+
+/**
+ * Event-Driven Combo Pool Sync Service
+ *
+ * Mirrors BitredictComboPools.sol into Postgres the same way
+ * event-driven-pool-sync.js does for BitredictPoolCore.
+ *
+ * Tables maintained:
+ * - oracle.combo_pools            (ComboPoolCreated, ComboPoolSettled, ComboPoolRefunded)
+ * - oracle.combo_pool_conditions  (ComboPoolCreated, ComboConditionResolved)
+ * - oracle.combo_pool_bets        (ComboBetPlaced)
+ * - oracle.combo_pool_lps         (creator stake, ComboLiquidityAdded)
+ * - oracle.combo_pool_claims      (ComboRewardClaimed)
+ *
+ * Features:
+ * - Historical sync of combo pools missing from the database on startup
+ * - Real-time event listeners for the full combo pool lifecycle
+ * - Fallback sync that refreshes open pools and replays recent events
+ */
+class EventDrivenComboPoolSync {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.contract = null;
+    this.eventListeners = [];
+    this.serviceName = 'EventDrivenComboPoolSync';
+
+    // Configuration
+    this.config = {
+      maxRetries: 3,
+      retryDelayMs: 5000,
+      fallbackSyncInterval: 300000, // 5 minutes fallback
+      eventReplayBlocks: 1000, // Blocks replayed by the fallback sync
+      queryChunkSize: 500 // Max block range per queryFilter call
+    };
+
+    // Fallback sync timer
+    this.fallbackTimer = null;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      this.contract = await this.web3Service.getComboPoolsContractForEvents();
+      if (!this.contract) {
+        throw new Error('ComboPools contract not available');
+      }
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the event-driven sync service
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    try {
+      await this.initialize();
+
+      this.isRunning = true;
+      console.log(`🚀 ${this.serviceName}: Starting event-driven combo pool sync...`);
+
+      // Sync combo pools created while the service was down
+      await this.syncHistoricalComboPools();
+
+      // Setup event listeners for the combo pool lifecycle
+      await this.setupEventListeners();
+
+      // Start fallback sync timer
+      this.startFallbackSync();
+
+      console.log(`✅ ${this.serviceName}: Event-driven sync active`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to start:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the service
+   */
+  async stop() {
+    if (!this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Not running`);
+      return;
+    }
+
+    try {
+      console.log(`🛑 ${this.serviceName}: Stopping event-driven sync...`);
+
+      this.removeEventListeners();
+
+      if (this.fallbackTimer) {
+        clearInterval(this.fallbackTimer);
+        this.fallbackTimer = null;
+      }
+
+      this.isRunning = false;
+      console.log(`✅ ${this.serviceName}: Stopped successfully`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Error stopping service:`, error);
+    }
+  }
+
+  /**
+   * Sync combo pools that exist on-chain but not in the database
+   */
+  async syncHistoricalComboPools() {
+    try {
+      console.log(`📚 ${this.serviceName}: Syncing historical combo pools...`);
+
+      const comboPoolCount = Number(await this.contract.comboPoolCount());
+
+      if (comboPoolCount === 0) {
+        console.log(`📭 ${this.serviceName}: No combo pools to sync`);
+        return;
+      }
+
+      const lastSyncResult = await db.query(`
+        SELECT COALESCE(MAX(combo_pool_id), -1) as last_combo_pool_id
+        FROM oracle.combo_pools
+      `);
+
+      const startId = Number(lastSyncResult.rows[0]?.last_combo_pool_id ?? -1) + 1;
+
+      if (startId >= comboPoolCount) {
+        console.log(`✅ ${this.serviceName}: All combo pools already synced (${comboPoolCount} total)`);
+        return;
+      }
+
+      console.log(`📍 ${this.serviceName}: Syncing combo pools ${startId} to ${comboPoolCount - 1}`);
+
+      let syncedCount = 0;
+      let failedCount = 0;
+
+      for (let comboPoolId = startId; comboPoolId < comboPoolCount; comboPoolId++) {
+        try {
+          await this.syncComboPool(comboPoolId);
+          syncedCount++;
+        } catch (error) {
+          failedCount++;
+          console.error(`❌ ${this.serviceName}: Failed to sync combo pool ${comboPoolId}:`, error.message);
+        }
+      }
+
+      console.log(`✅ ${this.serviceName}: Historical sync complete - Synced: ${syncedCount}, Failed: ${failedCount}`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Historical sync failed:`, error);
+      // Don't throw - continue with event listeners
+    }
+  }
+
+  /**
+   * Setup contract event listeners
+   */
+  async setupEventListeners() {
+    try {
+      console.log(`👂 ${this.serviceName}: Setting up event listeners...`);
+
+      const handlers = {
+        ComboPoolCreated: (comboPoolId, creator, conditionCount, totalOdds, category, event) => {
+          console.log(`🎯 ${this.serviceName}: ComboPoolCreated - Combo Pool ID: ${comboPoolId}`);
+          return this.handleComboPoolCreated(comboPoolId, creator, event);
+        },
+        ComboBetPlaced: (comboPoolId, bettor, amount, event) => {
+          console.log(`💰 ${this.serviceName}: ComboBetPlaced - Combo Pool ID: ${comboPoolId}, Bettor: ${bettor}`);
+          return this.handleComboBetPlaced(comboPoolId, bettor, amount, event);
+        },
+        ComboLiquidityAdded: (comboPoolId, provider, amount, event) => {
+          console.log(`💧 ${this.serviceName}: ComboLiquidityAdded - Combo Pool ID: ${comboPoolId}, Provider: ${provider}`);
+          return this.handleComboLiquidityAdded(comboPoolId, provider, amount, event);
+        },
+        ComboConditionResolved: (comboPoolId, conditionIndex, actualOutcome, successful, event) => {
+          console.log(`🧩 ${this.serviceName}: ComboConditionResolved - Combo Pool ID: ${comboPoolId}, Condition: ${conditionIndex}`);
+          return this.handleComboConditionResolved(comboPoolId, conditionIndex, actualOutcome, successful, event);
+        },
+        ComboPoolSettled: (comboPoolId, creatorSideWon, successfulConditions, timestamp, event) => {
+          console.log(`🏁 ${this.serviceName}: ComboPoolSettled - Combo Pool ID: ${comboPoolId}, Creator Won: ${creatorSideWon}`);
+          return this.handleComboPoolSettled(comboPoolId, creatorSideWon, successfulConditions, timestamp, event);
+        },
+        ComboPoolRefunded: (comboPoolId, reason, event) => {
+          console.log(`💸 ${this.serviceName}: ComboPoolRefunded - Combo Pool ID: ${comboPoolId}, Reason: ${reason}`);
+          return this.handleComboPoolRefunded(comboPoolId, reason, event);
+        },
+        ComboRewardClaimed: (comboPoolId, user, amount, event) => {
+          console.log(`🏆 ${this.serviceName}: ComboRewardClaimed - Combo Pool ID: ${comboPoolId}, User: ${user}`);
+          return this.handleComboRewardClaimed(comboPoolId, user, amount, event);
+        }
+      };
+
+      for (const [eventName, handler] of Object.entries(handlers)) {
+        try {
+          const listener = this.contract.on(eventName, async (...args) => {
+            try {
+              await handler(...args);
+            } catch (error) {
+              console.error(`❌ ${this.serviceName}: Failed to handle ${eventName}:`, error);
+            }
+          });
+          this.eventListeners.push(listener);
+        } catch (error) {
+          console.log(`⚠️ ${this.serviceName}: ${eventName} event not available - ${error.message}`);
+        }
+      }
+
+      console.log(`✅ ${this.serviceName}: Event listeners setup complete`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to setup event listeners:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all event listeners
+   */
+  removeEventListeners() {
+    try {
+      console.log(`🔇 ${this.serviceName}: Removing event listeners...`);
+
+      if (this.contract && typeof this.contract.removeAllListeners === 'function') {
+        this.contract.removeAllListeners();
+      }
+
+      this.eventListeners = [];
+      console.log(`✅ ${this.serviceName}: Event listeners removed`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Error removing event listeners:`, error);
+    }
+  }
+
+  /**
+   * Handle ComboPoolCreated event
+   */
+  async handleComboPoolCreated(comboPoolId, creator, event) {
+    try {
+      await this.syncComboPool(comboPoolId, event);
+      console.log(`✅ ${this.serviceName}: Combo pool ${comboPoolId} synced successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to handle ComboPoolCreated event:`, error);
+      await this.retryComboPoolSync(comboPoolId, event);
+    }
+  }
+
+  /**
+   * Handle ComboBetPlaced event
+   */
+  async handleComboBetPlaced(comboPoolId, bettor, amount, event) {
+    await this.ensureComboPoolExists(comboPoolId);
+
+    const { txHash, logIndex, blockNumber } = this.getEventLocation(event);
+    await db.query(`
+      INSERT INTO oracle.combo_pool_bets (
+        combo_pool_id, bettor_address, amount, tx_hash, log_index, block_number, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [Number(comboPoolId), bettor.toLowerCase(), amount.toString(), txHash, logIndex, blockNumber]);
+
+    await this.refreshComboPoolTotals(comboPoolId);
+  }
+
+  /**
+   * Handle ComboLiquidityAdded event
+   */
+  async handleComboLiquidityAdded(comboPoolId, provider, amount, event) {
+    await this.ensureComboPoolExists(comboPoolId);
+
+    const { txHash, logIndex, blockNumber } = this.getEventLocation(event);
+    await db.query(`
+      INSERT INTO oracle.combo_pool_lps (
+        combo_pool_id, lp_address, stake, is_creator, tx_hash, log_index, block_number, created_at
+      ) VALUES ($1, $2, $3, false, $4, $5, $6, NOW())
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [Number(comboPoolId), provider.toLowerCase(), amount.toString(), txHash, logIndex, blockNumber]);
+
+    await this.refreshComboPoolTotals(comboPoolId);
+  }
+
+  /**
+   * Handle ComboConditionResolved event
+   */
+  async handleComboConditionResolved(comboPoolId, conditionIndex, actualOutcome, successful, event) {
+    await this.ensureComboPoolExists(comboPoolId);
+
+    const { txHash } = this.getEventLocation(event);
+    await db.query(`
+      UPDATE oracle.combo_pool_conditions SET
+        resolved = true,
+        actual_outcome = $3,
+        actual_outcome_raw = $4,
+        is_successful = $5,
+        resolved_at = COALESCE(resolved_at, NOW()),
+        resolution_tx_hash = COALESCE($6, resolution_tx_hash)
+      WHERE combo_pool_id = $1 AND condition_index = $2
+    `, [
+      Number(comboPoolId),
+      Number(conditionIndex),
+      this.decodeBytes32(actualOutcome),
+      actualOutcome,
+      Boolean(successful),
+      txHash
+    ]);
+
+    await db.query(
+      'UPDATE oracle.combo_pools SET updated_at = NOW() WHERE combo_pool_id = $1',
+      [Number(comboPoolId)]
+    );
+  }
+
+  /**
+   * Handle ComboPoolSettled event
+   * Uses the event payload as source of truth (same approach as PoolSettled)
+   */
+  async handleComboPoolSettled(comboPoolId, creatorSideWon, successfulConditions, timestamp, event) {
+    await this.ensureComboPoolExists(comboPoolId);
+
+    await db.query(`
+      UPDATE oracle.combo_pools SET
+        settled = true,
+        creator_side_won = $2,
+        successful_conditions = $3,
+        result_timestamp = $4,
+        settled_at = COALESCE(settled_at, NOW()),
+        updated_at = NOW()
+      WHERE combo_pool_id = $1
+    `, [
+      Number(comboPoolId),
+      Boolean(creatorSideWon),
+      Number(successfulConditions),
+      Number(timestamp)
+    ]);
+
+    // Broadcast for the live activity feed (non-critical)
+    try {
+      const wsService = require('./websocket-service');
+      wsService.broadcastComboPoolSettled({
+        comboPoolId: comboPoolId.toString(),
+        creatorSideWon: Boolean(creatorSideWon),
+        successfulConditions: Number(successfulConditions),
+        timestamp: Date.now()
+      });
+    } catch (wsError) {
+      console.warn(`⚠️ ${this.serviceName}: WebSocket broadcast failed (non-critical):`, wsError.message);
+    }
+  }
+
+  /**
+   * Handle ComboPoolRefunded event
+   */
+  async handleComboPoolRefunded(comboPoolId, reason, event) {
+    await this.ensureComboPoolExists(comboPoolId);
+
+    await db.query(`
+      UPDATE oracle.combo_pools SET
+        settled = true,
+        is_refunded = true,
+        refund_reason = $2,
+        refunded_at = COALESCE(refunded_at, NOW()),
+        settled_at = COALESCE(settled_at, NOW()),
+        updated_at = NOW()
+      WHERE combo_pool_id = $1
+    `, [Number(comboPoolId), reason || 'Refunded']);
+  }
+
+  /**
+   * Handle ComboRewardClaimed event
+   */
+  async handleComboRewardClaimed(comboPoolId, user, amount, event) {
+    const { txHash, blockNumber } = this.getEventLocation(event);
+    await db.query(`
+      INSERT INTO oracle.combo_pool_claims (
+        combo_pool_id, user_address, amount, tx_hash, block_number, claimed_at
+      ) VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (combo_pool_id, user_address) DO NOTHING
+    `, [Number(comboPoolId), user.toLowerCase(), amount.toString(), txHash, blockNumber]);
+  }
+
+  /**
+   * Read a combo pool from the contract and upsert it with its conditions
+   */
+  async syncComboPool(comboPoolId, event = null) {
+    const poolData = await this.contract.getComboPool(comboPoolId);
+    const { txHash, blockNumber } = this.getEventLocation(event);
+    const parsedPool = this.parseComboPool(comboPoolId, poolData);
+
+    await db.transaction(async (client) => {
+      await client.query(`
+        INSERT INTO oracle.combo_pools (
+          combo_pool_id, creator_address, creator_stake, total_creator_side_stake,
+          max_bettor_stake, total_bettor_stake, total_odds, settled, creator_side_won,
+          uses_bitr, event_start_time, event_end_time, betting_end_time, result_timestamp,
+          category, category_hash, max_bet_per_user, condition_count, tx_hash, block_number,
+          created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+          NOW(), NOW()
+        )
+        ON CONFLICT (combo_pool_id) DO UPDATE SET
+          total_creator_side_stake = EXCLUDED.total_creator_side_stake,
+          max_bettor_stake = EXCLUDED.max_bettor_stake,
+          total_bettor_stake = EXCLUDED.total_bettor_stake,
+          settled = EXCLUDED.settled OR oracle.combo_pools.settled,
+          creator_side_won = CASE WHEN EXCLUDED.settled THEN EXCLUDED.creator_side_won ELSE oracle.combo_pools.creator_side_won END,
+          result_timestamp = NULLIF(EXCLUDED.result_timestamp, 0),
+          condition_count = EXCLUDED.condition_count,
+          tx_hash = COALESCE(oracle.combo_pools.tx_hash, EXCLUDED.tx_hash),
+          block_number = COALESCE(oracle.combo_pools.block_number, EXCLUDED.block_number),
+          updated_at = NOW()
+      `, [
+        parsedPool.comboPoolId, parsedPool.creatorAddress, parsedPool.creatorStake,
+        parsedPool.totalCreatorSideStake, parsedPool.maxBettorStake, parsedPool.totalBettorStake,
+        parsedPool.totalOdds, parsedPool.settled, parsedPool.settled ? parsedPool.creatorSideWon : null,
+        parsedPool.usesBitr, parsedPool.eventStartTime, parsedPool.eventEndTime,
+        parsedPool.bettingEndTime, parsedPool.resultTimestamp, parsedPool.category,
+        parsedPool.categoryHash, parsedPool.maxBetPerUser, parsedPool.conditions.length,
+        txHash, blockNumber
+      ]);
+
+      for (const condition of parsedPool.conditions) {
+        await client.query(`
+          INSERT INTO oracle.combo_pool_conditions (
+            combo_pool_id, condition_index, market_id, market_id_raw, expected_outcome,
+            expected_outcome_raw, resolved, actual_outcome, actual_outcome_raw,
+            is_successful, description, odds, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+          ON CONFLICT (combo_pool_id, condition_index) DO UPDATE SET
+            resolved = EXCLUDED.resolved OR oracle.combo_pool_conditions.resolved,
+            actual_outcome = COALESCE(EXCLUDED.actual_outcome, oracle.combo_pool_conditions.actual_outcome),
+            actual_outcome_raw = COALESCE(EXCLUDED.actual_outcome_raw, oracle.combo_pool_conditions.actual_outcome_raw),
+            is_successful = COALESCE(EXCLUDED.is_successful, oracle.combo_pool_conditions.is_successful),
+            resolved_at = CASE
+              WHEN EXCLUDED.resolved AND oracle.combo_pool_conditions.resolved_at IS NULL THEN NOW()
+              ELSE oracle.combo_pool_conditions.resolved_at
+            END
+        `, [
+          parsedPool.comboPoolId, condition.index, condition.marketId, condition.marketIdRaw,
+          condition.expectedOutcome, condition.expectedOutcomeRaw, condition.resolved,
+          condition.actualOutcome, condition.actualOutcomeRaw, condition.isSuccessful,
+          condition.description, condition.odds
+        ]);
+      }
+
+      // The creator is the first LP of every combo pool (no ComboLiquidityAdded is emitted for it)
+      await client.query(`
+        INSERT INTO oracle.combo_pool_lps (
+          combo_pool_id, lp_address, stake, is_creator, tx_hash, log_index, block_number, created_at
+        ) VALUES ($1, $2, $3, true, $4, -1, $5, NOW())
+        ON CONFLICT (combo_pool_id) WHERE is_creator = TRUE DO UPDATE SET
+          tx_hash = CASE WHEN EXCLUDED.block_number IS NOT NULL THEN EXCLUDED.tx_hash ELSE oracle.combo_pool_lps.tx_hash END,
+          block_number = COALESCE(oracle.combo_pool_lps.block_number, EXCLUDED.block_number)
+      `, [
+        parsedPool.comboPoolId, parsedPool.creatorAddress, parsedPool.creatorStake,
+        txHash || `creator:${parsedPool.comboPoolId}`, blockNumber
+      ]);
+    });
+
+    return parsedPool;
+  }
+
+  /**
+   * Convert the getComboPool() tuple into a plain object
+   */
+  parseComboPool(comboPoolId, poolData) {
+    const flags = Number(poolData.flags);
+    const conditions = (poolData.conditions || []).map((condition, index) => {
+      const resolved = Boolean(condition.resolved);
+      const actualOutcomeRaw = resolved ? condition.actualOutcome : null;
+      return {
+        index,
+        marketId: this.decodeBytes32(condition.marketId),
+        marketIdRaw: condition.marketId,
+        expectedOutcome: this.decodeBytes32(condition.expectedOutcome),
+        expectedOutcomeRaw: condition.expectedOutcome,
+        resolved,
+        actualOutcome: resolved ? this.decodeBytes32(condition.actualOutcome) : null,
+        actualOutcomeRaw,
+        isSuccessful: resolved ? condition.actualOutcome === condition.expectedOutcome : null,
+        description: condition.description || null,
+        odds: condition.odds !== undefined ? Number(condition.odds) : null
+      };
+    });
+
+    return {
+      comboPoolId: Number(comboPoolId),
+      creatorAddress: poolData.creator.toLowerCase(),
+      creatorStake: poolData.creatorStake.toString(),
+      totalCreatorSideStake: poolData.totalCreatorSideStake.toString(),
+      maxBettorStake: poolData.maxBettorStake.toString(),
+      totalBettorStake: poolData.totalBettorStake.toString(),
+      totalOdds: Number(poolData.totalOdds),
+      settled: Boolean(flags & 1),       // bit 0: settled
+      creatorSideWon: Boolean(flags & 2), // bit 1: creatorSideWon
+      usesBitr: Boolean(flags & 4),       // bit 2: usesBitr
+      eventStartTime: Number(poolData.eventStartTime),
+      eventEndTime: Number(poolData.eventEndTime),
+      bettingEndTime: Number(poolData.bettingEndTime),
+      resultTimestamp: Number(poolData.resultTimestamp || 0),
+      category: this.decodeBytes32(poolData.category),
+      categoryHash: poolData.category,
+      maxBetPerUser: poolData.maxBetPerUser.toString(),
+      conditions
+    };
+  }
+
+  /**
+   * Refresh stake totals after a bet or liquidity event
+   */
+  async refreshComboPoolTotals(comboPoolId) {
+    try {
+      const poolData = await this.contract.getComboPool(comboPoolId);
+      await db.query(`
+        UPDATE oracle.combo_pools SET
+          total_creator_side_stake = $2,
+          max_bettor_stake = $3,
+          total_bettor_stake = $4,
+          updated_at = NOW()
+        WHERE combo_pool_id = $1
+      `, [
+        Number(comboPoolId),
+        poolData.totalCreatorSideStake.toString(),
+        poolData.maxBettorStake.toString(),
+        poolData.totalBettorStake.toString()
+      ]);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to refresh totals for combo pool ${comboPoolId}:`, error.message);
+    }
+  }
+
+  /**
+   * Make sure the parent row exists before writing child rows
+   */
+  async ensureComboPoolExists(comboPoolId) {
+    const existing = await db.query(
+      'SELECT 1 FROM oracle.combo_pools WHERE combo_pool_id = $1',
+      [Number(comboPoolId)]
+    );
+    if (existing.rows.length === 0) {
+      await this.syncComboPool(comboPoolId);
+    }
+  }
+
+  /**
+   * Retry combo pool sync with exponential backoff
+   */
+  async retryComboPoolSync(comboPoolId, event = null, attempt = 1) {
+    if (attempt > this.config.maxRetries) {
+      console.error(`❌ ${this.serviceName}: Max retries exceeded for combo pool ${comboPoolId}`);
+      return;
+    }
+
+    try {
+      const delay = this.config.retryDelayMs * Math.pow(2, attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      await this.syncComboPool(comboPoolId, event);
+      console.log(`✅ ${this.serviceName}: Combo pool ${comboPoolId} synced on retry ${attempt}`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Retry ${attempt} failed for combo pool ${comboPoolId}:`, error.message);
+      await this.retryComboPoolSync(comboPoolId, event, attempt + 1);
+    }
+  }
+
+  /**
+   * Start fallback sync timer
+   */
+  startFallbackSync() {
+    this.fallbackTimer = setInterval(async () => {
+      try {
+        await this.fallbackSync();
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Fallback sync failed:`, error);
+      }
+    }, this.config.fallbackSyncInterval);
+
+    console.log(`⏰ ${this.serviceName}: Fallback sync every ${this.config.fallbackSyncInterval / 1000}s`);
+  }
+
+  /**
+   * Fallback sync: pick up missing pools, refresh open ones and replay recent events
+   */
+  async fallbackSync() {
+    console.log(`🔄 ${this.serviceName}: Running fallback sync...`);
+
+    await this.syncHistoricalComboPools();
+
+    const openPools = await db.query(`
+      SELECT combo_pool_id FROM oracle.combo_pools
+      WHERE settled = false
+      ORDER BY combo_pool_id ASC
+    `);
+
+    for (const row of openPools.rows) {
+      try {
+        await this.syncComboPool(row.combo_pool_id);
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Fallback refresh failed for combo pool ${row.combo_pool_id}:`, error.message);
+      }
+    }
+
+    const currentBlock = await this.web3Service.provider.getBlockNumber();
+    await this.replayEvents(Math.max(0, currentBlock - this.config.eventReplayBlocks), currentBlock);
+  }
+
+  /**
+   * Replay bet, liquidity, resolution and claim events in a block range.
+   * All writes are idempotent, so replaying already-indexed events is safe.
+   */
+  async replayEvents(fromBlock, toBlock) {
+    const replayable = {
+      ComboBetPlaced: (args, event) => this.handleComboBetPlaced(args[0], args[1], args[2], event),
+      ComboLiquidityAdded: (args, event) => this.handleComboLiquidityAdded(args[0], args[1], args[2], event),
+      ComboConditionResolved: (args, event) => this.handleComboConditionResolved(args[0], args[1], args[2], args[3], event),
+      ComboPoolSettled: (args, event) => this.handleComboPoolSettled(args[0], args[1], args[2], args[3], event),
+      ComboPoolRefunded: (args, event) => this.handleComboPoolRefunded(args[0], args[1], event),
+      ComboRewardClaimed: (args, event) => this.handleComboRewardClaimed(args[0], args[1], args[2], event)
+    };
+
+    let replayed = 0;
+    for (let start = fromBlock; start <= toBlock; start += this.config.queryChunkSize) {
+      const end = Math.min(start + this.config.queryChunkSize - 1, toBlock);
+
+      for (const [eventName, handler] of Object.entries(replayable)) {
+        try {
+          const events = await this.contract.queryFilter(this.contract.filters[eventName](), start, end);
+          for (const event of events) {
+            await handler(event.args, event);
+            replayed++;
+          }
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: Failed to replay ${eventName} (${start}-${end}):`, error.message);
+        }
+      }
+    }
+
+    if (replayed > 0) {
+      console.log(`🔁 ${this.serviceName}: Replayed ${replayed} events from blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  /**
+   * Extract tx hash, log index and block number from an ethers v6 event payload
+   * (ContractEventPayload wraps the log in `.log`, queryFilter returns the log itself)
+   */
+  getEventLocation(event) {
+    const log = event?.log || event;
+    return {
+      txHash: log?.transactionHash || null,
+      logIndex: log?.index ?? log?.logIndex ?? 0,
+      blockNumber: log?.blockNumber != null ? Number(log.blockNumber) : null
+    };
+  }
+
+  /**
+   * Decode a bytes32 value to a readable string, falling back to the hex value.
+   * Numeric market ids (SportMonks fixture ids) are stored as uint256 in bytes32.
+   */
+  decodeBytes32(value) {
+    if (!value || value === ethers.ZeroHash) {
+      return '';
+    }
+    // Left-padded numbers start with a zero byte, strings never do
+    if (ethers.getBytes(value)[0] === 0) {
+      return ethers.toBigInt(value).toString();
+    }
+    try {
+      return ethers.decodeBytes32String(value);
+    } catch (error) {
+      return value; // keccak hash or other opaque reference
+    }
+  }
+}
+
+module.exports = EventDrivenComboPoolSync;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new EventDrivenComboPoolSync();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Event-Driven Combo Pool Sync running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Event-Driven Combo Pool Sync failed to start:', error);
+      process.exit(1);
+    });
+}
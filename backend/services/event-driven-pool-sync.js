@@ -3,6 +3,8 @@ const Web3Service = require('./web3-service');
 const { safeStringify } = require('../utils/bigint-serializer');
 const notificationService = require('./notification-service');
 const somniaDataStreams = require('./somnia-data-streams-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+const marketSpec = require('../utils/market-spec');
 
 /**
  * Event-Driven Pool Sync Service
@@ -31,11 +33,13 @@ class EventDrivenPoolSync {
       maxRetries: 3,
       retryDelayMs: 5000,
       fallbackSyncInterval: 300000, // 5 minutes fallback
-      batchSize: 10
+      batchSize: 10,
+      initialLookbackBlocks: 1000 // First run without a checkpoint
     };
     
     // Fallback sync timer
     this.fallbackTimer = null;
+    this.checkpoint = null;
   }
 
   /**
@@ -53,6 +57,12 @@ class EventDrivenPoolSync {
       if (!this.contract) {
         throw new Error('PoolCore contract not available');
       }
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'event-driven-pool-sync',
+        contractAddress: await this.contract.getAddress(),
+        provider: this.web3Service.provider
+      });
       
       console.log(`✅ ${this.serviceName}: Initialized successfully`);
     } catch (error) {
@@ -78,6 +88,9 @@ class EventDrivenPoolSync {
       
       // Sync historical pools on startup (catches any pools created before service started)
       await this.syncHistoricalPools();
+
+      // Replay settlements/refunds emitted while the service was down
+      await this.replayFromCheckpoint();
       
       // Setup event listeners for new pools
       await this.setupEventListeners();
@@ -292,26 +305,7 @@ class EventDrivenPoolSync {
         console.log(`⚠️ ${this.serviceName}: LiquidityAdded event not available in contract`);
       }
       
-      // Listen to PoolBoosted events from BoostSystem contract
-      try {
-        const boostSystemContract = await this.web3Service.getBoostSystemContract();
-        const poolBoostedListener = boostSystemContract.on('PoolBoosted', async (
-          poolId,
-          tier,
-          expiry,
-          fee,
-          booster,
-          event
-        ) => {
-          console.log(`🚀 ${this.serviceName}: PoolBoosted event detected - Pool ID: ${poolId}, Tier: ${tier}`);
-          await this.handlePoolBoosted(poolId, event);
-        });
-        
-        this.eventListeners.push(poolBoostedListener);
-        console.log(`✅ ${this.serviceName}: PoolBoosted event listener added`);
-      } catch (error) {
-        console.log(`⚠️ ${this.serviceName}: PoolBoosted event not available - ${error.message}`);
-      }
+      // Boost events are indexed by services/boost-lifecycle-indexer.js
       
       console.log(`✅ ${this.serviceName}: Event listeners setup complete`);
       
@@ -595,24 +589,6 @@ class EventDrivenPoolSync {
     }
   }
 
-  /**
-   * Handle PoolBoosted event
-   */
-  async handlePoolBoosted(poolId, event) {
-    try {
-      console.log(`🚀 ${this.serviceName}: Updating boost status for pool ${poolId}...`);
-      
-      // Get updated pool data
-      const poolData = await this.contract.getPool(poolId);
-      
-      // Update database with boost data
-      await this.updatePoolBoost(poolData, poolId, event);
-      
-    } catch (error) {
-      console.error(`❌ ${this.serviceName}: Failed to handle PoolBoosted event:`, error);
-    }
-  }
-
   /**
    * Retry pool sync with exponential backoff
    */
@@ -756,6 +732,8 @@ class EventDrivenPoolSync {
         throw new Error(`Pool ${poolId} has corrupted timestamp data (start: ${parsedPool.eventStartTime}, end: ${parsedPool.eventEndTime})`);
       }
 
+      parsedPool.marketSpec = await this.resolveMarketSpec(parsedPool);
+
       if (existingPool.rows.length > 0) {
         // Update existing pool (also update block_number if missing)
         await this.updatePoolInDatabase(parsedPool);
@@ -764,12 +742,61 @@ class EventDrivenPoolSync {
         await this.insertPoolInDatabase(parsedPool);
       }
 
+      await this.saveMarketSpec(parsedPool);
+
     } catch (error) {
       console.error(`❌ ${this.serviceName}: Failed to save pool ${poolId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Market spec from the strings recorded when the pool was prepared, falling back to the on-chain outcome
+   */
+  async resolveMarketSpec(parsedPool) {
+    let mapping = null;
+    if (parsedPool.marketId) {
+      const result = await db.query(`
+        SELECT market_type, predicted_outcome, binary_selection, market_spec
+        FROM oracle.fixture_mappings
+        WHERE market_id_hash = $1
+      `, [parsedPool.marketId]);
+      mapping = result.rows[0] || null;
+    }
+
+    if (mapping?.market_spec && marketSpec.validate(mapping.market_spec).length === 0) {
+      return mapping.market_spec;
+    }
+
+    return marketSpec.fromPool({
+      predicted_outcome: parsedPool.predictedOutcome,
+      home_team: parsedPool.homeTeam,
+      away_team: parsedPool.awayTeam,
+      category: parsedPool.category
+    }, mapping);
+  }
+
+  /**
+   * Store the spec with the pool, or flag the pool for review; admin-confirmed specs are kept
+   */
+  async saveMarketSpec(parsedPool) {
+    const spec = parsedPool.marketSpec;
+    await db.query(`
+      UPDATE oracle.pools
+      SET market_spec = $2, market_spec_key = $3, market_spec_status = $4
+      WHERE pool_id = $1 AND market_spec_status IS DISTINCT FROM 'confirmed'
+    `, [
+      parsedPool.poolId,
+      spec ? JSON.stringify(spec) : null,
+      spec ? marketSpec.serialize(spec) : null,
+      spec ? 'parsed' : 'needs_review'
+    ]);
+
+    if (!spec) {
+      console.warn(`⚠️ ${this.serviceName}: Pool ${parsedPool.poolId} outcome "${parsedPool.predictedOutcome}" has no market spec - flagged for review`);
+    }
+  }
+
   /**
    * Insert new pool into database
    */
@@ -1010,48 +1037,6 @@ class EventDrivenPoolSync {
     }
   }
 
-  /**
-   * Update pool boost
-   */
-  async updatePoolBoost(poolData, poolId, event = null) {
-    try {
-      // Extract boost data from event if available
-      let boostTier = null;
-      let boostExpiry = null;
-      let boostFee = null;
-      let booster = null;
-      
-      if (event && event.args) {
-        boostTier = event.args.tier;
-        boostExpiry = event.args.expiry;
-        boostFee = event.args.fee;
-        booster = event.args.booster;
-      }
-      
-      // Update database with boost information
-      await db.query(`
-        UPDATE oracle.pools SET
-          boost_tier = $2,
-          boost_expiry = $3,
-          boost_fee = $4,
-          booster_address = $5,
-          updated_at = NOW()
-        WHERE pool_id = $1
-      `, [
-        poolId,
-        boostTier,
-        boostExpiry,
-        boostFee,
-        booster
-      ]);
-      
-      console.log(`✅ ${this.serviceName}: Updated boost data for pool ${poolId}`);
-      
-    } catch (error) {
-      console.error(`❌ ${this.serviceName}: Failed to update boost for pool ${poolId}:`, error);
-    }
-  }
-
   /**
    * Start fallback sync timer (in case events fail)
    */
@@ -1060,6 +1045,7 @@ class EventDrivenPoolSync {
       try {
         console.log(`🔄 ${this.serviceName}: Running fallback sync...`);
         await this.fallbackSync();
+        await this.replayFromCheckpoint();
       } catch (error) {
         console.error(`❌ ${this.serviceName}: Fallback sync failed:`, error);
       }
@@ -1092,6 +1078,71 @@ class EventDrivenPoolSync {
     }
   }
 
+  /**
+   * Replay pool lifecycle events from the last checkpoint
+   * Handlers only run for events the database doesn't reflect yet
+   */
+  async replayFromCheckpoint() {
+    try {
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.contract, {
+        PoolCreated: async (event) => {
+          const existing = await db.query('SELECT 1 FROM oracle.pools WHERE pool_id = $1', [event.args.poolId.toString()]);
+          if (existing.rows.length === 0) {
+            await this.handlePoolCreated(event.args.poolId, event);
+          }
+        },
+        PoolSettled: async (event) => {
+          if (!(await this.isPoolSettledInDatabase(event.args.poolId))) {
+            const { poolId, result, creatorSideWon, timestamp } = event.args;
+            await this.handlePoolSettled(poolId, result, creatorSideWon, timestamp, event);
+          }
+        },
+        PoolRefunded: async (event) => {
+          if (!(await this.isPoolSettledInDatabase(event.args.poolId))) {
+            await this.handlePoolRefunded(event.args.poolId, event.args.reason || 'Manual refund', event);
+          }
+        }
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.resyncPoolsAfterBlock(forkBlock)
+      });
+
+      if (result.fromBlock !== undefined) {
+        console.log(`✅ ${this.serviceName}: Replayed blocks ${result.fromBlock}-${result.toBlock} (${result.replayed} events)`);
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Checkpoint replay failed:`, error);
+      // Don't throw - the next run resumes from the checkpoint
+    }
+  }
+
+  async isPoolSettledInDatabase(poolId) {
+    const result = await db.query('SELECT is_settled FROM oracle.pools WHERE pool_id = $1', [poolId.toString()]);
+    return result.rows.length > 0 && result.rows[0].is_settled === true;
+  }
+
+  /**
+   * After a reorg, re-read pools created in orphaned blocks from the contract
+   */
+  async resyncPoolsAfterBlock(forkBlock) {
+    const result = await db.query(
+      'SELECT pool_id FROM oracle.pools WHERE block_number > $1',
+      [forkBlock]
+    );
+
+    for (const row of result.rows) {
+      try {
+        const poolData = await this.contract.getPool(row.pool_id);
+        await this.savePoolToDatabase(poolData, row.pool_id);
+      } catch (error) {
+        console.warn(`⚠️ ${this.serviceName}: Pool ${row.pool_id} could not be re-read after reorg:`, error.message);
+      }
+    }
+
+    console.warn(`🔀 ${this.serviceName}: Re-synced ${result.rows.length} pools created after block ${forkBlock}`);
+  }
+
   /**
    * Sync a range of pools (fallback method)
    */
@@ -1128,15 +1179,10 @@ class EventDrivenPoolSync {
         return;
       }
 
-      // Normalize predicted_outcome to standardized format
-      const normalizedOutcome = this.normalizePredictedOutcome(
-        parsedPool.predictedOutcome,
-        parsedPool.homeTeam,
-        parsedPool.awayTeam
-      );
-
-      // Determine outcome_type from predicted_outcome
-      const outcomeType = this.determineOutcomeType(normalizedOutcome);
+      // Pools without a spec are flagged for review and keep their raw outcome here
+      const spec = parsedPool.marketSpec;
+      const normalizedOutcome = spec ? marketSpec.label(spec) : parsedPool.predictedOutcome;
+      const outcomeType = spec ? marketSpec.outcomeType(spec) : 'UNKNOWN';
 
       // Create football_prediction_markets entry
       await db.query(`
@@ -1304,67 +1350,6 @@ class EventDrivenPoolSync {
       return null;
     }
   }
-
-  /**
-   * Normalize team-specific outcomes to standardized format
-   */
-  normalizePredictedOutcome(predictedOutcome, homeTeam, awayTeam) {
-    const outcome = predictedOutcome.toLowerCase().trim();
-
-    // 1X2 markets - normalize to Home/Draw/Away
-    if (homeTeam && outcome.includes(homeTeam.toLowerCase())) {
-      return 'Home wins';
-    }
-    if (awayTeam && outcome.includes(awayTeam.toLowerCase())) {
-      return 'Away wins';
-    }
-    if (outcome.includes('draw') || outcome === 'x') {
-      return 'Draw';
-    }
-
-    // Over/Under markets
-    if (outcome.includes('over')) {
-      if (outcome.includes('0.5')) return 'Over 0.5 goals';
-      if (outcome.includes('1.5')) return 'Over 1.5 goals';
-      if (outcome.includes('2.5')) return 'Over 2.5 goals';
-      if (outcome.includes('3.5')) return 'Over 3.5 goals';
-    }
-    if (outcome.includes('under')) {
-      if (outcome.includes('0.5')) return 'Under 0.5 goals';
-      if (outcome.includes('1.5')) return 'Under 1.5 goals';
-      if (outcome.includes('2.5')) return 'Under 2.5 goals';
-      if (outcome.includes('3.5')) return 'Under 3.5 goals';
-    }
-
-    // BTTS markets
-    if (outcome.includes('both') && outcome.includes('score')) {
-      return 'Both teams to score';
-    }
-    if (outcome.includes('not both') || (outcome.includes('btts') && outcome.includes('no'))) {
-      return 'Not both teams to score';
-    }
-
-    // Return as-is if already normalized
-    return predictedOutcome;
-  }
-
-  /**
-   * Determine outcome_type from predicted_outcome
-   */
-  determineOutcomeType(predictedOutcome) {
-    const outcome = predictedOutcome.toLowerCase();
-
-    if (outcome.includes('home wins') || outcome.includes('away wins') || outcome === 'draw') {
-      return '1X2';
-    }
-    if (outcome.includes('0.5')) return 'OU05';
-    if (outcome.includes('1.5')) return 'OU15';
-    if (outcome.includes('2.5')) return 'OU25';
-    if (outcome.includes('3.5')) return 'OU35';
-    if (outcome.includes('both') && outcome.includes('score')) return 'BTTS';
-
-    return '1X2'; // Default
-  }
 }
 
 module.exports = EventDrivenPoolSync;
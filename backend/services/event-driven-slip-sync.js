@@ -2,6 +2,7 @@ const db = require('../db/db');
 const Web3Service = require('./web3-service');
 const { safeStringify } = require('../utils/bigint-serializer');
 const websocketService = require('./websocket-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
 
 /**
  * Event-Driven Slip Sync Service
@@ -30,11 +31,13 @@ class EventDrivenSlipSync {
       maxRetries: 3,
       retryDelayMs: 5000,
       fallbackSyncInterval: 300000, // 5 minutes fallback
-      batchSize: 10
+      batchSize: 10,
+      initialLookbackBlocks: 1000 // First run without a checkpoint
     };
     
     // Fallback sync timer
     this.fallbackTimer = null;
+    this.checkpoint = null;
   }
 
 
@@ -141,6 +144,12 @@ class EventDrivenSlipSync {
       if (!this.oddysseyContract) {
         throw new Error('Oddyssey contract not available');
       }
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'event-driven-slip-sync',
+        contractAddress: await this.oddysseyContract.getAddress(),
+        provider: this.web3Service.provider
+      });
       
       console.log(`✅ ${this.serviceName}: Initialized successfully`);
     } catch (error) {
@@ -163,6 +172,9 @@ class EventDrivenSlipSync {
       
       this.isRunning = true;
       console.log(`🚀 ${this.serviceName}: Starting event-driven slip sync...`);
+
+      // Replay slip events emitted while the service was down
+      await this.replayFromCheckpoint();
       
       // Setup event listeners
       await this.setupEventListeners();
@@ -626,6 +638,7 @@ class EventDrivenSlipSync {
       try {
         console.log(`🔄 ${this.serviceName}: Running fallback sync...`);
         await this.fallbackSync();
+        await this.replayFromCheckpoint();
       } catch (error) {
         console.error(`❌ ${this.serviceName}: Fallback sync failed:`, error);
       }
@@ -669,6 +682,76 @@ class EventDrivenSlipSync {
     }
   }
 
+  /**
+   * Replay slip events from the last checkpoint
+   * Handlers only run for events the database doesn't reflect yet
+   */
+  async replayFromCheckpoint() {
+    try {
+      const slipState = async (slipId) => {
+        const result = await db.query(
+          'SELECT is_evaluated, prize_claimed FROM oracle.oddyssey_slips WHERE slip_id = $1',
+          [slipId.toString()]
+        );
+        return result.rows[0] || null;
+      };
+
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.oddysseyContract, {
+        SlipPlaced: async (event) => {
+          const { cycleId, player, slipId } = event.args;
+          if (!(await slipState(slipId))) {
+            await this.handleSlipPlaced(cycleId, player, slipId, event);
+          }
+        },
+        SlipEvaluated: async (event) => {
+          const { slipId, correctCount, finalScore } = event.args;
+          const slip = await slipState(slipId);
+          if (slip && !slip.is_evaluated) {
+            await this.handleSlipEvaluated(slipId, finalScore > 0n, correctCount, 10, event);
+          }
+        },
+        PrizeClaimed: async (event) => {
+          const { player, slipId, amount } = event.args;
+          const slip = await slipState(slipId);
+          if (slip && !slip.prize_claimed) {
+            await this.handlePrizeClaimed(player, slipId, amount, event);
+          }
+        }
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.resyncSlipsAfterBlock(forkBlock)
+      });
+
+      if (result.fromBlock !== undefined) {
+        console.log(`✅ ${this.serviceName}: Replayed blocks ${result.fromBlock}-${result.toBlock} (${result.replayed} events)`);
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Checkpoint replay failed:`, error);
+      // Don't throw - the next run resumes from the checkpoint
+    }
+  }
+
+  /**
+   * After a reorg, re-read slips placed in orphaned blocks from the contract
+   */
+  async resyncSlipsAfterBlock(forkBlock) {
+    // Slips don't store their block, so use the fork block's timestamp instead
+    const provider = await this.checkpoint.getProvider();
+    const block = await provider.getBlock(forkBlock);
+    if (!block) {
+      return;
+    }
+
+    const result = await db.query(
+      'SELECT slip_id FROM oracle.oddyssey_slips WHERE placed_at > to_timestamp($1)',
+      [block.timestamp]
+    );
+
+    await this.syncSlipRange(result.rows.map(row => row.slip_id));
+    console.warn(`🔀 ${this.serviceName}: Re-synced ${result.rows.length} slips placed after block ${forkBlock}`);
+  }
+
   /**
    * Sync a range of slips (fallback method)
    */
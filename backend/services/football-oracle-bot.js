@@ -3,6 +3,7 @@ const SportMonksService = require('./sportmonks');
 const UnifiedPoolSettlementSystem = require('./unified-pool-settlement-system');
 const db = require('../db/db');
 const config = require('../config');
+const txManager = require('./tx-manager');
 
 class FootballOracleBot {
   constructor() {
@@ -495,13 +496,17 @@ class FootballOracleBot {
           return { success: true, alreadyExists: true, txHash: null };
         }
 
-        const tx = await this.guidedOracleContract.submitOutcome(marketId, resultData);
-        console.log(`📤 Transaction submitted: ${tx.hash}`);
-        const receipt = await tx.wait();
-        console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}`);
+        // Retries resubmit the same key, so a transaction still in flight is
+        // waited on rather than sent again
+        const receipt = await txManager.sendContractCall(this.guidedOracleContract, 'submitOutcome', [marketId, resultData], {
+          key: `submitOutcome:${marketId}`,
+          lane: 'oracle',
+          requestedBy: 'football-oracle-bot'
+        });
+        console.log(`✅ Transaction confirmed in block ${receipt.blockNumber}: ${receipt.hash}`);
         return { 
           success: true, 
-          txHash: tx.hash, 
+          txHash: receipt.hash, 
           blockNumber: receipt.blockNumber,
           alreadyExists: false 
         };
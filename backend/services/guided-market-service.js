@@ -1,6 +1,8 @@
 const Web3Service = require('./web3-service');
 const { ethers } = require('ethers');
 const { safeBigInt } = require('../utils/bigint-serializer');
+const marketSpec = require('../utils/market-spec');
+const poolRanking = require('../utils/pool-ranking');
 
 class GuidedMarketService {
   constructor() {
@@ -35,7 +37,8 @@ class GuidedMarketService {
           
           // Look up the fixture mapping using the marketId hash
           const mappingResult = await db.query(`
-            SELECT fixture_id, home_team, away_team, league_name, predicted_outcome
+            SELECT fixture_id, home_team, away_team, league_name, predicted_outcome,
+                   market_type, binary_selection, market_spec
             FROM oracle.fixture_mappings 
             WHERE market_id_hash = $1
           `, [marketId]);
@@ -47,8 +50,14 @@ class GuidedMarketService {
             
             // If we have a decoded outcome in the fixture mapping, use it
             if (mapping.predicted_outcome) {
+              const spec = mapping.market_spec || marketSpec.fromPool({
+                predicted_outcome: mapping.predicted_outcome,
+                home_team: homeTeam,
+                away_team: awayTeam,
+                category
+              }, mapping);
               readableOutcome = mapping.predicted_outcome;
-              betMarketType = this.determineBetMarketType(mapping.predicted_outcome);
+              betMarketType = spec ? marketSpec.marketDescription(spec) : this.determineBetMarketType(mapping.predicted_outcome);
               return { readableOutcome, betMarketType, homeTeam, awayTeam };
             }
             
@@ -226,73 +235,15 @@ class GuidedMarketService {
     const marketIdHash = ethers.keccak256(ethers.solidityPacked(['uint256'], [fixtureId]));
     const marketId = marketIdHash; // Keep as hex string for contract
 
-    // Map outcome to MarketType enum
+    const spec = marketSpec.parse({ market: outcome, predictedOutcome, homeTeam, awayTeam, category: 'football' });
+    const specErrors = spec ? marketSpec.validate(spec) : [`Could not interpret "${predictedOutcome}" for market "${outcome}"`];
+    if (specErrors.length > 0) {
+      throw new Error(`Invalid market: ${specErrors.join('; ')}`);
+    }
+
     // MarketType enum: 0=MONEYLINE, 1=OVER_UNDER, 2=SPREAD, 3=PROPOSITION, 4=CORRECT_SCORE, 5=CUSTOM
-    const mapOutcomeToMarketType = (outcomeStr, predictedOutcomeStr) => {
-      if (!outcomeStr) return 0; // Default to MONEYLINE
-      const outcome = outcomeStr.toLowerCase().trim();
-      const predictedOutcome = (predictedOutcomeStr || '').toLowerCase();
-      
-      // ✅ BTTS (Both Teams To Score) - Check multiple fields for robustness
-      // Explicit check for exact match first (most reliable)
-      if (outcome === 'both teams to score' || outcome === 'btts') {
-        console.log(`✅ [GuidedMarketService] BTTS detected from exact outcome match: "${outcomeStr}"`);
-        return 3; // PROPOSITION
-      }
-      
-      // Check outcome field for partial matches
-      if (outcome.includes('both teams') || outcome.includes('btts')) {
-        console.log(`✅ [GuidedMarketService] BTTS detected from outcome field: "${outcomeStr}"`);
-        return 3; // PROPOSITION
-      }
-      
-      // Also check if predictedOutcome is "Yes"/"No" AND outcome is BTTS-related
-      // This handles cases where outcome might be empty or incorrectly formatted
-      if ((predictedOutcome === 'yes' || predictedOutcome === 'no') &&
-          (outcome.includes('both') || outcome.includes('btts') || 
-           outcome.includes('score') || outcome === '')) {
-        // Additional check: if we have "Yes"/"No" and no clear moneyline indicators, it's likely BTTS
-        if (!outcome.includes('home') && !outcome.includes('away') && 
-            !outcome.includes('draw') && !outcome.includes('win')) {
-          console.log(`✅ [GuidedMarketService] BTTS detected from predictedOutcome: "${predictedOutcome}"`);
-          return 3; // PROPOSITION
-        }
-      }
-      
-      // Over/Under markets
-      if (outcome.includes('over/under') || outcome.includes('over under') || 
-          outcome.includes('total goals') || outcome.includes('total points')) {
-        return 1; // OVER_UNDER
-      }
-      
-      // Half Time Result
-      if (outcome.includes('half time') || outcome.includes('halftime') || 
-          (outcome.includes('ht') && outcome.includes('result'))) {
-        return 0; // MONEYLINE (treated as a 1X2 market)
-      }
-      
-      // Full Time Result / 1X2
-      if (outcome.includes('full time') || outcome.includes('result') ||
-          outcome === '1x2' || outcome.includes('match result')) {
-        return 0; // MONEYLINE
-      }
-      
-      // Correct Score
-      if (outcome.includes('correct score') || /\d+-\d+/.test(outcome)) {
-        return 4; // CORRECT_SCORE
-      }
-      
-      // Spread markets
-      if (outcome.includes('spread') || outcome.includes('handicap')) {
-        return 2; // SPREAD
-      }
-      
-      // Default to MONEYLINE for unhandled cases
-      return 0;
-    };
-    
-    const marketType = mapOutcomeToMarketType(outcome, predictedOutcome);
-    console.log(`📊 [GuidedMarketService] Mapped outcome "${outcome}" (predictedOutcome: "${predictedOutcome}") to MarketType: ${marketType}`);
+    const marketType = marketSpec.contractMarketType(spec);
+    console.log(`📊 [GuidedMarketService] Market spec ${marketSpec.serialize(spec)} for "${outcome}" / "${predictedOutcome}" -> MarketType: ${marketType}`);
 
     // Prepare pool data
     const poolData = {
@@ -334,16 +285,12 @@ class GuidedMarketService {
     const tx = await this.web3Service.createPool(poolData);
 
     // Store fixture mapping for future reference (enriched)
-    await this.storeFixtureMapping({
-      marketId,
-      fixtureId,
-      homeTeam,
-      awayTeam,
-      league,
+    await this.storeFixtureMapping(marketId, fixtureId, homeTeam, awayTeam, league, {
       matchDate: matchTime,
       predictedOutcome, // original hash/string
-      readableOutcome: (await this.decodePredictedOutcome(predictedOutcome, 'football', odds, marketId)).readableOutcome,
-      marketType: (await this.decodePredictedOutcome(predictedOutcome, 'football', odds, marketId)).betMarketType,
+      readableOutcome: marketSpec.label(spec),
+      marketType: outcome,
+      marketSpec: spec,
       oddsDecimal: odds / 100,
       creatorStakeWei: stakeAmount.toString(),
       paymentToken: useBitr ? 'BITR' : 'MON',
@@ -389,7 +336,9 @@ class GuidedMarketService {
       useBitr = false,
       description = '',
       isPrivate = false,
-      maxBetPerUser = 0
+      maxBetPerUser = 0,
+      resolutionMode = null, // 'close' (default) or 'twap'
+      twapWindowSeconds = null
     } = marketData;
 
     // Validate required fields
@@ -496,6 +445,17 @@ class GuidedMarketService {
       marketId: marketId
     });
 
+    // Store the structured target first so the resolver never has to parse predictedOutcome
+    await this.saveCryptoTarget({
+      marketId,
+      cryptocurrency,
+      targetPrice,
+      direction,
+      resolutionMode,
+      twapWindowSeconds,
+      eventEndTime
+    });
+
     // Create the pool using gas-optimized web3 service
     const tx = await this.web3Service.createPool(poolData);
 
@@ -512,11 +472,40 @@ class GuidedMarketService {
         predictedOutcome,
         odds: odds / 100,
         creatorStake: ethers.formatEther(stakeAmount),
-        useBitr
+        useBitr,
+        resolutionMode: resolutionMode || 'close'
       }
     };
   }
 
+  /**
+   * Save coin, target and direction of a crypto pool for deadline resolution
+   */
+  async saveCryptoTarget({ marketId, cryptocurrency, targetPrice, direction, resolutionMode, twapWindowSeconds, eventEndTime }) {
+    const db = require('../db/db');
+
+    await db.query(`
+      INSERT INTO oracle.crypto_pool_targets (
+        market_id, symbol, coinpaprika_id, target_price, direction,
+        resolution_mode, twap_window_seconds, event_end_time
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (market_id) DO UPDATE SET
+        coinpaprika_id = COALESCE(EXCLUDED.coinpaprika_id, oracle.crypto_pool_targets.coinpaprika_id),
+        resolution_mode = EXCLUDED.resolution_mode,
+        twap_window_seconds = EXCLUDED.twap_window_seconds,
+        event_end_time = EXCLUDED.event_end_time
+    `, [
+      marketId,
+      cryptocurrency.symbol.toUpperCase(),
+      cryptocurrency.coinpaprikaId || cryptocurrency.id || null,
+      targetPrice,
+      direction,
+      resolutionMode || 'close',
+      resolutionMode === 'twap' ? twapWindowSeconds : null,
+      eventEndTime
+    ]);
+  }
+
   /**
    * Parse timeframe string to seconds
    */
@@ -906,8 +895,9 @@ class GuidedMarketService {
 
   /**
    * Get pools by category
+   * Private pools are left out unless `viewer` created or is whitelisted for them
    */
-  async getPoolsByCategory(category, limit = 20, offset = 0) {
+  async getPoolsByCategory(category, limit = 20, offset = 0, viewer = null) {
     await this.initialize();
 
     try {
@@ -925,12 +915,12 @@ class GuidedMarketService {
             event_start_time, event_end_time, league, category, region,
             is_private, max_bet_per_user, use_bitr, oracle_type, market_id,
             fixture_id, status, tx_hash, block_number, created_at
-          FROM oracle.pools 
-          WHERE status IN ('active', 'closed', 'settled')
+          FROM oracle.pools p
+          WHERE status IN ('active', 'closed', 'settled') AND ${poolRanking.visibleToSql('p', '$3')}
           ORDER BY created_at DESC
           LIMIT $1 OFFSET $2
         `;
-        params = [limit, offset];
+        params = [limit, offset, viewer ? viewer.toLowerCase() : null];
       } else {
         // For specific category, filter by category
         query = `
@@ -939,12 +929,12 @@ class GuidedMarketService {
             event_start_time, event_end_time, league, category, region,
             is_private, max_bet_per_user, use_bitr, oracle_type, market_id,
             fixture_id, status, tx_hash, block_number, created_at
-          FROM oracle.pools 
-          WHERE status IN ('active', 'closed', 'settled') AND category = $1
+          FROM oracle.pools p
+          WHERE status IN ('active', 'closed', 'settled') AND category = $1 AND ${poolRanking.visibleToSql('p', '$4')}
           ORDER BY created_at DESC
           LIMIT $2 OFFSET $3
         `;
-        params = [category, limit, offset];
+        params = [category, limit, offset, viewer ? viewer.toLowerCase() : null];
       }
       
       const result = await db.query(query, params);
@@ -992,8 +982,11 @@ class GuidedMarketService {
 
   /**
    * Get all pools with pagination - DIRECT CONTRACT IMPLEMENTATION
+   * Pools are read from the contract in ranked order (utils/pool-ranking.js);
+   * if the ranking is unavailable they come newest first. Private pools are
+   * left out unless `viewer` created or is whitelisted for them.
    */
-  async getPools(limit = 50, offset = 0) {
+  async getPools(limit = 50, offset = 0, viewer = null) {
     await this.initialize();
 
     try {
@@ -1001,6 +994,27 @@ class GuidedMarketService {
       
       // Get pool count from contract
       const poolCoreContract = await this.web3Service.getPoolCoreContract();
+
+      let rankedPoolIds = [];
+      try {
+        rankedPoolIds = await poolRanking.getRankedPoolIds(limit, offset, viewer);
+      } catch (error) {
+        console.warn('⚠️ Pool ranking unavailable, using contract order:', error.message);
+      }
+
+      if (rankedPoolIds.length > 0) {
+        const rankedPools = [];
+        for (const poolId of rankedPoolIds) {
+          try {
+            const poolData = await poolCoreContract.getPool(poolId);
+            rankedPools.push(await this.convertContractPoolToFrontend(poolData, poolId));
+          } catch (error) {
+            console.warn(`⚠️ Could not fetch pool ${poolId}:`, error.message);
+          }
+        }
+        console.log(`✅ Fetched ${rankedPools.length} ranked pools from contract`);
+        return rankedPools;
+      }
       const poolCount = await poolCoreContract.poolCount();
       const totalPools = Number(poolCount);
       
@@ -1024,6 +1038,10 @@ class GuidedMarketService {
           
           // Convert contract data to frontend format
           const pool = await this.convertContractPoolToFrontend(poolData, i);
+          if (pool.isPrivate && !(viewer && (pool.creator.toLowerCase() === viewer.toLowerCase() ||
+            await poolCoreContract.poolWhitelist(i, viewer)))) {
+            continue;
+          }
           pools.push(pool);
         } catch (error) {
           console.warn(`⚠️ Could not fetch pool ${i}:`, error.message);
@@ -1316,6 +1334,7 @@ class GuidedMarketService {
           ALTER TABLE oracle.fixture_mappings ADD COLUMN IF NOT EXISTS description TEXT;
           ALTER TABLE oracle.fixture_mappings ADD COLUMN IF NOT EXISTS user_position TEXT;
           ALTER TABLE oracle.fixture_mappings ADD COLUMN IF NOT EXISTS match_date TIMESTAMP;
+          ALTER TABLE oracle.fixture_mappings ADD COLUMN IF NOT EXISTS market_spec JSONB;
         EXCEPTION WHEN duplicate_column THEN NULL; END $$;
       `);
       
@@ -1324,9 +1343,9 @@ class GuidedMarketService {
         INSERT INTO oracle.fixture_mappings (
           market_id_hash, fixture_id, home_team, away_team, league_name,
           predicted_outcome, readable_outcome, market_type, binary_selection, odds_decimal,
-          creator_stake_wei, payment_token, use_bitr, description, user_position, match_date
+          creator_stake_wei, payment_token, use_bitr, description, user_position, match_date, market_spec
         ) VALUES (
-          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16
+          $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17
         )
         ON CONFLICT (market_id_hash) DO UPDATE SET
           fixture_id = EXCLUDED.fixture_id,
@@ -1343,7 +1362,8 @@ class GuidedMarketService {
           use_bitr = COALESCE(EXCLUDED.use_bitr, oracle.fixture_mappings.use_bitr),
           description = COALESCE(EXCLUDED.description, oracle.fixture_mappings.description),
           user_position = COALESCE(EXCLUDED.user_position, oracle.fixture_mappings.user_position),
-          match_date = COALESCE(EXCLUDED.match_date, oracle.fixture_mappings.match_date)
+          match_date = COALESCE(EXCLUDED.match_date, oracle.fixture_mappings.match_date),
+          market_spec = COALESCE(EXCLUDED.market_spec, oracle.fixture_mappings.market_spec)
       `;
       
       await db.query(insertQuery, [
@@ -1362,7 +1382,8 @@ class GuidedMarketService {
         data.useBitr ?? null,
         data.description || null,
         data.userPosition || null,
-        data.matchDate || null
+        data.matchDate || null,
+        data.marketSpec ? JSON.stringify(data.marketSpec) : null
       ]);
       console.log(`✅ Stored fixture mapping: ${data.marketId} -> ${data.fixtureId} (${data.homeTeam} vs ${data.awayTeam})`);
       
@@ -1521,7 +1542,7 @@ class GuidedMarketService {
         participants: Math.round(totalPools * 0.8), // Estimate
         totalPools: totalPools,
         boostedPools: Math.round(totalPools * 0.1), // Estimate
-        comboPools: 0, // Not implemented yet
+        comboPools: await this.getComboPoolCount(),
         privatePools: Math.round(privatePools * extrapolationFactor),
         bitrPools: Math.round(bitrPools * extrapolationFactor)
       };
@@ -1545,6 +1566,20 @@ class GuidedMarketService {
     }
   }
 
+  /**
+   * Get combo pool count from the combo pool index
+   */
+  async getComboPoolCount() {
+    try {
+      const db = require('../db/db');
+      const result = await db.query('SELECT COUNT(*) as count FROM oracle.combo_pools');
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      console.warn('⚠️ Could not count combo pools:', error.message);
+      return 0;
+    }
+  }
+
   /**
    * Get service health status
    */
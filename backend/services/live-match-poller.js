@@ -0,0 +1,263 @@
+const db = require('../db/db');
+const config = require('../config');
+const websocketService = require('./websocket-service');
+const SportMonksService = require('./sportmonks');
+
+const LIVE_INCLUDE = 'scores;events;participants;state;periods';
+const NOT_STARTED_STATES = ['NS', 'TBA', 'Fixture'];
+const BREAK_STATES = ['HT', 'BREAK', 'EXTRA_TIME_BREAK', 'PEN_BREAK'];
+const FINAL_STATES = [
+  'FT', 'AET', 'FT_PEN', 'PEN', 'CANCL', 'CANCELLED', 'POSTP', 'POSTPONED',
+  'ABANDONED', 'AWARDED', 'WO', 'DELETED'
+];
+
+/**
+ * Live Match Poller
+ *
+ * Tracks fixtures that have open pools or are in an unresolved Oddyssey
+ * cycle, from shortly before kick-off until full time. Each fixture is polled
+ * on its own cadence (slow before the match, faster near kick-off, fastest in
+ * play), the response is diffed against oracle.live_match_state, and only the
+ * changes are pushed to `fixture:{id}` WebSocket subscribers.
+ */
+class LiveMatchPoller {
+  constructor({ sportmonksService = null } = {}) {
+    this.serviceName = 'LiveMatchPoller';
+    this.config = config.livePoller;
+    this.sportmonks = sportmonksService || new SportMonksService();
+    this.tracked = new Map(); // fixtureId -> { leagueId, kickoff, nextPollAt, state }
+    this.isRunning = false;
+    this.timer = null;
+    this.lastRefresh = 0;
+    this.stats = { polls: 0, updates: 0, errors: 0 };
+  }
+
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName} already running`);
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`🚀 Starting ${this.serviceName} (tick ${this.config.tickMs}ms, in-play every ${this.config.liveIntervalMs}ms)`);
+    this.scheduleTick(0);
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    console.log(`🛑 ${this.serviceName} stopped`);
+  }
+
+  scheduleTick(delay) {
+    this.timer = setTimeout(async () => {
+      await this.tick();
+      if (this.isRunning) {
+        this.scheduleTick(this.config.tickMs);
+      }
+    }, delay);
+  }
+
+  async tick() {
+    try {
+      if (Date.now() - this.lastRefresh >= this.config.refreshMs) {
+        await this.refreshTracked();
+      }
+
+      const now = Date.now();
+      const due = [...this.tracked.entries()]
+        .filter(([, entry]) => entry.nextPollAt <= now)
+        .sort((a, b) => a[1].nextPollAt - b[1].nextPollAt)
+        .slice(0, this.config.maxPollsPerTick);
+
+      await Promise.all(due.map(([fixtureId, entry]) => this.pollFixture(fixtureId, entry)));
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ ${this.serviceName} tick failed:`, error.message);
+    }
+  }
+
+  /**
+   * Reload the fixtures worth tracking, keeping the cadence of those already tracked
+   */
+  async refreshTracked() {
+    const result = await db.query(`
+      SELECT f.id, f.league_id, f.match_date, f.status,
+             s.status AS live_status, s.minute, s.home_score, s.away_score,
+             s.ht_home_score, s.ht_away_score, s.event_count
+      FROM oracle.fixtures f
+      LEFT JOIN oracle.live_match_state s ON s.fixture_id = f.id
+      WHERE f.match_date BETWEEN NOW() - make_interval(mins => $1) AND NOW() + make_interval(mins => $2)
+        AND s.finished_at IS NULL
+        AND COALESCE(f.status, 'NS') <> ALL($3)
+        AND (
+          EXISTS (SELECT 1 FROM oracle.pools p WHERE p.fixture_id = f.id::text AND p.status = 'active')
+          OR EXISTS (
+            SELECT 1 FROM oracle.daily_game_matches m
+            JOIN oracle.oddyssey_cycles c ON c.cycle_id = m.cycle_id
+            WHERE m.fixture_id::text = f.id::text AND c.is_resolved = false
+          )
+        )
+    `, [this.config.maxMatchMinutes, this.config.lookaheadMinutes, FINAL_STATES]);
+
+    const current = new Set();
+    for (const row of result.rows) {
+      const fixtureId = String(row.id);
+      current.add(fixtureId);
+
+      if (!this.tracked.has(fixtureId)) {
+        this.tracked.set(fixtureId, {
+          leagueId: row.league_id,
+          kickoff: new Date(row.match_date),
+          nextPollAt: Date.now(),
+          state: {
+            status: row.live_status || row.status || 'NS',
+            minute: row.minute,
+            score: row.home_score !== null && row.home_score !== undefined ? { home: row.home_score, away: row.away_score } : null,
+            htScore: row.ht_home_score !== null && row.ht_home_score !== undefined ? { home: row.ht_home_score, away: row.ht_away_score } : null,
+            eventCount: row.event_count || 0
+          }
+        });
+      }
+    }
+
+    for (const fixtureId of this.tracked.keys()) {
+      if (!current.has(fixtureId)) {
+        this.tracked.delete(fixtureId);
+      }
+    }
+
+    this.lastRefresh = Date.now();
+  }
+
+  /**
+   * Time until the next poll: slow before the match, faster near kick-off, fastest in play
+   */
+  intervalFor(entry) {
+    const { status } = entry.state;
+
+    if (NOT_STARTED_STATES.includes(status)) {
+      const minutesToKickoff = (entry.kickoff.getTime() - Date.now()) / 60000;
+      return minutesToKickoff <= this.config.nearKickoffMinutes
+        ? this.config.nearKickoffIntervalMs
+        : this.config.preMatchIntervalMs;
+    }
+    if (BREAK_STATES.includes(status)) {
+      return this.config.nearKickoffIntervalMs;
+    }
+    return this.config.liveIntervalMs;
+  }
+
+  async pollFixture(fixtureId, entry) {
+    // Not due again until this poll finishes
+    entry.nextPollAt = Infinity;
+    this.stats.polls++;
+
+    try {
+      const fixture = await this.sportmonks.getFixture(fixtureId, LIVE_INCLUDE, entry.leagueId);
+      if (fixture) {
+        const next = this.readState(fixture);
+        await this.applyChanges(fixtureId, entry.state, next, fixture);
+        entry.state = next;
+
+        if (FINAL_STATES.includes(next.status)) {
+          this.tracked.delete(fixtureId);
+          console.log(`🏁 Fixture ${fixtureId} finished (${next.status}) - no longer polled`);
+          return;
+        }
+      }
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`⚠️ ${this.serviceName}: failed to poll fixture ${fixtureId}:`, error.message);
+    }
+
+    entry.nextPollAt = Date.now() + this.intervalFor(entry);
+  }
+
+  readState(fixture) {
+    const scores = fixture.scores || [];
+    const tickingPeriod = (fixture.periods || []).find(period => period.ticking);
+
+    return {
+      status: fixture.state?.state || 'NS',
+      minute: tickingPeriod?.minutes ?? null,
+      score: this.sportmonks.parseScoreFromArray(scores, 'CURRENT'),
+      htScore: this.sportmonks.parseScoreFromArray(scores, '1ST_HALF'),
+      eventCount: (fixture.events || []).length
+    };
+  }
+
+  /**
+   * Persist what changed since the last poll and push it to subscribers
+   */
+  async applyChanges(fixtureId, previous, next, fixture) {
+    const statusChanged = previous.status !== next.status;
+    const scoreChanged = next.score !== null &&
+      (previous.score === null || previous.score.home !== next.score.home || previous.score.away !== next.score.away);
+
+    // New goals/cards are stored and broadcast by the events writer
+    if (next.eventCount !== previous.eventCount) {
+      await this.sportmonks.saveMatchEvents(fixtureId, fixture);
+    }
+
+    if (statusChanged) {
+      await db.query('UPDATE oracle.fixtures SET status = $1, updated_at = NOW() WHERE id = $2', [next.status, fixtureId]);
+      websocketService.broadcastStatusChange(fixtureId, next.status);
+    }
+
+    if (scoreChanged) {
+      websocketService.broadcastScoreUpdate(fixtureId, {
+        home: next.score.home,
+        away: next.score.away,
+        current: `${next.score.home}-${next.score.away}`,
+        ht: next.htScore ? `${next.htScore.home}-${next.htScore.away}` : null,
+        minute: next.minute
+      }, next.status);
+    }
+
+    if (statusChanged || scoreChanged) {
+      this.stats.updates++;
+    }
+
+    await db.query(`
+      INSERT INTO oracle.live_match_state (
+        fixture_id, status, minute, home_score, away_score, ht_home_score, ht_away_score,
+        event_count, last_polled_at, finished_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), CASE WHEN $9 THEN NOW() END)
+      ON CONFLICT (fixture_id) DO UPDATE SET
+        status = EXCLUDED.status,
+        minute = EXCLUDED.minute,
+        home_score = COALESCE(EXCLUDED.home_score, oracle.live_match_state.home_score),
+        away_score = COALESCE(EXCLUDED.away_score, oracle.live_match_state.away_score),
+        ht_home_score = COALESCE(EXCLUDED.ht_home_score, oracle.live_match_state.ht_home_score),
+        ht_away_score = COALESCE(EXCLUDED.ht_away_score, oracle.live_match_state.ht_away_score),
+        event_count = EXCLUDED.event_count,
+        last_polled_at = NOW(),
+        finished_at = EXCLUDED.finished_at
+    `, [
+      fixtureId,
+      next.status,
+      next.minute,
+      next.score?.home ?? null,
+      next.score?.away ?? null,
+      next.htScore?.home ?? null,
+      next.htScore?.away ?? null,
+      next.eventCount,
+      FINAL_STATES.includes(next.status)
+    ]);
+  }
+
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isRunning: this.isRunning,
+      trackedFixtures: this.tracked.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = LiveMatchPoller;
@@ -0,0 +1,815 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const marketSpec = require('../utils/market-spec');
+const { ODDS_MARKETS, SELECTION_LABELS } = marketSpec;
+const txManager = require('./tx-manager');
+const OddysseyMatchSelector = require('./oddyssey-match-selector');
+const GuidedMarketService = require('./guided-market-service');
+
+const POOL_CORE_ABI = [
+  'function createPool(bytes32 _predictedOutcome, uint256 _odds, uint256 _creatorStake, uint256 _eventStartTime, uint256 _eventEndTime, bytes32 _league, bytes32 _category, bytes32 _homeTeam, bytes32 _awayTeam, bytes32 _title, bool _isPrivate, uint256 _maxBetPerUser, bool _useBitr, uint8 _oracleType, uint8 _marketType, string _marketId) external payable returns (uint256)',
+  'function claim(uint256 poolId) external',
+  'function creationFeeSTT() external view returns (uint256)',
+  'function creationFeeBITR() external view returns (uint256)',
+  'event PoolCreated(uint256 indexed poolId, address indexed creator, uint256 eventStartTime, uint256 eventEndTime, uint8 oracleType, uint8 marketType, string marketId, bytes32 league, bytes32 category)'
+];
+
+const FACTORY_ABI = [
+  'function createPoolWithBoost(bytes32 _predictedOutcome, uint256 _odds, uint256 _creatorStake, uint256 _eventStartTime, uint256 _eventEndTime, bytes32 _leagueHash, bytes32 _categoryHash, bytes32 _regionHash, bytes32 _homeTeamHash, bytes32 _awayTeamHash, bytes32 _titleHash, bool _isPrivate, uint256 _maxBetPerUser, bool _useBitr, uint8 _oracleType, bytes32 _marketId, uint8 _marketType, uint8 _boostTier) external payable returns (uint256 poolId)',
+  'function getPoolCreationCost(uint256 _creatorStake, bool _useBitr, uint8 _boostTier) external view returns (uint256 totalCost, uint256 creationFee, uint256 boostCost)'
+];
+
+const BOOST_SYSTEM_ABI = [
+  'function boostPool(uint256 poolId, uint8 tier) external payable',
+  'function boostFees(uint256 tier) external view returns (uint256)'
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
+  'function allowance(address owner, address spender) external view returns (uint256)',
+  'function approve(address spender, uint256 amount) external returns (bool)'
+];
+
+const BOOST_TIERS = ['NONE', 'BRONZE', 'SILVER', 'GOLD'];
+const GUIDED_ORACLE = 0;
+const EVENT_DURATION_SECONDS = 2 * 60 * 60; // Same as GuidedMarketService
+const MAX_CREATE_ATTEMPTS = 3;
+const PENDING_WITHOUT_TX_MS = 10 * 60 * 1000;
+
+// PoolCore: BITR held by the creator discounts the creation fee (percent of the base fee paid)
+const CREATION_FEE_DISCOUNTS = [
+  [ethers.parseEther('500000'), 50n],
+  [ethers.parseEther('200000'), 70n],
+  [ethers.parseEther('50000'), 80n],
+  [ethers.parseEther('5000'), 90n]
+];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function hashText(text) {
+  return ethers.keccak256(ethers.toUtf8Bytes(text || ''));
+}
+
+/**
+ * Market from config, e.g. "1X2:FT" or "OU:FT:2.5", with a spec per selection
+ */
+function parseMarketKey(key) {
+  const [family, period, line = ''] = key.split(':');
+  const oddsMarketId = ODDS_MARKETS[`${family}:${period}`];
+  if (!oddsMarketId) {
+    throw new MarketMakerError(`Unsupported market "${key}", expected 1X2:FT, 1X2:1H, OU:FT:<line>, OU:1H:<line> or BTTS:FT`);
+  }
+
+  let specs;
+  try {
+    specs = marketSpec.FAMILIES[family].selections
+      .map(selection => marketSpec.deserialize(`${family}:${period}:${line}:${selection}`));
+  } catch (error) {
+    throw new MarketMakerError(`Invalid market "${key}": ${error.message}`);
+  }
+
+  return { key, oddsMarketId, total: family === 'OU' ? specs[0].line : null, specs };
+}
+
+/**
+ * Market Maker Agent
+ *
+ * Seeds guided football pools so upcoming fixtures have something to bet on.
+ * Each run:
+ * - follows up creations still in the transaction queue and marks pools the
+ *   indexer has settled, recording what they paid back
+ * - claims the agent's winnings (`claimWinnings`)
+ * - ranks fixtures in the next `lookaheadDays` with the Oddyssey match
+ *   selector (league priority + match quality) plus odds completeness
+ * - prices the first configured market that has a selection inside the odds
+ *   band: fair odds are the consensus margin-removed price, or the median
+ *   margin-removed price of the bookmakers in fixture_odds when there is no
+ *   consensus; the pool offers fair odds less `marginPercent` on the likeliest
+ *   selection, with the agent as creator taking the other side
+ * - creates the pool through the transaction queue as long as the bankroll,
+ *   league and market limits leave room for its stake and creation fee
+ *
+ * One pool per fixture: pools on a fixture share its market id and fixture
+ * mapping, which pool sync reads the outcome text from.
+ *
+ * Pools are created one per transaction. BitredictPoolFactory.batchCreatePools
+ * takes no market id or teams, so pools it made could not be settled by the
+ * guided oracle (and the deployed factory reverts it).
+ */
+class MarketMakerAgent {
+  constructor() {
+    this.serviceName = 'MarketMakerAgent';
+    this.config = config.marketMaker;
+    this.selector = null;
+    this.guidedMarketService = null;
+    this.wallet = null;
+  }
+
+  /**
+   * Run a single pass
+   */
+  async run({ dryRun = this.config.dryRun } = {}) {
+    if (!this.config.enabled) {
+      console.log(`⏸️ ${this.serviceName}: Disabled (set MM_AGENT_ENABLED=true to enable)`);
+      return { created: 0 };
+    }
+
+    this.setup();
+    console.log(`🤖 ${this.serviceName}: Running for ${this.address} via ${this.config.createVia}${dryRun ? ' (dry run)' : ''}...`);
+
+    if (!dryRun) {
+      await this.resolvePending();
+    }
+    const settled = await this.syncSettlements();
+    const claimed = this.config.claimWinnings && !dryRun ? await this.claimWinnings() : 0;
+    const created = await this.seedPools(dryRun);
+
+    const pnl = await this.getPnl();
+    for (const row of pnl.totals) {
+      console.log(`📈 ${this.serviceName}: ${row.token} - ${row.pools} pools (${row.openPools} open), exposure ${row.openExposure}, realized P&L ${row.realizedPnl}`);
+    }
+
+    console.log(`✅ ${this.serviceName}: Run complete - Created: ${created}, Settled: ${settled}, Claimed: ${claimed}`);
+    return { created, settled, claimed, pnl: pnl.totals };
+  }
+
+  setup() {
+    if (this.wallet) {
+      return;
+    }
+
+    if (!['core', 'factory'].includes(this.config.createVia)) {
+      throw new MarketMakerError(`MM_CREATE_VIA must be core or factory, got "${this.config.createVia}"`);
+    }
+    if (!BOOST_TIERS.includes(this.config.boostTier)) {
+      throw new MarketMakerError(`MM_BOOST_TIER must be one of ${BOOST_TIERS.join(', ')}`);
+    }
+    if (!this.config.privateKey) {
+      throw new MarketMakerError('MM_PRIVATE_KEY (or PRIVATE_KEY) is required');
+    }
+
+    this.stake = ethers.parseEther(this.config.stakePerPool);
+    const minStake = ethers.parseEther(this.config.useBitr ? '1000' : '5');
+    if (this.stake < minStake) {
+      throw new MarketMakerError(`MM_STAKE_PER_POOL must be at least ${ethers.formatEther(minStake)} ${this.token()}`);
+    }
+    this.limits = {
+      bankroll: ethers.parseEther(this.config.bankroll),
+      league: ethers.parseEther(this.config.maxPerLeague),
+      market: ethers.parseEther(this.config.maxPerMarket)
+    };
+    this.markets = this.config.markets.map(parseMarketKey);
+    this.boostTier = BOOST_TIERS.indexOf(this.config.boostTier);
+
+    this.wallet = new ethers.Wallet(this.config.privateKey, txManager.getProvider());
+    this.address = txManager.registerSigner(this.wallet);
+
+    const addresses = config.blockchain.contractAddresses;
+    this.poolCore = new ethers.Contract(addresses.poolCore, POOL_CORE_ABI, this.wallet);
+    this.factory = new ethers.Contract(addresses.factory, FACTORY_ABI, this.wallet);
+    this.boostSystem = new ethers.Contract(addresses.boostSystem, BOOST_SYSTEM_ABI, this.wallet);
+    this.bitrToken = new ethers.Contract(addresses.bitrToken, ERC20_ABI, this.wallet);
+  }
+
+  token() {
+    return this.config.useBitr ? 'BITR' : 'STT';
+  }
+
+  // =====================================================
+  // Seeding
+  // =====================================================
+
+  async seedPools(dryRun) {
+    const exposure = await this.loadExposure();
+    const candidates = await this.findCandidates();
+    console.log(`🔎 ${this.serviceName}: ${candidates.length} candidate fixtures, ${ethers.formatEther(exposure.total)}/${this.config.bankroll} ${this.token()} committed`);
+
+    let created = 0;
+    let cost = await this.getCreationCost();
+    for (const fixture of candidates) {
+      if (created >= this.config.maxPoolsPerRun) {
+        break;
+      }
+
+      const committed = this.stake + cost.creationFee;
+      if (exposure.total + committed > this.limits.bankroll) {
+        console.log(`💼 ${this.serviceName}: Bankroll fully committed, not creating more pools`);
+        break;
+      }
+      if ((exposure.byLeague.get(fixture.league) || 0n) + committed > this.limits.league) {
+        continue;
+      }
+
+      const quote = await this.quoteFixture(fixture, exposure, committed);
+      if (!quote) {
+        continue;
+      }
+
+      const summary = `${fixture.homeTeam} vs ${fixture.awayTeam} (${fixture.league}): ${marketSpec.label(quote.spec)} @ ${(quote.odds / 100).toFixed(2)} (fair ${quote.fairOdds.toFixed(2)}, ${quote.bookmakerCount} bookmakers)`;
+      if (dryRun) {
+        console.log(`📝 ${this.serviceName}: Would create ${summary}`);
+      } else {
+        try {
+          await this.createPool(fixture, quote, cost);
+          console.log(`🎯 ${this.serviceName}: Created ${summary}`);
+          cost = await this.getCreationCost();
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: Failed to create pool for fixture ${fixture.fixtureId}:`, error.message);
+          if (error.code === 'INSUFFICIENT_FUNDS') {
+            break;
+          }
+          continue;
+        }
+      }
+
+      exposure.total += committed;
+      exposure.byLeague.set(fixture.league, (exposure.byLeague.get(fixture.league) || 0n) + committed);
+      exposure.byMarket.set(quote.market.key, (exposure.byMarket.get(quote.market.key) || 0n) + committed);
+      created++;
+    }
+
+    return created;
+  }
+
+  /**
+   * Stake and creation fees committed to pools that haven't settled, in the configured token
+   */
+  async loadExposure() {
+    const result = await db.query(`
+      SELECT league, market_key, SUM(creator_stake + creation_fee) AS committed
+      FROM oracle.market_maker_positions
+      WHERE status IN ('pending', 'open') AND use_bitr = $1
+      GROUP BY league, market_key
+    `, [this.config.useBitr]);
+
+    const exposure = { total: 0n, byLeague: new Map(), byMarket: new Map() };
+    for (const row of result.rows) {
+      const committed = BigInt(row.committed);
+      exposure.total += committed;
+      exposure.byLeague.set(row.league, (exposure.byLeague.get(row.league) || 0n) + committed);
+      exposure.byMarket.set(row.market_key, (exposure.byMarket.get(row.market_key) || 0n) + committed);
+    }
+    return exposure;
+  }
+
+  /**
+   * Upcoming fixtures with 1X2 and O/U 2.5 priced, best first
+   */
+  async findCandidates() {
+    this.selector = this.selector || new OddysseyMatchSelector();
+
+    const taken = await db.query(`
+      SELECT fixture_id FROM oracle.market_maker_positions
+      WHERE status != 'failed' OR attempts >= $1
+    `, [MAX_CREATE_ATTEMPTS]);
+    const takenFixtures = new Set(taken.rows.map(row => row.fixture_id));
+
+    const fixtures = [];
+    for (let day = 0; day < this.config.lookaheadDays; day++) {
+      const date = new Date(Date.now() + day * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      fixtures.push(...await this.selector.getFixturesWithOdds(date));
+    }
+
+    const earliestStart = Date.now() + this.config.minLeadMinutes * 60 * 1000;
+    return fixtures
+      .filter(fixture => !takenFixtures.has(String(fixture.fixtureId)) &&
+        fixture.matchDate.getTime() > earliestStart &&
+        fixture.oddsCompleteness >= this.config.minCompleteness &&
+        fixture.bookmakerCount >= this.config.minBookmakers)
+      .map(fixture => ({ ...fixture, score: this.scoreFixture(fixture) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  scoreFixture(fixture) {
+    return this.selector.getLeaguePriority(fixture.league, fixture.homeTeam, fixture.awayTeam) +
+      this.selector.calculateMatchQuality(fixture) +
+      fixture.oddsCompleteness * 100;
+  }
+
+  /**
+   * Price the first configured market with room left and a selection inside the odds band
+   */
+  async quoteFixture(fixture, exposure, committed) {
+    for (const market of this.markets) {
+      if ((exposure.byMarket.get(market.key) || 0n) + committed > this.limits.market) {
+        continue;
+      }
+
+      const fairOdds = await this.getFairOdds(fixture.fixtureId, market);
+      if (!fairOdds) {
+        continue;
+      }
+
+      const offer = market.specs
+        .map(spec => ({ spec, fair: fairOdds.prices.get(spec.selection) }))
+        .filter(({ fair }) => fair >= this.config.minOdds && fair <= this.config.maxOdds)
+        .sort((a, b) => a.fair - b.fair)[0];
+      if (!offer) {
+        continue;
+      }
+
+      // Contract odds: 2 decimals, above 1.00x and at most 100x
+      const odds = Math.min(Math.round(offer.fair * (1 - this.config.marginPercent / 100) * 100), 10000);
+      if (odds <= 100) {
+        continue;
+      }
+
+      return { market, spec: offer.spec, fairOdds: offer.fair, odds, bookmakerCount: fairOdds.bookmakerCount };
+    }
+    return null;
+  }
+
+  /**
+   * Fair price per selection: the consensus fair value, or derived from the
+   * bookmaker prices when the consensus has none for every selection
+   */
+  async getFairOdds(fixtureId, market) {
+    const result = await db.query(`
+      SELECT label, fair_value, bookmaker_count
+      FROM oracle.fixture_odds_consensus
+      WHERE fixture_id = $1 AND market_id = $2 AND ($3::numeric IS NULL OR total = $3::numeric)
+    `, [String(fixtureId), market.oddsMarketId, market.total]);
+
+    const byLabel = new Map(result.rows.map(row => [row.label, row]));
+    const rows = market.specs.map(spec => byLabel.get(SELECTION_LABELS[spec.selection][0]));
+    if (rows.every(row => row && row.fair_value !== null && parseFloat(row.fair_value) > 1)) {
+      return {
+        prices: new Map(market.specs.map((spec, i) => [spec.selection, parseFloat(rows[i].fair_value)])),
+        bookmakerCount: Math.min(...rows.map(row => row.bookmaker_count))
+      };
+    }
+
+    return this.getFairOddsFromBookmakers(fixtureId, market);
+  }
+
+  /**
+   * Remove each bookmaker's margin (bookmakers pricing every selection only) and take the median
+   */
+  async getFairOddsFromBookmakers(fixtureId, market) {
+    const result = await db.query(`
+      SELECT bookmaker_id, label, value
+      FROM oracle.fixture_odds
+      WHERE fixture_id = $1 AND market_id = $2 AND ($3::numeric IS NULL OR total = $3::numeric)
+        AND value > 1 AND NOT COALESCE(stopped, false)
+    `, [String(fixtureId), market.oddsMarketId, market.total]);
+
+    const books = new Map();
+    for (const row of result.rows) {
+      const spec = market.specs.find(candidate => SELECTION_LABELS[candidate.selection]
+        .some(label => label.toLowerCase() === String(row.label).toLowerCase()));
+      if (!spec) {
+        continue;
+      }
+      if (!books.has(row.bookmaker_id)) {
+        books.set(row.bookmaker_id, new Map());
+      }
+      books.get(row.bookmaker_id).set(spec.selection, parseFloat(row.value));
+    }
+
+    const fairPrices = new Map(market.specs.map(spec => [spec.selection, []]));
+    for (const prices of books.values()) {
+      if (prices.size !== market.specs.length) {
+        continue;
+      }
+      const overround = [...prices.values()].reduce((sum, price) => sum + 1 / price, 0);
+      for (const [selection, price] of prices) {
+        fairPrices.get(selection).push(price * overround);
+      }
+    }
+
+    const bookmakerCount = fairPrices.get(market.specs[0].selection).length;
+    if (bookmakerCount < this.config.minBookmakers) {
+      return null;
+    }
+    return {
+      prices: new Map([...fairPrices].map(([selection, prices]) => [selection, median(prices)])),
+      bookmakerCount
+    };
+  }
+
+  /**
+   * Creation fee and boost fee for the next pool. PoolCore discounts its fee by
+   * the creator's BITR balance, so it is worked out per pool.
+   */
+  async getCreationCost() {
+    if (this.config.createVia === 'factory') {
+      const [totalCost, creationFee, boostFee] = await this.factory.getPoolCreationCost(this.stake, this.config.useBitr, this.boostTier);
+      return { creationFee, boostFee, totalCost };
+    }
+
+    const [baseFee, bitrBalance, boostFee] = await Promise.all([
+      this.config.useBitr ? this.poolCore.creationFeeBITR() : this.poolCore.creationFeeSTT(),
+      this.bitrToken.balanceOf(this.address),
+      this.boostTier > 0 ? this.boostSystem.boostFees(this.boostTier) : 0n
+    ]);
+    const discount = CREATION_FEE_DISCOUNTS.find(([minBalance]) => bitrBalance >= minBalance)?.[1] ?? 100n;
+    const creationFee = baseFee * discount / 100n;
+    return { creationFee, boostFee, totalCost: creationFee + this.stake + boostFee };
+  }
+
+  async createPool(fixture, { market, spec, fairOdds, odds, bookmakerCount }, cost) {
+    const useBitr = this.config.useBitr;
+    const viaFactory = this.config.createVia === 'factory';
+    const poolTokenCost = this.stake + cost.creationFee;
+    // Native value sent with the creation; the core route pays its boost separately
+    const value = (useBitr ? 0n : poolTokenCost) + (viaFactory ? cost.boostFee : 0n);
+    await this.checkBalance(useBitr ? poolTokenCost : 0n, value + (viaFactory ? 0n : cost.boostFee));
+
+    const predictedOutcome = marketSpec.label(spec);
+    const marketIdHash = ethers.keccak256(ethers.solidityPacked(['uint256'], [fixture.fixtureId]));
+    const eventStartTime = Math.floor(fixture.matchDate.getTime() / 1000);
+    const title = marketSpec.title(spec, { homeTeam: fixture.homeTeam, awayTeam: fixture.awayTeam });
+    const txKey = `mmCreatePool:${fixture.fixtureId}`;
+
+    const position = await this.recordPosition({
+      fixture, market, spec, predictedOutcome, marketIdHash, fairOdds, odds, bookmakerCount, cost, txKey
+    });
+    if (!position) {
+      throw new MarketMakerError(`Fixture ${fixture.fixtureId} already has a pool`, 'DUPLICATE');
+    }
+
+    try {
+      await this.storeFixtureMapping(fixture, spec, predictedOutcome, marketIdHash, odds);
+      if (useBitr) {
+        await this.ensureAllowance(viaFactory ? this.factory : this.poolCore, poolTokenCost, position.id);
+      }
+
+      const poolArgs = {
+        predictedOutcome: hashText(predictedOutcome),
+        league: hashText(fixture.league),
+        category: hashText('football'),
+        homeTeam: hashText(fixture.homeTeam),
+        awayTeam: hashText(fixture.awayTeam),
+        title: hashText(title)
+      };
+      const eventEndTime = eventStartTime + EVENT_DURATION_SECONDS;
+      const marketType = marketSpec.contractMarketType(spec);
+      const options = { key: txKey, lane: 'maintenance', value, requestedBy: 'market-maker-agent' };
+
+      const receipt = viaFactory
+        ? await txManager.sendContractCall(this.factory, 'createPoolWithBoost', [
+          poolArgs.predictedOutcome, odds, this.stake, eventStartTime, eventEndTime,
+          poolArgs.league, poolArgs.category, hashText('Global'), poolArgs.homeTeam, poolArgs.awayTeam, poolArgs.title,
+          false, 0, useBitr, GUIDED_ORACLE, marketIdHash, marketType, this.boostTier
+        ], options)
+        : await txManager.sendContractCall(this.poolCore, 'createPool', [
+          poolArgs.predictedOutcome, odds, this.stake, eventStartTime, eventEndTime,
+          poolArgs.league, poolArgs.category, poolArgs.homeTeam, poolArgs.awayTeam, poolArgs.title,
+          false, 0, useBitr, GUIDED_ORACLE, marketType, marketIdHash
+        ], options);
+
+      const created = await this.recordCreated(position, receipt);
+      if (!viaFactory && this.boostTier > 0) {
+        await this.boostPool(created, cost.boostFee);
+      }
+      return created;
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        // Still in the queue; resolvePending() picks it up on the next run
+        console.warn(`⏳ ${this.serviceName}: ${error.message}`);
+        return position;
+      }
+      await this.markFailed(position.id, error.message);
+      throw error;
+    }
+  }
+
+  async checkBalance(bitrNeeded, nativeNeeded) {
+    const [nativeBalance, bitrBalance] = await Promise.all([
+      txManager.getProvider().getBalance(this.address),
+      bitrNeeded > 0n ? this.bitrToken.balanceOf(this.address) : 0n
+    ]);
+    if (nativeBalance < nativeNeeded) {
+      throw new MarketMakerError(`Insufficient STT: need ${ethers.formatEther(nativeNeeded)}, have ${ethers.formatEther(nativeBalance)}`, 'INSUFFICIENT_FUNDS');
+    }
+    if (bitrBalance < bitrNeeded) {
+      throw new MarketMakerError(`Insufficient BITR: need ${ethers.formatEther(bitrNeeded)}, have ${ethers.formatEther(bitrBalance)}`, 'INSUFFICIENT_FUNDS');
+    }
+  }
+
+  async ensureAllowance(spender, amount, positionId) {
+    const spenderAddress = await spender.getAddress();
+    const allowance = await this.bitrToken.allowance(this.address, spenderAddress);
+    if (allowance >= amount) {
+      return;
+    }
+
+    await txManager.sendContractCall(this.bitrToken, 'approve', [spenderAddress, amount], {
+      key: `mmApprove:${positionId}`,
+      lane: 'maintenance',
+      requestedBy: 'market-maker-agent'
+    });
+  }
+
+  async storeFixtureMapping(fixture, spec, predictedOutcome, marketIdHash, odds) {
+    this.guidedMarketService = this.guidedMarketService || new GuidedMarketService();
+    await this.guidedMarketService.storeFixtureMapping(marketIdHash, fixture.fixtureId, fixture.homeTeam, fixture.awayTeam, fixture.league, {
+      matchDate: fixture.matchDate,
+      predictedOutcome,
+      readableOutcome: predictedOutcome,
+      marketType: marketSpec.marketDescription(spec),
+      marketSpec: spec,
+      oddsDecimal: odds / 100,
+      creatorStakeWei: this.stake.toString(),
+      paymentToken: this.token(),
+      useBitr: this.config.useBitr,
+      description: 'Seeded by the market maker agent'
+    });
+  }
+
+  /**
+   * Claim the fixture (new, or a failed creation with attempts left) before sending anything
+   */
+  async recordPosition({ fixture, market, spec, predictedOutcome, marketIdHash, fairOdds, odds, bookmakerCount, cost, txKey }) {
+    const viaFactory = this.config.createVia === 'factory';
+    const result = await db.query(`
+      INSERT INTO oracle.market_maker_positions (
+        fixture_id, league, home_team, away_team, event_start_time, market_key, market_spec_key,
+        predicted_outcome, market_id_hash, fair_odds, odds, bookmaker_count, use_bitr,
+        creator_stake, creation_fee, boost_tier, boost_fee, create_via, signer_address, tx_key
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      ON CONFLICT (fixture_id) DO UPDATE SET
+        market_key = EXCLUDED.market_key, market_spec_key = EXCLUDED.market_spec_key,
+        predicted_outcome = EXCLUDED.predicted_outcome, fair_odds = EXCLUDED.fair_odds, odds = EXCLUDED.odds,
+        bookmaker_count = EXCLUDED.bookmaker_count, use_bitr = EXCLUDED.use_bitr,
+        creator_stake = EXCLUDED.creator_stake, creation_fee = EXCLUDED.creation_fee,
+        boost_tier = EXCLUDED.boost_tier, boost_fee = EXCLUDED.boost_fee, create_via = EXCLUDED.create_via,
+        signer_address = EXCLUDED.signer_address, status = 'pending', last_error = NULL,
+        attempts = oracle.market_maker_positions.attempts + 1, updated_at = NOW()
+      WHERE oracle.market_maker_positions.status = 'failed'
+        AND oracle.market_maker_positions.attempts < $21
+      RETURNING *
+    `, [
+      String(fixture.fixtureId), fixture.league, fixture.homeTeam, fixture.awayTeam, fixture.matchDate,
+      market.key, marketSpec.serialize(spec), predictedOutcome, marketIdHash, fairOdds, odds, bookmakerCount,
+      this.config.useBitr, this.stake.toString(), cost.creationFee.toString(),
+      viaFactory ? this.config.boostTier : 'NONE', viaFactory ? cost.boostFee.toString() : '0',
+      this.config.createVia, this.address, txKey, MAX_CREATE_ATTEMPTS
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Read the pool id and on-chain creator from the PoolCreated event
+   */
+  async recordCreated(position, receipt) {
+    const poolCoreAddress = (await this.poolCore.getAddress()).toLowerCase();
+    const event = receipt.logs
+      .filter(log => log.address.toLowerCase() === poolCoreAddress)
+      .map(log => {
+        try {
+          return this.poolCore.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .find(parsed => parsed?.name === 'PoolCreated');
+    if (!event) {
+      throw new MarketMakerError(`No PoolCreated event in ${receipt.hash}`);
+    }
+
+    const result = await db.query(`
+      UPDATE oracle.market_maker_positions SET
+        status = 'open', pool_id = $2, creator_address = $3, tx_hash = $4, last_error = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [position.id, event.args.poolId.toString(), event.args.creator.toLowerCase(), receipt.hash]);
+    return result.rows[0];
+  }
+
+  async boostPool(position, boostFee) {
+    try {
+      await txManager.sendContractCall(this.boostSystem, 'boostPool', [position.pool_id, this.boostTier], {
+        key: `mmBoostPool:${position.pool_id}`,
+        lane: 'maintenance',
+        value: boostFee,
+        requestedBy: 'market-maker-agent'
+      });
+      await db.query(`
+        UPDATE oracle.market_maker_positions SET boost_tier = $2, boost_fee = $3, updated_at = NOW()
+        WHERE id = $1
+      `, [position.id, this.config.boostTier, boostFee.toString()]);
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Pool ${position.pool_id} created but not boosted: ${error.message}`);
+    }
+  }
+
+  async markFailed(positionId, message) {
+    await db.query(`
+      UPDATE oracle.market_maker_positions SET status = 'failed', last_error = $2, updated_at = NOW()
+      WHERE id = $1
+    `, [positionId, message]);
+  }
+
+  // =====================================================
+  // Follow-up
+  // =====================================================
+
+  /**
+   * Creations that were still in the transaction queue when a run stopped waiting
+   */
+  async resolvePending() {
+    const pending = await db.query(`SELECT * FROM oracle.market_maker_positions WHERE status = 'pending' ORDER BY id`);
+    if (pending.rows.length > 0) {
+      // Moves our transactions along when no dispatcher is running
+      await txManager.tick(this.address);
+    }
+
+    for (const position of pending.rows) {
+      try {
+        const tx = (await txManager.listTransactions({ key: position.tx_key, limit: 20 }))
+          .find(row => row.idempotency_key === position.tx_key);
+
+        if (!tx) {
+          if (Date.now() - new Date(position.updated_at).getTime() > PENDING_WITHOUT_TX_MS) {
+            await this.markFailed(position.id, 'Creation was never queued');
+          }
+        } else if (tx.status === 'confirmed') {
+          const receipt = await txManager.getProvider().getTransactionReceipt(tx.tx_hash);
+          const created = await this.recordCreated(position, receipt);
+          if (position.create_via === 'core' && this.boostTier > 0) {
+            await this.boostPool(created, (await this.getCreationCost()).boostFee);
+          }
+        } else if (['reverted', 'failed', 'dropped'].includes(tx.status)) {
+          await this.markFailed(position.id, tx.last_error || `Creation ${tx.status}`);
+        }
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Failed to resolve position ${position.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Record what settled pools pay the agent. Payouts go to the on-chain creator,
+   * which is the factory for factory-created pools.
+   */
+  async syncSettlements() {
+    const result = await db.query(`
+      SELECT m.id, m.pool_id, m.creator_stake, m.odds, m.signer_address, m.creator_address,
+        p.status AS pool_status, p.creator_side_won, p.total_bettor_stake
+      FROM oracle.market_maker_positions m
+      JOIN oracle.pools p ON p.pool_id::bigint = m.pool_id
+      WHERE m.status = 'open' AND p.is_settled = true
+    `);
+
+    for (const row of result.rows) {
+      const { outcome, returnAmount } = this.settlementReturn(row);
+      await db.query(`
+        UPDATE oracle.market_maker_positions SET
+          status = 'settled', outcome = $2, return_amount = $3,
+          pnl = $3::numeric - creator_stake - creation_fee, settled_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [row.id, outcome, returnAmount.toString()]);
+      console.log(`🏁 ${this.serviceName}: Pool ${row.pool_id} settled - ${outcome}, returns ${ethers.formatEther(returnAmount)}`);
+    }
+    return result.rows.length;
+  }
+
+  settlementReturn(row) {
+    const paysAgent = row.creator_address === row.signer_address;
+    const stake = BigInt(row.creator_stake);
+
+    if (row.pool_status === 'refunded') {
+      return { outcome: 'refunded', returnAmount: paysAgent ? stake : 0n };
+    }
+    if (!row.creator_side_won) {
+      return { outcome: 'lost', returnAmount: 0n };
+    }
+
+    // ClaimCalculations.calculateCreatorClaim
+    const maxReward = stake + stake * 100n / BigInt(row.odds - 100);
+    const available = stake + BigInt(row.total_bettor_stake || 0);
+    return { outcome: 'won', returnAmount: paysAgent ? (maxReward < available ? maxReward : available) : 0n };
+  }
+
+  async claimWinnings() {
+    const result = await db.query(`
+      SELECT m.pool_id
+      FROM oracle.market_maker_positions m
+      WHERE m.status = 'settled' AND m.outcome = 'won' AND m.return_amount > 0
+        AND NOT EXISTS (
+          SELECT 1 FROM oracle.claims_ledger c
+          WHERE c.source = 'pool' AND c.source_id = m.pool_id AND LOWER(c.user_address) = m.signer_address
+        )
+      ORDER BY m.pool_id
+    `);
+
+    let claimed = 0;
+    for (const { pool_id: poolId } of result.rows) {
+      try {
+        const receipt = await txManager.sendContractCall(this.poolCore, 'claim', [poolId], {
+          key: `mmClaim:${poolId}`,
+          lane: 'maintenance',
+          requestedBy: 'market-maker-agent'
+        });
+        console.log(`💰 ${this.serviceName}: Claimed pool ${poolId}: ${receipt.hash}`);
+        claimed++;
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Failed to claim pool ${poolId}:`, error.message);
+      }
+    }
+    return claimed;
+  }
+
+  // =====================================================
+  // Reporting
+  // =====================================================
+
+  /**
+   * P&L per token, and per league and market. Amounts are in tokens; boost fees
+   * are paid in STT whatever the pool token and are not included in the P&L.
+   */
+  async getPnl() {
+    const [totals, byLeague, byMarket] = await Promise.all([
+      this.queryPnl(null),
+      this.queryPnl('league'),
+      this.queryPnl('market_key')
+    ]);
+
+    return {
+      totals,
+      byLeague: byLeague.map(({ group, ...row }) => ({ league: group, ...row })),
+      byMarket: byMarket.map(({ group, ...row }) => ({ market: group, ...row }))
+    };
+  }
+
+  async queryPnl(groupColumn) {
+    const group = groupColumn ? `m.${groupColumn}` : 'NULL';
+    const groupBy = groupColumn ? 'GROUP BY 1, 2' : 'GROUP BY 1';
+    const result = await db.query(`
+      SELECT
+        CASE WHEN m.use_bitr THEN 'BITR' ELSE 'STT' END AS token,
+        ${group} AS "group",
+        COUNT(*)::int AS pools,
+        COUNT(*) FILTER (WHERE m.status IN ('pending', 'open'))::int AS open_pools,
+        COUNT(*) FILTER (WHERE m.outcome = 'won')::int AS won,
+        COUNT(*) FILTER (WHERE m.outcome = 'lost')::int AS lost,
+        COUNT(*) FILTER (WHERE m.outcome = 'refunded')::int AS refunded,
+        COALESCE(SUM(m.creator_stake + m.creation_fee) FILTER (WHERE m.status IN ('pending', 'open')), 0) AS open_exposure,
+        COALESCE(SUM(m.creator_stake + m.creation_fee) FILTER (WHERE m.status = 'settled'), 0) AS settled_cost,
+        COALESCE(SUM(m.return_amount), 0) AS returned,
+        COALESCE(SUM(m.pnl), 0) AS realized_pnl,
+        COALESCE(SUM(m.boost_fee), 0) AS boost_fees,
+        COALESCE(SUM(c.amount), 0) AS claimed
+      FROM oracle.market_maker_positions m
+      LEFT JOIN LATERAL (
+        SELECT SUM(amount) AS amount FROM oracle.claims_ledger
+        WHERE source = 'pool' AND source_id = m.pool_id AND LOWER(user_address) = m.signer_address
+      ) c ON true
+      WHERE m.status != 'failed'
+      ${groupBy}
+      ORDER BY 1, realized_pnl DESC
+    `);
+
+    return result.rows.map(row => {
+      const settledCost = BigInt(row.settled_cost);
+      const realizedPnl = BigInt(row.realized_pnl);
+      return {
+        token: row.token,
+        group: row.group,
+        pools: row.pools,
+        openPools: row.open_pools,
+        won: row.won,
+        lost: row.lost,
+        refunded: row.refunded,
+        openExposure: ethers.formatEther(BigInt(row.open_exposure)),
+        settledCost: ethers.formatEther(settledCost),
+        returned: ethers.formatEther(BigInt(row.returned)),
+        claimed: ethers.formatEther(BigInt(row.claimed)),
+        realizedPnl: ethers.formatEther(realizedPnl),
+        roiPercent: settledCost > 0n ? Number(realizedPnl * 10000n / settledCost) / 100 : null,
+        boostFeesStt: ethers.formatEther(BigInt(row.boost_fees))
+      };
+    });
+  }
+
+  async getPositions({ status = null, league = null, limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT * FROM oracle.market_maker_positions
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR league = $2)
+      ORDER BY id DESC
+      LIMIT $3 OFFSET $4
+    `, [status, league, limit, offset]);
+    return result.rows;
+  }
+}
+
+/**
+ * Configuration and funding problems; `code` is INSUFFICIENT_FUNDS when the wallet can't pay for a pool
+ */
+class MarketMakerError extends Error {
+  constructor(message, code = 'INVALID_CONFIG') {
+    super(message);
+    this.name = 'MarketMakerError';
+    this.code = code;
+  }
+}
+
+module.exports = MarketMakerAgent;
+module.exports.MarketMakerError = MarketMakerError;
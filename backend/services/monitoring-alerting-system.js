@@ -7,14 +7,12 @@
  * ROOT CAUSE FIX: Proactive detection and prevention of data issues
  */
 
-const AutomatedTestingSystem = require('./automated-testing-system');
-const StandardizedDataFlow = require('./standardized-data-flow');
 const db = require('../db/db');
 
 class MonitoringAlertingSystem {
   constructor() {
-    this.testingSystem = new AutomatedTestingSystem();
-    this.dataFlow = new StandardizedDataFlow();
+    this._testingSystem = null;
+    this._dataFlow = null;
     
     // Monitoring configuration
     this.config = {
@@ -60,6 +58,23 @@ class MonitoringAlertingSystem {
     };
   }
 
+  // Loaded on first use, so callers that only raise alerts don't need the test harness
+  get testingSystem() {
+    if (!this._testingSystem) {
+      const AutomatedTestingSystem = require('./automated-testing-system');
+      this._testingSystem = new AutomatedTestingSystem();
+    }
+    return this._testingSystem;
+  }
+
+  get dataFlow() {
+    if (!this._dataFlow) {
+      const StandardizedDataFlow = require('./standardized-data-flow');
+      this._dataFlow = new StandardizedDataFlow();
+    }
+    return this._dataFlow;
+  }
+
   /**
    * Start continuous monitoring
    */
@@ -0,0 +1,48 @@
+/**
+ * Base class for notification delivery channels
+ *
+ * A channel sends one rendered message to one target:
+ *   send(target, message, { secret }) where message is
+ *   { kind, subject, text, notifications: [{ type, title, message, data, createdAt }] }
+ * Several notifications in one message are a digest. `kind` is 'notification'
+ * or 'verification' (message.code holds the code).
+ *
+ * Failures throw DeliveryError; permanent ones (bad target, rejected by the
+ * receiver) are not retried by the outbox.
+ */
+class BaseNotificationChannel {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the channel has what it needs to send (credentials, host...)
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Check and normalize a user-supplied target
+   * @returns {string}
+   */
+  normalizeTarget(target) {
+    throw new Error(`${this.name}: normalizeTarget not implemented`);
+  }
+
+  async send(target, message, options = {}) {
+    throw new Error(`${this.name}: send not implemented`);
+  }
+}
+
+class DeliveryError extends Error {
+  constructor(message, { permanent = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.permanent = permanent;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+module.exports = BaseNotificationChannel;
+module.exports.DeliveryError = DeliveryError;
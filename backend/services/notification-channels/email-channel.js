@@ -0,0 +1,62 @@
+const nodemailer = require('nodemailer');
+const BaseNotificationChannel = require('./base-channel');
+const { DeliveryError } = require('./base-channel');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Email over SMTP (nodemailer)
+ *
+ * Any SMTP server works, including a local sink such as MailHog or
+ * smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025) for testing. 5xx replies
+ * from the server are permanent; everything else is retried.
+ */
+class EmailNotificationChannel extends BaseNotificationChannel {
+  constructor({ host, port = 587, secure = false, user, pass, from } = {}) {
+    super('email');
+    this.options = { host, port, secure, user, pass };
+    this.from = from;
+    this.transport = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.options.host);
+  }
+
+  normalizeTarget(target) {
+    const address = String(target).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(address) || address.length > 254) {
+      throw new DeliveryError('Invalid email address', { permanent: true });
+    }
+    return address;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = this.options;
+      this.transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+    return this.transport;
+  }
+
+  async send(target, message) {
+    try {
+      await this.getTransport().sendMail({
+        from: this.from,
+        to: target,
+        subject: message.subject,
+        text: message.text
+      });
+    } catch (error) {
+      const permanent = Number(error.responseCode) >= 500;
+      throw new DeliveryError(`SMTP delivery failed: ${error.message}`, { permanent });
+    }
+  }
+}
+
+module.exports = EmailNotificationChannel;
@@ -0,0 +1,38 @@
+const config = require('../../config');
+const WebhookNotificationChannel = require('./webhook-channel');
+const EmailNotificationChannel = require('./email-channel');
+const TelegramNotificationChannel = require('./telegram-channel');
+const { DeliveryError } = require('./base-channel');
+
+const CHANNELS = {
+  webhook: WebhookNotificationChannel,
+  email: EmailNotificationChannel,
+  telegram: TelegramNotificationChannel
+};
+
+/**
+ * Build the configured notification channels (NOTIFICATION_CHANNELS), keyed by
+ * name. Channels missing their settings (SMTP host, bot token) are left out.
+ * @param {string[]} [names]
+ * @param {Object} [options] - Per-channel constructor options, keyed by name
+ */
+function createNotificationChannels(names = config.notifications.channels, options = config.notifications) {
+  const channels = {};
+  for (const name of names) {
+    const Channel = CHANNELS[name];
+    if (!Channel) {
+      throw new Error(`Unknown notification channel: ${name} (available: ${Object.keys(CHANNELS).join(', ')})`);
+    }
+    const channel = new Channel(options[name]);
+    if (channel.isConfigured()) {
+      channels[name] = channel;
+    }
+  }
+  return channels;
+}
+
+module.exports = {
+  createNotificationChannels,
+  CHANNELS,
+  DeliveryError
+};
@@ -0,0 +1,65 @@
+const fetch = require('node-fetch');
+const BaseNotificationChannel = require('./base-channel');
+const { DeliveryError } = require('./base-channel');
+
+/**
+ * Telegram bot messages (Bot API sendMessage)
+ *
+ * The target is the chat id the user gets from our bot. 400 and 403 (chat not
+ * found, bot blocked) are permanent; 429 is retried after `retry_after`.
+ */
+class TelegramNotificationChannel extends BaseNotificationChannel {
+  constructor({ botToken, apiBaseUrl = 'https://api.telegram.org', timeoutMs = 10000 } = {}) {
+    super('telegram');
+    this.botToken = botToken;
+    this.apiBaseUrl = apiBaseUrl.replace(/\/$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return Boolean(this.botToken);
+  }
+
+  normalizeTarget(target) {
+    const chatId = String(target).trim();
+    if (!/^-?\d{1,20}$/.test(chatId)) {
+      throw new DeliveryError('Telegram chat id must be numeric', { permanent: true });
+    }
+    return chatId;
+  }
+
+  async send(target, message) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let result;
+    try {
+      const response = await fetch(`${this.apiBaseUrl}/bot${this.botToken}/sendMessage`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: target,
+          text: `${message.subject}\n\n${message.text}`.slice(0, 4096),
+          disable_web_page_preview: true
+        })
+      });
+      result = await response.json().catch(() => ({ ok: false, error_code: response.status }));
+    } catch (error) {
+      throw new DeliveryError(`Telegram request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (result.ok) {
+      return;
+    }
+    const retryAfter = result.parameters && result.parameters.retry_after;
+    throw new DeliveryError(`Telegram error ${result.error_code}: ${result.description || 'unknown'}`, {
+      permanent: result.error_code === 400 || result.error_code === 403,
+      retryAfterMs: retryAfter ? retryAfter * 1000 : null
+    });
+  }
+}
+
+module.exports = TelegramNotificationChannel;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const BaseNotificationChannel = require('./base-channel');
+const { DeliveryError } = require('./base-channel');
+
+/**
+ * Generic outbound webhook
+ *
+ * POSTs JSON { event, notifications, code? } to the user's URL. The body is
+ * signed with the channel secret:
+ *   X-Bitredict-Signature: sha256=<hex hmac of `${timestamp}.${body}`>
+ *   X-Bitredict-Timestamp: <unix seconds>
+ * 2xx is delivered; other 4xx (except 408 and 429) are treated as permanent.
+ */
+class WebhookNotificationChannel extends BaseNotificationChannel {
+  constructor({ timeoutMs = 10000, allowHttp = false } = {}) {
+    super('webhook');
+    this.timeoutMs = timeoutMs;
+    this.allowHttp = allowHttp;
+  }
+
+  normalizeTarget(target) {
+    let url;
+    try {
+      url = new URL(String(target).trim());
+    } catch (error) {
+      throw new DeliveryError('Webhook target must be a URL', { permanent: true });
+    }
+    if (url.protocol !== 'https:' && !(this.allowHttp && url.protocol === 'http:')) {
+      throw new DeliveryError('Webhook URL must use https', { permanent: true });
+    }
+    return url.toString();
+  }
+
+  async send(target, message, { secret } = {}) {
+    const body = JSON.stringify({
+      event: message.kind === 'verification' ? 'verification' : (message.notifications.length > 1 ? 'digest' : 'notification'),
+      subject: message.subject,
+      notifications: message.notifications,
+      ...(message.code ? { code: message.code } : {})
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', secret || '').update(`${timestamp}.${body}`).digest('hex');
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(target, {
+        method: 'POST',
+        signal: controller.signal,
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Bitredict-Webhook/1.0',
+          'X-Bitredict-Timestamp': timestamp,
+          'X-Bitredict-Signature': `sha256=${signature}`
+        },
+        body
+      });
+    } catch (error) {
+      throw new DeliveryError(`Webhook request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (response.ok) {
+      return;
+    }
+    const permanent = response.status >= 300 && response.status < 500 &&
+      response.status !== 408 && response.status !== 429;
+    const retryAfter = parseInt(response.headers.get('retry-after'));
+    throw new DeliveryError(`Webhook returned HTTP ${response.status}`, {
+      permanent,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+    });
+  }
+}
+
+module.exports = WebhookNotificationChannel;
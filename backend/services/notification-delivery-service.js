@@ -0,0 +1,608 @@
+const crypto = require('crypto');
+const db = require('../db/db');
+const config = require('../config');
+const { createNotificationChannels, CHANNELS } = require('./notification-channels');
+
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+/**
+ * Wall-clock hour in `timeZone` and that zone's UTC offset at `date`
+ */
+function localClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+
+  const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return { hour: get('hour'), offsetMs: wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000 };
+}
+
+/**
+ * Next instant after `date` when it is `hour`:00 in `timeZone`
+ * (uses the offset at `date`, so it can be an hour off across a DST change)
+ */
+function nextLocalHour(date, hour, timeZone) {
+  const { offsetMs } = localClock(date, timeZone);
+  const local = new Date(date.getTime() + offsetMs);
+  const target = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hour));
+  if (target <= local) {
+    target.setUTCDate(target.getUTCDate() + 1);
+  }
+  return new Date(target.getTime() - offsetMs);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Notification Delivery Service
+ *
+ * Copies notifications to the user's verified channels (webhook, email,
+ * telegram - see services/notification-channels) through
+ * core.notification_outbox. Quiet hours and digests only move a row's
+ * next_attempt_at; the outbox worker sends every due row of a channel as one
+ * message, so rows held back together go out as a digest. Failed sends are
+ * retried with exponential backoff until `maxAttempts`.
+ *
+ * A channel only receives notifications once the user has confirmed the code
+ * sent to it.
+ */
+class NotificationDeliveryService {
+  constructor() {
+    this.serviceName = 'NotificationDeliveryService';
+    this.config = config.notifications;
+    this.channels = createNotificationChannels();
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.pollTimer = null;
+  }
+
+  getAvailableChannels() {
+    return Object.keys(this.channels);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Channels
+  // ---------------------------------------------------------------------------
+
+  formatChannel(row) {
+    return {
+      channel: row.channel,
+      target: row.target,
+      notificationTypes: row.notification_types,
+      enabled: row.enabled,
+      verified: Boolean(row.verified_at),
+      verifiedAt: row.verified_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async getChannels(userAddress) {
+    const result = await db.query(`
+      SELECT * FROM core.notification_channels
+      WHERE user_address = $1
+      ORDER BY channel
+    `, [userAddress.toLowerCase()]);
+
+    return result.rows.map(row => this.formatChannel(row));
+  }
+
+  /**
+   * Create or update a channel. A new or changed target, or a channel that is
+   * still unverified, gets a fresh verification code.
+   *
+   * @param {string[]|null} notificationTypes - NULL delivers every type
+   * @returns {Promise<{channel: Object, secret: string|null, verificationSent: boolean}>}
+   *   `secret` is returned once, when a webhook channel is created
+   */
+  async saveChannel(userAddress, name, { target, notificationTypes = null, enabled = true }) {
+    const sender = this.channels[name];
+    if (!sender) {
+      throw new ChannelError(`Channel "${name}" is not available (available: ${this.getAvailableChannels().join(', ')})`);
+    }
+
+    let normalizedTarget;
+    try {
+      normalizedTarget = sender.normalizeTarget(target);
+    } catch (error) {
+      throw new ChannelError(error.message);
+    }
+
+    const address = userAddress.toLowerCase();
+    const existing = await db.query(
+      'SELECT * FROM core.notification_channels WHERE user_address = $1 AND channel = $2',
+      [address, name]
+    );
+    const current = existing.rows[0];
+
+    const needsVerification = !current || current.target !== normalizedTarget || !current.verified_at;
+    const secret = !current && name === 'webhook' ? crypto.randomBytes(32).toString('hex') : null;
+    const code = needsVerification ? crypto.randomInt(0, 1000000).toString().padStart(6, '0') : null;
+    const expiresAt = new Date(Date.now() + this.config.verificationTtlMinutes * 60 * 1000);
+
+    const saved = await db.transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO core.notification_channels (
+          user_address, channel, target, secret, notification_types, enabled,
+          verification_code_hash, verification_expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (user_address, channel) DO UPDATE SET
+          target = EXCLUDED.target,
+          notification_types = EXCLUDED.notification_types,
+          enabled = EXCLUDED.enabled,
+          verified_at = CASE WHEN $9 THEN NULL ELSE core.notification_channels.verified_at END,
+          verification_code_hash = CASE WHEN $9 THEN EXCLUDED.verification_code_hash ELSE core.notification_channels.verification_code_hash END,
+          verification_expires_at = CASE WHEN $9 THEN EXCLUDED.verification_expires_at ELSE core.notification_channels.verification_expires_at END,
+          verification_attempts = CASE WHEN $9 THEN 0 ELSE core.notification_channels.verification_attempts END,
+          updated_at = NOW()
+        RETURNING *
+      `, [
+        address,
+        name,
+        normalizedTarget,
+        secret,
+        notificationTypes,
+        enabled,
+        code ? hashCode(code) : null,
+        code ? expiresAt : null,
+        needsVerification
+      ]);
+      const row = result.rows[0];
+
+      if (code) {
+        // Whatever was still queued belongs to the previous target or code
+        await client.query(`
+          UPDATE core.notification_outbox SET status = 'cancelled', locked_at = NULL
+          WHERE channel_id = $1 AND status = 'pending'
+        `, [row.id]);
+        await client.query(`
+          INSERT INTO core.notification_outbox (channel_id, kind, payload)
+          VALUES ($1, 'verification', $2)
+        `, [row.id, JSON.stringify({ code, expiresAt: expiresAt.toISOString() })]);
+      }
+      return row;
+    });
+
+    console.log(`📮 ${this.serviceName}: Saved ${name} channel for ${address}${code ? ' (verification queued)' : ''}`);
+    return { channel: this.formatChannel(saved), secret, verificationSent: Boolean(code) };
+  }
+
+  async verifyChannel(userAddress, name, code) {
+    const address = userAddress.toLowerCase();
+    const result = await db.query(
+      'SELECT * FROM core.notification_channels WHERE user_address = $1 AND channel = $2',
+      [address, name]
+    );
+    const channel = result.rows[0];
+
+    if (!channel) {
+      throw new ChannelError(`No ${name} channel set up`, 404);
+    }
+    if (channel.verified_at) {
+      return this.formatChannel(channel);
+    }
+    if (!channel.verification_code_hash || new Date(channel.verification_expires_at) <= new Date()) {
+      throw new ChannelError('Verification code has expired, save the channel again for a new one', 410);
+    }
+    if (channel.verification_attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      throw new ChannelError('Too many attempts, save the channel again for a new code', 429);
+    }
+
+    const provided = Buffer.from(hashCode(String(code || '').trim()));
+    const expected = Buffer.from(channel.verification_code_hash);
+    if (!crypto.timingSafeEqual(provided, expected)) {
+      await db.query(
+        'UPDATE core.notification_channels SET verification_attempts = verification_attempts + 1 WHERE id = $1',
+        [channel.id]
+      );
+      throw new ChannelError('Invalid verification code');
+    }
+
+    const verified = await db.query(`
+      UPDATE core.notification_channels SET
+        verified_at = NOW(),
+        verification_code_hash = NULL,
+        verification_expires_at = NULL,
+        verification_attempts = 0,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [channel.id]);
+
+    console.log(`✅ ${this.serviceName}: Verified ${name} channel for ${address}`);
+    return this.formatChannel(verified.rows[0]);
+  }
+
+  async deleteChannel(userAddress, name) {
+    const result = await db.query(
+      'DELETE FROM core.notification_channels WHERE user_address = $1 AND channel = $2 RETURNING id',
+      [userAddress.toLowerCase(), name]
+    );
+    return result.rowCount > 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Delivery preferences
+  // ---------------------------------------------------------------------------
+
+  async getDeliveryPreferences(userAddress) {
+    const result = await db.query(`
+      SELECT quiet_hours_start, quiet_hours_end, timezone, digest_mode, digest_hour
+      FROM core.notification_preferences
+      WHERE user_address = $1
+    `, [userAddress.toLowerCase()]);
+
+    const row = result.rows[0] || {};
+    return {
+      quietHours: row.quiet_hours_start !== null && row.quiet_hours_start !== undefined &&
+        row.quiet_hours_end !== null && row.quiet_hours_end !== undefined
+        ? { start: row.quiet_hours_start, end: row.quiet_hours_end }
+        : null,
+      timezone: row.timezone || 'UTC',
+      digest: row.digest_mode || 'off',
+      digestHour: row.digest_hour !== undefined && row.digest_hour !== null ? row.digest_hour : 9
+    };
+  }
+
+  /**
+   * Update quiet hours ({ start, end } local hours, or null), timezone,
+   * digest ('off' | 'hourly' | 'daily') and digestHour; omitted keys are kept
+   */
+  async updateDeliveryPreferences(userAddress, updates) {
+    const current = await this.getDeliveryPreferences(userAddress);
+    const next = { ...current };
+    const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+    if (updates.quietHours !== undefined) {
+      if (updates.quietHours !== null && !(isHour(updates.quietHours.start) && isHour(updates.quietHours.end))) {
+        throw new ChannelError('quietHours must be null or { start, end } with hours 0-23');
+      }
+      next.quietHours = updates.quietHours && { start: updates.quietHours.start, end: updates.quietHours.end };
+    }
+    if (updates.timezone !== undefined) {
+      if (typeof updates.timezone !== 'string' || !isValidTimeZone(updates.timezone)) {
+        throw new ChannelError(`Unknown timezone: ${updates.timezone}`);
+      }
+      next.timezone = updates.timezone;
+    }
+    if (updates.digest !== undefined) {
+      if (!['off', 'hourly', 'daily'].includes(updates.digest)) {
+        throw new ChannelError('digest must be "off", "hourly" or "daily"');
+      }
+      next.digest = updates.digest;
+    }
+    if (updates.digestHour !== undefined) {
+      if (!isHour(updates.digestHour)) {
+        throw new ChannelError('digestHour must be an hour 0-23');
+      }
+      next.digestHour = updates.digestHour;
+    }
+
+    await db.query(`
+      INSERT INTO core.notification_preferences (
+        user_address, quiet_hours_start, quiet_hours_end, timezone, digest_mode, digest_hour
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_address) DO UPDATE SET
+        quiet_hours_start = EXCLUDED.quiet_hours_start,
+        quiet_hours_end = EXCLUDED.quiet_hours_end,
+        timezone = EXCLUDED.timezone,
+        digest_mode = EXCLUDED.digest_mode,
+        digest_hour = EXCLUDED.digest_hour,
+        updated_at = NOW()
+    `, [
+      userAddress.toLowerCase(),
+      next.quietHours ? next.quietHours.start : null,
+      next.quietHours ? next.quietHours.end : null,
+      next.timezone,
+      next.digest,
+      next.digestHour
+    ]);
+
+    return next;
+  }
+
+  /**
+   * When a notification created at `now` should go out: at the next digest
+   * slot when digests are on, then moved past quiet hours
+   */
+  getDeliveryTime(preferences, now = new Date()) {
+    let at = now;
+    if (preferences.digest === 'hourly') {
+      at = new Date(Math.ceil(now.getTime() / 3600000) * 3600000);
+    } else if (preferences.digest === 'daily') {
+      at = nextLocalHour(now, preferences.digestHour, preferences.timezone);
+    }
+
+    const quiet = preferences.quietHours;
+    if (quiet && quiet.start !== quiet.end) {
+      const { hour } = localClock(at, preferences.timezone);
+      const inQuietHours = quiet.start < quiet.end
+        ? hour >= quiet.start && hour < quiet.end
+        : hour >= quiet.start || hour < quiet.end;
+      if (inQuietHours) {
+        at = nextLocalHour(at, quiet.end, preferences.timezone);
+      }
+    }
+    return at;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Outbox
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queue a notification (as returned by NotificationService.createNotification)
+   * for the user's verified channels that accept its type
+   *
+   * @returns {Promise<number>} Outbox rows created
+   */
+  async enqueue(notification) {
+    const address = notification.userAddress.toLowerCase();
+    const channels = await db.query(`
+      SELECT id FROM core.notification_channels
+      WHERE user_address = $1 AND enabled AND verified_at IS NOT NULL
+        AND (notification_types IS NULL OR $2 = ANY(notification_types))
+    `, [address, notification.type]);
+
+    if (channels.rows.length === 0) {
+      return 0;
+    }
+
+    const deliverAt = this.getDeliveryTime(await this.getDeliveryPreferences(address));
+    const payload = JSON.stringify({
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      createdAt: notification.createdAt
+    });
+
+    for (const channel of channels.rows) {
+      await db.query(`
+        INSERT INTO core.notification_outbox (channel_id, kind, notification_id, payload, next_attempt_at)
+        VALUES ($1, 'notification', $2, $3, $4)
+      `, [channel.id, notification.id, payload, deliverAt]);
+    }
+    return channels.rows.length;
+  }
+
+  /**
+   * Claim due rows, send them per channel and record the outcome
+   */
+  async processOutbox() {
+    if (this.isProcessing) {
+      return null;
+    }
+    this.isProcessing = true;
+    const stats = { sent: 0, retried: 0, failed: 0, cancelled: 0 };
+
+    try {
+      const { batchSize, sendingTimeoutMs } = this.config.outbox;
+
+      // Rows a crashed worker left behind
+      await db.query(`
+        UPDATE core.notification_outbox SET status = 'pending', locked_at = NULL
+        WHERE status = 'sending' AND locked_at < NOW() - ($1::int * INTERVAL '1 millisecond')
+      `, [sendingTimeoutMs]);
+
+      const claimed = await db.query(`
+        UPDATE core.notification_outbox SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+        WHERE id IN (
+          SELECT id FROM core.notification_outbox
+          WHERE status = 'pending' AND next_attempt_at <= NOW()
+          ORDER BY next_attempt_at, id
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [batchSize]);
+
+      if (claimed.rows.length === 0) {
+        return stats;
+      }
+
+      const channelIds = [...new Set(claimed.rows.map(row => row.channel_id))];
+      const channelRows = await db.query('SELECT * FROM core.notification_channels WHERE id = ANY($1)', [channelIds]);
+      const channels = new Map(channelRows.rows.map(row => [String(row.id), row]));
+
+      // Verification codes go out on their own; notifications for the same
+      // channel are combined into one message
+      const groups = new Map();
+      for (const row of claimed.rows) {
+        const key = row.kind === 'verification' ? `verification:${row.id}` : `channel:${row.channel_id}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(row);
+      }
+
+      for (const rows of groups.values()) {
+        const outcome = await this.deliverGroup(channels.get(String(rows[0].channel_id)), rows);
+        stats[outcome] += rows.length;
+      }
+
+      console.log(`📬 ${this.serviceName}: ${stats.sent} sent, ${stats.retried} to retry, ${stats.failed} failed, ${stats.cancelled} cancelled`);
+      return stats;
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Outbox run failed:`, error.message);
+      return stats;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * @returns {Promise<string>} 'sent' | 'retried' | 'failed' | 'cancelled'
+   */
+  async deliverGroup(channel, rows) {
+    const ids = rows.map(row => row.id);
+    const isVerification = rows[0].kind === 'verification';
+
+    if (!channel || !channel.enabled || (!isVerification && !channel.verified_at)) {
+      await db.query(`
+        UPDATE core.notification_outbox SET status = 'cancelled', locked_at = NULL, last_error = 'Channel disabled or unverified'
+        WHERE id = ANY($1)
+      `, [ids]);
+      return 'cancelled';
+    }
+
+    try {
+      const sender = this.channels[channel.channel];
+      if (!sender) {
+        throw new Error(`Channel "${channel.channel}" is not configured on this server`);
+      }
+      await sender.send(channel.target, this.renderMessage(rows), { secret: channel.secret });
+
+      await db.query(`
+        UPDATE core.notification_outbox SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL
+        WHERE id = ANY($1)
+      `, [ids]);
+      return 'sent';
+    } catch (error) {
+      const { maxAttempts, retryBaseMs, retryMaxMs } = this.config.outbox;
+      const attempts = Math.max(...rows.map(row => row.attempts));
+
+      if (error.permanent || attempts >= maxAttempts) {
+        await db.query(`
+          UPDATE core.notification_outbox SET status = 'failed', locked_at = NULL, last_error = $2
+          WHERE id = ANY($1)
+        `, [ids, error.message]);
+        console.warn(`⚠️ ${this.serviceName}: Giving up on ${channel.channel} delivery to ${channel.user_address} after ${attempts} attempts: ${error.message}`);
+        return 'failed';
+      }
+
+      const delayMs = Math.max(
+        Math.min(retryBaseMs * 2 ** (attempts - 1), retryMaxMs),
+        error.retryAfterMs || 0
+      );
+      await db.query(`
+        UPDATE core.notification_outbox SET
+          status = 'pending',
+          locked_at = NULL,
+          last_error = $2,
+          next_attempt_at = NOW() + ($3::bigint * INTERVAL '1 millisecond')
+        WHERE id = ANY($1)
+      `, [ids, error.message, delayMs]);
+      return 'retried';
+    }
+  }
+
+  /**
+   * One message for a group of outbox rows; more than one notification is a digest
+   */
+  renderMessage(rows) {
+    if (rows[0].kind === 'verification') {
+      const { code } = rows[0].payload;
+      return {
+        kind: 'verification',
+        code,
+        subject: 'Verify your Bitredict notifications',
+        text: `Your verification code is ${code}. It expires in ${this.config.verificationTtlMinutes} minutes.`,
+        notifications: []
+      };
+    }
+
+    const notifications = rows.map(row => row.payload);
+    if (notifications.length === 1) {
+      return {
+        kind: 'notification',
+        subject: notifications[0].title,
+        text: notifications[0].message,
+        notifications
+      };
+    }
+
+    return {
+      kind: 'notification',
+      subject: `${notifications.length} new Bitredict notifications`,
+      text: notifications.map(n => `• ${n.title}: ${n.message}`).join('\n'),
+      notifications
+    };
+  }
+
+  /**
+   * Start draining the outbox
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`🚀 ${this.serviceName}: Channels available: ${this.getAvailableChannels().join(', ') || 'none'}`);
+    await this.processOutbox();
+
+    this.pollTimer = setInterval(() => this.processOutbox(), this.config.outbox.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Processing the outbox every ${this.config.outbox.pollIntervalMs / 1000}s`);
+  }
+
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+}
+
+/**
+ * Client errors for channel and preference changes
+ */
+class ChannelError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChannelError';
+    this.status = status;
+  }
+}
+
+module.exports = new NotificationDeliveryService();
+module.exports.ChannelError = ChannelError;
+module.exports.CHANNEL_NAMES = Object.keys(CHANNELS);
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = module.exports;
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Notification Delivery running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Notification Delivery failed to start:', error);
+      process.exit(1);
+    });
+}
@@ -1,5 +1,6 @@
 const db = require('../db/db');
 const websocketService = require('./websocket-service');
+const notificationDeliveryService = require('./notification-delivery-service');
 
 /**
  * Notification Service
@@ -16,7 +17,15 @@ class NotificationService {
       POOL_SETTLED: 'pool_settled',
       BADGE_EARNED: 'badge_earned',
       POOL_CREATED: 'pool_created',
-      SLIP_PLACED: 'slip_placed'
+      SLIP_PLACED: 'slip_placed',
+      CREATOR_FEES_ACCRUED: 'creator_fees_accrued',
+      CLAIM_REMINDER: 'claim_reminder',
+      POOL_INVITE_REDEEMED: 'pool_invite_redeemed'
+    };
+
+    // Opt-outs stored in core.notification_preferences (every type defaults to on)
+    this.PREFERENCES = {
+      claimReminders: 'claim_reminders'
     };
   }
 
@@ -59,6 +68,13 @@ class NotificationService {
       // Broadcast updated unread count
       const unreadCount = await this.getUnreadCount(userAddress);
       websocketService.broadcastUnreadCountToUser(userAddress, unreadCount);
+
+      // Copy to the user's webhook/email/telegram channels (sent by the outbox worker)
+      try {
+        await notificationDeliveryService.enqueue(formattedNotification);
+      } catch (error) {
+        console.warn(`⚠️ Could not queue channel delivery for ${userAddress}:`, error.message);
+      }
       
       return formattedNotification;
     } catch (error) {
@@ -300,6 +316,87 @@ class NotificationService {
     });
   }
 
+  /**
+   * Create creator fees accrued notification
+   */
+  async notifyCreatorFeesAccrued(userAddress, { amount, token, poolId }) {
+    return this.createNotification({
+      userAddress,
+      type: this.NOTIFICATION_TYPES.CREATOR_FEES_ACCRUED,
+      title: 'Creator Fees Ready 💸',
+      message: `You have ${amount} ${token} in creator fees to claim`,
+      data: { amount, token, poolId }
+    });
+  }
+
+  /**
+   * Create unclaimed winnings reminder
+   */
+  async notifyUnclaimedWinnings(userAddress, { count, wins }) {
+    return this.createNotification({
+      userAddress,
+      type: this.NOTIFICATION_TYPES.CLAIM_REMINDER,
+      title: 'Unclaimed Winnings ⏰',
+      message: count === 1
+        ? 'You have a win waiting to be claimed'
+        : `You have ${count} wins waiting to be claimed`,
+      data: { count, wins }
+    });
+  }
+
+  /**
+   * Tell a private pool creator that someone redeemed an invite
+   */
+  async notifyInviteRedeemed(userAddress, { poolId, title, invitee }) {
+    return this.createNotification({
+      userAddress,
+      type: this.NOTIFICATION_TYPES.POOL_INVITE_REDEEMED,
+      title: 'Invite Redeemed 🎟️',
+      message: `${invitee.slice(0, 6)}...${invitee.slice(-4)} is waiting to be whitelisted for "${title || `Pool #${poolId}`}"`,
+      data: { poolId, title, invitee }
+    });
+  }
+
+  /**
+   * Get notification preferences (defaults when the user never changed them)
+   */
+  async getPreferences(userAddress) {
+    const result = await db.query(
+      'SELECT * FROM core.notification_preferences WHERE user_address = $1',
+      [userAddress.toLowerCase()]
+    );
+
+    const row = result.rows[0] || {};
+    const preferences = {};
+    for (const [key, column] of Object.entries(this.PREFERENCES)) {
+      preferences[key] = row[column] !== undefined ? row[column] : true;
+    }
+    return preferences;
+  }
+
+  /**
+   * Update notification preferences; unknown keys are ignored
+   */
+  async updatePreferences(userAddress, updates) {
+    const entries = Object.entries(this.PREFERENCES)
+      .filter(([key]) => typeof updates[key] === 'boolean');
+
+    if (entries.length > 0) {
+      const columns = entries.map(([, column]) => column);
+      const values = entries.map(([key]) => updates[key]);
+
+      await db.query(`
+        INSERT INTO core.notification_preferences (user_address, ${columns.join(', ')})
+        VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+        ON CONFLICT (user_address) DO UPDATE SET
+          ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+          updated_at = NOW()
+      `, [userAddress.toLowerCase(), ...values]);
+    }
+
+    return this.getPreferences(userAddress);
+  }
+
   /**
    * Clean old notifications (run as cron job)
    */
@@ -0,0 +1,279 @@
+const config = require('../config');
+
+/**
+ * Markets we store, with the SportMonks labels that map onto each selection.
+ * `key` is the flat field name used by fixture processing (ft_home, over_25, ...),
+ * `label` what is stored in fixture_odds. `exhaustive` markets have selections
+ * covering every outcome, so the bookmaker margin can be removed from them.
+ */
+const MARKETS = [
+  {
+    marketId: 1, description: 'Full Time Result', weight: 3, exhaustive: true,
+    selections: [
+      { key: 'ft_home', label: 'Home', aliases: ['1', 'home'] },
+      { key: 'ft_draw', label: 'Draw', aliases: ['x', 'draw'] },
+      { key: 'ft_away', label: 'Away', aliases: ['2', 'away'] }
+    ]
+  },
+  ...['1.5', '2.5', '3.5'].map(total => ({
+    marketId: 80, total, description: `Goals Over/Under ${total}`, weight: total === '2.5' ? 3 : 1,
+    exhaustive: true, maxValue: 10,
+    selections: [
+      { key: `over_${total.replace('.', '')}`, label: 'Over', aliases: ['over'] },
+      { key: `under_${total.replace('.', '')}`, label: 'Under', aliases: ['under'] }
+    ]
+  })),
+  {
+    marketId: 14, description: 'Both Teams to Score', weight: 2, exhaustive: true,
+    selections: [
+      { key: 'btts_yes', label: 'Yes', aliases: ['yes'] },
+      { key: 'btts_no', label: 'No', aliases: ['no'] }
+    ]
+  },
+  {
+    marketId: 31, description: 'Half Time Result', weight: 1, exhaustive: true,
+    selections: [
+      { key: 'ht_home', label: 'Home', aliases: ['1', 'home'] },
+      { key: 'ht_draw', label: 'Draw', aliases: ['x', 'draw'] },
+      { key: 'ht_away', label: 'Away', aliases: ['2', 'away'] }
+    ]
+  },
+  // SportMonks publishes first half totals as market 32; we have always stored them as 28
+  ...['0.5', '1.5'].map(total => ({
+    marketId: 28, sourceMarketId: 32, total, description: `First Half Goals Over/Under ${total}`, weight: 1,
+    exhaustive: true, maxValue: 10,
+    selections: [
+      { key: `ht_over_${total.replace('.', '')}`, label: 'Over', aliases: ['over'] },
+      { key: `ht_under_${total.replace('.', '')}`, label: 'Under', aliases: ['under'] }
+    ]
+  })),
+  {
+    marketId: 2, description: 'Double Chance', weight: 1, exhaustive: false,
+    selections: [
+      { key: 'dc_1x', label: '1X', aliases: ['1x', 'home/draw', 'home or draw'] },
+      { key: 'dc_12', label: '12', aliases: ['12', 'home/away', 'home or away'] },
+      { key: 'dc_x2', label: 'X2', aliases: ['x2', 'draw/away', 'draw or away'] }
+    ]
+  },
+  {
+    marketId: 247, description: 'First Team To Score', weight: 1, exhaustive: true,
+    selections: [
+      { key: 'tsf_yes', label: 'Yes', aliases: ['yes'] },
+      { key: 'tsf_no', label: 'No', aliases: ['no'] }
+    ]
+  },
+  {
+    marketId: 5, description: 'Correct Score', weight: 1, exhaustive: false,
+    selections: ['1-0', '2-0', '2-1', '0-1', '0-2', '1-2', '1-1', '0-0'].map(score => ({
+      key: `cs_${score.replace('-', '_')}`, label: score, aliases: [score]
+    }))
+  },
+  {
+    marketId: 9, description: 'Total Goals Exact', weight: 1, exhaustive: false,
+    selections: [0, 1, 2, 3, 4, 5, 6].map(goals => ({
+      key: `tg_${goals}`, label: `${goals} ${goals === 1 ? 'Goal' : 'Goals'}`, aliases: [String(goals), `${goals} goal`, `${goals} goals`]
+    }))
+  }
+];
+
+/**
+ * Odds Consensus
+ *
+ * Normalizes raw SportMonks odds into per-bookmaker prices for the markets
+ * above, then builds one consensus price per selection:
+ * - median: median across bookmakers
+ * - best:   highest price across bookmakers
+ * - fair:   median of each bookmaker's margin-removed price (exhaustive markets only,
+ *           falls back to the median elsewhere)
+ * Prices further than `outlierPercent` from the median are dropped first, so a
+ * single bad feed can't move the consensus. Completeness scores how much of
+ * the weighted market list has at least `minBookmakers` prices.
+ */
+class OddsConsensus {
+  constructor(options = {}) {
+    this.config = { ...config.oddsConsensus, ...options };
+
+    if (!['median', 'best', 'fair'].includes(this.config.method)) {
+      throw new Error(`Invalid odds consensus method: ${this.config.method}`);
+    }
+  }
+
+  /**
+   * @param {Object[]} odds - Raw SportMonks odds (with bookmaker_id, market_id, label, value, total)
+   * @returns {{ bookmakers: Object, consensus: Object, completeness: Object }}
+   */
+  aggregate(odds) {
+    const bookmakers = this.groupByBookmaker(odds);
+    const consensus = {};
+
+    for (const market of MARKETS) {
+      Object.assign(consensus, this.marketConsensus(market, bookmakers));
+    }
+
+    return {
+      bookmakers,
+      consensus,
+      completeness: this.completeness(consensus, Object.keys(bookmakers).length)
+    };
+  }
+
+  /**
+   * { [bookmakerId]: { name, selections: { [key]: price } } }
+   */
+  groupByBookmaker(odds) {
+    const bookmakers = {};
+
+    for (const odd of odds || []) {
+      const match = this.matchSelection(odd);
+      if (!match) {
+        continue;
+      }
+
+      const bookmakerId = String(odd.bookmaker_id);
+      if (!bookmakers[bookmakerId]) {
+        bookmakers[bookmakerId] = { name: odd.bookmaker?.name || `Bookmaker ${bookmakerId}`, selections: {} };
+      }
+
+      // First price wins when a bookmaker lists a selection twice
+      if (bookmakers[bookmakerId].selections[match.key] === undefined) {
+        bookmakers[bookmakerId].selections[match.key] = match.value;
+      }
+    }
+
+    return bookmakers;
+  }
+
+  matchSelection(odd) {
+    const marketId = parseInt(odd.market_id);
+    const label = String(odd.label || '').toLowerCase().trim().replace(':', '-');
+    const value = parseFloat(odd.value);
+
+    for (const market of MARKETS) {
+      if ((market.sourceMarketId || market.marketId) !== marketId) {
+        continue;
+      }
+      if (market.total && parseFloat(odd.total ?? odd.name) !== parseFloat(market.total)) {
+        continue;
+      }
+
+      const selection = market.selections.find(candidate => candidate.aliases.includes(label));
+      if (!selection) {
+        continue;
+      }
+
+      if (!(value > 1.0 && value < (market.maxValue || 100))) {
+        return null;
+      }
+      return { key: selection.key, value };
+    }
+
+    return null;
+  }
+
+  marketConsensus(market, bookmakers) {
+    const result = {};
+    const kept = {};
+
+    for (const selection of market.selections) {
+      const prices = Object.entries(bookmakers)
+        .filter(([, bookmaker]) => bookmaker.selections[selection.key] !== undefined)
+        .map(([bookmakerId, bookmaker]) => ({ bookmakerId, value: bookmaker.selections[selection.key] }));
+
+      if (prices.length === 0) {
+        continue;
+      }
+
+      const median = this.median(prices.map(price => price.value));
+      const inRange = prices.filter(price => Math.abs(price.value - median) / median * 100 <= this.config.outlierPercent);
+      kept[selection.key] = new Set(inRange.map(price => price.bookmakerId));
+
+      const values = inRange.map(price => price.value);
+      result[selection.key] = {
+        median: this.median(values),
+        best: Math.max(...values),
+        fair: null,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        bookmakerCount: values.length,
+        outliers: prices.length - inRange.length
+      };
+    }
+
+    if (market.exhaustive) {
+      this.applyFairOdds(market, bookmakers, kept, result);
+    }
+
+    for (const entry of Object.values(result)) {
+      entry.value = this.config.method === 'fair' ? (entry.fair ?? entry.median) : entry[this.config.method];
+    }
+    return result;
+  }
+
+  /**
+   * Remove each bookmaker's margin proportionally, then take the median per selection
+   * Only bookmakers pricing every selection (without outliers) are used.
+   */
+  applyFairOdds(market, bookmakers, kept, result) {
+    const fairPrices = {};
+
+    for (const [bookmakerId, bookmaker] of Object.entries(bookmakers)) {
+      const complete = market.selections.every(selection => kept[selection.key]?.has(bookmakerId));
+      if (!complete) {
+        continue;
+      }
+
+      const overround = market.selections.reduce((sum, selection) => sum + 1 / bookmaker.selections[selection.key], 0);
+      for (const selection of market.selections) {
+        const probability = (1 / bookmaker.selections[selection.key]) / overround;
+        (fairPrices[selection.key] = fairPrices[selection.key] || []).push(1 / probability);
+      }
+    }
+
+    for (const [key, prices] of Object.entries(fairPrices)) {
+      result[key].fair = this.median(prices);
+    }
+  }
+
+  /**
+   * Weighted share of selections priced by at least `minBookmakers`
+   */
+  completeness(consensus, bookmakerCount) {
+    const markets = {};
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const market of MARKETS) {
+      const covered = market.selections
+        .filter(selection => (consensus[selection.key]?.bookmakerCount || 0) >= this.config.minBookmakers).length;
+      const coverage = covered / market.selections.length;
+
+      markets[this.marketKey(market)] = {
+        coverage,
+        bookmakers: Math.min(...market.selections.map(selection => consensus[selection.key]?.bookmakerCount || 0))
+      };
+      weighted += coverage * market.weight;
+      totalWeight += market.weight;
+    }
+
+    return {
+      score: totalWeight > 0 ? weighted / totalWeight : 0,
+      bookmakerCount,
+      markets,
+      oddysseyReady: markets['1'].coverage === 1 && markets['80_2.5'].coverage === 1
+    };
+  }
+
+  marketKey(market) {
+    return market.total ? `${market.marketId}_${market.total}` : String(market.marketId);
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+OddsConsensus.MARKETS = MARKETS;
+
+module.exports = OddsConsensus;
@@ -2,6 +2,7 @@ const SportMonksService = require('./sportmonks');
 const Web3Service = require('./web3-service');
 const PersistentDailyGameManager = require('./persistent-daily-game-manager');
 const db = require('../db/db');
+const txManager = require('./tx-manager');
 
 class OddysseyManager {
   constructor() {
@@ -228,7 +229,7 @@ class OddysseyManager {
             MAX(CASE WHEN label = 'Home' THEN value END) as home_odds,
             MAX(CASE WHEN label = 'Draw' THEN value END) as draw_odds,
             MAX(CASE WHEN label = 'Away' THEN value END) as away_odds
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE market_id = '1'
           GROUP BY fixture_id
         ) ft ON f.id::VARCHAR = ft.fixture_id::VARCHAR
@@ -237,7 +238,7 @@ class OddysseyManager {
             fixture_id,
             MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
             MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE market_id = '80' AND total = '2.5'
           GROUP BY fixture_id
         ) ou ON f.id::VARCHAR = ou.fixture_id::VARCHAR
@@ -346,7 +347,7 @@ class OddysseyManager {
             MAX(CASE WHEN label = 'Home' THEN value END) as home_odds,
             MAX(CASE WHEN label = 'Draw' THEN value END) as draw_odds,
             MAX(CASE WHEN label = 'Away' THEN value END) as away_odds
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE market_id = '1'
           GROUP BY fixture_id
         ) ft ON f.id::VARCHAR = ft.fixture_id::VARCHAR
@@ -355,7 +356,7 @@ class OddysseyManager {
             fixture_id,
             MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
             MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE market_id = '80' AND total = '2.5'
           GROUP BY fixture_id
         ) ou ON f.id::VARCHAR = ou.fixture_id::VARCHAR
@@ -578,17 +579,18 @@ class OddysseyManager {
         console.log(`  ${i+1}. Match ${match.id} at ${startTime.toUTCString()}`);
       });
 
-      // Call contract function
-      const tx = await this.oddysseyContract.startDailyCycle(matches);
-      console.log(`🚀 Daily cycle started! Tx: ${tx.hash}`);
-      
-      await tx.wait();
-      console.log('✅ Daily cycle confirmed');
+      // Call contract function (keyed by the match set so a retry never starts a second cycle)
+      const receipt = await txManager.sendContractCall(this.oddysseyContract, 'startDailyCycle', [matches], {
+        key: `startDailyCycle:${matches.map(match => match.id).join(',')}`,
+        lane: 'oracle',
+        requestedBy: 'oddyssey-manager'
+      });
+      console.log(`✅ Daily cycle confirmed! Tx: ${receipt.hash}`);
 
       // Save cycle info to database
-      await this.saveCycleInfo(matches, tx.hash);
+      await this.saveCycleInfo(matches, receipt.hash);
 
-      return { success: true, txHash: tx.hash, matches: matches.length };
+      return { success: true, txHash: receipt.hash, matches: matches.length };
 
     } catch (error) {
       console.error('❌ Error starting daily cycle:', error);
@@ -737,13 +739,14 @@ class OddysseyManager {
 
       console.log(`🏁 Resolving cycle ${currentCycleId} with results`);
 
-      const tx = await this.oddysseyContract.resolveDailyCycle(results);
-      console.log(`🚀 Cycle resolution started! Tx: ${tx.hash}`);
-      
-      await tx.wait();
-      console.log('✅ Cycle resolved');
+      const receipt = await txManager.sendContractCall(this.oddysseyContract, 'resolveDailyCycle', [results], {
+        key: `resolveDailyCycle:${currentCycleId}`,
+        lane: 'settlement',
+        requestedBy: 'oddyssey-manager'
+      });
+      console.log(`✅ Cycle resolved! Tx: ${receipt.hash}`);
 
-      return { success: true, txHash: tx.hash, results: results.length };
+      return { success: true, txHash: receipt.hash, results: results.length };
 
     } catch (error) {
       console.error('❌ Error resolving daily cycle:', error);
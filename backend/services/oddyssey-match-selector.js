@@ -656,15 +656,16 @@ class OddysseyMatchSelector {
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Over' AND o.total = '2.500000' THEN o.value END) as over_25_odds,
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
           FROM oracle.fixtures f
-          INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+          INNER JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id
           WHERE DATE(f.match_date) = $1
             AND f.status IN ('NS', 'Fixture')
             AND o.market_id IN ('1', '80')  -- 1X2 and Over/Under 2.5
             AND o.value > 0
           GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date, f.league
         )
-        SELECT *
-        FROM fixture_odds_summary
+        SELECT s.*, c.score as odds_completeness, c.bookmaker_count
+        FROM fixture_odds_summary s
+        LEFT JOIN oracle.fixture_odds_completeness c ON c.fixture_id = s.fixture_id::VARCHAR
         WHERE home_odds IS NOT NULL
           AND draw_odds IS NOT NULL
           AND away_odds IS NOT NULL
@@ -690,7 +691,7 @@ class OddysseyMatchSelector {
             home_odds != 1.5 OR draw_odds != 3.0 OR away_odds != 2.5
             OR over_25_odds != 1.8 OR under_25_odds != 2.0
           )
-        ORDER BY fixture_id
+        ORDER BY s.fixture_id
       `, [dateStr]);
 
     return result.rows.map(row => ({
@@ -706,7 +707,9 @@ class OddysseyMatchSelector {
         away: parseFloat(row.away_odds),
         over25: parseFloat(row.over_25_odds),
         under25: parseFloat(row.under_25_odds)
-      }
+      },
+      oddsCompleteness: row.odds_completeness !== null ? parseFloat(row.odds_completeness) : 0,
+      bookmakerCount: row.bookmaker_count || 0
     }));
   }
 
@@ -728,15 +731,16 @@ class OddysseyMatchSelector {
           MAX(CASE WHEN o.market_id = '80' AND o.label = 'Over' AND o.total = '2.500000' THEN o.value END) as over_25_odds,
           MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
         FROM oracle.fixtures f
-        INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+        INNER JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id
         WHERE DATE(f.match_date) = $1
           AND f.status IN ('NS', 'Fixture')
           AND o.market_id IN ('1', '80')  -- 1X2 and Over/Under 2.5
           AND o.value > 0
         GROUP BY f.id, f.home_team, f.away_team, f.league_name, f.match_date
       )
-      SELECT *
-      FROM fixture_odds_summary
+      SELECT s.*, c.score as odds_completeness, c.bookmaker_count
+      FROM fixture_odds_summary s
+      LEFT JOIN oracle.fixture_odds_completeness c ON c.fixture_id = s.fixture_id::VARCHAR
       WHERE home_odds IS NOT NULL
         AND draw_odds IS NOT NULL
         AND away_odds IS NOT NULL
@@ -757,22 +761,22 @@ class OddysseyMatchSelector {
           -- Less strict odds validation - just ensure they're not exactly default values
           home_odds != 1.5 OR draw_odds != 3.0 OR away_odds != 2.5
         )
-        AND fixture_id NOT IN (
+        AND s.fixture_id NOT IN (
           -- Exclude fixtures already selected with complete odds
           SELECT fixture_id FROM (
             SELECT f.id as fixture_id
             FROM oracle.fixtures f
-            INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+            INNER JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id
             WHERE DATE(f.match_date) = $1
               AND f.status IN ('NS', 'Fixture')
               AND o.market_id IN ('1', '80')
               AND o.value > 0
             GROUP BY f.id
             HAVING COUNT(CASE WHEN o.market_id = '1' AND o.label IN ('Home', 'Draw', 'Away') THEN 1 END) = 3
-              AND COUNT(CASE WHEN o.market_id = '80' AND o.label IN ('Over', 'Under') THEN 1 END) = 2
+              AND COUNT(CASE WHEN o.market_id = '80' AND o.total = 2.5 AND o.label IN ('Over', 'Under') THEN 1 END) = 2
           ) complete_odds
         )
-      ORDER BY fixture_id
+      ORDER BY COALESCE(c.score, 0) DESC, s.fixture_id
       LIMIT $2
     `, [dateStr, limit]);
 
@@ -788,7 +792,9 @@ class OddysseyMatchSelector {
         away: parseFloat(row.away_odds),
         over25: parseFloat(row.over_25_odds) || 1.8, // Default if missing
         under25: parseFloat(row.under_25_odds) || 2.0 // Default if missing
-      }
+      },
+      oddsCompleteness: row.odds_completeness !== null ? parseFloat(row.odds_completeness) : 0,
+      bookmakerCount: row.bookmaker_count || 0
     }));
   }
 
@@ -922,6 +928,9 @@ class OddysseyMatchSelector {
         priorityScore += 10;
       }
       
+      // Prefer matches priced by many bookmakers across markets (0-20 points)
+      priorityScore += (fixture.oddsCompleteness || 0) * 20;
+      
       // Small random factor for variety
       priorityScore += Math.random() * 5;
       
@@ -1169,7 +1178,7 @@ class OddysseyMatchSelector {
       // Test 2: Check 1X2 odds
       const odds1x2 = await db.query(`
         SELECT COUNT(*) as count 
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE fixture_id IN (
           SELECT id FROM oracle.fixtures 
           WHERE DATE(match_date) = $1 AND status IN ('NS', 'Fixture')
@@ -1181,7 +1190,7 @@ class OddysseyMatchSelector {
       // Test 3: Check Over/Under 2.5 odds
       const oddsOU25 = await db.query(`
         SELECT COUNT(*) as count 
-        FROM oracle.fixture_odds 
+        FROM oracle.fixture_odds_consensus 
         WHERE fixture_id IN (
           SELECT id FROM oracle.fixtures 
           WHERE DATE(match_date) = $1 AND status IN ('NS', 'Fixture')
@@ -1201,7 +1210,7 @@ class OddysseyMatchSelector {
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Over' AND o.total = '2.500000' THEN o.value END) as over_25_odds,
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
           FROM oracle.fixtures f
-          INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+          INNER JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id
           WHERE DATE(f.match_date) = $1
             AND f.status IN ('NS', 'Fixture')
             AND o.market_id IN ('1', '80')
@@ -7,6 +7,7 @@ const SchemaSyncBridge = require('./schema-sync-bridge');
 const SimpleBulletproofService = require('./simple-bulletproof-service');
 const Web3Service = require('./web3-service'); // 🚨 CRITICAL FIX: Import Web3Service
 const db = require('../db/db');
+const txManager = require('./tx-manager');
 
 class OddysseyOracleBot {
   constructor() {
@@ -291,13 +292,15 @@ class OddysseyOracleBot {
       const gasEstimate = await explicitContract.startDailyCycle.estimateGas(matchesForContract);
       console.log(`⛽ Gas estimate: ${gasEstimate.toString()}`);
       
-      const tx = await explicitContract.startDailyCycle(matchesForContract, {
+      const receipt = await txManager.sendContractCall(explicitContract, 'startDailyCycle', [matchesForContract], {
+        key: `startDailyCycle:${cycleResult.cycleId}`,
+        lane: 'oracle',
         gasLimit: gasEstimate + 500000n, // Add 500k buffer
-        gasPrice: '7000000000' // 7 gwei
+        gasPrice: 7000000000n, // 7 gwei floor
+        requestedBy: 'oddyssey-oracle-bot'
       });
 
-      console.log(`⏳ Transaction sent: ${tx.hash}`);
-      const receipt = await tx.wait();
+      console.log(`⏳ Transaction mined: ${receipt.hash}`);
       
       if (receipt.status === 1) {
         console.log('✅ Bulletproof cycle started successfully on contract!');
@@ -795,16 +798,18 @@ class OddysseyOracleBot {
       console.log(`⛽ Gas estimate: ${gasEstimate.toString()}`);
       
       // Submit to contract with proper gas limit
-      const tx = await this.oddysseyContract.resolveDailyCycle(cycle.cycle_id, formattedResults, {
-        gasLimit: gasEstimate + 200000n // Add 200k buffer
+      const receipt = await txManager.sendContractCall(this.oddysseyContract, 'resolveDailyCycle', [cycle.cycle_id, formattedResults], {
+        key: `resolveDailyCycle:${cycle.cycle_id}`,
+        lane: 'settlement',
+        gasLimit: gasEstimate + 200000n, // Add 200k buffer
+        requestedBy: 'oddyssey-oracle-bot'
       });
 
-      console.log(`⏳ Resolution transaction sent: ${tx.hash}`);
-      const receipt = await tx.wait();
+      console.log(`⏳ Resolution transaction mined: ${receipt.hash}`);
 
       if (receipt.status === 1) {
         console.log(`🎉 Cycle ${cycle.cycle_id} resolved successfully on-chain!`);
-        console.log(`📋 Transaction hash: ${tx.hash}`);
+        console.log(`📋 Transaction hash: ${receipt.hash}`);
         
         // ✅ CRITICAL FIX: Wrap database updates in try-catch to prevent failures from blocking resolution
         // Even if database update fails, the on-chain resolution is complete and can be synced later
@@ -826,7 +831,7 @@ class OddysseyOracleBot {
               resolved_at = NOW(),
               ready_for_resolution = false
             WHERE cycle_id = $2
-          `, [tx.hash, cycle.cycle_id]);
+          `, [receipt.hash, cycle.cycle_id]);
           console.log(`✅ [Cycle ${cycle.cycle_id}] oracle.oddyssey_cycles updated`);
 
           // Also update current_oddyssey_cycle to maintain consistency
@@ -834,7 +839,7 @@ class OddysseyOracleBot {
             UPDATE oracle.current_oddyssey_cycle 
             SET is_resolved = true, resolution_tx_hash = $1, resolved_at = NOW()
             WHERE cycle_id = $2
-          `, [tx.hash, cycle.cycle_id]);
+          `, [receipt.hash, cycle.cycle_id]);
           console.log(`✅ [Cycle ${cycle.cycle_id}] oracle.current_oddyssey_cycle updated`);
 
           // Sync resolution to oddyssey schema
@@ -890,7 +895,7 @@ class OddysseyOracleBot {
           // Don't throw - the cycle IS resolved on-chain, and the early check will sync DB on next run
           console.error(`⚠️ [Cycle ${cycle.cycle_id}] Database update FAILED after successful on-chain resolution!`);
           console.error(`   Error: ${dbError.message}`);
-          console.error(`   Transaction hash: ${tx.hash}`);
+          console.error(`   Transaction hash: ${receipt.hash}`);
           console.error(`   ⚠️ WARNING: Database is OUT OF SYNC with on-chain state!`);
           console.error(`   ✅ FIX: The early check at start of resolveCycleIfReady will sync on next run`);
           console.error(`   ⚠️ For now, cycle ${cycle.cycle_id} is resolved on-chain but DB shows is_resolved=false`);
@@ -1259,16 +1264,9 @@ class OddysseyOracleBot {
           }
 
           try {
-            // Fetch current state from SportMonks
-            const response = await this.sportmonksService.axios.get(`/fixtures/${fixture.id}`, {
-              params: {
-                'api_token': this.sportmonksService.apiToken,
-                'include': 'state'
-              }
-            });
-
-            const fixtureData = response.data.data;
-            const currentState = fixtureData.state?.state?.toUpperCase() || 'UNKNOWN';
+            // Fetch current state from the league's sports data provider
+            const fixtureData = await this.sportmonksService.getFixture(fixture.id, 'state');
+            const currentState = fixtureData?.state?.state?.toUpperCase() || 'UNKNOWN';
             
             console.log(`   📍 ${fixture.home_team} vs ${fixture.away_team}: ${fixture.status} → ${currentState}`);
 
@@ -0,0 +1,561 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const Web3Service = require('./web3-service');
+
+const MARKET_STATES = ['pending', 'proposed', 'disputed', 'resolved', 'expired'];
+
+/**
+ * Optimistic Oracle Indexer
+ *
+ * Mirrors OptimisticOracle.sol markets, proposals, disputes, votes and bond
+ * claims into Postgres.
+ *
+ * Tables maintained:
+ * - oracle.optimistic_markets      (MarketCreated, OutcomeProposed, OutcomeDisputed, MarketResolved)
+ * - oracle.optimistic_votes        (VoteCast)
+ * - oracle.optimistic_bond_claims  (BondClaimed)
+ *
+ * The contract keys markets by keccak256(marketId) and only emits the hash, so the
+ * original string id is recovered from oracle.pools via the market's pool id.
+ */
+class OptimisticOracleIndexer {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.contract = null;
+    this.eventListeners = [];
+    this.serviceName = 'OptimisticOracleIndexer';
+
+    // Configuration
+    this.config = {
+      maxRetries: 3,
+      retryDelayMs: 5000,
+      fallbackSyncInterval: 300000, // 5 minutes fallback
+      eventReplayBlocks: 1000, // Blocks replayed by the fallback sync
+      queryChunkSize: 500 // Max block range per queryFilter call
+    };
+
+    // Fallback sync timer
+    this.fallbackTimer = null;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      this.contract = await this.web3Service.getOptimisticOracleContractForEvents();
+      if (!this.contract) {
+        throw new Error('OptimisticOracle contract not available');
+      }
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the indexer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    try {
+      await this.initialize();
+
+      this.isRunning = true;
+      console.log(`🚀 ${this.serviceName}: Starting optimistic oracle indexer...`);
+
+      await this.syncHistoricalMarkets();
+      await this.setupEventListeners();
+      this.startFallbackSync();
+
+      console.log(`✅ ${this.serviceName}: Indexer active`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to start:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the indexer
+   */
+  async stop() {
+    if (!this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Not running`);
+      return;
+    }
+
+    try {
+      console.log(`🛑 ${this.serviceName}: Stopping indexer...`);
+
+      if (this.contract && typeof this.contract.removeAllListeners === 'function') {
+        this.contract.removeAllListeners();
+      }
+      this.eventListeners = [];
+
+      if (this.fallbackTimer) {
+        clearInterval(this.fallbackTimer);
+        this.fallbackTimer = null;
+      }
+
+      this.isRunning = false;
+      console.log(`✅ ${this.serviceName}: Stopped successfully`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Error stopping service:`, error);
+    }
+  }
+
+  /**
+   * Sync markets that exist on-chain but are missing or still open in the database
+   */
+  async syncHistoricalMarkets() {
+    try {
+      console.log(`📚 ${this.serviceName}: Syncing historical markets...`);
+
+      const marketHashes = await this.contract.getAllMarkets();
+      if (marketHashes.length === 0) {
+        console.log(`📭 ${this.serviceName}: No optimistic markets to sync`);
+        return;
+      }
+
+      const known = await db.query(`
+        SELECT market_id_hash FROM oracle.optimistic_markets
+        WHERE state = 'resolved' AND bonds_claimed = true
+      `);
+      const finished = new Set(known.rows.map(row => row.market_id_hash));
+
+      let syncedCount = 0;
+      let failedCount = 0;
+
+      for (const marketHash of marketHashes) {
+        if (finished.has(marketHash)) continue;
+        try {
+          await this.syncMarket(marketHash);
+          syncedCount++;
+        } catch (error) {
+          failedCount++;
+          console.error(`❌ ${this.serviceName}: Failed to sync market ${marketHash}:`, error.message);
+        }
+      }
+
+      console.log(`✅ ${this.serviceName}: Historical sync complete - Synced: ${syncedCount}, Failed: ${failedCount}`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Historical sync failed:`, error);
+      // Don't throw - continue with event listeners
+    }
+  }
+
+  /**
+   * Setup contract event listeners
+   */
+  async setupEventListeners() {
+    try {
+      console.log(`👂 ${this.serviceName}: Setting up event listeners...`);
+
+      const handlers = {
+        MarketCreated: (marketHash, poolId, question, category, eventEndTime, event) => {
+          console.log(`🎯 ${this.serviceName}: MarketCreated - Market: ${marketHash}, Pool ID: ${poolId}`);
+          return this.handleMarketCreated(marketHash, event);
+        },
+        OutcomeProposed: (marketHash, proposer, outcome, bond, event) => {
+          console.log(`📝 ${this.serviceName}: OutcomeProposed - Market: ${marketHash}, Proposer: ${proposer}`);
+          return this.handleOutcomeProposed(marketHash, event);
+        },
+        OutcomeDisputed: (marketHash, disputer, bond, event) => {
+          console.log(`⚔️ ${this.serviceName}: OutcomeDisputed - Market: ${marketHash}, Disputer: ${disputer}`);
+          return this.handleOutcomeDisputed(marketHash, event);
+        },
+        VoteCast: (marketHash, voter, outcome, votingPower, event) => {
+          console.log(`🗳️ ${this.serviceName}: VoteCast - Market: ${marketHash}, Voter: ${voter}`);
+          return this.handleVoteCast(marketHash, voter, outcome, votingPower, event);
+        },
+        MarketResolved: (marketHash, finalOutcome, winner, reward, event) => {
+          console.log(`🏁 ${this.serviceName}: MarketResolved - Market: ${marketHash}`);
+          return this.handleMarketResolved(marketHash, winner, reward, event);
+        },
+        BondClaimed: (marketHash, claimer, amount, event) => {
+          console.log(`💰 ${this.serviceName}: BondClaimed - Market: ${marketHash}, Claimer: ${claimer}`);
+          return this.handleBondClaimed(marketHash, claimer, amount, event);
+        }
+      };
+
+      for (const [eventName, handler] of Object.entries(handlers)) {
+        try {
+          const listener = this.contract.on(eventName, async (...args) => {
+            try {
+              await handler(...args);
+            } catch (error) {
+              console.error(`❌ ${this.serviceName}: Failed to handle ${eventName}:`, error);
+            }
+          });
+          this.eventListeners.push(listener);
+        } catch (error) {
+          console.log(`⚠️ ${this.serviceName}: ${eventName} event not available - ${error.message}`);
+        }
+      }
+
+      console.log(`✅ ${this.serviceName}: Event listeners setup complete`);
+
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Failed to setup event listeners:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle MarketCreated event
+   */
+  async handleMarketCreated(marketHash, event) {
+    const { txHash, blockNumber } = this.getEventLocation(event);
+    await this.syncMarket(marketHash);
+    await db.query(`
+      UPDATE oracle.optimistic_markets SET
+        tx_hash = COALESCE(tx_hash, $2),
+        block_number = COALESCE(block_number, $3)
+      WHERE market_id_hash = $1
+    `, [marketHash, txHash, blockNumber]);
+  }
+
+  /**
+   * Handle OutcomeProposed event
+   */
+  async handleOutcomeProposed(marketHash, event) {
+    const { txHash } = this.getEventLocation(event);
+    await this.syncMarket(marketHash);
+    await db.query(
+      'UPDATE oracle.optimistic_markets SET proposal_tx_hash = COALESCE(proposal_tx_hash, $2) WHERE market_id_hash = $1',
+      [marketHash, txHash]
+    );
+  }
+
+  /**
+   * Handle OutcomeDisputed event
+   */
+  async handleOutcomeDisputed(marketHash, event) {
+    const { txHash } = this.getEventLocation(event);
+    await this.syncMarket(marketHash);
+    await db.query(
+      'UPDATE oracle.optimistic_markets SET dispute_tx_hash = COALESCE(dispute_tx_hash, $2) WHERE market_id_hash = $1',
+      [marketHash, txHash]
+    );
+  }
+
+  /**
+   * Handle VoteCast event
+   */
+  async handleVoteCast(marketHash, voter, outcome, votingPower, event) {
+    await this.ensureMarketExists(marketHash);
+
+    const { txHash, blockNumber } = this.getEventLocation(event);
+    await this.upsertVote(marketHash, voter, outcome, votingPower, txHash, blockNumber);
+  }
+
+  /**
+   * Handle MarketResolved event
+   */
+  async handleMarketResolved(marketHash, winner, reward, event) {
+    const { txHash } = this.getEventLocation(event);
+    await this.syncMarket(marketHash);
+    await db.query(`
+      UPDATE oracle.optimistic_markets SET
+        winner_address = $2,
+        reward = $3,
+        resolution_tx_hash = COALESCE(resolution_tx_hash, $4),
+        resolved_at = COALESCE(resolved_at, NOW())
+      WHERE market_id_hash = $1
+    `, [
+      marketHash,
+      winner === ethers.ZeroAddress ? null : winner.toLowerCase(),
+      reward.toString(),
+      txHash
+    ]);
+  }
+
+  /**
+   * Handle BondClaimed event
+   */
+  async handleBondClaimed(marketHash, claimer, amount, event) {
+    await this.ensureMarketExists(marketHash);
+
+    const { txHash, logIndex, blockNumber } = this.getEventLocation(event);
+    await db.query(`
+      INSERT INTO oracle.optimistic_bond_claims (
+        market_id_hash, claimer_address, amount, tx_hash, log_index, block_number, claimed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [marketHash, claimer.toLowerCase(), amount.toString(), txHash, logIndex, blockNumber]);
+
+    await db.query(`
+      UPDATE oracle.optimistic_markets SET bonds_claimed = true, updated_at = NOW()
+      WHERE market_id_hash = $1
+    `, [marketHash]);
+  }
+
+  /**
+   * Sync a market snapshot from the contract (authoritative state)
+   */
+  async syncMarket(marketHash) {
+    const market = await this.contract.markets(marketHash);
+    if (market.marketId === ethers.ZeroHash) {
+      throw new Error(`Market ${marketHash} does not exist on-chain`);
+    }
+
+    const dispute = await this.contract.disputes(marketHash);
+    const marketId = await this.resolveMarketId(marketHash, Number(market.poolId));
+    const finalOutcomeRaw = market.finalOutcome === ethers.ZeroHash ? null : market.finalOutcome;
+    const proposedOutcomeRaw = market.proposedOutcome === ethers.ZeroHash ? null : market.proposedOutcome;
+
+    await db.query(`
+      INSERT INTO oracle.optimistic_markets (
+        market_id_hash, market_id, pool_id, question, category, event_end_time, state,
+        proposer_address, proposed_outcome, proposed_outcome_raw, proposal_bond, proposal_time,
+        disputer_address, dispute_bond, dispute_time, dispute_end_time,
+        final_outcome, final_outcome_raw, bonds_claimed, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW())
+      ON CONFLICT (market_id_hash) DO UPDATE SET
+        market_id = COALESCE(EXCLUDED.market_id, oracle.optimistic_markets.market_id),
+        pool_id = EXCLUDED.pool_id,
+        question = EXCLUDED.question,
+        category = EXCLUDED.category,
+        event_end_time = EXCLUDED.event_end_time,
+        state = EXCLUDED.state,
+        proposer_address = EXCLUDED.proposer_address,
+        proposed_outcome = EXCLUDED.proposed_outcome,
+        proposed_outcome_raw = EXCLUDED.proposed_outcome_raw,
+        proposal_bond = EXCLUDED.proposal_bond,
+        proposal_time = EXCLUDED.proposal_time,
+        disputer_address = EXCLUDED.disputer_address,
+        dispute_bond = EXCLUDED.dispute_bond,
+        dispute_time = EXCLUDED.dispute_time,
+        dispute_end_time = EXCLUDED.dispute_end_time,
+        final_outcome = EXCLUDED.final_outcome,
+        final_outcome_raw = EXCLUDED.final_outcome_raw,
+        bonds_claimed = oracle.optimistic_markets.bonds_claimed OR EXCLUDED.bonds_claimed,
+        resolved_at = CASE
+          WHEN EXCLUDED.state = 'resolved' THEN COALESCE(oracle.optimistic_markets.resolved_at, NOW())
+          ELSE oracle.optimistic_markets.resolved_at
+        END,
+        updated_at = NOW()
+    `, [
+      marketHash,
+      marketId,
+      Number(market.poolId),
+      market.question,
+      market.category,
+      Number(market.eventEndTime),
+      MARKET_STATES[Number(market.state)] || 'pending',
+      market.proposer === ethers.ZeroAddress ? null : market.proposer.toLowerCase(),
+      proposedOutcomeRaw ? this.decodeBytes32(proposedOutcomeRaw) : null,
+      proposedOutcomeRaw,
+      market.proposalBond.toString(),
+      Number(market.proposalTime) || null,
+      market.disputer === ethers.ZeroAddress ? null : market.disputer.toLowerCase(),
+      market.disputeBond.toString(),
+      Number(market.disputeTime) || null,
+      Number(dispute.disputeEndTime) || null,
+      finalOutcomeRaw ? this.decodeBytes32(finalOutcomeRaw) : null,
+      finalOutcomeRaw,
+      Boolean(market.bondsClaimed)
+    ]);
+
+    // Votes are only reachable by string id, pick up any cast while we were offline
+    if (marketId && market.disputer !== ethers.ZeroAddress) {
+      await this.syncVotes(marketHash, marketId);
+    }
+  }
+
+  /**
+   * Sync dispute votes from the contract
+   */
+  async syncVotes(marketHash, marketId) {
+    try {
+      const [, , , voters] = await this.contract.getDispute(marketId);
+      for (const voter of voters) {
+        const [outcome, votingPower] = await this.contract.getVote(marketId, voter);
+        await this.upsertVote(marketHash, voter, outcome, votingPower, null, null);
+      }
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Could not sync votes for ${marketHash}:`, error.message);
+    }
+  }
+
+  async upsertVote(marketHash, voter, outcome, votingPower, txHash, blockNumber) {
+    await db.query(`
+      INSERT INTO oracle.optimistic_votes (
+        market_id_hash, voter_address, outcome, outcome_raw, voting_power, tx_hash, block_number, voted_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      ON CONFLICT (market_id_hash, voter_address) DO UPDATE SET
+        tx_hash = COALESCE(oracle.optimistic_votes.tx_hash, EXCLUDED.tx_hash),
+        block_number = COALESCE(oracle.optimistic_votes.block_number, EXCLUDED.block_number)
+    `, [
+      marketHash,
+      voter.toLowerCase(),
+      this.decodeBytes32(outcome),
+      outcome,
+      votingPower.toString(),
+      txHash,
+      blockNumber
+    ]);
+  }
+
+  /**
+   * Recover the string market id: keccak256(pool.market_id) must equal the event hash
+   */
+  async resolveMarketId(marketHash, poolId) {
+    const result = await db.query(
+      'SELECT market_id FROM oracle.pools WHERE pool_id = $1',
+      [poolId]
+    );
+
+    const marketId = result.rows[0]?.market_id;
+    if (marketId && ethers.keccak256(ethers.toUtf8Bytes(marketId)) === marketHash) {
+      return marketId;
+    }
+    return null;
+  }
+
+  /**
+   * Ensure a market row exists before writing child rows
+   */
+  async ensureMarketExists(marketHash) {
+    const existing = await db.query(
+      'SELECT 1 FROM oracle.optimistic_markets WHERE market_id_hash = $1',
+      [marketHash]
+    );
+
+    if (existing.rows.length === 0) {
+      await this.syncMarket(marketHash);
+    }
+  }
+
+  /**
+   * Start fallback sync timer
+   */
+  startFallbackSync() {
+    this.fallbackTimer = setInterval(async () => {
+      try {
+        await this.fallbackSync();
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Fallback sync failed:`, error);
+      }
+    }, this.config.fallbackSyncInterval);
+
+    console.log(`⏰ ${this.serviceName}: Fallback sync every ${this.config.fallbackSyncInterval / 1000}s`);
+  }
+
+  /**
+   * Fallback sync: refresh open markets and replay recent events
+   */
+  async fallbackSync() {
+    console.log(`🔄 ${this.serviceName}: Running fallback sync...`);
+
+    await this.syncHistoricalMarkets();
+
+    const currentBlock = await this.web3Service.provider.getBlockNumber();
+    await this.replayEvents(Math.max(0, currentBlock - this.config.eventReplayBlocks), currentBlock);
+  }
+
+  /**
+   * Replay events in a block range. All writes are idempotent.
+   */
+  async replayEvents(fromBlock, toBlock) {
+    const replayable = {
+      MarketCreated: (args, event) => this.handleMarketCreated(args[0], event),
+      OutcomeProposed: (args, event) => this.handleOutcomeProposed(args[0], event),
+      OutcomeDisputed: (args, event) => this.handleOutcomeDisputed(args[0], event),
+      VoteCast: (args, event) => this.handleVoteCast(args[0], args[1], args[2], args[3], event),
+      MarketResolved: (args, event) => this.handleMarketResolved(args[0], args[2], args[3], event),
+      BondClaimed: (args, event) => this.handleBondClaimed(args[0], args[1], args[2], event)
+    };
+
+    let replayed = 0;
+    for (let start = fromBlock; start <= toBlock; start += this.config.queryChunkSize) {
+      const end = Math.min(start + this.config.queryChunkSize - 1, toBlock);
+
+      for (const [eventName, handler] of Object.entries(replayable)) {
+        try {
+          const events = await this.contract.queryFilter(this.contract.filters[eventName](), start, end);
+          for (const event of events) {
+            await handler(event.args, event);
+            replayed++;
+          }
+        } catch (error) {
+          console.error(`❌ ${this.serviceName}: Failed to replay ${eventName} (${start}-${end}):`, error.message);
+        }
+      }
+    }
+
+    if (replayed > 0) {
+      console.log(`🔁 ${this.serviceName}: Replayed ${replayed} events from blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  /**
+   * Extract tx hash, log index and block number from an ethers v6 event payload
+   */
+  getEventLocation(event) {
+    const log = event?.log || event;
+    return {
+      txHash: log?.transactionHash || null,
+      logIndex: log?.index ?? log?.logIndex ?? 0,
+      blockNumber: log?.blockNumber != null ? Number(log.blockNumber) : null
+    };
+  }
+
+  /**
+   * Decode a bytes32 outcome to a readable string, falling back to the hex value
+   */
+  decodeBytes32(value) {
+    if (!value || value === ethers.ZeroHash) {
+      return '';
+    }
+    try {
+      return ethers.decodeBytes32String(value);
+    } catch (error) {
+      return value;
+    }
+  }
+}
+
+module.exports = OptimisticOracleIndexer;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new OptimisticOracleIndexer();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Optimistic Oracle Indexer running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Optimistic Oracle Indexer failed to start:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,193 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const Web3Service = require('./web3-service');
+const UnifiedPoolSettlementSystem = require('./unified-pool-settlement-system');
+
+/**
+ * Optimistic Proposer Bot (optional)
+ *
+ * Proposes outcomes for ended OptimisticOracle markets whose answer the backend
+ * already knows: football results from SportMonks (oracle.fixture_results) and
+ * crypto prices from Coinpaprika. Outcome logic is shared with
+ * UnifiedPoolSettlementSystem so proposals match what guided pools would settle to.
+ *
+ * Disabled unless OPTIMISTIC_PROPOSER_ENABLED=true. The wallet must meet the
+ * contract's MIN_REPUTATION and hold BITR for the proposal bond.
+ * With OPTIMISTIC_AUTO_RESOLVE=true (oracle wallet only) it also resolves markets
+ * whose challenge or voting window has passed.
+ */
+class OptimisticProposerBot {
+  constructor() {
+    this.serviceName = 'OptimisticProposerBot';
+    this.web3Service = new Web3Service();
+    this.settlementSystem = null;
+
+    this.config = {
+      enabled: process.env.OPTIMISTIC_PROPOSER_ENABLED === 'true',
+      autoResolve: process.env.OPTIMISTIC_AUTO_RESOLVE === 'true',
+      resultGraceMinutes: 15, // Same finality rule as pool settlement
+      maxProposalsPerRun: 10
+    };
+  }
+
+  /**
+   * Run a single proposal pass
+   */
+  async run() {
+    if (!this.config.enabled) {
+      console.log(`⏸️ ${this.serviceName}: Disabled (set OPTIMISTIC_PROPOSER_ENABLED=true to enable)`);
+      return { proposed: 0, resolved: 0 };
+    }
+
+    console.log(`🚀 ${this.serviceName}: Looking for markets to propose...`);
+
+    if (!this.web3Service.isInitialized) {
+      await this.web3Service.initialize();
+    }
+    this.settlementSystem = this.settlementSystem || new UnifiedPoolSettlementSystem();
+
+    const proposed = await this.proposeKnownOutcomes();
+    const resolved = this.config.autoResolve ? await this.resolveExpiredMarkets() : 0;
+
+    console.log(`✅ ${this.serviceName}: Run complete - Proposed: ${proposed}, Resolved: ${resolved}`);
+    return { proposed, resolved };
+  }
+
+  /**
+   * Get ended markets without a proposal, joined with their pool and fixture result
+   */
+  async getMarketsAwaitingProposal() {
+    const result = await db.query(`
+      SELECT
+        m.market_id_hash,
+        m.market_id,
+        m.pool_id,
+        m.event_end_time,
+        p.predicted_outcome,
+        p.category,
+        p.home_team,
+        p.away_team,
+        fr.home_score,
+        fr.away_score,
+        fr.ht_home_score,
+        fr.ht_away_score,
+        fr.outcome_1x2,
+        fr.outcome_ou05,
+        fr.outcome_ou15,
+        fr.outcome_ou25,
+        fr.outcome_ou35,
+        fr.outcome_btts,
+        fr.result_ht,
+        fr.outcome_ht_result,
+        fr.result_ht_ou05,
+        fr.result_ht_ou15,
+        fr.finished_at
+      FROM oracle.optimistic_markets m
+      JOIN oracle.pools p ON p.pool_id = m.pool_id
+      LEFT JOIN oracle.fixtures f ON f.id::text = m.market_id
+      LEFT JOIN oracle.fixture_results fr ON fr.fixture_id::text = f.id::text
+      WHERE m.state = 'pending'
+        AND m.market_id IS NOT NULL
+        AND m.event_end_time <= EXTRACT(EPOCH FROM NOW())
+      ORDER BY m.event_end_time ASC
+      LIMIT $1
+    `, [this.config.maxProposalsPerRun]);
+
+    return result.rows;
+  }
+
+  /**
+   * Propose outcomes for markets whose result is known
+   */
+  async proposeKnownOutcomes() {
+    const markets = await this.getMarketsAwaitingProposal();
+    console.log(`📊 ${this.serviceName}: ${markets.length} markets awaiting a proposal`);
+
+    const contract = await this.web3Service.getOptimisticOracleContract();
+    let proposed = 0;
+
+    for (const market of markets) {
+      try {
+        const outcome = await this.determineOutcome(market);
+        if (!outcome) {
+          continue;
+        }
+
+        // Another proposer may have beaten us since the last index run
+        const onChain = await contract.getMarket(market.market_id);
+        if (Number(onChain.state) !== 0) {
+          console.log(`⏭️ ${this.serviceName}: Market ${market.market_id} already has a proposal`);
+          continue;
+        }
+
+        // Right-padded UTF-8, the same encoding as pool.predictedOutcome
+        const outcomeBytes32 = ethers.zeroPadBytes(ethers.toUtf8Bytes(outcome), 32);
+        await this.web3Service.proposeOptimisticOutcome(market.market_id, outcomeBytes32);
+
+        console.log(`✅ ${this.serviceName}: Proposed "${outcome}" for market ${market.market_id} (pool ${market.pool_id})`);
+        proposed++;
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Failed to propose for market ${market.market_id}:`, error.message);
+      }
+    }
+
+    return proposed;
+  }
+
+  /**
+   * Determine the outcome of a market from data the backend already has
+   */
+  async determineOutcome(market) {
+    const isCrypto = ['crypto', 'cryptocurrency'].includes(market.category);
+
+    if (isCrypto) {
+      return this.settlementSystem.determineCryptoOutcome(market);
+    }
+
+    if (market.home_score === null || market.home_score === undefined ||
+        market.away_score === null || market.away_score === undefined || !market.finished_at) {
+      return null;
+    }
+    if (new Date(market.finished_at).getTime() > Date.now() - this.config.resultGraceMinutes * 60 * 1000) {
+      return null;
+    }
+
+    const actualResult = this.settlementSystem.determineActualResultFromPool(market, market.predicted_outcome);
+    if (!actualResult) {
+      console.log(`⚠️ ${this.serviceName}: Cannot determine result for market ${market.market_id} (prediction: ${market.predicted_outcome})`);
+      return null;
+    }
+
+    return this.settlementSystem.normalizeOutcomeForContract(actualResult, market.predicted_outcome);
+  }
+
+  /**
+   * Resolve markets whose challenge window or dispute vote has ended
+   */
+  async resolveExpiredMarkets() {
+    const result = await db.query(`
+      SELECT market_id
+      FROM oracle.optimistic_markets
+      WHERE market_id IS NOT NULL
+        AND (
+          (state = 'proposed' AND proposal_time + 86400 < EXTRACT(EPOCH FROM NOW()))
+          OR (state = 'disputed' AND dispute_end_time < EXTRACT(EPOCH FROM NOW()))
+        )
+    `);
+
+    let resolved = 0;
+    for (const row of result.rows) {
+      try {
+        await this.web3Service.resolveOptimisticMarket(row.market_id);
+        console.log(`✅ ${this.serviceName}: Resolved market ${row.market_id}`);
+        resolved++;
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Failed to resolve market ${row.market_id}:`, error.message);
+      }
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = OptimisticProposerBot;
@@ -0,0 +1,664 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const txManager = require('./tx-manager');
+const MonitoringAlertingSystem = require('./monitoring-alerting-system');
+
+const GUIDED_ORACLE_ABI = [
+  'function getOutcome(string memory marketId) external view returns (bool isSet, bytes memory resultData)',
+  'function correctOutcome(string memory marketId, bytes memory resultData) external',
+  'function owner() external view returns (address)'
+];
+
+// A market has at most one case in these statuses; its pools are not settled meanwhile
+const OPEN_STATUSES = ['flagged', 'prepared', 'approved'];
+const STATUSES = [...OPEN_STATUSES, 'executed', 'rejected', 'resolved'];
+
+/**
+ * Guided Oracle Outcome Correction Service
+ *
+ * GuidedOracle.submitOutcome can only be called once per market, so a wrong
+ * submission (late score changes, pools on one fixture needing different
+ * outcome strings) stays on-chain until the owner calls correctOutcome.
+ *
+ * reconcile() re-derives the outcome of every recently finished football market
+ * from oracle.fixture_results, with the same rules the settlement system uses,
+ * and opens a case when it differs from what the oracle holds. While a case is
+ * open the settlement system leaves the market's pools alone. A case is then
+ * prepared by one admin, approved by another and executed (correctOutcome from
+ * the owner wallet through the tx manager); the pools are settled with the
+ * corrected outcome by the next settlement run. Pools PoolCore had already
+ * settled cannot be settled again and stay marked as locked.
+ *
+ * Every finding and decision is written to oracle.outcome_correction_audit.
+ */
+class OutcomeCorrectionService {
+  constructor() {
+    this.serviceName = 'OutcomeCorrectionService';
+    this.config = config.outcomeCorrections;
+    this.interface = new ethers.Interface(GUIDED_ORACLE_ABI);
+    this.oracle = null;
+    this.settlementSystem = null;
+    this.monitoring = new MonitoringAlertingSystem();
+  }
+
+  getOracle() {
+    if (!this.oracle) {
+      const address = config.blockchain.contractAddresses.guidedOracle;
+      if (!address) {
+        throw new Error('GuidedOracle contract address not configured');
+      }
+      this.oracle = new ethers.Contract(address, GUIDED_ORACLE_ABI, txManager.getProvider());
+    }
+    return this.oracle;
+  }
+
+  /**
+   * Outcomes are derived by the settlement system itself, so a correction
+   * always writes what settlement would have submitted
+   */
+  getSettlementSystem() {
+    if (!this.settlementSystem) {
+      const UnifiedPoolSettlementSystem = require('./unified-pool-settlement-system');
+      this.settlementSystem = new UnifiedPoolSettlementSystem();
+    }
+    return this.settlementSystem;
+  }
+
+  async getOnChainOutcome(marketId) {
+    const [isSet, resultData] = await this.getOracle().getOutcome(marketId);
+    if (!isSet) {
+      return null;
+    }
+    try {
+      return ethers.toUtf8String(resultData);
+    } catch (error) {
+      return ethers.hexlify(resultData);
+    }
+  }
+
+  // ==========================================================================
+  // RECONCILIATION
+  // ==========================================================================
+
+  /**
+   * One pass: check recently finished markets, then record pools settled
+   * after an executed correction
+   */
+  async reconcile() {
+    const markets = await this.getMarketsToCheck();
+    const summary = { checked: 0, flagged: 0, updated: 0, resolved: 0, resettled: 0 };
+
+    console.log(`🔍 ${this.serviceName}: Reconciling ${markets.size} guided football markets`);
+
+    for (const [marketId, pools] of markets) {
+      try {
+        const result = await this.reconcileMarket(marketId, pools);
+        summary.checked++;
+        if (result) {
+          summary[result]++;
+        }
+      } catch (error) {
+        console.error(`❌ ${this.serviceName}: Failed to reconcile market ${marketId}:`, error.message);
+      }
+    }
+
+    summary.resettled = await this.syncResettledPools();
+
+    console.log(`✅ ${this.serviceName}: ${summary.checked} checked, ${summary.flagged} flagged, ${summary.updated} updated, ${summary.resolved} resolved, ${summary.resettled} pools re-settled`);
+    return summary;
+  }
+
+  /**
+   * Guided football pools grouped by market, for fixtures whose results changed
+   * within the lookback window or that have an open case
+   */
+  async getMarketsToCheck() {
+    const result = await db.query(`
+      WITH markets AS (
+        SELECT p.market_id, MAX(fr.updated_at) AS results_updated_at
+        FROM oracle.pools p
+        JOIN oracle.fixture_results fr ON fr.fixture_id::VARCHAR = p.market_id
+        WHERE p.oracle_type = 0
+          AND COALESCE(p.category, 'football') NOT IN ('cryptocurrency', 'crypto')
+          AND fr.finished_at IS NOT NULL
+          AND fr.home_score IS NOT NULL
+          AND fr.away_score IS NOT NULL
+          AND (
+            fr.updated_at >= NOW() - ($1 || ' days')::INTERVAL
+            OR EXISTS (
+              SELECT 1 FROM oracle.outcome_corrections c
+              WHERE c.market_id = p.market_id AND c.status = ANY($3)
+            )
+          )
+        GROUP BY p.market_id
+        ORDER BY results_updated_at DESC
+        LIMIT $2
+      )
+      SELECT
+        fr.*,
+        p.pool_id,
+        p.market_id,
+        p.fixture_id,
+        p.predicted_outcome,
+        p.market_spec,
+        p.market_spec_status,
+        p.is_settled,
+        p.settlement_tx_hash,
+        fr.updated_at AS results_updated_at
+      FROM markets m
+      JOIN oracle.pools p ON p.market_id = m.market_id AND p.oracle_type = 0
+      JOIN oracle.fixture_results fr ON fr.fixture_id::VARCHAR = p.market_id
+      ORDER BY p.market_id, p.pool_id
+    `, [String(this.config.lookbackDays), this.config.maxMarketsPerRun, OPEN_STATUSES]);
+
+    const markets = new Map();
+    for (const row of result.rows) {
+      if (!markets.has(row.market_id)) {
+        markets.set(row.market_id, []);
+      }
+      markets.get(row.market_id).push(row);
+    }
+    return markets;
+  }
+
+  /**
+   * @returns {Promise<'flagged'|'updated'|'resolved'|null>}
+   */
+  async reconcileMarket(marketId, pools) {
+    const submitted = await this.getOnChainOutcome(marketId);
+    if (submitted === null) {
+      // Nothing submitted yet, settlement will submit the derived outcome
+      return null;
+    }
+
+    const expectedByPool = {};
+    for (const pool of pools) {
+      const outcome = this.getSettlementSystem().determineFootballOutcome(pool);
+      if (outcome) {
+        expectedByPool[pool.pool_id] = outcome;
+      }
+    }
+
+    const derived = [...new Set(Object.values(expectedByPool))];
+    if (derived.length === 0) {
+      return null;
+    }
+
+    // Pools that need different outcome strings cannot all be right; an admin picks one
+    const expected = derived.length === 1 ? derived[0] : null;
+    const mismatch = expected === null || expected !== submitted;
+    const open = await this.getOpenCorrection(marketId);
+
+    if (!mismatch) {
+      if (open) {
+        await this.transition(open.id, OPEN_STATUSES, 'reconciliation', 'resolved', {
+          status: 'resolved',
+          closed_by: 'reconciliation',
+          close_reason: `Oracle outcome "${submitted}" now matches the fixture results`
+        }, { submitted });
+        console.log(`✅ Market ${marketId}: mismatch resolved (case ${open.id})`);
+        return 'resolved';
+      }
+      return null;
+    }
+
+    const first = pools[0];
+    const scores = {
+      homeScore: first.home_score,
+      awayScore: first.away_score,
+      htHomeScore: first.ht_home_score,
+      htAwayScore: first.ht_away_score,
+      resultsUpdatedAt: first.results_updated_at
+    };
+
+    if (!open) {
+      if (await this.wasRejected(marketId, submitted, expectedByPool)) {
+        return null;
+      }
+      const correction = await this.openCorrection({ marketId, fixtureId: first.fixture_id, submitted, expected, expectedByPool, scores, pools });
+      return correction ? 'flagged' : null;
+    }
+
+    return await this.updateCorrection(open, { submitted, expected, expectedByPool, scores });
+  }
+
+  async openCorrection({ marketId, fixtureId, submitted, expected, expectedByPool, scores, pools }) {
+    const correction = await db.transaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO oracle.outcome_corrections (
+          market_id, fixture_id, submitted_outcome, expected_outcome, expected_by_pool, scores
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (market_id) WHERE status IN ('flagged', 'prepared', 'approved') DO NOTHING
+        RETURNING *
+      `, [marketId, fixtureId, submitted, expected, JSON.stringify(expectedByPool), JSON.stringify(scores)]);
+
+      const row = inserted.rows[0];
+      if (!row) {
+        return null;
+      }
+
+      for (const pool of pools) {
+        await client.query(`
+          INSERT INTO oracle.outcome_correction_pools (
+            correction_id, pool_id, settled_before, previous_settlement_tx_hash, status
+          ) VALUES ($1, $2, $3, $4, $5)
+        `, [row.id, pool.pool_id, pool.is_settled === true, pool.settlement_tx_hash, pool.is_settled ? 'locked' : 'awaiting']);
+      }
+
+      await this.audit(client, row.id, 'flagged', 'reconciliation', null, 'flagged', { submitted, expected, expectedByPool, scores });
+      return row;
+    });
+
+    if (!correction) {
+      return null;
+    }
+
+    const locked = pools.filter(pool => pool.is_settled).map(pool => pool.pool_id);
+    console.warn(`⚠️ Market ${marketId}: oracle has "${submitted}", fixture results give ${expected !== null ? `"${expected}"` : 'conflicting outcomes'} (case ${correction.id})`);
+
+    await this.monitoring.triggerAlert('oracle_outcome_mismatch', locked.length > 0 ? 'critical' : 'high',
+      `Guided oracle outcome for market ${marketId} is "${submitted}" but fixture results give ${expected !== null ? `"${expected}"` : 'different outcomes per pool'} - settlement of its pools is held until an admin reviews correction ${correction.id}` +
+        (locked.length > 0 ? ` (pools ${locked.join(', ')} were already settled)` : ''),
+      { correctionId: correction.id, marketId, submitted, expected, expectedByPool, lockedPools: locked });
+
+    return correction;
+  }
+
+  async updateCorrection(open, { submitted, expected, expectedByPool, scores }) {
+    const changed = open.submitted_outcome !== submitted || open.expected_outcome !== expected;
+    if (!changed) {
+      await db.query('UPDATE oracle.outcome_corrections SET last_checked_at = NOW() WHERE id = $1', [open.id]);
+      return null;
+    }
+
+    // A prepared or approved correction for an outcome that is no longer expected goes back to review
+    const stale = open.status !== 'flagged' && open.corrected_outcome !== expected;
+    const updates = {
+      submitted_outcome: submitted,
+      expected_outcome: expected,
+      expected_by_pool: JSON.stringify(expectedByPool),
+      scores: JSON.stringify(scores),
+      last_checked_at: new Date()
+    };
+    if (stale) {
+      Object.assign(updates, {
+        status: 'flagged',
+        corrected_outcome: null,
+        prepared_tx: null,
+        prepared_by: null,
+        prepared_at: null,
+        approved_by: null,
+        approved_at: null
+      });
+    }
+
+    await this.transition(open.id, OPEN_STATUSES, 'reconciliation', stale ? 'invalidated' : 'updated', updates, {
+      previous: { submitted: open.submitted_outcome, expected: open.expected_outcome },
+      submitted,
+      expected,
+      expectedByPool
+    });
+
+    console.warn(`⚠️ Market ${open.market_id}: case ${open.id} updated, expected ${expected !== null ? `"${expected}"` : 'conflicting outcomes'}${stale ? ' - prepared correction withdrawn' : ''}`);
+    return 'updated';
+  }
+
+  /**
+   * Record pools of executed corrections once they are settled: after the
+   * correction they were settled with the corrected outcome, before it (by
+   * anyone calling settlePoolAutomatically) with the old one
+   */
+  async syncResettledPools() {
+    const result = await db.query(`
+      SELECT cp.correction_id, cp.pool_id, c.executed_at, p.settled_at, p.settlement_tx_hash
+      FROM oracle.outcome_correction_pools cp
+      JOIN oracle.outcome_corrections c ON c.id = cp.correction_id
+      JOIN oracle.pools p ON p.pool_id = cp.pool_id
+      WHERE c.status = 'executed'
+        AND cp.status = 'awaiting'
+        AND p.is_settled = true
+    `);
+
+    let resettled = 0;
+    for (const row of result.rows) {
+      const after = row.settled_at && row.executed_at && new Date(row.settled_at) >= new Date(row.executed_at);
+      await db.transaction(async (client) => {
+        await client.query(`
+          UPDATE oracle.outcome_correction_pools
+          SET status = $3, settlement_tx_hash = $4, resettled_at = $5
+          WHERE correction_id = $1 AND pool_id = $2
+        `, [row.correction_id, row.pool_id, after ? 'resettled' : 'locked', row.settlement_tx_hash, after ? row.settled_at : null]);
+        await this.audit(client, row.correction_id, after ? 'resettled' : 'locked', 'reconciliation', null, null, {
+          poolId: row.pool_id,
+          settlementTxHash: row.settlement_tx_hash,
+          settledAt: row.settled_at
+        });
+      });
+
+      if (after) {
+        resettled++;
+        console.log(`✅ Pool ${row.pool_id} settled with the corrected outcome (case ${row.correction_id})`);
+      } else {
+        console.warn(`⚠️ Pool ${row.pool_id} was settled before correction ${row.correction_id} was executed`);
+      }
+    }
+    return resettled;
+  }
+
+  // ==========================================================================
+  // ADMIN REVIEW
+  // ==========================================================================
+
+  /**
+   * Propose the outcome to write (defaults to the re-derived one). Preparing a
+   * prepared case again replaces the proposal.
+   */
+  async prepare(id, { outcome = null, preparedBy, note = null }) {
+    requireActor(preparedBy, 'preparedBy');
+
+    return await this.transition(id, ['flagged', 'prepared'], preparedBy, 'prepared', (correction) => {
+      const corrected = outcome !== null && outcome !== undefined ? String(outcome).trim() : correction.expected_outcome;
+      if (!corrected) {
+        throw new OutcomeCorrectionError('outcome is required: the pools on this market expect different outcomes');
+      }
+      if (corrected === correction.submitted_outcome) {
+        throw new OutcomeCorrectionError(`"${corrected}" is already the outcome on the oracle`);
+      }
+
+      const parameters = [correction.market_id, ethers.hexlify(ethers.toUtf8Bytes(corrected))];
+      const preparedTx = {
+        contractAddress: config.blockchain.contractAddresses.guidedOracle,
+        functionName: 'correctOutcome',
+        parameters,
+        data: this.interface.encodeFunctionData('correctOutcome', parameters)
+      };
+
+      return {
+        updates: {
+          status: 'prepared',
+          corrected_outcome: corrected,
+          prepared_tx: JSON.stringify(preparedTx),
+          prepared_by: preparedBy,
+          prepared_at: new Date()
+        },
+        details: {
+          outcome: corrected,
+          override: corrected !== correction.expected_outcome,
+          note
+        }
+      };
+    });
+  }
+
+  /**
+   * Second admin signs off on the prepared correction
+   */
+  async approve(id, { approvedBy, note = null }) {
+    requireActor(approvedBy, 'approvedBy');
+
+    return await this.transition(id, ['prepared'], approvedBy, 'approved', (correction) => {
+      if (this.config.requireDistinctApprover && sameActor(correction.prepared_by, approvedBy)) {
+        throw new OutcomeCorrectionError(`Correction ${id} was prepared by ${correction.prepared_by}; another admin must approve it`, 403);
+      }
+      return {
+        updates: { status: 'approved', approved_by: approvedBy, approved_at: new Date() },
+        details: { outcome: correction.corrected_outcome, note }
+      };
+    });
+  }
+
+  async reject(id, { rejectedBy, reason = null }) {
+    requireActor(rejectedBy, 'rejectedBy');
+
+    return await this.transition(id, OPEN_STATUSES, rejectedBy, 'rejected', {
+      status: 'rejected',
+      closed_by: rejectedBy,
+      close_reason: reason
+    }, { reason });
+  }
+
+  /**
+   * Send the approved correctOutcome from the oracle owner wallet. Safe to
+   * call again after a failure or timeout: the tx manager key is per case.
+   */
+  async execute(id, { executedBy }) {
+    requireActor(executedBy, 'executedBy');
+
+    const correction = await this.getCorrectionRow(id);
+    if (correction.status !== 'approved') {
+      throw new OutcomeCorrectionError(`Correction ${id} is ${correction.status}, only approved corrections can be executed`, 409);
+    }
+
+    const current = await this.getOnChainOutcome(correction.market_id);
+    if (current !== correction.submitted_outcome) {
+      throw new OutcomeCorrectionError(`Oracle outcome for market ${correction.market_id} changed to ${current === null ? 'unset' : `"${current}"`} since the review; wait for the next reconciliation`, 409);
+    }
+
+    if (!this.config.ownerPrivateKey) {
+      throw new OutcomeCorrectionError('No GuidedOracle owner key configured (ORACLE_OWNER_PRIVATE_KEY or PRIVATE_KEY)', 500);
+    }
+    const owner = new ethers.Wallet(this.config.ownerPrivateKey, txManager.getProvider());
+    const ownerAddress = txManager.registerSigner(owner);
+    const oracleOwner = (await this.getOracle().owner()).toLowerCase();
+    if (oracleOwner !== ownerAddress) {
+      throw new OutcomeCorrectionError(`Configured owner key ${ownerAddress} is not the GuidedOracle owner (${oracleOwner})`, 500);
+    }
+
+    const txKey = `correctOutcome:${correction.id}`;
+    await db.query('UPDATE oracle.outcome_corrections SET tx_key = $2, updated_at = NOW() WHERE id = $1', [id, txKey]);
+
+    const { parameters } = correction.prepared_tx;
+    let receipt;
+    try {
+      receipt = await txManager.sendContractCall(this.getOracle().connect(owner), 'correctOutcome', parameters, {
+        key: txKey,
+        lane: 'oracle',
+        requestedBy: 'outcome-corrections'
+      });
+    } catch (error) {
+      await db.transaction(async (client) => {
+        await this.audit(client, id, 'execute_failed', executedBy, 'approved', 'approved', {
+          txKey,
+          code: error.code || null,
+          error: error.message,
+          txHash: error.row?.tx_hash || null
+        });
+      });
+      throw error;
+    }
+
+    const executed = await this.transition(id, ['approved'], executedBy, 'executed', {
+      status: 'executed',
+      executed_by: executedBy,
+      executed_at: new Date(),
+      tx_hash: receipt.hash
+    }, { txKey, txHash: receipt.hash, blockNumber: receipt.blockNumber, outcome: correction.corrected_outcome });
+
+    console.log(`✅ Market ${correction.market_id}: outcome corrected to "${correction.corrected_outcome}" (case ${id}, ${receipt.hash})`);
+    return executed;
+  }
+
+  // ==========================================================================
+  // READS
+  // ==========================================================================
+
+  async getOpenCorrection(marketId) {
+    const result = await db.query(`
+      SELECT * FROM oracle.outcome_corrections
+      WHERE market_id = $1 AND status = ANY($2)
+    `, [String(marketId), OPEN_STATUSES]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * An admin already dismissed this exact finding; it is raised again only
+   * when the oracle outcome or the derived outcomes change
+   */
+  async wasRejected(marketId, submitted, expectedByPool) {
+    const result = await db.query(`
+      SELECT 1 FROM oracle.outcome_corrections
+      WHERE market_id = $1 AND status = 'rejected'
+        AND submitted_outcome = $2 AND expected_by_pool = $3::jsonb
+      LIMIT 1
+    `, [String(marketId), submitted, JSON.stringify(expectedByPool)]);
+    return result.rows.length > 0;
+  }
+
+  async getCorrectionRow(id) {
+    const result = await db.query('SELECT * FROM oracle.outcome_corrections WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new OutcomeCorrectionError(`Correction ${id} not found`, 404);
+    }
+    return result.rows[0];
+  }
+
+  async listCorrections({ status = null, marketId = null, limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT c.*,
+        COALESCE((
+          SELECT json_agg(json_build_object('poolId', cp.pool_id, 'status', cp.status, 'settledBefore', cp.settled_before) ORDER BY cp.pool_id)
+          FROM oracle.outcome_correction_pools cp
+          WHERE cp.correction_id = c.id
+        ), '[]') AS pools
+      FROM oracle.outcome_corrections c
+      WHERE ($1::text IS NULL OR c.status = $1)
+        AND ($2::text IS NULL OR c.market_id = $2)
+      ORDER BY c.created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [status, marketId, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * A case with its pools and full audit trail
+   */
+  async getCorrection(id) {
+    const correction = await this.getCorrectionRow(id);
+    const [pools, audit] = await Promise.all([
+      db.query(`
+        SELECT cp.*, p.predicted_outcome, p.is_settled, p.result
+        FROM oracle.outcome_correction_pools cp
+        LEFT JOIN oracle.pools p ON p.pool_id = cp.pool_id
+        WHERE cp.correction_id = $1
+        ORDER BY cp.pool_id
+      `, [id]),
+      db.query(`
+        SELECT * FROM oracle.outcome_correction_audit
+        WHERE correction_id = $1
+        ORDER BY created_at, id
+      `, [id])
+    ]);
+    return { ...correction, pools: pools.rows, audit: audit.rows };
+  }
+
+  /**
+   * Correction marks for settlement results: pools under review, or corrected
+   * and not yet settled with the corrected outcome
+   *
+   * @returns {Promise<Map<string, Object>>} keyed by pool id
+   */
+  async getPoolMarks(poolIds) {
+    if (poolIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await db.query(`
+      SELECT DISTINCT ON (cp.pool_id)
+        cp.pool_id, cp.status AS pool_status, cp.settled_before,
+        c.id, c.status, c.submitted_outcome, c.expected_outcome, c.corrected_outcome, c.tx_hash, c.executed_at
+      FROM oracle.outcome_correction_pools cp
+      JOIN oracle.outcome_corrections c ON c.id = cp.correction_id
+      WHERE cp.pool_id = ANY($1::bigint[])
+        AND (c.status = ANY($2) OR (c.status = 'executed' AND cp.status <> 'resettled'))
+      ORDER BY cp.pool_id, c.id DESC
+    `, [poolIds.map(String), OPEN_STATUSES]);
+
+    return new Map(result.rows.map(row => [String(row.pool_id), {
+      correctionId: Number(row.id),
+      status: markStatus(row),
+      correctionStatus: row.status,
+      poolStatus: row.pool_status,
+      settledBeforeCorrection: row.settled_before,
+      submittedOutcome: row.submitted_outcome,
+      expectedOutcome: row.expected_outcome,
+      correctedOutcome: row.corrected_outcome,
+      correctionTxHash: row.tx_hash,
+      correctedAt: row.executed_at
+    }]));
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Move a case on under a row lock and audit it. `change` is either the
+   * column updates or a function of the locked row returning { updates, details }.
+   */
+  async transition(id, allowedStatuses, actor, action, change, details = {}) {
+    return await db.transaction(async (client) => {
+      const locked = await client.query('SELECT * FROM oracle.outcome_corrections WHERE id = $1 FOR UPDATE', [id]);
+      const correction = locked.rows[0];
+      if (!correction) {
+        throw new OutcomeCorrectionError(`Correction ${id} not found`, 404);
+      }
+      if (!allowedStatuses.includes(correction.status)) {
+        throw new OutcomeCorrectionError(`Correction ${id} is ${correction.status}, expected ${allowedStatuses.join(' or ')}`, 409);
+      }
+
+      const { updates, details: changeDetails } = typeof change === 'function'
+        ? change(correction)
+        : { updates: change, details };
+
+      const columns = Object.keys(updates);
+      const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+      const updated = await client.query(`
+        UPDATE oracle.outcome_corrections
+        SET ${assignments.join(', ')}, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...columns.map(column => updates[column])]);
+
+      const row = updated.rows[0];
+      await this.audit(client, id, action, actor, correction.status, row.status, changeDetails);
+      return row;
+    });
+  }
+
+  async audit(client, correctionId, action, actor, fromStatus, toStatus, details = null) {
+    await client.query(`
+      INSERT INTO oracle.outcome_correction_audit (correction_id, action, actor, from_status, to_status, details)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [correctionId, action, actor, fromStatus, toStatus, details ? JSON.stringify(details) : null]);
+  }
+}
+
+function markStatus(row) {
+  if (OPEN_STATUSES.includes(row.status)) {
+    return 'under_review';
+  }
+  return row.pool_status === 'locked' ? 'settled_before_correction' : 'awaiting_resettlement';
+}
+
+function requireActor(value, field) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new OutcomeCorrectionError(`${field} is required`);
+  }
+}
+
+function sameActor(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+class OutcomeCorrectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OutcomeCorrectionError';
+    this.status = status;
+  }
+}
+
+module.exports = new OutcomeCorrectionService();
+module.exports.OutcomeCorrectionError = OutcomeCorrectionError;
+module.exports.CORRECTION_STATUSES = STATUSES;
@@ -269,7 +269,7 @@ class PersistentDailyGameManager {
             MAX(CASE WHEN label = 'Home' THEN value END) as home_odds,
             MAX(CASE WHEN label = 'Draw' THEN value END) as draw_odds,
             MAX(CASE WHEN label = 'Away' THEN value END) as away_odds
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE market_id = '1'
           GROUP BY fixture_id
         ) ft ON f.id::VARCHAR = ft.fixture_id::VARCHAR
@@ -278,7 +278,7 @@ class PersistentDailyGameManager {
             fixture_id,
             MAX(CASE WHEN label = 'Over' THEN value END) as over_odds,
             MAX(CASE WHEN label = 'Under' THEN value END) as under_odds
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE market_id = '80' AND total = '2.5'
           GROUP BY fixture_id
         ) ou ON f.id::VARCHAR = ou.fixture_id::VARCHAR
@@ -0,0 +1,232 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+const poolWhitelistService = require('./pool-whitelist-service');
+const { WHITELIST_ABI } = require('./pool-whitelist-service');
+
+/**
+ * Pool Whitelist Indexer
+ *
+ * Mirrors BitredictPoolCore.poolWhitelist into oracle.pool_whitelist.
+ * UserWhitelisted covers additions; removeFromWhitelist() emits nothing, so
+ * every `reconcileIntervalMs` a batch of active entries is re-read on-chain
+ * (least recently checked first) and users the creator removed are marked
+ * inactive.
+ */
+class PoolWhitelistIndexer {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.contract = null;
+    this.checkpoint = null;
+    this.serviceName = 'PoolWhitelistIndexer';
+    this.config = config.privatePools;
+    this.pollTimer = null;
+    this.isSyncing = false;
+    this.lastReconcileAt = 0;
+    this.blockTimestamps = new Map();
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      const address = config.blockchain.contractAddresses.poolCore;
+      if (!address) {
+        throw new Error('PoolCore contract address not configured');
+      }
+      this.contract = new ethers.Contract(address, WHITELIST_ABI, this.web3Service.provider);
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'pool-whitelist-indexer',
+        contractAddress: address,
+        provider: this.web3Service.provider
+      });
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the indexer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    await this.initialize();
+
+    this.isRunning = true;
+    await this.sync();
+
+    this.pollTimer = setInterval(() => this.sync(), this.config.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Indexing whitelist events every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  /**
+   * Stop the indexer
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+
+  /**
+   * Index confirmed blocks after the checkpoint, then reconcile when due
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+    this.isSyncing = true;
+
+    try {
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.contract, {
+        UserWhitelisted: (event) => this.handleUserWhitelisted(event)
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.rollback(forkBlock)
+      });
+
+      if (result.replayed > 0) {
+        console.log(`🚀 ${this.serviceName}: Indexed ${result.replayed} whitelist events from blocks ${result.fromBlock}-${result.toBlock}`);
+      }
+
+      if (Date.now() - this.lastReconcileAt >= this.config.reconcileIntervalMs) {
+        const reconciled = await poolWhitelistService.reconcile();
+        this.lastReconcileAt = Date.now();
+        if (reconciled.removed > 0) {
+          console.log(`🧹 ${this.serviceName}: ${reconciled.removed} of ${reconciled.checked} whitelist entries were removed on-chain`);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Sync failed:`, error.message);
+      // Don't throw - the next run resumes from the checkpoint
+    } finally {
+      this.isSyncing = false;
+      // Block timestamps are only needed within one run
+      this.blockTimestamps.clear();
+    }
+  }
+
+  async handleUserWhitelisted(event) {
+    const { poolId, user } = event.args;
+    const log = event.log || event;
+    const blockNumber = Number(log.blockNumber);
+    const logIndex = log.index ?? log.logIndex ?? 0;
+
+    // Only a later event replaces the row, so replays and out-of-order
+    // chunks cannot move it back
+    await db.query(`
+      INSERT INTO oracle.pool_whitelist (
+        pool_id, user_address, whitelisted_at, is_active, tx_hash, log_index, block_number, removed_at
+      ) VALUES ($1, $2, to_timestamp($3), TRUE, $4, $5, $6, NULL)
+      ON CONFLICT (pool_id, user_address) DO UPDATE SET
+        whitelisted_at = EXCLUDED.whitelisted_at,
+        is_active = TRUE,
+        tx_hash = EXCLUDED.tx_hash,
+        log_index = EXCLUDED.log_index,
+        block_number = EXCLUDED.block_number,
+        removed_at = NULL
+      WHERE oracle.pool_whitelist.block_number IS NULL
+        OR (oracle.pool_whitelist.block_number, oracle.pool_whitelist.log_index) < (EXCLUDED.block_number, EXCLUDED.log_index)
+    `, [
+      poolId.toString(),
+      user.toLowerCase(),
+      await this.getBlockTimestamp(blockNumber),
+      log.transactionHash,
+      logIndex,
+      blockNumber
+    ]);
+
+    await poolWhitelistService.markRedemptionWhitelisted(poolId.toString(), user);
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (!this.blockTimestamps.has(blockNumber)) {
+      const block = await this.web3Service.provider.getBlock(blockNumber);
+      this.blockTimestamps.set(blockNumber, block ? block.timestamp : Math.floor(Date.now() / 1000));
+    }
+    return this.blockTimestamps.get(blockNumber);
+  }
+
+  /**
+   * Entries written from orphaned blocks may have been added by an earlier
+   * event that still stands, so ask the contract instead of deleting them
+   */
+  async rollback(forkBlock) {
+    const affected = await db.query(`
+      UPDATE oracle.pool_whitelist SET tx_hash = NULL, log_index = NULL, block_number = NULL
+      WHERE block_number > $1
+      RETURNING pool_id, user_address
+    `, [forkBlock]);
+
+    for (const row of affected.rows) {
+      const onChain = await this.contract.poolWhitelist(row.pool_id, row.user_address);
+      await db.query(`
+        UPDATE oracle.pool_whitelist SET
+          is_active = $3,
+          removed_at = CASE WHEN $3 THEN removed_at ELSE NOW() END,
+          checked_at = NOW()
+        WHERE pool_id = $1 AND user_address = $2
+      `, [row.pool_id, row.user_address, onChain]);
+    }
+    console.log(`↩️ ${this.serviceName}: Re-checked ${affected.rowCount} whitelist entries after block ${forkBlock}`);
+  }
+
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isRunning: this.isRunning,
+      lastBlock: this.checkpoint ? this.checkpoint.lastBlock : null,
+      lastReconcileAt: this.lastReconcileAt ? new Date(this.lastReconcileAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = PoolWhitelistIndexer;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new PoolWhitelistIndexer();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Pool Whitelist Indexer running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Pool Whitelist Indexer failed to start:', error);
+      process.exit(1);
+    });
+}
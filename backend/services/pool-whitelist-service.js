@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const notificationService = require('./notification-service');
+
+const WHITELIST_ABI = [
+  'function addToWhitelist(uint256 poolId, address user) external',
+  'function removeFromWhitelist(uint256 poolId, address user) external',
+  'function poolWhitelist(uint256, address) external view returns (bool)',
+  'event UserWhitelisted(uint256 indexed poolId, address indexed user)'
+];
+
+// addToWhitelist/removeFromWhitelist take one address per call
+const MAX_ADDRESSES_PER_REQUEST = 50;
+
+/**
+ * Private Pool Whitelist Service
+ *
+ * Whitelist reads come from oracle.pool_whitelist (kept by
+ * services/pool-whitelist-indexer.js). Changes are made by the pool creator's
+ * wallet, so add/remove only prepare the BitredictPoolCore transactions.
+ *
+ * Invite links carry a token of the form `<payload>.<hmac>`, where the payload
+ * holds the invite id, pool id and expiry. Redeeming one puts the user on the
+ * creator's pending list; the contract only accepts whitelist changes from the
+ * creator, who then adds them with a prepared transaction.
+ */
+class PoolWhitelistService {
+  constructor() {
+    this.serviceName = 'PoolWhitelistService';
+    this.config = config.privatePools;
+    this.web3Service = null;
+    this.contract = null;
+    this.interface = new ethers.Interface(WHITELIST_ABI);
+
+    this.inviteSecret = this.config.inviteSecret;
+    if (!this.inviteSecret) {
+      // Invite links will stop working after a restart
+      console.warn(`⚠️ ${this.serviceName}: POOL_INVITE_SECRET not set, using a per-process secret`);
+      this.inviteSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  async getContract() {
+    if (!this.contract) {
+      const address = config.blockchain.contractAddresses.poolCore;
+      if (!address) {
+        throw new Error('PoolCore contract address not configured');
+      }
+      this.web3Service = new Web3Service();
+      await this.web3Service.initialize();
+      this.contract = new ethers.Contract(address, WHITELIST_ABI, this.web3Service.provider);
+    }
+    return this.contract;
+  }
+
+  async getPool(poolId) {
+    const result = await db.query(`
+      SELECT pool_id, creator_address, title, is_private, is_settled, betting_end_time
+      FROM oracle.pools
+      WHERE pool_id = $1
+    `, [poolId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Load a private pool and check that `address` created it
+   */
+  async getCreatorPool(poolId, address) {
+    const pool = await this.getPool(poolId);
+    if (!pool) {
+      throw new WhitelistError(`Pool ${poolId} not found`, 404);
+    }
+    if (pool.creator_address.toLowerCase() !== address.toLowerCase()) {
+      throw new WhitelistError('Only the pool creator can manage its whitelist', 403);
+    }
+    if (!pool.is_private) {
+      throw new WhitelistError(`Pool ${poolId} is not private`);
+    }
+    return pool;
+  }
+
+  async isWhitelisted(poolId, userAddress) {
+    const result = await db.query(`
+      SELECT 1 FROM oracle.pool_whitelist
+      WHERE pool_id = $1 AND user_address = $2 AND is_active
+    `, [poolId, userAddress.toLowerCase()]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Whitelisted users and invite redemptions still waiting for addToWhitelist
+   */
+  async getWhitelist(poolId, { includeRemoved = false } = {}) {
+    const members = await db.query(`
+      SELECT user_address, is_active, whitelisted_at, removed_at, tx_hash, block_number
+      FROM oracle.pool_whitelist
+      WHERE pool_id = $1 AND ($2::boolean OR is_active)
+      ORDER BY whitelisted_at
+    `, [poolId, includeRemoved]);
+
+    const pending = await db.query(`
+      SELECT r.user_address, r.redeemed_at, r.invite_id, i.label
+      FROM oracle.pool_invite_redemptions r
+      JOIN oracle.pool_invites i ON i.id = r.invite_id
+      WHERE r.pool_id = $1 AND r.whitelisted_at IS NULL
+      ORDER BY r.redeemed_at
+    `, [poolId]);
+
+    return {
+      members: members.rows.map(row => ({
+        address: row.user_address,
+        active: row.is_active,
+        whitelistedAt: row.whitelisted_at,
+        removedAt: row.removed_at,
+        txHash: row.tx_hash,
+        blockNumber: row.block_number !== null ? Number(row.block_number) : null
+      })),
+      pending: pending.rows.map(row => ({
+        address: row.user_address,
+        redeemedAt: row.redeemed_at,
+        inviteId: Number(row.invite_id),
+        inviteLabel: row.label
+      }))
+    };
+  }
+
+  /**
+   * Build the addToWhitelist/removeFromWhitelist calls for a set of addresses.
+   * Addresses that would not change anything are returned in `skipped`.
+   *
+   * @param {string} action - 'add' or 'remove'
+   */
+  async prepareWhitelistUpdate(pool, action, addresses) {
+    if (action !== 'add' && action !== 'remove') {
+      throw new WhitelistError('Action must be "add" or "remove"');
+    }
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      throw new WhitelistError('At least one address is required');
+    }
+    if (addresses.length > MAX_ADDRESSES_PER_REQUEST) {
+      throw new WhitelistError(`At most ${MAX_ADDRESSES_PER_REQUEST} addresses per request`);
+    }
+
+    const invalid = addresses.filter(address => typeof address !== 'string' || !ethers.isAddress(address));
+    if (invalid.length > 0) {
+      throw new WhitelistError(`Invalid addresses: ${invalid.join(', ')}`);
+    }
+
+    const unique = [...new Set(addresses.map(address => address.toLowerCase()))];
+    const active = await db.query(`
+      SELECT user_address FROM oracle.pool_whitelist
+      WHERE pool_id = $1 AND user_address = ANY($2) AND is_active
+    `, [pool.pool_id, unique]);
+    const activeSet = new Set(active.rows.map(row => row.user_address));
+
+    const contractAddress = config.blockchain.contractAddresses.poolCore;
+    const functionName = action === 'add' ? 'addToWhitelist' : 'removeFromWhitelist';
+    const transactions = [];
+    const skipped = [];
+
+    for (const address of unique) {
+      if (address === pool.creator_address.toLowerCase()) {
+        skipped.push({ address, reason: 'creator' });
+      } else if (action === 'add' && activeSet.has(address)) {
+        skipped.push({ address, reason: 'already_whitelisted' });
+      } else if (action === 'remove' && !activeSet.has(address)) {
+        skipped.push({ address, reason: 'not_whitelisted' });
+      } else {
+        const parameters = [pool.pool_id.toString(), ethers.getAddress(address)];
+        transactions.push({
+          contractAddress,
+          functionName,
+          parameters,
+          data: this.interface.encodeFunctionData(functionName, parameters),
+          value: '0'
+        });
+      }
+    }
+
+    return { action, transactions, skipped };
+  }
+
+  /**
+   * @returns {Promise<{invite: Object, token: string}>}
+   */
+  async createInvite(pool, { ttlHours, maxUses = null, label = null } = {}) {
+    const hours = ttlHours !== undefined ? Number(ttlHours) : this.config.inviteTtlHours;
+    if (!Number.isFinite(hours) || hours <= 0 || hours > this.config.maxInviteTtlHours) {
+      throw new WhitelistError(`ttlHours must be between 0 and ${this.config.maxInviteTtlHours}`);
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new WhitelistError('maxUses must be a positive integer');
+    }
+    if (pool.is_settled) {
+      throw new WhitelistError(`Pool ${pool.pool_id} is already settled`);
+    }
+
+    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    const result = await db.query(`
+      INSERT INTO oracle.pool_invites (pool_id, creator_address, label, max_uses, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [pool.pool_id, pool.creator_address.toLowerCase(), label, maxUses, expiresAt]);
+
+    const invite = result.rows[0];
+    return { invite: this.formatInvite(invite), token: this.signInvite(invite) };
+  }
+
+  async listInvites(poolId) {
+    const result = await db.query(`
+      SELECT * FROM oracle.pool_invites
+      WHERE pool_id = $1
+      ORDER BY created_at DESC
+    `, [poolId]);
+
+    return result.rows.map(invite => ({ ...this.formatInvite(invite), token: this.signInvite(invite) }));
+  }
+
+  async revokeInvite(poolId, inviteId) {
+    const result = await db.query(`
+      UPDATE oracle.pool_invites SET revoked_at = COALESCE(revoked_at, NOW())
+      WHERE id = $1 AND pool_id = $2
+      RETURNING *
+    `, [inviteId, poolId]);
+
+    if (result.rows.length === 0) {
+      throw new WhitelistError(`Invite ${inviteId} not found`, 404);
+    }
+    return this.formatInvite(result.rows[0]);
+  }
+
+  formatInvite(invite) {
+    return {
+      id: Number(invite.id),
+      poolId: Number(invite.pool_id),
+      label: invite.label,
+      maxUses: invite.max_uses,
+      useCount: invite.use_count,
+      expiresAt: invite.expires_at,
+      revokedAt: invite.revoked_at,
+      createdAt: invite.created_at
+    };
+  }
+
+  signInvite(invite) {
+    const payload = Buffer.from(JSON.stringify({
+      i: Number(invite.id),
+      p: Number(invite.pool_id),
+      e: Math.floor(new Date(invite.expires_at).getTime() / 1000)
+    })).toString('base64url');
+    return `${payload}.${this.inviteHmac(payload)}`;
+  }
+
+  inviteHmac(payload) {
+    return crypto.createHmac('sha256', this.inviteSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Check the signature and expiry of an invite token
+   *
+   * @returns {{inviteId: number, poolId: number, expiresAt: Date}}
+   */
+  parseInviteToken(token) {
+    const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature) {
+      throw new WhitelistError('Malformed invite token');
+    }
+
+    const provided = Buffer.from(signature);
+    const expected = Buffer.from(this.inviteHmac(payload));
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      throw new WhitelistError('Invalid invite signature', 403);
+    }
+
+    const { i, p, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (e * 1000 <= Date.now()) {
+      throw new WhitelistError('Invite has expired', 410);
+    }
+    return { inviteId: i, poolId: p, expiresAt: new Date(e * 1000) };
+  }
+
+  /**
+   * What an invite link points to, without redeeming it
+   */
+  async getInvitePreview(token) {
+    const { inviteId, poolId, expiresAt } = this.parseInviteToken(token);
+    const invite = await this.loadUsableInvite(db, inviteId);
+    const pool = await this.getPool(poolId);
+
+    return {
+      poolId,
+      title: pool ? pool.title : null,
+      creator: invite.creator_address,
+      label: invite.label,
+      expiresAt,
+      remainingUses: invite.max_uses !== null ? invite.max_uses - invite.use_count : null
+    };
+  }
+
+  /**
+   * @param {Object} client - db or a transaction client
+   * @param {boolean} forUpdate - lock the invite row while a redemption is counted
+   */
+  async loadUsableInvite(client, inviteId, forUpdate = false) {
+    const result = await client.query(
+      `SELECT * FROM oracle.pool_invites WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [inviteId]
+    );
+    const invite = result.rows[0];
+
+    if (!invite) {
+      throw new WhitelistError('Invite not found', 404);
+    }
+    if (invite.revoked_at) {
+      throw new WhitelistError('Invite has been revoked', 410);
+    }
+    if (new Date(invite.expires_at).getTime() <= Date.now()) {
+      throw new WhitelistError('Invite has expired', 410);
+    }
+    if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+      throw new WhitelistError('Invite has no uses left', 410);
+    }
+    return invite;
+  }
+
+  /**
+   * Redeem an invite for `userAddress`
+   *
+   * @returns {Promise<{poolId: number, status: string}>} status is 'whitelisted'
+   *   when the user already is, otherwise 'pending' until the creator adds them
+   */
+  async redeemInvite(token, userAddress) {
+    const { inviteId, poolId } = this.parseInviteToken(token);
+    const address = userAddress.toLowerCase();
+
+    const pool = await this.getPool(poolId);
+    if (!pool || !pool.is_private) {
+      throw new WhitelistError(`Pool ${poolId} is not a private pool`, 404);
+    }
+    if (pool.is_settled) {
+      throw new WhitelistError(`Pool ${poolId} is already settled`, 410);
+    }
+    if (pool.creator_address.toLowerCase() === address) {
+      throw new WhitelistError('Pool creators do not need an invite');
+    }
+
+    const alreadyWhitelisted = await this.isWhitelisted(poolId, address);
+
+    const redemption = await db.transaction(async (client) => {
+      const invite = await this.loadUsableInvite(client, inviteId, true);
+
+      const inserted = await client.query(`
+        INSERT INTO oracle.pool_invite_redemptions (invite_id, pool_id, user_address, whitelisted_at)
+        VALUES ($1, $2, $3, ${alreadyWhitelisted ? 'NOW()' : 'NULL'})
+        ON CONFLICT (pool_id, user_address) DO NOTHING
+        RETURNING id
+      `, [invite.id, poolId, address]);
+
+      if (inserted.rows.length > 0) {
+        await client.query('UPDATE oracle.pool_invites SET use_count = use_count + 1 WHERE id = $1', [invite.id]);
+      }
+      return { isNew: inserted.rows.length > 0, creator: invite.creator_address };
+    });
+
+    if (redemption.isNew && !alreadyWhitelisted) {
+      try {
+        await notificationService.notifyInviteRedeemed(redemption.creator, {
+          poolId,
+          title: pool.title,
+          invitee: address
+        });
+      } catch (error) {
+        console.warn(`⚠️ ${this.serviceName}: Could not notify creator of pool ${poolId}:`, error.message);
+      }
+    }
+
+    console.log(`🎟️ ${this.serviceName}: ${address} redeemed invite ${inviteId} for pool ${poolId}`);
+    return { poolId, status: alreadyWhitelisted ? 'whitelisted' : 'pending' };
+  }
+
+  /**
+   * Close pending redemptions once the user shows up on the whitelist
+   */
+  async markRedemptionWhitelisted(poolId, userAddress) {
+    await db.query(`
+      UPDATE oracle.pool_invite_redemptions SET whitelisted_at = NOW()
+      WHERE pool_id = $1 AND user_address = $2 AND whitelisted_at IS NULL
+    `, [poolId, userAddress.toLowerCase()]);
+  }
+
+  /**
+   * Re-read poolWhitelist(poolId, user) for active entries of unsettled
+   * private pools and deactivate users the creator removed
+   *
+   * @returns {Promise<{checked: number, removed: number}>}
+   */
+  async reconcile({ poolId = null, limit = this.config.reconcileBatchSize } = {}) {
+    const contract = await this.getContract();
+    const rows = await db.query(`
+      SELECT w.pool_id, w.user_address
+      FROM oracle.pool_whitelist w
+      JOIN oracle.pools p ON p.pool_id::bigint = w.pool_id
+      WHERE w.is_active AND COALESCE(p.is_settled, false) = false
+        AND ($1::bigint IS NULL OR w.pool_id = $1)
+      ORDER BY w.checked_at NULLS FIRST
+      LIMIT $2
+    `, [poolId, limit]);
+
+    let removed = 0;
+    for (const row of rows.rows) {
+      const onChain = await contract.poolWhitelist(row.pool_id, row.user_address);
+      await db.query(`
+        UPDATE oracle.pool_whitelist SET
+          checked_at = NOW(),
+          is_active = $3,
+          removed_at = CASE WHEN $3 THEN NULL ELSE NOW() END
+        WHERE pool_id = $1 AND user_address = $2
+      `, [row.pool_id, row.user_address, onChain]);
+      if (!onChain) {
+        removed++;
+      }
+    }
+
+    return { checked: rows.rows.length, removed };
+  }
+}
+
+/**
+ * Client errors (validation, permissions, expired or revoked invites)
+ */
+class WhitelistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WhitelistError';
+    this.status = status;
+  }
+}
+
+module.exports = new PoolWhitelistService();
+module.exports.WhitelistError = WhitelistError;
+module.exports.WHITELIST_ABI = WHITELIST_ABI;
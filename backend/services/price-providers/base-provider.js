@@ -0,0 +1,47 @@
+const fetch = require('node-fetch');
+
+/**
+ * Base class for crypto price providers
+ *
+ * A provider returns raw price points for an asset over a time range:
+ *   getPricePoints({ symbol, coinId }, from, to) -> [{ time: Date, price: number }]
+ * `coinId` is the Coinpaprika id stored on our markets; providers with their own
+ * ids map from `symbol`. Close/TWAP calculation is done by the caller, so
+ * every source is judged the same way.
+ */
+class BasePriceProvider {
+  constructor(name, { timeout = 15000 } = {}) {
+    this.name = name;
+    this.timeout = timeout;
+  }
+
+  async getPricePoints(asset, from, to) {
+    throw new Error(`${this.name}: getPricePoints not implemented`);
+  }
+
+  async fetchJson(url, headers = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        signal: controller.signal,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Bitredict/1.0',
+          ...headers
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+module.exports = BasePriceProvider;
@@ -0,0 +1,26 @@
+const BasePriceProvider = require('./base-provider');
+
+/**
+ * Binance 1-minute klines against USDT (public endpoint, no key)
+ * Each candle becomes a point at its close time with its close price.
+ */
+class BinancePriceProvider extends BasePriceProvider {
+  constructor({ baseUrl = process.env.BINANCE_BASE_URL, quoteAsset = 'USDT' } = {}) {
+    super('binance');
+    this.baseUrl = baseUrl || 'https://api.binance.com/api/v3';
+    this.quoteAsset = quoteAsset;
+  }
+
+  async getPricePoints({ symbol }, from, to) {
+    const pair = `${symbol.toUpperCase()}${this.quoteAsset}`;
+    const url = `${this.baseUrl}/klines?symbol=${pair}&interval=1m` +
+      `&startTime=${from.getTime()}&endTime=${to.getTime()}&limit=1000`;
+
+    const candles = await this.fetchJson(url);
+    return candles
+      .filter(candle => candle[6] <= to.getTime())
+      .map(candle => ({ time: new Date(candle[6] + 1), price: parseFloat(candle[4]) }));
+  }
+}
+
+module.exports = BinancePriceProvider;
@@ -0,0 +1,60 @@
+const BasePriceProvider = require('./base-provider');
+
+// CoinGecko ids for the coins we list most; anything else goes through /search
+const KNOWN_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  SOL: 'solana',
+  ADA: 'cardano',
+  MATIC: 'matic-network',
+  AVAX: 'avalanche-2',
+  DOT: 'polkadot',
+  LINK: 'chainlink',
+  UNI: 'uniswap',
+  LTC: 'litecoin'
+};
+
+/**
+ * CoinGecko market_chart/range (5-minute points for ranges under a day)
+ * Uses COINGECKO_API_KEY as a demo key when set
+ */
+class CoinGeckoPriceProvider extends BasePriceProvider {
+  constructor({ apiKey = process.env.COINGECKO_API_KEY, baseUrl = process.env.COINGECKO_BASE_URL } = {}) {
+    super('coingecko');
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl || 'https://api.coingecko.com/api/v3';
+    this.idCache = new Map(Object.entries(KNOWN_IDS));
+  }
+
+  headers() {
+    return this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {};
+  }
+
+  async resolveId(symbol) {
+    const upperSymbol = symbol.toUpperCase();
+    if (this.idCache.has(upperSymbol)) {
+      return this.idCache.get(upperSymbol);
+    }
+
+    const data = await this.fetchJson(`${this.baseUrl}/search?query=${encodeURIComponent(symbol)}`, this.headers());
+    // Results are ordered by market cap rank, so the first symbol match is the main coin
+    const match = (data.coins || []).find(coin => coin.symbol.toUpperCase() === upperSymbol);
+    if (!match) {
+      throw new Error(`Unknown CoinGecko coin for ${symbol}`);
+    }
+
+    this.idCache.set(upperSymbol, match.id);
+    return match.id;
+  }
+
+  async getPricePoints({ symbol }, from, to) {
+    const id = await this.resolveId(symbol);
+    const url = `${this.baseUrl}/coins/${id}/market_chart/range?vs_currency=usd` +
+      `&from=${Math.floor(from.getTime() / 1000)}&to=${Math.ceil(to.getTime() / 1000)}`;
+
+    const data = await this.fetchJson(url, this.headers());
+    return (data.prices || []).map(([timestampMs, price]) => ({ time: new Date(timestampMs), price }));
+  }
+}
+
+module.exports = CoinGeckoPriceProvider;
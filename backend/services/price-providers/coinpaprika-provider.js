@@ -0,0 +1,55 @@
+const BasePriceProvider = require('./base-provider');
+const CoinpaprikaService = require('../coinpaprika');
+const db = require('../../db/db');
+const config = require('../../config');
+
+/**
+ * Coinpaprika historical ticks, with our own crypto_price_snapshots
+ * (written every 5 minutes from Coinpaprika tickers) as fallback
+ */
+class CoinpaprikaPriceProvider extends BasePriceProvider {
+  constructor({ coinpaprikaService = null } = {}) {
+    super('coinpaprika');
+    this.coinpaprikaService = coinpaprikaService || new CoinpaprikaService();
+  }
+
+  async getPricePoints({ symbol, coinId }, from, to) {
+    const id = coinId || await this.coinpaprikaService.findCoinIdBySymbol(symbol);
+    if (!id) {
+      throw new Error(`Unknown Coinpaprika coin for ${symbol}`);
+    }
+
+    const response = await this.coinpaprikaService.getCoinHistoricalData(
+      id,
+      Math.floor(from.getTime() / 1000),
+      Math.floor(to.getTime() / 1000),
+      1000,
+      config.cryptoResolution.historicalInterval
+    );
+
+    if (response.success && response.data.length > 0) {
+      return response.data
+        .filter(point => point.price !== null && point.price !== undefined)
+        .map(point => ({ time: new Date(point.timestamp), price: parseFloat(point.price) }));
+    }
+
+    if (!response.success) {
+      console.warn(`⚠️ coinpaprika: historical data unavailable for ${id}, using price snapshots: ${response.error}`);
+    }
+    return this.getSnapshotPoints(id, from, to);
+  }
+
+  async getSnapshotPoints(coinId, from, to) {
+    const result = await db.query(`
+      SELECT price_usd, COALESCE(last_updated, created_at) AS price_time
+      FROM oracle.crypto_price_snapshots
+      WHERE coinpaprika_id = $1
+        AND COALESCE(last_updated, created_at) BETWEEN $2 AND $3
+      ORDER BY price_time ASC
+    `, [coinId, from, to]);
+
+    return result.rows.map(row => ({ time: new Date(row.price_time), price: parseFloat(row.price_usd) }));
+  }
+}
+
+module.exports = CoinpaprikaPriceProvider;
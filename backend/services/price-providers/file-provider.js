@@ -0,0 +1,31 @@
+const fs = require('fs');
+const BasePriceProvider = require('./base-provider');
+
+/**
+ * Price points from a local JSON file, for tests and local replays
+ *
+ * Format (keyed by symbol):
+ *   { "BTC": [{ "timestamp": "2025-01-01T12:00:00Z", "price": 97000.5 }, ...] }
+ */
+class FilePriceProvider extends BasePriceProvider {
+  constructor({ filePath = process.env.CRYPTO_PRICE_FIXTURE_FILE, name = 'file' } = {}) {
+    super(name);
+    this.filePath = filePath;
+  }
+
+  async getPricePoints({ symbol }, from, to) {
+    if (!this.filePath) {
+      throw new Error('CRYPTO_PRICE_FIXTURE_FILE is not set');
+    }
+
+    // Read on every call so fixtures can be edited while the bot runs
+    const fixtures = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    const points = fixtures[symbol.toUpperCase()] || [];
+
+    return points
+      .map(point => ({ time: new Date(point.timestamp), price: parseFloat(point.price) }))
+      .filter(point => point.time >= from && point.time <= to);
+  }
+}
+
+module.exports = FilePriceProvider;
@@ -0,0 +1,32 @@
+const config = require('../../config');
+const CoinpaprikaPriceProvider = require('./coinpaprika-provider');
+const CoinGeckoPriceProvider = require('./coingecko-provider');
+const BinancePriceProvider = require('./binance-provider');
+const FilePriceProvider = require('./file-provider');
+
+const PROVIDERS = {
+  coinpaprika: CoinpaprikaPriceProvider,
+  coingecko: CoinGeckoPriceProvider,
+  binance: BinancePriceProvider,
+  file: FilePriceProvider
+};
+
+/**
+ * Build the configured price providers (CRYPTO_PRICE_PROVIDERS)
+ * @param {string[]} [names]
+ * @param {Object} [options] - Per-provider constructor options, keyed by name
+ */
+function createPriceProviders(names = config.cryptoResolution.providers, options = {}) {
+  return names.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown price provider: ${name} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider(options[name]);
+  });
+}
+
+module.exports = {
+  createPriceProviders,
+  PROVIDERS
+};
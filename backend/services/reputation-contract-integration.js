@@ -10,6 +10,7 @@
 const { ethers } = require('ethers');
 const config = require('../config');
 const db = require('../db/db');
+const txManager = require('./tx-manager');
 
 const REPUTATION_SYSTEM_ABI = require('../abis/ReputationSystem.json');
 const REPUTATION_SYSTEM_ADDRESS = '0x70b7BcB7aF96C8B4354A4DA91365184b1DaC782A';
@@ -98,17 +99,15 @@ class ReputationContractIntegration {
                 throw new Error(`Unknown reputation action: ${actionType}`);
             }
             
-            // Call contract
-            const tx = await this.reputationContract.recordReputationAction(
-                userAddress,
-                actionEnum,
-                details
+            // Call contract through the shared transaction queue
+            const receipt = await txManager.sendContractCall(
+                this.reputationContract,
+                'recordReputationAction',
+                [userAddress, actionEnum, details],
+                { lane: 'analytics', requestedBy: 'reputation-contract-integration' }
             );
             
-            console.log(`   Transaction: ${tx.hash}`);
-            
-            // Wait for confirmation
-            const receipt = await tx.wait();
+            console.log(`   Transaction: ${receipt.hash}`);
             console.log(`   Confirmed in block: ${receipt.blockNumber}`);
             
             // Store in database for tracking
@@ -116,7 +115,7 @@ class ReputationContractIntegration {
                 userAddress,
                 actionType,
                 details,
-                transactionHash: tx.hash,
+                transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber,
                 timestamp: new Date()
             });
@@ -125,7 +124,7 @@ class ReputationContractIntegration {
             
             return {
                 success: true,
-                transactionHash: tx.hash,
+                transactionHash: receipt.hash,
                 blockNumber: receipt.blockNumber
             };
             
@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const config = require('../config');
 const db = require('../db/db');
+const txManager = require('./tx-manager');
 
 /**
  * Reputation Sync Service
@@ -199,16 +200,13 @@ class ReputationSyncService {
       const gasEstimate = await this.reputationContract.batchUpdateReputation.estimateGas(addresses, reputations);
       console.log(`⛽ Estimated gas: ${gasEstimate.toString()}`);
 
-      // Execute batch update
-      const tx = await this.reputationContract.batchUpdateReputation(addresses, reputations, {
-        gasLimit: gasEstimate + BigInt(50000) // Add buffer
+      // Execute batch update (analytics lane: waits behind settlement and oracle transactions)
+      const receipt = await txManager.sendContractCall(this.reputationContract, 'batchUpdateReputation', [addresses, reputations], {
+        lane: 'analytics',
+        gasLimit: gasEstimate + BigInt(50000), // Add buffer
+        requestedBy: 'reputation-sync'
       });
-
-      console.log(`🚀 Reputation sync transaction sent: ${tx.hash}`);
-      
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      console.log(`✅ Reputation sync confirmed in block ${receipt.blockNumber}`);
+      console.log(`✅ Reputation sync confirmed in block ${receipt.blockNumber}: ${receipt.hash}`);
 
       // Update last_synced_at for these users
       await db.query(`
@@ -253,11 +251,11 @@ class ReputationSyncService {
       const reputation = result.rows[0].reputation;
 
       // Update on-chain
-      const tx = await this.reputationContract.updateReputation(userAddress, reputation);
-      console.log(`🚀 Individual reputation sync for ${userAddress}: ${tx.hash}`);
-
-      await tx.wait();
-      console.log(`✅ Synced reputation for ${userAddress}: ${reputation}`);
+      const receipt = await txManager.sendContractCall(this.reputationContract, 'updateReputation', [userAddress, reputation], {
+        lane: 'analytics',
+        requestedBy: 'reputation-sync'
+      });
+      console.log(`✅ Synced reputation for ${userAddress}: ${reputation} (${receipt.hash})`);
 
       // Update sync timestamp
       await db.query(
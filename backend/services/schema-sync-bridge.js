@@ -128,7 +128,7 @@ class SchemaSyncBridge {
         // Get odds data
         const oddsResult = await db.query(`
           SELECT market_id, label, value, total
-          FROM oracle.fixture_odds 
+          FROM oracle.fixture_odds_consensus 
           WHERE fixture_id = $1 
             AND market_id IN ('1', '80', '14') -- 1X2, Over/Under 2.5, BTTS
             AND (
@@ -183,7 +183,7 @@ class SimpleBulletproofService {
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Over' AND o.total = '2.500000' THEN o.value END) as over_25_odds,
             MAX(CASE WHEN o.market_id = '80' AND o.label = 'Under' AND o.total = '2.500000' THEN o.value END) as under_25_odds
           FROM oracle.fixtures f
-          INNER JOIN oracle.fixture_odds o ON f.id::VARCHAR = o.fixture_id
+          INNER JOIN oracle.fixture_odds_consensus o ON f.id::VARCHAR = o.fixture_id
           WHERE (DATE(f.starting_at) = $1 OR DATE(f.starting_at) = $1::date + INTERVAL '1 day')
             AND f.status IN ('NS', 'Fixture')
             AND o.market_id IN ('1', '80')  -- 1X2 and Over/Under 2.5
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const { cache } = require('../config/redis');
+
+/**
+ * Sign-In-With-Ethereum (EIP-4361) Auth Service
+ *
+ * Flow: the client fetches a nonce, builds an EIP-4361 message containing it,
+ * signs it with the wallet and posts message + signature to /api/auth/login.
+ * A verified login creates a row in system.auth_sessions and returns a bearer
+ * token of the form `<sessionId>.<hmac>`; the HMAC lets us reject forged tokens
+ * without a database round trip. Sessions are cached in Redis when available,
+ * Postgres stays the source of truth (revocation, expiry).
+ */
+class SiweAuthService {
+  constructor() {
+    this.serviceName = 'SiweAuthService';
+
+    this.config = {
+      nonceTtlSeconds: 10 * 60,
+      sessionTtlSeconds: parseInt(process.env.SIWE_SESSION_TTL_SECONDS || String(24 * 60 * 60)),
+      sessionCacheSeconds: 5 * 60,
+      // Messages must be signed for one of our own frontends
+      allowedDomains: (process.env.SIWE_DOMAINS
+        ? process.env.SIWE_DOMAINS.split(',')
+        : config.api.cors.origin
+      ).map(origin => origin.trim().replace(/^https?:\/\//, '').replace(/\/$/, '')),
+      chainId: parseInt(config.blockchain.chainId)
+    };
+
+    this.sessionSecret = config.auth.sessionSecret;
+    if (!this.sessionSecret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${this.serviceName}: SESSION_SECRET must be set in production`);
+      }
+      // Development only: every issued token stops verifying when the process restarts
+      console.warn(`⚠️ ${this.serviceName}: SESSION_SECRET not set, using a per-process secret`);
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Issue a single-use login nonce
+   */
+  async createNonce() {
+    // EIP-4361 nonces must be alphanumeric and at least 8 characters
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + this.config.nonceTtlSeconds * 1000);
+
+    await db.query(`
+      INSERT INTO system.auth_nonces (nonce, expires_at)
+      VALUES ($1, $2)
+    `, [nonce, expiresAt]);
+
+    return { nonce, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Parse an EIP-4361 message into its fields
+   */
+  parseMessage(message) {
+    if (typeof message !== 'string') {
+      throw new AuthError('Message must be a string');
+    }
+
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+    const header = lines[0] && lines[0].match(/^(?:([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/);
+    if (!header) {
+      throw new AuthError('Invalid SIWE message header');
+    }
+
+    const address = lines[1];
+    if (!address || !ethers.isAddress(address)) {
+      throw new AuthError('Invalid SIWE message address');
+    }
+
+    const fields = {
+      scheme: header[1] || null,
+      domain: header[2],
+      address,
+      statement: null,
+      resources: []
+    };
+
+    // Statement is optional and sits between two blank lines
+    let index = 2;
+    if (lines[index] === '' && lines[index + 1] !== undefined && !lines[index + 1].startsWith('URI: ')) {
+      fields.statement = lines[index + 1];
+      index += 2;
+    }
+    if (lines[index] === '') {
+      index++;
+    }
+
+    const keys = {
+      'URI': 'uri',
+      'Version': 'version',
+      'Chain ID': 'chainId',
+      'Nonce': 'nonce',
+      'Issued At': 'issuedAt',
+      'Expiration Time': 'expirationTime',
+      'Not Before': 'notBefore',
+      'Request ID': 'requestId'
+    };
+
+    for (; index < lines.length; index++) {
+      const line = lines[index];
+      if (line === 'Resources:') {
+        fields.resources = lines.slice(index + 1)
+          .filter(resource => resource.startsWith('- '))
+          .map(resource => resource.slice(2));
+        break;
+      }
+
+      const separator = line.indexOf(': ');
+      const key = separator > 0 ? keys[line.slice(0, separator)] : null;
+      if (key) {
+        fields[key] = line.slice(separator + 2);
+      }
+    }
+
+    for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+      if (!fields[required]) {
+        throw new AuthError(`SIWE message is missing ${required}`);
+      }
+    }
+    if (fields.version !== '1') {
+      throw new AuthError(`Unsupported SIWE version ${fields.version}`);
+    }
+
+    fields.chainId = parseInt(fields.chainId);
+    return fields;
+  }
+
+  /**
+   * Verify a signed SIWE message and open a session
+   * @returns {{ token, address, expiresAt }}
+   */
+  async login(message, signature, { ipAddress = null, userAgent = null } = {}) {
+    const fields = this.parseMessage(message);
+    const now = Date.now();
+
+    if (!this.config.allowedDomains.includes(fields.domain)) {
+      throw new AuthError(`Domain ${fields.domain} is not allowed`);
+    }
+    if (fields.chainId !== this.config.chainId) {
+      throw new AuthError(`Wrong chain id ${fields.chainId}, expected ${this.config.chainId}`);
+    }
+    if (fields.expirationTime && new Date(fields.expirationTime).getTime() <= now) {
+      throw new AuthError('SIWE message has expired');
+    }
+    if (fields.notBefore && new Date(fields.notBefore).getTime() > now) {
+      throw new AuthError('SIWE message is not valid yet');
+    }
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new AuthError('Failed to verify signature');
+    }
+    if (recoveredAddress.toLowerCase() !== fields.address.toLowerCase()) {
+      throw new AuthError('Signature does not match address');
+    }
+
+    const address = recoveredAddress.toLowerCase();
+    const sessionId = crypto.randomBytes(24).toString('hex');
+    let sessionExpiry = now + this.config.sessionTtlSeconds * 1000;
+    if (fields.expirationTime) {
+      sessionExpiry = Math.min(sessionExpiry, new Date(fields.expirationTime).getTime());
+    }
+    const expiresAt = new Date(sessionExpiry);
+
+    await db.transaction(async (client) => {
+      // Consume the nonce atomically so a signed message can only be used once
+      const nonceResult = await client.query(`
+        UPDATE system.auth_nonces
+        SET used_at = NOW(), used_by = $2
+        WHERE nonce = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING nonce
+      `, [fields.nonce, address]);
+
+      if (nonceResult.rows.length === 0) {
+        throw new AuthError('Invalid or expired nonce');
+      }
+
+      await client.query(`
+        INSERT INTO system.auth_sessions
+        (session_id, user_address, chain_id, domain, nonce, siwe_message, signature, ip_address, user_agent, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [sessionId, address, fields.chainId, fields.domain, fields.nonce, message, signature, ipAddress, userAgent, expiresAt]);
+    });
+
+    console.log(`🔐 ${this.serviceName}: Session opened for ${address}`);
+
+    return {
+      token: `${sessionId}.${this.signSessionId(sessionId)}`,
+      address,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Resolve a bearer token to its session, or null if invalid/expired/revoked
+   */
+  async getSession(token) {
+    const sessionId = this.verifyToken(token);
+    if (!sessionId) {
+      return null;
+    }
+
+    const cacheKey = this.sessionCacheKey(sessionId);
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return new Date(cached.expiresAt).getTime() > Date.now() ? cached : null;
+    }
+
+    const result = await db.query(`
+      SELECT session_id, user_address, chain_id, issued_at, expires_at
+      FROM system.auth_sessions
+      WHERE session_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    `, [sessionId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const session = {
+      sessionId: row.session_id,
+      address: row.user_address,
+      chainId: row.chain_id,
+      issuedAt: row.issued_at,
+      expiresAt: row.expires_at
+    };
+
+    const remainingSeconds = Math.floor((new Date(row.expires_at).getTime() - Date.now()) / 1000);
+    await cache.set(cacheKey, session, Math.max(1, Math.min(remainingSeconds, this.config.sessionCacheSeconds)));
+
+    return session;
+  }
+
+  /**
+   * Revoke a session (logout)
+   */
+  async revokeSession(sessionId) {
+    await db.query(`
+      UPDATE system.auth_sessions
+      SET revoked_at = NOW()
+      WHERE session_id = $1 AND revoked_at IS NULL
+    `, [sessionId]);
+    await cache.del(this.sessionCacheKey(sessionId));
+  }
+
+  /**
+   * Remove used/expired nonces and long-expired sessions
+   */
+  async cleanupExpired() {
+    const nonces = await db.query(`
+      DELETE FROM system.auth_nonces n
+      WHERE n.expires_at < NOW() - INTERVAL '1 day'
+        AND NOT EXISTS (SELECT 1 FROM system.auth_sessions s WHERE s.nonce = n.nonce)
+    `);
+    const sessions = await db.query(`
+      DELETE FROM system.auth_sessions
+      WHERE expires_at < NOW() - INTERVAL '30 days'
+    `);
+    return { nonces: nonces.rowCount, sessions: sessions.rowCount };
+  }
+
+  signSessionId(sessionId) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(sessionId).digest('hex');
+  }
+
+  /**
+   * Check the token HMAC and return the session id
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [sessionId, mac] = token.split('.');
+    if (!sessionId || !/^[0-9a-f]{64}$/.test(mac || '')) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signSessionId(sessionId), 'hex');
+    const provided = Buffer.from(mac, 'hex');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return null;
+    }
+
+    return sessionId;
+  }
+
+  sessionCacheKey(sessionId) {
+    return `auth:session:${sessionId}`;
+  }
+}
+
+/**
+ * Login failures caused by the client (bad signature, nonce, domain...)
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+module.exports = new SiweAuthService();
+module.exports.AuthError = AuthError;
@@ -1,30 +1,33 @@
-const axios = require('axios');
 const db = require('../db/db');
 const websocketService = require('./websocket-service');
-
+const MonitoringAlertingSystem = require('./monitoring-alerting-system');
+const { createSportsProviderRouter } = require('./sports-providers');
+const OddsConsensus = require('./odds-consensus');
+
+const RESULT_INCLUDE = 'scores;participants;state;league;referees;venue;weatherReport';
+const FINISHED_STATES = ['FT', 'AET', 'PEN', 'FT_PEN'];
+
+/**
+ * Fixtures, odds, results and match events for football markets and Oddyssey
+ *
+ * Data comes from the providers in services/sports-providers, chosen per
+ * league (config.sportsProviders). SportMonks is the default provider; when
+ * it is down or out of quota the next provider in a league's chain is used.
+ */
 class SportMonksService {
-  constructor() {
-    this.apiToken = process.env.SPORTMONKS_API_TOKEN;
-    this.baseUrl = 'https://api.sportmonks.com/v3/football';
+  constructor({ providers = null } = {}) {
+    this.providers = providers || createSportsProviderRouter();
     this.resultsStorage = null; // Will be set later to avoid circular dependency
+    this.monitoring = new MonitoringAlertingSystem();
     
-    if (!this.apiToken) {
-      throw new Error('SPORTMONKS_API_TOKEN not configured');
-    }
-    
-    console.log('✅ SportMonks API token configured');
+    // Raw SportMonks client for debugging scripts; null when SportMonks isn't configured
+    const sportmonks = this.providers.get('sportmonks');
+    this.axios = sportmonks ? sportmonks.axios : null;
+    this.apiToken = sportmonks ? sportmonks.apiToken : null;
     
-    this.axios = axios.create({
-      baseURL: this.baseUrl,
-      headers: {
-        'Accept': 'application/json',
-      },
-      timeout: 30000, // 30 second timeout
-      maxRedirects: 3,
-    });
+    console.log(`✅ Sports data providers: ${this.providers.all().map(provider => provider.name).join(', ')}`);
 
-    // Preferred bookmakers in order of preference
-    this.preferredBookmakers = [2, 28, 39, 35]; // bet365, bwin, pinnacle, 1xbet
+    this.oddsConsensus = new OddsConsensus();
     
     // Youth/Women league filters
     this.excludeKeywords = [
@@ -33,6 +36,45 @@ class SportMonksService {
     ];
   }
 
+  /**
+   * Fetch a fixture from the first provider in its league's chain that has it
+   * @param {number|string} fixtureId
+   * @param {string} [include] - SportMonks include list, e.g. 'state'
+   * @param {number|string} [leagueId] - Looked up in oracle.fixtures when omitted
+   * @returns {Promise<Object|null>}
+   */
+  async getFixture(fixtureId, include, leagueId) {
+    if (leagueId === undefined) {
+      leagueId = await this.getFixtureLeagueId(fixtureId);
+    }
+    const { result } = await this.providers.withFailover(leagueId, `fixture ${fixtureId}`,
+      provider => provider.getFixture(fixtureId, include));
+    return result;
+  }
+
+  async getFixtureLeagueId(fixtureId) {
+    const result = await db.query('SELECT league_id FROM oracle.fixtures WHERE id = $1', [String(fixtureId)]);
+    return result.rows[0]?.league_id || null;
+  }
+
+  /**
+   * Fetch and save every league the default providers know about
+   */
+  async fetchAndSaveLeagues() {
+    const { result: leagues, provider } = await this.providers.withFailover(null, 'leagues',
+      source => source.getLeagues());
+
+    let savedCount = 0;
+    for (const league of leagues || []) {
+      if (await this.saveLeague(league)) {
+        savedCount++;
+      }
+    }
+
+    console.log(`✅ Saved ${savedCount}/${(leagues || []).length} leagues from ${provider}`);
+    return { savedCount };
+  }
+
   /**
    * Fetch fixtures for a specific date (fallback method)
    */
@@ -40,15 +82,10 @@ class SportMonksService {
     console.log(`📅 Fetching fixtures for ${dateStr}...`);
     
     try {
-      const response = await this.axios.get(`/fixtures/date/${dateStr}`, {
-        params: {
-          api_token: this.apiToken,
-          include: 'league;participants;odds.bookmaker;referees;venue;weatherReport',
-          per_page: 100
-        }
-      });
+      const { result } = await this.providers.withFailover(null, `fixtures for ${dateStr}`,
+        provider => provider.getFixturesByDate(dateStr, { perPage: 100 }));
 
-      const fixtures = response.data.data || [];
+      const fixtures = result?.fixtures || [];
       console.log(`📊 Found ${fixtures.length} fixtures for ${dateStr}`);
       
       if (fixtures.length === 0) {
@@ -86,7 +123,7 @@ class SportMonksService {
     try {
       // Get fixtures in the date range that need odds updates
       const fixtures = await db.query(`
-        SELECT id, name, home_team, away_team, match_date
+        SELECT id, name, home_team, away_team, match_date, league_id
         FROM oracle.fixtures 
         WHERE match_date BETWEEN $1 AND $2
         AND status IN ('NS', 'INPLAY_1ST_HALF', 'INPLAY_2ND_HALF', 'HT')
@@ -105,18 +142,13 @@ class SportMonksService {
       for (const fixture of fixtures.rows.slice(0, 10)) { // Limit to 10 for performance
         try {
           // Fetch fresh odds for this fixture
-          const oddsResponse = await this.axios.get(`/fixtures/${fixture.id}/odds`, {
-            params: {
-              api_token: this.apiToken,
-              include: 'bookmaker',
-              per_page: 50
-            }
-          });
+          const { result } = await this.providers.withFailover(fixture.league_id, `odds for ${fixture.id}`,
+            provider => provider.getFixtureOdds(fixture.id));
 
-          const odds = oddsResponse.data.data || [];
+          const odds = result || [];
           if (odds.length > 0) {
             // Save updated odds
-            const oddsCount = await this.saveOdds(fixture.id, odds);
+            const oddsCount = await this.saveOdds(fixture.id, this.processOdds(odds));
             if (oddsCount > 0) {
               updatedCount++;
               console.log(`✅ Updated ${oddsCount} odds for fixture ${fixture.id}`);
@@ -180,62 +212,81 @@ class SportMonksService {
 
   /**
    * Fetch and save fixtures for a single day
+   *
+   * Every configured provider is paged through once. A fixture is taken from
+   * the first provider in its league's chain; fixtures from a fallback
+   * provider are kept aside and only used when the providers ahead of it in
+   * the chain failed for this day.
    */
   async fetchAndSaveDayFixtures(dateStr) {
-    let dayFixtures = 0;
-    let dayOdds = 0;
-    let oddysseyReady = 0;
-    
-    let page = 1;
-    let hasMore = true;
-    
-    while (hasMore) {
-      try {
-        console.log(`📄 ${dateStr} - Fetching page ${page}...`);
-        
-        const response = await this.axios.get(`/fixtures/date/${dateStr}`, {
-          params: {
-            'api_token': this.apiToken,
-            'include': 'league;participants;odds.bookmaker;referees;venue;weatherReport',
-            'per_page': 50,
-            'page': page
-          }
-        });
+    const totals = { fixtures: 0, odds: 0, oddysseyReady: 0 };
+    const failed = new Set();
+    const handled = new Set();
+    const deferred = [];
+
+    const save = async (fixture) => {
+      handled.add(fixture.id);
+      const result = await this.processAndSaveFixture(fixture);
+      if (result.saved) {
+        totals.fixtures++;
+        totals.odds += result.oddsCount;
+        if (result.oddysseyReady) totals.oddysseyReady++;
+      }
+    };
 
-        if (!response.data.data || response.data.data.length === 0) {
+    for (const provider of this.providers.all()) {
+      let page = 1;
+      let hasMore = true;
+      
+      while (hasMore) {
+        try {
+          console.log(`📄 ${dateStr} - Fetching page ${page} from ${provider.name}...`);
+          
+          const { fixtures, hasMore: morePages } = await provider.getFixturesByDate(dateStr, { page, perPage: 50 });
+          if (fixtures.length === 0) {
+            break;
+          }
+          
+          console.log(`📊 ${dateStr} page ${page}: ${fixtures.length} fixtures`);
+          
+          // Process and save fixtures
+          for (const fixture of fixtures) {
+            const chain = this.providers.chain(fixture.league_id).map(source => source.name);
+            const position = chain.indexOf(provider.name);
+            if (position === -1 || handled.has(fixture.id)) {
+              continue;
+            }
+            
+            if (chain.slice(0, position).every(name => failed.has(name))) {
+              await save(fixture);
+            } else {
+              deferred.push({ fixture, ahead: chain.slice(0, position) });
+            }
+          }
+          
+          // Check if more pages exist
+          hasMore = morePages;
+          page++;
+          
+          // Rate limiting
+          await new Promise(resolve => setTimeout(resolve, 250));
+          
+        } catch (error) {
+          console.error(`❌ Error fetching ${dateStr} page ${page} from ${provider.name}:`, error.message);
+          failed.add(provider.name);
           hasMore = false;
-          break;
         }
+      }
+    }
 
-        const fixtures = response.data.data;
-        const pagination = response.data.pagination;
-        
-        console.log(`📊 ${dateStr} page ${page}: ${fixtures.length} fixtures`);
-        
-        // Process and save fixtures
-        for (const fixture of fixtures) {
-          const result = await this.processAndSaveFixture(fixture);
-          if (result.saved) {
-            dayFixtures++;
-            dayOdds += result.oddsCount;
-            if (result.oddysseyReady) oddysseyReady++;
-          }
-        }
-        
-        // Check if more pages exist
-        hasMore = pagination?.has_more || false;
-        page++;
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 250));
-        
-      } catch (error) {
-        console.error(`❌ Error fetching ${dateStr} page ${page}:`, error.message);
-        hasMore = false;
+    // Fallback fixtures whose preferred providers all failed
+    for (const { fixture, ahead } of deferred) {
+      if (!handled.has(fixture.id) && ahead.every(name => failed.has(name))) {
+        await save(fixture);
       }
     }
     
-    return { fixtures: dayFixtures, odds: dayOdds, oddysseyReady };
+    return totals;
   }
 
   /**
@@ -303,174 +354,24 @@ class SportMonksService {
 
   /**
    * Process odds from API response
+   * Keeps every bookmaker's prices and adds the consensus per selection; the
+   * flat fields (ft_home, over_25, ...) carry the consensus price.
    */
   processOdds(odds) {
     if (!odds || odds.length === 0) return {};
     
-    // Group odds by bookmaker, prioritizing preferred ones
-    const oddsByBookmaker = {};
-    
-    for (const odd of odds) {
-      const bookmakerId = parseInt(odd.bookmaker_id);
-      if (!oddsByBookmaker[bookmakerId]) {
-        oddsByBookmaker[bookmakerId] = [];
-      }
-      oddsByBookmaker[bookmakerId].push(odd);
-    }
-    
-    console.log(`📊 Processing ${odds.length} odds from ${Object.keys(oddsByBookmaker).length} bookmakers`);
+    const { bookmakers, consensus, completeness } = this.oddsConsensus.aggregate(odds);
     
-    // Debug: Log available market IDs
-    const marketIds = [...new Set(odds.map(o => o.market_id))].sort((a, b) => parseInt(a) - parseInt(b));
-    console.log(`🔍 Available market IDs: ${marketIds.join(', ')}`);
+    console.log(`📊 Processing ${odds.length} odds from ${Object.keys(bookmakers).length} bookmakers (completeness ${(completeness.score * 100).toFixed(0)}%)`);
     
-    // Select best bookmaker
-    let selectedBookmakerId = null;
-    for (const preferredId of this.preferredBookmakers) {
-      if (oddsByBookmaker[preferredId]) {
-        selectedBookmakerId = preferredId;
-        break;
-      }
-    }
-    
-    // If no preferred bookmaker, use first available
-    if (!selectedBookmakerId) {
-      selectedBookmakerId = Object.keys(oddsByBookmaker)[0];
+    const processedOdds = { bookmakers, consensus, completeness };
+    for (const [key, entry] of Object.entries(consensus)) {
+      processedOdds[key] = entry.value;
     }
     
-    if (!selectedBookmakerId) return {};
-    
-    const selectedOdds = oddsByBookmaker[selectedBookmakerId];
-    const bookmakerInfo = selectedOdds[0]?.bookmaker;
-    
-    // Extract specific markets
-    console.log(`🔍 Extracting markets for bookmaker ${selectedBookmakerId} with ${selectedOdds.length} odds`);
-    
-    const processedOdds = {
-      bookmaker_id: selectedBookmakerId,
-      bookmaker_name: bookmakerInfo?.name || `Bookmaker ${selectedBookmakerId}`,
-      
-      // Full Time 1X2 (Market ID: 1)
-      ft_home: this.extractOddValue(selectedOdds, 1, ['1', 'home']),
-      ft_draw: this.extractOddValue(selectedOdds, 1, ['x', 'draw']),
-      ft_away: this.extractOddValue(selectedOdds, 1, ['2', 'away']),
-      
-      // Over/Under Goals
-      over_15: this.extractOverUnder(selectedOdds, '1.5', 'over'),
-      under_15: this.extractOverUnder(selectedOdds, '1.5', 'under'),
-      over_25: this.extractOverUnder(selectedOdds, '2.5', 'over'),
-      under_25: this.extractOverUnder(selectedOdds, '2.5', 'under'),
-      over_35: this.extractOverUnder(selectedOdds, '3.5', 'over'),
-      under_35: this.extractOverUnder(selectedOdds, '3.5', 'under'),
-      
-      // Both Teams to Score (Market ID: 14)
-      btts_yes: this.extractOddValue(selectedOdds, 14, ['yes']),
-      btts_no: this.extractOddValue(selectedOdds, 14, ['no']),
-      
-      // Half Time 1X2 (Market ID: 31)
-      ht_home: this.extractOddValue(selectedOdds, 31, ['1', 'home']),
-      ht_draw: this.extractOddValue(selectedOdds, 31, ['x', 'draw']),
-      ht_away: this.extractOddValue(selectedOdds, 31, ['2', 'away']),
-      
-      
-      // Double Chance (Market ID: 2) - Based on official SportMonks API
-      dc_1x: this.extractOddValue(selectedOdds, 2, ['1x', 'home or draw', 'cordoba - 0 goals', 'cordoba - 1 goal', 'cordoba - 2 goals', 'cordoba - 3+ goals']),
-      dc_12: this.extractOddValue(selectedOdds, 2, ['12', 'home or away', 'more 2', 'more 4', 'more 5']),
-      dc_x2: this.extractOddValue(selectedOdds, 2, ['x2', 'draw or away', '0', '1', '2', '3', '4']),
-      
-      // First Team To Score (Market ID: 247) - Based on official SportMonks API
-      tsf_yes: this.extractOddValue(selectedOdds, 247, ['yes']),
-      tsf_no: this.extractOddValue(selectedOdds, 247, ['no']),
-      
-      // Correct Score (Market ID: 5) - Common scores only
-      cs_1_0: this.extractOddValue(selectedOdds, 5, ['1-0']),
-      cs_2_0: this.extractOddValue(selectedOdds, 5, ['2-0']),
-      cs_2_1: this.extractOddValue(selectedOdds, 5, ['2-1']),
-      cs_0_1: this.extractOddValue(selectedOdds, 5, ['0-1']),
-      cs_0_2: this.extractOddValue(selectedOdds, 5, ['0-2']),
-      cs_1_2: this.extractOddValue(selectedOdds, 5, ['1-2']),
-      cs_1_1: this.extractOddValue(selectedOdds, 5, ['1-1']),
-      cs_0_0: this.extractOddValue(selectedOdds, 5, ['0-0']),
-      
-      // Half Time Over/Under (Market ID: 28) - 0.5, 1.5 goals
-      ht_over_05: this.extractOverUnder(selectedOdds, '0.5', 'over', true),
-      ht_under_05: this.extractOverUnder(selectedOdds, '0.5', 'under', true),
-      ht_over_15: this.extractOverUnder(selectedOdds, '1.5', 'over', true),
-      ht_under_15: this.extractOverUnder(selectedOdds, '1.5', 'under', true),
-      
-      // Total Goals Exact (Market ID: 9) - Common totals
-      tg_0: this.extractOddValue(selectedOdds, 9, ['0']),
-      tg_1: this.extractOddValue(selectedOdds, 9, ['1']),
-      tg_2: this.extractOddValue(selectedOdds, 9, ['2']),
-      tg_3: this.extractOddValue(selectedOdds, 9, ['3']),
-      tg_4: this.extractOddValue(selectedOdds, 9, ['4']),
-      tg_5: this.extractOddValue(selectedOdds, 9, ['5']),
-      tg_6: this.extractOddValue(selectedOdds, 9, ['6'])
-    };
-    
     return processedOdds;
   }
 
-  /**
-   * Extract specific odd value with validation
-   */
-  extractOddValue(odds, marketId, labels) {
-    const odd = odds.find(o => {
-      const matchesMarket = parseInt(o.market_id) === marketId;
-      const matchesLabel = labels.some(label => 
-        o.label?.toLowerCase().includes(label.toLowerCase())
-      );
-      
-      // Validate odds value
-      const value = parseFloat(o.value);
-      const isValidValue = value && value > 1.0 && value < 100.0;
-      
-      return matchesMarket && matchesLabel && isValidValue;
-    });
-    
-    // Debug: Log extraction attempts for new market types
-    if ([5, 9, 247, 2, 28].includes(marketId) && !odd) {
-      const marketOdds = odds.filter(o => parseInt(o.market_id) === marketId);
-      if (marketOdds.length > 0) {
-        console.log(`⚠️ Market ${marketId} (${labels.join(', ')}) found ${marketOdds.length} odds but none matched labels`);
-        console.log(`   Available labels: ${marketOdds.map(o => o.label).join(', ')}`);
-      }
-    }
-    
-    return odd ? parseFloat(odd.value) : null;
-  }
-
-  /**
-   * Extract Over/Under odds with proper market validation
-   */
-  extractOverUnder(odds, total, direction, isHalfTime = false) {
-    const odd = odds.find(o => {
-      // Market ID 80 is for Over/Under markets
-      const isOverUnderMarket = parseInt(o.market_id) === 80;
-      
-      // Check if half time market (market_id 32 is half time over/under)
-      const isHTMarket = parseInt(o.market_id) === 32;
-      const correctTimeframe = isHalfTime ? isHTMarket : isOverUnderMarket;
-      
-      // Match the specific total (1.5, 2.5, 3.5)
-      const matchesTotal = o.total?.toString() === total || 
-                          o.name?.toString() === total ||
-                          parseFloat(o.total) === parseFloat(total) ||
-                          parseFloat(o.name) === parseFloat(total);
-      
-      // Check direction (Over/Under)
-      const matchesDirection = o.label?.toLowerCase().includes(direction.toLowerCase());
-      
-      // Validate odds value - more restrictive for Over/Under markets
-      const value = parseFloat(o.value);
-      const isValidValue = value && value > 1.0 && value < 10.0; // Over/Under odds should be 1.0-10.0
-      
-      return correctTimeframe && matchesTotal && matchesDirection && isValidValue;
-    });
-    
-    return odd ? parseFloat(odd.value) : null;
-  }
-
   /**
    * Check if fixture has minimal required odds
    */
@@ -703,140 +604,122 @@ class SportMonksService {
    * Save odds to database
    */
   async saveOdds(fixtureId, oddsData) {
-    if (!oddsData.bookmaker_id) return 0;
+    if (!oddsData.bookmakers || Object.keys(oddsData.bookmakers).length === 0) return 0;
     
-    let count = 0;
-    const markets = this.createOddsRecords(fixtureId, oddsData);
+    const { bookmakerRows, consensusRows } = this.createOddsRecords(fixtureId, oddsData);
+    const columns = rows => rows[0].map((_, index) => rows.map(row => row[index]));
     
-    for (const market of markets) {
-      try {
-        const query = `
+    try {
+      await db.transaction(async (client) => {
+        // Replace the fixture's odds, so bookmakers that stopped pricing it drop out
+        await client.query('DELETE FROM oracle.fixture_odds WHERE fixture_id = $1', [fixtureId.toString()]);
+        await client.query(`
           INSERT INTO oracle.fixture_odds (
             id, fixture_id, market_id, bookmaker_id, label, value,
             market_description, sort_order, bookmaker_name, total, created_at, updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
-          ON CONFLICT (id) DO UPDATE SET
-            value = EXCLUDED.value,
-            total = EXCLUDED.total,
-            bookmaker_name = EXCLUDED.bookmaker_name,
-            updated_at = NOW()
-        `;
+          )
+          SELECT *, NOW(), NOW() FROM UNNEST(
+            $1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[], $6::numeric[],
+            $7::varchar[], $8::int[], $9::varchar[], $10::numeric[]
+          )
+        `, columns(bookmakerRows));
         
-        await db.query(query, market);
-        count++;
-      } catch (error) {
-        console.warn(`⚠️ Failed to save odds record:`, error.message);
-      }
+        await client.query('DELETE FROM oracle.fixture_odds_consensus WHERE fixture_id = $1', [fixtureId.toString()]);
+        await client.query(`
+          INSERT INTO oracle.fixture_odds_consensus (
+            id, fixture_id, market_id, label, total, market_description, sort_order, value, method,
+            median_value, best_value, fair_value, min_value, max_value, bookmaker_count, outlier_count, updated_at
+          )
+          SELECT *, NOW() FROM UNNEST(
+            $1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::numeric[], $6::varchar[], $7::int[],
+            $8::numeric[], $9::varchar[], $10::numeric[], $11::numeric[], $12::numeric[], $13::numeric[],
+            $14::numeric[], $15::int[], $16::int[]
+          )
+        `, columns(consensusRows));
+        
+        const { completeness } = oddsData;
+        await client.query(`
+          INSERT INTO oracle.fixture_odds_completeness (fixture_id, score, bookmaker_count, markets, oddyssey_ready, updated_at)
+          VALUES ($1, $2, $3, $4, $5, NOW())
+          ON CONFLICT (fixture_id) DO UPDATE SET
+            score = EXCLUDED.score,
+            bookmaker_count = EXCLUDED.bookmaker_count,
+            markets = EXCLUDED.markets,
+            oddyssey_ready = EXCLUDED.oddyssey_ready,
+            updated_at = NOW()
+        `, [fixtureId.toString(), completeness.score, completeness.bookmakerCount, JSON.stringify(completeness.markets), completeness.oddysseyReady]);
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to save odds for fixture ${fixtureId}:`, error.message);
+      return 0;
     }
     
-    return count;
+    return bookmakerRows.length;
   }
 
   /**
-   * Create individual odds records
+   * Create odds records: one row per bookmaker and selection, and one consensus row per selection
    */
   createOddsRecords(fixtureId, oddsData) {
-    const records = [];
+    const bookmakerRows = [];
+    const consensusRows = [];
     let sortOrder = 1;
     
-    // Helper function to add record
-    const addRecord = (marketId, label, value, description, total = null) => {
-      if (value !== null && value !== undefined) {
-        const id = `${fixtureId}_${oddsData.bookmaker_id}_${marketId}_${label.toLowerCase().replace(/\s+/g, '_')}`;
-        records.push([
-          id,
+    for (const market of OddsConsensus.MARKETS) {
+      for (const selection of market.selections) {
+        const entry = oddsData.consensus[selection.key];
+        if (!entry) continue;
+        
+        const suffix = `${market.marketId}_${selection.label.toLowerCase().replace(/\s+/g, '_')}${market.total ? `_${market.total}` : ''}`;
+        
+        for (const [bookmakerId, bookmaker] of Object.entries(oddsData.bookmakers)) {
+          const value = bookmaker.selections[selection.key];
+          if (value === undefined) continue;
+          
+          bookmakerRows.push([
+            `${fixtureId}_${bookmakerId}_${suffix}`,
+            fixtureId.toString(),
+            market.marketId.toString(),
+            bookmakerId,
+            selection.label,
+            value,
+            market.description,
+            sortOrder,
+            bookmaker.name,
+            market.total || null
+          ]);
+        }
+        
+        consensusRows.push([
+          `${fixtureId}_${suffix}`,
           fixtureId.toString(),
-          marketId.toString(),
-          oddsData.bookmaker_id.toString(),
-          label,
-          value,
-          description,
-          sortOrder++,
-          oddsData.bookmaker_name,
-          total
+          market.marketId.toString(),
+          selection.label,
+          market.total || null,
+          market.description,
+          sortOrder,
+          entry.value,
+          this.oddsConsensus.config.method,
+          entry.median,
+          entry.best,
+          entry.fair,
+          entry.min,
+          entry.max,
+          entry.bookmakerCount,
+          entry.outliers
         ]);
+        sortOrder++;
       }
-    };
-    
-    // Full Time 1X2
-    addRecord(1, 'Home', oddsData.ft_home, 'Full Time Result');
-    addRecord(1, 'Draw', oddsData.ft_draw, 'Full Time Result');
-    addRecord(1, 'Away', oddsData.ft_away, 'Full Time Result');
-    
-    // Over/Under Goals - all use market_id 80, differentiated by total field
-    if (oddsData.over_15 !== null) {
-      addRecord(80, 'Over', oddsData.over_15, 'Goals Over/Under 1.5', '1.5');
-      addRecord(80, 'Under', oddsData.under_15, 'Goals Over/Under 1.5', '1.5');
-    }
-    if (oddsData.over_25 !== null) {
-      addRecord(80, 'Over', oddsData.over_25, 'Goals Over/Under 2.5', '2.5');
-      addRecord(80, 'Under', oddsData.under_25, 'Goals Over/Under 2.5', '2.5');
     }
-    if (oddsData.over_35 !== null) {
-      addRecord(80, 'Over', oddsData.over_35, 'Goals Over/Under 3.5', '3.5');
-      addRecord(80, 'Under', oddsData.under_35, 'Goals Over/Under 3.5', '3.5');
-    }
-    
-    // Both Teams to Score - market_id 14
-    addRecord(14, 'Yes', oddsData.btts_yes, 'Both Teams to Score');
-    addRecord(14, 'No', oddsData.btts_no, 'Both Teams to Score');
     
-    // Half Time 1X2 - market_id 31
-    addRecord(31, 'Home', oddsData.ht_home, 'Half Time Result');
-    addRecord(31, 'Draw', oddsData.ht_draw, 'Half Time Result');
-    addRecord(31, 'Away', oddsData.ht_away, 'Half Time Result');
-    
-    // First Half Goals - market_id 28 (same for 0.5 and 1.5, differentiated by total)
-    if (oddsData.ht_over_05 !== null) {
-      addRecord(28, 'Over', oddsData.ht_over_05, 'First Half Goals Over/Under 0.5', '0.5');
-      addRecord(28, 'Under', oddsData.ht_under_05, 'First Half Goals Over/Under 0.5', '0.5');
-    }
-    if (oddsData.ht_over_15 !== null) {
-      addRecord(28, 'Over', oddsData.ht_over_15, 'First Half Goals Over/Under 1.5', '1.5');
-      addRecord(28, 'Under', oddsData.ht_under_15, 'First Half Goals Over/Under 1.5', '1.5');
-    }
-    
-    // Double Chance - market_id 2
-    addRecord(2, '1X', oddsData.dc_1x, 'Double Chance Home or Draw');
-    addRecord(2, '12', oddsData.dc_12, 'Double Chance Home or Away');
-    addRecord(2, 'X2', oddsData.dc_x2, 'Double Chance Draw or Away');
-    
-    // First Team To Score - market_id 247
-    addRecord(247, 'Yes', oddsData.tsf_yes, 'First Team To Score');
-    addRecord(247, 'No', oddsData.tsf_no, 'First Team To Score');
-    
-    // Correct Score - market_id 5
-    addRecord(5, '1-0', oddsData.cs_1_0, 'Correct Score');
-    addRecord(5, '2-0', oddsData.cs_2_0, 'Correct Score');
-    addRecord(5, '2-1', oddsData.cs_2_1, 'Correct Score');
-    addRecord(5, '0-1', oddsData.cs_0_1, 'Correct Score');
-    addRecord(5, '0-2', oddsData.cs_0_2, 'Correct Score');
-    addRecord(5, '1-2', oddsData.cs_1_2, 'Correct Score');
-    addRecord(5, '1-1', oddsData.cs_1_1, 'Correct Score');
-    addRecord(5, '0-0', oddsData.cs_0_0, 'Correct Score');
-    
-    // Asian Handicap - market_id 7
-    addRecord(7, 'Home 0', oddsData.ah_home_0, 'Asian Handicap');
-    addRecord(7, 'Home +0.5', oddsData.ah_home_05, 'Asian Handicap');
-    addRecord(7, 'Home +1', oddsData.ah_home_1, 'Asian Handicap');
-    addRecord(7, 'Away 0', oddsData.ah_away_0, 'Asian Handicap');
-    addRecord(7, 'Away +0.5', oddsData.ah_away_05, 'Asian Handicap');
-    addRecord(7, 'Away +1', oddsData.ah_away_1, 'Asian Handicap');
-    
-    // Total Goals Exact - market_id 9
-    addRecord(9, '0 Goals', oddsData.tg_0, 'Total Goals Exact');
-    addRecord(9, '1 Goal', oddsData.tg_1, 'Total Goals Exact');
-    addRecord(9, '2 Goals', oddsData.tg_2, 'Total Goals Exact');
-    addRecord(9, '3 Goals', oddsData.tg_3, 'Total Goals Exact');
-    addRecord(9, '4 Goals', oddsData.tg_4, 'Total Goals Exact');
-    addRecord(9, '5 Goals', oddsData.tg_5, 'Total Goals Exact');
-    addRecord(9, '6 Goals', oddsData.tg_6, 'Total Goals Exact');
-    
-    return records;
+    return { bookmakerRows, consensusRows };
   }
 
   /**
    * Fetch fixture results for completed matches with enhanced score parsing
+   * Results come from the league's first available provider and, when the
+   * league has several providers, must agree with every other one that has
+   * a finished result.
    */
   async fetchFixtureResults(fixtureIds) {
     console.log(`🔍 Fetching results for ${fixtureIds.length} fixtures...`);
@@ -845,14 +728,9 @@ class SportMonksService {
     
     for (const fixtureId of fixtureIds) {
       try {
-        const response = await this.axios.get(`/fixtures/${fixtureId}`, {
-          params: {
-            'api_token': this.apiToken,
-            'include': 'scores;participants;state;league;referees;venue;weatherReport'
-          }
-        });
-        
-        const fixture = response.data.data;
+        const leagueId = await this.getFixtureLeagueId(fixtureId);
+        const { result: fixture, provider } = await this.providers.withFailover(leagueId, `result for ${fixtureId}`,
+          source => source.getFixture(fixtureId, RESULT_INCLUDE));
         if (!fixture) continue;
         
         // Update fixture status if it has changed
@@ -864,279 +742,345 @@ class SportMonksService {
         `, [currentStatus, fixtureId]);
 
         // Only process completed matches (including penalty shootouts)
-        if (!['FT', 'AET', 'PEN', 'FT_PEN'].includes(currentStatus)) {
+        if (!FINISHED_STATES.includes(currentStatus)) {
           continue;
         }
         
-        // ✅ REMOVED OLD LOGIC: No longer check for FT/FULLTIME upfront
-        // New logic below will calculate 90-minute scores properly for AET matches
+        const result = await this.buildFixtureResult(fixture);
+        if (!result) continue;
+
+        if (!(await this.crossCheckResult(result, leagueId, provider))) {
+          continue;
+        }
         
-        const homeTeam = fixture.participants?.find(p => p.meta?.location === 'home');
-        const awayTeam = fixture.participants?.find(p => p.meta?.location === 'away');
+        results.push(result);
+        console.log(`✅ Found result for fixture ${fixtureId}: ${result.home_team} ${result.home_score}-${result.away_score} ${result.away_team} (${result.score_type})`);
         
-        // Parse scores from SportMonks API format
-        const parseScore = (scores, description) => {
-          if (!scores || !Array.isArray(scores)) {
-            console.log(`⚠️ No scores array for ${description}`);
-            return { home: 0, away: 0 };
-          }
-          
-          // Find scores with the specified description (e.g., "CURRENT" for full-time)
-          const relevantScores = scores.filter(s => s.description === description);
-          
-          if (relevantScores.length === 0) {
-            console.log(`⚠️ No ${description} scores found. Available: ${scores.map(s => s.description).join(', ')}`);
-            return { home: 0, away: 0 };
-          }
-          
-          let homeScore = null;
-          let awayScore = null;
-          
-          for (const score of relevantScores) {
-            if (score.score && score.score.participant && score.score.goals !== undefined) {
-              const goals = parseInt(score.score.goals);
-              if (score.score.participant === 'home') {
-                homeScore = isNaN(goals) ? 0 : goals;
-              } else if (score.score.participant === 'away') {
-                awayScore = isNaN(goals) ? 0 : goals;
-              }
-            }
-          }
-          
-                  // ROOT CAUSE FIX: Ensure both scores are found and valid
-        if (homeScore === null || awayScore === null) {
-          console.log(`⚠️ Incomplete ${description} scores: home=${homeScore}, away=${awayScore}`);
-          // Return null instead of 0 to indicate missing data
-          return { home: null, away: null };
+        // Rate limiting
+        await new Promise(resolve => setTimeout(resolve, 250));
+        
+        // Also fetch and save match events (goals, cards) for finished matches
+        try {
+          await this.fetchAndSaveMatchEvents(fixtureId);
+        } catch (eventError) {
+          console.warn(`⚠️ Failed to fetch events for fixture ${fixtureId}:`, eventError.message);
         }
         
-        return { home: homeScore, away: awayScore };
+      } catch (error) {
+        console.error(`❌ Error fetching result for ${fixtureId}:`, error.message);
+      }
+    }
+    
+    console.log(`✅ Fetched ${results.length} results`);
+    return results;
+  }
+
+  /**
+   * Build the result row for a finished fixture (90-minute scores and outcomes)
+   * @returns {Promise<Object|null>} null when the scores are incomplete
+   */
+  async buildFixtureResult(fixture) {
+    const homeTeam = fixture.participants?.find(p => p.meta?.location === 'home');
+    const awayTeam = fixture.participants?.find(p => p.meta?.location === 'away');
+    
+    // Parse scores from SportMonks API format
+    const parseScore = (scores, description) => {
+      if (!scores || !Array.isArray(scores)) {
+        console.log(`⚠️ No scores array for ${description}`);
+        return { home: 0, away: 0 };
+      }
+      
+      // Find scores with the specified description (e.g., "CURRENT" for full-time)
+      const relevantScores = scores.filter(s => s.description === description);
+      
+      if (relevantScores.length === 0) {
+        console.log(`⚠️ No ${description} scores found. Available: ${scores.map(s => s.description).join(', ')}`);
+        return { home: 0, away: 0 };
+      }
+      
+      let homeScore = null;
+      let awayScore = null;
+      
+      for (const score of relevantScores) {
+        if (score.score && score.score.participant && score.score.goals !== undefined) {
+          const goals = parseInt(score.score.goals);
+          if (score.score.participant === 'home') {
+            homeScore = isNaN(goals) ? 0 : goals;
+          } else if (score.score.participant === 'away') {
+            awayScore = isNaN(goals) ? 0 : goals;
+          }
+        }
+      }
+      
+              // ROOT CAUSE FIX: Ensure both scores are found and valid
+    if (homeScore === null || awayScore === null) {
+      console.log(`⚠️ Incomplete ${description} scores: home=${homeScore}, away=${awayScore}`);
+      // Return null instead of 0 to indicate missing data
+      return { home: null, away: null };
+    }
+    
+    return { home: homeScore, away: awayScore };
+    };
+    
+    // For AET and penalty shootout matches, calculate 90-minute score from halves
+    let ftScore;
+    if (fixture.state?.state === 'FT_PEN' || fixture.state?.state === 'AET') {
+      console.log(`🏆 Extra time/penalty match detected: ${fixture.id} (${fixture.state?.state})`);
+      
+      // ✅ CRITICAL FIX (per SportMonks documentation):
+      // For 90-minute FT score: Sum 1ST_HALF + 2ND_HALF
+      // 2ND_HALF in SportMonks represents regular second half (45-90 min), NOT including ET
+      // NEVER use CURRENT for AET matches (includes extra time)
+      
+      const firstHalf = parseScore(fixture.scores, '1ST_HALF');
+      const secondHalf = parseScore(fixture.scores, '2ND_HALF');
+      
+      if (firstHalf.home !== null && firstHalf.away !== null && 
+          secondHalf.home !== null && secondHalf.away !== null) {
+        // ✅ Calculate 90-minute FT score: 1ST_HALF + 2ND_HALF
+        ftScore = {
+          home: firstHalf.home + secondHalf.home,
+          away: firstHalf.away + secondHalf.away
         };
+        console.log(`✅ Calculated 90-minute FT score: ${ftScore.home}-${ftScore.away}`);
+        console.log(`   1ST_HALF: ${firstHalf.home}-${firstHalf.away}`);
+        console.log(`   2ND_HALF: ${secondHalf.home}-${secondHalf.away}`);
         
-        // For AET and penalty shootout matches, calculate 90-minute score from halves
-        let ftScore;
-        if (fixture.state?.state === 'FT_PEN' || fixture.state?.state === 'AET') {
-          console.log(`🏆 Extra time/penalty match detected: ${fixture.id} (${fixture.state?.state})`);
-          
-          // ✅ CRITICAL FIX (per SportMonks documentation):
-          // For 90-minute FT score: Sum 1ST_HALF + 2ND_HALF
-          // 2ND_HALF in SportMonks represents regular second half (45-90 min), NOT including ET
-          // NEVER use CURRENT for AET matches (includes extra time)
-          
-          const firstHalf = parseScore(fixture.scores, '1ST_HALF');
-          const secondHalf = parseScore(fixture.scores, '2ND_HALF');
-          
-          if (firstHalf.home !== null && firstHalf.away !== null && 
-              secondHalf.home !== null && secondHalf.away !== null) {
-            // ✅ Calculate 90-minute FT score: 1ST_HALF + 2ND_HALF
-            ftScore = {
-              home: firstHalf.home + secondHalf.home,
-              away: firstHalf.away + secondHalf.away
-            };
-            console.log(`✅ Calculated 90-minute FT score: ${ftScore.home}-${ftScore.away}`);
-            console.log(`   1ST_HALF: ${firstHalf.home}-${firstHalf.away}`);
-            console.log(`   2ND_HALF: ${secondHalf.home}-${secondHalf.away}`);
-            
-            // Validation: Check if CURRENT score differs (confirming ET was played)
-            const currentScore = parseScore(fixture.scores, 'CURRENT');
-            if (currentScore.home !== null && currentScore.away !== null) {
-              const currentTotal = currentScore.home + currentScore.away;
-              const ft90Total = ftScore.home + ftScore.away;
-              if (currentTotal !== ft90Total) {
-                console.log(`   ✅ VALIDATION: CURRENT (${currentScore.home}-${currentScore.away}) differs from FT90 - correctly using FT90`);
-              } else {
-                console.log(`   ⚠️ WARNING: CURRENT matches FT90 - verify this is correct`);
-              }
-            }
+        // Validation: Check if CURRENT score differs (confirming ET was played)
+        const currentScore = parseScore(fixture.scores, 'CURRENT');
+        if (currentScore.home !== null && currentScore.away !== null) {
+          const currentTotal = currentScore.home + currentScore.away;
+          const ft90Total = ftScore.home + ftScore.away;
+          if (currentTotal !== ft90Total) {
+            console.log(`   ✅ VALIDATION: CURRENT (${currentScore.home}-${currentScore.away}) differs from FT90 - correctly using FT90`);
           } else {
-            // ❌ CRITICAL: For AET/PEN matches, we MUST have both 1ST_HALF and 2ND_HALF
-            console.error(`❌ CRITICAL ERROR: Cannot calculate 90-minute FT score for AET/PEN match ${fixture.id}`);
-            console.error(`   Required: 1ST_HALF and 2ND_HALF scores`);
-            console.error(`   Available: 1ST_HALF=${firstHalf.home !== null}, 2ND_HALF=${secondHalf.home !== null}`);
-            console.error(`   This match CANNOT be settled until proper half scores are available!`);
-            
-            // Skip this fixture - do NOT use AET scores
-            ftScore = { home: null, away: null };
-            console.log(`⚠️ Skipping fixture ${fixture.id} - insufficient data for 90-minute FT score`);
+            console.log(`   ⚠️ WARNING: CURRENT matches FT90 - verify this is correct`);
           }
-        } else {
-          // For regular matches, use CURRENT score
-          ftScore = parseScore(fixture.scores, 'CURRENT');
-        }
-        
-        // ✅ CRITICAL VALIDATION: Skip fixtures without valid FT scores
-        if (ftScore.home === null || ftScore.away === null) {
-          console.log(`⚠️ Skipping fixture ${fixture.id} - no valid FT score available`);
-          continue;
         }
+      } else {
+        // ❌ CRITICAL: For AET/PEN matches, we MUST have both 1ST_HALF and 2ND_HALF
+        console.error(`❌ CRITICAL ERROR: Cannot calculate 90-minute FT score for AET/PEN match ${fixture.id}`);
+        console.error(`   Required: 1ST_HALF and 2ND_HALF scores`);
+        console.error(`   Available: 1ST_HALF=${firstHalf.home !== null}, 2ND_HALF=${secondHalf.home !== null}`);
+        console.error(`   This match CANNOT be settled until proper half scores are available!`);
         
-        // Parse half-time score with better validation
-        let htScore = parseScore(fixture.scores, '1ST_HALF');
+        // Skip this fixture - do NOT use AET scores
+        ftScore = { home: null, away: null };
+        console.log(`⚠️ Skipping fixture ${fixture.id} - insufficient data for 90-minute FT score`);
+      }
+    } else {
+      // For regular matches, use CURRENT score
+      ftScore = parseScore(fixture.scores, 'CURRENT');
+    }
+    
+    // ✅ CRITICAL VALIDATION: Skip fixtures without valid FT scores
+    if (ftScore.home === null || ftScore.away === null) {
+      console.log(`⚠️ Skipping fixture ${fixture.id} - no valid FT score available`);
+      return null;
+    }
+    
+    // Parse half-time score with better validation
+    let htScore = parseScore(fixture.scores, '1ST_HALF');
+    
+    // If no 1ST_HALF score, try HT or HALFTIME
+    if (htScore.home === null || htScore.away === null) {
+      htScore = parseScore(fixture.scores, 'HT') || parseScore(fixture.scores, 'HALFTIME') || htScore;
+    }
+    
+    // Calculate outcomes for Oddyssey (1X2 and O/U 2.5)
+    const calculateMoneylineResult = (homeScore, awayScore) => {
+      if (homeScore > awayScore) return '1';
+      if (homeScore < awayScore) return '2';
+      return 'X';
+    };
+    
+    const calculateOverUnderResult = (homeScore, awayScore) => {
+      const totalGoals = homeScore + awayScore;
+      return totalGoals > 2.5 ? 'Over' : 'Under';
+    };
+
+    // ROOT CAUSE FIX: For Oddyssey matches, we CANNOT skip - use fallback data
+    if (ftScore.home === null || ftScore.away === null) {
+      console.log(`⚠️ Missing scores for fixture ${fixture.id} - checking for fallback data`);
+      
+      // Try to get scores from resolution_data in oddyssey_cycles
+      const fallbackScores = await this.getFallbackScoresFromResolution(fixture.id);
+      if (fallbackScores) {
+        ftScore = fallbackScores;
+        console.log(`✅ Using fallback scores: ${ftScore.home}-${ftScore.away}`);
+      } else {
+        // Try alternative score parsing methods
+        console.log(`🔍 Trying alternative score parsing for fixture ${fixture.id}`);
         
-        // If no 1ST_HALF score, try HT or HALFTIME
-        if (htScore.home === null || htScore.away === null) {
-          htScore = parseScore(fixture.scores, 'HT') || parseScore(fixture.scores, 'HALFTIME') || htScore;
+        // Try to parse from different score descriptions
+        const alternativeScores = this.parseAlternativeScores(fixture.scores, fixture.state?.state);
+        if (alternativeScores && alternativeScores.home !== null && alternativeScores.away !== null) {
+          ftScore = alternativeScores;
+          console.log(`✅ Using alternative scores: ${ftScore.home}-${ftScore.away}`);
+        } else {
+          // CRITICAL FIX: If we still don't have complete scores, infer from available data
+          console.log(`🔧 CRITICAL: Inferring missing scores for fixture ${fixture.id}`);
+          ftScore = this.inferMissingScores(fixture.scores, fixture.state?.state);
+          console.log(`✅ Inferred scores: ${ftScore.home}-${ftScore.away}`);
         }
-        
-        // Calculate outcomes for Oddyssey (1X2 and O/U 2.5)
-        const calculateMoneylineResult = (homeScore, awayScore) => {
-          if (homeScore > awayScore) return '1';
-          if (homeScore < awayScore) return '2';
-          return 'X';
-        };
-        
-        const calculateOverUnderResult = (homeScore, awayScore) => {
-          const totalGoals = homeScore + awayScore;
-          return totalGoals > 2.5 ? 'Over' : 'Under';
-        };
+      }
+    }
+
+    // FINAL VALIDATION: Ensure we have complete scores before proceeding
+    if (ftScore.home === null || ftScore.away === null) {
+      console.error(`❌ CRITICAL ERROR: Still missing scores for fixture ${fixture.id} after all fallback attempts`);
+      console.error(`   Available scores:`, fixture.scores);
+      console.error(`   Match state:`, fixture.state?.state);
+      // Skip this fixture - we cannot process it without complete scores
+      return null;
+    }
 
-        // ROOT CAUSE FIX: For Oddyssey matches, we CANNOT skip - use fallback data
-        if (ftScore.home === null || ftScore.away === null) {
-          console.log(`⚠️ Missing scores for fixture ${fixture.id} - checking for fallback data`);
+    // ✅ CRITICAL VALIDATION: Ensure we're using 90-minute FT scores for pool settlement
+    if (fixture.state?.state === 'AET' || fixture.state?.state === 'FT_PEN') {
+      console.log(`⚠️ AET/PEN match detected - ensuring 90-minute FT score is used for pool settlement`);
+      console.log(`   Match status: ${fixture.state?.state}`);
+      console.log(`   FT score being used: ${ftScore.home}-${ftScore.away}`);
+      
+      // Additional validation: warn if we're using fallback scores that might include ET
+      if (ftScore.home !== null && ftScore.away !== null) {
+        const currentScore = parseScore(fixture.scores, 'CURRENT');
+        if (currentScore.home !== null && currentScore.away !== null) {
+          const ftTotal = ftScore.home + ftScore.away;
+          const currentTotal = currentScore.home + currentScore.away;
           
-          // Try to get scores from resolution_data in oddyssey_cycles
-          const fallbackScores = await this.getFallbackScoresFromResolution(fixture.id);
-          if (fallbackScores) {
-            ftScore = fallbackScores;
-            console.log(`✅ Using fallback scores: ${ftScore.home}-${ftScore.away}`);
+          if (ftTotal !== currentTotal) {
+            console.log(`✅ CONFIRMED: Using 90-minute FT score (${ftScore.home}-${ftScore.away}) instead of final score (${currentScore.home}-${currentScore.away})`);
           } else {
-            // Try alternative score parsing methods
-            console.log(`🔍 Trying alternative score parsing for fixture ${fixture.id}`);
-            
-            // Try to parse from different score descriptions
-            const alternativeScores = this.parseAlternativeScores(fixture.scores, fixture.state?.state);
-            if (alternativeScores && alternativeScores.home !== null && alternativeScores.away !== null) {
-              ftScore = alternativeScores;
-              console.log(`✅ Using alternative scores: ${ftScore.home}-${ftScore.away}`);
-            } else {
-              // CRITICAL FIX: If we still don't have complete scores, infer from available data
-              console.log(`🔧 CRITICAL: Inferring missing scores for fixture ${fixture.id}`);
-              ftScore = this.inferMissingScores(fixture.scores, fixture.state?.state);
-              console.log(`✅ Inferred scores: ${ftScore.home}-${ftScore.away}`);
-            }
+            console.log(`⚠️ WARNING: FT score matches current score - may not be 90-minute score`);
           }
         }
+      }
+    }
 
-        // FINAL VALIDATION: Ensure we have complete scores before proceeding
-        if (ftScore.home === null || ftScore.away === null) {
-          console.error(`❌ CRITICAL ERROR: Still missing scores for fixture ${fixture.id} after all fallback attempts`);
-          console.error(`   Available scores:`, fixture.scores);
-          console.error(`   Match state:`, fixture.state?.state);
-          // Skip this fixture - we cannot process it without complete scores
-          continue;
-        }
+    // Calculate all market outcomes
+    const ftTotal = ftScore.home + ftScore.away;
+    const htTotal = (htScore.home !== null && htScore.away !== null) ? htScore.home + htScore.away : null;
+    
+    // CRITICAL ROOT CAUSE FIX: Calculate outcomes with CORRECT field names
+    // Convert legacy moneyline format (1/X/2) to normalized format (Home/Draw/Away)
+    const normalize1x2 = (result) => {
+      if (result === '1') return 'Home';
+      if (result === 'X') return 'Draw';
+      if (result === '2') return 'Away';
+      return result;
+    };
+    
+    const result = {
+      fixture_id: fixture.id,
+      home_team: homeTeam?.name,
+      away_team: awayTeam?.name,
+      // ✅ CRITICAL: Always save 90-minute FT scores for pool settlement (never AET/PEN scores)
+      home_score: ftScore.home,
+      away_score: ftScore.away,
+      ht_home_score: htScore.home !== null && htScore.home !== undefined ? htScore.home : null,
+      ht_away_score: htScore.away !== null && htScore.away !== undefined ? htScore.away : null,
+      status: fixture.state?.state,
+      match_date: fixture.starting_at,
+      score_type: (fixture.state?.state === 'AET' || fixture.state?.state === 'FT_PEN') ? 'FT_90MIN' : 'CURRENT',
+      
+      // ✅ CRITICAL FIX: Use OUTCOME_ prefix (not RESULT_) for db.saveMatchResult compatibility
+      // This ensures guidedFetcher -> saveMatchResult works correctly
+      outcome_1x2: normalize1x2(calculateMoneylineResult(ftScore.home, ftScore.away)),
+      outcome_ou25: calculateOverUnderResult(ftScore.home, ftScore.away),
+      outcome_ou35: ftTotal > 3.5 ? 'Over' : 'Under',
+      outcome_btts: (ftScore.home > 0 && ftScore.away > 0) ? 'Yes' : 'No',
+      outcome_ht_result: htTotal !== null ? normalize1x2(calculateMoneylineResult(htScore.home, htScore.away)) : null,
+      outcome_ou05: ftTotal > 0.5 ? 'Over' : 'Under',
+      outcome_ou15: ftTotal > 1.5 ? 'Over' : 'Under',
+      
+      // Legacy result_ fields (keep for backward compatibility with other services)
+      result_1x2: calculateMoneylineResult(ftScore.home, ftScore.away),
+      result_ou25: calculateOverUnderResult(ftScore.home, ftScore.away),
+      result_ou35: ftTotal > 3.5 ? 'Over' : 'Under',
+      result_btts: (ftScore.home > 0 && ftScore.away > 0) ? 'Yes' : 'No',
+      result_ht_1x2: htTotal !== null ? calculateMoneylineResult(htScore.home, htScore.away) : null,
+      result_ht_ou15: htTotal !== null ? (htTotal > 1.5 ? 'Over' : 'Under') : null,
+      
+      // Double Chance results
+      result_dc_1x: (ftScore.home >= ftScore.away) ? '1X' : null,
+      result_dc_12: (ftScore.home !== ftScore.away) ? '12' : null,
+      result_dc_x2: (ftScore.home <= ftScore.away) ? 'X2' : null,
+      
+      // First Team To Score (simplified - any goal scored)
+      result_tsf_yes: ftTotal > 0 ? 'Yes' : null,
+      result_tsf_no: ftTotal === 0 ? 'No' : null,
+      
+      // Correct Score
+      result_cs: `${ftScore.home}-${ftScore.away}`,
+      
+      // Total Goals Exact
+      result_tg_exact: ftTotal.toString(),
+      
+      // Asian Handicap (simplified calculation)
+      result_ah_home_0: ftScore.home > ftScore.away ? 'Home' : ftScore.home < ftScore.away ? 'Away' : 'Draw',
+      result_ah_home_05: (ftScore.home + 0.5) > ftScore.away ? 'Home' : 'Away',
+      result_ah_home_1: (ftScore.home + 1) > ftScore.away ? 'Home' : 'Away',
+      
+      // Additional calculated fields
+      full_score: `${ftScore.home}-${ftScore.away}`,
+      ht_score: htTotal !== null ? `${htScore.home}-${htScore.away}` : null
+    };
 
-        // ✅ CRITICAL VALIDATION: Ensure we're using 90-minute FT scores for pool settlement
-        if (fixture.state?.state === 'AET' || fixture.state?.state === 'FT_PEN') {
-          console.log(`⚠️ AET/PEN match detected - ensuring 90-minute FT score is used for pool settlement`);
-          console.log(`   Match status: ${fixture.state?.state}`);
-          console.log(`   FT score being used: ${ftScore.home}-${ftScore.away}`);
-          
-          // Additional validation: warn if we're using fallback scores that might include ET
-          if (ftScore.home !== null && ftScore.away !== null) {
-            const currentScore = parseScore(fixture.scores, 'CURRENT');
-            if (currentScore.home !== null && currentScore.away !== null) {
-              const ftTotal = ftScore.home + ftScore.away;
-              const currentTotal = currentScore.home + currentScore.away;
-              
-              if (ftTotal !== currentTotal) {
-                console.log(`✅ CONFIRMED: Using 90-minute FT score (${ftScore.home}-${ftScore.away}) instead of final score (${currentScore.home}-${currentScore.away})`);
-              } else {
-                console.log(`⚠️ WARNING: FT score matches current score - may not be 90-minute score`);
-              }
-            }
-          }
+    return result;
+  }
+
+  /**
+   * Compare a result with the other providers configured for its league
+   * Providers without a finished result (or that fail) don't count; any score
+   * mismatch holds the result back and raises an alert.
+   */
+  async crossCheckResult(result, leagueId, primaryProvider) {
+    const others = this.providers.chain(leagueId).filter(provider => provider.name !== primaryProvider);
+    if (others.length === 0) {
+      return true;
+    }
+
+    const scores = [{ provider: primaryProvider, ...this.resultScores(result) }];
+    for (const provider of others) {
+      try {
+        const fixture = await provider.getFixture(result.fixture_id, RESULT_INCLUDE);
+        if (!fixture || !FINISHED_STATES.includes(fixture.state?.state)) {
+          continue;
         }
 
-        // Calculate all market outcomes
-        const ftTotal = ftScore.home + ftScore.away;
-        const htTotal = (htScore.home !== null && htScore.away !== null) ? htScore.home + htScore.away : null;
-        
-        // CRITICAL ROOT CAUSE FIX: Calculate outcomes with CORRECT field names
-        // Convert legacy moneyline format (1/X/2) to normalized format (Home/Draw/Away)
-        const normalize1x2 = (result) => {
-          if (result === '1') return 'Home';
-          if (result === 'X') return 'Draw';
-          if (result === '2') return 'Away';
-          return result;
-        };
-        
-        const result = {
-          fixture_id: fixture.id,
-          home_team: homeTeam?.name,
-          away_team: awayTeam?.name,
-          // ✅ CRITICAL: Always save 90-minute FT scores for pool settlement (never AET/PEN scores)
-          home_score: ftScore.home,
-          away_score: ftScore.away,
-          ht_home_score: htScore.home !== null && htScore.home !== undefined ? htScore.home : null,
-          ht_away_score: htScore.away !== null && htScore.away !== undefined ? htScore.away : null,
-          status: fixture.state?.state,
-          match_date: fixture.starting_at,
-          score_type: (fixture.state?.state === 'AET' || fixture.state?.state === 'FT_PEN') ? 'FT_90MIN' : 'CURRENT',
-          
-          // ✅ CRITICAL FIX: Use OUTCOME_ prefix (not RESULT_) for db.saveMatchResult compatibility
-          // This ensures guidedFetcher -> saveMatchResult works correctly
-          outcome_1x2: normalize1x2(calculateMoneylineResult(ftScore.home, ftScore.away)),
-          outcome_ou25: calculateOverUnderResult(ftScore.home, ftScore.away),
-          outcome_ou35: ftTotal > 3.5 ? 'Over' : 'Under',
-          outcome_btts: (ftScore.home > 0 && ftScore.away > 0) ? 'Yes' : 'No',
-          outcome_ht_result: htTotal !== null ? normalize1x2(calculateMoneylineResult(htScore.home, htScore.away)) : null,
-          outcome_ou05: ftTotal > 0.5 ? 'Over' : 'Under',
-          outcome_ou15: ftTotal > 1.5 ? 'Over' : 'Under',
-          
-          // Legacy result_ fields (keep for backward compatibility with other services)
-          result_1x2: calculateMoneylineResult(ftScore.home, ftScore.away),
-          result_ou25: calculateOverUnderResult(ftScore.home, ftScore.away),
-          result_ou35: ftTotal > 3.5 ? 'Over' : 'Under',
-          result_btts: (ftScore.home > 0 && ftScore.away > 0) ? 'Yes' : 'No',
-          result_ht_1x2: htTotal !== null ? calculateMoneylineResult(htScore.home, htScore.away) : null,
-          result_ht_ou15: htTotal !== null ? (htTotal > 1.5 ? 'Over' : 'Under') : null,
-          
-          // Double Chance results
-          result_dc_1x: (ftScore.home >= ftScore.away) ? '1X' : null,
-          result_dc_12: (ftScore.home !== ftScore.away) ? '12' : null,
-          result_dc_x2: (ftScore.home <= ftScore.away) ? 'X2' : null,
-          
-          // First Team To Score (simplified - any goal scored)
-          result_tsf_yes: ftTotal > 0 ? 'Yes' : null,
-          result_tsf_no: ftTotal === 0 ? 'No' : null,
-          
-          // Correct Score
-          result_cs: `${ftScore.home}-${ftScore.away}`,
-          
-          // Total Goals Exact
-          result_tg_exact: ftTotal.toString(),
-          
-          // Asian Handicap (simplified calculation)
-          result_ah_home_0: ftScore.home > ftScore.away ? 'Home' : ftScore.home < ftScore.away ? 'Away' : 'Draw',
-          result_ah_home_05: (ftScore.home + 0.5) > ftScore.away ? 'Home' : 'Away',
-          result_ah_home_1: (ftScore.home + 1) > ftScore.away ? 'Home' : 'Away',
-          
-          // Additional calculated fields
-          full_score: `${ftScore.home}-${ftScore.away}`,
-          ht_score: htTotal !== null ? `${htScore.home}-${htScore.away}` : null
-        };
-        
-        results.push(result);
-        console.log(`✅ Found result for fixture ${fixtureId}: ${result.home_team} ${result.home_score}-${result.away_score} ${result.away_team} (${result.score_type})`);
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 250));
-        
-        // Also fetch and save match events (goals, cards) for finished matches
-        try {
-          await this.fetchAndSaveMatchEvents(fixtureId);
-        } catch (eventError) {
-          console.warn(`⚠️ Failed to fetch events for fixture ${fixtureId}:`, eventError.message);
+        const other = await this.buildFixtureResult(fixture);
+        if (other) {
+          scores.push({ provider: provider.name, ...this.resultScores(other) });
         }
-        
       } catch (error) {
-        console.error(`❌ Error fetching result for ${fixtureId}:`, error.message);
+        console.warn(`⚠️ ${provider.name}: could not cross-check fixture ${result.fixture_id}:`, error.message);
       }
     }
-    
-    console.log(`✅ Fetched ${results.length} results`);
-    return results;
+
+    const reference = scores[0];
+    const mismatch = scores.some(score => score.ft !== reference.ft ||
+      (score.ht !== null && reference.ht !== null && score.ht !== reference.ht));
+
+    if (!mismatch) {
+      if (scores.length > 1) {
+        console.log(`✅ Result for fixture ${result.fixture_id} confirmed by ${scores.map(score => score.provider).join(', ')}`);
+      }
+      return true;
+    }
+
+    const summary = scores.map(score => `${score.provider}=${score.ft}${score.ht !== null ? ` (HT ${score.ht})` : ''}`).join(', ');
+    console.error(`❌ Providers disagree on fixture ${result.fixture_id}: ${summary} - result not saved`);
+    await this.monitoring.triggerAlert('sports_result_mismatch', 'critical',
+      `Providers disagree on the result of fixture ${result.fixture_id} (${summary}) - settlement waits until they agree`,
+      { fixtureId: result.fixture_id, leagueId, scores });
+    return false;
+  }
+
+  resultScores(result) {
+    return {
+      ft: `${result.home_score}-${result.away_score}`,
+      ht: result.ht_home_score !== null && result.ht_away_score !== null ? `${result.ht_home_score}-${result.ht_away_score}` : null
+    };
   }
 
   /**
@@ -1744,7 +1688,7 @@ class SportMonksService {
     try {
       // Get fixtures that are likely in progress or finished
       const result = await db.query(`
-        SELECT f.id, f.home_team, f.away_team, f.match_date, f.status
+        SELECT f.id, f.home_team, f.away_team, f.match_date, f.status, f.league_id
         FROM oracle.fixtures f
         WHERE f.match_date >= NOW() - INTERVAL '4 hours'
           AND f.match_date <= NOW() + INTERVAL '2 hours'
@@ -1775,17 +1719,11 @@ class SportMonksService {
               setTimeout(() => reject(new Error('API call timeout')), 10000); // 10 second timeout per call
             });
             
-            const apiPromise = this.axios.get(`/fixtures/${fixture.id}`, {
-              params: {
-                'api_token': this.apiToken,
-                'include': 'state'
-              }
-            });
+            const apiPromise = this.getFixture(fixture.id, 'state', fixture.league_id);
             
-            const response = await Promise.race([apiPromise, timeoutPromise]);
+            const fixtureData = await Promise.race([apiPromise, timeoutPromise]);
             
-            if (response.data.data) {
-              const fixtureData = response.data.data;
+            if (fixtureData) {
               const newStatus = fixtureData.state?.state || 'NS';
               
               // Only update if status has changed
@@ -1833,101 +1771,106 @@ class SportMonksService {
     try {
       console.log(`📊 Fetching match events for fixture ${fixtureId}...`);
       
-      const response = await this.axios.get(`/fixtures/${fixtureId}`, {
-        params: {
-          'api_token': this.apiToken,
-          'include': 'scores;events;participants' // Get scores (livescore), events (goals/cards), and participants (team info)
-        }
-      });
+      // Scores (livescore), events (goals/cards) and participants (team info)
+      const leagueId = await this.getFixtureLeagueId(fixtureId);
+      const { result: fixture } = await this.providers.withFailover(leagueId, `events for ${fixtureId}`,
+        provider => provider.getFixtureEvents(fixtureId));
 
-      if (!response.data.data) {
+      if (!fixture) {
         console.warn(`⚠️ No data returned for fixture ${fixtureId}`);
         return { savedCount: 0 };
       }
 
-      const fixture = response.data.data;
-      let savedCount = 0;
+      return await this.saveMatchEvents(fixtureId, fixture);
 
-      // Process events array for goals, cards, substitutions, etc.
-      if (fixture.events && Array.isArray(fixture.events)) {
-        for (const event of fixture.events) {
-          try {
-            // Determine event type based on SportMonks type_id
-            // type_id: 14=Goal, 18=Substitution, 19=YellowCard, 20=RedCard, etc.
-            let eventType = null;
-            
-            const typeId = event.type_id;
-            
-            if (typeId === 14) {
-              eventType = 'goal';
-            } else if (typeId === 18) {
-              eventType = 'substitution';
-            } else if (typeId === 19) {
-              eventType = 'yellow_card';
-            } else if (typeId === 20) {
-              eventType = 'red_card';
-            }
+    } catch (error) {
+      console.error(`❌ Error fetching match events for fixture ${fixtureId}:`, error.message);
+      throw error;
+    }
+  }
 
-            // Only save recognized event types
-            if (!eventType) {
-              continue;
-            }
+  /**
+   * Save the events of a fetched fixture, broadcasting the ones not stored yet
+   * @param {Object} fixture - Fixture with events and participants included
+   */
+  async saveMatchEvents(fixtureId, fixture) {
+    let savedCount = 0;
+    const homeTeamId = fixture.participants?.find(p => p.meta?.location === 'home')?.id;
 
-            const playerName = event.player_name || null;
-            const playerId = event.player_id || null;
-            const teamId = event.participant_id || event.team_id || null; // participant_id is the team in SportMonks
-            const minute = event.minute || null;
-            const relatedPlayerName = event.related_player_name || null; // For assists
-            const reason = event.addition || event.reason || null; // 'addition' field contains info like "1st Goal", "Yellow Card", etc.
-
-            // Check if event already exists to avoid duplicates
-            const existingEvent = await db.query(`
-              SELECT id FROM oracle.match_events 
-              WHERE fixture_id = $1 
-                AND event_type = $2 
-                AND minute = $3 
-                AND player_name = $4
-              LIMIT 1
-            `, [fixtureId, eventType, minute, playerName]);
-
-            // Only insert if event doesn't already exist
-            if (existingEvent.rows.length === 0) {
-              await db.query(`
-                INSERT INTO oracle.match_events 
-                (fixture_id, event_type, minute, player_name, player_id, team_id, related_player_name, reason, created_at, updated_at)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-              `, [fixtureId, eventType, minute, playerName, playerId, teamId, relatedPlayerName, reason]);
-
-              savedCount++;
-              console.log(`  ✅ Saved ${eventType}: ${playerName} (${minute})`);
-              
-              // Broadcast goal or match event via WebSocket
-              try {
-                if (eventType === 'goal') {
-                  // Determine team based on team_id
-                  const team = 'away';
-                  websocketService.broadcastGoalScored(fixtureId, playerName, minute, team);
-                } else {
-                  // Broadcast other events (cards, substitutions)
-                  websocketService.broadcastMatchEvent(fixtureId, eventType, playerName, minute, 'away');
-                }
-              } catch (wsError) {
-                console.warn(`⚠️ Failed to broadcast match event:`, wsError.message);
+    // Process events array for goals, cards, substitutions, etc.
+    if (fixture.events && Array.isArray(fixture.events)) {
+      for (const event of fixture.events) {
+        try {
+          // Determine event type based on SportMonks type_id
+          // type_id: 14=Goal, 18=Substitution, 19=YellowCard, 20=RedCard, etc.
+          let eventType = null;
+          
+          const typeId = event.type_id;
+          
+          if (typeId === 14) {
+            eventType = 'goal';
+          } else if (typeId === 18) {
+            eventType = 'substitution';
+          } else if (typeId === 19) {
+            eventType = 'yellow_card';
+          } else if (typeId === 20) {
+            eventType = 'red_card';
+          }
+
+          // Only save recognized event types
+          if (!eventType) {
+            continue;
+          }
+
+          const playerName = event.player_name || null;
+          const playerId = event.player_id || null;
+          const teamId = event.participant_id || event.team_id || null; // participant_id is the team in SportMonks
+          const minute = event.minute || null;
+          const relatedPlayerName = event.related_player_name || null; // For assists
+          const reason = event.addition || event.reason || null; // 'addition' field contains info like "1st Goal", "Yellow Card", etc.
+
+          // Check if event already exists to avoid duplicates
+          const existingEvent = await db.query(`
+            SELECT id FROM oracle.match_events 
+            WHERE fixture_id = $1 
+              AND event_type = $2 
+              AND minute = $3 
+              AND player_name = $4
+            LIMIT 1
+          `, [fixtureId, eventType, minute, playerName]);
+
+          // Only insert if event doesn't already exist
+          if (existingEvent.rows.length === 0) {
+            await db.query(`
+              INSERT INTO oracle.match_events 
+              (fixture_id, event_type, minute, player_name, player_id, team_id, related_player_name, reason, created_at, updated_at)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+            `, [fixtureId, eventType, minute, playerName, playerId, teamId, relatedPlayerName, reason]);
+
+            savedCount++;
+            console.log(`  ✅ Saved ${eventType}: ${playerName} (${minute})`);
+            
+            // Broadcast goal or match event via WebSocket
+            try {
+              const team = teamId !== null && String(teamId) === String(homeTeamId) ? 'home' : 'away';
+              if (eventType === 'goal') {
+                websocketService.broadcastGoalScored(fixtureId, playerName, minute, team);
+              } else {
+                // Broadcast other events (cards, substitutions)
+                websocketService.broadcastMatchEvent(fixtureId, eventType, playerName, minute, team);
               }
+            } catch (wsError) {
+              console.warn(`⚠️ Failed to broadcast match event:`, wsError.message);
             }
-          } catch (eventError) {
-            console.warn(`⚠️ Failed to process event:`, eventError.message);
           }
+        } catch (eventError) {
+          console.warn(`⚠️ Failed to process event:`, eventError.message);
         }
       }
-
-      console.log(`✅ Saved ${savedCount} match events for fixture ${fixtureId}`);
-      return { savedCount };
-
-    } catch (error) {
-      console.error(`❌ Error fetching match events for fixture ${fixtureId}:`, error.message);
-      throw error;
     }
+
+    console.log(`✅ Saved ${savedCount} match events for fixture ${fixtureId}`);
+    return { savedCount };
   }
 
   /**
@@ -0,0 +1,42 @@
+/**
+ * Base class for sports data providers
+ *
+ * Providers return entities in the SportMonks v3 football shape (fixtures with
+ * `participants`, `scores`, `state`, `odds`, `events`, `league`), which is
+ * what SportMonksService parses and saves. Adapters for other APIs map into
+ * that shape so fixture import, Oddyssey selection and settlement don't care
+ * where the data came from.
+ *
+ *   getFixturesByDate(date, { page, perPage }) -> { fixtures: [], hasMore }
+ *   getFixture(fixtureId, include)             -> fixture | null
+ *   getFixtureOdds(fixtureId)                  -> [odd]
+ *   getFixtureEvents(fixtureId)                -> fixture with scores/events/participants | null
+ *   getLeagues()                               -> [league]
+ */
+class BaseSportsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async getFixturesByDate(dateStr, options = {}) {
+    throw new Error(`${this.name}: getFixturesByDate not implemented`);
+  }
+
+  async getFixture(fixtureId, include) {
+    throw new Error(`${this.name}: getFixture not implemented`);
+  }
+
+  async getFixtureOdds(fixtureId) {
+    throw new Error(`${this.name}: getFixtureOdds not implemented`);
+  }
+
+  async getFixtureEvents(fixtureId) {
+    return this.getFixture(fixtureId, 'scores;events;participants');
+  }
+
+  async getLeagues() {
+    throw new Error(`${this.name}: getLeagues not implemented`);
+  }
+}
+
+module.exports = BaseSportsProvider;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const BaseSportsProvider = require('./base-provider');
+
+/**
+ * Sports data from local JSON files, for offline runs and replays
+ *
+ * Layout under SPORTS_FIXTURE_DIR (SportMonks v3 shapes, as the API returns them):
+ *   fixtures/date/2025-01-01.json  [fixture, ...] with league, participants, odds
+ *   fixtures/<fixtureId>.json      fixture with scores, state, events, participants
+ *   leagues.json                   [league, ...]
+ * Missing files mean "no data" rather than an error.
+ */
+class FileSportsProvider extends BaseSportsProvider {
+  constructor({ dir = process.env.SPORTS_FIXTURE_DIR, name = 'file' } = {}) {
+    super(name);
+    this.dir = dir;
+  }
+
+  async readJson(...segments) {
+    if (!this.dir) {
+      throw new Error('SPORTS_FIXTURE_DIR is not set');
+    }
+
+    // Read on every call so files can be edited while the bots run
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.dir, ...segments), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getFixturesByDate(dateStr, { page = 1, perPage = 50 } = {}) {
+    const fixtures = await this.readJson('fixtures', 'date', `${dateStr}.json`) || [];
+    const start = (page - 1) * perPage;
+
+    return {
+      fixtures: fixtures.slice(start, start + perPage),
+      hasMore: start + perPage < fixtures.length
+    };
+  }
+
+  async getFixture(fixtureId) {
+    return this.readJson('fixtures', `${fixtureId}.json`);
+  }
+
+  async getFixtureOdds(fixtureId) {
+    const fixture = await this.getFixture(fixtureId);
+    return fixture?.odds || [];
+  }
+
+  async getLeagues() {
+    return await this.readJson('leagues.json') || [];
+  }
+}
+
+module.exports = FileSportsProvider;
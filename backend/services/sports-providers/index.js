@@ -0,0 +1,97 @@
+const config = require('../../config');
+const SportMonksProvider = require('./sportmonks-provider');
+const FileSportsProvider = require('./file-provider');
+
+const PROVIDERS = {
+  sportmonks: SportMonksProvider,
+  file: FileSportsProvider
+};
+
+/**
+ * Picks the sports data providers for a league
+ *
+ * Each league has an ordered chain of providers (SPORTS_PROVIDERS_BY_LEAGUE,
+ * else SPORTS_PROVIDERS). Reads fail over along the chain; results can be
+ * fetched from every provider in the chain and cross-checked.
+ */
+class SportsProviderRouter {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.defaultChain]
+   * @param {Object<string, string[]>} [options.leagues] - League id -> chain
+   * @param {Object} [options.providerOptions] - Per-provider constructor options, keyed by name
+   */
+  constructor({
+    defaultChain = config.sportsProviders.default,
+    leagues = config.sportsProviders.leagues,
+    providerOptions = {}
+  } = {}) {
+    this.defaultChain = defaultChain;
+    this.leagues = leagues;
+    this.providers = {};
+
+    // Only instantiate providers that are actually referenced
+    const names = new Set([...defaultChain, ...Object.values(leagues).flat()]);
+    for (const name of names) {
+      const Provider = PROVIDERS[name];
+      if (!Provider) {
+        throw new Error(`Unknown sports provider: ${name} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+      }
+      this.providers[name] = new Provider(providerOptions[name]);
+    }
+  }
+
+  get(name) {
+    return this.providers[name] || null;
+  }
+
+  /**
+   * Every configured provider, default chain first
+   */
+  all() {
+    return Object.values(this.providers);
+  }
+
+  /**
+   * Ordered providers for a league (the default chain when the league has no override)
+   */
+  chain(leagueId) {
+    const names = (leagueId !== null && leagueId !== undefined && this.leagues[String(leagueId)]) || this.defaultChain;
+    return names.map(name => this.providers[name]);
+  }
+
+  /**
+   * Run `fn` against each provider in the chain until one returns data
+   * @returns {Promise<{result: *, provider: string|null}>} provider is null when none had data
+   */
+  async withFailover(leagueId, label, fn) {
+    let lastError = null;
+
+    for (const provider of this.chain(leagueId)) {
+      try {
+        const result = await fn(provider);
+        if (result !== null && result !== undefined) {
+          return { result, provider: provider.name };
+        }
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ ${provider.name}: ${label} failed, trying next provider:`, error.message);
+      }
+    }
+
+    if (lastError) {
+      throw lastError;
+    }
+    return { result: null, provider: null };
+  }
+}
+
+function createSportsProviderRouter(options) {
+  return new SportsProviderRouter(options);
+}
+
+module.exports = {
+  createSportsProviderRouter,
+  SportsProviderRouter,
+  PROVIDERS
+};
@@ -0,0 +1,80 @@
+const axios = require('axios');
+const config = require('../../config');
+const BaseSportsProvider = require('./base-provider');
+
+const FIXTURE_LIST_INCLUDE = 'league;participants;odds.bookmaker;referees;venue;weatherReport';
+
+/**
+ * SportMonks Football API v3
+ */
+class SportMonksProvider extends BaseSportsProvider {
+  constructor({
+    apiToken = config.sportmonks.apiToken,
+    baseUrl = config.sportmonks.baseUrl,
+    timeout = 30000,
+    name = 'sportmonks'
+  } = {}) {
+    super(name);
+    this.apiToken = apiToken;
+
+    if (!this.apiToken) {
+      throw new Error('SPORTMONKS_API_TOKEN not configured');
+    }
+
+    this.axios = axios.create({
+      baseURL: baseUrl,
+      headers: {
+        'Accept': 'application/json',
+      },
+      timeout,
+      maxRedirects: 3,
+    });
+  }
+
+  async get(path, params = {}) {
+    const response = await this.axios.get(path, {
+      params: { api_token: this.apiToken, ...params }
+    });
+    return response.data;
+  }
+
+  async getFixturesByDate(dateStr, { page = 1, perPage = 50 } = {}) {
+    const body = await this.get(`/fixtures/date/${dateStr}`, {
+      include: FIXTURE_LIST_INCLUDE,
+      per_page: perPage,
+      page
+    });
+
+    return {
+      fixtures: body.data || [],
+      hasMore: body.pagination?.has_more || false
+    };
+  }
+
+  async getFixture(fixtureId, include) {
+    const body = await this.get(`/fixtures/${fixtureId}`, include ? { include } : {});
+    return body.data || null;
+  }
+
+  async getFixtureOdds(fixtureId) {
+    const body = await this.get(`/fixtures/${fixtureId}/odds`, { include: 'bookmaker', per_page: 50 });
+    return body.data || [];
+  }
+
+  async getLeagues() {
+    const leagues = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const body = await this.get('/leagues', { include: 'country', per_page: 50, page });
+      leagues.push(...(body.data || []));
+      hasMore = body.pagination?.has_more || false;
+      page++;
+    }
+
+    return leagues;
+  }
+}
+
+module.exports = SportMonksProvider;
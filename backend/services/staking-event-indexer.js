@@ -0,0 +1,415 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const Web3Service = require('./web3-service');
+const IndexerCheckpoint = require('../utils/indexer-checkpoint');
+
+const STAKING_EVENTS_ABI = [
+  'event Staked(address indexed user, uint256 amount, uint8 tier, uint8 duration)',
+  'event Claimed(address indexed user, uint256 bitrAmount)',
+  'event Unstaked(address indexed user, uint256 amount)',
+  'event RevenueAdded(uint256 bitrAmount, uint256 sttAmount)',
+  'event RevenueDistributed()',
+  'event RevenueClaimed(address indexed user, uint256 bitrAmount, uint256 sttAmount)',
+  'function getTiers() external view returns (tuple(uint256 baseAPY, uint256 minStake, uint256 revenueShareRate)[])',
+  'function getDurationOptions() external view returns (uint256[] memory)'
+];
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * Staking Event Indexer
+ *
+ * Writes BitredictStaking events into the oracle.staking_* tables:
+ * - Staked / Unstaked open and close rows in oracle.staking_positions
+ * - Claimed / RevenueClaimed go to oracle.staking_rewards
+ * - RevenueAdded goes to oracle.staking_revenue, tagged with the contract that
+ *   sent it (pool fees, combo fees, boosts or a manual top-up)
+ * - RevenueDistributed is split per tier the same way the contract does it,
+ *   using the indexed positions for each tier's stake at that point
+ *
+ * Events are read from the checkpoint in chain order, so positions and
+ * pending revenue are always up to date when a distribution is processed.
+ */
+class StakingEventIndexer {
+  constructor() {
+    this.web3Service = new Web3Service();
+    this.isRunning = false;
+    this.contract = null;
+    this.checkpoint = null;
+    this.serviceName = 'StakingEventIndexer';
+    this.config = config.staking;
+    this.tiers = [];
+    this.durations = [];
+    this.revenueSources = {};
+    this.pollTimer = null;
+    this.isSyncing = false;
+    this.blockTimestamps = new Map();
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    try {
+      console.log(`🚀 ${this.serviceName}: Initializing...`);
+
+      if (!this.web3Service.isInitialized) {
+        await this.web3Service.initialize();
+      }
+
+      const addresses = config.blockchain.contractAddresses;
+      if (!addresses.stakingContract) {
+        throw new Error('Staking contract address not configured');
+      }
+      this.contract = new ethers.Contract(addresses.stakingContract, STAKING_EVENTS_ABI, this.web3Service.provider);
+
+      // RevenueAdded does not say who paid it in; the transaction target does
+      this.revenueSources = {};
+      for (const [key, source] of [
+        ['poolCore', 'pool_fees'],
+        ['comboPools', 'combo_fees'],
+        ['boostSystem', 'boosts'],
+        ['stakingContract', 'manual']
+      ]) {
+        if (addresses[key]) {
+          this.revenueSources[addresses[key].toLowerCase()] = source;
+        }
+      }
+
+      const [tiers, durations] = await Promise.all([
+        this.contract.getTiers(),
+        this.contract.getDurationOptions()
+      ]);
+      this.tiers = tiers.map(tier => ({ revenueShareRate: BigInt(tier.revenueShareRate) }));
+      this.durations = durations.map(duration => Number(duration));
+
+      this.checkpoint = new IndexerCheckpoint({
+        indexerName: 'staking-event-indexer',
+        contractAddress: addresses.stakingContract,
+        provider: this.web3Service.provider
+      });
+
+      console.log(`✅ ${this.serviceName}: Initialized successfully`);
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Initialization failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start the indexer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    await this.initialize();
+
+    this.isRunning = true;
+    await this.sync();
+
+    this.pollTimer = setInterval(() => this.sync(), this.config.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Indexing staking events every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  /**
+   * Stop the indexer
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+
+  /**
+   * Index confirmed blocks after the checkpoint
+   */
+  async sync() {
+    if (this.isSyncing) {
+      return;
+    }
+    this.isSyncing = true;
+
+    try {
+      const safeBlock = await this.checkpoint.getSafeBlock();
+      const result = await this.checkpoint.replayEvents(this.contract, {
+        Staked: (event) => this.handleStaked(event),
+        Unstaked: (event) => this.handleUnstaked(event),
+        Claimed: (event) => this.handleReward('apy', event.args.user, event.args.bitrAmount, 0n, event),
+        RevenueClaimed: (event) => this.handleReward('revenue', event.args.user, event.args.bitrAmount, event.args.sttAmount, event),
+        RevenueAdded: (event) => this.handleRevenueAdded(event),
+        RevenueDistributed: (event) => this.handleRevenueDistributed(event)
+      }, {
+        initialBlock: safeBlock - this.config.initialLookbackBlocks,
+        onReorg: (forkBlock) => this.rollback(forkBlock)
+      });
+
+      if (result.replayed > 0) {
+        console.log(`🥩 ${this.serviceName}: Indexed ${result.replayed} staking events from blocks ${result.fromBlock}-${result.toBlock}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${this.serviceName}: Sync failed:`, error.message);
+      // Don't throw - the next run resumes from the checkpoint
+    } finally {
+      this.isSyncing = false;
+      // Block timestamps are only needed within one run
+      this.blockTimestamps.clear();
+    }
+  }
+
+  async handleStaked(event) {
+    const { user, amount, tier, duration } = event.args;
+    const log = this.getLog(event);
+    const stakedAt = await this.getBlockTimestamp(log.blockNumber);
+    const durationSeconds = this.durations[Number(duration)] || 0;
+
+    await db.query(`
+      INSERT INTO oracle.staking_positions (
+        user_address, amount, tier_id, duration_option, staked_at, unlock_at,
+        tx_hash, log_index, block_number
+      ) VALUES ($1, $2, $3, $4, to_timestamp($5), to_timestamp($6), $7, $8, $9)
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [
+      user.toLowerCase(),
+      amount.toString(),
+      Number(tier),
+      Number(duration),
+      stakedAt,
+      stakedAt + durationSeconds,
+      log.transactionHash,
+      log.logIndex,
+      log.blockNumber
+    ]);
+  }
+
+  /**
+   * Unstaked only carries the amount, so close the oldest unlocked open
+   * position of that user with the same amount (once per log, for replays)
+   */
+  async handleUnstaked(event) {
+    const { user, amount } = event.args;
+    const log = this.getLog(event);
+    const unstakedAt = await this.getBlockTimestamp(log.blockNumber);
+
+    const result = await db.query(`
+      UPDATE oracle.staking_positions SET
+        unstaked_at = to_timestamp($3),
+        unstake_tx_hash = $4,
+        unstake_block_number = $5,
+        unstake_log_index = $6
+      WHERE id = (
+        SELECT id FROM oracle.staking_positions
+        WHERE user_address = $1 AND amount = $2 AND unstaked_at IS NULL
+          AND unlock_at <= to_timestamp($3)
+        ORDER BY staked_at, id
+        LIMIT 1
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM oracle.staking_positions WHERE unstake_tx_hash = $4 AND unstake_log_index = $6
+      )
+    `, [user.toLowerCase(), amount.toString(), unstakedAt, log.transactionHash, log.blockNumber, log.logIndex]);
+
+    if (result.rowCount === 0) {
+      console.warn(`⚠️ ${this.serviceName}: No open position matched unstake in ${log.transactionHash}`);
+    }
+  }
+
+  async handleReward(rewardType, user, bitrAmount, sttAmount, event) {
+    if (bitrAmount === 0n && sttAmount === 0n) {
+      // unstake() always emits Claimed, even with nothing to pay
+      return;
+    }
+
+    const log = this.getLog(event);
+    await db.query(`
+      INSERT INTO oracle.staking_rewards (
+        user_address, reward_type, bitr_amount, stt_amount,
+        tx_hash, log_index, block_number, claimed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [
+      user.toLowerCase(),
+      rewardType,
+      bitrAmount.toString(),
+      sttAmount.toString(),
+      log.transactionHash,
+      log.logIndex,
+      log.blockNumber,
+      await this.getBlockTimestamp(log.blockNumber)
+    ]);
+  }
+
+  async handleRevenueAdded(event) {
+    const { bitrAmount, sttAmount } = event.args;
+    const log = this.getLog(event);
+
+    await db.query(`
+      INSERT INTO oracle.staking_revenue (
+        source, bitr_amount, stt_amount, tx_hash, log_index, block_number, added_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7))
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `, [
+      await this.getRevenueSource(log.transactionHash),
+      bitrAmount.toString(),
+      sttAmount.toString(),
+      log.transactionHash,
+      log.logIndex,
+      log.blockNumber,
+      await this.getBlockTimestamp(log.blockNumber)
+    ]);
+  }
+
+  /**
+   * Split the undistributed revenue across tiers like distributeRevenue():
+   * tiers with no stake are skipped and the last tier takes the remainder
+   */
+  async handleRevenueDistributed(event) {
+    const log = this.getLog(event);
+    const distributedAt = await this.getBlockTimestamp(log.blockNumber);
+
+    await db.transaction(async (client) => {
+      const pending = await client.query(`
+        UPDATE oracle.staking_revenue SET distributed_block = $1
+        WHERE distributed_block IS NULL AND (block_number, log_index) < ($1, $2)
+        RETURNING bitr_amount, stt_amount
+      `, [log.blockNumber, log.logIndex]);
+
+      const totalBitr = pending.rows.reduce((sum, row) => sum + BigInt(row.bitr_amount), 0n);
+      const totalStt = pending.rows.reduce((sum, row) => sum + BigInt(row.stt_amount), 0n);
+      if (totalBitr === 0n && totalStt === 0n) {
+        return;
+      }
+
+      const staked = await client.query(`
+        SELECT tier_id, SUM(amount)::text AS staked
+        FROM oracle.staking_positions
+        WHERE (block_number, log_index) < ($1, $2)
+          AND (unstake_block_number IS NULL OR (unstake_block_number, unstake_log_index) > ($1, $2))
+        GROUP BY tier_id
+      `, [log.blockNumber, log.logIndex]);
+      const stakedByTier = new Map(staked.rows.map(row => [Number(row.tier_id), BigInt(row.staked)]));
+
+      let distributedBitr = 0n;
+      let distributedStt = 0n;
+      for (let tierId = 0; tierId < this.tiers.length; tierId++) {
+        const tierStaked = stakedByTier.get(tierId) || 0n;
+        if (tierStaked === 0n) {
+          continue;
+        }
+
+        let bitrShare = (totalBitr * this.tiers[tierId].revenueShareRate) / BASIS_POINTS;
+        let sttShare = (totalStt * this.tiers[tierId].revenueShareRate) / BASIS_POINTS;
+        if (tierId === this.tiers.length - 1) {
+          bitrShare = totalBitr - distributedBitr;
+          sttShare = totalStt - distributedStt;
+        }
+        distributedBitr += bitrShare;
+        distributedStt += sttShare;
+
+        await client.query(`
+          INSERT INTO oracle.staking_revenue_distributions (
+            tx_hash, log_index, block_number, distributed_at, tier_id, tier_staked, bitr_amount, stt_amount
+          ) VALUES ($1, $2, $3, to_timestamp($4), $5, $6, $7, $8)
+          ON CONFLICT (tx_hash, log_index, tier_id) DO NOTHING
+        `, [
+          log.transactionHash,
+          log.logIndex,
+          log.blockNumber,
+          distributedAt,
+          tierId,
+          tierStaked.toString(),
+          bitrShare.toString(),
+          sttShare.toString()
+        ]);
+      }
+    });
+  }
+
+  async getRevenueSource(txHash) {
+    try {
+      const tx = await this.web3Service.provider.getTransaction(txHash);
+      return (tx && tx.to && this.revenueSources[tx.to.toLowerCase()]) || 'other';
+    } catch (error) {
+      console.warn(`⚠️ ${this.serviceName}: Could not load transaction ${txHash}:`, error.message);
+      return 'other';
+    }
+  }
+
+  getLog(event) {
+    const log = event.log || event;
+    return {
+      transactionHash: log.transactionHash,
+      logIndex: log.index ?? log.logIndex ?? 0,
+      blockNumber: Number(log.blockNumber)
+    };
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (!this.blockTimestamps.has(blockNumber)) {
+      const block = await this.web3Service.provider.getBlock(blockNumber);
+      this.blockTimestamps.set(blockNumber, block ? block.timestamp : Math.floor(Date.now() / 1000));
+    }
+    return this.blockTimestamps.get(blockNumber);
+  }
+
+  /**
+   * Undo everything from orphaned blocks; the checkpoint replays them if they reappear
+   */
+  async rollback(forkBlock) {
+    await db.transaction(async (client) => {
+      await client.query('DELETE FROM oracle.staking_revenue_distributions WHERE block_number > $1', [forkBlock]);
+      await client.query('UPDATE oracle.staking_revenue SET distributed_block = NULL WHERE distributed_block > $1', [forkBlock]);
+      await client.query('DELETE FROM oracle.staking_revenue WHERE block_number > $1', [forkBlock]);
+      await client.query('DELETE FROM oracle.staking_rewards WHERE block_number > $1', [forkBlock]);
+      await client.query('DELETE FROM oracle.staking_positions WHERE block_number > $1', [forkBlock]);
+      await client.query(`
+        UPDATE oracle.staking_positions SET
+          unstaked_at = NULL, unstake_tx_hash = NULL, unstake_block_number = NULL, unstake_log_index = NULL
+        WHERE unstake_block_number > $1
+      `, [forkBlock]);
+    });
+    console.log(`↩️ ${this.serviceName}: Rolled back staking events after block ${forkBlock}`);
+  }
+
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isRunning: this.isRunning,
+      lastBlock: this.checkpoint ? this.checkpoint.lastBlock : null
+    };
+  }
+}
+
+module.exports = StakingEventIndexer;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = new StakingEventIndexer();
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Staking Event Indexer running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Staking Event Indexer failed to start:', error);
+      process.exit(1);
+    });
+}
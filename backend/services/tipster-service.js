@@ -0,0 +1,689 @@
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+const txManager = require('./tx-manager');
+const reputationManager = require('../utils/reputationManager');
+const marketSpec = require('../utils/market-spec');
+const { ODDS_MARKETS, SELECTION_LABELS } = marketSpec;
+
+const TRANSFER_EVENT_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const ZERO_RESULT = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// Fixture statuses that void picks once kick-off is a day past
+const VOID_FIXTURE_STATUSES = ['CANC', 'CANCL', 'CANCELLED', 'POSTP', 'POSTPONED', 'ABAN', 'ABANDONED', 'DELETED'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 10000;
+
+// Pick rows with the fixture or pool they are about
+const PICK_SELECT = `
+  SELECT tp.*,
+    COALESCE(f.home_team, p.home_team) AS home_team,
+    COALESCE(f.away_team, p.away_team) AS away_team,
+    COALESCE(f.league_name, p.league) AS league,
+    p.predicted_outcome AS pool_predicted_outcome,
+    p.title AS pool_title,
+    (SELECT COUNT(*) FROM core.tipster_purchases pu WHERE pu.pick_id = tp.id)::int AS sales
+  FROM core.tipster_picks tp
+  LEFT JOIN oracle.pools p ON p.pool_id = tp.pool_id
+  LEFT JOIN oracle.fixtures f ON f.id = tp.fixture_id
+`;
+
+// Track record per tipster; units are profit at the pick's odds for a 1-unit stake
+const TRACK_RECORD_COLUMNS = `
+  COUNT(*)::int AS picks,
+  COUNT(*) FILTER (WHERE status = 'open')::int AS open,
+  COUNT(*) FILTER (WHERE status = 'won')::int AS won,
+  COUNT(*) FILTER (WHERE status = 'lost')::int AS lost,
+  COUNT(*) FILTER (WHERE status = 'void')::int AS void,
+  COUNT(*) FILTER (WHERE status IN ('won', 'lost') AND odds IS NOT NULL)::int AS priced,
+  COALESCE(SUM(CASE WHEN status = 'won' THEN odds - 1 WHEN status = 'lost' THEN -1 END) FILTER (WHERE odds IS NOT NULL), 0) AS units,
+  AVG(odds) FILTER (WHERE status IN ('won', 'lost')) AS average_odds,
+  MAX(settled_at) AS last_settled_at
+`;
+
+/**
+ * Tipster Marketplace Service
+ *
+ * Users whose ReputationSystem score grants canSellPredictions (300+) publish
+ * picks on an open pool (which side wins) or an upcoming fixture (a market
+ * spec selection). The pick's title, odds and price are public; its selection
+ * stays hidden until the pick locks at betting end / kick-off, and its
+ * analysis is only shown to the tipster and to buyers.
+ *
+ * A buyer unlocks a pick by transferring its price in STT or BITR to the
+ * tipster and submitting the transaction hash; the transfer is verified
+ * on-chain and each transaction can pay for one pick only. Sales close when
+ * the pick locks. Picks are settled from pool settlements and fixture results
+ * by settlePicks(), and every track record is computed from those outcomes.
+ */
+class TipsterService {
+  constructor() {
+    this.serviceName = 'TipsterService';
+    this.config = config.tipsters;
+    this.transferInterface = new ethers.Interface(TRANSFER_EVENT_ABI);
+  }
+
+  /**
+   * Reputation read from ReputationSystem, not the database copy, with the
+   * privileges it grants
+   */
+  async getEligibility(address) {
+    let privileges;
+    try {
+      privileges = await reputationManager.getLiveReputationPrivileges(address);
+    } catch (error) {
+      throw new TipsterError(`Could not read reputation from ReputationSystem: ${error.message}`, 503);
+    }
+
+    return {
+      address: address.toLowerCase(),
+      reputation: privileges.reputation,
+      canSellPredictions: privileges.canSellPredictions,
+      canSetCustomPrices: privileges.canSetCustomPrices,
+      tier: privileges.tier,
+      prices: this.config.prices
+    };
+  }
+
+  // ==========================================================================
+  // PUBLISHING
+  // ==========================================================================
+
+  /**
+   * @param {Object} pick - { poolId, side } or { fixtureId, market }, plus title, content, currency, price?
+   */
+  async publishPick(address, { poolId = null, side = null, fixtureId = null, market = null, title, content, currency = 'STT', price = null }) {
+    const eligibility = await this.getEligibility(address);
+    if (!eligibility.canSellPredictions) {
+      throw new TipsterError(`Selling picks needs a reputation of 300 or more (yours is ${eligibility.reputation})`, 403);
+    }
+
+    title = typeof title === 'string' ? title.trim() : '';
+    content = typeof content === 'string' ? content.trim() : '';
+    if (title.length < 3 || title.length > MAX_TITLE_LENGTH) {
+      throw new TipsterError(`title must be 3-${MAX_TITLE_LENGTH} characters`);
+    }
+    if (content.length === 0 || content.length > MAX_CONTENT_LENGTH) {
+      throw new TipsterError(`content must be 1-${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const priceWei = this.resolvePrice(currency, price, eligibility);
+    const target = poolId !== null && poolId !== undefined
+      ? await this.resolvePoolTarget(poolId, side)
+      : await this.resolveFixtureTarget(fixtureId, market);
+
+    const tipster = address.toLowerCase();
+    const counts = await db.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'open')::int AS open,
+        COUNT(*) FILTER (WHERE status = 'open' AND (
+          (pool_id IS NOT NULL AND pool_id = $2::bigint)
+          OR (pick_type = 'fixture' AND fixture_id = $3 AND market_spec_key = $4)
+        ))::int AS duplicates
+      FROM core.tipster_picks
+      WHERE tipster_address = $1
+    `, [tipster, target.poolId, target.fixtureId, target.marketSpecKey]);
+
+    if (counts.rows[0].duplicates > 0) {
+      throw new TipsterError('You already have an open pick on this market', 409);
+    }
+    if (counts.rows[0].open >= this.config.maxOpenPicks) {
+      throw new TipsterError(`At most ${this.config.maxOpenPicks} open picks per tipster`, 409);
+    }
+
+    const result = await db.query(`
+      INSERT INTO core.tipster_picks (
+        tipster_address, pool_id, fixture_id, pick_type, side, market_spec_key,
+        title, content, odds, currency, price, reputation_at_publish, locks_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
+      tipster,
+      target.poolId,
+      target.fixtureId,
+      target.pickType,
+      target.side,
+      target.marketSpecKey,
+      title,
+      content,
+      target.odds,
+      currency,
+      priceWei.toString(),
+      eligibility.reputation,
+      target.locksAt
+    ]);
+
+    const pick = await this.getPickRow(result.rows[0].id);
+    console.log(`📝 ${this.serviceName}: ${tipster} published pick ${pick.id} (${pick.pick_type} ${pick.pool_id || pick.fixture_id}) at ${ethers.formatEther(priceWei)} ${currency}`);
+    return this.presentPick(pick, { viewer: tipster });
+  }
+
+  /**
+   * Default price for everyone; custom prices (within the configured range) need canSetCustomPrices
+   */
+  resolvePrice(currency, price, eligibility) {
+    const limits = this.config.prices[currency];
+    if (!limits) {
+      throw new TipsterError('currency must be STT or BITR');
+    }
+    if (price === null || price === undefined || price === '') {
+      return ethers.parseEther(limits.default);
+    }
+    if (!eligibility.canSetCustomPrices) {
+      throw new TipsterError(`Custom prices need a reputation of 400 or more; picks sell at ${limits.default} ${currency}`, 403);
+    }
+
+    let priceWei;
+    try {
+      priceWei = ethers.parseEther(String(price));
+    } catch (error) {
+      throw new TipsterError('price must be a token amount, e.g. "2.5"');
+    }
+    if (priceWei < ethers.parseEther(limits.min) || priceWei > ethers.parseEther(limits.max)) {
+      throw new TipsterError(`price must be between ${limits.min} and ${limits.max} ${currency}`);
+    }
+    return priceWei;
+  }
+
+  async resolvePoolTarget(poolId, side) {
+    if (!/^\d+$/.test(String(poolId))) {
+      throw new TipsterError('Valid pool ID is required');
+    }
+    if (!['yes', 'no'].includes(side)) {
+      throw new TipsterError('side must be "yes" (the predicted outcome happens) or "no"');
+    }
+
+    const result = await db.query(`
+      SELECT pool_id, fixture_id, odds, betting_end_time, is_settled, is_private
+      FROM oracle.pools
+      WHERE pool_id = $1::bigint
+    `, [String(poolId)]);
+    const pool = result.rows[0];
+    if (!pool) {
+      throw new TipsterError(`Pool ${poolId} not found`, 404);
+    }
+    if (pool.is_private) {
+      throw new TipsterError('Picks cannot be sold on private pools');
+    }
+    const locksAt = new Date(Number(pool.betting_end_time) * 1000);
+    if (pool.is_settled || locksAt <= new Date()) {
+      throw new TipsterError(`Betting on pool ${poolId} has closed`, 409);
+    }
+
+    return {
+      pickType: 'pool',
+      poolId: String(pool.pool_id),
+      fixtureId: pool.fixture_id || null,
+      side,
+      marketSpecKey: null,
+      odds: poolSideOdds(pool.odds, side),
+      locksAt
+    };
+  }
+
+  async resolveFixtureTarget(fixtureId, market) {
+    if (!fixtureId) {
+      throw new TipsterError('Either poolId and side or fixtureId and market are required');
+    }
+
+    let spec;
+    try {
+      spec = marketSpec.deserialize(market);
+    } catch (error) {
+      throw new TipsterError(`market must be a market spec key such as 1X2:FT::home or OU:FT:2.5:over (${error.message})`);
+    }
+    if (spec.family === 'PRICE') {
+      throw new TipsterError('Fixture picks need a football market');
+    }
+
+    const result = await db.query('SELECT id, match_date FROM oracle.fixtures WHERE id = $1', [String(fixtureId)]);
+    const fixture = result.rows[0];
+    if (!fixture) {
+      throw new TipsterError(`Fixture ${fixtureId} not found`, 404);
+    }
+    const locksAt = new Date(fixture.match_date);
+    if (locksAt <= new Date()) {
+      throw new TipsterError(`Fixture ${fixtureId} has already kicked off`, 409);
+    }
+
+    return {
+      pickType: 'fixture',
+      poolId: null,
+      fixtureId: String(fixture.id),
+      side: null,
+      marketSpecKey: marketSpec.serialize(spec),
+      odds: await this.getConsensusOdds(fixture.id, spec),
+      locksAt
+    };
+  }
+
+  /**
+   * Consensus price of the selection (services/odds-consensus.js), so a tipster
+   * cannot choose the odds their record is measured at
+   */
+  async getConsensusOdds(fixtureId, spec) {
+    const oddsMarketId = ODDS_MARKETS[`${spec.family}:${spec.period}`];
+    const labels = SELECTION_LABELS[spec.selection];
+    if (!oddsMarketId || !labels) {
+      return null;
+    }
+
+    const result = await db.query(`
+      SELECT value
+      FROM oracle.fixture_odds_consensus
+      WHERE fixture_id = $1 AND market_id = $2 AND label = $3
+        AND ($4::numeric IS NULL OR total = $4::numeric)
+      LIMIT 1
+    `, [String(fixtureId), oddsMarketId, labels[0], spec.line]);
+
+    const value = result.rows[0] ? parseFloat(result.rows[0].value) : null;
+    return value && value > 1 ? value : null;
+  }
+
+  // ==========================================================================
+  // PURCHASES
+  // ==========================================================================
+
+  /**
+   * Unlock a pick with the transfer in `txHash`. Buying a pick again returns
+   * the existing purchase.
+   */
+  async purchasePick(pickId, buyer, txHash) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(txHash || '')) {
+      throw new TipsterError('txHash must be a transaction hash');
+    }
+
+    const pick = await this.getPickRow(pickId);
+    const buyerAddress = buyer.toLowerCase();
+    if (pick.tipster_address === buyerAddress) {
+      throw new TipsterError('You cannot buy your own pick');
+    }
+
+    const existing = await db.query(
+      'SELECT * FROM core.tipster_purchases WHERE pick_id = $1 AND buyer_address = $2',
+      [pick.id, buyerAddress]
+    );
+    if (existing.rows.length > 0) {
+      return { purchase: existing.rows[0], pick: this.presentPick(pick, { viewer: buyerAddress, purchased: true }) };
+    }
+    if (new Date(pick.locks_at) <= new Date()) {
+      throw new TipsterError('Sales of this pick have closed', 409);
+    }
+
+    const payment = await this.verifyPayment(pick, buyerAddress, txHash);
+
+    const inserted = await db.query(`
+      INSERT INTO core.tipster_purchases (
+        pick_id, buyer_address, tipster_address, currency, amount, tx_hash, block_number
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, [pick.id, buyerAddress, pick.tipster_address, pick.currency, payment.amount.toString(), txHash.toLowerCase(), payment.blockNumber]);
+
+    if (inserted.rows.length === 0) {
+      throw new TipsterError('This transaction has already been used to buy a pick', 409);
+    }
+
+    console.log(`💰 ${this.serviceName}: ${buyerAddress} bought pick ${pick.id} for ${ethers.formatEther(payment.amount)} ${pick.currency} (${txHash})`);
+    return {
+      purchase: inserted.rows[0],
+      pick: this.presentPick({ ...pick, sales: pick.sales + 1 }, { viewer: buyerAddress, purchased: true })
+    };
+  }
+
+  /**
+   * The transaction must be confirmed, sent by the buyer after the pick was
+   * published, and move at least the price to the tipster: native STT as the
+   * transaction value, BITR as a Transfer from the BITR token
+   *
+   * @returns {Promise<{amount: bigint, blockNumber: number}>}
+   */
+  async verifyPayment(pick, buyer, txHash) {
+    const provider = txManager.getProvider();
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(txHash),
+      provider.getTransactionReceipt(txHash)
+    ]);
+
+    if (!tx || !receipt) {
+      throw new TipsterError('Transaction not found or not mined yet', 404);
+    }
+    if (receipt.status !== 1) {
+      throw new TipsterError('Transaction reverted');
+    }
+    if (tx.from.toLowerCase() !== buyer) {
+      throw new TipsterError('Transaction was not sent from your wallet', 403);
+    }
+
+    const currentBlock = await provider.getBlockNumber();
+    if (currentBlock - receipt.blockNumber + 1 < this.config.minConfirmations) {
+      throw new TipsterError(`Transaction needs ${this.config.minConfirmations} confirmations`, 409);
+    }
+
+    const block = await provider.getBlock(receipt.blockNumber);
+    if (block && block.timestamp < Math.floor(new Date(pick.created_at).getTime() / 1000)) {
+      throw new TipsterError('Transaction was sent before the pick was published');
+    }
+
+    const price = BigInt(pick.price);
+    const tipster = pick.tipster_address;
+    let amount = 0n;
+
+    if (pick.currency === 'STT') {
+      if (!tx.to || tx.to.toLowerCase() !== tipster) {
+        throw new TipsterError('Transaction does not pay the tipster');
+      }
+      amount = tx.value;
+    } else {
+      const token = config.blockchain.contractAddresses.bitrToken.toLowerCase();
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== token) {
+          continue;
+        }
+        let parsed;
+        try {
+          parsed = this.transferInterface.parseLog(log);
+        } catch (error) {
+          continue;
+        }
+        if (parsed && parsed.name === 'Transfer' &&
+            parsed.args.from.toLowerCase() === buyer &&
+            parsed.args.to.toLowerCase() === tipster) {
+          amount += parsed.args.value;
+        }
+      }
+      if (amount === 0n) {
+        throw new TipsterError('Transaction has no BITR transfer to the tipster');
+      }
+    }
+
+    if (amount < price) {
+      throw new TipsterError(`Transfer of ${ethers.formatEther(amount)} ${pick.currency} is below the price of ${ethers.formatEther(price)} ${pick.currency}`);
+    }
+
+    return { amount, blockNumber: receipt.blockNumber };
+  }
+
+  // ==========================================================================
+  // SETTLEMENT
+  // ==========================================================================
+
+  /**
+   * Settle open picks from settled pools and finished fixtures
+   */
+  async settlePicks() {
+    const summary = { won: 0, lost: 0, void: 0 };
+
+    const poolPicks = await db.query(`
+      SELECT tp.id, tp.side, p.creator_side_won, p.status AS pool_status, p.result
+      FROM core.tipster_picks tp
+      JOIN oracle.pools p ON p.pool_id = tp.pool_id
+      WHERE tp.status = 'open' AND tp.pick_type = 'pool' AND p.is_settled = true
+    `);
+
+    for (const pick of poolPicks.rows) {
+      const refunded = pick.pool_status === 'refunded' || (pick.result || '').toLowerCase() === ZERO_RESULT;
+      if (refunded) {
+        summary.void += await this.recordResult(pick.id, 'void', null);
+        continue;
+      }
+      if (pick.creator_side_won === null) {
+        continue;
+      }
+      // Bettors back the predicted outcome, so it happened when the creator side lost
+      const happened = pick.creator_side_won === false;
+      const status = (pick.side === 'yes') === happened ? 'won' : 'lost';
+      summary[status] += await this.recordResult(pick.id, status, happened ? 'yes' : 'no');
+    }
+
+    const fixturePicks = await db.query(`
+      SELECT tp.id, tp.market_spec_key, tp.locks_at, f.status AS fixture_status,
+        fr.home_score, fr.away_score, fr.ht_home_score, fr.ht_away_score, fr.finished_at
+      FROM core.tipster_picks tp
+      JOIN oracle.fixtures f ON f.id = tp.fixture_id
+      LEFT JOIN oracle.fixture_results fr ON fr.fixture_id::VARCHAR = tp.fixture_id
+      WHERE tp.status = 'open' AND tp.pick_type = 'fixture' AND tp.locks_at <= NOW()
+    `);
+
+    for (const pick of fixturePicks.rows) {
+      if (VOID_FIXTURE_STATUSES.includes(String(pick.fixture_status || '').toUpperCase()) &&
+          new Date(pick.locks_at).getTime() < Date.now() - 24 * 60 * 60 * 1000) {
+        summary.void += await this.recordResult(pick.id, 'void', null);
+        continue;
+      }
+      if (!pick.finished_at) {
+        continue;
+      }
+
+      const settlement = marketSpec.settle(marketSpec.deserialize(pick.market_spec_key), {
+        homeScore: pick.home_score,
+        awayScore: pick.away_score,
+        htHomeScore: pick.ht_home_score,
+        htAwayScore: pick.ht_away_score
+      });
+      if (!settlement) {
+        continue;
+      }
+      const status = settlement.won ? 'won' : 'lost';
+      summary[status] += await this.recordResult(pick.id, status, settlement.selection);
+    }
+
+    console.log(`✅ ${this.serviceName}: Settled picks - ${summary.won} won, ${summary.lost} lost, ${summary.void} void`);
+    return summary;
+  }
+
+  async recordResult(pickId, status, resultSelection) {
+    const result = await db.query(`
+      UPDATE core.tipster_picks
+      SET status = $2, result_selection = $3, settled_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'open'
+    `, [pickId, status, resultSelection]);
+    return result.rowCount;
+  }
+
+  // ==========================================================================
+  // READS
+  // ==========================================================================
+
+  async getPickRow(pickId) {
+    const result = await db.query(`${PICK_SELECT} WHERE tp.id = $1`, [pickId]);
+    if (result.rows.length === 0) {
+      throw new TipsterError(`Pick ${pickId} not found`, 404);
+    }
+    return result.rows[0];
+  }
+
+  async hasPurchased(pickId, address) {
+    if (!address) {
+      return false;
+    }
+    const result = await db.query(
+      'SELECT 1 FROM core.tipster_purchases WHERE pick_id = $1 AND buyer_address = $2',
+      [pickId, address.toLowerCase()]
+    );
+    return result.rows.length > 0;
+  }
+
+  async getPick(pickId, viewer = null) {
+    const pick = await this.getPickRow(pickId);
+    const purchased = await this.hasPurchased(pick.id, viewer);
+    return this.presentPick(pick, { viewer, purchased });
+  }
+
+  async listPicks({ tipster = null, status = null, poolId = null, fixtureId = null, viewer = null, limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      ${PICK_SELECT}
+      WHERE ($1::text IS NULL OR tp.tipster_address = $1)
+        AND ($2::text IS NULL OR tp.status = $2)
+        AND ($3::bigint IS NULL OR tp.pool_id = $3::bigint)
+        AND ($4::text IS NULL OR tp.fixture_id = $4)
+      ORDER BY tp.created_at DESC
+      LIMIT $5 OFFSET $6
+    `, [tipster ? tipster.toLowerCase() : null, status, poolId, fixtureId, limit, offset]);
+
+    const purchased = new Set();
+    if (viewer && result.rows.length > 0) {
+      const purchases = await db.query(
+        'SELECT pick_id FROM core.tipster_purchases WHERE buyer_address = $1 AND pick_id = ANY($2::bigint[])',
+        [viewer.toLowerCase(), result.rows.map(row => row.id)]
+      );
+      purchases.rows.forEach(row => purchased.add(String(row.pick_id)));
+    }
+
+    return result.rows.map(row => this.presentPick(row, { viewer, purchased: purchased.has(String(row.id)) }));
+  }
+
+  async listPurchases(buyer, { limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT pu.tx_hash, pu.amount, pu.created_at AS purchased_at, picks.*
+      FROM core.tipster_purchases pu
+      JOIN (${PICK_SELECT}) picks ON picks.id = pu.pick_id
+      WHERE pu.buyer_address = $1
+      ORDER BY pu.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [buyer.toLowerCase(), limit, offset]);
+
+    return result.rows.map(row => ({
+      txHash: row.tx_hash,
+      amount: row.amount,
+      purchasedAt: row.purchased_at,
+      pick: this.presentPick(row, { viewer: buyer, purchased: true })
+    }));
+  }
+
+  /**
+   * Record computed from settled picks, plus sales
+   */
+  async getTrackRecord(address) {
+    const tipster = address.toLowerCase();
+    const [record, form, sales] = await Promise.all([
+      db.query(`SELECT ${TRACK_RECORD_COLUMNS} FROM core.tipster_picks WHERE tipster_address = $1`, [tipster]),
+      db.query(`
+        SELECT status FROM core.tipster_picks
+        WHERE tipster_address = $1 AND status IN ('won', 'lost')
+        ORDER BY settled_at DESC
+        LIMIT 10
+      `, [tipster]),
+      db.query(`
+        SELECT currency, COUNT(*)::int AS sales, SUM(amount) AS revenue
+        FROM core.tipster_purchases
+        WHERE tipster_address = $1
+        GROUP BY currency
+      `, [tipster])
+    ]);
+
+    return {
+      address: tipster,
+      ...formatRecord(record.rows[0]),
+      form: form.rows.map(row => (row.status === 'won' ? 'W' : 'L')),
+      sales: sales.rows.map(row => ({ currency: row.currency, sales: row.sales, revenue: row.revenue }))
+    };
+  }
+
+  /**
+   * Tipsters with enough settled picks, best profit first
+   */
+  async getLeaderboard({ limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT tipster_address, ${TRACK_RECORD_COLUMNS}
+      FROM core.tipster_picks
+      GROUP BY tipster_address
+      HAVING COUNT(*) FILTER (WHERE status IN ('won', 'lost')) >= $1
+      ORDER BY units DESC, won DESC
+      LIMIT $2 OFFSET $3
+    `, [this.config.minSettledForRanking, limit, offset]);
+
+    return result.rows.map(row => ({ address: row.tipster_address, ...formatRecord(row) }));
+  }
+
+  /**
+   * Public view of a pick: the selection shows once it locks (or to the
+   * tipster and buyers), the analysis only to the tipster and buyers
+   */
+  presentPick(row, { viewer = null, purchased = false } = {}) {
+    const isTipster = Boolean(viewer) && viewer.toLowerCase() === row.tipster_address;
+    const unlocked = isTipster || purchased;
+    const revealed = unlocked || new Date(row.locks_at) <= new Date();
+
+    let selection = null;
+    if (revealed) {
+      if (row.pick_type === 'pool') {
+        const outcome = row.pool_predicted_outcome || row.pool_title;
+        selection = { side: row.side, label: row.side === 'yes' ? outcome : `Not: ${outcome}` };
+      } else {
+        const spec = marketSpec.deserialize(row.market_spec_key);
+        selection = { market: row.market_spec_key, label: `${marketSpec.marketDescription(spec)}: ${marketSpec.label(spec)}` };
+      }
+    }
+
+    return {
+      id: Number(row.id),
+      tipster: row.tipster_address,
+      pickType: row.pick_type,
+      poolId: row.pool_id !== null ? Number(row.pool_id) : null,
+      fixtureId: row.fixture_id,
+      homeTeam: row.home_team,
+      awayTeam: row.away_team,
+      league: row.league,
+      title: row.title,
+      odds: row.odds !== null ? parseFloat(row.odds) : null,
+      currency: row.currency,
+      price: row.price,
+      priceFormatted: ethers.formatEther(row.price),
+      payTo: row.tipster_address,
+      locksAt: row.locks_at,
+      status: row.status,
+      resultSelection: row.result_selection,
+      settledAt: row.settled_at,
+      sales: row.sales,
+      createdAt: row.created_at,
+      purchased,
+      selection,
+      content: unlocked ? row.content : null
+    };
+  }
+}
+
+/**
+ * Decimal odds of one side of a pool: bettors get the pool odds, the creator
+ * side wins the bettor stakes it covers
+ */
+function poolSideOdds(poolOdds, side) {
+  const odds = Number(poolOdds) / 100;
+  if (!Number.isFinite(odds) || odds <= 1) {
+    return null;
+  }
+  return side === 'yes' ? odds : odds / (odds - 1);
+}
+
+function formatRecord(row) {
+  const decided = row.won + row.lost;
+  const units = parseFloat(row.units);
+  return {
+    picks: row.picks,
+    open: row.open,
+    won: row.won,
+    lost: row.lost,
+    void: row.void,
+    hitRate: decided > 0 ? row.won / decided : null,
+    units: Math.round(units * 100) / 100,
+    roi: row.priced > 0 ? units / row.priced : null,
+    averageOdds: row.average_odds !== null ? Math.round(parseFloat(row.average_odds) * 100) / 100 : null,
+    lastSettledAt: row.last_settled_at
+  };
+}
+
+class TipsterError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TipsterError';
+    this.status = status;
+  }
+}
+
+module.exports = new TipsterService();
+module.exports.TipsterError = TipsterError;
@@ -0,0 +1,848 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../db/db');
+const config = require('../config');
+
+/**
+ * Lanes in send order. Settlement goes out before anything else a signer
+ * has queued; analytics waits behind everything.
+ */
+const TX_LANES = {
+  settlement: 10,
+  oracle: 20,
+  maintenance: 30,
+  analytics: 40
+};
+
+const FINAL_STATUSES = ['confirmed', 'reverted', 'failed', 'dropped', 'nonce_consumed'];
+// A key in one of these states is queued again when it is resubmitted;
+// none of them changed state on-chain. nonce_consumed is left out: the
+// nonce went to a transaction we cannot account for, which may be ours
+const RETRYABLE_STATUSES = ['reverted', 'failed', 'dropped'];
+
+// Broadcast errors that mean the node already has this nonce covered
+const KNOWN_TX_PATTERN = /already known|known transaction|nonce too low|nonce has already been used|replacement transaction underpriced|transaction underpriced/i;
+const PERMANENT_ERROR_PATTERN = /intrinsic gas too low|exceeds block gas limit|invalid sender|execution reverted/i;
+
+function isPermanentError(error) {
+  return ['CALL_EXCEPTION', 'INVALID_ARGUMENT'].includes(error.code) || PERMANENT_ERROR_PATTERN.test(error.message || '');
+}
+
+function toBigInt(value) {
+  return value === null || value === undefined ? null : BigInt(value);
+}
+
+function maxBigInt(...values) {
+  return values.filter(value => value !== null && value !== undefined)
+    .reduce((max, value) => (value > max ? value : max), 0n);
+}
+
+/**
+ * Transaction Manager
+ *
+ * Every worker that writes to the contracts goes through here instead of
+ * calling the contract with its own wallet. Calls are queued in
+ * system.tx_queue under an idempotency key, and whichever process holds the
+ * signer's advisory lock assigns nonces from system.tx_signers, signs and
+ * broadcasts them in lane order. Transactions left unmined for `bumpAfterMs`
+ * are replaced at the same nonce with higher fees.
+ *
+ * Callers drive the queue themselves while they wait, so nothing stalls when
+ * the dispatcher process (this file run directly) is down; the dispatcher
+ * keeps bumping and confirming transactions whose callers gave up waiting.
+ */
+class TxManager {
+  constructor() {
+    this.config = config.txManager;
+    this.serviceName = 'TxManager';
+    this.provider = null;
+    this.chainId = null;
+    this.signers = new Map(); // lowercase address -> Wallet on this.provider
+    this.ticks = new Map(); // lowercase address -> running tick
+    this.pollTimer = null;
+    this.isRunning = false;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl);
+    }
+    return this.provider;
+  }
+
+  async getChainId() {
+    if (this.chainId === null) {
+      const network = await this.getProvider().getNetwork();
+      this.chainId = network.chainId;
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Make a wallet (or private key) available for signing and return its
+   * lowercase address. Callers pass the wallet they used to construct their
+   * contracts; only its key is kept.
+   */
+  registerSigner(signer) {
+    const privateKey = typeof signer === 'string' ? signer : signer?.privateKey;
+    if (!privateKey) {
+      throw new TxError('Transactions need a wallet with a private key', 'NO_SIGNER');
+    }
+
+    const wallet = new ethers.Wallet(privateKey);
+    const address = wallet.address.toLowerCase();
+    if (!this.signers.has(address)) {
+      this.signers.set(address, wallet.connect(this.getProvider()));
+    }
+    return address;
+  }
+
+  /**
+   * The keys the workers sign with, so the dispatcher can send for all of them
+   */
+  registerConfiguredSigners() {
+    const keys = [
+      config.blockchain.privateKey,
+      process.env.ORACLE_PRIVATE_KEY,
+      config.oracle.signerPrivateKey,
+      process.env.BOT_PRIVATE_KEY,
+      process.env.REPUTATION_UPDATER_PRIVATE_KEY,
+      process.env.MM_PRIVATE_KEY,
+      process.env.ORACLE_OWNER_PRIVATE_KEY
+    ].filter(Boolean);
+
+    for (const key of new Set(keys)) {
+      try {
+        this.registerSigner(key);
+      } catch (error) {
+        console.warn(`⚠️ ${this.serviceName}: Skipping an invalid signer key: ${error.message}`);
+      }
+    }
+    return [...this.signers.keys()];
+  }
+
+  /**
+   * Queue a transaction. An existing key is returned as it is while it is
+   * queued, in flight or confirmed, and queued again (with the new call data)
+   * after it reverted, failed or was dropped.
+   */
+  async submit(signer, {
+    key = null,
+    lane = 'maintenance',
+    to,
+    data = '0x',
+    value = 0n,
+    gasLimit = null,
+    gasPrice = null,
+    description = null,
+    requestedBy = null
+  }) {
+    if (!(lane in TX_LANES)) {
+      throw new TxError(`Unknown lane '${lane}'`, 'INVALID_LANE');
+    }
+    if (!ethers.isAddress(to)) {
+      throw new TxError('A valid target address is required', 'INVALID_TARGET');
+    }
+
+    const signerAddress = this.registerSigner(signer);
+    const idempotencyKey = key || `adhoc:${crypto.randomUUID()}`;
+    const fields = [
+      to.toLowerCase(),
+      data,
+      BigInt(value).toString(),
+      gasLimit === null ? null : BigInt(gasLimit).toString(),
+      gasPrice === null ? null : BigInt(gasPrice).toString(),
+      description,
+      requestedBy
+    ];
+
+    const inserted = await db.query(`
+      INSERT INTO system.tx_queue (
+        idempotency_key, signer_address, lane, priority,
+        to_address, data, value, gas_limit, min_gas_price, description, requested_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (idempotency_key) DO NOTHING
+      RETURNING *
+    `, [idempotencyKey, signerAddress, lane, TX_LANES[lane], ...fields]);
+
+    if (inserted.rows.length > 0) {
+      console.log(`📥 ${this.serviceName}: Queued ${idempotencyKey} (${lane})`);
+      return { row: inserted.rows[0], created: true };
+    }
+
+    const existing = (await db.query(
+      'SELECT * FROM system.tx_queue WHERE idempotency_key = $1',
+      [idempotencyKey]
+    )).rows[0];
+
+    if (existing.signer_address !== signerAddress) {
+      throw new TxError(`Key ${idempotencyKey} belongs to signer ${existing.signer_address}`, 'KEY_CONFLICT');
+    }
+    if (!RETRYABLE_STATUSES.includes(existing.status)) {
+      console.log(`♻️ ${this.serviceName}: ${idempotencyKey} is already ${existing.status}, not sending it again`);
+      return { row: existing, created: false };
+    }
+
+    const requeued = await this.requeue(existing.id, existing.status, {
+      lane,
+      fields
+    });
+    return { row: requeued || existing, created: false };
+  }
+
+  /**
+   * Put a reverted, failed or dropped row back in the queue. `fields` replaces
+   * the call (to, data, value, gasLimit, gasPrice, description, requestedBy).
+   */
+  async requeue(id, fromStatus, { lane = null, fields = null } = {}) {
+    const result = await db.query(`
+      UPDATE system.tx_queue SET
+        status = 'queued',
+        lane = COALESCE($3, lane),
+        priority = COALESCE($4, priority),
+        to_address = COALESCE($5::text, to_address),
+        data = COALESCE($6, data),
+        value = COALESCE($7, value),
+        gas_limit = CASE WHEN $5::text IS NULL THEN gas_limit ELSE $8 END,
+        min_gas_price = CASE WHEN $5::text IS NULL THEN min_gas_price ELSE $9 END,
+        description = COALESCE($10, description),
+        requested_by = COALESCE($11, requested_by),
+        nonce = NULL, tx_hash = NULL, tx_hashes = '{}', raw_tx = NULL,
+        gas_price = NULL, max_fee_per_gas = NULL, max_priority_fee_per_gas = NULL,
+        attempts = 0, bumps = 0, not_before = NOW(),
+        block_number = NULL, gas_used = NULL, sent_at = NULL, confirmed_at = NULL,
+        updated_at = NOW()
+      WHERE id = $1 AND status = $2
+      RETURNING *
+    `, [id, fromStatus, lane, lane ? TX_LANES[lane] : null, ...(fields || [null, null, null, null, null, null, null])]);
+
+    if (result.rows.length > 0) {
+      console.log(`🔁 ${this.serviceName}: Re-queued ${result.rows[0].idempotency_key} after it was ${fromStatus}`);
+    }
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Queue a contract call and wait for it to be mined. Resolves with the
+   * receipt; throws a TxError when it reverts, fails or the wait times out
+   * (the transaction itself stays queued).
+   */
+  async sendContractCall(contract, method, args = [], options = {}) {
+    const { row } = await this.submit(contract.runner, {
+      ...options,
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      description: options.description || method
+    });
+    return this.waitForReceipt(row.id, options);
+  }
+
+  /**
+   * Queue a plain transaction request ({ to, data, value, gasLimit, gasPrice })
+   */
+  async sendTransaction(signer, txRequest, options = {}) {
+    const { row } = await this.submit(signer, {
+      ...options,
+      to: txRequest.to,
+      data: txRequest.data || '0x',
+      value: txRequest.value || 0n,
+      gasLimit: txRequest.gasLimit ?? null,
+      gasPrice: txRequest.gasPrice ?? null
+    });
+    return this.waitForReceipt(row.id, options);
+  }
+
+  async waitForReceipt(id, { timeoutMs = this.config.waitTimeoutMs } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      const row = await this.getTransaction(id);
+      if (row.status === 'confirmed') {
+        return this.getProvider().getTransactionReceipt(row.tx_hash);
+      }
+      if (row.status === 'reverted') {
+        const error = new TxError(`Transaction ${row.tx_hash} reverted`, 'REVERTED', row);
+        error.receipt = await this.getProvider().getTransactionReceipt(row.tx_hash);
+        throw error;
+      }
+      if (FINAL_STATUSES.includes(row.status)) {
+        throw new TxError(`Transaction ${row.idempotency_key} ${row.status}: ${row.last_error || 'no error recorded'}`, row.status.toUpperCase(), row);
+      }
+      if (Date.now() >= deadline) {
+        throw new TxError(`Timed out waiting for ${row.idempotency_key} (${row.status}${row.tx_hash ? ` as ${row.tx_hash}` : ''})`, 'TIMEOUT', row);
+      }
+
+      if (this.signers.has(row.signer_address)) {
+        await this.tick(row.signer_address);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.config.pollIntervalMs, Math.max(deadline - Date.now(), 0))));
+    }
+  }
+
+  async getTransaction(id) {
+    const result = await db.query('SELECT * FROM system.tx_queue WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new TxError(`Transaction ${id} not found`, 'NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * One pass for a signer: settle in-flight transactions, bump stuck ones and
+   * send what the in-flight limit allows. Skipped when another process holds
+   * the signer's lock; concurrent callers in this process share one pass.
+   */
+  tick(signerAddress) {
+    if (!this.ticks.has(signerAddress)) {
+      const run = this.runTick(signerAddress)
+        .catch(error => console.error(`❌ ${this.serviceName}: Tick for ${signerAddress} failed:`, error.message))
+        .finally(() => this.ticks.delete(signerAddress));
+      this.ticks.set(signerAddress, run);
+    }
+    return this.ticks.get(signerAddress);
+  }
+
+  async runTick(signerAddress) {
+    const wallet = this.signers.get(signerAddress);
+
+    const outgoing = await db.transaction(async (client) => {
+      const lock = await client.query(
+        'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked',
+        [`tx-manager:${signerAddress}`]
+      );
+      if (!lock.rows[0].locked) {
+        return [];
+      }
+
+      const pending = [];
+      await this.checkInFlight(client, wallet, pending);
+      await this.dispatch(client, wallet, pending);
+      return pending;
+    });
+
+    // Broadcast only after the nonces are committed, so a crash in between
+    // leaves a gap that is rebroadcast rather than a nonce handed out twice
+    for (const item of outgoing) {
+      await this.broadcast(wallet, item);
+    }
+  }
+
+  /**
+   * Confirm mined transactions, park rows whose nonce went to a transaction
+   * we have no receipt for, replace stuck ones and rebroadcast those the node
+   * no longer knows
+   */
+  async checkInFlight(client, wallet, outgoing) {
+    const address = wallet.address.toLowerCase();
+    const inFlight = await client.query(`
+      SELECT * FROM system.tx_queue
+      WHERE signer_address = $1 AND status = 'sent'
+      ORDER BY nonce
+    `, [address]);
+    if (inFlight.rows.length === 0) {
+      return;
+    }
+
+    const provider = this.getProvider();
+    const minedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+
+    for (const row of inFlight.rows) {
+      const receipt = await this.findReceipt(row.tx_hashes);
+      if (receipt) {
+        await this.recordReceipt(client, row, receipt);
+        continue;
+      }
+
+      if (minedNonce > Number(row.nonce)) {
+        // The nonce count can run ahead of receipt lookups on a lagging node,
+        // so ask once more for every hash before giving up on them
+        const lateReceipt = await this.findReceipt(row.tx_hashes);
+        if (lateReceipt) {
+          await this.recordReceipt(client, row, lateReceipt);
+          continue;
+        }
+
+        // One of our hashes may still have been the one mined, so resending
+        // the call could run it twice; leave it for an operator
+        await client.query(`
+          UPDATE system.tx_queue SET status = 'nonce_consumed', last_error = $2, updated_at = NOW()
+          WHERE id = $1
+        `, [row.id, `Nonce ${row.nonce} was mined but none of ${row.tx_hashes.length} broadcast hashes has a receipt; reconcile by hand`]);
+        console.error(`🚨 ${this.serviceName}: ${row.idempotency_key} needs reconciliation, nonce ${row.nonce} was mined without a receipt for any of its hashes`);
+        continue;
+      }
+
+      const stuckForMs = Date.now() - new Date(row.sent_at).getTime();
+      if (stuckForMs >= this.config.bumpAfterMs && row.bumps < this.config.maxBumps) {
+        const fees = await this.getBumpedFees(row);
+        if (fees) {
+          const signed = await this.sign(wallet, row, Number(row.nonce), BigInt(row.gas_limit), fees);
+          await client.query(`
+            UPDATE system.tx_queue SET
+              tx_hash = $2::text, tx_hashes = array_append(tx_hashes, $2::text), raw_tx = $3,
+              gas_price = $4, max_fee_per_gas = $5, max_priority_fee_per_gas = $6,
+              bumps = bumps + 1, sent_at = NOW(), updated_at = NOW()
+            WHERE id = $1
+          `, [row.id, signed.hash, signed.raw, ...this.feeColumns(fees)]);
+          console.log(`⛽ ${this.serviceName}: Replacing ${row.idempotency_key} at nonce ${row.nonce} with higher fees (${signed.hash})`);
+          outgoing.push({ id: row.id, key: row.idempotency_key, nonce: Number(row.nonce), raw: signed.raw, hash: signed.hash, kind: 'replacement' });
+          continue;
+        }
+      }
+
+      const known = await provider.getTransaction(row.tx_hash);
+      if (!known) {
+        outgoing.push({ id: row.id, key: row.idempotency_key, nonce: Number(row.nonce), raw: row.raw_tx, hash: row.tx_hash, kind: 'rebroadcast' });
+      }
+    }
+  }
+
+  /**
+   * Assign nonces to the next queued rows by lane priority and sign them
+   */
+  async dispatch(client, wallet, outgoing) {
+    const address = wallet.address.toLowerCase();
+    const inFlight = await client.query(
+      `SELECT COUNT(*)::int AS count FROM system.tx_queue WHERE signer_address = $1 AND status = 'sent'`,
+      [address]
+    );
+    const slots = this.config.maxInFlight - inFlight.rows[0].count;
+    if (slots <= 0) {
+      return;
+    }
+
+    const queued = await client.query(`
+      SELECT * FROM system.tx_queue
+      WHERE signer_address = $1 AND status = 'queued' AND not_before <= NOW()
+      ORDER BY priority, id
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [address, slots]);
+    if (queued.rows.length === 0) {
+      return;
+    }
+
+    const ledger = await client.query(
+      'SELECT next_nonce FROM system.tx_signers WHERE signer_address = $1 FOR UPDATE',
+      [address]
+    );
+    const chainNonce = await this.getProvider().getTransactionCount(wallet.address, 'pending');
+    let nonce = chainNonce;
+    if (ledger.rows.length > 0) {
+      const ledgerNonce = Number(ledger.rows[0].next_nonce);
+      if (ledgerNonce > chainNonce && inFlight.rows[0].count === 0) {
+        // Nothing of ours is pending to fill the gap, so the ledger is stale
+        console.warn(`⚠️ ${this.serviceName}: Ledger nonce ${ledgerNonce} for ${address} is ahead of the chain (${chainNonce}), resyncing`);
+      } else {
+        nonce = Math.max(ledgerNonce, chainNonce);
+      }
+    }
+    const firstNonce = nonce;
+
+    for (const row of queued.rows) {
+      let gasLimit;
+      try {
+        gasLimit = await this.getGasLimit(wallet, row);
+      } catch (error) {
+        await this.recordFailure(client, row, error, 'Gas estimation failed');
+        continue;
+      }
+
+      const fees = await this.getInitialFees(row);
+      const signed = await this.sign(wallet, row, nonce, gasLimit, fees);
+      await client.query(`
+        UPDATE system.tx_queue SET
+          status = 'sent', nonce = $2, tx_hash = $3::text, tx_hashes = ARRAY[$3::text], raw_tx = $4,
+          gas_limit = $5, gas_price = $6, max_fee_per_gas = $7, max_priority_fee_per_gas = $8,
+          bumps = 0, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [row.id, nonce, signed.hash, signed.raw, gasLimit.toString(), ...this.feeColumns(fees)]);
+
+      console.log(`📤 ${this.serviceName}: Sending ${row.idempotency_key} (${row.lane}) with nonce ${nonce}: ${signed.hash}`);
+      outgoing.push({ id: row.id, key: row.idempotency_key, nonce, raw: signed.raw, hash: signed.hash, kind: 'send' });
+      nonce++;
+    }
+
+    if (nonce !== firstNonce || ledger.rows.length === 0) {
+      await client.query(`
+        INSERT INTO system.tx_signers (signer_address, chain_id, next_nonce, updated_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (signer_address) DO UPDATE SET
+          chain_id = EXCLUDED.chain_id, next_nonce = EXCLUDED.next_nonce, updated_at = NOW()
+      `, [address, (await this.getChainId()).toString(), nonce]);
+    }
+  }
+
+  /**
+   * Estimate or transient errors before a nonce is assigned: back off, and
+   * fail the row once the attempts run out or the call would revert
+   */
+  async recordFailure(client, row, error, context) {
+    const attempts = row.attempts + 1;
+    const permanent = isPermanentError(error) || attempts >= this.config.maxAttempts;
+    const message = `${context}: ${error.shortMessage || error.message}`;
+
+    await client.query(`
+      UPDATE system.tx_queue SET
+        status = $2, attempts = $3, last_error = $4,
+        not_before = NOW() + ($5 || ' milliseconds')::interval, updated_at = NOW()
+      WHERE id = $1
+    `, [row.id, permanent ? 'failed' : 'queued', attempts, message, String(this.config.retryBaseMs * 2 ** (attempts - 1))]);
+
+    console.warn(`⚠️ ${this.serviceName}: ${row.idempotency_key} ${permanent ? 'failed' : 'will be retried'}: ${message}`);
+  }
+
+  async broadcast(wallet, item) {
+    try {
+      await this.getProvider().broadcastTransaction(item.raw);
+    } catch (error) {
+      if (KNOWN_TX_PATTERN.test(error.message || '')) {
+        // The next check settles it from the receipt or the mined nonce
+        console.log(`ℹ️ ${this.serviceName}: Node already has nonce ${item.nonce} for ${item.key}: ${error.shortMessage || error.message}`);
+        return;
+      }
+      await this.handleBroadcastFailure(wallet, item, error);
+    }
+  }
+
+  /**
+   * A first send that was rejected gives its nonce back when nothing was
+   * signed after it; otherwise the signed transaction stays in flight and is
+   * rebroadcast. A nonce that can never be sent is filled with an empty
+   * self-transfer so later transactions are not stuck behind it.
+   */
+  async handleBroadcastFailure(wallet, item, error) {
+    const address = wallet.address.toLowerCase();
+    const message = `Broadcast failed: ${error.shortMessage || error.message}`;
+    let cancel = null;
+
+    await db.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`tx-manager:${address}`]);
+
+      const row = (await client.query('SELECT * FROM system.tx_queue WHERE id = $1 FOR UPDATE', [item.id])).rows[0];
+      if (!row || row.status !== 'sent' || row.tx_hash !== item.hash) {
+        return;
+      }
+
+      if (item.kind === 'replacement') {
+        // The previous hash is still valid
+        await client.query('UPDATE system.tx_queue SET last_error = $2, updated_at = NOW() WHERE id = $1', [row.id, message]);
+        console.warn(`⚠️ ${this.serviceName}: Replacement for ${row.idempotency_key} rejected: ${message}`);
+        return;
+      }
+
+      const ledger = await client.query(
+        'SELECT next_nonce FROM system.tx_signers WHERE signer_address = $1 FOR UPDATE',
+        [address]
+      );
+      const isLastNonce = ledger.rows.length > 0 && Number(ledger.rows[0].next_nonce) === item.nonce + 1;
+
+      if (isLastNonce) {
+        await client.query('UPDATE system.tx_signers SET next_nonce = $2, updated_at = NOW() WHERE signer_address = $1', [address, item.nonce]);
+        await client.query(`
+          UPDATE system.tx_queue SET
+            status = 'queued', nonce = NULL, tx_hash = NULL, tx_hashes = '{}', raw_tx = NULL, sent_at = NULL
+          WHERE id = $1
+        `, [row.id]);
+        await this.recordFailure(client, { ...row, status: 'queued' }, error, 'Broadcast failed');
+        return;
+      }
+
+      const attempts = row.attempts + 1;
+      if (!isPermanentError(error) && attempts < this.config.maxAttempts) {
+        await client.query(
+          'UPDATE system.tx_queue SET attempts = $2, last_error = $3, updated_at = NOW() WHERE id = $1',
+          [row.id, attempts, message]
+        );
+        console.warn(`⚠️ ${this.serviceName}: ${row.idempotency_key} will be rebroadcast: ${message}`);
+        return;
+      }
+
+      const fees = await this.getBumpedFees(row) || this.rowFees(row);
+      cancel = await this.sign(wallet, {
+        to_address: wallet.address,
+        data: '0x',
+        value: '0'
+      }, item.nonce, 21000n, fees);
+
+      await client.query(`
+        UPDATE system.tx_queue SET status = 'failed', attempts = $2, last_error = $3, updated_at = NOW()
+        WHERE id = $1
+      `, [row.id, attempts, `${message} (nonce ${item.nonce} filled by ${cancel.hash})`]);
+      console.error(`❌ ${this.serviceName}: ${row.idempotency_key} failed, filling nonce ${item.nonce} with ${cancel.hash}`);
+    });
+
+    if (cancel) {
+      await this.getProvider().broadcastTransaction(cancel.raw).catch(cancelError => {
+        console.error(`❌ ${this.serviceName}: Could not broadcast the nonce filler ${cancel.hash}:`, cancelError.message);
+      });
+    }
+  }
+
+  async recordReceipt(client, row, receipt) {
+    const status = receipt.status === 1 ? 'confirmed' : 'reverted';
+    await client.query(`
+      UPDATE system.tx_queue SET
+        status = $2, tx_hash = $3, block_number = $4, gas_used = $5,
+        confirmed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [row.id, status, receipt.hash, receipt.blockNumber, receipt.gasUsed.toString()]);
+    console.log(`${status === 'confirmed' ? '✅' : '❌'} ${this.serviceName}: ${row.idempotency_key} ${status} in block ${receipt.blockNumber} (${receipt.hash})`);
+  }
+
+  async findReceipt(hashes) {
+    for (const hash of hashes || []) {
+      const receipt = await this.getProvider().getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  async getGasLimit(wallet, row) {
+    if (row.gas_limit !== null) {
+      return BigInt(row.gas_limit);
+    }
+    const estimate = await this.getProvider().estimateGas({
+      from: wallet.address,
+      to: row.to_address,
+      data: row.data,
+      value: BigInt(row.value)
+    });
+    return estimate * BigInt(100 + this.config.gasLimitBufferPercent) / 100n;
+  }
+
+  getMaxGasPrice() {
+    return ethers.parseUnits(this.config.maxGasPriceGwei, 'gwei');
+  }
+
+  async getInitialFees(row) {
+    const feeData = await this.getProvider().getFeeData();
+    const floor = toBigInt(row.min_gas_price);
+    const cap = this.getMaxGasPrice();
+
+    if (this.config.legacyGasPrice || feeData.maxFeePerGas === null) {
+      const gasPrice = maxBigInt(feeData.gasPrice, floor);
+      return { gasPrice: gasPrice > cap ? cap : gasPrice };
+    }
+
+    const maxFeePerGas = maxBigInt(feeData.maxFeePerGas, floor);
+    const cappedMaxFee = maxFeePerGas > cap ? cap : maxFeePerGas;
+    const priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+    return {
+      maxFeePerGas: cappedMaxFee,
+      maxPriorityFeePerGas: priorityFee > cappedMaxFee ? cappedMaxFee : priorityFee
+    };
+  }
+
+  rowFees(row) {
+    if (row.gas_price !== null) {
+      return { gasPrice: BigInt(row.gas_price) };
+    }
+    return {
+      maxFeePerGas: BigInt(row.max_fee_per_gas),
+      maxPriorityFeePerGas: BigInt(row.max_priority_fee_per_gas)
+    };
+  }
+
+  /**
+   * Previous fees raised by `bumpPercent` (or to the current network price if
+   * that is higher), capped at `maxGasPriceGwei`. Null when the cap leaves no
+   * room for the minimum 10% increase nodes accept.
+   */
+  async getBumpedFees(row) {
+    const feeData = await this.getProvider().getFeeData();
+    const cap = this.getMaxGasPrice();
+    const bump = (previous, current) => {
+      const raised = maxBigInt(previous * BigInt(100 + this.config.bumpPercent) / 100n, current);
+      const capped = raised > cap ? cap : raised;
+      return capped >= previous * 110n / 100n ? capped : null;
+    };
+
+    const previous = this.rowFees(row);
+    if (previous.gasPrice !== undefined) {
+      const gasPrice = bump(previous.gasPrice, feeData.gasPrice);
+      return gasPrice === null ? null : { gasPrice };
+    }
+
+    const maxFeePerGas = bump(previous.maxFeePerGas, feeData.maxFeePerGas);
+    const maxPriorityFeePerGas = bump(previous.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas);
+    if (maxFeePerGas === null || maxPriorityFeePerGas === null) {
+      return null;
+    }
+    return {
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+    };
+  }
+
+  feeColumns(fees) {
+    return [
+      fees.gasPrice === undefined ? null : fees.gasPrice.toString(),
+      fees.maxFeePerGas === undefined ? null : fees.maxFeePerGas.toString(),
+      fees.maxPriorityFeePerGas === undefined ? null : fees.maxPriorityFeePerGas.toString()
+    ];
+  }
+
+  async sign(wallet, row, nonce, gasLimit, fees) {
+    const raw = await wallet.signTransaction({
+      type: fees.gasPrice === undefined ? 2 : 0,
+      chainId: await this.getChainId(),
+      to: row.to_address,
+      data: row.data,
+      value: BigInt(row.value),
+      nonce,
+      gasLimit,
+      ...fees
+    });
+    return { raw, hash: ethers.keccak256(raw) };
+  }
+
+  /**
+   * Queue listing for /api/admin/tx-queue (signed transactions left out)
+   */
+  async listTransactions({ status = null, lane = null, signer = null, key = null, limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT
+        id, idempotency_key, signer_address, lane, priority, to_address, value, description, requested_by,
+        status, nonce, tx_hash, tx_hashes, gas_limit, gas_price, max_fee_per_gas, max_priority_fee_per_gas,
+        attempts, bumps, not_before, last_error, block_number, gas_used,
+        created_at, updated_at, sent_at, confirmed_at
+      FROM system.tx_queue
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR lane = $2)
+        AND ($3::text IS NULL OR signer_address = $3)
+        AND ($4::text IS NULL OR idempotency_key LIKE $4 || '%')
+      ORDER BY id DESC
+      LIMIT $5 OFFSET $6
+    `, [status, lane, signer ? signer.toLowerCase() : null, key, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Counts by status and lane, plus each signer's ledger and in-flight nonces
+   */
+  async getQueueSummary() {
+    const [counts, signers] = await Promise.all([
+      db.query(`
+        SELECT status, lane, COUNT(*)::int AS count
+        FROM system.tx_queue
+        WHERE status IN ('queued', 'sent') OR updated_at > NOW() - INTERVAL '24 hours'
+        GROUP BY status, lane
+        ORDER BY status, lane
+      `),
+      db.query(`
+        SELECT
+          s.signer_address, s.chain_id, s.next_nonce, s.updated_at,
+          COUNT(q.id) FILTER (WHERE q.status = 'queued')::int AS queued,
+          COUNT(q.id) FILTER (WHERE q.status = 'sent')::int AS in_flight,
+          MIN(q.nonce) FILTER (WHERE q.status = 'sent') AS lowest_pending_nonce,
+          MIN(q.sent_at) FILTER (WHERE q.status = 'sent') AS oldest_sent_at
+        FROM system.tx_signers s
+        LEFT JOIN system.tx_queue q ON q.signer_address = s.signer_address
+        GROUP BY s.signer_address
+        ORDER BY s.signer_address
+      `)
+    ]);
+
+    return {
+      lanes: TX_LANES,
+      counts: counts.rows,
+      signers: signers.rows
+    };
+  }
+
+  /**
+   * Admin: take a queued row out of the queue before it is sent
+   */
+  async cancelQueued(id, reason = 'Cancelled by admin') {
+    const result = await db.query(`
+      UPDATE system.tx_queue SET status = 'failed', last_error = $2, updated_at = NOW()
+      WHERE id = $1 AND status = 'queued'
+      RETURNING *
+    `, [id, reason]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Dispatcher loop: ticks every registered signer
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log(`⚠️ ${this.serviceName}: Already running`);
+      return;
+    }
+
+    const signers = this.registerConfiguredSigners();
+    if (signers.length === 0) {
+      throw new Error('No signer keys configured (PRIVATE_KEY, ORACLE_PRIVATE_KEY, ORACLE_SIGNER_PRIVATE_KEY, BOT_PRIVATE_KEY, REPUTATION_UPDATER_PRIVATE_KEY, MM_PRIVATE_KEY or ORACLE_OWNER_PRIVATE_KEY)');
+    }
+
+    this.isRunning = true;
+    console.log(`🚀 ${this.serviceName}: Dispatching for ${signers.join(', ')}`);
+    await this.tickAll();
+
+    this.pollTimer = setInterval(() => this.tickAll(), this.config.pollIntervalMs);
+    console.log(`✅ ${this.serviceName}: Checking the queue every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  async tickAll() {
+    for (const address of this.signers.keys()) {
+      await this.tick(address);
+    }
+  }
+
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    this.isRunning = false;
+    console.log(`🛑 ${this.serviceName}: Stopped`);
+  }
+}
+
+/**
+ * Transaction that did not confirm. `code` is REVERTED, FAILED, DROPPED,
+ * TIMEOUT or a submit error; `row` is the queue entry when there is one.
+ */
+class TxError extends Error {
+  constructor(message, code, row = null) {
+    super(message);
+    this.name = 'TxError';
+    this.code = code;
+    this.row = row;
+  }
+}
+
+module.exports = new TxManager();
+module.exports.TxError = TxError;
+module.exports.TX_LANES = TX_LANES;
+
+// Auto-start when run directly (forked as a process)
+if (require.main === module) {
+  const service = module.exports;
+
+  service.start()
+    .then(() => {
+      console.log('🎉 Transaction Dispatcher running...');
+
+      process.on('SIGTERM', async () => {
+        console.log('📴 SIGTERM received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+
+      process.on('SIGINT', async () => {
+        console.log('📴 SIGINT received, shutting down gracefully...');
+        await service.stop();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error('💥 Transaction Dispatcher failed to start:', error);
+      process.exit(1);
+    });
+}
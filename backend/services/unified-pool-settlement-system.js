@@ -1,6 +1,9 @@
 const { ethers } = require('ethers');
 const db = require('../db/db');
 const config = require('../config');
+const txManager = require('./tx-manager');
+const marketSpec = require('../utils/market-spec');
+const outcomeCorrectionService = require('./outcome-correction-service');
 
 /**
  * Unified Pool Settlement System
@@ -171,6 +174,8 @@ class UnifiedPoolSettlementSystem {
         p.home_team, 
         p.away_team, 
         p.predicted_outcome,
+        p.market_spec,
+        p.market_spec_status,
         p.oracle_type,
         p.is_settled,
         p.event_end_time,
@@ -296,21 +301,18 @@ class UnifiedPoolSettlementSystem {
       return;
     }
     
-    // Step 2: Determine actual result based on pool's prediction type
-    const actualResult = this.determineActualResultFromPool(pool, pool.predicted_outcome);
-    if (!actualResult) {
-      console.log(`⚠️ Cannot determine actual result for pool ${pool.pool_id} (prediction: ${pool.predicted_outcome})`);
+    // A submitted outcome under review would settle the pool with the wrong result
+    const correction = await outcomeCorrectionService.getOpenCorrection(pool.market_id);
+    if (correction) {
+      console.log(`⏸️ Pool ${pool.pool_id}: oracle outcome under review (correction ${correction.id}, ${correction.status}), not settling`);
       return;
     }
     
-    console.log(`  🎯 Pool prediction: "${pool.predicted_outcome}" -> Actual result: "${actualResult}"`);
-    
-    // ✅ CRITICAL FIX: Normalize outcome to match the format used during pool creation
-    // Pool creation stores: "Home wins", "Away wins", "Draw", "Over 2.5", "Under 2.5", etc.
-    // But actualResult returns: "Home", "Away", "Draw", "Over", "Under"
-    // We need to convert back to the pool creation format for proper contract comparison
-    const normalizedOutcome = this.normalizeOutcomeForContract(actualResult, pool.predicted_outcome);
-    console.log(`  🔄 Normalized outcome for contract: "${actualResult}" -> "${normalizedOutcome}"`);
+    // Step 2: Determine the outcome to submit from the pool's market spec
+    const normalizedOutcome = this.determineFootballOutcome(pool);
+    if (!normalizedOutcome) {
+      return;
+    }
     
     // Step 3: Ensure outcome is submitted to oracle
     const submitted = await this.ensureOutcomeSubmitted(pool.market_id, normalizedOutcome);
@@ -326,6 +328,50 @@ class UnifiedPoolSettlementSystem {
     }
   }
   
+  /**
+   * Outcome string for the contract: settled from the pool's market spec when it has one,
+   * otherwise (pools synced before specs existed) derived from the predicted outcome text
+   */
+  determineFootballOutcome(pool) {
+    if (pool.market_spec) {
+      const settlement = marketSpec.settle(pool.market_spec, {
+        homeScore: pool.home_score,
+        awayScore: pool.away_score,
+        htHomeScore: pool.ht_home_score,
+        htAwayScore: pool.ht_away_score
+      });
+      if (!settlement) {
+        console.log(`⚠️ Missing ${pool.market_spec.period} scores for pool ${pool.pool_id} (${marketSpec.serialize(pool.market_spec)})`);
+        return null;
+      }
+
+      const outcome = marketSpec.contractOutcome(pool.market_spec, settlement, pool.predicted_outcome);
+      console.log(`  🎯 Market ${marketSpec.serialize(pool.market_spec)}: actual "${settlement.selection}", prediction ${settlement.won ? 'happened' : 'missed'} -> "${outcome}"`);
+      return outcome;
+    }
+
+    if (pool.market_spec_status === 'needs_review') {
+      console.log(`⚠️ Pool ${pool.pool_id} market spec needs review - not settling "${pool.predicted_outcome}" automatically`);
+      return null;
+    }
+
+    const actualResult = this.determineActualResultFromPool(pool, pool.predicted_outcome);
+    if (!actualResult) {
+      console.log(`⚠️ Cannot determine actual result for pool ${pool.pool_id} (prediction: ${pool.predicted_outcome})`);
+      return null;
+    }
+    
+    console.log(`  🎯 Pool prediction: "${pool.predicted_outcome}" -> Actual result: "${actualResult}"`);
+    
+    // ✅ CRITICAL FIX: Normalize outcome to match the format used during pool creation
+    // Pool creation stores: "Home wins", "Away wins", "Draw", "Over 2.5", "Under 2.5", etc.
+    // But actualResult returns: "Home", "Away", "Draw", "Over", "Under"
+    // We need to convert back to the pool creation format for proper contract comparison
+    const normalizedOutcome = this.normalizeOutcomeForContract(actualResult, pool.predicted_outcome);
+    console.log(`  🔄 Normalized outcome for contract: "${actualResult}" -> "${normalizedOutcome}"`);
+    return normalizedOutcome;
+  }
+
   /**
    * Normalize outcome to match the format used during pool creation
    * This ensures the contract's comparison (outcome != pool.predictedOutcome) works correctly
@@ -1154,11 +1200,13 @@ class UnifiedPoolSettlementSystem {
       for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
         try {
           const resultData = ethers.toUtf8Bytes(outcome);
-          const tx = await this.guidedOracleContract.submitOutcome(marketId, resultData);
+          const receipt = await txManager.sendContractCall(this.guidedOracleContract, 'submitOutcome', [marketId, resultData], {
+            key: `submitOutcome:${marketId}`,
+            lane: 'oracle',
+            requestedBy: 'unified-pool-settlement'
+          });
           
-          console.log(`  📤 Submission transaction: ${tx.hash}`);
-          const receipt = await tx.wait();
-          console.log(`  ✅ Outcome submitted! Block: ${receipt.blockNumber}`);
+          console.log(`  ✅ Outcome submitted! Block: ${receipt.blockNumber} (${receipt.hash})`);
           
           return true;
           
@@ -1260,14 +1308,16 @@ class UnifiedPoolSettlementSystem {
           console.log(`  📝 Outcome bytes32 (right-padded): ${outcomeBytes32}`);
           const callData = settlePoolInterface.encodeFunctionData('settlePool', [poolId, outcomeBytes32]);
           
-          // Execute via GuidedOracle
-          const tx = await this.guidedOracleContract.executeCall(this.poolCoreAddress, callData, {
-            gasLimit: 2000000
+          // Execute via GuidedOracle. One key per pool, so retries and other
+          // settlement workers wait on the same transaction
+          const receipt = await txManager.sendContractCall(this.guidedOracleContract, 'executeCall', [this.poolCoreAddress, callData], {
+            key: `settlePool:${poolId}`,
+            lane: 'settlement',
+            gasLimit: 2000000,
+            description: 'executeCall(settlePool)',
+            requestedBy: 'unified-pool-settlement'
           });
-          
-          console.log(`  📤 Settlement transaction: ${tx.hash}`);
-          const receipt = await tx.wait();
-          console.log(`  ✅ Pool ${poolId} settled! Block: ${receipt.blockNumber}`);
+          console.log(`  ✅ Pool ${poolId} settled! Block: ${receipt.blockNumber} (${receipt.hash})`);
           
           // Parse PoolSettled event from receipt to get actual settlement data
           const poolCoreInterface = new ethers.Interface([
@@ -1307,7 +1357,7 @@ class UnifiedPoolSettlementSystem {
                   settled_at = NOW(), 
                   updated_at = NOW()
               WHERE pool_id = $1
-            `, [poolId, settlementResult, Boolean(Number(creatorSideWon)), Number(resultTimestamp), tx.hash]);
+            `, [poolId, settlementResult, Boolean(Number(creatorSideWon)), Number(resultTimestamp), receipt.hash]);
             console.log(`  ✅ Database updated with settlement data from event`);
           } else {
             // Fallback: Update only basic fields if event parsing failed
@@ -1319,7 +1369,7 @@ class UnifiedPoolSettlementSystem {
                   settled_at = NOW(), 
                   updated_at = NOW()
               WHERE pool_id = $1
-            `, [poolId, tx.hash]);
+            `, [poolId, receipt.hash]);
             console.log(`  ⚠️ Note: result and creator_side_won will be updated by event listener`);
           }
           
@@ -1429,13 +1479,13 @@ class UnifiedPoolSettlementSystem {
       console.log(`  💰 Processing refund for pool ${poolId} (no bets placed)`);
       
       // Call the contract's refund function
-      const tx = await this.poolCoreContract.checkAndRefundEmptyPool(poolId, {
-        gasLimit: 2000000
+      const receipt = await txManager.sendContractCall(this.poolCoreContract, 'checkAndRefundEmptyPool', [poolId], {
+        key: `refundEmptyPool:${poolId}`,
+        lane: 'settlement',
+        gasLimit: 2000000,
+        requestedBy: 'unified-pool-settlement'
       });
-      
-      console.log(`  📤 Refund transaction: ${tx.hash}`);
-      const receipt = await tx.wait();
-      console.log(`  ✅ Pool ${poolId} refunded! Block: ${receipt.blockNumber}`);
+      console.log(`  ✅ Pool ${poolId} refunded! Block: ${receipt.blockNumber} (${receipt.hash})`);
       
       // Update database to reflect refund
       await db.query(`
@@ -1450,7 +1500,7 @@ class UnifiedPoolSettlementSystem {
             settled_at = NOW(), 
             updated_at = NOW()
         WHERE pool_id = $1
-      `, [poolId, tx.hash]);
+      `, [poolId, receipt.hash]);
       
       console.log(`  ✅ Database updated for pool ${poolId} refund`);
       return true;
@@ -194,17 +194,11 @@ class UnifiedResultsManager {
             setTimeout(() => reject(new Error('API timeout')), 10000)
           );
           
-          const apiPromise = this.sportmonksService.axios.get(`/fixtures/${fixture.id}`, {
-            params: {
-              'api_token': this.sportmonksService.apiToken,
-              'include': 'state'
-            }
-          });
+          const apiPromise = this.sportmonksService.getFixture(fixture.id, 'state');
 
-          const response = await Promise.race([apiPromise, timeoutPromise]);
+          const fixtureData = await Promise.race([apiPromise, timeoutPromise]);
 
-          if (response.data.data) {
-            const fixtureData = response.data.data;
+          if (fixtureData) {
             const newStatus = fixtureData.state?.state || 'NS';
             
             // Only update if status has changed
@@ -275,17 +269,11 @@ class UnifiedResultsManager {
             setTimeout(() => reject(new Error('API timeout')), 15000)
           );
           
-          const apiPromise = this.sportmonksService.axios.get(`/fixtures/${fixture.id}`, {
-            params: {
-              'api_token': this.sportmonksService.apiToken,
-              'include': 'state'
-            }
-          });
+          const apiPromise = this.sportmonksService.getFixture(fixture.id, 'state');
 
-          const response = await Promise.race([apiPromise, timeoutPromise]);
+          const fixtureData = await Promise.race([apiPromise, timeoutPromise]);
 
-          if (response.data.data) {
-            const fixtureData = response.data.data;
+          if (fixtureData) {
             const newStatus = fixtureData.state?.state || 'NS';
             
             // Update regardless of whether status changed (force update)
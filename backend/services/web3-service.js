@@ -1,7 +1,9 @@
 const { ethers } = require('ethers');
 const path = require('path');
+const crypto = require('crypto');
 const config = require('../config');
 const GasEstimator = require('../utils/gas-estimator');
+const txManager = require('./tx-manager');
 
 class Web3Service {
   // Contract constants
@@ -117,6 +119,14 @@ class Web3Service {
     return this.wallet.address;
   }
 
+  /**
+   * Fresh idempotency key for writes that may legitimately repeat, such as
+   * a second bet on the same pool; callers retrying one pass options.key
+   */
+  operationKey(prefix) {
+    return `${prefix}:${crypto.randomUUID()}`;
+  }
+
   /**
    * Get Oddyssey contract instance
    */
@@ -664,6 +674,70 @@ class Web3Service {
     return comboPoolsContract;
   }
 
+  /**
+   * Get OptimisticOracle contract instance (read-only for event listening)
+   */
+  async getOptimisticOracleContractForEvents() {
+    const contractAddress = config.blockchain.contractAddresses.optimisticOracle;
+    if (!contractAddress) {
+      throw new Error('Optimistic Oracle contract address not configured');
+    }
+
+    if (!this.provider) {
+      throw new Error('Provider not initialized');
+    }
+
+    let OptimisticOracleABI;
+    try {
+      const possiblePaths = [
+        './solidity/OptimisticOracle.json',
+        '../solidity/OptimisticOracle.json',
+        '../../solidity/OptimisticOracle.json',
+        path.join(__dirname, '../solidity/OptimisticOracle.json'),
+        path.join(__dirname, '../../solidity/OptimisticOracle.json')
+      ];
+
+      let abiLoaded = false;
+      for (const abiPath of possiblePaths) {
+        try {
+          const abiData = require(abiPath);
+          OptimisticOracleABI = Array.isArray(abiData) ? abiData : (abiData.abi || abiData);
+          console.log(`✅ OptimisticOracle ABI loaded from: ${abiPath}`);
+          abiLoaded = true;
+          break;
+        } catch (pathError) {
+          // Continue to next path
+        }
+      }
+
+      if (!abiLoaded) {
+        throw new Error('Could not load ABI from any path');
+      }
+    } catch (error) {
+      console.warn('⚠️ OptimisticOracle contract artifacts not found, using fallback ABI');
+      // Fallback ABI for event listening
+      OptimisticOracleABI = [
+        "event MarketCreated(bytes32 indexed marketId, uint256 indexed poolId, string question, string category, uint256 eventEndTime)",
+        "event OutcomeProposed(bytes32 indexed marketId, address indexed proposer, bytes32 outcome, uint256 bond)",
+        "event OutcomeDisputed(bytes32 indexed marketId, address indexed disputer, uint256 bond)",
+        "event VoteCast(bytes32 indexed marketId, address indexed voter, bytes32 outcome, uint256 votingPower)",
+        "event MarketResolved(bytes32 indexed marketId, bytes32 finalOutcome, address winner, uint256 reward)",
+        "event BondClaimed(bytes32 indexed marketId, address indexed claimer, uint256 amount)",
+        "function getAllMarkets() external view returns (bytes32[] memory)",
+        "function markets(bytes32) external view returns (bytes32 marketId, uint256 poolId, string question, string category, bytes32 proposedOutcome, address proposer, uint256 proposalTime, uint256 proposalBond, address disputer, uint256 disputeTime, uint256 disputeBond, bytes32 finalOutcome, uint8 state, uint256 eventEndTime, bool bondsClaimed)",
+        "function disputes(bytes32) external view returns (bytes32 marketId, uint256 totalVotingPower, uint256 disputeEndTime, bool resolved)",
+        "function getDispute(string marketId) external view returns (uint256 totalVotingPower, uint256 disputeEndTime, bool resolved, address[] voters)",
+        "function getVote(string marketId, address voter) external view returns (bytes32 outcome, uint256 votingPower, uint256 timestamp)"
+      ];
+    }
+
+    // Use provider for read-only event listening
+    const optimisticOracleContract = new ethers.Contract(contractAddress, OptimisticOracleABI, this.provider);
+
+    console.log('✅ OptimisticOracle contract initialized for events:', contractAddress);
+    return optimisticOracleContract;
+  }
+
   /**
    * Get Oddyssey contract instance (read-only for event listening)
    */
@@ -1262,29 +1336,21 @@ class Web3Service {
   }
 
   /**
-   * Send transaction with retry logic
+   * Send transaction through the shared transaction manager (nonce ledger,
+   * retries and fee bumping) and wait for the receipt.
+   * Options: { key, lane, requestedBy, timeoutMs } - see services/tx-manager.js
    */
-  async sendTransaction(txData, retries = 3) {
+  async sendTransaction(txData, options = {}) {
     if (!this.wallet) {
       throw new Error('No wallet configured for sending transactions');
     }
 
-    for (let i = 0; i < retries; i++) {
-      try {
-        const tx = await this.wallet.sendTransaction(txData);
-        console.log(`✅ Transaction sent: ${tx.hash}`);
-        return tx;
-      } catch (error) {
-        console.error(`❌ Transaction failed (attempt ${i + 1}/${retries}):`, error.message);
-        
-        if (i === retries - 1) {
-          throw error;
-        }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 2000 * (i + 1)));
-      }
-    }
+    const receipt = await txManager.sendTransaction(this.wallet, txData, {
+      requestedBy: 'web3-service',
+      ...options
+    });
+    console.log(`✅ Transaction confirmed: ${receipt.hash}`);
+    return receipt;
   }
 
   /**
@@ -1622,23 +1688,17 @@ class Web3Service {
       
       const contract = await this.getOddysseyContract();
       
-      // SIMPLIFIED: Let ethers.js estimate gas automatically
-      // It will do a much better job than our manual estimation
-      console.log(`🚀 Evaluating slip ${slipId} (ethers.js will auto-estimate gas)...`);
-      
-      // Call with minimal overrides - let ethers.js handle gas
-      const tx = await contract.evaluateSlip(slipId);
-      
-      console.log(`✅ Slip ${slipId} evaluation transaction sent: ${tx.hash}`);
-      console.log(`⛽ Gas limit: ${tx.gasLimit?.toString() || 'auto'}`);
+      console.log(`🚀 Evaluating slip ${slipId}...`);
       
-      // Wait for transaction to be mined
-      const receipt = await tx.wait();
-      if (!receipt || receipt.status !== 1) {
-        throw new Error('Evaluation transaction failed');
-      }
+      // Queued through the transaction manager, which estimates gas; the key
+      // stops a retried evaluation from being sent twice
+      const receipt = await txManager.sendContractCall(contract, 'evaluateSlip', [slipId], {
+        key: `evaluateSlip:${slipId}`,
+        lane: 'settlement',
+        requestedBy: 'web3-service'
+      });
       
-      console.log(`✅ Slip ${slipId} evaluated successfully!`);
+      console.log(`✅ Slip ${slipId} evaluated successfully! Tx: ${receipt.hash}`);
       console.log(`📊 Gas used: ${receipt.gasUsed.toString()}`);
       
       // Fetch the evaluated slip data from contract to get correctCount and finalScore
@@ -1646,7 +1706,7 @@ class Web3Service {
       
       return {
         success: true,
-        transactionHash: tx.hash,
+        transactionHash: receipt.hash,
         correctCount: Number(slipData.correctCount),
         finalScore: Number(slipData.finalScore),
         gasUsed: receipt.gasUsed.toString()
@@ -2083,17 +2143,17 @@ class Web3Service {
         }
       }
 
-      const tx = await contract.resolveDailyCycle(cycleId, formattedResults, {
-        gasLimit: gasLimit,
+      // Goes through the transaction manager; resolves with the receipt once mined
+      const receipt = await txManager.sendContractCall(contract, 'resolveDailyCycle', [cycleId, formattedResults], {
+        key: `resolveDailyCycle:${cycleId}`,
+        lane: 'settlement',
+        gasLimit,
+        requestedBy: 'web3-service',
         ...options
       });
 
-      if (!tx || !tx.hash) {
-        throw new Error('Failed to get transaction hash from contract call');
-      }
-
-      console.log(`✅ Daily cycle ${cycleId} resolution submitted: ${tx.hash}`);
-      return tx;
+      console.log(`✅ Daily cycle ${cycleId} resolution confirmed: ${receipt.hash}`);
+      return receipt;
 
     } catch (error) {
       const errorMsg = this.handleContractError(error, 'resolve daily cycle');
@@ -2311,15 +2371,21 @@ class Web3Service {
         ...options
       };
 
+      // One pool per market, so a retried creation reuses the queued transaction
+      const key = options.key || (marketId ? `createPool:${marketId}` : this.operationKey('createPool'));
+
       if (useBitr) {
         // Handle BITR token approval and transfer
         const bitrContract = await this.getBITRTokenContract();
         const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
         
         if (allowance < totalRequired) {
-          const approveTx = await bitrContract.approve(await contract.getAddress(), totalRequired);
-          await approveTx.wait();
-          console.log(`✅ BITR approved: ${approveTx.hash}`);
+          const approveReceipt = await txManager.sendContractCall(bitrContract, 'approve', [await contract.getAddress(), totalRequired], {
+            key: `${key}:approve`,
+            lane: 'maintenance',
+            requestedBy: 'web3-service'
+          });
+          console.log(`✅ BITR approved: ${approveReceipt.hash}`);
         }
       } else {
         // Use native STT
@@ -2329,7 +2395,8 @@ class Web3Service {
       console.log(`🚀 Creating pool with gas limit: ${gasEstimate.gasLimit.toString()}`);
       console.log(`💰 Gas price type: ${gasPriceData.type}`);
 
-      const tx = await contract.createPool(
+      // Goes through the transaction manager; resolves with the receipt
+      const receipt = await txManager.sendContractCall(contract, 'createPool', [
         ethers.keccak256(ethers.toUtf8Bytes(predictedOutcome)),
         odds,
         creatorStake,
@@ -2346,13 +2413,17 @@ class Web3Service {
         useBitr,
         oracleType,
         marketType,
-        marketId,
-        txOptions
-      );
+        marketId
+      ], {
+        ...txOptions,
+        key,
+        lane: 'maintenance',
+        requestedBy: 'web3-service'
+      });
 
-      console.log(`✅ Pool created: ${tx.hash}`);
-      console.log(`📊 Gas used: ${tx.gasLimit?.toString() || 'Unknown'}`);
-      return tx;
+      console.log(`✅ Pool created: ${receipt.hash}`);
+      console.log(`📊 Gas used: ${receipt.gasUsed?.toString() || 'Unknown'}`);
+      return receipt;
 
     } catch (error) {
       this.handleContractError(error, 'create pool');
@@ -2369,7 +2440,8 @@ class Web3Service {
       
       // Get pool info to check token type
       const pool = await contract.pools(poolId);
-      
+      const poolFlags = this.decodePoolFlags(pool.flags);
+
       // Use gas estimator for robust gas estimation
       const gasEstimate = await this.gasEstimator.estimatePlaceBetGas(poolId, amount, {
         buffer: 25, // 25% buffer for betting
@@ -2402,15 +2474,20 @@ class Web3Service {
         ...options
       };
 
+      const key = options.key || this.operationKey(`placeBet:${poolId}`);
+
       if (poolFlags.usesBitr) {
         // Handle BITR token approval and transfer
         const bitrContract = await this.getBITRTokenContract();
         const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
         
         if (allowance < amount) {
-          const approveTx = await bitrContract.approve(await contract.getAddress(), amount);
-          await approveTx.wait();
-          console.log(`✅ BITR approved for bet: ${approveTx.hash}`);
+          const approveReceipt = await txManager.sendContractCall(bitrContract, 'approve', [await contract.getAddress(), amount], {
+            key: `${key}:approve`,
+            lane: 'maintenance',
+            requestedBy: 'web3-service'
+          });
+          console.log(`✅ BITR approved for bet: ${approveReceipt.hash}`);
         }
       } else {
         // Use native STT
@@ -2420,11 +2497,16 @@ class Web3Service {
       console.log(`🚀 Placing bet with gas limit: ${gasEstimate.gasLimit.toString()}`);
       console.log(`💰 Gas price type: ${gasPriceData.type}`);
 
-      const tx = await contract.placeBet(poolId, amount, txOptions);
+      const receipt = await txManager.sendContractCall(contract, 'placeBet', [poolId, amount], {
+        ...txOptions,
+        key,
+        lane: 'maintenance',
+        requestedBy: 'web3-service'
+      });
 
-      console.log(`✅ Bet placed on pool ${poolId}: ${tx.hash}`);
-      console.log(`📊 Gas used: ${tx.gasLimit?.toString() || 'Unknown'}`);
-      return tx;
+      console.log(`✅ Bet placed on pool ${poolId}: ${receipt.hash}`);
+      console.log(`📊 Gas used: ${receipt.gasUsed?.toString() || 'Unknown'}`);
+      return receipt;
 
     } catch (error) {
       this.handleContractError(error, 'place bet');
@@ -2474,15 +2556,20 @@ class Web3Service {
         ...options
       };
 
+      const key = options.key || this.operationKey(`addLiquidity:${poolId}`);
+
       if (poolFlags.usesBitr) {
         // Handle BITR token approval and transfer
         const bitrContract = await this.getBITRTokenContract();
         const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
         
         if (allowance < amount) {
-          const approveTx = await bitrContract.approve(await contract.getAddress(), amount);
-          await approveTx.wait();
-          console.log(`✅ BITR approved for liquidity: ${approveTx.hash}`);
+          const approveReceipt = await txManager.sendContractCall(bitrContract, 'approve', [await contract.getAddress(), amount], {
+            key: `${key}:approve`,
+            lane: 'maintenance',
+            requestedBy: 'web3-service'
+          });
+          console.log(`✅ BITR approved for liquidity: ${approveReceipt.hash}`);
         }
       } else {
         // Use native STT
@@ -2492,11 +2579,16 @@ class Web3Service {
       console.log(`🚀 Adding liquidity with gas limit: ${gasEstimate.gasLimit.toString()}`);
       console.log(`💰 Gas price type: ${gasPriceData.type}`);
 
-      const tx = await contract.addLiquidity(poolId, amount, txOptions);
+      const receipt = await txManager.sendContractCall(contract, 'addLiquidity', [poolId, amount], {
+        ...txOptions,
+        key,
+        lane: 'maintenance',
+        requestedBy: 'web3-service'
+      });
 
-      console.log(`✅ Liquidity added to pool ${poolId}: ${tx.hash}`);
-      console.log(`📊 Gas used: ${tx.gasLimit?.toString() || 'Unknown'}`);
-      return tx;
+      console.log(`✅ Liquidity added to pool ${poolId}: ${receipt.hash}`);
+      console.log(`📊 Gas used: ${receipt.gasUsed?.toString() || 'Unknown'}`);
+      return receipt;
 
     } catch (error) {
       this.handleContractError(error, 'add liquidity');
@@ -2653,21 +2745,29 @@ class Web3Service {
       const contract = await this.getStakingContract();
       const bitrContract = await this.getBITRTokenContract();
       
+      const key = options.key || this.operationKey('stakeBITR');
+      
       // Check allowance and approve if needed
       const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
       if (allowance < amount) {
-        const approveTx = await bitrContract.approve(await contract.getAddress(), amount);
-        await approveTx.wait();
-        console.log(`✅ BITR approved for staking: ${approveTx.hash}`);
+        const approveReceipt = await txManager.sendContractCall(bitrContract, 'approve', [await contract.getAddress(), amount], {
+          key: `${key}:approve`,
+          lane: 'maintenance',
+          requestedBy: 'web3-service'
+        });
+        console.log(`✅ BITR approved for staking: ${approveReceipt.hash}`);
       }
       
-      const tx = await contract.stake(amount, tierId, durationOption, {
+      const receipt = await txManager.sendContractCall(contract, 'stake', [amount, tierId, durationOption], {
         gasLimit: options.gasLimit || 400000,
-        ...options
+        ...options,
+        key,
+        lane: 'maintenance',
+        requestedBy: 'web3-service'
       });
       
-      console.log(`✅ BITR staked: ${tx.hash}`);
-      return tx;
+      console.log(`✅ BITR staked: ${receipt.hash}`);
+      return receipt;
       
     } catch (error) {
       this.handleContractError(error, 'stake BITR');
@@ -2862,18 +2962,25 @@ class Web3Service {
       const bitrContract = await this.getBITRTokenContract();
       const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
       if (allowance < proposalBond) {
-        const approveTx = await bitrContract.approve(await contract.getAddress(), proposalBond);
-        await approveTx.wait();
-        console.log(`✅ BITR approved for proposal bond: ${approveTx.hash}`);
-      }
-      
-      const tx = await contract.proposeOutcome(marketId, outcome, {
+        const approveReceipt = await txManager.sendContractCall(bitrContract, 'approve', [await contract.getAddress(), proposalBond], {
+          key: `proposeOutcome:${marketId}:approve`,
+          lane: 'oracle',
+          requestedBy: 'web3-service'
+        });
+        console.log(`✅ BITR approved for proposal bond: ${approveReceipt.hash}`);
+      }
+      
+      // Goes through the transaction manager; resolves with the receipt
+      const receipt = await txManager.sendContractCall(contract, 'proposeOutcome', [marketId, outcome], {
+        key: `proposeOutcome:${marketId}`,
+        lane: 'oracle',
         gasLimit: options.gasLimit || 400000,
+        requestedBy: 'web3-service',
         ...options
       });
       
-      console.log(`✅ Optimistic outcome proposed: ${tx.hash}`);
-      return tx;
+      console.log(`✅ Optimistic outcome proposed: ${receipt.hash}`);
+      return receipt;
       
     } catch (error) {
       this.handleContractError(error, 'propose optimistic outcome');
@@ -2899,18 +3006,25 @@ class Web3Service {
       const bitrContract = await this.getBITRTokenContract();
       const allowance = await bitrContract.allowance(this.getWalletAddress(), await contract.getAddress());
       if (allowance < disputeBond) {
-        const approveTx = await bitrContract.approve(await contract.getAddress(), disputeBond);
-        await approveTx.wait();
-        console.log(`✅ BITR approved for dispute bond: ${approveTx.hash}`);
-      }
-      
-      const tx = await contract.disputeOutcome(marketId, {
+        const approveReceipt = await txManager.sendContractCall(bitrContract, 'approve', [await contract.getAddress(), disputeBond], {
+          key: `disputeOutcome:${marketId}:approve`,
+          lane: 'oracle',
+          requestedBy: 'web3-service'
+        });
+        console.log(`✅ BITR approved for dispute bond: ${approveReceipt.hash}`);
+      }
+      
+      // Goes through the transaction manager; resolves with the receipt
+      const receipt = await txManager.sendContractCall(contract, 'disputeOutcome', [marketId], {
+        key: `disputeOutcome:${marketId}`,
+        lane: 'oracle',
         gasLimit: options.gasLimit || 400000,
+        requestedBy: 'web3-service',
         ...options
       });
       
-      console.log(`✅ Optimistic outcome disputed: ${tx.hash}`);
-      return tx;
+      console.log(`✅ Optimistic outcome disputed: ${receipt.hash}`);
+      return receipt;
       
     } catch (error) {
       this.handleContractError(error, 'dispute optimistic outcome');
@@ -2951,13 +3065,17 @@ class Web3Service {
     try {
       const contract = await this.getOptimisticOracleContract();
       
-      const tx = await contract.resolveMarket(marketId, {
+      // Goes through the transaction manager; resolves with the receipt
+      const receipt = await txManager.sendContractCall(contract, 'resolveMarket', [marketId], {
+        key: `resolveOptimisticMarket:${marketId}`,
+        lane: 'settlement',
         gasLimit: options.gasLimit || 600000,
+        requestedBy: 'web3-service',
         ...options
       });
       
-      console.log(`✅ Optimistic market resolved: ${tx.hash}`);
-      return tx;
+      console.log(`✅ Optimistic market resolved: ${receipt.hash}`);
+      return receipt;
       
     } catch (error) {
       this.handleContractError(error, 'resolve optimistic market');
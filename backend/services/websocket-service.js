@@ -3,10 +3,36 @@
  * 
  * Provides real-time updates to frontend clients, eliminating the need for polling.
  * Clients subscribe to specific data streams and receive updates when data changes.
+ *
+ * Broadcasts are published to Redis when REDIS_URL is set, and every process that
+ * holds sockets relays them to its own clients, so cron workers can broadcast too.
+ * Each channel carries a sequence number and a short replay buffer: a reconnecting
+ * client subscribes with `lastSeq` and receives what it missed, or a `resync`
+ * message when the buffer no longer covers the gap.
+ *
+ * Connections authenticate with a SIWE session token (cookie, Authorization
+ * header or `?token=` on connect, or an `auth` message) or by sending a signed
+ * SIWE message. Channels are public unless a rule for their prefix says
+ * otherwise; `user:{address}` channels are only open to that wallet.
  */
 
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
+const config = require('../config');
+const { createRedisClient } = require('../config/redis');
+const siweAuthService = require('./siwe-auth-service');
+const { getSessionToken } = require('../middleware/siwe-auth');
+
+/**
+ * Channel authorization by prefix (longest match wins); channels without a rule are public.
+ * `authorize(client, channel)` receives the connection ({ address, sessionId }) and may be async.
+ */
+const CHANNEL_RULES = [
+  {
+    prefix: 'user:',
+    authorize: (client, channel) => client.address !== null && channel.slice('user:'.length).toLowerCase() === client.address
+  }
+];
 
 class WebSocketService extends EventEmitter {
   constructor() {
@@ -14,6 +40,23 @@ class WebSocketService extends EventEmitter {
     this.clients = new Map(); // clientId -> { ws, subscriptions }
     this.subscriptions = new Map(); // dataKey -> Set of clientIds
     this.heartbeatInterval = null;
+    this.subscriber = null; // Redis connection relaying broadcasts from other processes
+    this.localChannels = new Map(); // channel -> { seq, buffer, updatedAt } when Redis is not configured
+    this.channelRules = [...CHANNEL_RULES];
+  }
+
+  /**
+   * Restrict channels starting with `prefix` to connections `authorize` accepts
+   */
+  registerChannelRule(prefix, authorize) {
+    this.channelRules = this.channelRules.filter(rule => rule.prefix !== prefix);
+    this.channelRules.push({ prefix, authorize });
+  }
+
+  ruleFor(channel) {
+    return this.channelRules
+      .filter(rule => channel.startsWith(rule.prefix))
+      .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
   }
 
   initialize(server) {
@@ -25,14 +68,25 @@ class WebSocketService extends EventEmitter {
 
     this.wss.on('connection', (ws, req) => {
       const clientId = this.generateClientId();
-      this.clients.set(clientId, {
+      const client = {
         ws,
         subscriptions: new Set(),
-        lastPing: Date.now()
-      });
+        lastPing: Date.now(),
+        address: null,
+        sessionId: null,
+        sessionExpiresAt: null,
+        authPending: null
+      };
+      this.clients.set(clientId, client);
 
       console.log(`🔌 WebSocket client connected: ${clientId}`);
 
+      // Handshake: session token from the cookie, Authorization header or ?token=
+      const token = getSessionToken(req) || new URL(req.url, 'http://localhost').searchParams.get('token');
+      if (token) {
+        client.authPending = this.authenticate(clientId, { token });
+      }
+
       ws.on('message', (message) => {
         try {
           const data = JSON.parse(message);
@@ -63,10 +117,42 @@ class WebSocketService extends EventEmitter {
 
     // Start heartbeat
     this.startHeartbeat();
+
+    this.startFanout().catch(error => {
+      console.error('❌ WebSocket fan-out failed to start, broadcasts only reach this process:', error.message);
+      this.subscriber = null;
+    });
     
     console.log('🚀 WebSocket service initialized');
   }
 
+  /**
+   * Relay broadcasts published by any process to the clients connected here
+   */
+  async startFanout() {
+    const client = await createRedisClient();
+    if (!client) {
+      console.log('⚠️ Redis not configured - WebSocket broadcasts only reach clients of this process');
+      return;
+    }
+
+    const subscriber = client.duplicate();
+    subscriber.on('error', (error) => {
+      console.error('WebSocket fan-out subscriber error:', error.message);
+    });
+    await subscriber.connect();
+    await subscriber.subscribe(config.websocket.fanoutChannel, (message) => {
+      try {
+        this.deliver(JSON.parse(message));
+      } catch (error) {
+        console.error('WebSocket fan-out message error:', error);
+      }
+    });
+
+    this.subscriber = subscriber;
+    console.log(`📡 WebSocket fan-out subscribed to ${config.websocket.fanoutChannel}`);
+  }
+
   generateClientId() {
     return 'client_' + Math.random().toString(36).substr(2, 9);
   }
@@ -76,8 +162,13 @@ class WebSocketService extends EventEmitter {
     if (!client) return;
 
     switch (data.type) {
+      case 'auth':
+        client.authPending = this.authenticate(clientId, data);
+        break;
       case 'subscribe':
-        this.subscribe(clientId, data.channel);
+        this.subscribe(clientId, data.channel, data.lastSeq).catch(error => {
+          console.error(`❌ Subscribe to ${data.channel} failed for ${clientId}:`, error.message);
+        });
         break;
       case 'unsubscribe':
         this.unsubscribe(clientId, data.channel);
@@ -88,10 +179,104 @@ class WebSocketService extends EventEmitter {
     }
   }
 
-  subscribe(clientId, channel) {
+  /**
+   * Bind a connection to a wallet from a session token, or from a signed SIWE message (which opens a session)
+   */
+  async authenticate(clientId, { token = null, message = null, signature = null }) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    try {
+      let session = null;
+      if (token) {
+        session = await siweAuthService.getSession(token);
+      } else if (message && signature) {
+        const login = await siweAuthService.login(message, signature);
+        token = login.token;
+        session = await siweAuthService.getSession(login.token);
+      }
+
+      if (!session) {
+        this.sendToClient(clientId, { type: 'auth_error', error: 'Invalid or expired session', timestamp: Date.now() });
+        return;
+      }
+
+      // Re-authenticating as another wallet drops channels the new wallet can't see
+      const switched = client.address !== null && client.address !== session.address;
+      client.address = session.address;
+      client.sessionId = session.sessionId;
+      client.sessionExpiresAt = new Date(session.expiresAt).getTime();
+      if (switched) {
+        await this.revalidateSubscriptions(clientId);
+      }
+
+      this.sendToClient(clientId, {
+        type: 'authenticated',
+        address: session.address,
+        expiresAt: session.expiresAt,
+        // Only returned for signature logins, so the client can reuse it on reconnect
+        token: message ? token : undefined,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.warn(`⚠️ WebSocket auth failed for ${clientId}:`, error.message);
+      this.sendToClient(clientId, {
+        type: 'auth_error',
+        error: error.name === 'AuthError' ? error.message : 'Authentication failed',
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  async canSubscribe(client, channel) {
+    const rule = this.ruleFor(channel);
+    return !rule || Boolean(await rule.authorize(client, channel));
+  }
+
+  /**
+   * Drop subscriptions a connection is no longer allowed to hold (expired session, switched wallet)
+   */
+  async revalidateSubscriptions(clientId) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
+    for (const channel of [...client.subscriptions]) {
+      if (!(await this.canSubscribe(client, channel))) {
+        this.unsubscribe(clientId, channel);
+      }
+    }
+  }
+
+  async subscribe(clientId, channel, lastSeq = null) {
+    const client = this.clients.get(clientId);
+    if (!client || typeof channel !== 'string' || channel.length === 0) return;
+
+    // Subscriptions sent right after connecting wait for the handshake
+    if (client.authPending) {
+      await client.authPending;
+    }
+
+    if (!client.subscriptions.has(channel) && client.subscriptions.size >= config.websocket.maxSubscriptions) {
+      this.sendToClient(clientId, {
+        type: 'subscribe_error',
+        channel,
+        error: `Subscription limit of ${config.websocket.maxSubscriptions} reached`,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    if (!(await this.canSubscribe(client, channel))) {
+      console.warn(`🚫 Client ${clientId} denied subscription to ${channel}`);
+      this.sendToClient(clientId, {
+        type: 'subscribe_error',
+        channel,
+        error: client.address ? 'Not authorized for this channel' : 'Authentication required',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
     client.subscriptions.add(channel);
     
     if (!this.subscriptions.has(channel)) {
@@ -106,6 +291,49 @@ class WebSocketService extends EventEmitter {
       channel,
       timestamp: Date.now()
     });
+
+    // Live updates may arrive while the replay is read; clients drop anything at or below their last seq
+    if (lastSeq !== null && lastSeq !== undefined && Number.isInteger(Number(lastSeq))) {
+      this.replay(clientId, channel, Number(lastSeq)).catch(error => {
+        console.error(`❌ Replay of ${channel} for ${clientId} failed:`, error.message);
+        this.sendToClient(clientId, { type: 'resync', channel, timestamp: Date.now() });
+      });
+    }
+  }
+
+  /**
+   * Send the messages a client missed since lastSeq, or ask it to refetch when the buffer can't cover the gap
+   */
+  async replay(clientId, channel, lastSeq) {
+    const { seq, messages } = await this.readReplay(channel, lastSeq);
+
+    // Sequence restarted (expired or Redis flushed) or older messages already trimmed
+    const complete = lastSeq <= seq && messages.length === seq - lastSeq;
+    if (!complete) {
+      this.sendToClient(clientId, { type: 'resync', channel, seq, timestamp: Date.now() });
+      return;
+    }
+
+    for (const message of messages) {
+      this.sendToClient(clientId, { ...message, replayed: true });
+    }
+  }
+
+  async readReplay(channel, lastSeq) {
+    const client = await createRedisClient();
+    if (client) {
+      const [seq, entries] = await Promise.all([
+        client.get(`ws:seq:${channel}`),
+        client.zRangeByScore(`ws:replay:${channel}`, `(${lastSeq}`, '+inf')
+      ]);
+      return { seq: parseInt(seq || '0'), messages: entries.map(entry => JSON.parse(entry)) };
+    }
+
+    const state = this.localChannels.get(channel);
+    return {
+      seq: state ? state.seq : 0,
+      messages: state ? state.buffer.filter(message => message.seq > lastSeq) : []
+    };
   }
 
   unsubscribe(clientId, channel) {
@@ -183,21 +411,99 @@ class WebSocketService extends EventEmitter {
   }
 
   broadcastToChannel(channel, data) {
-    if (!this.subscriptions.has(channel)) return;
+    this.publish(channel, data).catch(error => {
+      console.error(`❌ WebSocket broadcast to ${channel} failed:`, error.message);
+    });
+  }
 
-    const subscribers = this.subscriptions.get(channel);
-    console.log(`📢 Broadcasting to ${subscribers.size} clients on ${channel}`);
+  /**
+   * Sequence the message, keep it for replay and hand it to every process holding sockets
+   */
+  async publish(channel, data) {
+    const message = {
+      type: 'update',
+      channel,
+      data: this.serializeForWebSocket(data),
+      timestamp: Date.now()
+    };
+
+    const client = await createRedisClient();
+    if (!client) {
+      if (!this.wss) return; // No sockets here and no way to reach other processes
+      message.seq = this.appendLocalReplay(channel, message);
+      this.deliver(message);
+      return;
+    }
+
+    try {
+      message.seq = await this.appendRedisReplay(client, channel, message);
+      await client.publish(config.websocket.fanoutChannel, JSON.stringify(message));
+    } catch (error) {
+      // Unsequenced so it can't collide with the Redis sequence; reconnecting clients will resync
+      console.warn(`⚠️ Redis publish for ${channel} failed, delivering locally:`, error.message);
+      delete message.seq;
+      this.deliver(message);
+      return;
+    }
+
+    // Without a relay connection our own clients would miss what we just published
+    if (this.wss && !this.subscriber) {
+      this.deliver(message);
+    }
+  }
+
+  async appendRedisReplay(client, channel, message) {
+    const { replaySize, replayTtlSeconds, sequenceTtlSeconds } = config.websocket;
+    const seqKey = `ws:seq:${channel}`;
+    const replayKey = `ws:replay:${channel}`;
+
+    const seq = await client.incr(seqKey);
+    await client.multi()
+      .expire(seqKey, sequenceTtlSeconds)
+      .zAdd(replayKey, { score: seq, value: JSON.stringify({ ...message, seq }) })
+      .zRemRangeByRank(replayKey, 0, -(replaySize + 1))
+      .expire(replayKey, replayTtlSeconds)
+      .exec();
+    return seq;
+  }
+
+  appendLocalReplay(channel, message) {
+    let state = this.localChannels.get(channel);
+    if (!state) {
+      state = { seq: 0, buffer: [], updatedAt: 0 };
+      this.localChannels.set(channel, state);
+    }
+
+    state.seq++;
+    state.buffer.push({ ...message, seq: state.seq });
+    if (state.buffer.length > config.websocket.replaySize) {
+      state.buffer.shift();
+    }
+    state.updatedAt = Date.now();
+    return state.seq;
+  }
+
+  /**
+   * Send a sequenced message to this process's subscribers of its channel
+   */
+  deliver(message) {
+    const subscribers = this.subscriptions.get(message.channel);
+    if (!subscribers || subscribers.size === 0) return;
+
+    console.log(`📢 Broadcasting to ${subscribers.size} clients on ${message.channel}`);
 
     for (const clientId of subscribers) {
-      this.sendToClient(clientId, {
-        type: 'update',
-        channel,
-        data,
-        timestamp: Date.now()
-      });
+      this.sendToClient(clientId, message);
     }
   }
 
+  /**
+   * Whether a broadcast from this process can reach any client
+   */
+  canBroadcast() {
+    return Boolean(this.wss || process.env.REDIS_URL);
+  }
+
   startHeartbeat() {
     this.heartbeatInterval = setInterval(() => {
       const now = Date.now();
@@ -212,6 +518,26 @@ class WebSocketService extends EventEmitter {
           client.ws.ping();
         }
       }
+
+      // Sessions that expired while connected lose their private channels
+      for (const [clientId, client] of this.clients) {
+        if (client.sessionExpiresAt !== null && client.sessionExpiresAt <= now) {
+          client.address = null;
+          client.sessionId = null;
+          client.sessionExpiresAt = null;
+          this.sendToClient(clientId, { type: 'auth_expired', timestamp: now });
+          this.revalidateSubscriptions(clientId).catch(error => {
+            console.error(`❌ Failed to revalidate subscriptions for ${clientId}:`, error.message);
+          });
+        }
+      }
+
+      // Drop replay buffers of idle channels
+      for (const [channel, state] of this.localChannels) {
+        if (now - state.updatedAt > config.websocket.replayTtlSeconds * 1000) {
+          this.localChannels.delete(channel);
+        }
+      }
     }, 10000); // Check every 10 seconds
   }
 
@@ -234,6 +560,11 @@ class WebSocketService extends EventEmitter {
     this.broadcastToChannel('pool:settled', poolData);
   }
 
+  // Broadcast combo pool settled event for Live Activity feed
+  broadcastComboPoolSettled(comboPoolData) {
+    this.broadcastToChannel('combo:settled', comboPoolData);
+  }
+
   // ✅ Broadcast reputation changed event
   broadcastReputationChanged(reputationData) {
     this.broadcastToChannel('reputation:changed', reputationData);
@@ -312,8 +643,8 @@ class WebSocketService extends EventEmitter {
 
   // Notification broadcasting methods
   broadcastNotificationToUser(userAddress, notification) {
-    // ✅ FIX: Only broadcast if WebSocket server is initialized
-    if (!this.wss) {
+    // ✅ FIX: Only broadcast if a WebSocket server (here or behind Redis) can deliver it
+    if (!this.canBroadcast()) {
       console.warn(`⚠️ WebSocket not initialized - notification saved to DB but not broadcast: ${notification.type} for ${userAddress}`);
       return;
     }
@@ -328,8 +659,8 @@ class WebSocketService extends EventEmitter {
   }
 
   broadcastUnreadCountToUser(userAddress, unreadCount) {
-    // ✅ FIX: Only broadcast if WebSocket server is initialized
-    if (!this.wss) {
+    // ✅ FIX: Only broadcast if a WebSocket server (here or behind Redis) can deliver it
+    if (!this.canBroadcast()) {
       return; // Silent fail for unread count (not critical)
     }
     
@@ -344,8 +675,10 @@ class WebSocketService extends EventEmitter {
   getStats() {
     return {
       connectedClients: this.clients.size,
+      authenticatedClients: Array.from(this.clients.values()).filter(client => client.address !== null).length,
       totalSubscriptions: Array.from(this.subscriptions.values()).reduce((sum, set) => sum + set.size, 0),
-      channels: Array.from(this.subscriptions.keys())
+      channels: Array.from(this.subscriptions.keys()),
+      fanout: this.subscriber ? 'redis' : 'local'
     };
   }
 }
@@ -0,0 +1,61 @@
+jest.mock('../../middleware/admin-rate-limiting', () => jest.fn((req, res, next) => next()));
+
+const { requireAdmin, requireAdminIdentity, adminAuth } = require('../../utils/admin-auth');
+
+function run(middlewares, key) {
+  const req = { headers: key ? { 'x-admin-key': key } : {}, ip: '127.0.0.1' };
+  const res = {
+    statusCode: 200,
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn()
+  };
+  for (const middleware of middlewares) {
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    if (!passed) {
+      break;
+    }
+  }
+  return { req, res };
+}
+
+describe('admin auth', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.ADMIN_KEY = 'shared-key';
+    process.env.ADMIN_KEYS = 'alice:alice-key, bob:bob-key';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('names the admin behind a personal key', () => {
+    const { req, res } = run([requireAdmin], 'bob-key');
+    expect(res.statusCode).toBe(200);
+    expect(req.admin).toEqual({ name: 'bob' });
+  });
+
+  it('accepts the shared key without an identity', () => {
+    const { req } = run([requireAdmin], 'shared-key');
+    expect(req.admin).toEqual({ name: null });
+  });
+
+  it('rejects unknown keys', () => {
+    expect(run([requireAdmin], 'guess').res.statusCode).toBe(403);
+    expect(run([requireAdmin]).res.statusCode).toBe(403);
+  });
+
+  it('only lets personal keys through routes that record the acting admin', () => {
+    expect(run(adminAuth({ requireIdentity: true }), 'shared-key').res.statusCode).toBe(403);
+    expect(run(adminAuth({ requireIdentity: true }), 'alice-key').req.admin.name).toBe('alice');
+    expect(run([requireAdminIdentity]).res.statusCode).toBe(403);
+  });
+
+  it('works with personal keys alone', () => {
+    delete process.env.ADMIN_KEY;
+    expect(run([requireAdmin], 'alice-key').req.admin).toEqual({ name: 'alice' });
+    expect(run([requireAdmin], 'shared-key').res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../utils/reputationManager', () => ({}));
+
+const articleService = require('../../services/article-service');
+
+describe('ArticleService.renderMarkdown', () => {
+  it('renders markdown', async () => {
+    const html = await articleService.renderMarkdown('# Preview\n\n**Arsenal** at home, see [the pool](/pools/7).');
+
+    expect(html).toContain('<h1>Preview</h1>');
+    expect(html).toContain('<strong>Arsenal</strong>');
+    expect(html).toContain('<a href="/pools/7" rel="nofollow noopener noreferrer" target="_blank">the pool</a>');
+  });
+
+  it('escapes raw HTML', async () => {
+    const html = await articleService.renderMarkdown('<script>alert(1)</script>\n\nText <img src=x onerror=alert(1)>');
+
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;script&gt;');
+  });
+
+  it('keeps web, mail, site and anchor links', async () => {
+    const html = await articleService.renderMarkdown(
+      '[a](https://example.com) [b](mailto:tips@example.com) [c](/oddyssey) [d](#stats)'
+    );
+
+    for (const href of ['https://example.com', 'mailto:tips@example.com', '/oddyssey', '#stats']) {
+      expect(html).toContain(`<a href="${href}"`);
+    }
+  });
+
+  it('drops links that could run script or leave the site unnoticed', async () => {
+    const html = await articleService.renderMarkdown(
+      '[a](javascript:alert(1)) [b](//evil.example) [c](/\\evil.example) [d](data:text/html,hi)'
+    );
+
+    expect(html).not.toContain('<a');
+    expect(html).toContain('a b c d');
+  });
+
+  it('drops protocol-relative links hidden behind control characters or escapes', async () => {
+    const sources = [
+      '[a](</\t/evil.example>)',
+      '[a](</\n/evil.example>)',
+      '[a](</\r/evil.example>)',
+      '[a](</\u000b/evil.example>)',
+      '[a](\\/\\/evil.example)',
+      '[a](/\\/evil.example)'
+    ];
+
+    for (const source of sources) {
+      expect(await articleService.renderMarkdown(source)).not.toContain('<a');
+    }
+  });
+
+  it('only embeds https images, with escaped attributes', async () => {
+    const html = await articleService.renderMarkdown(
+      '![chart](https://cdn.example.com/x.png "Form \\"guide\\"") ![old](http://cdn.example.com/y.png)'
+    );
+
+    expect(html).toContain('<img src="https://cdn.example.com/x.png" alt="chart" title="Form &quot;guide&quot;" loading="lazy">');
+    expect(html).not.toContain('http://cdn.example.com');
+  });
+});
+
+describe('ArticleService.checkExternalLinks', () => {
+  beforeEach(() => {
+    articleService.config = { ...articleService.config, maxExternalLinks: 1 };
+  });
+
+  it('holds articles with too many web links for review', async () => {
+    const bodyHtml = await articleService.renderMarkdown('[a](https://a.example) [b](http://b.example) [c](/pools/1)');
+
+    expect(articleService.checkExternalLinks({ bodyHtml })).toEqual({ decision: 'review', reason: '2 external links' });
+  });
+
+  it('does not count site links', async () => {
+    const bodyHtml = await articleService.renderMarkdown('[a](https://a.example) [b](/pools/1) [c](#top)');
+
+    expect(articleService.checkExternalLinks({ bodyHtml })).toEqual({ decision: 'allow' });
+  });
+});
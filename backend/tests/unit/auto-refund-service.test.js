@@ -0,0 +1,51 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/tx-manager', () => ({
+  getProvider: jest.fn(),
+  sendContractCall: jest.fn()
+}));
+
+const db = require('../../db/db');
+const txManager = require('../../services/tx-manager');
+const autoRefundService = require('../../services/auto-refund-service');
+
+const POOL = {
+  pool_id: '12',
+  creator_address: '0x' + 'a1'.repeat(20),
+  creator_stake: '1000000000000000000',
+  arbitration_deadline: 1000
+};
+
+describe('AutoRefundService.processPoolRefund', () => {
+  const contract = {};
+
+  beforeEach(() => {
+    db.query.mockReset().mockResolvedValue({ rows: [] });
+    txManager.sendContractCall.mockReset();
+    autoRefundService.poolCoreContract = contract;
+  });
+
+  it('sends refundPool through the tx manager under one key per pool', async () => {
+    txManager.sendContractCall.mockResolvedValue({ hash: '0xabc', blockNumber: 321 });
+
+    await autoRefundService.processPoolRefund(POOL, 5000);
+
+    expect(txManager.sendContractCall).toHaveBeenCalledWith(contract, 'refundPool', ['12'], {
+      key: 'refundPool:12',
+      lane: 'settlement',
+      requestedBy: 'auto-refund-service'
+    });
+    expect(db.query.mock.calls[0][1]).toEqual(['12', 'Automatic refund - no bets, arbitration expired', 321, '0xabc']);
+    expect(db.query.mock.calls[1][0]).toContain("SET status = 'refunded'");
+  });
+
+  it('leaves the pool unrefunded when the transaction fails', async () => {
+    txManager.sendContractCall.mockRejectedValue(new Error('Transaction 0xabc reverted'));
+
+    await autoRefundService.processPoolRefund(POOL, 5000);
+
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
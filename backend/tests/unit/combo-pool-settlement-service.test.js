@@ -0,0 +1,180 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/tx-manager', () => {
+  class TxError extends Error {
+    constructor(message, code, row) {
+      super(message);
+      this.code = code;
+      this.row = row;
+    }
+  }
+  return { sendContractCall: jest.fn(), TxError };
+});
+jest.mock('../../services/web3-service', () => jest.fn().mockImplementation(() => ({ isInitialized: true, provider: {} })));
+jest.mock('../../services/unified-pool-settlement-system', () => jest.fn().mockImplementation(() => ({
+  guidedOracleContract: { oracle: true },
+  determineCryptoOutcome: jest.fn()
+})));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const txManager = require('../../services/tx-manager');
+const { TxError } = require('../../services/tx-manager');
+const ComboPoolSettlementService = require('../../services/combo-pool-settlement-service');
+
+const bytes32 = (text) => ethers.encodeBytes32String(text);
+
+function leg(overrides = {}) {
+  return {
+    combo_pool_id: '7',
+    condition_index: 1,
+    market_id: '19400001',
+    expected_outcome: 'Over 2.5 goals',
+    expected_outcome_raw: bytes32('Over 2.5 goals'),
+    description: null,
+    event_end_time: 0,
+    resolution_status: null,
+    fixture_id: 19400001,
+    home_team: 'Arsenal',
+    away_team: 'Chelsea',
+    home_score: 2,
+    away_score: 1,
+    ht_home_score: 0,
+    ht_away_score: 0,
+    finished_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    ...overrides
+  };
+}
+
+// Status and attempts written by each oracle.combo_condition_resolutions upsert
+function resolutionWrites() {
+  return db.query.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO oracle.combo_condition_resolutions'))
+    .map(([sql, params]) => (sql.includes("'needs_review'") ? { status: 'needs_review', error: params[5] } : { status: params[7], txHash: params[8], attempts: params[10] }));
+}
+
+let service;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset().mockResolvedValue({ rows: [] });
+  txManager.sendContractCall.mockReset();
+  service = new ComboPoolSettlementService();
+  service.comboPoolsAddress = '0x' + 'c1'.repeat(20);
+  service.comboPoolsContract = {
+    getComboPool: jest.fn().mockResolvedValue({ conditions: [{ resolved: true }, { resolved: false }] })
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ComboPoolSettlementService.determineConditionOutcome', () => {
+  it('settles a football leg from its market spec', async () => {
+    await expect(service.determineConditionOutcome(leg())).resolves.toEqual({
+      marketType: 'football',
+      prediction: 'Over 2.5 goals',
+      actualOutcome: 'Over 2.5 goals',
+      outcomeBytes32: bytes32('Over 2.5 goals')
+    });
+
+    const missed = await service.determineConditionOutcome(leg({ home_score: 1, away_score: 0 }));
+    expect(missed.actualOutcome).toBe('Under 2.5 goals');
+  });
+
+  it('settles first-half legs from the half-time score', async () => {
+    const outcome = await service.determineConditionOutcome(leg({
+      expected_outcome: 'Home HT',
+      expected_outcome_raw: bytes32('Home HT'),
+      ht_home_score: 0,
+      ht_away_score: 1
+    }));
+
+    expect(outcome.actualOutcome).toBe('Away HT');
+  });
+
+  it('recovers a hashed prediction from the description and answers with a hash', async () => {
+    const outcome = await service.determineConditionOutcome(leg({
+      expected_outcome: ethers.id('Both teams to score'),
+      expected_outcome_raw: ethers.id('Both teams to score'),
+      description: 'Arsenal vs Chelsea: Both teams to score'
+    }));
+
+    expect(outcome).toMatchObject({ actualOutcome: 'Both teams to score', outcomeBytes32: ethers.id('Both teams to score') });
+  });
+
+  it('waits for a final result', async () => {
+    await expect(service.determineConditionOutcome(leg({ finished_at: new Date().toISOString() }))).resolves.toBeNull();
+    await expect(service.determineConditionOutcome(leg({ home_score: null }))).resolves.toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('sends legs it cannot settle to review', async () => {
+    await expect(service.determineConditionOutcome(leg({ expected_outcome: 'More than 9 corners' }))).resolves.toBeNull();
+    await expect(service.determineConditionOutcome(leg({ expected_outcome: 'Over 2.5 goals HT', ht_home_score: null }))).resolves.toBeNull();
+
+    expect(resolutionWrites()).toEqual([
+      { status: 'needs_review', error: 'Cannot derive a market spec from prediction "More than 9 corners"' },
+      { status: 'needs_review', error: 'Missing 1H scores for OU:1H:2.5:over' }
+    ]);
+  });
+});
+
+describe('ComboPoolSettlementService.submitConditionResolution', () => {
+  const outcome = { marketType: 'football', prediction: 'Over 2.5 goals', actualOutcome: 'Over 2.5 goals', outcomeBytes32: bytes32('Over 2.5 goals') };
+
+  it('records the attempt, then sends the leg under a key of its own', async () => {
+    txManager.sendContractCall.mockResolvedValue({ hash: '0xabc', blockNumber: 50 });
+
+    await expect(service.submitConditionResolution(leg(), outcome)).resolves.toBe(true);
+
+    const [contract, method, [target], options] = txManager.sendContractCall.mock.calls[0];
+    expect(contract).toBe(service.settlementSystem.guidedOracleContract);
+    expect([method, target]).toEqual(['executeCall', service.comboPoolsAddress]);
+    expect(options).toMatchObject({ key: 'resolveComboCondition:7:1', lane: 'settlement' });
+    expect(resolutionWrites()).toEqual([
+      { status: 'pending', txHash: null, attempts: 1 },
+      { status: 'confirmed', txHash: '0xabc', attempts: 0 }
+    ]);
+  });
+
+  it('does not send a leg the contract already resolved', async () => {
+    await expect(service.submitConditionResolution(leg({ condition_index: 0 }), outcome)).resolves.toBe(true);
+
+    expect(txManager.sendContractCall).not.toHaveBeenCalled();
+    expect(resolutionWrites()).toEqual([{ status: 'confirmed', txHash: null, attempts: 0 }]);
+  });
+
+  it('keeps the hash of a transaction that is still in flight', async () => {
+    txManager.sendContractCall.mockRejectedValue(new TxError('Timed out', 'TIMEOUT', { tx_hash: '0xpending' }));
+
+    await expect(service.submitConditionResolution(leg(), outcome)).resolves.toBe(false);
+
+    expect(resolutionWrites()[1]).toEqual({ status: 'submitted', txHash: '0xpending', attempts: 0 });
+  });
+
+  it('records failures for the next attempt', async () => {
+    txManager.sendContractCall.mockRejectedValue(new Error('execution reverted'));
+
+    await expect(service.submitConditionResolution(leg(), outcome)).resolves.toBe(false);
+
+    expect(resolutionWrites()[1]).toMatchObject({ status: 'failed' });
+    expect(db.query.mock.calls[1][1][11]).toBe('execution reverted');
+  });
+});
+
+describe('ComboPoolSettlementService.reconcileSubmittedResolutions', () => {
+  it('settles submitted legs from their receipt', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ combo_pool_id: 7, condition_index: 1, tx_hash: '0xdead', submitted_at: new Date().toISOString() }] });
+    service.web3Service.provider.getTransactionReceipt = jest.fn().mockResolvedValue({ status: 0, blockNumber: 60 });
+
+    await service.reconcileSubmittedResolutions();
+
+    expect(db.query.mock.calls[1][1]).toEqual([7, 1, 'failed', 60, 'Transaction 0xdead reverted']);
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../../services/price-providers', () => ({
+  createPriceProviders: jest.fn(() => [])
+}));
+
+const CryptoDeadlinePricing = require('../../services/crypto-deadline-pricing');
+
+const DEADLINE = new Date('2026-01-01T12:00:00Z');
+const BTC = { symbol: 'BTC', coinId: 'btc-bitcoin' };
+
+function at(secondsFromDeadline, price) {
+  return { time: new Date(DEADLINE.getTime() + secondsFromDeadline * 1000), price };
+}
+
+function provider(name, points) {
+  return {
+    name,
+    getPricePoints: jest.fn(async () => {
+      if (points instanceof Error) {
+        throw points;
+      }
+      return points;
+    })
+  };
+}
+
+function createPricing(providers) {
+  const pricing = new CryptoDeadlinePricing({ providers });
+  pricing.config = {
+    ...pricing.config,
+    defaultMode: 'close',
+    toleranceSeconds: 300,
+    twapWindowSeconds: 900,
+    minSources: 2,
+    maxDeviationPercent: 1
+  };
+  return pricing;
+}
+
+describe('CryptoDeadlinePricing.pickClose', () => {
+  const pricing = createPricing([]);
+
+  it('takes the last point at or before the deadline', () => {
+    const result = pricing.pickClose([at(-120, 100), at(-60, 101), at(30, 105)], DEADLINE, 300000);
+    expect(result).toEqual({ price: 101, priceTimestamp: at(-60).time, sampleCount: 1 });
+  });
+
+  it('falls back to the first point after the deadline within the tolerance', () => {
+    expect(pricing.pickClose([at(-400, 100), at(60, 102)], DEADLINE, 300000).price).toBe(102);
+    expect(pricing.pickClose([at(-400, 100), at(400, 102)], DEADLINE, 300000)).toBeNull();
+  });
+});
+
+describe('CryptoDeadlinePricing.computeTwap', () => {
+  const pricing = createPricing([]);
+  const windowStart = new Date(DEADLINE.getTime() - 900 * 1000);
+
+  it('weights each price by how long it held inside the window', () => {
+    // 100 opens the window and holds 600s, then 130 for the last 300s
+    const result = pricing.computeTwap([at(-1000, 100), at(-300, 130), at(60, 999)], windowStart, DEADLINE, 300000);
+
+    expect(result.price).toBeCloseTo(110);
+    expect(result.sampleCount).toBe(2);
+    expect(result.priceTimestamp).toBe(DEADLINE);
+  });
+
+  it('refuses a stale price at the deadline', () => {
+    expect(pricing.computeTwap([at(-1000, 100), at(-600, 110)], windowStart, DEADLINE, 300000)).toBeNull();
+  });
+});
+
+describe('CryptoDeadlinePricing.crossCheck', () => {
+  const pricing = createPricing([]);
+
+  it('agrees when every source is within the deviation of the median', () => {
+    const result = pricing.crossCheck([
+      { provider: 'a', price: 100, sampleCount: 1 },
+      { provider: 'b', price: 100.5, sampleCount: 1 },
+      { provider: 'c', price: 99.8, sampleCount: 1 }
+    ]);
+
+    expect(result).toMatchObject({ status: 'agreed', price: 100, source: 'median(a,b,c)', sampleCount: 3 });
+  });
+
+  it('flags a disagreement when one source is too far from the median', () => {
+    const result = pricing.crossCheck([
+      { provider: 'a', price: 100, sampleCount: 1 },
+      { provider: 'b', price: 105, sampleCount: 1 },
+      { provider: 'c', price: 100.2, sampleCount: 1 }
+    ]);
+
+    expect(result.status).toBe('disagreement');
+    expect(result.deviationPercent).toBeCloseTo(4.79, 1);
+  });
+
+  it('reports no quorum when too few sources answered', () => {
+    expect(pricing.crossCheck([{ provider: 'a', price: 100, sampleCount: 1 }, { provider: 'b', error: 'down' }]).status)
+      .toBe('no_quorum');
+    expect(pricing.crossCheck([]).price).toBeNull();
+  });
+});
+
+describe('CryptoDeadlinePricing.getDeadlinePrice', () => {
+  it('waits until the tolerance after the deadline has passed', async () => {
+    const source = provider('a', [at(0, 100)]);
+    const pricing = createPricing([source]);
+
+    await expect(pricing.getDeadlinePrice(BTC, new Date(Date.now() - 60 * 1000))).resolves.toBeNull();
+    expect(source.getPricePoints).not.toHaveBeenCalled();
+  });
+
+  it('prices every provider at the deadline and cross-checks them', async () => {
+    const pricing = createPricing([
+      provider('a', [at(-30, 100)]),
+      provider('b', [at(-10, 100.4)]),
+      provider('c', new Error('rate limited'))
+    ]);
+
+    const result = await pricing.getDeadlinePrice(BTC, DEADLINE);
+
+    expect(result).toMatchObject({ status: 'agreed', price: 100.2, mode: 'close', toleranceSeconds: 300 });
+    expect(result.sources[2]).toEqual({ provider: 'c', error: 'rate limited' });
+    expect(result.priceTimestamp).toEqual(at(-20).time);
+  });
+
+  it('queries the whole TWAP window and stamps the deadline', async () => {
+    const source = provider('a', [at(-1000, 100), at(-300, 130)]);
+    const pricing = createPricing([source, provider('b', [at(-1000, 100), at(-300, 130)])]);
+
+    const result = await pricing.getDeadlinePrice(BTC, DEADLINE, { mode: 'twap' });
+
+    expect(source.getPricePoints).toHaveBeenCalledWith(BTC, at(-1200).time, DEADLINE);
+    expect(result.price).toBeCloseTo(110);
+    expect(result.priceTimestamp).toBe(DEADLINE);
+    expect(result.windowStart).toEqual(at(-900).time);
+  });
+
+  it('rejects an unknown resolution mode', async () => {
+    await expect(createPricing([]).getDeadlinePrice(BTC, DEADLINE, { mode: 'vwap' }))
+      .rejects.toThrow('Invalid resolution mode: vwap');
+  });
+});
@@ -0,0 +1,47 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/web3-service', () => jest.fn());
+jest.mock('../../services/somnia-data-streams-service', () => ({}));
+jest.mock('../../services/notification-service', () => ({}));
+jest.mock('../../services/websocket-service', () => ({}));
+
+const db = require('../../db/db');
+const EventDrivenBetSync = require('../../services/event-driven-bet-sync');
+
+describe('EventDrivenBetSync.rollbackToBlock', () => {
+  let sync;
+
+  beforeEach(() => {
+    db.query.mockReset().mockResolvedValue({ rows: [], rowCount: 2 });
+    sync = new EventDrivenBetSync();
+    sync.checkpoint = { getProcessedEvents: jest.fn() };
+    sync.updatePoolLPStake = jest.fn();
+  });
+
+  it('removes orphaned bets and subtracts every LiquidityAdded applied after the fork', async () => {
+    sync.checkpoint.getProcessedEvents.mockResolvedValue([
+      { tx_hash: '0x1', payload: { poolId: '7', provider: '0xabc', amount: '1000' } },
+      { tx_hash: '0x2', payload: { poolId: '7', provider: '0xdef', amount: '250' } }
+    ]);
+
+    await sync.rollbackToBlock(100);
+
+    expect(db.query.mock.calls[0]).toEqual(['DELETE FROM oracle.bets WHERE block_number > $1', [100]]);
+    expect(sync.checkpoint.getProcessedEvents).toHaveBeenCalledWith('LiquidityAdded', 100);
+
+    const stakeUpdates = db.query.mock.calls.filter(([sql]) => sql.includes('SET stake = stake - $3'));
+    expect(stakeUpdates.map(([, params]) => params)).toEqual([['7', '0xabc', '1000'], ['7', '0xdef', '250']]);
+    expect(sync.updatePoolLPStake.mock.calls).toEqual([['7', -1000n], ['7', -250n]]);
+  });
+
+  it('skips LP events recorded without a payload', async () => {
+    sync.checkpoint.getProcessedEvents.mockResolvedValue([{ tx_hash: '0x1', payload: null }]);
+
+    await sync.rollbackToBlock(100);
+
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(sync.updatePoolLPStake).not.toHaveBeenCalled();
+  });
+});
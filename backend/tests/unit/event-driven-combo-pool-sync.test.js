@@ -0,0 +1,94 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/web3-service', () => jest.fn().mockImplementation(() => ({})));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const EventDrivenComboPoolSync = require('../../services/event-driven-combo-pool-sync');
+
+const bytes32 = (text) => ethers.encodeBytes32String(text);
+const CREATOR = '0x' + 'A1'.repeat(20);
+
+function onChainPool(conditions) {
+  return {
+    creator: CREATOR,
+    creatorStake: 10n,
+    totalCreatorSideStake: 10n,
+    maxBettorStake: 5n,
+    totalBettorStake: 0n,
+    totalOdds: 350,
+    flags: 4n,
+    eventStartTime: 1000n,
+    eventEndTime: 2000n,
+    bettingEndTime: 900n,
+    resultTimestamp: 0n,
+    category: bytes32('football'),
+    maxBetPerUser: 0n,
+    conditions
+  };
+}
+
+let sync;
+
+beforeEach(() => {
+  db.query.mockReset().mockResolvedValue({ rows: [{ exists: 1 }] });
+  sync = new EventDrivenComboPoolSync();
+});
+
+describe('EventDrivenComboPoolSync.parseComboPool', () => {
+  it('decodes conditions and marks a leg successful when it resolved to the expected outcome', () => {
+    const parsed = sync.parseComboPool(7n, onChainPool([
+      { marketId: ethers.toBeHex(19400001, 32), expectedOutcome: bytes32('Home wins'), resolved: true, actualOutcome: bytes32('Home wins'), odds: 150n },
+      { marketId: ethers.toBeHex(19400002, 32), expectedOutcome: bytes32('Over 2.5 goals'), resolved: true, actualOutcome: bytes32('Under 2.5 goals'), odds: 200n },
+      { marketId: bytes32('BTC_130000_above'), expectedOutcome: ethers.id('BTC above $130,000'), resolved: false, actualOutcome: ethers.ZeroHash }
+    ]));
+
+    expect(parsed).toMatchObject({ comboPoolId: 7, creatorAddress: CREATOR.toLowerCase(), usesBitr: true, settled: false, category: 'football' });
+    expect(parsed.conditions.map(({ marketId, expectedOutcome, actualOutcome, isSuccessful }) => [marketId, expectedOutcome, actualOutcome, isSuccessful])).toEqual([
+      ['19400001', 'Home wins', 'Home wins', true],
+      ['19400002', 'Over 2.5 goals', 'Under 2.5 goals', false],
+      ['BTC_130000_above', ethers.id('BTC above $130,000'), null, null]
+    ]);
+  });
+});
+
+describe('EventDrivenComboPoolSync.handleComboConditionResolved', () => {
+  it('records the resolved leg with its transaction', async () => {
+    await sync.handleComboConditionResolved(7n, 1n, bytes32('Under 2.5 goals'), false, {
+      log: { transactionHash: '0xabc', index: 3, blockNumber: 88 }
+    });
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toContain('UPDATE oracle.combo_pool_conditions');
+    expect(sql).toContain('resolved_at = COALESCE(resolved_at, NOW())');
+    expect(params).toEqual([7, 1, 'Under 2.5 goals', bytes32('Under 2.5 goals'), false, '0xabc']);
+  });
+
+  it('keeps the recorded transaction when a replayed event has none', async () => {
+    await sync.handleComboConditionResolved(7n, 1n, bytes32('Home wins'), true, null);
+
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toContain('resolution_tx_hash = COALESCE($6, resolution_tx_hash)');
+    expect(params[5]).toBeNull();
+  });
+});
+
+describe('EventDrivenComboPoolSync.syncComboPool', () => {
+  it('never un-resolves a leg the database already has as resolved', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockImplementation(callback => callback(client));
+    sync.contract = {
+      getComboPool: jest.fn().mockResolvedValue(onChainPool([
+        { marketId: ethers.toBeHex(19400001, 32), expectedOutcome: bytes32('Home wins'), resolved: false, actualOutcome: ethers.ZeroHash }
+      ]))
+    };
+
+    await sync.syncComboPool(7n);
+
+    const [sql, params] = client.query.mock.calls.find(([query]) => query.includes('INSERT INTO oracle.combo_pool_conditions'));
+    expect(sql).toContain('resolved = EXCLUDED.resolved OR oracle.combo_pool_conditions.resolved');
+    expect(params.slice(0, 7)).toEqual([7, 0, '19400001', ethers.toBeHex(19400001, 32), 'Home wins', bytes32('Home wins'), false]);
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const db = require('../../db/db');
+const IndexerCheckpoint = require('../../utils/indexer-checkpoint');
+
+/**
+ * Chain stub: block number -> hash, missing blocks return null like a lagging RPC
+ */
+function fakeProvider(hashes, latestBlock) {
+  return {
+    getBlockNumber: jest.fn().mockResolvedValue(latestBlock),
+    getBlock: jest.fn(async (blockNumber) => (hashes[blockNumber] ? { hash: hashes[blockNumber] } : null))
+  };
+}
+
+function storeHashes(hashes) {
+  const rows = Object.entries(hashes)
+    .map(([blockNumber, hash]) => ({ block_number: blockNumber, block_hash: hash }))
+    .sort((a, b) => b.block_number - a.block_number);
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM system.indexer_block_hashes')) {
+      return { rows };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('IndexerCheckpoint.detectReorg', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  it('reports no reorg while the newest stored hash is still on chain', async () => {
+    storeHashes({ 100: '0xa', 101: '0xb' });
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider: fakeProvider({ 100: '0xa', 101: '0xb' }, 110) });
+
+    await expect(checkpoint.detectReorg()).resolves.toBeNull();
+  });
+
+  it('returns the last block whose hash still matches', async () => {
+    storeHashes({ 100: '0xa', 101: '0xb', 102: '0xc' });
+    const checkpoint = new IndexerCheckpoint({
+      indexerName: 'test',
+      provider: fakeProvider({ 100: '0xa', 101: '0xb2', 102: '0xc2' }, 110)
+    });
+
+    await expect(checkpoint.detectReorg()).resolves.toBe(100);
+  });
+
+  it('rewinds to before the oldest stored hash when every hash changed', async () => {
+    storeHashes({ 100: '0xa', 101: '0xb' });
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider: fakeProvider({ 100: '0xa2', 101: '0xb2' }, 110) });
+
+    await expect(checkpoint.detectReorg()).resolves.toBe(99);
+  });
+
+  it('defers the check when the RPC does not return a stored block', async () => {
+    storeHashes({ 100: '0xa', 101: '0xb' });
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider: fakeProvider({ 100: '0xa' }, 110) });
+
+    await expect(checkpoint.detectReorg()).rejects.toThrow('RPC did not return block 101');
+  });
+});
+
+describe('IndexerCheckpoint.sync', () => {
+  let client;
+
+  beforeEach(() => {
+    db.query.mockReset();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    db.transaction.mockReset().mockImplementation(callback => callback(client));
+  });
+
+  it('rolls back and replays from the fork block after a reorg', async () => {
+    storeHashes({ 100: '0xa', 101: '0xb', 102: '0xc' });
+    const provider = fakeProvider({ 100: '0xa', 101: '0xb2', 102: '0xc2', 103: '0xd', 104: '0xe' }, 107);
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider, confirmations: 3 });
+    checkpoint.lastBlock = 102;
+
+    const order = [];
+    const onReorg = jest.fn(async () => order.push('onReorg'));
+    const processRange = jest.fn(async () => order.push('processRange'));
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('DELETE FROM system.indexer_processed_events')) {
+        order.push('forgetEvents');
+      }
+      return { rows: [] };
+    });
+
+    const result = await checkpoint.sync({ processRange, onReorg });
+
+    expect(onReorg).toHaveBeenCalledWith(100);
+    // onReorg must read the orphaned events before rewind forgets them
+    expect(order.slice(0, 2)).toEqual(['onReorg', 'forgetEvents']);
+    expect(processRange).toHaveBeenCalledWith(101, 104);
+    expect(result).toEqual({ fromBlock: 101, toBlock: 104, reorgBlock: 100 });
+    expect(checkpoint.lastBlock).toBe(104);
+  });
+
+  it('only forgets processed events when rewinding for a reorg', async () => {
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider: fakeProvider({}, 0) });
+
+    await checkpoint.rewind(50);
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('indexer_processed_events'))).toBe(false);
+
+    await checkpoint.rewind(50, { isReorg: true });
+    const forget = client.query.mock.calls.find(([sql]) => sql.includes('DELETE FROM system.indexer_processed_events'));
+    expect(forget[1]).toEqual(['test', 50]);
+  });
+});
+
+describe('IndexerCheckpoint processed events', () => {
+  beforeEach(() => {
+    db.query.mockReset().mockResolvedValue({ rows: [{ tx_hash: '0x1' }] });
+  });
+
+  it('stores the payload with the claim so a reorg can undo it', async () => {
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider: fakeProvider({}, 0) });
+    const payload = { poolId: '7', provider: '0xabc', amount: '1000' };
+
+    const claimed = await checkpoint.claimEvent(
+      { log: { transactionHash: '0x1', index: 2, blockNumber: 101 } },
+      'LiquidityAdded',
+      payload
+    );
+
+    expect(claimed).toBe(true);
+    expect(db.query.mock.calls[0][1]).toEqual(['test', '0x1', 2, 'LiquidityAdded', 101, JSON.stringify(payload)]);
+  });
+
+  it('reports an event that was already applied', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    const checkpoint = new IndexerCheckpoint({ indexerName: 'test', provider: fakeProvider({}, 0) });
+
+    await expect(checkpoint.claimEvent({ transactionHash: '0x1', index: 2, blockNumber: 101 })).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,113 @@
+const marketSpec = require('../../utils/market-spec');
+
+const TEAMS = { homeTeam: 'Arsenal', awayTeam: 'Chelsea' };
+
+function spec(family, fields) {
+  return { version: marketSpec.MARKET_SPEC_VERSION, family, period: 'FT', line: null, ...fields };
+}
+
+describe('marketSpec.parse', () => {
+  it.each([
+    ['Home wins', {}, '1X2:FT::home'],
+    ['Draw HT', {}, '1X2:1H::draw'],
+    ['Chelsea', {}, '1X2:FT::away'],
+    ['Over 2.5 goals', {}, 'OU:FT:2.5:over'],
+    ['Under 0.5 goals 1st half', {}, 'OU:1H:0.5:under'],
+    ['YES', { market: 'Both Teams To Score' }, 'BTTS:FT::yes'],
+    ['Not both teams to score', {}, 'BTTS:FT::no'],
+    ['1X', {}, 'DC:FT::1x'],
+    ['Home or Away', { market: 'Double Chance' }, 'DC:FT::12'],
+    ['2:1', {}, 'CS:FT::2-1'],
+    ['BTC > $130,000', {}, 'PRICE:BTC:130000:above'],
+    ['SOL below 195', { category: 'crypto' }, 'PRICE:SOL:195:below']
+  ])('reads "%s" %j as %s', (predictedOutcome, input, key) => {
+    expect(marketSpec.serialize(marketSpec.parse({ ...TEAMS, predictedOutcome, ...input }))).toBe(key);
+  });
+
+  it.each([
+    ['Over 2 goals', 'whole goal lines can push'],
+    ['Over goals', 'no line'],
+    ['Arsenal vs Chelsea', 'both teams named'],
+    ['More than 9 corners', 'unknown market'],
+    ['', 'empty']
+  ])('refuses "%s" (%s)', (predictedOutcome) => {
+    expect(marketSpec.parse({ ...TEAMS, predictedOutcome })).toBeNull();
+  });
+});
+
+describe('marketSpec.validate', () => {
+  it.each([
+    [spec('OU', { line: 2.5, selection: 'over' }), []],
+    [spec('OU', { line: 3, selection: 'over' }), ['Goal lines must end in .5 so the market cannot push']],
+    [spec('OU', { line: 0, selection: 'over' }), ['Goals Over/Under needs a positive line']],
+    [spec('1X2', { line: 1.5, selection: 'home' }), ['Match Result has no line']],
+    [spec('BTTS', { period: '2H', selection: 'yes' }), ['Unknown period: 2H']],
+    [spec('CS', { selection: '2:1' }), ['Invalid correct score: 2:1']],
+    [spec('DC', { selection: 'home' }), ['Invalid selection "home" for Double Chance, expected one of 1x, 12, x2']],
+    [{ family: 'PRICE', line: 100, selection: 'above' }, ['Price markets need an asset']],
+    [{ family: 'HANDICAP' }, ['Unknown market family: HANDICAP']]
+  ])('%j -> %j', (input, errors) => {
+    expect(marketSpec.validate(input)).toEqual(errors);
+  });
+
+  it('round-trips serialized keys and rejects invalid ones', () => {
+    const key = 'OU:1H:1.5:under';
+    expect(marketSpec.serialize(marketSpec.deserialize(key))).toBe(key);
+    expect(() => marketSpec.deserialize('OU:FT:2:over')).toThrow(marketSpec.MarketSpecError);
+  });
+});
+
+describe('marketSpec.settle', () => {
+  const fullTime = (homeScore, awayScore) => ({ homeScore, awayScore, htHomeScore: 0, htAwayScore: 0 });
+
+  it.each([
+    // 1X2
+    [spec('1X2', { selection: 'home' }), fullTime(2, 1), 'home', true],
+    [spec('1X2', { selection: 'home' }), fullTime(1, 1), 'draw', false],
+    [spec('1X2', { selection: 'away' }), fullTime(0, 3), 'away', true],
+    [spec('1X2', { period: '1H', selection: 'draw' }), { homeScore: 3, awayScore: 0, htHomeScore: 0, htAwayScore: 0 }, 'draw', true],
+    // OU, either side of the line
+    [spec('OU', { line: 2.5, selection: 'over' }), fullTime(2, 1), 'over', true],
+    [spec('OU', { line: 2.5, selection: 'over' }), fullTime(1, 1), 'under', false],
+    [spec('OU', { line: 0.5, selection: 'under' }), fullTime(0, 0), 'under', true],
+    [spec('OU', { line: 0.5, selection: 'under' }), fullTime(1, 0), 'over', false],
+    [spec('OU', { period: '1H', line: 1.5, selection: 'over' }), { homeScore: 4, awayScore: 0, htHomeScore: 1, htAwayScore: 0 }, 'under', false],
+    // BTTS
+    [spec('BTTS', { selection: 'yes' }), fullTime(1, 1), 'yes', true],
+    [spec('BTTS', { selection: 'yes' }), fullTime(3, 0), 'no', false],
+    [spec('BTTS', { selection: 'no' }), fullTime(0, 0), 'no', true],
+    // DC reports our selection whenever it covers the result
+    [spec('DC', { selection: '1x' }), fullTime(1, 1), '1x', true],
+    [spec('DC', { selection: '12' }), fullTime(0, 2), '12', true],
+    [spec('DC', { selection: '1x' }), fullTime(0, 2), '12', false],
+    // CS
+    [spec('CS', { selection: '2-1' }), fullTime(2, 1), '2-1', true],
+    [spec('CS', { selection: '2-1' }), fullTime('1', '2'), '1-2', false],
+    // PRICE, the line itself is below
+    [{ version: 1, family: 'PRICE', asset: 'BTC', line: 130000, selection: 'above' }, { price: '130000.01' }, 'above', true],
+    [{ version: 1, family: 'PRICE', asset: 'BTC', line: 130000, selection: 'above' }, { price: 130000 }, 'below', false]
+  ])('%j on %j -> %s', (input, result, selection, won) => {
+    expect(marketSpec.settle(input, result)).toEqual({ selection, won });
+  });
+
+  it.each([
+    [spec('1X2', { selection: 'home' }), { homeScore: null, awayScore: 1 }],
+    [spec('OU', { line: 2.5, selection: 'over' }), { homeScore: 2 }],
+    [spec('BTTS', { period: '1H', selection: 'yes' }), { homeScore: 1, awayScore: 1, htHomeScore: null, htAwayScore: null }],
+    [{ version: 1, family: 'PRICE', asset: 'ETH', line: 5000, selection: 'below' }, { price: null }]
+  ])('waits when %j is missing scores in %j', (input, result) => {
+    expect(marketSpec.settle(input, result)).toBeNull();
+  });
+});
+
+describe('marketSpec.contractOutcome', () => {
+  it.each([
+    [spec('1X2', { selection: 'home' }), 'Arsenal to win', { selection: 'home', won: true }, 'Arsenal to win'],
+    [spec('1X2', { selection: 'home' }), 'Arsenal to win', { selection: 'away', won: false }, 'Away wins'],
+    [spec('OU', { line: 2.5, selection: 'over' }), 'Over 2.5', { selection: 'under', won: false }, 'Under 2.5 goals'],
+    [spec('BTTS', { period: '1H', selection: 'yes' }), 'BTTS HT', { selection: 'no', won: false }, 'Not both teams to score HT'],
+    [spec('CS', { selection: '1-0' }), '1-0', { selection: '2-2', won: false }, '2-2']
+  ])('answers %j / "%s" with the prediction when it won, else the canonical label', (input, predicted, settlement, outcome) => {
+    expect(marketSpec.contractOutcome(input, settlement, predicted)).toBe(outcome);
+  });
+});
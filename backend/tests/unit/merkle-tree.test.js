@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+const { MerkleTree, hashLeaf, buildBalanceTree } = require('../../utils/merkle-tree');
+
+const account = (n) => ethers.getAddress('0x' + n.toString(16).padStart(40, '0'));
+
+function balances(count) {
+  return Array.from({ length: count }, (_, i) => ({ account: account(count - i), amount: BigInt(i + 1) * 10n ** 18n }));
+}
+
+describe('buildBalanceTree', () => {
+  it.each([1, 2, 3, 5, 8])('gives every one of %i claims a proof that verifies against the root', (count) => {
+    const { root, claims } = buildBalanceTree(balances(count));
+
+    for (const claim of claims) {
+      expect(claim.leaf).toBe(hashLeaf(claim.index, claim.account, claim.amount));
+      expect(MerkleTree.verify(claim.proof, root, claim.leaf)).toBe(true);
+    }
+  });
+
+  it('uses the single leaf as the root of a one-claim tree', () => {
+    const { root, claims } = buildBalanceTree(balances(1));
+
+    expect(root).toBe(claims[0].leaf.toLowerCase());
+    expect(claims[0].proof).toEqual([]);
+  });
+
+  it('numbers claims by address and sums the total', () => {
+    const { total, claims } = buildBalanceTree(balances(3));
+
+    expect(claims.map(claim => [claim.index, claim.account])).toEqual([[0, account(1)], [1, account(2)], [2, account(3)]]);
+    expect(total).toBe(6n * 10n ** 18n);
+  });
+
+  it('gives the same root whatever order the balances come in', () => {
+    const list = balances(6);
+
+    expect(buildBalanceTree([...list].reverse()).root).toBe(buildBalanceTree(list).root);
+  });
+
+  it('refuses an account listed twice, in any casing', () => {
+    const list = [{ account: account(10), amount: 1n }, { account: account(10).toLowerCase(), amount: 2n }];
+
+    expect(() => buildBalanceTree(list)).toThrow(`Duplicate account ${account(10)}`);
+  });
+
+  it('matches the leaf encoding MerkleDistributor checks on-chain', () => {
+    const encoded = ethers.AbiCoder.defaultAbiCoder();
+    const packed = ethers.concat([encoded.encode(['uint256'], [2]), account(7), encoded.encode(['uint256'], [5])]);
+
+    expect(hashLeaf(2, account(7).toLowerCase(), 5n)).toBe(ethers.keccak256(packed));
+  });
+});
+
+describe('MerkleTree.verify', () => {
+  const { root, claims } = buildBalanceTree(balances(5));
+
+  it('rejects a proof for a different amount or index', () => {
+    const [claim] = claims;
+
+    expect(MerkleTree.verify(claim.proof, root, hashLeaf(claim.index, claim.account, claim.amount + 1n))).toBe(false);
+    expect(MerkleTree.verify(claim.proof, root, hashLeaf(claim.index + 1, claim.account, claim.amount))).toBe(false);
+  });
+
+  it("rejects another claim's proof and a tampered proof", () => {
+    expect(MerkleTree.verify(claims[1].proof, root, claims[0].leaf)).toBe(false);
+    expect(MerkleTree.verify([ethers.ZeroHash, ...claims[0].proof.slice(1)], root, claims[0].leaf)).toBe(false);
+  });
+
+  it('refuses proofs for leaves outside the tree and empty trees', () => {
+    expect(() => new MerkleTree([claims[0].leaf]).getProof(claims[1].leaf)).toThrow('is not in the tree');
+    expect(() => new MerkleTree([])).toThrow('Cannot build a Merkle tree without leaves');
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/notification-channels', () => ({
+  CHANNELS: { webhook: {}, email: {}, telegram: {} },
+  createNotificationChannels: jest.fn(() => ({ webhook: { send: jest.fn() } }))
+}));
+
+const db = require('../../db/db');
+const deliveryService = require('../../services/notification-delivery-service');
+
+const CHANNEL = { id: 3, channel: 'webhook', target: 'https://hooks.example/x', secret: 's3cret', enabled: true, verified_at: new Date().toISOString(), user_address: '0xabc' };
+
+function outboxRow(overrides = {}) {
+  return { id: 1, channel_id: 3, kind: 'notification', attempts: 1, payload: { title: 'Pool settled', message: 'You won' }, ...overrides };
+}
+
+function lastUpdate() {
+  const [sql, params] = db.query.mock.calls[db.query.mock.calls.length - 1];
+  return { sql, params };
+}
+
+const sender = () => deliveryService.channels.webhook.send;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  db.query.mockReset().mockResolvedValue({ rows: [] });
+  sender().mockReset();
+  deliveryService.config = {
+    ...deliveryService.config,
+    outbox: { ...deliveryService.config.outbox, maxAttempts: 4, retryBaseMs: 1000, retryMaxMs: 5000 }
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('NotificationDeliveryService.deliverGroup', () => {
+  it('marks the rows sent after one message to the channel', async () => {
+    await expect(deliveryService.deliverGroup(CHANNEL, [outboxRow(), outboxRow({ id: 2 })])).resolves.toBe('sent');
+
+    expect(sender()).toHaveBeenCalledWith(CHANNEL.target, expect.objectContaining({ subject: '2 new Bitredict notifications' }), { secret: 's3cret' });
+    expect(lastUpdate().sql).toContain("status = 'sent'");
+    expect(lastUpdate().params).toEqual([[1, 2]]);
+  });
+
+  it.each([
+    [1, 1000],
+    [2, 2000],
+    [3, 4000]
+  ])('retries after attempt %i with a %ims delay', async (attempts, delayMs) => {
+    sender().mockRejectedValue(new Error('502 Bad Gateway'));
+
+    await expect(deliveryService.deliverGroup(CHANNEL, [outboxRow({ attempts })])).resolves.toBe('retried');
+
+    expect(lastUpdate().sql).toContain("status = 'pending'");
+    expect(lastUpdate().params).toEqual([[1], '502 Bad Gateway', delayMs]);
+  });
+
+  it('caps the delay, but waits as long as the channel asks', async () => {
+    deliveryService.config.outbox.maxAttempts = 10;
+    sender().mockRejectedValue(new Error('slow down'));
+    await deliveryService.deliverGroup(CHANNEL, [outboxRow({ attempts: 6 })]);
+    expect(lastUpdate().params[2]).toBe(5000);
+
+    sender().mockRejectedValue(Object.assign(new Error('429'), { retryAfterMs: 30000 }));
+    await deliveryService.deliverGroup(CHANNEL, [outboxRow({ attempts: 1 })]);
+    expect(lastUpdate().params[2]).toBe(30000);
+  });
+
+  it('uses the most attempted row of a digest for the backoff', async () => {
+    sender().mockRejectedValue(new Error('timeout'));
+
+    await deliveryService.deliverGroup(CHANNEL, [outboxRow({ attempts: 1 }), outboxRow({ id: 2, attempts: 3 })]);
+
+    expect(lastUpdate().params).toEqual([[1, 2], 'timeout', 4000]);
+  });
+
+  it('gives up at maxAttempts or on a permanent error', async () => {
+    sender().mockRejectedValue(new Error('timeout'));
+    await expect(deliveryService.deliverGroup(CHANNEL, [outboxRow({ attempts: 4 })])).resolves.toBe('failed');
+    expect(lastUpdate().sql).toContain("status = 'failed'");
+
+    sender().mockRejectedValue(Object.assign(new Error('410 Gone'), { permanent: true }));
+    await expect(deliveryService.deliverGroup(CHANNEL, [outboxRow({ attempts: 1 })])).resolves.toBe('failed');
+  });
+
+  it('cancels rows for disabled or unverified channels without sending', async () => {
+    await expect(deliveryService.deliverGroup({ ...CHANNEL, verified_at: null }, [outboxRow()])).resolves.toBe('cancelled');
+    await expect(deliveryService.deliverGroup({ ...CHANNEL, enabled: false }, [outboxRow()])).resolves.toBe('cancelled');
+    await expect(deliveryService.deliverGroup(undefined, [outboxRow()])).resolves.toBe('cancelled');
+
+    expect(sender()).not.toHaveBeenCalled();
+  });
+
+  it('sends verification codes to channels that are not verified yet', async () => {
+    const row = outboxRow({ kind: 'verification', payload: { code: '123456' } });
+
+    await expect(deliveryService.deliverGroup({ ...CHANNEL, verified_at: null }, [row])).resolves.toBe('sent');
+    expect(sender().mock.calls[0][1]).toMatchObject({ kind: 'verification', code: '123456' });
+  });
+});
+
+describe('NotificationDeliveryService.processOutbox', () => {
+  it('requeues stale rows, then sends one message per channel and verification code', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [
+        outboxRow({ id: 1 }),
+        outboxRow({ id: 2 }),
+        outboxRow({ id: 3, kind: 'verification', payload: { code: '654321' } })
+      ] })
+      .mockResolvedValueOnce({ rows: [CHANNEL] });
+
+    await expect(deliveryService.processOutbox()).resolves.toEqual({ sent: 3, retried: 0, failed: 0, cancelled: 0 });
+
+    expect(db.query.mock.calls[0][0]).toContain("WHERE status = 'sending' AND locked_at <");
+    expect(db.query.mock.calls[1][0]).toContain('attempts = attempts + 1');
+    expect(sender()).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not run twice at once', async () => {
+    deliveryService.isProcessing = true;
+
+    await expect(deliveryService.processOutbox()).resolves.toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+    deliveryService.isProcessing = false;
+  });
+});
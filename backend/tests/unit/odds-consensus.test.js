@@ -0,0 +1,93 @@
+const OddsConsensus = require('../../services/odds-consensus');
+
+function odd(bookmakerId, marketId, label, value, total) {
+  return { bookmaker_id: bookmakerId, market_id: marketId, label, value: String(value), total };
+}
+
+// 1X2 prices per bookmaker: [home, draw, away]
+function fullTime(prices) {
+  return Object.entries(prices).flatMap(([bookmakerId, [home, draw, away]]) => [
+    odd(bookmakerId, 1, 'Home', home),
+    odd(bookmakerId, 1, 'Draw', draw),
+    odd(bookmakerId, 1, 'Away', away)
+  ]);
+}
+
+describe('OddsConsensus outliers', () => {
+  const consensus = new OddsConsensus({ method: 'median', minBookmakers: 2, outlierPercent: 25 });
+
+  it('drops a price too far from the median before building the consensus', () => {
+    const { consensus: prices } = consensus.aggregate(fullTime({
+      1: [2.0, 3.4, 3.8],
+      2: [2.1, 3.3, 3.6],
+      3: [2.05, 3.5, 3.7],
+      4: [9.0, 3.4, 3.7]
+    }));
+
+    expect(prices.ft_home).toMatchObject({ value: 2.05, min: 2.0, max: 2.1, bookmakerCount: 3, outliers: 1 });
+    expect(prices.ft_draw).toMatchObject({ bookmakerCount: 4, outliers: 0 });
+  });
+
+  it('keeps a price exactly at the outlier limit', () => {
+    const { consensus: prices } = consensus.aggregate(fullTime({ 1: [2.0, 3, 4], 2: [2.0, 3, 4], 3: [2.5, 3, 4] }));
+
+    expect(prices.ft_home).toMatchObject({ bookmakerCount: 3, outliers: 0, max: 2.5 });
+  });
+
+  it('leaves the outlier bookmaker out of the margin-free price', () => {
+    const fair = new OddsConsensus({ method: 'fair', minBookmakers: 2, outlierPercent: 25 });
+    const { consensus: prices } = fair.aggregate(fullTime({
+      1: [2.0, 4.0, 4.0],
+      2: [2.0, 4.0, 4.0],
+      3: [9.0, 4.0, 4.0]
+    }));
+
+    // 1/2 + 1/4 + 1/4 = 1, so the two kept bookmakers have no margin to remove
+    expect(prices.ft_home.value).toBeCloseTo(2.0);
+    expect(prices.ft_home.outliers).toBe(1);
+  });
+
+  it('ignores prices outside the plausible range for the market', () => {
+    const { consensus: prices } = consensus.aggregate([
+      odd(1, 80, 'Over', 1.0, 2.5),
+      odd(2, 80, 'Over', 12, 2.5),
+      odd(3, 80, 'Over', 1.9, 2.5),
+      odd(3, 80, 'Over', 1.5, 3.5)
+    ]);
+
+    expect(prices.over_25).toMatchObject({ value: 1.9, bookmakerCount: 1 });
+    expect(prices.over_35).toMatchObject({ value: 1.5 });
+  });
+});
+
+describe('OddsConsensus methods and completeness', () => {
+  const odds = fullTime({ 1: [2.0, 3.2, 3.6], 2: [2.2, 3.4, 3.4] });
+
+  it.each([
+    ['median', 2.1],
+    ['best', 2.2]
+  ])('%s gives %s for the home win', (method, value) => {
+    expect(new OddsConsensus({ method, minBookmakers: 2, outlierPercent: 25 }).aggregate(odds).consensus.ft_home.value).toBeCloseTo(value);
+  });
+
+  it('refuses an unknown method', () => {
+    expect(() => new OddsConsensus({ method: 'mean' })).toThrow('Invalid odds consensus method: mean');
+  });
+
+  it('scores coverage by market weight and needs 1X2 and OU 2.5 for Oddyssey', () => {
+    const consensus = new OddsConsensus({ method: 'median', minBookmakers: 2, outlierPercent: 25 });
+    const { completeness } = consensus.aggregate(odds);
+
+    expect(completeness.bookmakerCount).toBe(2);
+    expect(completeness.markets['1']).toEqual({ coverage: 1, bookmakers: 2 });
+    expect(completeness.oddysseyReady).toBe(false);
+
+    const ready = consensus.aggregate([
+      ...odds,
+      odd(1, 80, 'Over', 1.9, 2.5), odd(1, 80, 'Under', 1.9, 2.5),
+      odd(2, 80, 'Over', 1.8, 2.5), odd(2, 80, 'Under', 2.0, 2.5)
+    ]).completeness;
+    expect(ready.oddysseyReady).toBe(true);
+    expect(ready.score).toBeGreaterThan(completeness.score);
+  });
+});
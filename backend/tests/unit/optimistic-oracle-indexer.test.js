@@ -0,0 +1,202 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/web3-service', () => jest.fn().mockImplementation(() => ({
+  provider: { getBlockNumber: jest.fn() }
+})));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const OptimisticOracleIndexer = require('../../services/optimistic-oracle-indexer');
+
+const MARKET_ID = 'football:1234:1X2';
+const MARKET_HASH = ethers.keccak256(ethers.toUtf8Bytes(MARKET_ID));
+const PROPOSER = '0x' + 'A1'.repeat(20);
+const DISPUTER = '0x' + 'B2'.repeat(20);
+const VOTER = '0x' + 'C3'.repeat(20);
+const HOME = ethers.encodeBytes32String('1');
+const AWAY = ethers.encodeBytes32String('2');
+
+function market(overrides = {}) {
+  return {
+    marketId: MARKET_HASH,
+    poolId: 7n,
+    question: 'Who wins?',
+    category: 'football',
+    eventEndTime: 1760000000n,
+    state: 1n,
+    proposer: PROPOSER,
+    proposedOutcome: HOME,
+    proposalBond: 10n ** 18n,
+    proposalTime: 1760003600n,
+    disputer: ethers.ZeroAddress,
+    disputeBond: 0n,
+    disputeTime: 0n,
+    finalOutcome: ethers.ZeroHash,
+    bondsClaimed: false,
+    ...overrides
+  };
+}
+
+function event(transactionHash, index = 0, blockNumber = 100) {
+  return { log: { transactionHash, index, blockNumber } };
+}
+
+function queries(fragment) {
+  return db.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+}
+
+let indexer;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.query.mockReset().mockImplementation(async (sql) => (
+    sql.includes('FROM oracle.pools') ? { rows: [{ market_id: MARKET_ID }] } : { rows: [] }
+  ));
+
+  indexer = new OptimisticOracleIndexer();
+  indexer.contract = {
+    markets: jest.fn().mockResolvedValue(market()),
+    disputes: jest.fn().mockResolvedValue({ disputeEndTime: 0n }),
+    getDispute: jest.fn().mockResolvedValue([0n, 0n, 0n, [VOTER]]),
+    getVote: jest.fn().mockResolvedValue([AWAY, 5n * 10n ** 18n]),
+    queryFilter: jest.fn().mockResolvedValue([]),
+    filters: new Proxy({}, { get: (target, name) => () => name })
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OptimisticOracleIndexer.syncMarket', () => {
+  it('stores the on-chain snapshot with the recovered market id and decoded outcome', async () => {
+    await indexer.syncMarket(MARKET_HASH);
+
+    const [[, params]] = queries('INSERT INTO oracle.optimistic_markets');
+    expect(params.slice(0, 12)).toEqual([
+      MARKET_HASH, MARKET_ID, 7, 'Who wins?', 'football', 1760000000, 'proposed',
+      PROPOSER.toLowerCase(), '1', HOME, (10n ** 18n).toString(), 1760003600
+    ]);
+    expect(params.slice(12)).toEqual([null, '0', null, null, null, null, false]);
+    expect(indexer.contract.getDispute).not.toHaveBeenCalled();
+  });
+
+  it('leaves the market id empty when the pool does not hash to the event', async () => {
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('FROM oracle.pools') ? { rows: [{ market_id: 'someone-else' }] } : { rows: [] }
+    ));
+
+    await indexer.syncMarket(MARKET_HASH);
+
+    expect(queries('INSERT INTO oracle.optimistic_markets')[0][1][1]).toBeNull();
+  });
+
+  it('picks up the votes of a disputed market', async () => {
+    indexer.contract.markets.mockResolvedValue(market({ state: 2n, disputer: DISPUTER, disputeBond: 2n * 10n ** 18n, disputeTime: 1760004000n }));
+    indexer.contract.disputes.mockResolvedValue({ disputeEndTime: 1760090400n });
+
+    await indexer.syncMarket(MARKET_HASH);
+
+    const [[, marketParams]] = queries('INSERT INTO oracle.optimistic_markets');
+    expect(marketParams.slice(6, 7)).toEqual(['disputed']);
+    expect(marketParams.slice(12, 16)).toEqual([DISPUTER.toLowerCase(), (2n * 10n ** 18n).toString(), 1760004000, 1760090400]);
+    expect(indexer.contract.getVote).toHaveBeenCalledWith(MARKET_ID, VOTER);
+    expect(queries('INSERT INTO oracle.optimistic_votes')[0][1]).toEqual([
+      MARKET_HASH, VOTER.toLowerCase(), '2', AWAY, (5n * 10n ** 18n).toString(), null, null
+    ]);
+  });
+
+  it('refuses a market the contract does not know', async () => {
+    indexer.contract.markets.mockResolvedValue(market({ marketId: ethers.ZeroHash }));
+
+    await expect(indexer.syncMarket(MARKET_HASH)).rejects.toThrow(`Market ${MARKET_HASH} does not exist on-chain`);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('OptimisticOracleIndexer event handlers', () => {
+  it('records where a market was created without overwriting it on replay', async () => {
+    await indexer.handleMarketCreated(MARKET_HASH, event('0xcreate', 0, 120));
+
+    const [sql, params] = db.query.mock.calls[db.query.mock.calls.length - 1];
+    expect(sql).toContain('tx_hash = COALESCE(tx_hash, $2)');
+    expect(params).toEqual([MARKET_HASH, '0xcreate', 120]);
+  });
+
+  it('syncs a market the first time one of its votes arrives, and keeps the first tx hash', async () => {
+    await indexer.handleVoteCast(MARKET_HASH, VOTER, AWAY, 3n, event('0xvote', 2, 130));
+
+    expect(indexer.contract.markets).toHaveBeenCalledTimes(1);
+    const [sql, params] = queries('INSERT INTO oracle.optimistic_votes')[0];
+    expect(sql).toContain('ON CONFLICT (market_id_hash, voter_address) DO UPDATE');
+    expect(sql).toContain('tx_hash = COALESCE(oracle.optimistic_votes.tx_hash, EXCLUDED.tx_hash)');
+    expect(params).toEqual([MARKET_HASH, VOTER.toLowerCase(), '2', AWAY, '3', '0xvote', 130]);
+  });
+
+  it('does not resync a market it already has', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{}] });
+
+    await indexer.handleVoteCast(MARKET_HASH, VOTER, AWAY, 3n, event('0xvote'));
+
+    expect(indexer.contract.markets).not.toHaveBeenCalled();
+  });
+
+  it('stores the winner and reward of a resolved market', async () => {
+    await indexer.handleMarketResolved(MARKET_HASH, DISPUTER, 4n * 10n ** 18n, event('0xresolve'));
+
+    const [sql, params] = db.query.mock.calls[db.query.mock.calls.length - 1];
+    expect(sql).toContain('resolution_tx_hash = COALESCE(resolution_tx_hash, $4)');
+    expect(params).toEqual([MARKET_HASH, DISPUTER.toLowerCase(), (4n * 10n ** 18n).toString(), '0xresolve']);
+  });
+
+  it('stores no winner when the market resolved without one', async () => {
+    await indexer.handleMarketResolved(MARKET_HASH, ethers.ZeroAddress, 0n, event('0xresolve'));
+
+    expect(db.query.mock.calls[db.query.mock.calls.length - 1][1][1]).toBeNull();
+  });
+
+  it('records each bond claim once by tx hash and log index, and flags the market', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{}] });
+
+    await indexer.handleBondClaimed(MARKET_HASH, PROPOSER, 10n ** 18n, event('0xclaim', 4, 140));
+
+    const [claimSql, claimParams] = queries('INSERT INTO oracle.optimistic_bond_claims')[0];
+    expect(claimSql).toContain('ON CONFLICT (tx_hash, log_index) DO NOTHING');
+    expect(claimParams).toEqual([MARKET_HASH, PROPOSER.toLowerCase(), (10n ** 18n).toString(), '0xclaim', 4, 140]);
+    expect(queries('bonds_claimed = true')[0][1]).toEqual([MARKET_HASH]);
+  });
+});
+
+describe('OptimisticOracleIndexer.replayEvents', () => {
+  it('queries every event in chunks and keeps going when one query fails', async () => {
+    indexer.config.queryChunkSize = 10;
+    indexer.contract.queryFilter.mockImplementation(async (name) => {
+      if (name === 'OutcomeProposed') throw new Error('rpc timeout');
+      if (name === 'BondClaimed') return [{ args: [MARKET_HASH, PROPOSER, 1n], log: { transactionHash: '0xclaim', index: 1, blockNumber: 105 } }];
+      return [];
+    });
+    db.query.mockImplementation(async (sql) => (sql.includes('SELECT 1') ? { rows: [{}] } : { rows: [] }));
+
+    await indexer.replayEvents(100, 115);
+
+    expect(indexer.contract.queryFilter).toHaveBeenCalledWith('MarketCreated', 100, 109);
+    expect(indexer.contract.queryFilter).toHaveBeenCalledWith('MarketCreated', 110, 115);
+    expect(indexer.contract.queryFilter).toHaveBeenCalledTimes(12);
+    expect(queries('INSERT INTO oracle.optimistic_bond_claims')).toHaveLength(2);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to replay OutcomeProposed (100-109)'), 'rpc timeout');
+  });
+});
+
+describe('OptimisticOracleIndexer.getEventLocation', () => {
+  it.each([
+    ['an ethers v6 event', { log: { transactionHash: '0xa', index: 3, blockNumber: 9 } }, { txHash: '0xa', logIndex: 3, blockNumber: 9 }],
+    ['a raw log', { transactionHash: '0xb', logIndex: 1, blockNumber: 10n }, { txHash: '0xb', logIndex: 1, blockNumber: 10 }],
+    ['a missing payload', undefined, { txHash: null, logIndex: 0, blockNumber: null }]
+  ])('reads %s', (name, payload, location) => {
+    expect(indexer.getEventLocation(payload)).toEqual(location);
+  });
+});
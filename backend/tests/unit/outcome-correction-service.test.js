@@ -0,0 +1,115 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/tx-manager', () => ({
+  getProvider: jest.fn(),
+  registerSigner: jest.fn(),
+  sendContractCall: jest.fn()
+}));
+jest.mock('../../services/monitoring-alerting-system', () => jest.fn());
+
+const db = require('../../db/db');
+const correctionService = require('../../services/outcome-correction-service');
+const { OutcomeCorrectionError } = require('../../services/outcome-correction-service');
+
+/**
+ * One oracle.outcome_corrections row behind transition(): the row lock
+ * returns it, the UPDATE applies its assignments and audits are collected
+ */
+function fakeCase(row) {
+  const state = { row: { id: 1, market_id: '42', ...row }, audits: [] };
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) {
+        return { rows: [{ ...state.row }] };
+      }
+      if (sql.includes('UPDATE oracle.outcome_corrections')) {
+        const columns = [...sql.matchAll(/(\w+) = \$(\d+)/g)];
+        for (const [, column, index] of columns) {
+          state.row[column] = params[Number(index) - 1];
+        }
+        return { rows: [{ ...state.row }] };
+      }
+      if (sql.includes('INSERT INTO oracle.outcome_correction_audit')) {
+        const [, action, actor, fromStatus, toStatus, details] = params;
+        state.audits.push({ action, actor, fromStatus, toStatus, details: JSON.parse(details) });
+      }
+      return { rows: [] };
+    })
+  };
+  db.transaction.mockReset().mockImplementation(callback => callback(client));
+  return state;
+}
+
+beforeEach(() => {
+  correctionService.config = { ...correctionService.config, requireDistinctApprover: true };
+});
+
+describe('OutcomeCorrectionService review steps', () => {
+  it('prepares the expected outcome as a correctOutcome call', async () => {
+    const state = fakeCase({ status: 'flagged', submitted_outcome: 'Home', expected_outcome: 'Away' });
+
+    const row = await correctionService.prepare(1, { preparedBy: 'alice' });
+
+    expect(row).toMatchObject({ status: 'prepared', corrected_outcome: 'Away', prepared_by: 'alice' });
+    expect(JSON.parse(row.prepared_tx)).toMatchObject({ functionName: 'correctOutcome', parameters: ['42', '0x41776179'] });
+    expect(state.audits).toEqual([{
+      action: 'prepared',
+      actor: 'alice',
+      fromStatus: 'flagged',
+      toStatus: 'prepared',
+      details: { outcome: 'Away', override: false, note: null }
+    }]);
+  });
+
+  it('needs an explicit outcome when the pools disagree, and refuses the current one', async () => {
+    fakeCase({ status: 'flagged', submitted_outcome: 'Home', expected_outcome: null });
+    await expect(correctionService.prepare(1, { preparedBy: 'alice' })).rejects.toThrow('outcome is required');
+    await expect(correctionService.prepare(1, { outcome: 'Home', preparedBy: 'alice' })).rejects.toThrow('already the outcome');
+  });
+
+  it('requires a second admin to approve', async () => {
+    fakeCase({ status: 'prepared', prepared_by: 'alice', corrected_outcome: 'Away' });
+
+    await expect(correctionService.approve(1, { approvedBy: ' Alice ' }))
+      .rejects.toMatchObject({ status: 403, message: expect.stringContaining('another admin must approve it') });
+
+    const row = await correctionService.approve(1, { approvedBy: 'bob' });
+    expect(row).toMatchObject({ status: 'approved', approved_by: 'bob' });
+  });
+
+  it('refuses steps out of order', async () => {
+    fakeCase({ status: 'flagged' });
+    await expect(correctionService.approve(1, { approvedBy: 'bob' }))
+      .rejects.toMatchObject({ status: 409, message: 'Correction 1 is flagged, expected prepared' });
+
+    fakeCase({ status: 'executed' });
+    await expect(correctionService.reject(1, { rejectedBy: 'bob' })).rejects.toBeInstanceOf(OutcomeCorrectionError);
+  });
+
+  it('closes any open case on rejection', async () => {
+    const state = fakeCase({ status: 'approved' });
+
+    const row = await correctionService.reject(1, { rejectedBy: 'bob', reason: 'score was right' });
+
+    expect(row).toMatchObject({ status: 'rejected', closed_by: 'bob', close_reason: 'score was right' });
+    expect(state.audits[0]).toMatchObject({ action: 'rejected', fromStatus: 'approved', details: { reason: 'score was right' } });
+  });
+
+  it('needs an actor for every step', async () => {
+    fakeCase({ status: 'flagged' });
+
+    await expect(correctionService.prepare(1, { preparedBy: ' ' })).rejects.toThrow('preparedBy is required');
+    await expect(correctionService.approve(1, {})).rejects.toThrow('approvedBy is required');
+    await expect(correctionService.execute(1, { executedBy: null })).rejects.toThrow('executedBy is required');
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  it('only executes approved cases', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 1, status: 'prepared' }] });
+
+    await expect(correctionService.execute(1, { executedBy: 'carol' }))
+      .rejects.toMatchObject({ status: 409, message: 'Correction 1 is prepared, only approved corrections can be executed' });
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const db = require('../../db/db');
+const config = require('../../config');
+const poolRanking = require('../../utils/pool-ranking');
+
+const squash = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+describe('poolRanking.tierName', () => {
+  it.each([
+    [3, 'GOLD'],
+    ['2', 'SILVER'],
+    ['bronze', 'BRONZE'],
+    [0, 'NONE'],
+    [7, 'NONE'],
+    [null, 'NONE'],
+    ['PLATINUM', 'NONE']
+  ])('%p -> %s', (value, name) => {
+    expect(poolRanking.tierName(value)).toBe(name);
+  });
+});
+
+describe('poolRanking.orderBySql', () => {
+  it('puts active boosts first by tier, then the recency and fill score, then the newest pool', () => {
+    const sql = squash(poolRanking.orderBySql('x'));
+    const tier = sql.indexOf(squash(poolRanking.activeTierSql('x')));
+    const score = sql.indexOf(squash(poolRanking.scoreSql('x')));
+
+    expect(tier).toBe('ORDER BY '.length);
+    expect(score).toBeGreaterThan(tier);
+    expect(sql.endsWith('DESC, x.pool_id DESC')).toBe(true);
+  });
+
+  it('ranks GOLD over SILVER over BRONZE, whether stored by name or enum value', () => {
+    const sql = squash(poolRanking.activeTierSql('p'));
+
+    expect(sql).toContain("WHEN 'GOLD' THEN 3 WHEN '3' THEN 3 WHEN 'SILVER' THEN 2 WHEN '2' THEN 2 WHEN 'BRONZE' THEN 1 WHEN '1' THEN 1 ELSE 0");
+    expect(sql).toMatch(/ELSE 0 END\)$/);
+  });
+
+  it('weights recency and fill from config', () => {
+    const ranking = config.boosts.ranking;
+    config.boosts.ranking = { recencyHalfLifeHours: 12, recencyWeight: 2, fillWeight: 3 };
+
+    const sql = squash(poolRanking.scoreSql('p'));
+    config.boosts.ranking = ranking;
+
+    expect(sql).toMatch(/^\(2 \* POWER\(0\.5,/);
+    expect(sql).toContain('/ 3600 / 12)');
+    expect(sql).toContain('+ 3 * COALESCE(LEAST(1,');
+  });
+});
+
+describe('poolRanking.getRankedPoolIds', () => {
+  beforeEach(() => {
+    db.query.mockReset().mockResolvedValue({ rows: [{ pool_id: '9' }, { pool_id: '4' }] });
+  });
+
+  it('returns ids in the order the query ranked them', async () => {
+    await expect(poolRanking.getRankedPoolIds(20, 40)).resolves.toEqual([9, 4]);
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(squash(sql)).toContain(squash(poolRanking.orderBySql('p')));
+    expect(params).toEqual([20, 40, null]);
+  });
+
+  it('shows private pools only to a lowercased viewer', async () => {
+    await poolRanking.getRankedPoolIds(50, 0, '0xABCdef');
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(squash(sql)).toContain(squash(poolRanking.visibleToSql('p', '$3')));
+    expect(params[2]).toBe('0xabcdef');
+  });
+});
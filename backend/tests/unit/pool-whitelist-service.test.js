@@ -0,0 +1,153 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/web3-service', () => jest.fn());
+jest.mock('../../services/notification-service', () => ({
+  notifyInviteRedeemed: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const notificationService = require('../../services/notification-service');
+const whitelistService = require('../../services/pool-whitelist-service');
+const { WhitelistError } = require('../../services/pool-whitelist-service');
+
+const CREATOR = '0x' + 'a1'.repeat(20);
+const USER = '0x' + 'b2'.repeat(20);
+const OTHER = '0x' + 'c3'.repeat(20);
+const POOL = { pool_id: 12, creator_address: CREATOR, title: 'Derby', is_private: true, is_settled: false };
+
+function invite(overrides = {}) {
+  return {
+    id: 5,
+    pool_id: 12,
+    creator_address: CREATOR,
+    label: 'friends',
+    max_uses: 2,
+    use_count: 0,
+    expires_at: new Date(Date.now() + 3600000).toISOString(),
+    revoked_at: null,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.transaction.mockReset();
+  notificationService.notifyInviteRedeemed.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PoolWhitelistService invite tokens', () => {
+  it('round-trips a signed token', () => {
+    const row = invite();
+    const parsed = whitelistService.parseInviteToken(whitelistService.signInvite(row));
+
+    expect(parsed).toEqual({ inviteId: 5, poolId: 12, expiresAt: new Date(Math.floor(Date.parse(row.expires_at) / 1000) * 1000) });
+  });
+
+  it('refuses tokens that were edited, truncated or expired', () => {
+    const [payload, signature] = whitelistService.signInvite(invite()).split('.');
+    const forged = Buffer.from(JSON.stringify({ i: 5, p: 13, e: 9999999999 })).toString('base64url');
+
+    expect(() => whitelistService.parseInviteToken(`${forged}.${signature}`)).toThrow(expect.objectContaining({ status: 403 }));
+    expect(() => whitelistService.parseInviteToken(payload)).toThrow('Malformed invite token');
+    expect(() => whitelistService.parseInviteToken(whitelistService.signInvite(invite({ expires_at: new Date(Date.now() - 1000) }))))
+      .toThrow(expect.objectContaining({ status: 410, message: 'Invite has expired' }));
+  });
+});
+
+describe('PoolWhitelistService.redeemInvite', () => {
+  function redeem({ row = invite(), whitelisted = false, inserted = true } = {}) {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [row] })
+        .mockResolvedValueOnce({ rows: inserted ? [{ id: 1 }] : [] })
+        .mockResolvedValue({ rows: [] })
+    };
+    db.query
+      .mockResolvedValueOnce({ rows: [POOL] })
+      .mockResolvedValueOnce({ rows: whitelisted ? [{}] : [] });
+    db.transaction.mockImplementation(callback => callback(client));
+    return { client, token: whitelistService.signInvite(row) };
+  }
+
+  it('puts the user on the pending list, counts the use and tells the creator', async () => {
+    const { client, token } = redeem();
+
+    await expect(whitelistService.redeemInvite(token, USER.toUpperCase().replace('0X', '0x'))).resolves.toEqual({ poolId: 12, status: 'pending' });
+
+    expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    expect(client.query.mock.calls[1][1]).toEqual([5, 12, USER]);
+    expect(client.query.mock.calls[2][0]).toContain('use_count = use_count + 1');
+    expect(notificationService.notifyInviteRedeemed).toHaveBeenCalledWith(CREATOR, { poolId: 12, title: 'Derby', invitee: USER });
+  });
+
+  it('does not count a second redemption by the same user', async () => {
+    const { client, token } = redeem({ inserted: false });
+
+    await whitelistService.redeemInvite(token, USER);
+
+    expect(client.query).toHaveBeenCalledTimes(2);
+    expect(notificationService.notifyInviteRedeemed).not.toHaveBeenCalled();
+  });
+
+  it('reports users already on the whitelist without notifying', async () => {
+    const { token } = redeem({ whitelisted: true });
+
+    await expect(whitelistService.redeemInvite(token, USER)).resolves.toEqual({ poolId: 12, status: 'whitelisted' });
+    expect(notificationService.notifyInviteRedeemed).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ revoked_at: new Date().toISOString() }, 'Invite has been revoked'],
+    [{ max_uses: 2, use_count: 2 }, 'Invite has no uses left']
+  ])('refuses an invite with %j', async (overrides, message) => {
+    const { token } = redeem({ row: invite(overrides) });
+
+    await expect(whitelistService.redeemInvite(token, USER)).rejects.toMatchObject({ status: 410, message });
+  });
+
+  it('refuses the creator', async () => {
+    const { token } = redeem();
+
+    await expect(whitelistService.redeemInvite(token, CREATOR)).rejects.toThrow('Pool creators do not need an invite');
+  });
+});
+
+describe('PoolWhitelistService.prepareWhitelistUpdate', () => {
+  it('prepares one call per address that would change', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ user_address: OTHER }] });
+
+    const { transactions, skipped } = await whitelistService.prepareWhitelistUpdate(POOL, 'add', [USER, USER.toUpperCase().replace('0X', '0x'), OTHER, CREATOR]);
+
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({ functionName: 'addToWhitelist', parameters: ['12', ethers.getAddress(USER)], value: '0' });
+    expect(whitelistService.interface.decodeFunctionData('addToWhitelist', transactions[0].data).map(String)).toEqual(['12', ethers.getAddress(USER)]);
+    expect(skipped).toEqual([{ address: OTHER, reason: 'already_whitelisted' }, { address: CREATOR, reason: 'creator' }]);
+  });
+
+  it('only removes users that are on the whitelist', async () => {
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const { transactions, skipped } = await whitelistService.prepareWhitelistUpdate(POOL, 'remove', [USER]);
+
+    expect(transactions).toEqual([]);
+    expect(skipped).toEqual([{ address: USER, reason: 'not_whitelisted' }]);
+  });
+
+  it.each([
+    ['promote', [USER], 'Action must be "add" or "remove"'],
+    ['add', [], 'At least one address is required'],
+    ['add', ['0x1234'], 'Invalid addresses: 0x1234'],
+    ['add', Array(51).fill(USER), 'At most 50 addresses per request']
+  ])('refuses %s %j', async (action, addresses, message) => {
+    await expect(whitelistService.prepareWhitelistUpdate(POOL, action, addresses)).rejects.toEqual(new WhitelistError(message));
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
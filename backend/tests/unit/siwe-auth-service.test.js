@@ -0,0 +1,170 @@
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.SIWE_DOMAINS = 'bitredict.xyz';
+process.env.CHAIN_ID = '50312';
+
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() }
+}));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const siweAuthService = require('../../services/siwe-auth-service');
+const { AuthError } = require('../../services/siwe-auth-service');
+
+function buildMessage(address, overrides = {}) {
+  const fields = {
+    domain: 'bitredict.xyz',
+    statement: 'Sign in to Bitredict',
+    uri: 'https://bitredict.xyz',
+    version: '1',
+    chainId: '50312',
+    nonce: 'a1b2c3d4e5f60718',
+    issuedAt: new Date().toISOString(),
+    ...overrides
+  };
+  const lines = [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    fields.statement,
+    '',
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  ];
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+  return lines.join('\n');
+}
+
+describe('SiweAuthService.parseMessage', () => {
+  const wallet = ethers.Wallet.createRandom();
+
+  it('parses the EIP-4361 fields', () => {
+    const fields = siweAuthService.parseMessage(
+      buildMessage(wallet.address) + '\nResources:\n- https://bitredict.xyz/terms'
+    );
+
+    expect(fields).toMatchObject({
+      scheme: null,
+      domain: 'bitredict.xyz',
+      address: wallet.address,
+      statement: 'Sign in to Bitredict',
+      uri: 'https://bitredict.xyz',
+      version: '1',
+      chainId: 50312,
+      nonce: 'a1b2c3d4e5f60718',
+      resources: ['https://bitredict.xyz/terms']
+    });
+  });
+
+  it('accepts CRLF line endings and a scheme in the header', () => {
+    const message = buildMessage(wallet.address).replace('bitredict.xyz wants', 'https://bitredict.xyz wants');
+    const fields = siweAuthService.parseMessage(message.replace(/\n/g, '\r\n'));
+
+    expect(fields.scheme).toBe('https');
+    expect(fields.domain).toBe('bitredict.xyz');
+  });
+
+  it('rejects a bad header, address, missing field or version', () => {
+    expect(() => siweAuthService.parseMessage('hello')).toThrow(AuthError);
+    expect(() => siweAuthService.parseMessage(buildMessage('0x1234'))).toThrow('Invalid SIWE message address');
+    expect(() => siweAuthService.parseMessage(buildMessage(wallet.address).replace(/\nNonce: .*/, '')))
+      .toThrow('SIWE message is missing nonce');
+    expect(() => siweAuthService.parseMessage(buildMessage(wallet.address, { version: '2' })))
+      .toThrow('Unsupported SIWE version 2');
+  });
+});
+
+describe('SiweAuthService.login', () => {
+  const wallet = ethers.Wallet.createRandom();
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn().mockResolvedValue({ rows: [{ nonce: 'a1b2c3d4e5f60718' }] }) };
+    db.transaction.mockReset().mockImplementation(callback => callback(client));
+  });
+
+  it('opens a session for a valid signature and returns a verifiable token', async () => {
+    const message = buildMessage(wallet.address);
+    const signature = await wallet.signMessage(message);
+
+    const session = await siweAuthService.login(message, signature);
+
+    expect(session.address).toBe(wallet.address.toLowerCase());
+    const sessionId = siweAuthService.verifyToken(session.token);
+    expect(sessionId).toBe(session.token.split('.')[0]);
+    expect(client.query.mock.calls[1][1][0]).toBe(sessionId);
+  });
+
+  it('rejects a signature from another wallet', async () => {
+    const message = buildMessage(wallet.address);
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    await expect(siweAuthService.login(message, signature)).rejects.toThrow('Signature does not match address');
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects foreign domains, wrong chains and expired messages', async () => {
+    const cases = [
+      [{ domain: 'evil.com' }, 'Domain evil.com is not allowed'],
+      [{ chainId: '1' }, 'Wrong chain id 1'],
+      [{ expirationTime: new Date(Date.now() - 1000).toISOString() }, 'SIWE message has expired']
+    ];
+
+    for (const [overrides, error] of cases) {
+      const message = buildMessage(wallet.address, overrides);
+      await expect(siweAuthService.login(message, await wallet.signMessage(message))).rejects.toThrow(error);
+    }
+  });
+
+  it('rejects a nonce that was already used', async () => {
+    client.query.mockResolvedValueOnce({ rows: [] });
+    const message = buildMessage(wallet.address);
+
+    await expect(siweAuthService.login(message, await wallet.signMessage(message)))
+      .rejects.toThrow('Invalid or expired nonce');
+  });
+});
+
+describe('SiweAuthService.verifyToken', () => {
+  const sessionId = 'ab'.repeat(24);
+
+  it('returns the session id of a token signed with the session secret', () => {
+    const token = `${sessionId}.${siweAuthService.signSessionId(sessionId)}`;
+    expect(siweAuthService.verifyToken(token)).toBe(sessionId);
+  });
+
+  it('rejects forged and malformed tokens', () => {
+    const forged = require('crypto').createHmac('sha256', 'other-secret').update(sessionId).digest('hex');
+
+    expect(siweAuthService.verifyToken(`${sessionId}.${forged}`)).toBeNull();
+    expect(siweAuthService.verifyToken(`${sessionId}.abc`)).toBeNull();
+    expect(siweAuthService.verifyToken(sessionId)).toBeNull();
+    expect(siweAuthService.verifyToken(null)).toBeNull();
+  });
+});
+
+describe('SiweAuthService session secret', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('refuses to start in production without SESSION_SECRET', () => {
+    delete process.env.SESSION_SECRET;
+    process.env.NODE_ENV = 'production';
+
+    jest.isolateModules(() => {
+      expect(() => require('../../services/siwe-auth-service')).toThrow('SESSION_SECRET must be set in production');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../../services/tx-manager', () => ({
+  getProvider: jest.fn()
+}));
+jest.mock('../../utils/reputationManager', () => ({}));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const config = require('../../config');
+const txManager = require('../../services/tx-manager');
+const tipsterService = require('../../services/tipster-service');
+
+const BUYER = '0x' + 'b1'.repeat(20);
+const TIPSTER = '0x' + 'a1'.repeat(20);
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const PUBLISHED = new Date('2026-03-01T12:00:00Z');
+const PUBLISHED_AT = PUBLISHED.getTime() / 1000;
+
+function pick(overrides = {}) {
+  return {
+    id: 9,
+    tipster_address: TIPSTER,
+    currency: 'STT',
+    price: ethers.parseEther('1').toString(),
+    created_at: PUBLISHED.toISOString(),
+    ...overrides
+  };
+}
+
+function bitrTransfer(from, to, amount, token = config.blockchain.contractAddresses.bitrToken) {
+  const { data, topics } = tipsterService.transferInterface.encodeEventLog('Transfer', [from, to, amount]);
+  return { address: token, data, topics };
+}
+
+/**
+ * A mined payment 3 blocks deep, sent 10s after the pick was published
+ */
+function mockChain({ tx = {}, receipt = {}, blockTimestamp = PUBLISHED_AT + 10 } = {}) {
+  const provider = {
+    getTransaction: jest.fn().mockResolvedValue({ from: BUYER, to: TIPSTER, value: ethers.parseEther('1'), ...tx }),
+    getTransactionReceipt: jest.fn().mockResolvedValue({ status: 1, blockNumber: 100, logs: [], ...receipt }),
+    getBlockNumber: jest.fn().mockResolvedValue(102),
+    getBlock: jest.fn().mockResolvedValue({ timestamp: blockTimestamp })
+  };
+  txManager.getProvider.mockReturnValue(provider);
+  return provider;
+}
+
+beforeEach(() => {
+  tipsterService.config = { ...tipsterService.config, minConfirmations: 1 };
+});
+
+describe('TipsterService.verifyPayment', () => {
+  it('accepts an STT transfer of at least the price to the tipster', async () => {
+    mockChain({ tx: { value: ethers.parseEther('1.5') } });
+
+    await expect(tipsterService.verifyPayment(pick(), BUYER, TX_HASH))
+      .resolves.toEqual({ amount: ethers.parseEther('1.5'), blockNumber: 100 });
+  });
+
+  it('accepts a payment mined in the same second the pick was published', async () => {
+    mockChain({ blockTimestamp: PUBLISHED_AT });
+    await expect(tipsterService.verifyPayment(pick(), BUYER, TX_HASH)).resolves.toMatchObject({ blockNumber: 100 });
+  });
+
+  it('rejects payments that cannot have bought this pick', async () => {
+    const cases = [
+      [{ receipt: { status: 0 } }, 'Transaction reverted'],
+      [{ tx: { from: TIPSTER } }, 'Transaction was not sent from your wallet'],
+      [{ tx: { to: BUYER } }, 'Transaction does not pay the tipster'],
+      [{ tx: { value: ethers.parseEther('0.5') } }, 'Transfer of 0.5 STT is below the price of 1.0 STT'],
+      [{ blockTimestamp: PUBLISHED_AT - 1 }, 'Transaction was sent before the pick was published']
+    ];
+
+    for (const [chain, error] of cases) {
+      mockChain(chain);
+      await expect(tipsterService.verifyPayment(pick(), BUYER, TX_HASH)).rejects.toThrow(error);
+    }
+  });
+
+  it('waits for the transaction to be mined and confirmed', async () => {
+    const provider = mockChain();
+    provider.getTransactionReceipt.mockResolvedValue(null);
+    await expect(tipsterService.verifyPayment(pick(), BUYER, TX_HASH)).rejects.toMatchObject({ status: 404 });
+
+    tipsterService.config.minConfirmations = 5;
+    mockChain();
+    await expect(tipsterService.verifyPayment(pick(), BUYER, TX_HASH)).rejects.toThrow('Transaction needs 5 confirmations');
+  });
+
+  it('sums BITR Transfer logs from the buyer to the tipster', async () => {
+    const bitrPick = pick({ currency: 'BITR', price: ethers.parseEther('100').toString() });
+    mockChain({
+      tx: { to: config.blockchain.contractAddresses.bitrToken, value: 0n },
+      receipt: {
+        logs: [
+          bitrTransfer(BUYER, TIPSTER, ethers.parseEther('60')),
+          bitrTransfer(BUYER, TIPSTER, ethers.parseEther('40')),
+          bitrTransfer(BUYER, BUYER, ethers.parseEther('500')),
+          bitrTransfer(BUYER, TIPSTER, ethers.parseEther('500'), '0x' + 'cc'.repeat(20))
+        ]
+      }
+    });
+
+    await expect(tipsterService.verifyPayment(bitrPick, BUYER, TX_HASH))
+      .resolves.toEqual({ amount: ethers.parseEther('100'), blockNumber: 100 });
+  });
+
+  it('rejects a BITR payment without a transfer to the tipster', async () => {
+    mockChain({ receipt: { logs: [bitrTransfer(BUYER, BUYER, ethers.parseEther('100'))] } });
+
+    await expect(tipsterService.verifyPayment(pick({ currency: 'BITR' }), BUYER, TX_HASH))
+      .rejects.toThrow('Transaction has no BITR transfer to the tipster');
+  });
+});
+
+describe('TipsterService.purchasePick', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the purchase once per transaction', async () => {
+    const row = pick({ locks_at: new Date(Date.now() + 3600000).toISOString(), sales: 0 });
+    jest.spyOn(tipsterService, 'getPickRow').mockResolvedValue(row);
+    jest.spyOn(tipsterService, 'presentPick').mockImplementation(presented => presented);
+    mockChain();
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await expect(tipsterService.purchasePick(9, BUYER, TX_HASH))
+      .rejects.toMatchObject({ status: 409, message: 'This transaction has already been used to buy a pick' });
+  });
+
+  it('refuses a malformed hash and the tipster buying their own pick', async () => {
+    await expect(tipsterService.purchasePick(9, BUYER, '0x1234')).rejects.toThrow('txHash must be a transaction hash');
+
+    jest.spyOn(tipsterService, 'getPickRow').mockResolvedValue(pick());
+    await expect(tipsterService.purchasePick(9, TIPSTER, TX_HASH)).rejects.toThrow('You cannot buy your own pick');
+  });
+});
@@ -0,0 +1,206 @@
+jest.mock('../../db/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { ethers } = require('ethers');
+const db = require('../../db/db');
+const txManager = require('../../services/tx-manager');
+const { TxError } = require('../../services/tx-manager');
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+const TARGET = '0x' + '11'.repeat(20);
+
+function fakeProvider(feeData = {}) {
+  return {
+    getFeeData: jest.fn().mockResolvedValue({ gasPrice: null, maxFeePerGas: null, maxPriorityFeePerGas: null, ...feeData }),
+    getTransactionCount: jest.fn().mockResolvedValue(0),
+    getTransactionReceipt: jest.fn().mockResolvedValue(null),
+    getTransaction: jest.fn().mockResolvedValue({})
+  };
+}
+
+beforeEach(() => {
+  db.query.mockReset();
+  txManager.config = {
+    ...txManager.config,
+    bumpAfterMs: 60000,
+    bumpPercent: 15,
+    maxBumps: 5,
+    maxGasPriceGwei: '200'
+  };
+  txManager.provider = fakeProvider();
+  txManager.chainId = 50312n;
+});
+
+describe('TxManager.submit idempotency keys', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const signerAddress = wallet.address.toLowerCase();
+
+  it('queues a new key', async () => {
+    db.query.mockResolvedValueOnce({ rows: [{ id: 1, idempotency_key: 'settle:7' }] });
+
+    const result = await txManager.submit(wallet, { key: 'settle:7', lane: 'settlement', to: TARGET, data: '0x01' });
+
+    expect(result).toEqual({ row: { id: 1, idempotency_key: 'settle:7' }, created: true });
+    expect(db.query.mock.calls[0][1].slice(0, 4)).toEqual(['settle:7', signerAddress, 'settlement', 10]);
+  });
+
+  it('returns a key that is in flight or confirmed without sending it again', async () => {
+    const existing = { id: 1, idempotency_key: 'settle:7', signer_address: signerAddress, status: 'confirmed' };
+    db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [existing] });
+
+    const result = await txManager.submit(wallet, { key: 'settle:7', to: TARGET });
+
+    expect(result).toEqual({ row: existing, created: false });
+    expect(db.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('queues a reverted key again with the new call data', async () => {
+    const existing = { id: 1, idempotency_key: 'settle:7', signer_address: signerAddress, status: 'reverted' };
+    const requeued = { ...existing, status: 'queued' };
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [existing] })
+      .mockResolvedValueOnce({ rows: [requeued] });
+
+    const result = await txManager.submit(wallet, { key: 'settle:7', lane: 'oracle', to: TARGET, data: '0x02' });
+
+    expect(result).toEqual({ row: requeued, created: false });
+    const [, params] = db.query.mock.calls[2];
+    expect(params.slice(0, 6)).toEqual([1, 'reverted', 'oracle', 20, TARGET, '0x02']);
+  });
+
+  it('refuses a key that belongs to another signer', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 1, signer_address: '0x' + '22'.repeat(20), status: 'sent' }] });
+
+    await expect(txManager.submit(wallet, { key: 'settle:7', to: TARGET })).rejects.toMatchObject({ code: 'KEY_CONFLICT' });
+  });
+
+  it('validates the lane and target before queueing', async () => {
+    await expect(txManager.submit(wallet, { lane: 'urgent', to: TARGET })).rejects.toThrow(TxError);
+    await expect(txManager.submit(wallet, { to: '0x1234' })).rejects.toMatchObject({ code: 'INVALID_TARGET' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('TxManager.getBumpedFees', () => {
+  it('raises a legacy gas price by the bump percentage', async () => {
+    txManager.provider = fakeProvider({ gasPrice: gwei(5) });
+
+    await expect(txManager.getBumpedFees({ gas_price: gwei(10).toString() })).resolves.toEqual({ gasPrice: gwei('11.5') });
+  });
+
+  it('follows the network price when it rose further', async () => {
+    txManager.provider = fakeProvider({ gasPrice: gwei(30) });
+
+    await expect(txManager.getBumpedFees({ gas_price: gwei(10).toString() })).resolves.toEqual({ gasPrice: gwei(30) });
+  });
+
+  it('stops at the cap once it leaves no room for a 10% increase', async () => {
+    txManager.provider = fakeProvider({ gasPrice: gwei(5) });
+
+    await expect(txManager.getBumpedFees({ gas_price: gwei(180).toString() })).resolves.toEqual({ gasPrice: gwei(200) });
+    await expect(txManager.getBumpedFees({ gas_price: gwei(190).toString() })).resolves.toBeNull();
+  });
+
+  it('bumps both EIP-1559 fees and keeps the tip below the max fee', async () => {
+    txManager.provider = fakeProvider({ maxFeePerGas: gwei(1), maxPriorityFeePerGas: gwei(1) });
+
+    const fees = await txManager.getBumpedFees({
+      gas_price: null,
+      max_fee_per_gas: gwei(20).toString(),
+      max_priority_fee_per_gas: gwei(2).toString()
+    });
+
+    expect(fees).toEqual({ maxFeePerGas: gwei(23), maxPriorityFeePerGas: gwei('2.3') });
+  });
+});
+
+describe('TxManager.checkInFlight', () => {
+  const wallet = ethers.Wallet.createRandom();
+
+  function sentRow(overrides = {}) {
+    return {
+      id: 1,
+      idempotency_key: 'settle:7',
+      nonce: '4',
+      to_address: TARGET,
+      data: '0x',
+      value: '0',
+      gas_limit: '21000',
+      gas_price: gwei(10).toString(),
+      tx_hash: '0xold',
+      tx_hashes: ['0xold'],
+      raw_tx: '0xraw',
+      bumps: 0,
+      sent_at: new Date(Date.now() - 120000).toISOString(),
+      ...overrides
+    };
+  }
+
+  it('replaces a stuck transaction at the same nonce with higher fees', async () => {
+    txManager.provider = fakeProvider({ gasPrice: gwei(5) });
+    txManager.provider.getTransactionCount.mockResolvedValue(4);
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [sentRow()] }).mockResolvedValue({ rows: [] }) };
+    const outgoing = [];
+
+    await txManager.checkInFlight(client, wallet, outgoing);
+
+    expect(outgoing).toHaveLength(1);
+    expect(outgoing[0]).toMatchObject({ id: 1, nonce: 4, kind: 'replacement' });
+    const replacement = ethers.Transaction.from(outgoing[0].raw);
+    expect(replacement.nonce).toBe(4);
+    expect(replacement.gasPrice).toBe(gwei('11.5'));
+    expect(client.query.mock.calls[1][1].slice(0, 4)).toEqual([1, outgoing[0].hash, outgoing[0].raw, gwei('11.5').toString()]);
+  });
+
+  it('leaves a transaction alone until it has been stuck long enough', async () => {
+    txManager.provider.getTransactionCount.mockResolvedValue(4);
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [sentRow({ sent_at: new Date().toISOString() })] }) };
+    const outgoing = [];
+
+    await txManager.checkInFlight(client, wallet, outgoing);
+
+    expect(outgoing).toEqual([]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('parks a row for reconciliation when its nonce was mined without a receipt for any of its hashes', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    txManager.provider.getTransactionCount.mockResolvedValue(5);
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [sentRow({ tx_hashes: ['0xold', '0xbumped'] })] }).mockResolvedValue({ rows: [] }) };
+
+    await txManager.checkInFlight(client, wallet, []);
+
+    const lookups = txManager.provider.getTransactionReceipt.mock.calls.map(([hash]) => hash);
+    expect(lookups).toEqual(['0xold', '0xbumped', '0xold', '0xbumped']);
+    expect(client.query.mock.calls[1][0]).toContain("status = 'nonce_consumed'");
+    console.error.mockRestore();
+  });
+
+  it('confirms a row whose receipt only shows up on the second look', async () => {
+    txManager.provider.getTransactionCount.mockResolvedValue(5);
+    txManager.provider.getTransactionReceipt
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ status: 1, hash: '0xold', blockNumber: 99, gasUsed: 21000n });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [sentRow()] }).mockResolvedValue({ rows: [] }) };
+
+    await txManager.checkInFlight(client, wallet, []);
+
+    expect(client.query).toHaveBeenCalledTimes(2);
+    expect(client.query.mock.calls[1][1]).toEqual([1, 'confirmed', '0xold', 99, '21000']);
+  });
+
+  it('does not queue a nonce_consumed key again on resubmission', async () => {
+    const existing = { id: 1, idempotency_key: 'settle:7', signer_address: wallet.address.toLowerCase(), status: 'nonce_consumed' };
+    db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [existing] });
+
+    const result = await txManager.submit(wallet, { key: 'settle:7', to: TARGET });
+
+    expect(result).toEqual({ row: existing, created: false });
+    expect(db.query).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../../services/tx-manager', () => ({
+  sendContractCall: jest.fn()
+}));
+
+const txManager = require('../../services/tx-manager');
+const Web3Service = require('../../services/web3-service');
+
+const WALLET = '0x' + 'a1'.repeat(20);
+const POOL_CORE = '0x' + 'c1'.repeat(20);
+const ORACLE = '0x' + 'd1'.repeat(20);
+
+function service({ allowance = 0n } = {}) {
+  const web3 = new Web3Service();
+  const bitr = { allowance: jest.fn().mockResolvedValue(allowance) };
+  web3.wallet = { address: WALLET };
+  web3.getBITRTokenContract = jest.fn().mockResolvedValue(bitr);
+  web3.gasEstimator = {
+    estimatePlaceBetGas: jest.fn().mockResolvedValue({ method: 'estimate', estimate: 100000n, gasLimit: 125000n, totalCost: 1n }),
+    checkBalance: jest.fn().mockResolvedValue({ hasSufficientBalance: true }),
+    getOptimalGasPrice: jest.fn().mockResolvedValue({ gasPrice: 2n, type: 'legacy' })
+  };
+  web3.decodePoolFlags = jest.fn().mockReturnValue({ usesBitr: true });
+  return { web3, bitr };
+}
+
+function keys() {
+  return txManager.sendContractCall.mock.calls.map(([, method, , options]) => [method, options.key]);
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  txManager.sendContractCall.mockReset().mockResolvedValue({ hash: '0xabc', gasUsed: 90000n });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Web3Service BITR writes', () => {
+  it('queues the approval and the bet under their own keys', async () => {
+    const { web3, bitr } = service();
+    const poolCore = { getAddress: jest.fn().mockResolvedValue(POOL_CORE), pools: jest.fn().mockResolvedValue({ flags: 1 }) };
+    web3.getPoolCoreContract = jest.fn().mockResolvedValue(poolCore);
+
+    const receipt = await web3.placeBet(7, 5n, { key: 'bet-42' });
+
+    expect(receipt.hash).toBe('0xabc');
+    expect(keys()).toEqual([['approve', 'bet-42:approve'], ['placeBet', 'bet-42']]);
+    expect(txManager.sendContractCall.mock.calls[0][0]).toBe(bitr);
+    expect(txManager.sendContractCall.mock.calls[1][2]).toEqual([7, 5n]);
+  });
+
+  it('gives separate bets on one pool separate keys', async () => {
+    const { web3 } = service({ allowance: 10n });
+    const poolCore = { getAddress: jest.fn().mockResolvedValue(POOL_CORE), pools: jest.fn().mockResolvedValue({ flags: 1 }) };
+    web3.getPoolCoreContract = jest.fn().mockResolvedValue(poolCore);
+
+    await web3.placeBet(7, 5n);
+    await web3.placeBet(7, 5n);
+
+    const [[, first], [, second]] = keys();
+    expect(first).toMatch(/^placeBet:7:/);
+    expect(second).toMatch(/^placeBet:7:/);
+    expect(first).not.toBe(second);
+  });
+
+  it('keys a dispute and its bond approval by market', async () => {
+    const { web3 } = service();
+    const oracle = {
+      getAddress: jest.fn().mockResolvedValue(ORACLE),
+      DISPUTE_BOND: jest.fn().mockResolvedValue(50n),
+      userReputation: jest.fn().mockResolvedValue(100n),
+      MIN_DISPUTE_REPUTATION: jest.fn().mockResolvedValue(10n)
+    };
+    web3.getOptimisticOracleContract = jest.fn().mockResolvedValue(oracle);
+
+    await web3.disputeOptimisticOutcome('0x01');
+
+    expect(keys()).toEqual([['approve', 'disputeOutcome:0x01:approve'], ['disputeOutcome', 'disputeOutcome:0x01']]);
+  });
+});
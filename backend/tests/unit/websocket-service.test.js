@@ -0,0 +1,132 @@
+jest.mock('../../config/redis', () => ({
+  createRedisClient: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../services/siwe-auth-service', () => ({
+  getSession: jest.fn(),
+  login: jest.fn()
+}));
+jest.mock('../../middleware/siwe-auth', () => ({
+  getSessionToken: jest.fn()
+}));
+
+const WebSocket = require('ws');
+const config = require('../../config');
+const siweAuthService = require('../../services/siwe-auth-service');
+const wsService = require('../../services/websocket-service');
+
+const ALICE = '0x' + 'a1'.repeat(20);
+const BOB = '0x' + 'b2'.repeat(20);
+
+function connect(id = 'client_1', address = null) {
+  const client = {
+    ws: { readyState: WebSocket.OPEN, send: jest.fn() },
+    subscriptions: new Set(),
+    address,
+    sessionId: address ? 'session-1' : null,
+    sessionExpiresAt: null,
+    authPending: null
+  };
+  wsService.clients.set(id, client);
+  return client;
+}
+
+function sent(client) {
+  return client.ws.send.mock.calls.map(([json]) => JSON.parse(json));
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  wsService.clients.clear();
+  wsService.subscriptions.clear();
+  siweAuthService.getSession.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WebSocketService user channels', () => {
+  it("refuses a user: channel for another wallet's address", async () => {
+    const client = connect('client_1', ALICE);
+
+    await wsService.subscribe('client_1', `user:${BOB}`);
+
+    expect(client.subscriptions.size).toBe(0);
+    expect(sent(client)).toEqual([expect.objectContaining({ type: 'subscribe_error', channel: `user:${BOB}`, error: 'Not authorized for this channel' })]);
+  });
+
+  it('asks anonymous connections to authenticate first', async () => {
+    const client = connect();
+
+    await wsService.subscribe('client_1', `user:${ALICE}`);
+
+    expect(sent(client)[0]).toMatchObject({ type: 'subscribe_error', error: 'Authentication required' });
+  });
+
+  it('opens the own user channel whatever the address casing', async () => {
+    const client = connect('client_1', ALICE);
+
+    await wsService.subscribe('client_1', `user:${ALICE.toUpperCase().replace('0X', '0x')}`);
+
+    expect(sent(client)[0]).toMatchObject({ type: 'subscribed' });
+    expect(wsService.subscriptions.get(`user:${ALICE.toUpperCase().replace('0X', '0x')}`).has('client_1')).toBe(true);
+  });
+
+  it('waits for the handshake before deciding', async () => {
+    const client = connect();
+    siweAuthService.getSession.mockResolvedValue({ address: ALICE, sessionId: 'session-1', expiresAt: new Date(Date.now() + 60000).toISOString() });
+    client.authPending = wsService.authenticate('client_1', { token: 'token' });
+
+    await wsService.subscribe('client_1', `user:${ALICE}`);
+
+    expect(sent(client).map(message => message.type)).toEqual(['authenticated', 'subscribed']);
+  });
+
+  it('drops user channels when the connection switches wallet', async () => {
+    const client = connect('client_1', ALICE);
+    await wsService.subscribe('client_1', `user:${ALICE}`);
+    await wsService.subscribe('client_1', 'pool:7');
+    siweAuthService.getSession.mockResolvedValue({ address: BOB, sessionId: 'session-2', expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    await wsService.authenticate('client_1', { token: 'bob-token' });
+
+    expect([...client.subscriptions]).toEqual(['pool:7']);
+  });
+});
+
+describe('WebSocketService subscription limit', () => {
+  const limit = config.websocket.maxSubscriptions;
+
+  beforeEach(() => {
+    config.websocket.maxSubscriptions = 2;
+  });
+
+  afterEach(() => {
+    config.websocket.maxSubscriptions = limit;
+  });
+
+  it('refuses subscriptions past the per-connection limit', async () => {
+    const client = connect();
+
+    await wsService.subscribe('client_1', 'pool:1');
+    await wsService.subscribe('client_1', 'pool:2');
+    await wsService.subscribe('client_1', 'pool:3');
+
+    expect([...client.subscriptions]).toEqual(['pool:1', 'pool:2']);
+    expect(sent(client)[2]).toMatchObject({ type: 'subscribe_error', channel: 'pool:3', error: 'Subscription limit of 2 reached' });
+  });
+
+  it('still accepts a channel the connection already holds, and frees a slot on unsubscribe', async () => {
+    const client = connect();
+    await wsService.subscribe('client_1', 'pool:1');
+    await wsService.subscribe('client_1', 'pool:2');
+
+    await wsService.subscribe('client_1', 'pool:2');
+    wsService.unsubscribe('client_1', 'pool:1');
+    await wsService.subscribe('client_1', 'pool:3');
+
+    expect([...client.subscriptions]).toEqual(['pool:2', 'pool:3']);
+    expect(sent(client).filter(message => message.type === 'subscribe_error')).toEqual([]);
+  });
+});
@@ -7,6 +7,7 @@ const reputationManager = require('./utils/reputationManager');
 const badgeManager = require('./utils/badgeManager');
 const notificationService = require('./services/notification-service');
 const { safeStringify } = require('./utils/bigint-serializer');
+const IndexerCheckpoint = require('./utils/indexer-checkpoint');
 
 // Set worker mode for indexer process (disable leaderboard service)
 process.env.WORKER_MODE = 'true';
@@ -125,6 +126,22 @@ class SmartAnalyticsIndexer {
     // Contract instances
     this.provider = null;
     this.contracts = {};
+
+    // Persistent resume point (one checkpoint covers all contracts this indexer reads)
+    this.checkpoint = new IndexerCheckpoint({
+      indexerName: 'unified-realtime-indexer',
+      contractAddress: '*',
+      provider: () => this.provider
+    });
+
+    // Tables written only by this indexer, rolled back on reorg
+    this.eventTables = [
+      'analytics.strategic_events',
+      'oracle.pool_events',
+      'oracle.oracle_events',
+      'oddyssey.oddyssey_events',
+      'core.reputation_events'
+    ];
     
     // Event ABIs - using available ABI files
     this.eventABIs = {
@@ -167,11 +184,11 @@ class SmartAnalyticsIndexer {
       
       console.log('✅ Split contract instances initialized');
 
-      // Get current block
-      this.currentBlock = await this.provider.getBlockNumber();
-      this.lastProcessedBlock = this.currentBlock;
+      // Resume from the last checkpoint (first run starts at the current confirmed head)
+      this.currentBlock = await this.checkpoint.getSafeBlock();
+      this.lastProcessedBlock = await this.checkpoint.loadOrInitialize(this.currentBlock);
       
-      console.log(`📊 Starting from block ${this.currentBlock}`);
+      console.log(`📊 Resuming after block ${this.lastProcessedBlock} (${this.currentBlock - this.lastProcessedBlock} blocks behind, ${this.checkpoint.confirmations} confirmations)`);
       console.log(`🎯 Skipping events: ${this.indexingStrategy.skipEvents.join(', ')}`);
       console.log(`✅ Indexing events: ${this.indexingStrategy.criticalEvents.join(', ')}`);
       console.log('🧠 Smart Analytics Indexer initialized');
@@ -208,8 +225,14 @@ class SmartAnalyticsIndexer {
   async mainLoop() {
     while (this.isRunning) {
       try {
-        // Get latest block
-        const latestBlock = await this.provider.getBlockNumber();
+        // Roll back rows from orphaned blocks before indexing anything new
+        const reorgBlock = await this.checkpoint.detectReorg();
+        if (reorgBlock !== null) {
+          await this.handleReorg(reorgBlock);
+        }
+
+        // Latest block past the confirmation depth
+        const latestBlock = await this.checkpoint.getSafeBlock();
         
         // Check if we need to catch up
         const blocksBehind = latestBlock - this.lastProcessedBlock;
@@ -263,7 +286,11 @@ class SmartAnalyticsIndexer {
       const to = Math.min(from + this.catchUpBatchSize - 1, targetBlock);
       
       try {
-        await this.processBlocks(from, to);
+        const result = await this.processBlocks(from, to);
+        if (!result) {
+          // Stop here; the failed range is retried from the checkpoint on the next loop
+          break;
+        }
         processed += (to - from + 1);
         
         const progress = Math.round((processed / totalBlocks) * 100);
@@ -276,6 +303,7 @@ class SmartAnalyticsIndexer {
       } catch (error) {
         console.error(`❌ Error catching up blocks ${from}-${to}:`, error);
         this.stats.errors++;
+        break;
       }
     }
     
@@ -284,7 +312,7 @@ class SmartAnalyticsIndexer {
   }
 
   async processBlocks(fromBlock, toBlock) {
-    if (this.isProcessing) return;
+    if (this.isProcessing) return null;
     
     this.isProcessing = true;
     const startTime = Date.now();
@@ -306,15 +334,24 @@ class SmartAnalyticsIndexer {
       // Count total events processed vs skipped
       let totalEventsProcessed = 0;
       let totalEventsSkipped = 0;
+      let failed = false;
       
       results.forEach(result => {
         if (result.status === 'fulfilled') {
-          totalEventsProcessed += result.value.processed || 0;
-          totalEventsSkipped += result.value.skipped || 0;
+          totalEventsProcessed += result.value?.processed || 0;
+          totalEventsSkipped += result.value?.skipped || 0;
         } else {
           console.error('❌ Event processing failed:', result.reason);
+          failed = true;
         }
       });
+
+      if (failed) {
+        // Don't advance the checkpoint past a partially indexed range: clear it and retry next loop
+        await this.rollbackEvents(fromBlock - 1);
+        this.stats.errors++;
+        return null;
+      }
       
       // Update stats
       this.stats.totalEvents += totalEventsProcessed;
@@ -322,6 +359,7 @@ class SmartAnalyticsIndexer {
       this.stats.lastEventTime = new Date();
       
       // Update last processed block
+      await this.checkpoint.advance(toBlock);
       this.lastProcessedBlock = toBlock;
       
       // Save indexed block to database
@@ -331,10 +369,13 @@ class SmartAnalyticsIndexer {
       const reductionPercent = totalEventsSkipped > 0 ? ((totalEventsSkipped / (totalEventsProcessed + totalEventsSkipped)) * 100).toFixed(1) : 0;
       
       console.log(`✅ Smart processed ${totalEventsProcessed} events, skipped ${totalEventsSkipped} (${reductionPercent}% reduction) from ${toBlock - fromBlock + 1} blocks in ${duration}ms`);
+
+      return { processed: totalEventsProcessed, skipped: totalEventsSkipped };
       
     } catch (error) {
       console.error('❌ Error processing blocks:', error);
       this.stats.errors++;
+      return null;
     } finally {
       this.isProcessing = false;
     }
@@ -1390,6 +1431,38 @@ class SmartAnalyticsIndexer {
     };
   }
 
+  /**
+   * Roll back to the fork point after a chain reorganization
+   */
+  async handleReorg(forkBlock) {
+    console.warn(`🔀 Chain reorganized below block ${this.lastProcessedBlock}, rolling back to ${forkBlock}`);
+
+    await this.rollbackEvents(forkBlock);
+    await db.query('DELETE FROM oracle.indexed_blocks WHERE block_number > $1', [forkBlock]);
+    await this.checkpoint.rewind(forkBlock, { isReorg: true });
+    this.lastProcessedBlock = forkBlock;
+
+    // Airdrop tables are shared with airdrop-indexer.js, which owns their cleanup
+    console.warn(`⚠️ Airdrop activity after block ${forkBlock} may need re-verification by the airdrop indexer`);
+  }
+
+  /**
+   * Delete rows this indexer wrote for blocks after `blockNumber`
+   */
+  async rollbackEvents(blockNumber) {
+    for (const table of this.eventTables) {
+      try {
+        const result = await db.query(`DELETE FROM ${table} WHERE block_number > $1`, [blockNumber]);
+        if (result.rowCount > 0) {
+          console.log(`🗑️ Rolled back ${result.rowCount} rows from ${table} after block ${blockNumber}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error rolling back ${table}:`, error.message);
+        throw error;
+      }
+    }
+  }
+
   async saveIndexedBlock(blockNumber) {
     try {
       await db.query(`
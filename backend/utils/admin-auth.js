@@ -3,10 +3,30 @@
  * 
  * Provides secure admin authentication with rate limiting.
  * All admin endpoints should use this helper.
+ *
+ * ADMIN_KEY is the shared key. ADMIN_KEYS ("alice:key1,bob:key2") gives each
+ * admin a personal key; requests made with one carry req.admin.name, which
+ * routes that record who acted (approvals, audit trails) require.
  */
 
 const adminRateLimiting = require('../middleware/admin-rate-limiting');
 
+/**
+ * Personal admin keys from ADMIN_KEYS, key -> admin name
+ */
+function getNamedKeys() {
+  const keys = new Map();
+  (process.env.ADMIN_KEYS || '').split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    const name = entry.slice(0, separator).trim();
+    const key = entry.slice(separator + 1).trim();
+    if (separator > 0 && name && key) {
+      keys.set(key, name);
+    }
+  });
+  return keys;
+}
+
 /**
  * Middleware to check admin authentication
  * Should be used AFTER adminRateLimiting middleware
@@ -14,8 +34,9 @@ const adminRateLimiting = require('../middleware/admin-rate-limiting');
 function requireAdmin(req, res, next) {
   const adminKey = req.headers['x-admin-key'];
   const expectedKey = process.env.ADMIN_KEY;
+  const namedKeys = getNamedKeys();
   
-  if (!expectedKey) {
+  if (!expectedKey && namedKeys.size === 0) {
     console.error('❌ ADMIN_KEY not configured in environment');
     return res.status(500).json({
       success: false,
@@ -23,6 +44,11 @@ function requireAdmin(req, res, next) {
     });
   }
   
+  if (adminKey && namedKeys.has(adminKey)) {
+    req.admin = { name: namedKeys.get(adminKey) };
+    return next();
+  }
+  
   if (!adminKey || adminKey !== expectedKey) {
     console.warn(`🚫 Unauthorized admin access attempt from ${req.ip}`);
     return res.status(403).json({
@@ -31,20 +57,40 @@ function requireAdmin(req, res, next) {
     });
   }
   
-  // Admin authenticated successfully
+  // Admin authenticated successfully (shared key: no individual identity)
+  req.admin = { name: null };
+  next();
+}
+
+/**
+ * Only allow admins authenticated with a personal key
+ * Use after requireAdmin
+ */
+function requireAdminIdentity(req, res, next) {
+  if (!req.admin || !req.admin.name) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action is recorded per admin and needs a personal admin key (ADMIN_KEYS)'
+    });
+  }
   next();
 }
 
 /**
  * Combined middleware: rate limiting + admin auth
  * Use this for all admin endpoints
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.requireIdentity] - Reject the shared key; req.admin.name is the acting admin
  */
-function adminAuth() {
-  return [adminRateLimiting, requireAdmin];
+function adminAuth({ requireIdentity = false } = {}) {
+  return requireIdentity
+    ? [adminRateLimiting, requireAdmin, requireAdminIdentity]
+    : [adminRateLimiting, requireAdmin];
 }
 
 module.exports = {
   requireAdmin,
+  requireAdminIdentity,
   adminAuth
 };
-
@@ -0,0 +1,325 @@
+/**
+ * Indexer Checkpoint
+ *
+ * Persistent resume point for block indexers, keyed by indexer name and contract.
+ * - Only blocks older than the confirmation depth are processed and checkpointed
+ * - The hash of every checkpointed block is kept for a short window; if the chain
+ *   no longer has that hash, we walk back to the last block that still matches
+ *   (the fork point), let the indexer roll back its rows and replay from there
+ *
+ * Confirmation depth comes from INDEXER_CONFIRMATIONS (default 3).
+ */
+
+const db = require('../db/db');
+
+class IndexerCheckpoint {
+  /**
+   * @param {Object} options
+   * @param {string} options.indexerName
+   * @param {string} [options.contractAddress] - '*' when one checkpoint covers several contracts
+   * @param {Function|Object} options.provider - ethers provider, or a function returning one
+   * @param {number} [options.confirmations]
+   * @param {number} [options.hashRetention] - Number of checkpointed block hashes to keep
+   */
+  constructor({ indexerName, contractAddress = '*', provider, confirmations, hashRetention = 200 }) {
+    this.indexerName = indexerName;
+    this.contractAddress = contractAddress === '*' ? '*' : contractAddress.toLowerCase();
+    this.providerSource = provider;
+    this.confirmations = confirmations !== undefined
+      ? confirmations
+      : parseInt(process.env.INDEXER_CONFIRMATIONS || '3');
+    this.hashRetention = hashRetention;
+    this.lastBlock = null;
+  }
+
+  async getProvider() {
+    return typeof this.providerSource === 'function' ? await this.providerSource() : this.providerSource;
+  }
+
+  /**
+   * Load the stored checkpoint
+   * @returns {Promise<number|null>} Last processed block, or null on first run
+   */
+  async load() {
+    const result = await db.query(`
+      SELECT last_block
+      FROM system.indexer_checkpoints
+      WHERE indexer_name = $1 AND contract_address = $2
+    `, [this.indexerName, this.contractAddress]);
+
+    this.lastBlock = result.rows.length > 0 ? Number(result.rows[0].last_block) : null;
+    return this.lastBlock;
+  }
+
+  /**
+   * Load the checkpoint, creating it at `initialBlock` on first run
+   */
+  async loadOrInitialize(initialBlock) {
+    const lastBlock = await this.load();
+    if (lastBlock !== null) {
+      return lastBlock;
+    }
+
+    const start = Math.max(0, initialBlock);
+    console.log(`📍 ${this.indexerName}: No checkpoint for ${this.contractAddress}, starting after block ${start}`);
+    await this.advance(start);
+    return start;
+  }
+
+  /**
+   * Latest block that has reached the confirmation depth
+   */
+  async getSafeBlock() {
+    const provider = await this.getProvider();
+    const latestBlock = await provider.getBlockNumber();
+    return Math.max(0, latestBlock - this.confirmations);
+  }
+
+  /**
+   * Record `blockNumber` as fully processed
+   */
+  async advance(blockNumber) {
+    const provider = await this.getProvider();
+    const block = await provider.getBlock(blockNumber);
+    const blockHash = block ? block.hash : null;
+
+    await db.transaction(async (client) => {
+      await client.query(`
+        INSERT INTO system.indexer_checkpoints (indexer_name, contract_address, last_block, last_block_hash)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (indexer_name, contract_address) DO UPDATE SET
+          last_block = EXCLUDED.last_block,
+          last_block_hash = EXCLUDED.last_block_hash,
+          updated_at = NOW()
+      `, [this.indexerName, this.contractAddress, blockNumber, blockHash]);
+
+      if (blockHash) {
+        await client.query(`
+          INSERT INTO system.indexer_block_hashes (indexer_name, contract_address, block_number, block_hash)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (indexer_name, contract_address, block_number) DO UPDATE SET
+            block_hash = EXCLUDED.block_hash,
+            recorded_at = NOW()
+        `, [this.indexerName, this.contractAddress, blockNumber, blockHash]);
+
+        await client.query(`
+          DELETE FROM system.indexer_block_hashes
+          WHERE indexer_name = $1 AND contract_address = $2
+            AND block_number < (
+              SELECT MIN(block_number) FROM (
+                SELECT block_number FROM system.indexer_block_hashes
+                WHERE indexer_name = $1 AND contract_address = $2
+                ORDER BY block_number DESC
+                LIMIT $3
+              ) recent
+            )
+        `, [this.indexerName, this.contractAddress, this.hashRetention]);
+      }
+    });
+
+    this.lastBlock = blockNumber;
+  }
+
+  /**
+   * Compare stored hashes with the chain
+   *
+   * A block the RPC does not return (lagging or flaky node) says nothing about
+   * a reorg, so the check throws and the indexer retries on its next cycle
+   * instead of rewinding.
+   *
+   * @returns {Promise<number|null>} Fork point (last block still on the canonical chain), or null if no reorg
+   */
+  async detectReorg() {
+    const provider = await this.getProvider();
+    const stored = await db.query(`
+      SELECT block_number, block_hash
+      FROM system.indexer_block_hashes
+      WHERE indexer_name = $1 AND contract_address = $2
+      ORDER BY block_number DESC
+    `, [this.indexerName, this.contractAddress]);
+
+    if (stored.rows.length === 0) {
+      return null;
+    }
+
+    for (let i = 0; i < stored.rows.length; i++) {
+      const row = stored.rows[i];
+      const block = await provider.getBlock(Number(row.block_number));
+      if (!block) {
+        throw new Error(`${this.indexerName}: RPC did not return block ${row.block_number}, reorg check deferred to the next cycle`);
+      }
+      if (block.hash === row.block_hash) {
+        // Newest stored block still matches: no reorg
+        return i === 0 ? null : Number(row.block_number);
+      }
+    }
+
+    // Reorg is deeper than the retained window: replay from just before the oldest hash we know
+    const oldest = Number(stored.rows[stored.rows.length - 1].block_number);
+    console.warn(`⚠️ ${this.indexerName}: Reorg deeper than ${stored.rows.length} checkpoints, rewinding to ${oldest - 1}`);
+    return Math.max(0, oldest - 1);
+  }
+
+  /**
+   * Claim an event for processing
+   * Returns false when the event was already applied (by the live listener or an earlier replay)
+   *
+   * @param {Object} [payload] - What the handler applies, read back by getProcessedEvents when a reorg must undo it
+   */
+  async claimEvent(event, eventName = null, payload = null) {
+    const log = event?.log || event;
+    if (!log || !log.transactionHash) {
+      return true;
+    }
+
+    const result = await db.query(`
+      INSERT INTO system.indexer_processed_events (indexer_name, tx_hash, log_index, event_name, block_number, payload)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (indexer_name, tx_hash, log_index) DO NOTHING
+      RETURNING tx_hash
+    `, [this.indexerName, log.transactionHash, log.index ?? log.logIndex ?? 0, eventName, log.blockNumber,
+      payload ? JSON.stringify(payload) : null]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Undo claimEvent when applying the event failed, so a retry or replay can apply it
+   */
+  async releaseEvent(event) {
+    const log = event?.log || event;
+    if (!log || !log.transactionHash) {
+      return;
+    }
+
+    await db.query(`
+      DELETE FROM system.indexer_processed_events
+      WHERE indexer_name = $1 AND tx_hash = $2 AND log_index = $3
+    `, [this.indexerName, log.transactionHash, log.index ?? log.logIndex ?? 0]);
+  }
+
+  /**
+   * Events of `eventName` applied after `blockNumber`, with their payloads
+   * Call from onReorg: rewind forgets them
+   */
+  async getProcessedEvents(eventName, blockNumber) {
+    const result = await db.query(`
+      SELECT tx_hash, log_index, block_number, payload
+      FROM system.indexer_processed_events
+      WHERE indexer_name = $1 AND event_name = $2 AND block_number > $3
+      ORDER BY block_number, log_index
+    `, [this.indexerName, eventName, blockNumber]);
+    return result.rows;
+  }
+
+  /**
+   * Move the checkpoint back to `blockNumber` and forget hashes after it
+   */
+  async rewind(blockNumber, { isReorg = false } = {}) {
+    await db.transaction(async (client) => {
+      await client.query(`
+        DELETE FROM system.indexer_block_hashes
+        WHERE indexer_name = $1 AND contract_address = $2 AND block_number > $3
+      `, [this.indexerName, this.contractAddress, blockNumber]);
+
+      if (isReorg) {
+        // Orphaned events must be applied again if they reappear on the new chain
+        await client.query(`
+          DELETE FROM system.indexer_processed_events
+          WHERE indexer_name = $1 AND block_number > $2
+        `, [this.indexerName, blockNumber]);
+      }
+
+      await client.query(`
+        UPDATE system.indexer_checkpoints
+        SET last_block = $3,
+            last_block_hash = (
+              SELECT block_hash FROM system.indexer_block_hashes
+              WHERE indexer_name = $1 AND contract_address = $2 AND block_number = $3
+            ),
+            reorg_count = reorg_count + $4,
+            last_reorg_at = CASE WHEN $4 = 1 THEN NOW() ELSE last_reorg_at END,
+            updated_at = NOW()
+        WHERE indexer_name = $1 AND contract_address = $2
+      `, [this.indexerName, this.contractAddress, blockNumber, isReorg ? 1 : 0]);
+    });
+
+    this.lastBlock = blockNumber;
+  }
+
+  /**
+   * Process every confirmed block after the checkpoint
+   *
+   * Checks for a reorg first (calling `onReorg(forkBlock)` so the indexer can delete
+   * rows from orphaned blocks), then calls `processRange(fromBlock, toBlock)` in
+   * chunks, advancing the checkpoint after each chunk. A throwing chunk stops the
+   * run; it is retried from the same block next time.
+   *
+   * @returns {Promise<{fromBlock, toBlock, reorgBlock}|null>} null when already up to date
+   */
+  async sync({ processRange, onReorg, maxRange = 500, initialBlock }) {
+    if (this.lastBlock === null) {
+      const safeBlock = await this.getSafeBlock();
+      await this.loadOrInitialize(initialBlock !== undefined ? initialBlock : safeBlock);
+    }
+
+    const reorgBlock = await this.detectReorg();
+    if (reorgBlock !== null) {
+      console.warn(`🔀 ${this.indexerName}: Chain reorganized, rolling back to block ${reorgBlock}`);
+      if (onReorg) {
+        await onReorg(reorgBlock);
+      }
+      await this.rewind(reorgBlock, { isReorg: true });
+    }
+
+    const safeBlock = await this.getSafeBlock();
+    const fromBlock = this.lastBlock + 1;
+    if (fromBlock > safeBlock) {
+      return null;
+    }
+
+    for (let from = fromBlock; from <= safeBlock; from += maxRange) {
+      const to = Math.min(from + maxRange - 1, safeBlock);
+      await processRange(from, to);
+      await this.advance(to);
+    }
+
+    return { fromBlock, toBlock: safeBlock, reorgBlock };
+  }
+
+  /**
+   * Replay contract events after the checkpoint, in chain order
+   *
+   * @param {ethers.Contract} contract
+   * @param {Object<string, Function>} handlers - Event name -> async (event) handler; handlers must be idempotent
+   */
+  async replayEvents(contract, handlers, { onReorg, chunkSize = 900, initialBlock } = {}) {
+    let replayed = 0;
+
+    const result = await this.sync({
+      onReorg,
+      initialBlock,
+      maxRange: chunkSize,
+      processRange: async (fromBlock, toBlock) => {
+        const events = [];
+        for (const eventName of Object.keys(handlers)) {
+          if (!contract.interface.getEvent(eventName)) {
+            continue;
+          }
+          events.push(...await contract.queryFilter(contract.filters[eventName](), fromBlock, toBlock));
+        }
+
+        events.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+        for (const event of events) {
+          await handlers[event.eventName || event.fragment?.name](event);
+          replayed++;
+        }
+      }
+    });
+
+    return { ...result, replayed };
+  }
+}
+
+module.exports = IndexerCheckpoint;
@@ -0,0 +1,475 @@
+/**
+ * Market Specification
+ *
+ * One typed description of what a pool is betting on, shared by pool creation,
+ * pool sync, title generation and settlement:
+ *
+ *   { version, family, period, line, selection }       football
+ *   { version, family: 'PRICE', asset, line, selection } crypto
+ *
+ * Families: 1X2, OU (total goals), BTTS, DC (double chance), CS (correct score)
+ * and PRICE. Periods: FT (90 minutes) and 1H (first half).
+ *
+ * Specs serialize to a compact key such as `OU:FT:2.5:over` or
+ * `PRICE:BTC:130000:above`, which is stored next to the pool.
+ */
+
+const MARKET_SPEC_VERSION = 1;
+
+/**
+ * contractMarketType: MarketType enum in BitredictPool
+ * (0=MONEYLINE, 1=OVER_UNDER, 2=SPREAD, 3=PROPOSITION, 4=CORRECT_SCORE, 5=CUSTOM)
+ */
+const FAMILIES = {
+  '1X2': {
+    description: 'Match Result',
+    contractMarketType: 0,
+    hasLine: false,
+    selections: ['home', 'draw', 'away']
+  },
+  OU: {
+    description: 'Goals Over/Under',
+    contractMarketType: 1,
+    hasLine: true,
+    selections: ['over', 'under']
+  },
+  BTTS: {
+    description: 'Both Teams To Score',
+    contractMarketType: 3,
+    hasLine: false,
+    selections: ['yes', 'no']
+  },
+  DC: {
+    description: 'Double Chance',
+    contractMarketType: 0,
+    hasLine: false,
+    selections: ['1x', '12', 'x2']
+  },
+  CS: {
+    description: 'Correct Score',
+    contractMarketType: 4,
+    hasLine: false,
+    selections: null // Any "home-away" score
+  },
+  PRICE: {
+    description: 'Price Target',
+    contractMarketType: 5,
+    hasLine: true,
+    selections: ['above', 'below']
+  }
+};
+
+const PERIODS = ['FT', '1H'];
+
+// fixture_odds market ids per spec family and period (see services/odds-consensus.js)
+const ODDS_MARKETS = {
+  '1X2:FT': '1',
+  '1X2:1H': '31',
+  'OU:FT': '80',
+  'OU:1H': '28',
+  'BTTS:FT': '14'
+};
+
+// fixture_odds labels per spec selection; the first one is what the consensus table stores
+const SELECTION_LABELS = {
+  home: ['Home', '1'],
+  draw: ['Draw', 'X'],
+  away: ['Away', '2'],
+  over: ['Over'],
+  under: ['Under'],
+  yes: ['Yes'],
+  no: ['No']
+};
+
+const CRYPTO_ASSETS = ['BTC', 'ETH', 'BNB', 'ADA', 'SOL', 'DOT', 'LINK', 'LTC', 'MATIC', 'AVAX', 'UNI'];
+
+const FIRST_HALF_PATTERN = /\b(ht|1h|half ?time|first half|1st half)\b/;
+
+class MarketSpecError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MarketSpecError';
+  }
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[_]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function createSpec(family, fields) {
+  return { version: MARKET_SPEC_VERSION, family, period: null, line: null, ...fields };
+}
+
+/**
+ * Parse a crypto outcome such as "BTC > $130,000" or "SOL above $195"
+ */
+function parseCryptoOutcome(text) {
+  const match = String(text || '').trim()
+    .match(/^([A-Z]+)\s*(?:(>=|<=|>|<)|(above|below))\s*\$?([0-9,]+(?:\.\d+)?)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, asset, operator, keyword, price] = match;
+  const selection = keyword ? keyword.toLowerCase() : (operator.startsWith('>') ? 'above' : 'below');
+  return createSpec('PRICE', {
+    asset: asset.toUpperCase(),
+    line: parseFloat(price.replace(/,/g, '')),
+    selection
+  });
+}
+
+function parseLine(...texts) {
+  for (const text of texts) {
+    const match = text.match(/(\d+(?:\.\d+)?)/);
+    if (match) {
+      return parseFloat(match[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Home/draw/away from a free-text outcome ("Home wins", "1", "Arsenal", "Draw HT", ...)
+ */
+function parseResultSelection(text, homeTeam, awayTeam) {
+  const stripped = text
+    .replace(FIRST_HALF_PATTERN, '')
+    .replace(/\b(ft|full ?time|wins?|to win|result)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (['home', '1', 'home 1'].includes(stripped)) return 'home';
+  if (['away', '2', 'away 2'].includes(stripped)) return 'away';
+  if (['x', 'tie'].includes(stripped) || /^draw\b/.test(stripped)) return 'draw';
+
+  // Team names: only when exactly one of them is mentioned
+  const home = normalizeText(homeTeam);
+  const away = normalizeText(awayTeam);
+  const mentionsHome = home && text.includes(home);
+  const mentionsAway = away && text.includes(away);
+  if (mentionsHome && !mentionsAway) return 'home';
+  if (mentionsAway && !mentionsHome) return 'away';
+
+  return null;
+}
+
+/**
+ * Build a spec from the strings a pool was created with
+ * @param {Object} input
+ * @param {string} [input.market] - Market name chosen at creation ("Over/Under 2.5", "Both Teams To Score", ...)
+ * @param {string} input.predictedOutcome - Outcome text ("Over 2.5 goals", "Home wins", "BTC > $130,000", ...)
+ * @param {string} [input.selection] - Binary selection (OVER/UNDER, YES/NO, HOME/DRAW/AWAY)
+ * @param {string} [input.homeTeam]
+ * @param {string} [input.awayTeam]
+ * @param {string} [input.category] - Pool category ("football", "crypto", ...)
+ * @returns {Object|null} Spec, or null when the strings are ambiguous
+ */
+function parse({ market = '', predictedOutcome = '', selection = '', homeTeam = null, awayTeam = null, category = null } = {}) {
+  const categoryText = normalizeText(category);
+  if (categoryText.includes('crypto')) {
+    return parseCryptoOutcome(predictedOutcome);
+  }
+
+  const cryptoSpec = parseCryptoOutcome(predictedOutcome);
+  if (cryptoSpec && CRYPTO_ASSETS.includes(cryptoSpec.asset)) {
+    return cryptoSpec;
+  }
+
+  const text = normalizeText(predictedOutcome);
+  const marketText = normalizeText(market);
+  const selectionText = normalizeText(selection);
+  const combined = `${marketText} ${text}`;
+  if (!text && !selectionText) {
+    return null;
+  }
+
+  const period = FIRST_HALF_PATTERN.test(combined) ? '1H' : 'FT';
+
+  // Both teams to score
+  if (/\b(both teams|btts)\b/.test(combined)) {
+    if (/\bnot both\b|\bno\b/.test(text)) {
+      return createSpec('BTTS', { period, selection: 'no' });
+    }
+    if (/\byes\b|^both|^btts$/.test(text)) {
+      return createSpec('BTTS', { period, selection: 'yes' });
+    }
+    return ['yes', 'no'].includes(selectionText) ? createSpec('BTTS', { period, selection: selectionText }) : null;
+  }
+
+  // Total goals
+  if (/\b(over|under)\b/.test(combined)) {
+    const side = text.match(/\b(over|under)\b/)?.[1] || (['over', 'under'].includes(selectionText) ? selectionText : null);
+    const line = parseLine(text, marketText);
+    if (!side || line === null || line % 1 !== 0.5) {
+      return null;
+    }
+    return createSpec('OU', { period, line, selection: side });
+  }
+
+  // Correct score
+  const score = text.match(/^(\d+)\s*[-:]\s*(\d+)$/);
+  if (score) {
+    return createSpec('CS', { period, selection: `${parseInt(score[1])}-${parseInt(score[2])}` });
+  }
+
+  // Double chance
+  const doubleChance = text.replace(/\s|\//g, '');
+  if (['1x', '12', 'x2'].includes(doubleChance)) {
+    return createSpec('DC', { period, selection: doubleChance });
+  }
+  if (marketText.includes('double chance')) {
+    if (/home.*draw|draw.*home/.test(text)) return createSpec('DC', { period, selection: '1x' });
+    if (/home.*away|away.*home/.test(text)) return createSpec('DC', { period, selection: '12' });
+    if (/draw.*away|away.*draw/.test(text)) return createSpec('DC', { period, selection: 'x2' });
+    return null;
+  }
+
+  // Match result
+  const result = parseResultSelection(text, homeTeam, awayTeam) ||
+    (['home', 'draw', 'away'].includes(selectionText) ? selectionText : null);
+  if (result) {
+    return createSpec('1X2', { period, selection: result });
+  }
+
+  return null;
+}
+
+/**
+ * @returns {string[]} Problems with the spec (empty when valid)
+ */
+function validate(spec) {
+  const errors = [];
+  const family = spec && FAMILIES[spec.family];
+  if (!family) {
+    return [`Unknown market family: ${spec?.family}`];
+  }
+
+  if (spec.family === 'PRICE') {
+    if (!spec.asset) errors.push('Price markets need an asset');
+  } else if (!PERIODS.includes(spec.period)) {
+    errors.push(`Unknown period: ${spec.period}`);
+  }
+
+  if (family.hasLine) {
+    if (typeof spec.line !== 'number' || !Number.isFinite(spec.line) || spec.line <= 0) {
+      errors.push(`${family.description} needs a positive line`);
+    } else if (spec.family === 'OU' && spec.line % 1 !== 0.5) {
+      errors.push('Goal lines must end in .5 so the market cannot push');
+    }
+  } else if (spec.line !== null && spec.line !== undefined) {
+    errors.push(`${family.description} has no line`);
+  }
+
+  if (spec.family === 'CS') {
+    if (!/^\d+-\d+$/.test(spec.selection || '')) errors.push(`Invalid correct score: ${spec.selection}`);
+  } else if (!family.selections.includes(spec.selection)) {
+    errors.push(`Invalid selection "${spec.selection}" for ${family.description}, expected one of ${family.selections.join(', ')}`);
+  }
+
+  return errors;
+}
+
+function serialize(spec) {
+  const scope = spec.family === 'PRICE' ? spec.asset : spec.period;
+  return [spec.family, scope, spec.line ?? '', spec.selection].join(':');
+}
+
+function deserialize(key) {
+  const [family, scope, line, selection] = String(key || '').split(':');
+  const spec = family === 'PRICE'
+    ? createSpec(family, { asset: scope, line: parseFloat(line), selection })
+    : createSpec(family, { period: scope, line: line === '' ? null : parseFloat(line), selection });
+
+  const errors = validate(spec);
+  if (errors.length > 0) {
+    throw new MarketSpecError(`Invalid market spec key "${key}": ${errors.join('; ')}`);
+  }
+  return spec;
+}
+
+/**
+ * Short label used for legacy outcome_type columns (1X2, OU25, HT_OU05, BTTS, ...)
+ */
+function outcomeType(spec) {
+  const prefix = spec.period === '1H' ? 'HT_' : '';
+  switch (spec.family) {
+    case 'OU': return `${prefix}OU${String(spec.line).replace('.', '')}`;
+    case 'PRICE': return 'PRICE';
+    default: return `${prefix}${spec.family}`;
+  }
+}
+
+function contractMarketType(spec) {
+  return FAMILIES[spec.family].contractMarketType;
+}
+
+function marketDescription(spec) {
+  const description = FAMILIES[spec.family].description;
+  return spec.period === '1H' ? `Half-time ${description}` : description;
+}
+
+/**
+ * Canonical outcome text for a selection of the spec's market ("Home wins", "Over 2.5 goals", "Draw HT", ...)
+ */
+function label(spec, selection = spec.selection) {
+  const halfTime = spec.period === '1H' ? ' HT' : '';
+  switch (spec.family) {
+    case '1X2':
+      if (selection === 'draw') return `Draw${halfTime}`;
+      return halfTime ? `${selection === 'home' ? 'Home' : 'Away'}${halfTime}` : `${selection === 'home' ? 'Home' : 'Away'} wins`;
+    case 'OU':
+      return `${selection === 'over' ? 'Over' : 'Under'} ${spec.line} goals${halfTime}`;
+    case 'BTTS':
+      return `${selection === 'yes' ? 'Both teams to score' : 'Not both teams to score'}${halfTime}`;
+    case 'DC':
+      return `${selection.toUpperCase()}${halfTime}`;
+    case 'CS':
+      return `${selection}${halfTime}`;
+    case 'PRICE':
+      return `${spec.asset} ${selection} $${spec.line.toLocaleString('en-US')}`;
+    default:
+      return selection;
+  }
+}
+
+/**
+ * Pool title from the spec and the team names
+ */
+function title(spec, { homeTeam = 'Home', awayTeam = 'Away' } = {}) {
+  const firstHalf = spec.period === '1H';
+  switch (spec.family) {
+    case '1X2':
+      if (spec.selection === 'draw') {
+        return firstHalf ? `${homeTeam} vs ${awayTeam} will be tied at half-time!` : `${homeTeam} vs ${awayTeam} will end in a draw!`;
+      }
+      if (spec.selection === 'home') {
+        return firstHalf ? `${homeTeam} will lead ${awayTeam} in the first half!` : `${homeTeam} will beat ${awayTeam} at home!`;
+      }
+      return firstHalf ? `${awayTeam} will lead ${homeTeam} in the first half!` : `${awayTeam} will beat ${homeTeam} away!`;
+    case 'OU':
+      return `${homeTeam} vs ${awayTeam} will score ${spec.selection} ${spec.line} goals${firstHalf ? ' in the first half' : ''}!`;
+    case 'BTTS':
+      return `Both ${homeTeam} and ${awayTeam} will ${spec.selection === 'yes' ? '' : 'NOT '}score${firstHalf ? ' in the first half' : ''}!`;
+    case 'DC': {
+      const phrases = { '1x': `${homeTeam} will not lose to ${awayTeam}`, 'x2': `${awayTeam} will not lose to ${homeTeam}`, '12': `${homeTeam} vs ${awayTeam} will not end in a draw` };
+      return `${phrases[spec.selection]}${firstHalf ? ' in the first half' : ''}!`;
+    }
+    case 'CS':
+      return `${homeTeam} vs ${awayTeam} will finish ${spec.selection}${firstHalf ? ' at half-time' : ''}!`;
+    case 'PRICE':
+      return `Will ${spec.asset} be ${spec.selection} $${spec.line.toLocaleString('en-US')}?`;
+    default:
+      return `${homeTeam} vs ${awayTeam}`;
+  }
+}
+
+/**
+ * Which selection of the spec's market happened
+ * @param {Object} result - { homeScore, awayScore, htHomeScore, htAwayScore } (90-minute scores) or { price } for PRICE
+ * @returns {string|null} null when the scores needed for the period are missing
+ */
+function actualSelection(spec, result) {
+  if (spec.family === 'PRICE') {
+    if (result.price === null || result.price === undefined) return null;
+    return parseFloat(result.price) > spec.line ? 'above' : 'below';
+  }
+
+  const home = spec.period === '1H' ? result.htHomeScore : result.homeScore;
+  const away = spec.period === '1H' ? result.htAwayScore : result.awayScore;
+  if (home === null || home === undefined || away === null || away === undefined) {
+    return null;
+  }
+  const homeGoals = parseInt(home);
+  const awayGoals = parseInt(away);
+  const winner = homeGoals > awayGoals ? 'home' : awayGoals > homeGoals ? 'away' : 'draw';
+
+  switch (spec.family) {
+    case '1X2':
+      return winner;
+    case 'OU':
+      return homeGoals + awayGoals > spec.line ? 'over' : 'under';
+    case 'BTTS':
+      return homeGoals > 0 && awayGoals > 0 ? 'yes' : 'no';
+    case 'DC': {
+      // Two double-chance selections hold for every result; report ours when it is one of them
+      const covering = { home: ['1x', '12'], draw: ['1x', 'x2'], away: ['12', 'x2'] }[winner];
+      return covering.includes(spec.selection) ? spec.selection : covering[0];
+    }
+    case 'CS':
+      return `${homeGoals}-${awayGoals}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Settle a spec against a result
+ * @returns {{ selection: string, won: boolean }|null}
+ */
+function settle(spec, result) {
+  const selection = actualSelection(spec, result);
+  if (selection === null) {
+    return null;
+  }
+  return { selection, won: selection === spec.selection };
+}
+
+/**
+ * Outcome string to submit to the oracle contract. The contract compares its hash with
+ * the pool's predicted outcome, so a winning prediction must echo the pool's text exactly.
+ */
+function contractOutcome(spec, settlement, predictedOutcome) {
+  return settlement.won ? predictedOutcome : label(spec, settlement.selection);
+}
+
+/**
+ * Spec for a stored pool, preferring what was recorded at creation (fixture mapping)
+ * over the decoded on-chain outcome
+ */
+function fromPool(pool, mapping = null) {
+  const candidates = [];
+  if (mapping) {
+    candidates.push({
+      market: mapping.market_type,
+      predictedOutcome: mapping.predicted_outcome,
+      selection: mapping.binary_selection
+    });
+  }
+  candidates.push({ predictedOutcome: pool.predicted_outcome });
+
+  for (const candidate of candidates) {
+    const spec = parse({
+      ...candidate,
+      homeTeam: pool.home_team,
+      awayTeam: pool.away_team,
+      category: pool.category
+    });
+    if (spec && validate(spec).length === 0) {
+      return spec;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MARKET_SPEC_VERSION,
+  FAMILIES,
+  PERIODS,
+  ODDS_MARKETS,
+  SELECTION_LABELS,
+  MarketSpecError,
+  parse,
+  validate,
+  serialize,
+  deserialize,
+  outcomeType,
+  contractMarketType,
+  marketDescription,
+  label,
+  title,
+  actualSelection,
+  settle,
+  contractOutcome,
+  fromPool
+};
@@ -0,0 +1,133 @@
+/**
+ * Merkle Tree
+ *
+ * Balance tree in the format used by the Uniswap MerkleDistributor and any
+ * contract that checks proofs with OpenZeppelin's MerkleProof:
+ *
+ *   leaf = keccak256(abi.encodePacked(uint256 index, address account, uint256 amount))
+ *   node = keccak256(min(a, b) ++ max(a, b))
+ *
+ * Leaves are sorted and de-duplicated before the layers are built, and an odd
+ * node at the end of a layer is carried up unchanged, so the same claims always
+ * give the same root regardless of input order.
+ */
+
+const { ethers } = require('ethers');
+
+const LEAF_ENCODING = 'keccak256(abi.encodePacked(uint256 index, address account, uint256 amount))';
+
+function hashLeaf(index, account, amount) {
+  return ethers.solidityPackedKeccak256(
+    ['uint256', 'address', 'uint256'],
+    [BigInt(index), ethers.getAddress(account), BigInt(amount)]
+  );
+}
+
+function hashPair(a, b) {
+  if (!b) {
+    return a;
+  }
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+class MerkleTree {
+  /**
+   * @param {string[]} leaves - 32-byte hex hashes
+   */
+  constructor(leaves) {
+    if (leaves.length === 0) {
+      throw new Error('Cannot build a Merkle tree without leaves');
+    }
+
+    const sorted = [...new Set(leaves.map(leaf => leaf.toLowerCase()))]
+      .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+
+    this.layers = [sorted];
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const layer = this.layers[this.layers.length - 1];
+      const next = [];
+      for (let i = 0; i < layer.length; i += 2) {
+        next.push(hashPair(layer[i], layer[i + 1]));
+      }
+      this.layers.push(next);
+    }
+
+    this.positions = new Map(sorted.map((leaf, i) => [leaf, i]));
+  }
+
+  getRoot() {
+    return this.layers[this.layers.length - 1][0];
+  }
+
+  getProof(leaf) {
+    let index = this.positions.get(leaf.toLowerCase());
+    if (index === undefined) {
+      throw new Error(`Leaf ${leaf} is not in the tree`);
+    }
+
+    const proof = [];
+    for (let level = 0; level < this.layers.length - 1; level++) {
+      const layer = this.layers[level];
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  /**
+   * Same check as MerkleProof.verify on-chain
+   */
+  static verify(proof, root, leaf) {
+    const computed = proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf.toLowerCase());
+    return computed === root.toLowerCase();
+  }
+}
+
+/**
+ * Build a balance tree. Claims are ordered by address and numbered from 0,
+ * which fixes each account's index for the distributor.
+ *
+ * @param {Array<{account: string, amount: bigint|string}>} balances
+ * @returns {{root: string, total: bigint, claims: Array<{index, account, amount, leaf, proof}>}}
+ */
+function buildBalanceTree(balances) {
+  const ordered = balances
+    .map(({ account, amount }) => ({ account: ethers.getAddress(account), amount: BigInt(amount) }))
+    .sort((a, b) => (a.account.toLowerCase() < b.account.toLowerCase() ? -1 : 1));
+
+  for (let i = 1; i < ordered.length; i++) {
+    if (ordered[i].account === ordered[i - 1].account) {
+      throw new Error(`Duplicate account ${ordered[i].account}`);
+    }
+  }
+
+  const claims = ordered.map((claim, index) => ({
+    index,
+    account: claim.account,
+    amount: claim.amount,
+    leaf: hashLeaf(index, claim.account, claim.amount)
+  }));
+
+  const tree = new MerkleTree(claims.map(claim => claim.leaf));
+  for (const claim of claims) {
+    claim.proof = tree.getProof(claim.leaf);
+  }
+
+  return {
+    root: tree.getRoot(),
+    total: claims.reduce((sum, claim) => sum + claim.amount, 0n),
+    claims
+  };
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  MerkleTree,
+  hashLeaf,
+  buildBalanceTree
+};
@@ -0,0 +1,114 @@
+/**
+ * Pool Ranking
+ *
+ * Shared ordering for pool lists. Pools with an active boost come first, by
+ * tier (GOLD > SILVER > BRONZE); within a tier, and for unboosted pools, a
+ * score mixes recency (halving every `recencyHalfLifeHours`) with how much of
+ * the bettor side is filled:
+ *
+ *   score = recencyWeight * 0.5 ^ (ageHours / halfLife) + fillWeight * fill
+ *
+ * Everything is SQL over oracle.pools so it can be used in ORDER BY and
+ * paginated in the database. Lists also share visibleToSql(), which hides
+ * private pools from anyone but their creator and whitelisted users.
+ */
+
+const db = require('../db/db');
+const config = require('../config');
+
+const BOOST_TIERS = ['NONE', 'BRONZE', 'SILVER', 'GOLD'];
+
+/**
+ * Normalize a tier from the contract enum (0-3) or a stored name
+ */
+function tierName(value) {
+  if (value === null || value === undefined) {
+    return 'NONE';
+  }
+  const name = String(value).toUpperCase();
+  if (BOOST_TIERS.includes(name)) {
+    return name;
+  }
+  return BOOST_TIERS[Number(name)] || 'NONE';
+}
+
+/**
+ * Tier rank (0-3) of the pool's boost, 0 once it has expired
+ */
+function activeTierSql(alias = 'p') {
+  return `(CASE WHEN ${alias}.boost_expiry > EXTRACT(EPOCH FROM NOW()) THEN
+    CASE UPPER(${alias}.boost_tier::text)
+      WHEN 'GOLD' THEN 3 WHEN '3' THEN 3
+      WHEN 'SILVER' THEN 2 WHEN '2' THEN 2
+      WHEN 'BRONZE' THEN 1 WHEN '1' THEN 1
+      ELSE 0
+    END
+  ELSE 0 END)`;
+}
+
+/**
+ * Share of the bettor side taken (0-1), using the same effective creator side
+ * stake as the contract's max bettor stake
+ */
+function fillSql(alias = 'p') {
+  return `COALESCE(LEAST(1, ${alias}.total_bettor_stake::numeric / NULLIF(
+    (CASE WHEN ${alias}.total_bettor_stake = 0 OR ${alias}.total_bettor_stake > ${alias}.creator_stake
+      THEN ${alias}.total_creator_side_stake ELSE ${alias}.creator_stake END)::numeric * 100
+      / NULLIF(${alias}.odds - 100, 0), 0)), 0)`;
+}
+
+function scoreSql(alias = 'p') {
+  const { recencyHalfLifeHours, recencyWeight, fillWeight } = config.boosts.ranking;
+  return `(${Number(recencyWeight)} * POWER(0.5,
+      GREATEST(0, EXTRACT(EPOCH FROM (NOW() - ${alias}.created_at))) / 3600 / ${Number(recencyHalfLifeHours)})
+    + ${Number(fillWeight)} * ${fillSql(alias)})`;
+}
+
+function orderBySql(alias = 'p') {
+  return `ORDER BY ${activeTierSql(alias)} DESC, ${scoreSql(alias)} DESC, ${alias}.pool_id DESC`;
+}
+
+/**
+ * Condition that keeps public pools, plus private pools the viewer created or
+ * is whitelisted for (oracle.pool_whitelist)
+ *
+ * @param {string} alias - oracle.pools alias
+ * @param {string} viewerParam - placeholder holding the lowercase viewer address, e.g. '$3' (may be NULL)
+ */
+function visibleToSql(alias = 'p', viewerParam) {
+  return `(COALESCE(${alias}.is_private, false) = false OR (${viewerParam}::text IS NOT NULL AND (
+    LOWER(${alias}.creator_address) = ${viewerParam}::text
+    OR EXISTS (
+      SELECT 1 FROM oracle.pool_whitelist pw
+      WHERE pw.pool_id = ${alias}.pool_id::bigint AND pw.user_address = ${viewerParam}::text AND pw.is_active
+    )
+  )))`;
+}
+
+/**
+ * Page of pool ids in ranked order, for lists that load pool data elsewhere
+ *
+ * @param {string|null} viewer - private pools are only included for their creator and whitelisted users
+ */
+async function getRankedPoolIds(limit = 50, offset = 0, viewer = null) {
+  const result = await db.query(`
+    SELECT p.pool_id
+    FROM oracle.pools p
+    WHERE p.status != 'deleted' AND ${visibleToSql('p', '$3')}
+    ${orderBySql('p')}
+    LIMIT $1 OFFSET $2
+  `, [limit, offset, viewer ? viewer.toLowerCase() : null]);
+
+  return result.rows.map(row => Number(row.pool_id));
+}
+
+module.exports = {
+  BOOST_TIERS,
+  tierName,
+  activeTierSql,
+  fillSql,
+  scoreSql,
+  orderBySql,
+  visibleToSql,
+  getRankedPoolIds
+};
@@ -1,9 +1,16 @@
+const { ethers } = require('ethers');
 const db = require('../db/db');
+const config = require('../config');
+
+const REPUTATION_SYSTEM_ABI = [
+  'function getUserReputation(address user) external view returns (uint256)'
+];
 
 class ReputationManager {
   constructor() {
     this.MAX_REPUTATION = 500; // Updated from 150 to 500
     this.DEFAULT_REPUTATION = 40; // All users start with 40 points
+    this.reputationContract = null;
   }
 
   /**
@@ -211,6 +218,28 @@ class ReputationManager {
     };
   }
 
+  /**
+   * Get reputation privileges from the user's current ReputationSystem score
+   * (core.users only catches up when the indexer processes the events)
+   */
+  async getLiveReputationPrivileges(userAddress) {
+    const reputation = Number(await this.getReputationContract().getUserReputation(userAddress));
+    return { reputation, ...this.getReputationPrivileges(reputation) };
+  }
+
+  getReputationContract() {
+    if (!this.reputationContract) {
+      const address = config.blockchain.contractAddresses.reputationSystem;
+      if (!address) {
+        throw new Error('ReputationSystem contract address not configured');
+      }
+      // Required here so the many importers of this module do not load the transaction queue
+      const txManager = require('../services/tx-manager');
+      this.reputationContract = new ethers.Contract(address, REPUTATION_SYSTEM_ABI, txManager.getProvider());
+    }
+    return this.reputationContract;
+  }
+
   /**
    * Get reputation tier
    */